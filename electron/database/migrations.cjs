@@ -750,6 +750,551 @@ const MIGRATIONS = [
       }
     },
   },
+  {
+    version: 20,
+    name: 'add_patient_row_version',
+    description:
+      'Row version on patients so concurrent edits are detected instead of silently overwritten',
+    // Additive. Existing rows start at version 1; entity:update increments it
+    // and refuses a write whose ifMatch names an older version.
+    rollbackSql: null,
+    up(db) {
+      addColumn(db, 'patients', 'version', 'INTEGER NOT NULL DEFAULT 1');
+    },
+  },
+  {
+    version: 21,
+    name: 'add_hla_unacceptable_antigens',
+    description:
+      'Unacceptable antigens on patients and per-locus HLA mismatch counts on matches',
+    // Additive. Both are JSON text: the antigen list as normalised by
+    // services/hla.cjs, the mismatches as { A, B, C, DR, DQ, DP, ABDR }.
+    rollbackSql: null,
+    up(db) {
+      addColumn(db, 'patients', 'unacceptable_antigens', 'TEXT');
+      addColumn(db, 'matches', 'hla_mismatches', 'TEXT');
+    },
+  },
+  {
+    version: 22,
+    name: 'add_hla_antibodies',
+    description:
+      'Single-antigen bead results on patients, read by the virtual crossmatch',
+    // Additive. JSON text, [{ antigen, mfi }]; NULL means no antibody record,
+    // which the virtual crossmatch reports as pending rather than negative.
+    rollbackSql: null,
+    up(db) {
+      addColumn(db, 'patients', 'hla_antibodies', 'TEXT');
+    },
+  },
+  {
+    version: 23,
+    name: 'add_match_policies',
+    description:
+      'Versioned, organ-specific match policies, the inputs they read, and the policy version on each match',
+    // A version's definition is frozen so a run that names it can be
+    // recomputed; only is_active changes, when another version is activated.
+    rollbackSql: [
+      'DROP TRIGGER IF EXISTS match_policies_immutable_delete',
+      'DROP TRIGGER IF EXISTS match_policies_frozen_fields',
+      'DROP TABLE IF EXISTS match_policies',
+    ].join('; '),
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS match_policies (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          organ_type TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          definition TEXT NOT NULL,
+          change_note TEXT,
+          is_active INTEGER NOT NULL DEFAULT 0,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+          UNIQUE(org_id, organ_type, version)
+        );
+        CREATE INDEX IF NOT EXISTS idx_match_policies_active ON match_policies(org_id, organ_type, is_active);
+
+        CREATE TRIGGER IF NOT EXISTS match_policies_frozen_fields
+        BEFORE UPDATE ON match_policies
+        WHEN OLD.organ_type IS NOT NEW.organ_type
+          OR OLD.version    IS NOT NEW.version
+          OR OLD.definition IS NOT NEW.definition
+          OR OLD.created_at IS NOT NEW.created_at
+        BEGIN
+          SELECT RAISE(ABORT, 'Match policy versions are immutable; save a new version instead');
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS match_policies_immutable_delete
+        BEFORE DELETE ON match_policies
+        BEGIN
+          SELECT RAISE(ABORT, 'Match policy versions cannot be deleted');
+        END;
+      `);
+      // Inputs the policies read: the donor's A subgroup and distance from
+      // this centre, and a candidate's eligibility for an A2/A2B organ.
+      addColumn(db, 'donor_organs', 'abo_subtype', 'TEXT');
+      addColumn(db, 'donor_organs', 'distance_nm', 'REAL');
+      addColumn(db, 'patients', 'a2_to_b_eligible', 'INTEGER DEFAULT 0');
+      addColumn(db, 'matches', 'policy_id', 'TEXT');
+      addColumn(db, 'matches', 'policy_version', 'INTEGER');
+    },
+  },
+  {
+    version: 24,
+    name: 'add_match_runs',
+    description: 'Immutable snapshot of each match run, linked from its matches and organ offers',
+    // A snapshot is the evidence for why a candidate ranked where they did,
+    // so it is written once and never changed or removed.
+    rollbackSql: [
+      'DROP TRIGGER IF EXISTS match_runs_immutable_delete',
+      'DROP TRIGGER IF EXISTS match_runs_immutable_update',
+      'DROP TABLE IF EXISTS match_runs',
+    ].join('; '),
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS match_runs (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          donor_organ_id TEXT NOT NULL,
+          organ_type TEXT NOT NULL,
+          policy_id TEXT NOT NULL,
+          policy_version INTEGER NOT NULL,
+          mfi_threshold REAL,
+          donor TEXT NOT NULL,
+          candidates TEXT NOT NULL,
+          results TEXT NOT NULL,
+          ranked_count INTEGER NOT NULL DEFAULT 0,
+          run_at TEXT NOT NULL,
+          run_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+          FOREIGN KEY (donor_organ_id) REFERENCES donor_organs(id),
+          FOREIGN KEY (policy_id) REFERENCES match_policies(id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_match_runs_donor ON match_runs(org_id, donor_organ_id, run_at);
+
+        CREATE TRIGGER IF NOT EXISTS match_runs_immutable_update
+        BEFORE UPDATE ON match_runs
+        BEGIN
+          SELECT RAISE(ABORT, 'Match run snapshots are immutable');
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS match_runs_immutable_delete
+        BEFORE DELETE ON match_runs
+        BEGIN
+          SELECT RAISE(ABORT, 'Match run snapshots cannot be deleted');
+        END;
+      `);
+      addColumn(db, 'matches', 'match_run_id', 'TEXT');
+      addColumn(db, 'organ_offers', 'match_run_id', 'TEXT');
+    },
+  },
+  {
+    version: 25,
+    name: 'add_offer_chains',
+    description: 'Backup chain per donor organ, with promotion and a single final acceptance',
+    // The triggers only look at offers moving to ACCEPTED_FINAL, so a
+    // database that already holds two for one organ still migrates; the
+    // guard applies from here on.
+    rollbackSql: [
+      'DROP TRIGGER IF EXISTS organ_offers_single_final_insert',
+      'DROP TRIGGER IF EXISTS organ_offers_single_final_update',
+      'DROP INDEX IF EXISTS idx_offers_chain',
+    ].join('; '),
+    up(db) {
+      if (!tableExists(db, 'organ_offers')) return;
+      addColumn(db, 'organ_offers', 'is_backup', 'INTEGER NOT NULL DEFAULT 0');
+      addColumn(db, 'organ_offers', 'promoted_at', 'TEXT');
+      db.exec(`
+        UPDATE organ_offers SET is_backup = 1 WHERE backup_chain_position > 0;
+        CREATE INDEX IF NOT EXISTS idx_offers_chain
+          ON organ_offers(org_id, donor_organ_id, is_backup, backup_chain_position);
+
+        CREATE TRIGGER IF NOT EXISTS organ_offers_single_final_update
+        BEFORE UPDATE OF status ON organ_offers
+        WHEN NEW.status = 'ACCEPTED_FINAL' AND OLD.status IS NOT 'ACCEPTED_FINAL'
+          AND EXISTS (SELECT 1 FROM organ_offers
+                       WHERE org_id = NEW.org_id AND donor_organ_id = NEW.donor_organ_id
+                         AND status = 'ACCEPTED_FINAL' AND id != NEW.id)
+        BEGIN
+          SELECT RAISE(ABORT, 'Donor organ already has a final acceptance');
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS organ_offers_single_final_insert
+        BEFORE INSERT ON organ_offers
+        WHEN NEW.status = 'ACCEPTED_FINAL'
+          AND EXISTS (SELECT 1 FROM organ_offers
+                       WHERE org_id = NEW.org_id AND donor_organ_id = NEW.donor_organ_id
+                         AND status = 'ACCEPTED_FINAL')
+        BEGIN
+          SELECT RAISE(ABORT, 'Donor organ already has a final acceptance');
+        END;
+      `);
+    },
+  },
+  {
+    version: 26,
+    name: 'add_scheduled_jobs',
+    description: 'Per-organization background job schedule and run history',
+    rollbackSql: [
+      'DROP TABLE IF EXISTS scheduled_job_runs',
+      'DROP TABLE IF EXISTS scheduled_jobs',
+    ].join('; '),
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS scheduled_jobs (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          job_key TEXT NOT NULL,
+          cron TEXT NOT NULL,
+          is_paused INTEGER NOT NULL DEFAULT 0,
+          paused_by TEXT,
+          paused_at TEXT,
+          next_run_at TEXT,
+          last_run_at TEXT,
+          last_status TEXT CHECK(last_status IS NULL OR last_status IN ('SUCCESS', 'FAILED')),
+          last_duration_ms INTEGER,
+          last_error TEXT,
+          updated_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE(org_id, job_key),
+          FOREIGN KEY (org_id) REFERENCES organizations(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          job_id TEXT NOT NULL,
+          job_key TEXT NOT NULL,
+          trigger TEXT NOT NULL CHECK(trigger IN ('SCHEDULE', 'CATCH_UP', 'MANUAL')),
+          scheduled_for TEXT,
+          started_at TEXT NOT NULL,
+          finished_at TEXT NOT NULL,
+          duration_ms INTEGER NOT NULL,
+          status TEXT NOT NULL CHECK(status IN ('SUCCESS', 'FAILED')),
+          result TEXT,
+          error TEXT,
+          triggered_by TEXT,
+          FOREIGN KEY (org_id) REFERENCES organizations(id),
+          FOREIGN KEY (job_id) REFERENCES scheduled_jobs(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_job_runs_org_job
+          ON scheduled_job_runs(org_id, job_key, started_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_jobs_due
+          ON scheduled_jobs(is_paused, next_run_at);
+      `);
+    },
+  },
+  {
+    version: 27,
+    name: 'add_working_calendars',
+    description: 'Per-organization business hours, holidays and on-call cover for SLA clocks',
+    // Existing escalation rules switch to business hours, which is the point
+    // of the change; a rule that must keep running overnight is set back to
+    // wall-clock time with business_hours = 0.
+    rollbackSql: [
+      'DROP TABLE IF EXISTS calendar_on_call',
+      'DROP TABLE IF EXISTS calendar_holidays',
+      'DROP TABLE IF EXISTS work_calendars',
+    ].join('; '),
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS work_calendars (
+          org_id TEXT PRIMARY KEY,
+          hours TEXT NOT NULL,
+          updated_by TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          FOREIGN KEY (org_id) REFERENCES organizations(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS calendar_holidays (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          date TEXT NOT NULL,
+          name TEXT NOT NULL,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE(org_id, date),
+          FOREIGN KEY (org_id) REFERENCES organizations(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS calendar_on_call (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          starts_at TEXT NOT NULL,
+          ends_at TEXT NOT NULL,
+          label TEXT,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          CHECK(ends_at > starts_at),
+          FOREIGN KEY (org_id) REFERENCES organizations(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_on_call_org_range
+          ON calendar_on_call(org_id, starts_at, ends_at);
+      `);
+      addColumn(db, 'task_escalation_rules', 'business_hours', 'INTEGER NOT NULL DEFAULT 1');
+      addColumn(db, 'tasks', 'sla_hours', 'REAL');
+      addColumn(db, 'organ_offers', 'response_window_hours', 'REAL');
+    },
+  },
+  {
+    version: 28,
+    name: 'add_task_assignment',
+    description: 'Task assignment strategies, assignee profiles, out-of-office and primary coordinators',
+    rollbackSql: [
+      'DROP TABLE IF EXISTS user_out_of_office',
+      'DROP TABLE IF EXISTS assignee_profiles',
+      'DROP TABLE IF EXISTS task_assignment_policies',
+    ].join('; '),
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS task_assignment_policies (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          -- '*' is the organization's default for task types without their own.
+          task_type TEXT NOT NULL,
+          strategy TEXT NOT NULL CHECK(strategy IN (
+            'ROUND_ROBIN', 'LEAST_LOADED', 'PRIMARY_COORDINATOR', 'AFFINITY'
+          )),
+          -- Round-robin cursor: the user who received this policy's last task.
+          last_assigned_user_id TEXT,
+          updated_by TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE(org_id, task_type),
+          FOREIGN KEY (org_id) REFERENCES organizations(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS assignee_profiles (
+          org_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          organ_programs TEXT NOT NULL DEFAULT '[]',
+          skills TEXT NOT NULL DEFAULT '[]',
+          accepts_assignments INTEGER NOT NULL DEFAULT 1,
+          updated_by TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          PRIMARY KEY (org_id, user_id),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS user_out_of_office (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          user_id TEXT NOT NULL,
+          starts_at TEXT NOT NULL,
+          ends_at TEXT NOT NULL,
+          reason TEXT,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          CHECK(ends_at > starts_at),
+          FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_out_of_office_user
+          ON user_out_of_office(org_id, user_id, starts_at, ends_at);
+      `);
+      addColumn(db, 'patients', 'primary_coordinator_id', 'TEXT');
+    },
+  },
+  {
+    version: 29,
+    name: 'add_task_templates',
+    description: 'Task templates per organ program, protocol instances, task dependencies and recurrence',
+    rollbackSql: [
+      'DROP TABLE IF EXISTS task_dependencies',
+      'DROP TABLE IF EXISTS task_protocols',
+      'DROP TABLE IF EXISTS task_template_items',
+      'DROP TABLE IF EXISTS task_templates',
+    ].join('; '),
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS task_templates (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          -- Organ program the protocol is for; NULL applies to every patient.
+          organ_type TEXT,
+          is_active INTEGER NOT NULL DEFAULT 1,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_by TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE(org_id, name),
+          FOREIGN KEY (org_id) REFERENCES organizations(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS task_template_items (
+          id TEXT PRIMARY KEY,
+          template_id TEXT NOT NULL,
+          item_key TEXT NOT NULL,
+          title TEXT NOT NULL,
+          description TEXT,
+          task_type TEXT NOT NULL DEFAULT 'GENERAL',
+          priority TEXT NOT NULL DEFAULT 'normal',
+          assigned_role TEXT,
+          -- Days from the protocol's start to the task's due date.
+          due_offset_days INTEGER,
+          -- Repeat every N days once completed, while the patient is active.
+          recurrence_days INTEGER CHECK(recurrence_days IS NULL OR recurrence_days > 0),
+          -- JSON array of the item_keys that must be finished first.
+          depends_on TEXT NOT NULL DEFAULT '[]',
+          sort_order INTEGER NOT NULL DEFAULT 0,
+          UNIQUE(template_id, item_key),
+          FOREIGN KEY (template_id) REFERENCES task_templates(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS task_protocols (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          patient_id TEXT NOT NULL,
+          template_id TEXT,
+          -- Copied so the protocol keeps its name if the template is deleted.
+          template_name TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'cancelled')),
+          started_at TEXT NOT NULL,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          cancelled_at TEXT,
+          cancelled_by TEXT,
+          FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS task_dependencies (
+          org_id TEXT NOT NULL,
+          task_id TEXT NOT NULL,
+          depends_on_task_id TEXT NOT NULL,
+          PRIMARY KEY (task_id, depends_on_task_id),
+          FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+          FOREIGN KEY (depends_on_task_id) REFERENCES tasks(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_task_protocols_patient ON task_protocols(org_id, patient_id);
+        CREATE INDEX IF NOT EXISTS idx_task_dependencies_prerequisite ON task_dependencies(depends_on_task_id);
+      `);
+      addColumn(db, 'tasks', 'protocol_id', 'TEXT');
+      addColumn(db, 'tasks', 'protocol_item_key', 'TEXT');
+      addColumn(db, 'tasks', 'recurrence_days', 'INTEGER');
+      addColumn(db, 'tasks', 'blocked', 'INTEGER NOT NULL DEFAULT 0');
+      if (tableExists(db, 'tasks')) {
+        db.exec('CREATE INDEX IF NOT EXISTS idx_tasks_protocol ON tasks(protocol_id)');
+      }
+    },
+  },
+  {
+    version: 30,
+    name: 'add_loinc_lab_catalog',
+    description: 'LOINC codes and UCUM units on lab results, an HL7_V2 lab source with message id, and per-sender local code mappings',
+    // The widened lab_results CHECK and its new columns stay on rollback.
+    rollbackSql: [
+      'DROP INDEX IF EXISTS idx_required_labs_loinc',
+      'DROP INDEX IF EXISTS idx_lab_results_loinc',
+      'DROP TABLE IF EXISTS lab_code_mappings',
+    ].join('; '),
+    up(db) {
+      const loinc = require('../services/loinc.cjs');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS lab_code_mappings (
+          id TEXT PRIMARY KEY,
+          org_id TEXT NOT NULL,
+          -- MSH-3 of the interface that sends the code.
+          sending_application TEXT NOT NULL,
+          local_code TEXT NOT NULL,
+          local_name TEXT,
+          loinc_code TEXT NOT NULL,
+          created_by TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_by TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE(org_id, sending_application, local_code),
+          FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE
+        );
+      `);
+
+      if (tableExists(db, 'lab_results')) {
+        // Widening the source CHECK means rebuilding the table. Rows the HL7
+        // ingest stored as FHIR_IMPORT with "HL7_v2/<sender>" in
+        // ordering_service are moved to the HL7_V2 source on the way across.
+        const { sql } = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'lab_results'").get();
+        if (!sql.includes("'HL7_V2'")) {
+          db.exec(`
+            CREATE TABLE lab_results_v30 (
+              id TEXT PRIMARY KEY,
+              org_id TEXT NOT NULL,
+              patient_id TEXT NOT NULL,
+              test_code TEXT NOT NULL,
+              test_name TEXT NOT NULL,
+              loinc_code TEXT,
+              value TEXT NOT NULL,
+              units TEXT,
+              units_ucum TEXT,
+              reference_range TEXT,
+              collected_at TEXT NOT NULL,
+              resulted_at TEXT,
+              source TEXT NOT NULL DEFAULT 'MANUAL' CHECK(source IN ('MANUAL', 'FHIR_IMPORT', 'HL7_V2')),
+              source_application TEXT,
+              source_message_id TEXT,
+              ordering_service TEXT,
+              entered_by TEXT NOT NULL,
+              created_at TEXT DEFAULT (datetime('now')),
+              updated_at TEXT DEFAULT (datetime('now')),
+              updated_by TEXT,
+              FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
+              FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+              FOREIGN KEY (entered_by) REFERENCES users(id)
+            );
+
+            INSERT INTO lab_results_v30
+              (id, org_id, patient_id, test_code, test_name, value, units, reference_range,
+               collected_at, resulted_at, source, source_application, ordering_service,
+               entered_by, created_at, updated_at, updated_by)
+            SELECT
+              id, org_id, patient_id, test_code, test_name, value, units, reference_range,
+              collected_at, resulted_at,
+              CASE WHEN substr(ordering_service, 1, 7) = 'HL7_v2/' THEN 'HL7_V2' ELSE source END,
+              CASE WHEN substr(ordering_service, 1, 7) = 'HL7_v2/' THEN substr(ordering_service, 8) END,
+              CASE WHEN substr(ordering_service, 1, 7) = 'HL7_v2/' THEN NULL ELSE ordering_service END,
+              entered_by, created_at, updated_at, updated_by
+            FROM lab_results;
+
+            DROP TABLE lab_results;
+            ALTER TABLE lab_results_v30 RENAME TO lab_results;
+
+            CREATE INDEX IF NOT EXISTS idx_lab_results_org_id ON lab_results(org_id);
+            CREATE INDEX IF NOT EXISTS idx_lab_results_patient_id ON lab_results(org_id, patient_id);
+            CREATE INDEX IF NOT EXISTS idx_lab_results_test_code ON lab_results(org_id, test_code);
+            CREATE INDEX IF NOT EXISTS idx_lab_results_collected ON lab_results(org_id, collected_at DESC);
+            CREATE INDEX IF NOT EXISTS idx_lab_results_patient_test ON lab_results(org_id, patient_id, test_code, collected_at DESC);
+          `);
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS idx_lab_results_loinc ON lab_results(org_id, patient_id, loinc_code, collected_at DESC)');
+
+        // Link what the bundled catalog recognises: LOINC codes as sent, and
+        // the lab form's shorthand codes on manually entered results.
+        const link = db.prepare('UPDATE lab_results SET loinc_code = ?, units_ucum = ? WHERE id = ?');
+        const rows = db.prepare('SELECT id, test_code, units, source FROM lab_results WHERE loinc_code IS NULL').all();
+        for (const row of rows) {
+          const entry = loinc.lookup(row.test_code) || (row.source === 'MANUAL' ? loinc.fromAlias(row.test_code) : null);
+          link.run(entry ? entry.loinc : null, loinc.normalizeUnit(row.units), row.id);
+        }
+      }
+
+      addColumn(db, 'required_lab_types', 'loinc_code', 'TEXT');
+      if (tableExists(db, 'required_lab_types')) {
+        const link = db.prepare('UPDATE required_lab_types SET loinc_code = ? WHERE id = ?');
+        for (const row of db.prepare('SELECT id, test_code FROM required_lab_types WHERE loinc_code IS NULL').all()) {
+          const entry = loinc.lookup(row.test_code) || loinc.fromAlias(row.test_code);
+          if (entry) link.run(entry.loinc, row.id);
+        }
+        db.exec('CREATE INDEX IF NOT EXISTS idx_required_labs_loinc ON required_lab_types(org_id, loinc_code)');
+      }
+    },
+  },
 ];
 
 /**
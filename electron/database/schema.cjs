@@ -133,6 +133,9 @@ function createSchema(db) {
       priority_score REAL DEFAULT 0,
       priority_score_breakdown TEXT,
       hla_typing TEXT,
+      unacceptable_antigens TEXT,
+      hla_antibodies TEXT,
+      a2_to_b_eligible INTEGER DEFAULT 0,
       pra_percentage REAL,
       cpra_percentage REAL,
       meld_score INTEGER,
@@ -140,6 +143,9 @@ function createSchema(db) {
       functional_status TEXT,
       prognosis_rating TEXT,
       last_evaluation_date TEXT,
+      -- User who receives this patient's tasks under the PRIMARY_COORDINATOR
+      -- assignment strategy (services/taskAssignment.cjs).
+      primary_coordinator_id TEXT,
       comorbidity_score INTEGER,
       previous_transplants INTEGER DEFAULT 0,
       compliance_score INTEGER,
@@ -164,6 +170,7 @@ function createSchema(db) {
       updated_at TEXT DEFAULT (datetime('now')),
       created_by TEXT,
       updated_by TEXT,
+      version INTEGER NOT NULL DEFAULT 1,
       FOREIGN KEY (org_id) REFERENCES organizations(id) ON DELETE CASCADE,
       UNIQUE(org_id, patient_id)
     )
@@ -177,6 +184,7 @@ function createSchema(db) {
       donor_id TEXT,
       organ_type TEXT NOT NULL,
       blood_type TEXT NOT NULL,
+      abo_subtype TEXT,
       hla_typing TEXT,
       donor_age INTEGER,
       donor_weight_kg REAL,
@@ -191,6 +199,7 @@ function createSchema(db) {
       procurement_date TEXT,
       recovery_hospital TEXT,
       location TEXT,
+      distance_nm REAL,
       expiration_date TEXT,
       notes TEXT,
       created_at TEXT DEFAULT (datetime('now')),
@@ -218,12 +227,16 @@ function createSchema(db) {
       hla_b_match INTEGER,
       hla_dr_match INTEGER,
       hla_dq_match INTEGER,
+      hla_mismatches TEXT,
       size_compatible INTEGER,
       match_status TEXT DEFAULT 'potential',
       priority_rank INTEGER,
       virtual_crossmatch_result TEXT,
       physical_crossmatch_result TEXT DEFAULT 'not_performed',
       predicted_graft_survival REAL,
+      policy_id TEXT,
+      policy_version INTEGER,
+      match_run_id TEXT,
       notes TEXT,
       created_at TEXT DEFAULT (datetime('now')),
       updated_at TEXT DEFAULT (datetime('now')),
@@ -550,13 +563,15 @@ function createSchema(db) {
       org_id TEXT NOT NULL,
       patient_id TEXT NOT NULL,
       
-      -- Lab identification
+      -- Lab identification (test_code as sent; loinc_code from the lab catalog, added in migration 30)
       test_code TEXT NOT NULL,
       test_name TEXT NOT NULL,
+      loinc_code TEXT,
       
       -- Result data (stored as strings to prevent clinical interpretation)
       value TEXT NOT NULL,
       units TEXT,
+      units_ucum TEXT,             -- UCUM spelling of units, for display only
       reference_range TEXT,
       
       -- Timestamps
@@ -564,7 +579,9 @@ function createSchema(db) {
       resulted_at TEXT,
       
       -- Source tracking (for audit purposes)
-      source TEXT NOT NULL DEFAULT 'MANUAL' CHECK(source IN ('MANUAL', 'FHIR_IMPORT')),
+      source TEXT NOT NULL DEFAULT 'MANUAL' CHECK(source IN ('MANUAL', 'FHIR_IMPORT', 'HL7_V2')),
+      source_application TEXT,     -- HL7 MSH-3 sending application
+      source_message_id TEXT,      -- HL7 MSH-10 message control ID
       ordering_service TEXT,
       
       -- Audit fields
@@ -587,9 +604,10 @@ function createSchema(db) {
       id TEXT PRIMARY KEY,
       org_id TEXT NOT NULL,
       
-      -- Lab type definition
+      -- Lab type definition; results match on loinc_code when set (migration 30)
       test_code TEXT NOT NULL,
       test_name TEXT NOT NULL,
+      loinc_code TEXT,
       
       -- Applicability
       organ_type TEXT,
@@ -851,6 +869,16 @@ function createSchema(db) {
       trigger_entity_type TEXT,
       trigger_entity_id TEXT,
       resolution_notes TEXT,
+      -- Business hours (services/businessCalendar.cjs) from creation to due_date,
+      -- when the due date was computed from an SLA rather than entered.
+      sla_hours REAL,
+      -- Protocol instance (services/taskTemplates.cjs) and template item this
+      -- task was created from; recurring tasks chain through parent_task_id.
+      protocol_id TEXT,
+      protocol_item_key TEXT,
+      recurrence_days INTEGER,
+      -- 1 while a prerequisite in task_dependencies is unfinished.
+      blocked INTEGER NOT NULL DEFAULT 0,
       created_by TEXT,
       created_at TEXT DEFAULT (datetime('now')),
       updated_at TEXT DEFAULT (datetime('now')),
@@ -870,6 +898,8 @@ function createSchema(db) {
       hours_before_escalation INTEGER NOT NULL DEFAULT 168,
       escalate_to_role TEXT NOT NULL,
       notification_message TEXT,
+      -- 1: hours_before_escalation counts the org's working calendar only.
+      business_hours INTEGER NOT NULL DEFAULT 1,
       is_active INTEGER DEFAULT 1,
       created_by TEXT,
       created_at TEXT DEFAULT (datetime('now')),
@@ -2,6 +2,9 @@
 
 const { v4: uuidv4 } = require('uuid');
 const { assertValidEntity } = require('./validators.cjs');
+const vxm = require('../services/virtualCrossmatch.cjs');
+const matchPolicy = require('../services/matchPolicy.cjs');
+const matchRuns = require('../services/matchRuns.cjs');
 
 async function calculatePriorityAdvanced(params, context) {
   const { db, currentUser, logAudit } = context;
@@ -251,7 +254,10 @@ async function calculatePriorityAdvanced(params, context) {
 
 async function matchDonorAdvanced(params, context) {
   const { db, currentUser, logAudit } = context;
-  const { donor_organ_id, simulation_mode, hypothetical_donor } = params;
+  const { donor_organ_id, simulation_mode, hypothetical_donor, mfi_threshold } = params;
+  if (mfi_threshold !== undefined && mfi_threshold !== null && !(typeof mfi_threshold === 'number' && Number.isFinite(mfi_threshold) && mfi_threshold >= 0)) {
+    throw new Error('mfi_threshold must be a number, 0 or more');
+  }
   
   let donor;
   if (simulation_mode && hypothetical_donor) {
@@ -270,156 +276,21 @@ async function matchDonorAdvanced(params, context) {
     WHERE waitlist_status = 'active' AND organ_needed = ? AND org_id = ?
   `).all(donor.organ_type, currentUser.org_id);
   
-  const matches = [];
-  
-  // TODO: pull this into a shared config — duplicated in frontend
-  // Blood type compatibility matrix
-  const bloodCompatibility = {
-    'O-': ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'],
-    'O+': ['O+', 'A+', 'B+', 'AB+'],
-    'A-': ['A-', 'A+', 'AB-', 'AB+'],
-    'A+': ['A+', 'AB+'],
-    'B-': ['B-', 'B+', 'AB-', 'AB+'],
-    'B+': ['B+', 'AB+'],
-    'AB-': ['AB-', 'AB+'],
-    'AB+': ['AB+']
-  };
-  
-  // XXX: naive string parsing — consider using a proper HLA nomenclature lib
-  // Parse HLA typing
-  const parseHLA = (hlaString) => {
-    if (!hlaString) return { A: [], B: [], DR: [], DQ: [] };
-    
-    const parts = hlaString.split(/[\s,;]+/).map(s => s.trim());
-    const result = { A: [], B: [], DR: [], DQ: [] };
-    
-    parts.forEach(part => {
-      if (part.startsWith('A')) result.A.push(part);
-      else if (part.startsWith('B') && !part.startsWith('DR')) result.B.push(part);
-      else if (part.startsWith('DR')) result.DR.push(part);
-      else if (part.startsWith('DQ')) result.DQ.push(part);
-    });
-    
-    return result;
-  };
-  
-  const donorHLA = parseHLA(donor.hla_typing);
-  const donorHasHLA = donorHLA.A.length + donorHLA.B.length + donorHLA.DR.length > 0;
-  
-  for (const patient of candidates) {
-    const aboCompatible = bloodCompatibility[donor.blood_type]?.includes(patient.blood_type) || false;
-    
-    if (!aboCompatible) continue;
-    
-    const patientHLA = parseHLA(patient.hla_typing);
-    const patientHasHLA = patientHLA.A.length + patientHLA.B.length + patientHLA.DR.length > 0;
-
-    let hlaScore;
-    const hlaMatches = { A: 0, B: 0, DR: 0, DQ: 0 };
-
-    if (!donorHasHLA || !patientHasHLA) {
-      hlaScore = 50;
-    } else {
-      hlaMatches.A = donorHLA.A.filter(hla => patientHLA.A.includes(hla)).length;
-      hlaMatches.B = donorHLA.B.filter(hla => patientHLA.B.includes(hla)).length;
-      hlaMatches.DR = donorHLA.DR.filter(hla => patientHLA.DR.includes(hla)).length;
-      hlaMatches.DQ = donorHLA.DQ.filter(hla => patientHLA.DQ.includes(hla)).length;
-
-      const totalMatches = hlaMatches.A + hlaMatches.B + hlaMatches.DR;
-      const maxPossibleMatches = 6;
-      hlaScore = (totalMatches / maxPossibleMatches) * 100;
-
-      if (hlaMatches.DQ > 0) {
-        hlaScore = Math.min(100, hlaScore + (hlaMatches.DQ * 5));
-      }
-    }
+  // Eligibility and scoring are the organ's active policy; the run records
+  // which version it used (services/matchPolicy.cjs).
+  const policy = matchPolicy.activePolicy(db, currentUser.org_id, donor.organ_type, { createdBy: currentUser.email });
 
-    const totalHLAMatches = hlaMatches.A + hlaMatches.B + hlaMatches.DR;
-    
-    let virtualCrossmatch = 'negative';
-    if (!donorHasHLA || !patientHasHLA) {
-      virtualCrossmatch = 'pending';
-    } else if (patient.pra_percentage > 80 || patient.cpra_percentage > 80) {
-      if (totalHLAMatches < 4) {
-        virtualCrossmatch = 'positive';
-      } else {
-        virtualCrossmatch = 'pending';
-      }
-    } else if (totalHLAMatches >= 5) {
-      virtualCrossmatch = 'negative';
-    } else {
-      virtualCrossmatch = 'pending';
-    }
-    
-    if (virtualCrossmatch === 'positive') continue;
-    
-    let sizeCompatible = true;
-    if (donor.donor_weight_kg && patient.weight_kg) {
-      const weightRatio = donor.donor_weight_kg / patient.weight_kg;
-      sizeCompatible = weightRatio >= 0.7 && weightRatio <= 1.5;
-    }
-    
-    let compatibilityScore = 0;
-    compatibilityScore += (patient.priority_score || 0) * 0.35;
-    compatibilityScore += hlaScore * 0.30;
-    
-    if (donor.blood_type === patient.blood_type) {
-      compatibilityScore += 10;
-    } else {
-      compatibilityScore += 5;
-    }
-    
-    if (sizeCompatible) {
-      compatibilityScore += 10;
-    } else {
-      compatibilityScore += 3;
-    }
-    
-    if (patient.date_added_to_waitlist) {
-      const daysOnList = Math.floor(
-        (new Date() - new Date(patient.date_added_to_waitlist)) / (1000 * 60 * 60 * 24)
-      );
-      compatibilityScore += Math.min(10, (daysOnList / 365) * 10);
-    }
-    
-    if (donor.donor_age && patient.date_of_birth) {
-      const patientAge = Math.floor(
-        (new Date() - new Date(patient.date_of_birth)) / (1000 * 60 * 60 * 24 * 365.25)
-      );
-      const ageDiff = Math.abs(donor.donor_age - patientAge);
-      if (ageDiff <= 10) {
-        compatibilityScore += 5;
-      } else if (ageDiff <= 20) {
-        compatibilityScore += 3;
-      }
-    }
-    
-    // FIXME: survival model is overly simplistic, need real Cox regression data
-    let predictedSurvival = 85;
-    predictedSurvival += (totalHLAMatches / 6) * 10;
-    if (donor.blood_type === patient.blood_type) predictedSurvival += 3;
-    if (patient.previous_transplants > 0) predictedSurvival -= (patient.previous_transplants * 5);
-    if (patient.comorbidity_score) predictedSurvival -= (patient.comorbidity_score * 2);
-    predictedSurvival = Math.min(98, Math.max(60, predictedSurvival));
-    
-    matches.push({
-      patient,
-      compatibility_score: Math.min(100, compatibilityScore),
-      blood_type_compatible: aboCompatible,
-      abo_compatible: aboCompatible,
-      hla_match_score: hlaScore,
-      hla_matches: hlaMatches,
-      total_hla_matches: totalHLAMatches,
-      size_compatible: sizeCompatible,
-      virtual_crossmatch: virtualCrossmatch,
-      predicted_graft_survival: predictedSurvival,
-    });
-  }
-  
-  matches.sort((a, b) => b.compatibility_score - a.compatibility_score);
+  const now = new Date();
+  const mfiThreshold = mfi_threshold ?? vxm.DEFAULT_MFI_THRESHOLD;
+  const ranking = matchRuns.rankCandidates({
+    donor, candidates, definition: policy.definition, mfiThreshold, now,
+  });
+  const { matches, crossmatchPositive, policyExcluded } = ranking;
   
-  matches.forEach((match, index) => {
-    match.priority_rank = index + 1;
+  // A live run keeps a snapshot of its inputs and outcome so the ranking can
+  // be explained, and replayed, later (services/matchRuns.cjs).
+  const matchRunId = simulation_mode ? null : matchRuns.recordRun(db, {
+    orgId: currentUser.org_id, donor, candidates, policy, mfiThreshold, now, ranking, runBy: currentUser.email,
   });
   
   const createdMatches = [];
@@ -430,20 +301,21 @@ async function matchDonorAdvanced(params, context) {
         INSERT INTO matches (
           id, donor_organ_id, patient_id, patient_name, compatibility_score,
           blood_type_compatible, abo_compatible, hla_match_score,
-          hla_a_match, hla_b_match, hla_dr_match, hla_dq_match,
+          hla_a_match, hla_b_match, hla_dr_match, hla_dq_match, hla_mismatches,
           size_compatible, match_status, priority_rank,
           virtual_crossmatch_result, physical_crossmatch_result, predicted_graft_survival,
-          created_by
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          policy_id, policy_version, match_run_id, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).run(
         matchId, donor.id, match.patient.id,
         `${match.patient.first_name} ${match.patient.last_name}`,
         match.compatibility_score, match.blood_type_compatible ? 1 : 0,
         match.abo_compatible ? 1 : 0, match.hla_match_score,
         match.hla_matches.A, match.hla_matches.B, match.hla_matches.DR, match.hla_matches.DQ,
-        match.size_compatible ? 1 : 0, 'potential', match.priority_rank,
+        match.hla_mismatches ? JSON.stringify(match.hla_mismatches) : null,
+        match.size_compatible === null ? null : (match.size_compatible ? 1 : 0), 'potential', match.priority_rank,
         match.virtual_crossmatch, 'not_performed', match.predicted_graft_survival,
-        currentUser.email
+        policy.id, policy.version, matchRunId, currentUser.email
       );
       createdMatches.push({ id: matchId, ...match });
     }
@@ -461,7 +333,7 @@ async function matchDonorAdvanced(params, context) {
           ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `).run(
           notifId, admin.email, 'High-Compatibility Donor Match',
-          `Excellent match: ${match.patient.first_name} ${match.patient.last_name} (${match.compatibility_score.toFixed(0)}% compatible, ${match.total_hla_matches}/6 HLA matches) for ${donor.organ_type}`,
+          `Excellent match: ${match.patient.first_name} ${match.patient.last_name} (${match.compatibility_score.toFixed(0)}% compatible, ${match.total_hla_matches}/${match.hla_maximum} HLA matches) for ${donor.organ_type}`,
           'donor_match', 0, match.patient.id,
           `${match.patient.first_name} ${match.patient.last_name}`,
           match.priority_rank === 1 ? 'critical' : 'high',
@@ -476,7 +348,10 @@ async function matchDonorAdvanced(params, context) {
       'DonorOrgan',
       donor.id,
       null,
-      `Advanced matching: ${matches.length} compatible recipients found`,
+      `Advanced matching: ${matches.length} compatible recipients found` +
+        (crossmatchPositive.length ? `, ${crossmatchPositive.length} excluded by positive virtual crossmatch` : '') +
+        (policyExcluded.length ? `, ${policyExcluded.length} excluded by policy` : '') +
+        ` (${policy.organ_type} match policy v${policy.version})`,
       currentUser.email,
       currentUser.role
     );
@@ -494,21 +369,30 @@ async function matchDonorAdvanced(params, context) {
       organ_needed: m.patient.organ_needed,
       priority_score: m.patient.priority_score,
       compatibility_score: m.compatibility_score,
+      score_components: m.score_components,
       blood_type_compatible: m.blood_type_compatible,
       abo_compatible: m.abo_compatible,
+      abo_basis: m.abo_basis,
       hla_match_score: m.hla_match_score,
       hla_matches: m.hla_matches,
+      hla_mismatches: m.hla_mismatches,
       total_hla_matches: m.total_hla_matches,
+      hla_maximum: m.hla_maximum,
       size_compatible: m.size_compatible,
       priority_rank: m.priority_rank,
       medical_urgency: m.patient.medical_urgency,
       virtual_crossmatch: m.virtual_crossmatch,
+      virtual_crossmatch_detail: m.virtual_crossmatch_detail,
       predicted_graft_survival: m.predicted_graft_survival,
       days_on_waitlist: m.patient.date_added_to_waitlist 
         ? Math.floor((new Date() - new Date(m.patient.date_added_to_waitlist)) / (1000 * 60 * 60 * 24))
         : 0
     })),
     total_matches: matches.length,
+    crossmatch_positive: crossmatchPositive,
+    policy_excluded: policyExcluded,
+    policy: { id: policy.id, organ_type: policy.organ_type, version: policy.version, name: policy.name },
+    match_run_id: matchRunId,
     matches_created: createdMatches.length
   };
 }
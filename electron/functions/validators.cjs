@@ -17,6 +17,8 @@
 
 'use strict';
 
+const hla = require('../services/hla.cjs');
+
 /**
  * Numeric score ranges.
  *
@@ -42,6 +44,8 @@ const SCORE_RANGES = {
 };
 
 const VALID_BLOOD_TYPES = ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'];
+// A subgroups, recorded where typed; A2 and A2B decide A2-to-B eligibility.
+const VALID_ABO_SUBTYPES = ['A1', 'A2', 'A1B', 'A2B'];
 
 const VALID_URGENCY_LEVELS = ['critical', 'high', 'medium', 'low'];
 
@@ -112,6 +116,14 @@ function validateBloodType(value) {
   return ok(value);
 }
 
+function validateAboSubtype(value) {
+  if (!value) return ok(null);
+  if (!VALID_ABO_SUBTYPES.includes(value)) {
+    return fail(`Invalid ABO subtype: "${value}". Valid: ${VALID_ABO_SUBTYPES.join(', ')}`);
+  }
+  return ok(value);
+}
+
 function validateUrgencyLevel(value) {
   if (!value) return ok(null);
   if (!VALID_URGENCY_LEVELS.includes(value)) {
@@ -130,7 +142,10 @@ function validateOrganType(value) {
 
 /**
  * Validate an HLA typing string.
- * Accepts formats like "A2 A24 B7 B44 DR4 DR11" or "A*02:01,B*07:02"
+ * Accepts serological antigens ("A2 A24 B7 B44 DR4 DR11"), WHO allele names at
+ * any resolution ("A*02:01,B*07:02", "DRB1*15:01:01G"), the pre-2010 form
+ * "A*0201" and NMDP codes ("B*44:AB"). Alternatives of an ambiguous typing
+ * are separated by "/". See electron/services/hla.cjs.
  */
 function validateHLATyping(value) {
   if (!value || typeof value !== 'string') return ok(null);
@@ -146,12 +161,9 @@ function validateHLATyping(value) {
     return fail(`Too many HLA antigens: ${antigens.length} (max 20)`);
   }
 
-  const hlaPattern = /^[A-Z]{1,3}\*?\d{1,4}(:\d{1,4})?(:[A-Z]{1,2})?$/;
-  const hlaSimple = /^[A-Z]{1,3}\d{1,4}$/;
-
   const errors = [];
   for (const antigen of antigens) {
-    if (!hlaPattern.test(antigen) && !hlaSimple.test(antigen)) {
+    if (!antigen.split('/').every((alternative) => hla.parseAntigen(alternative))) {
       errors.push(`Invalid HLA antigen format: "${antigen}"`);
     }
   }
@@ -161,6 +173,48 @@ function validateHLATyping(value) {
   return { valid: true, value: trimmed, antigens };
 }
 
+/**
+ * Validate a candidate's unacceptable antigens: an array or delimited string
+ * of antigens or alleles, each naming a locus (so not Bw4/Bw6). The value is
+ * the normalised list.
+ */
+function validateUnacceptableAntigens(value) {
+  const { antigens, invalid } = hla.normalizeAntigenList(value);
+  if (invalid.length > 0) {
+    return fail(invalid.map((a) => `Invalid unacceptable antigen: "${a}"`).join('; '));
+  }
+  if (antigens.length > 100) {
+    return fail(`Too many unacceptable antigens: ${antigens.length} (max 100)`);
+  }
+  return ok(antigens);
+}
+
+/**
+ * Validate single-antigen bead results: [{ antigen, mfi }], the MFI optional
+ * and non-negative. Each specificity must name a locus, as for unacceptable
+ * antigens.
+ */
+function validateHLAAntibodies(value) {
+  let list = value;
+  if (typeof list === 'string') {
+    try { list = JSON.parse(list); } catch { return fail('HLA antibodies must be a JSON list of { antigen, mfi }'); }
+  }
+  if (!Array.isArray(list)) return fail('HLA antibodies must be a list of { antigen, mfi }');
+  if (list.length > 500) return fail(`Too many HLA antibody results: ${list.length} (max 500)`);
+
+  const errors = [];
+  for (const ab of list) {
+    const entry = hla.parseAntigen(ab?.antigen);
+    if (!entry || entry.type === 'epitope') {
+      errors.push(`Invalid antibody specificity: "${ab?.antigen}"`);
+    } else if (ab.mfi !== undefined && ab.mfi !== null && !(Number.isFinite(ab.mfi) && ab.mfi >= 0)) {
+      errors.push(`Invalid MFI for ${entry.name}: ${ab.mfi}`);
+    }
+  }
+  if (errors.length > 0) return fail(errors.join('; '));
+  return ok(list);
+}
+
 /**
  * Validate a calendar date. `opts.notFuture` rejects future dates (birth dates,
  * specimen collection times); `opts.notAncient` rejects dates implying an
@@ -247,6 +301,8 @@ const ENTITY_RULES = {
     { field: 'medical_urgency', fn: validateUrgencyLevel },
     { field: 'organ_needed', fn: validateOrganType },
     { field: 'hla_typing', fn: validateHLATyping },
+    { field: 'unacceptable_antigens', fn: validateUnacceptableAntigens },
+    { field: 'hla_antibodies', fn: validateHLAAntibodies },
     { field: 'date_of_birth', fn: (v) => validateDate(v, 'date_of_birth', { notFuture: true, notAncient: true }) },
     { field: 'listing_date', fn: (v) => validateDate(v, 'listing_date', { notFuture: true }) },
     { field: 'height_cm', fn: (v) => validateLabValue(v, 'height_cm') },
@@ -254,6 +310,7 @@ const ENTITY_RULES = {
   ],
   DonorOrgan: [
     { field: 'blood_type', fn: validateBloodType },
+    { field: 'abo_subtype', fn: validateAboSubtype },
     { field: 'organ_type', fn: validateOrganType },
     { field: 'hla_typing', fn: validateHLATyping },
     { field: 'kdpi_score', fn: validateKDPIScore },
@@ -321,6 +378,7 @@ module.exports = {
   LAB_BOUNDS,
   CANONICAL_LAB_UNITS,
   VALID_BLOOD_TYPES,
+  VALID_ABO_SUBTYPES,
   VALID_URGENCY_LEVELS,
   VALID_ORGAN_TYPES,
   ENTITY_RULES,
@@ -332,9 +390,12 @@ module.exports = {
   validateKDPIScore,
   validateEPTSScore,
   validateBloodType,
+  validateAboSubtype,
   validateUrgencyLevel,
   validateOrganType,
   validateHLATyping,
+  validateUnacceptableAntigens,
+  validateHLAAntibodies,
   validateDate,
   validateLabValue,
   validateLabUnit,
@@ -12,7 +12,7 @@
  *      CHANNEL_SCHEMAS. A channel with no schema gets layer 1 only.
  *
  * DELIBERATE OMISSION — Epic / FHIR / HL7 channels:
- * `fhir:validate`, `hl7:parse`, `hl7:ingest`, `hl7:buildAck` and the EHR
+ * `fhir:validate`, `hl7:parse`, `hl7:ingest`, `hl7:buildAck`, `hl7:buildBatchAck` and the EHR
  * entity channels intentionally have NO per-channel schema. Their payloads are
  * externally defined by Epic/HL7 and vary by resource type, message type, and
  * site configuration. Constraining them here would risk rejecting valid Epic
@@ -140,6 +140,17 @@ const isOptional = (v) => v === undefined || v === null;
  * Only channels whose payload shape is fully owned by TransTrack appear here.
  * See the module header for why Epic/FHIR/HL7 channels are excluded.
  */
+/** Optional `{ ifMatch }` write options for entity:update / entity:delete. */
+function writeOptionsError(options) {
+  if (isOptional(options)) return null;
+  if (!isPlainObject(options)) return 'options must be an object';
+  const { ifMatch } = options;
+  if (!isOptional(ifMatch) && !Number.isInteger(ifMatch) && !isString(ifMatch)) {
+    return 'options.ifMatch must be a version number or ETag string';
+  }
+  return null;
+}
+
 const CHANNEL_SCHEMAS = {
   'auth:login': (args) => {
     const [credentials] = args;
@@ -174,18 +185,18 @@ const CHANNEL_SCHEMAS = {
   },
 
   'entity:update': (args) => {
-    const [entityName, id, data] = args;
+    const [entityName, id, data, options] = args;
     if (!isString(entityName)) return 'entityName must be a string';
     if (!isString(id)) return 'id must be a string';
     if (!isPlainObject(data)) return 'data must be an object';
-    return true;
+    return writeOptionsError(options) || true;
   },
 
   'entity:delete': (args) => {
-    const [entityName, id] = args;
+    const [entityName, id, options] = args;
     if (!isString(entityName)) return 'entityName must be a string';
     if (!isString(id)) return 'id must be a string';
-    return true;
+    return writeOptionsError(options) || true;
   },
 
   'entity:list': (args) => {
@@ -19,6 +19,12 @@ const calculatorsHandlers = require('./handlers/calculators.cjs');
 const organOffersHandlers = require('./handlers/organOffers.cjs');
 const postTransplantHandlers = require('./handlers/postTransplant.cjs');
 const livingDonorsHandlers = require('./handlers/livingDonors.cjs');
+const matchPolicyHandlers = require('./handlers/matchPolicy.cjs');
+const matchRunsHandlers = require('./handlers/matchRuns.cjs');
+const schedulerHandlers = require('./handlers/scheduler.cjs');
+const calendarHandlers = require('./handlers/calendar.cjs');
+const taskAssignmentHandlers = require('./handlers/taskAssignment.cjs');
+const taskTemplateHandlers = require('./handlers/taskTemplates.cjs');
 const mfaHandlers = require('./handlers/mfa.cjs');
 const siemHandlers = require('./handlers/siem.cjs');
 const hl7Handlers = require('./handlers/hl7.cjs');
@@ -222,6 +228,12 @@ function setupIPCHandlers() {
   organOffersHandlers.register();
   postTransplantHandlers.register();
   livingDonorsHandlers.register();
+  matchPolicyHandlers.register();
+  matchRunsHandlers.register();
+  schedulerHandlers.register();
+  calendarHandlers.register();
+  taskAssignmentHandlers.register();
+  taskTemplateHandlers.register();
   mfaHandlers.register();
   siemHandlers.register();
   hl7Handlers.register();
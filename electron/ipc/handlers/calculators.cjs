@@ -1,7 +1,8 @@
 /**
  * Transplant calculator IPC handlers.
  * Channels: calculator:meld, calculator:meldNa, calculator:meld3,
- *           calculator:peld, calculator:las, calculator:kdpi, calculator:epts
+ *           calculator:peld, calculator:las, calculator:kdpi, calculator:epts,
+ *           calculator:cpra
  *
  * All calculators are pure-function and side-effect-free; we still gate them
  * on session validation so non-authenticated callers cannot probe.
@@ -25,7 +26,7 @@ function audit(formula, result) {
       'TransplantCalculator',
       formula,
       null,
-      JSON.stringify({ formula, computed: result.score !== undefined ? result.score : (result.kdpi ?? result.epts_pct ?? null), insufficient: result.score === null || result.kdpi === null || result.epts_pct === null }),
+      JSON.stringify({ formula, computed: result.score !== undefined ? result.score : (result.kdpi ?? result.epts_pct ?? result.cpra ?? null), insufficient: result.score === null || result.kdpi === null || result.epts_pct === null || result.cpra === null }),
       currentUser.email,
       currentUser.role
     );
@@ -94,6 +95,13 @@ function register() {
     return r;
   });
 
+  ipcMain.handle('calculator:cpra', async (_event, inputs) => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    const r = calc.calculateCPRA(inputs || {});
+    audit('cPRA', r);
+    return r;
+  });
+
   ipcMain.handle('calculator:listFormulas', async () => ({
     formulas: calc.ALL_FORMULAS,
     requiredFields: {
@@ -104,6 +112,7 @@ function register() {
       TTLI: calc.REQUIRED_FIELDS.TTLI,
       KDPI: calc.REQUIRED_FIELDS.KDPI,
       EPTS: calc.REQUIRED_FIELDS.EPTS,
+      cPRA: calc.REQUIRED_FIELDS.cPRA,
     },
     // Provenance of every externally-owned constant, so the renderer can show
     // which OPTN revision a score was computed against and whether the table
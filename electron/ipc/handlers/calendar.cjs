@@ -0,0 +1,65 @@
+/**
+ * Working calendar IPC handlers.
+ * Channels: calendar:get, calendar:saveHours, calendar:addHoliday,
+ *           calendar:removeHoliday, calendar:addOnCall, calendar:removeOnCall
+ *
+ * Authorisation: any signed-in user may read the calendar, since SLA clocks
+ * shown to everyone are counted on it. Changing it moves every task, barrier
+ * and offer deadline in the organization, so changes require an
+ * administrator and are audited.
+ */
+
+'use strict';
+
+const { ipcMain } = require('electron');
+const businessCalendar = require('../../services/businessCalendar.cjs');
+const shared = require('../shared.cjs');
+
+function register() {
+  ipcMain.handle('calendar:get', async () => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    return businessCalendar.getCalendar(shared.getSessionOrgId());
+  });
+
+  ipcMain.handle('calendar:saveHours', async (_event, hours) => {
+    const user = shared.requireAdmin('changing business hours');
+    const calendar = businessCalendar.saveHours(shared.getSessionOrgId(), hours, user.email);
+    shared.logAudit('update', 'WorkCalendar', calendar.org_id, null,
+      JSON.stringify({ hours: calendar.hours }), user.email, user.role);
+    return calendar;
+  });
+
+  ipcMain.handle('calendar:addHoliday', async (_event, data) => {
+    const user = shared.requireAdmin('adding a holiday');
+    const holiday = businessCalendar.addHoliday(shared.getSessionOrgId(), data, user.email);
+    shared.logAudit('create', 'WorkCalendar', holiday.id, null,
+      JSON.stringify({ holiday: holiday.date, name: holiday.name }), user.email, user.role);
+    return holiday;
+  });
+
+  ipcMain.handle('calendar:removeHoliday', async (_event, id) => {
+    const user = shared.requireAdmin('removing a holiday');
+    const result = businessCalendar.removeHoliday(shared.getSessionOrgId(), id);
+    shared.logAudit('delete', 'WorkCalendar', id, null,
+      JSON.stringify({ holiday_removed: true }), user.email, user.role);
+    return result;
+  });
+
+  ipcMain.handle('calendar:addOnCall', async (_event, data) => {
+    const user = shared.requireAdmin('adding on-call cover');
+    const cover = businessCalendar.addOnCall(shared.getSessionOrgId(), data, user.email);
+    shared.logAudit('create', 'WorkCalendar', cover.id, null,
+      JSON.stringify({ on_call: { starts_at: cover.starts_at, ends_at: cover.ends_at } }), user.email, user.role);
+    return cover;
+  });
+
+  ipcMain.handle('calendar:removeOnCall', async (_event, id) => {
+    const user = shared.requireAdmin('removing on-call cover');
+    const result = businessCalendar.removeOnCall(shared.getSessionOrgId(), id);
+    shared.logAudit('delete', 'WorkCalendar', id, null,
+      JSON.stringify({ on_call_removed: true }), user.email, user.role);
+    return result;
+  });
+}
+
+module.exports = { register };
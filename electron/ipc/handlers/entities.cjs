@@ -13,6 +13,7 @@ const { hasPermission, PERMISSIONS } = require('../../services/accessControl.cjs
 const { encryptField, isEncrypted } = require('../../services/secretEncryption.cjs');
 const electronicSignature = require('../../services/electronicSignature.cjs');
 const { assertValidEntity } = require('../../functions/validators.cjs');
+const hla = require('../../services/hla.cjs');
 const featureGate = require('../../license/featureGate.cjs');
 
 /**
@@ -24,6 +25,22 @@ const ENCRYPTED_FIELDS_BY_TABLE = {
   ehr_integrations: ['api_key_encrypted'],
 };
 
+/**
+ * Store unacceptable antigens and antibody specificities in canonical form
+ * (A*02:01 and a*0201 are one entry), so each antigen is listed once and the
+ * virtual crossmatch compares like with like. Runs after validation, which
+ * has already rejected anything unparseable.
+ */
+function normalizeHlaFields(data) {
+  if (data.unacceptable_antigens !== undefined && data.unacceptable_antigens !== null) {
+    data.unacceptable_antigens = hla.normalizeAntigenList(data.unacceptable_antigens).antigens;
+  }
+  if (Array.isArray(data.hla_antibodies)) {
+    data.hla_antibodies = data.hla_antibodies.map((ab) => ({ ...ab, antigen: hla.parseAntigen(ab.antigen).name }));
+  }
+  return data;
+}
+
 function applyEncryptionToWrite(tableName, entityId, data) {
   const encryptedCols = ENCRYPTED_FIELDS_BY_TABLE[tableName];
   if (!encryptedCols) return data;
@@ -128,6 +145,42 @@ function enforcePermission(currentUser, entityName, action) {
   }
 }
 
+/**
+ * Optimistic concurrency for tables with a `version` column (patients).
+ *
+ * Every update bumps the version. A caller that passes `options.ifMatch` — the
+ * version it last read — only writes if the row is still at that version, so
+ * two coordinators editing the same candidate cannot silently overwrite each
+ * other; the second gets a VERSION_CONFLICT error and the renderer offers a
+ * merge. Electron forwards only an error's message across IPC, so the message
+ * itself carries the marker the renderer matches on.
+ */
+const versionedTables = new Map();
+
+function isVersioned(db, tableName) {
+  if (!versionedTables.has(tableName)) {
+    const cols = db.prepare(`PRAGMA table_info(${tableName})`).all().map((c) => c.name);
+    versionedTables.set(tableName, cols.includes('version'));
+  }
+  return versionedTables.get(tableName);
+}
+
+function expectedVersion(options) {
+  if (options?.ifMatch === undefined || options?.ifMatch === null) return null;
+  const m = /^(?:W\/)?"?(\d+)"?$/.exec(String(options.ifMatch).trim());
+  if (!m) throw new Error(`Invalid ifMatch value: ${options.ifMatch}`);
+  return Number(m[1]);
+}
+
+function versionConflict(entityName, expected, current) {
+  const err = new Error(
+    `Version conflict: ${entityName} was changed by another user ` +
+    `(you edited version ${expected}, current version is ${current}). Reload and merge your changes.`
+  );
+  err.code = 'VERSION_CONFLICT';
+  return err;
+}
+
 function register() {
   const db = getDatabase();
 
@@ -165,6 +218,7 @@ function register() {
     // renderer form is not a trust boundary — IPC, import and ingestion all
     // arrive here.
     assertValidEntity(entityName, safeData, 'create');
+    normalizeHlaFields(safeData);
     applyEncryptionToWrite(tableName, id, safeData);
     const entityData = shared.sanitizeForSQLite({ ...safeData, id, org_id: orgId, created_by: currentUser.email });
 
@@ -225,7 +279,7 @@ function register() {
     return redactSecretsForRenderer(tableName, row);
   });
 
-  ipcMain.handle('entity:update', async (event, entityName, id, data) => {
+  ipcMain.handle('entity:update', async (event, entityName, id, data, options = {}) => {
     if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
     const { currentUser } = shared.getSessionState();
     enforcePermission(currentUser, entityName, 'update');
@@ -241,15 +295,32 @@ function register() {
     const existingEntity = shared.getEntityByIdAndOrg(tableName, id, orgId);
     if (!existingEntity) throw new Error(`${entityName} not found or access denied`);
 
+    const versioned = isVersioned(db, tableName);
+    const expected = versioned ? expectedVersion(options) : null;
+    if (expected !== null && existingEntity.version !== expected) {
+      throw versionConflict(entityName, expected, existingEntity.version);
+    }
+
     const now = new Date().toISOString();
     const safeData = shared.filterToAllowedColumns(tableName, data);
     assertValidEntity(entityName, safeData, 'update');
+    normalizeHlaFields(safeData);
     applyEncryptionToWrite(tableName, id, safeData);
     const entityData = shared.sanitizeForSQLite({ ...safeData, updated_by: currentUser.email, updated_at: now });
 
-    const updates = Object.keys(entityData).map(k => `${k} = ?`).join(', ');
+    const sets = Object.keys(entityData).map(k => `${k} = ?`);
     const values = [...Object.values(entityData), id, orgId];
-    db.prepare(`UPDATE ${tableName} SET ${updates} WHERE id = ? AND org_id = ?`).run(...values);
+    let where = 'id = ? AND org_id = ?';
+    if (versioned) sets.push('version = version + 1');
+    if (expected !== null) {
+      where += ' AND version = ?';
+      values.push(expected);
+    }
+    const result = db.prepare(`UPDATE ${tableName} SET ${sets.join(', ')} WHERE ${where}`).run(...values);
+    if (expected !== null && result.changes === 0) {
+      const current = shared.getEntityByIdAndOrg(tableName, id, orgId);
+      throw versionConflict(entityName, expected, current?.version);
+    }
 
     const entity = shared.getEntityByIdAndOrg(tableName, id, orgId);
     const changedKeys = Object.keys(safeData).filter((k) => !['updated_by', 'updated_at'].includes(k));
@@ -287,7 +358,7 @@ function register() {
     return redactSecretsForRenderer(tableName, entity);
   });
 
-  ipcMain.handle('entity:delete', async (event, entityName, id) => {
+  ipcMain.handle('entity:delete', async (event, entityName, id, options = {}) => {
     if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
     const { currentUser } = shared.getSessionState();
     enforcePermission(currentUser, entityName, 'delete');
@@ -302,6 +373,10 @@ function register() {
 
     const entity = shared.getEntityByIdAndOrg(tableName, id, orgId);
     if (!entity) throw new Error(`${entityName} not found or access denied`);
+    const expected = isVersioned(db, tableName) ? expectedVersion(options) : null;
+    if (expected !== null && entity.version !== expected) {
+      throw versionConflict(entityName, expected, entity.version);
+    }
 
     let patientName = null;
     if (entityName === 'Patient') patientName = `${entity.first_name} ${entity.last_name}`;
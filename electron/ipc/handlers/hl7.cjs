@@ -1,6 +1,7 @@
 /**
  * HL7 v2 IPC handlers.
- * Channels: hl7:parse, hl7:buildAck
+ * Channels: hl7:parse, hl7:buildAck, hl7:buildBatchAck, hl7:supportedEvents,
+ * hl7:ingest
  *
  * Parsing is read-only and side-effect free; we still gate on session
  * validation so anonymous callers cannot probe.
@@ -10,6 +11,7 @@
 
 const { ipcMain } = require('electron');
 const hl7 = require('../../services/hl7v2.cjs');
+const hl7Batch = require('../../services/hl7Batch.cjs');
 const ingestService = require('../../services/hl7Ingest.cjs');
 const shared = require('../shared.cjs');
 
@@ -30,6 +32,21 @@ function register() {
     return { ack: hl7.buildAck(parsed_or_raw || {}, code || 'AA', message || '') };
   });
 
+  // Batch acknowledgement for a file read through file:import('hl7'):
+  // `batch` is the envelope it returned, `results` one { batch,
+  // message_control_id, code, text } per message the renderer ingested.
+  ipcMain.handle('hl7:buildBatchAck', async (_event, params) => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    const { batch, results } = params || {};
+    if (!batch || !Array.isArray(batch.batches)) throw new Error('`batch` must be the envelope from the file import.');
+    const list = Array.isArray(results) ? results : [];
+    return {
+      ack: hl7Batch.buildBatchAck(batch, list),
+      tally: hl7Batch.tally(list),
+      ...hl7Batch.reconcile(batch),
+    };
+  });
+
   ipcMain.handle('hl7:supportedEvents', async () => hl7.SUPPORTED_EVENTS);
 
   // Lift a raw HL7 message into internal entities (Patient, LabResult).
@@ -62,6 +79,7 @@ function register() {
         patient_action: summary.patient ? summary.patient.action : null,
         labs_inserted: summary.labs.inserted,
         labs_skipped: summary.labs.skipped,
+        labs_unmapped: summary.labs.unmapped.length,
       }),
       currentUser.email, currentUser.role);
     return summary;
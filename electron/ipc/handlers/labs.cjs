@@ -1,6 +1,6 @@
 /**
  * TransTrack - Lab Results IPC Handlers
- * Handles: labs:*
+ * Handles: labs:*, including the LOINC catalog and per-sender code mappings
  *
  * Strictly NON-CLINICAL and NON-ALLOCATIVE.
  * Lab results are stored for DOCUMENTATION COMPLETENESS only.
@@ -9,10 +9,15 @@
  * so reads require PATIENT_VIEW and writes require PATIENT_UPDATE. Every handler
  * below used to check only that a session existed, which let a read-only
  * `viewer` create and amend results.
+ *
+ * Code mappings decide which results count toward required labs, so changing
+ * them is administrator only and audited.
  */
 
 const { ipcMain } = require('electron');
 const labsService = require('../../services/labsService.cjs');
+const labCodeMappings = require('../../services/labCodeMappings.cjs');
+const loinc = require('../../services/loinc.cjs');
 const { PERMISSIONS } = require('../../services/accessControl.cjs');
 const shared = require('../shared.cjs');
 
@@ -20,6 +25,7 @@ function register() {
   // Reference data only: LOINC-style codes and source names, no patient content.
   ipcMain.handle('labs:getCodes', async () => labsService.COMMON_LAB_CODES);
   ipcMain.handle('labs:getSources', async () => labsService.LAB_SOURCES);
+  ipcMain.handle('labs:getCatalog', async () => loinc.catalog());
 
   ipcMain.handle('labs:create', async (event, data) => {
     const currentUser = shared.requirePermission(PERMISSIONS.PATIENT_UPDATE, 'recording a lab result');
@@ -70,6 +76,38 @@ function register() {
     shared.requirePermission(PERMISSIONS.PATIENT_VIEW, 'reading required lab types');
     return labsService.getRequiredLabTypes(shared.getSessionOrgId(), organType);
   });
+
+  ipcMain.handle('labs:listCodeMappings', async (event, filters) => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    return labCodeMappings.listMappings(shared.getSessionOrgId(), {
+      sendingApplication: filters?.sending_application,
+    });
+  });
+
+  ipcMain.handle('labs:saveCodeMapping', async (event, data) => {
+    const user = shared.requireAdmin('changing lab code mappings');
+    const mapping = labCodeMappings.saveMapping(shared.getSessionOrgId(), data, user.email);
+    shared.logAudit('update', 'LabCodeMapping', mapping.id, null,
+      JSON.stringify({
+        sending_application: mapping.sending_application,
+        local_code: mapping.local_code,
+        loinc_code: mapping.loinc_code,
+        relinked: mapping.relinked,
+      }),
+      user.email, user.role);
+    return mapping;
+  });
+
+  ipcMain.handle('labs:deleteCodeMapping', async (event, id) => {
+    const user = shared.requireAdmin('changing lab code mappings');
+    const orgId = shared.getSessionOrgId();
+    const mapping = labCodeMappings.getMapping(orgId, id);
+    const result = labCodeMappings.deleteMapping(orgId, id);
+    shared.logAudit('delete', 'LabCodeMapping', id, null,
+      JSON.stringify({ sending_application: mapping?.sending_application, local_code: mapping?.local_code }),
+      user.email, user.role);
+    return result;
+  });
 }
 
 module.exports = { register };
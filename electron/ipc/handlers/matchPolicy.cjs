@@ -0,0 +1,66 @@
+/**
+ * Match policy IPC handlers.
+ * Channels: matchPolicy:getDefault, matchPolicy:list, matchPolicy:history,
+ *           matchPolicy:save, matchPolicy:activate
+ *
+ * Authorisation: anyone who can view matches can read the policies that
+ * produced them. Saving or activating a version changes how every later
+ * organ is ranked, so it is limited to administrators, as the priority
+ * weights on the same settings page are.
+ */
+
+'use strict';
+
+const { ipcMain } = require('electron');
+const { getDatabase } = require('../../database/init.cjs');
+const svc = require('../../services/matchPolicy.cjs');
+const { PERMISSIONS } = require('../../services/accessControl.cjs');
+const shared = require('../shared.cjs');
+
+function requireRead(activity) {
+  return shared.requirePermission(PERMISSIONS.MATCH_VIEW, activity);
+}
+
+function register() {
+  ipcMain.handle('matchPolicy:getDefault', async (_event, organType) => {
+    requireRead('reading the built-in match policy');
+    return svc.defaultDefinition(organType);
+  });
+
+  ipcMain.handle('matchPolicy:list', async () => {
+    const user = requireRead('listing match policies');
+    return svc.listActive(getDatabase(), shared.getSessionOrgId(), { createdBy: user.email });
+  });
+
+  ipcMain.handle('matchPolicy:history', async (_event, organType) => {
+    requireRead('reading match policy history');
+    return svc.history(getDatabase(), shared.getSessionOrgId(), organType);
+  });
+
+  ipcMain.handle('matchPolicy:save', async (_event, data) => {
+    const user = shared.requireAdmin('saving a match policy');
+    const saved = svc.savePolicy(getDatabase(), {
+      orgId: shared.getSessionOrgId(),
+      organType: data?.organ_type,
+      name: data?.name,
+      definition: data?.definition,
+      changeNote: data?.change_note,
+      createdBy: user.email,
+    });
+    shared.logAudit('create', 'MatchPolicy', saved.id, null,
+      JSON.stringify({ organ_type: saved.organ_type, version: saved.version, change_note: saved.change_note }),
+      user.email, user.role);
+    return saved;
+  });
+
+  ipcMain.handle('matchPolicy:activate', async (_event, id) => {
+    const user = shared.requireAdmin('activating a match policy version');
+    const activated = svc.activatePolicy(getDatabase(), { id, orgId: shared.getSessionOrgId() });
+    shared.logAudit('update', 'MatchPolicy', activated.id, null,
+      JSON.stringify({ organ_type: activated.organ_type, version: activated.version, activated: true }),
+      user.email, user.role);
+    return activated;
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,47 @@
+/**
+ * Match run IPC handlers.
+ * Channels: matchRun:list, matchRun:get, matchRun:replay
+ *
+ * Authorisation: a snapshot holds the same candidates and ranks as the
+ * matches it produced, so reading or replaying one requires MATCH_VIEW.
+ * Replaying writes nothing but is audited, as it is usually done to answer a
+ * question about an allocation decision.
+ */
+
+'use strict';
+
+const { ipcMain } = require('electron');
+const { getDatabase } = require('../../database/init.cjs');
+const svc = require('../../services/matchRuns.cjs');
+const { PERMISSIONS } = require('../../services/accessControl.cjs');
+const shared = require('../shared.cjs');
+
+function requireRead(activity) {
+  return shared.requirePermission(PERMISSIONS.MATCH_VIEW, activity);
+}
+
+function register() {
+  ipcMain.handle('matchRun:list', async (_event, filters = {}) => {
+    requireRead('listing match runs');
+    return svc.listRuns(getDatabase(), shared.getSessionOrgId(), {
+      donorOrganId: filters?.donor_organ_id,
+      limit: filters?.limit,
+    });
+  });
+
+  ipcMain.handle('matchRun:get', async (_event, id) => {
+    requireRead('reading a match run snapshot');
+    return svc.getRun(getDatabase(), id, shared.getSessionOrgId());
+  });
+
+  ipcMain.handle('matchRun:replay', async (_event, id) => {
+    const user = requireRead('replaying a match run');
+    const result = svc.replay(getDatabase(), id, shared.getSessionOrgId());
+    shared.logAudit('execute', 'MatchRun', id, null,
+      JSON.stringify({ replay: true, identical: result.identical, differences: result.differences.length }),
+      user.email, user.role);
+    return result;
+  });
+}
+
+module.exports = { register };
@@ -11,6 +11,7 @@ const disasterRecovery = require('../../services/disasterRecovery.cjs');
 const complianceView = require('../../services/complianceView.cjs');
 const offlineReconciliation = require('../../services/offlineReconciliation.cjs');
 const supportBundle = require('../../services/supportBundle.cjs');
+const hl7Batch = require('../../services/hl7Batch.cjs');
 const pathConfinement = require('../pathConfinement.cjs');
 const shared = require('../shared.cjs');
 
@@ -410,7 +411,9 @@ function register() {
     const fs = require('fs');
 
     const filters = [];
-    if (type === 'csv') {
+    if (type === 'hl7') {
+      filters.push({ name: 'HL7 Batch Files', extensions: ['hl7', 'txt', 'dat', 'batch'] });
+    } else if (type === 'csv') {
       filters.push({ name: 'CSV Files', extensions: ['csv'] });
     } else if (type === 'json' || type === 'fhir') {
       filters.push({ name: 'JSON Files', extensions: ['json'] });
@@ -431,6 +434,33 @@ function register() {
     const ext = path.extname(importPath).toLowerCase();
 
     const MAX_IMPORT_SIZE = 50 * 1024 * 1024; // 50 MB
+
+    // HL7 batch files are streamed through the batch reader rather than
+    // read whole; the renderer ingests the messages one by one through
+    // hl7:ingest and builds the batch acknowledgement with hl7:buildBatchAck.
+    if (type === 'hl7') {
+      const size = fs.statSync(importPath).size;
+      if (size > MAX_IMPORT_SIZE) {
+        throw new Error(`File too large (${(size / 1024 / 1024).toFixed(1)} MB). Maximum import size is 50 MB.`);
+      }
+      const reader = new hl7Batch.BatchReader();
+      const messages = [];
+      for await (const chunk of fs.createReadStream(importPath)) messages.push(...reader.push(chunk));
+      messages.push(...reader.end());
+      const envelope = reader.envelope();
+      shared.logAudit('import', 'Hl7Batch', envelope.file_header?.control_id || null, null,
+        `HL7 batch file read: ${path.basename(importPath)} (${envelope.batches.length} batch(es), ${messages.length} message(s), ${size} bytes)`,
+        currentUser.email, currentUser.role);
+      return {
+        success: true,
+        filename: path.basename(importPath),
+        type: 'hl7',
+        data: messages,
+        recordCount: messages.length,
+        batch: { ...envelope, ...hl7Batch.reconcile(envelope) },
+      };
+    }
+
     const fd = fs.openSync(importPath, 'r');
     let raw;
     try {
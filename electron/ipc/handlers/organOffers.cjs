@@ -2,13 +2,15 @@
  * Organ Offer IPC handlers.
  * Channels: organOffer:create, organOffer:get, organOffer:list,
  *           organOffer:transition, organOffer:expireDue,
- *           organOffer:getEvents, organOffer:getStatuses,
- *           organOffer:getDeclineReasons
+ *           organOffer:getEvents, organOffer:getChain,
+ *           organOffer:getStatuses, organOffer:getDeclineReasons
  *
  * Authorisation: an offer links a named donor organ to a named candidate and is
  * the record of an allocation decision, so reads require MATCH_VIEW and creating
  * one requires MATCH_CREATE. Accepting or declining requires MATCH_APPROVE; see
- * SIGNED_TRANSITIONS below.
+ * SIGNED_TRANSITIONS below. Promotions and rescissions the backup chain makes
+ * on its own are audited as the system's, next to the transition that caused
+ * them.
  */
 
 'use strict';
@@ -27,6 +29,19 @@ const electronicSignature = require('../../services/electronicSignature.cjs');
  */
 const SIGNED_TRANSITIONS = ['ACCEPTED_PROVISIONAL', 'ACCEPTED_FINAL', 'DECLINED'];
 
+function auditChainEffects(offerId, effects, currentUser) {
+  if (effects?.promoted) {
+    shared.logAudit('transition', 'OrganOffer', effects.promoted, null,
+      JSON.stringify({ promoted: true, replaces_offer_id: offerId }),
+      'system', currentUser.role);
+  }
+  for (const rescinded of effects?.rescinded || []) {
+    shared.logAudit('transition', 'OrganOffer', rescinded, null,
+      JSON.stringify({ to_status: 'RESCINDED', reason: 'ORGAN_PLACED', final_offer_id: offerId }),
+      'system', currentUser.role);
+  }
+}
+
 function register() {
   ipcMain.handle('organOffer:getStatuses', async () => offers.STATUSES);
   ipcMain.handle('organOffer:getDeclineReasons', async () => offers.DECLINE_REASON_CODES);
@@ -40,12 +55,16 @@ function register() {
       patientId: data?.patient_id,
       rank: data?.rank,
       responseDueAt: data?.response_due_at,
+      responseWindowHours: data?.response_window_hours,
       backupChainPosition: data?.backup_chain_position,
+      matchRunId: data?.match_run_id,
       notes: data?.notes,
       createdBy: currentUser.email,
     });
     shared.logAudit('create', 'OrganOffer', offer.id, null,
-      JSON.stringify({ donor_organ_id: offer.donor_organ_id, patient_id: offer.patient_id, rank: offer.rank }),
+      JSON.stringify({
+        donor_organ_id: offer.donor_organ_id, patient_id: offer.patient_id, rank: offer.rank, match_run_id: offer.match_run_id,
+      }),
       currentUser.email, currentUser.role);
     return offer;
   });
@@ -85,6 +104,7 @@ function register() {
     shared.logAudit('transition', 'OrganOffer', params.id, null,
       JSON.stringify({ to_status: params.to_status, decline_reason_code: params.decline_reason_code || null }),
       currentUser.email, currentUser.role);
+    auditChainEffects(params.id, updated.chain_effects, currentUser);
 
     // Electronic signature for regulated state changes
     if (SIGNED_TRANSITIONS.includes(params.to_status)) {
@@ -107,14 +127,24 @@ function register() {
   ipcMain.handle('organOffer:expireDue', async () => {
     // Expiry advances offers past their response deadline, which is a state
     // change on the allocation record even though no operator chose it.
-    shared.requirePermission(PERMISSIONS.MATCH_UPDATE, 'expiring overdue organ offers');
-    return offers.expireDue({ orgId: shared.getSessionOrgId() });
+    const currentUser = shared.requirePermission(PERMISSIONS.MATCH_UPDATE, 'expiring overdue organ offers');
+    const result = offers.expireDue({ orgId: shared.getSessionOrgId() });
+    for (const id of result.promoted) {
+      shared.logAudit('transition', 'OrganOffer', id, null,
+        JSON.stringify({ promoted: true, reason: 'EXPIRED' }), 'system', currentUser.role);
+    }
+    return result;
   });
 
   ipcMain.handle('organOffer:getEvents', async (_event, offerId) => {
     shared.requirePermission(PERMISSIONS.MATCH_VIEW, 'reading the history of an organ offer');
     return offers.getEvents(offerId, shared.getSessionOrgId());
   });
+
+  ipcMain.handle('organOffer:getChain', async (_event, donorOrganId) => {
+    shared.requirePermission(PERMISSIONS.MATCH_VIEW, 'reading the offer chain of a donor organ');
+    return offers.getChain(donorOrganId, shared.getSessionOrgId());
+  });
 }
 
 module.exports = { register };
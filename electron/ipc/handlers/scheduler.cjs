@@ -0,0 +1,66 @@
+/**
+ * Background job scheduler IPC handlers.
+ * Channels: scheduler:listJobs, scheduler:listRuns, scheduler:pause,
+ *           scheduler:resume, scheduler:trigger, scheduler:updateSchedule
+ *
+ * Authorisation: the schedule decides when escalations and auto-tasks run
+ * for the whole organization, so every channel requires an administrator.
+ * Changes to a job are audited here; the runs themselves are audited by the
+ * scheduler, including manual ones.
+ */
+
+'use strict';
+
+const { ipcMain } = require('electron');
+const scheduler = require('../../services/jobScheduler.cjs');
+const shared = require('../shared.cjs');
+
+function register() {
+  ipcMain.handle('scheduler:listJobs', async () => {
+    shared.requireAdmin('viewing scheduled jobs');
+    return scheduler.listJobs(shared.getSessionOrgId());
+  });
+
+  ipcMain.handle('scheduler:listRuns', async (_event, filters = {}) => {
+    shared.requireAdmin('viewing scheduled job history');
+    return scheduler.listRuns(shared.getSessionOrgId(), {
+      jobKey: filters?.job_key,
+      limit: filters?.limit,
+    });
+  });
+
+  ipcMain.handle('scheduler:pause', async (_event, jobKey) => {
+    const user = shared.requireAdmin('pausing a scheduled job');
+    const job = scheduler.pauseJob(shared.getSessionOrgId(), jobKey, user.email);
+    shared.logAudit('update', 'ScheduledJob', job.id, null,
+      JSON.stringify({ job: jobKey, paused: true }), user.email, user.role);
+    return job;
+  });
+
+  ipcMain.handle('scheduler:resume', async (_event, jobKey) => {
+    const user = shared.requireAdmin('resuming a scheduled job');
+    const job = scheduler.resumeJob(shared.getSessionOrgId(), jobKey, user.email);
+    shared.logAudit('update', 'ScheduledJob', job.id, null,
+      JSON.stringify({ job: jobKey, paused: false, next_run_at: job.next_run_at }), user.email, user.role);
+    return job;
+  });
+
+  ipcMain.handle('scheduler:updateSchedule', async (_event, { job_key: jobKey, cron } = {}) => {
+    const user = shared.requireAdmin('changing a job schedule');
+    const before = scheduler.getJob(shared.getSessionOrgId(), jobKey);
+    const job = scheduler.updateSchedule(shared.getSessionOrgId(), jobKey, cron, user.email);
+    shared.logAudit('update', 'ScheduledJob', job.id, null,
+      JSON.stringify({ job: jobKey, cron: { from: before?.cron ?? null, to: job.cron } }), user.email, user.role);
+    return job;
+  });
+
+  ipcMain.handle('scheduler:trigger', async (_event, jobKey) => {
+    const user = shared.requireAdmin('running a scheduled job');
+    return scheduler.runJob(shared.getSessionOrgId(), jobKey, {
+      trigger: scheduler.TRIGGERS.MANUAL,
+      triggeredBy: user.email,
+    });
+  });
+}
+
+module.exports = { register };
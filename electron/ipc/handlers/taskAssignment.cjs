@@ -0,0 +1,109 @@
+/**
+ * Task assignment IPC handlers.
+ * Channels: assignment:listPolicies, assignment:savePolicy,
+ *           assignment:deletePolicy, assignment:listAssignees,
+ *           assignment:saveProfile, assignment:listOutOfOffice,
+ *           assignment:addOutOfOffice, assignment:removeOutOfOffice,
+ *           assignment:setPrimaryCoordinator, assignment:reassign
+ *
+ * Authorisation: anyone signed in may see who takes tasks and who is away.
+ * Policies, profiles and bulk reassignment are administrator only. Users may
+ * record their own out-of-office; anyone else's needs an administrator.
+ * Setting a patient's primary coordinator needs patient:update. Each
+ * assignment the engine makes is audited by the service with its reasoning.
+ */
+
+'use strict';
+
+const { ipcMain } = require('electron');
+const taskAssignment = require('../../services/taskAssignment.cjs');
+const { PERMISSIONS } = require('../../services/accessControl.cjs');
+const shared = require('../shared.cjs');
+
+function requireSelfOrAdmin(userId, activity) {
+  if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+  const { currentUser } = shared.getSessionState();
+  if (currentUser.id === userId) return currentUser;
+  return shared.requireAdmin(activity);
+}
+
+function register() {
+  ipcMain.handle('assignment:listPolicies', async () => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    return taskAssignment.listPolicies(shared.getSessionOrgId());
+  });
+
+  ipcMain.handle('assignment:savePolicy', async (_event, data) => {
+    const user = shared.requireAdmin('changing task assignment');
+    const policy = taskAssignment.savePolicy(shared.getSessionOrgId(), data, user.email);
+    shared.logAudit('update', 'TaskAssignmentPolicy', policy.id, null,
+      JSON.stringify({ task_type: policy.task_type, strategy: policy.strategy }), user.email, user.role);
+    return policy;
+  });
+
+  ipcMain.handle('assignment:deletePolicy', async (_event, taskType) => {
+    const user = shared.requireAdmin('changing task assignment');
+    const result = taskAssignment.deletePolicy(shared.getSessionOrgId(), taskType);
+    shared.logAudit('delete', 'TaskAssignmentPolicy', null, null,
+      JSON.stringify({ task_type: taskType }), user.email, user.role);
+    return result;
+  });
+
+  ipcMain.handle('assignment:listAssignees', async () => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    return taskAssignment.listAssignees(shared.getSessionOrgId());
+  });
+
+  ipcMain.handle('assignment:saveProfile', async (_event, { user_id: userId, ...profile } = {}) => {
+    const user = shared.requireAdmin('changing an assignee profile');
+    const saved = taskAssignment.saveProfile(shared.getSessionOrgId(), userId, profile, user.email);
+    shared.logAudit('update', 'AssigneeProfile', userId, null,
+      JSON.stringify({
+        organ_programs: saved?.organ_programs,
+        skills: saved?.skills,
+        accepts_assignments: saved?.accepts_assignments,
+      }), user.email, user.role);
+    return saved;
+  });
+
+  ipcMain.handle('assignment:listOutOfOffice', async () => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    return taskAssignment.listOutOfOffice(shared.getSessionOrgId());
+  });
+
+  ipcMain.handle('assignment:addOutOfOffice', async (_event, { user_id: userId, ...period } = {}) => {
+    const user = requireSelfOrAdmin(userId, "recording another user's out-of-office");
+    const row = taskAssignment.addOutOfOffice(shared.getSessionOrgId(), userId, period, user.email);
+    shared.logAudit('create', 'OutOfOffice', row.id, null,
+      JSON.stringify({ user_id: userId, starts_at: row.starts_at, ends_at: row.ends_at }), user.email, user.role);
+    return row;
+  });
+
+  ipcMain.handle('assignment:removeOutOfOffice', async (_event, id) => {
+    const orgId = shared.getSessionOrgId();
+    const row = taskAssignment.listOutOfOffice(orgId, { from: new Date(0) }).find((o) => o.id === id);
+    const user = requireSelfOrAdmin(row?.user_id, "removing another user's out-of-office");
+    const result = taskAssignment.removeOutOfOffice(orgId, id);
+    shared.logAudit('delete', 'OutOfOffice', id, null,
+      JSON.stringify({ user_id: row?.user_id ?? null }), user.email, user.role);
+    return result;
+  });
+
+  ipcMain.handle('assignment:setPrimaryCoordinator', async (_event, { patient_id: patientId, user_id: userId } = {}) => {
+    const user = shared.requirePermission(PERMISSIONS.PATIENT_UPDATE, "setting a patient's primary coordinator");
+    const result = taskAssignment.setPrimaryCoordinator(shared.getSessionOrgId(), patientId, userId);
+    shared.logAudit('update', 'Patient', patientId, null,
+      JSON.stringify({ primary_coordinator_id: result.primary_coordinator_id }), user.email, user.role);
+    return result;
+  });
+
+  ipcMain.handle('assignment:reassign', async (_event, { from_user_id: fromUserId, to_user_id: toUserId } = {}) => {
+    const user = shared.requireAdmin('reassigning tasks');
+    return taskAssignment.reassignOpenTasks(shared.getSessionOrgId(), fromUserId, {
+      toUserId,
+      actor: { email: user.email, role: user.role },
+    });
+  });
+}
+
+module.exports = { register };
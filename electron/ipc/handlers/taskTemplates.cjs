@@ -0,0 +1,70 @@
+/**
+ * Task template and protocol IPC handlers.
+ * Channels: taskTemplates:list, taskTemplates:save, taskTemplates:delete,
+ *           taskTemplates:instantiate, taskTemplates:getPatientProtocols,
+ *           taskTemplates:cancelProtocol
+ *
+ * Authorisation: any signed-in user may read templates and a patient's
+ * protocols. Templates are administrator only. Starting or cancelling a
+ * protocol changes a patient's workup, so it needs patient:update.
+ */
+
+'use strict';
+
+const { ipcMain } = require('electron');
+const taskTemplates = require('../../services/taskTemplates.cjs');
+const { PERMISSIONS } = require('../../services/accessControl.cjs');
+const shared = require('../shared.cjs');
+
+function register() {
+  ipcMain.handle('taskTemplates:list', async (_event, filters) => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    return taskTemplates.listTemplates(shared.getSessionOrgId(), {
+      organType: filters?.organ_type,
+      activeOnly: filters?.active_only === true,
+    });
+  });
+
+  ipcMain.handle('taskTemplates:save', async (_event, data) => {
+    const user = shared.requireAdmin('changing task templates');
+    const template = taskTemplates.saveTemplate(shared.getSessionOrgId(), data, user.email);
+    shared.logAudit(data?.id ? 'update' : 'create', 'TaskTemplate', template.id, null,
+      JSON.stringify({ name: template.name, organ_type: template.organ_type, items: template.items.length }),
+      user.email, user.role);
+    return template;
+  });
+
+  ipcMain.handle('taskTemplates:delete', async (_event, id) => {
+    const user = shared.requireAdmin('changing task templates');
+    const result = taskTemplates.deleteTemplate(shared.getSessionOrgId(), id);
+    shared.logAudit('delete', 'TaskTemplate', id, null, 'Task template deleted', user.email, user.role);
+    return result;
+  });
+
+  ipcMain.handle('taskTemplates:instantiate', async (_event, { template_id: templateId, patient_id: patientId, start_date: startDate } = {}) => {
+    const user = shared.requirePermission(PERMISSIONS.PATIENT_UPDATE, 'starting a task protocol');
+    const protocol = taskTemplates.instantiate(shared.getSessionOrgId(), templateId, patientId, {
+      startDate,
+      createdBy: user.email,
+    });
+    shared.logAudit('create', 'TaskProtocol', protocol.id, null,
+      JSON.stringify({ patient_id: patientId, template: protocol.template_name, tasks: protocol.items.length }),
+      user.email, user.role);
+    return protocol;
+  });
+
+  ipcMain.handle('taskTemplates:getPatientProtocols', async (_event, patientId) => {
+    if (!shared.validateSession()) throw new Error('Session expired. Please log in again.');
+    return taskTemplates.listPatientProtocols(shared.getSessionOrgId(), patientId);
+  });
+
+  ipcMain.handle('taskTemplates:cancelProtocol', async (_event, id) => {
+    const user = shared.requirePermission(PERMISSIONS.PATIENT_UPDATE, 'cancelling a task protocol');
+    const protocol = taskTemplates.cancelProtocol(shared.getSessionOrgId(), id, user.email);
+    shared.logAudit('update', 'TaskProtocol', id, null,
+      JSON.stringify({ patient_id: protocol.patient_id, status: 'cancelled' }), user.email, user.role);
+    return protocol;
+  });
+}
+
+module.exports = { register };
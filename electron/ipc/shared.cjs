@@ -275,8 +275,8 @@ const ALLOWED_ORDER_COLUMNS = {
   organizations: ['id', 'name', 'type', 'status', 'created_at', 'updated_at'],
   licenses: ['id', 'tier', 'activated_at', 'license_expires_at', 'created_at', 'updated_at'],
   settings: ['id', 'key', 'value', 'updated_at'],
-  lab_results: ['id', 'patient_id', 'test_code', 'test_name', 'collected_at', 'resulted_at', 'source', 'created_at', 'updated_at'],
-  required_lab_types: ['id', 'test_code', 'test_name', 'organ_type', 'max_age_days', 'is_active', 'created_at', 'updated_at'],
+  lab_results: ['id', 'patient_id', 'test_code', 'test_name', 'loinc_code', 'collected_at', 'resulted_at', 'source', 'created_at', 'updated_at'],
+  required_lab_types: ['id', 'test_code', 'test_name', 'loinc_code', 'organ_type', 'max_age_days', 'is_active', 'created_at', 'updated_at'],
 };
 
 const entityTableMap = {
@@ -300,7 +300,7 @@ const ALLOWED_WRITE_COLUMNS = {
   patients: [
     'patient_id', 'first_name', 'last_name', 'date_of_birth', 'blood_type',
     'organ_needed', 'medical_urgency', 'waitlist_status', 'date_added_to_waitlist',
-    'priority_score', 'priority_score_breakdown', 'hla_typing', 'pra_percentage',
+    'priority_score', 'priority_score_breakdown', 'hla_typing', 'unacceptable_antigens', 'hla_antibodies', 'a2_to_b_eligible', 'pra_percentage',
     'cpra_percentage', 'meld_score', 'las_score', 'functional_status', 'prognosis_rating',
     'last_evaluation_date', 'comorbidity_score', 'previous_transplants', 'compliance_score',
     'weight_kg', 'height_cm', 'phone', 'email', 'contact_phone', 'contact_email',
@@ -309,15 +309,15 @@ const ALLOWED_WRITE_COLUMNS = {
     'support_system_rating', 'document_urls', 'notes',
   ],
   donor_organs: [
-    'donor_id', 'organ_type', 'blood_type', 'hla_typing', 'donor_age',
+    'donor_id', 'organ_type', 'blood_type', 'abo_subtype', 'hla_typing', 'donor_age',
     'donor_weight_kg', 'donor_height_cm', 'cause_of_death', 'cold_ischemia_time_hours',
     'organ_condition', 'organ_quality', 'organ_status', 'status', 'recovery_date',
-    'procurement_date', 'recovery_hospital', 'location', 'expiration_date', 'notes',
+    'procurement_date', 'recovery_hospital', 'location', 'distance_nm', 'expiration_date', 'notes',
   ],
   matches: [
     'donor_organ_id', 'patient_id', 'patient_name', 'compatibility_score',
     'blood_type_compatible', 'abo_compatible', 'hla_match_score', 'hla_a_match',
-    'hla_b_match', 'hla_dr_match', 'hla_dq_match', 'size_compatible', 'match_status',
+    'hla_b_match', 'hla_dr_match', 'hla_dq_match', 'hla_mismatches', 'size_compatible', 'match_status',
     'priority_rank', 'virtual_crossmatch_result', 'physical_crossmatch_result',
     'predicted_graft_survival', 'notes',
   ],
@@ -381,6 +381,7 @@ function filterToAllowedColumns(tableName, data) {
 const jsonFields = [
   'priority_score_breakdown', 'conditions', 'notification_template',
   'metadata', 'import_data', 'error_details', 'document_urls', 'identified_issues',
+  'unacceptable_antigens', 'hla_mismatches', 'hla_antibodies',
 ];
 
 const PASSWORD_REQUIREMENTS = {
@@ -692,6 +692,15 @@ app.whenReady().then(async () => {
       logger.error('Failed to start automated backup schedule', { error: backupErr.message });
     }
 
+    // Escalations, auto-tasks, follow-up overdue marking and risk scoring run
+    // on their per-organization schedules rather than only on demand.
+    try {
+      const { startScheduler } = require('./services/jobScheduler.cjs');
+      startScheduler();
+    } catch (schedErr) {
+      logger.error('Failed to start job scheduler', { error: schedErr.message });
+    }
+
     if (app.isPackaged) {
       initAutoUpdater();
     }
@@ -783,6 +792,10 @@ app.on('before-quit', async () => {
     const { stopAutoBackupSchedule } = require('./services/disasterRecovery.cjs');
     stopAutoBackupSchedule();
   } catch { /* ignore */ }
+  try {
+    const { stopScheduler } = require('./services/jobScheduler.cjs');
+    stopScheduler();
+  } catch { /* ignore */ }
   await closeDatabase();
   closeLogger();
 });
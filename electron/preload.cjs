@@ -130,6 +130,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     las: (inputs) => ipcRenderer.invoke('calculator:las', inputs),
     kdpi: (inputs) => ipcRenderer.invoke('calculator:kdpi', inputs),
     epts: (inputs) => ipcRenderer.invoke('calculator:epts', inputs),
+    cpra: (inputs) => ipcRenderer.invoke('calculator:cpra', inputs),
     listFormulas: () => ipcRenderer.invoke('calculator:listFormulas'),
   },
 
@@ -143,6 +144,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     transition: (params) => ipcRenderer.invoke('organOffer:transition', params),
     expireDue: () => ipcRenderer.invoke('organOffer:expireDue'),
     getEvents: (offerId) => ipcRenderer.invoke('organOffer:getEvents', offerId),
+    getChain: (donorOrganId) => ipcRenderer.invoke('organOffer:getChain', donorOrganId),
   },
 
   // Post-transplant follow-up
@@ -177,6 +179,62 @@ contextBridge.exposeInMainWorld('electronAPI', {
     markOverdue: () => ipcRenderer.invoke('livingDonor:markOverdue'),
     summary: (donorId) => ipcRenderer.invoke('livingDonor:summary', donorId),
   },
+  matchPolicy: {
+    getDefault: (organType) => ipcRenderer.invoke('matchPolicy:getDefault', organType),
+    list: () => ipcRenderer.invoke('matchPolicy:list'),
+    history: (organType) => ipcRenderer.invoke('matchPolicy:history', organType),
+    save: (data) => ipcRenderer.invoke('matchPolicy:save', data),
+    activate: (id) => ipcRenderer.invoke('matchPolicy:activate', id),
+  },
+  matchRuns: {
+    list: (filters) => ipcRenderer.invoke('matchRun:list', filters),
+    get: (id) => ipcRenderer.invoke('matchRun:get', id),
+    replay: (id) => ipcRenderer.invoke('matchRun:replay', id),
+  },
+
+  // Background job scheduler (admin-only)
+  scheduler: {
+    listJobs: () => ipcRenderer.invoke('scheduler:listJobs'),
+    listRuns: (filters) => ipcRenderer.invoke('scheduler:listRuns', filters),
+    pause: (jobKey) => ipcRenderer.invoke('scheduler:pause', jobKey),
+    resume: (jobKey) => ipcRenderer.invoke('scheduler:resume', jobKey),
+    trigger: (jobKey) => ipcRenderer.invoke('scheduler:trigger', jobKey),
+    updateSchedule: (data) => ipcRenderer.invoke('scheduler:updateSchedule', data),
+  },
+
+  // Working calendar for business-time SLAs (changes are admin-only)
+  calendar: {
+    get: () => ipcRenderer.invoke('calendar:get'),
+    saveHours: (hours) => ipcRenderer.invoke('calendar:saveHours', hours),
+    addHoliday: (data) => ipcRenderer.invoke('calendar:addHoliday', data),
+    removeHoliday: (id) => ipcRenderer.invoke('calendar:removeHoliday', id),
+    addOnCall: (data) => ipcRenderer.invoke('calendar:addOnCall', data),
+    removeOnCall: (id) => ipcRenderer.invoke('calendar:removeOnCall', id),
+  },
+
+  // Task assignment policies, assignees and out-of-office
+  assignment: {
+    listPolicies: () => ipcRenderer.invoke('assignment:listPolicies'),
+    savePolicy: (data) => ipcRenderer.invoke('assignment:savePolicy', data),
+    deletePolicy: (taskType) => ipcRenderer.invoke('assignment:deletePolicy', taskType),
+    listAssignees: () => ipcRenderer.invoke('assignment:listAssignees'),
+    saveProfile: (data) => ipcRenderer.invoke('assignment:saveProfile', data),
+    listOutOfOffice: () => ipcRenderer.invoke('assignment:listOutOfOffice'),
+    addOutOfOffice: (data) => ipcRenderer.invoke('assignment:addOutOfOffice', data),
+    removeOutOfOffice: (id) => ipcRenderer.invoke('assignment:removeOutOfOffice', id),
+    setPrimaryCoordinator: (data) => ipcRenderer.invoke('assignment:setPrimaryCoordinator', data),
+    reassign: (data) => ipcRenderer.invoke('assignment:reassign', data),
+  },
+
+  // Task templates (protocol checklists) and their instances on patients
+  taskTemplates: {
+    list: (filters) => ipcRenderer.invoke('taskTemplates:list', filters),
+    save: (data) => ipcRenderer.invoke('taskTemplates:save', data),
+    delete: (id) => ipcRenderer.invoke('taskTemplates:delete', id),
+    instantiate: (data) => ipcRenderer.invoke('taskTemplates:instantiate', data),
+    getPatientProtocols: (patientId) => ipcRenderer.invoke('taskTemplates:getPatientProtocols', patientId),
+    cancelProtocol: (id) => ipcRenderer.invoke('taskTemplates:cancelProtocol', id),
+  },
 
   // SIEM destinations (admin-only)
   siem: {
@@ -191,6 +249,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   hl7: {
     parse: (raw) => ipcRenderer.invoke('hl7:parse', raw),
     buildAck: (params) => ipcRenderer.invoke('hl7:buildAck', params),
+    buildBatchAck: (params) => ipcRenderer.invoke('hl7:buildBatchAck', params),
     supportedEvents: () => ipcRenderer.invoke('hl7:supportedEvents'),
     ingest: (params) => ipcRenderer.invoke('hl7:ingest', params),
   },
@@ -213,8 +272,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Generic entity operations
     create: (entityName, data) => ipcRenderer.invoke('entity:create', entityName, data),
     get: (entityName, id) => ipcRenderer.invoke('entity:get', entityName, id),
-    update: (entityName, id, data) => ipcRenderer.invoke('entity:update', entityName, id, data),
-    delete: (entityName, id) => ipcRenderer.invoke('entity:delete', entityName, id),
+    update: (entityName, id, data, options) => ipcRenderer.invoke('entity:update', entityName, id, data, options),
+    delete: (entityName, id, options) => ipcRenderer.invoke('entity:delete', entityName, id, options),
     list: (entityName, orderBy, limit) => ipcRenderer.invoke('entity:list', entityName, orderBy, limit),
     filter: (entityName, filters, orderBy, limit) => ipcRenderer.invoke('entity:filter', entityName, filters, orderBy, limit),
     
@@ -222,8 +281,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
     Patient: {
       create: (data) => ipcRenderer.invoke('entity:create', 'Patient', data),
       get: (id) => ipcRenderer.invoke('entity:get', 'Patient', id),
-      update: (id, data) => ipcRenderer.invoke('entity:update', 'Patient', id, data),
-      delete: (id) => ipcRenderer.invoke('entity:delete', 'Patient', id),
+      update: (id, data, options) => ipcRenderer.invoke('entity:update', 'Patient', id, data, options),
+      delete: (id, options) => ipcRenderer.invoke('entity:delete', 'Patient', id, options),
       list: (orderBy, limit) => ipcRenderer.invoke('entity:list', 'Patient', orderBy, limit),
       filter: (filters, orderBy, limit) => ipcRenderer.invoke('entity:filter', 'Patient', filters, orderBy, limit)
     },
@@ -505,6 +564,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Reference data
     getCodes: () => ipcRenderer.invoke('labs:getCodes'),
     getSources: () => ipcRenderer.invoke('labs:getSources'),
+    getCatalog: () => ipcRenderer.invoke('labs:getCatalog'),
     
     // CRUD operations
     create: (data) => ipcRenderer.invoke('labs:create', data),
@@ -520,6 +580,11 @@ contextBridge.exposeInMainWorld('electronAPI', {
     
     // Configuration
     getRequiredTypes: (organType) => ipcRenderer.invoke('labs:getRequiredTypes', organType),
+    
+    // Local code → LOINC mappings per sending application
+    listCodeMappings: (filters) => ipcRenderer.invoke('labs:listCodeMappings', filters),
+    saveCodeMapping: (data) => ipcRenderer.invoke('labs:saveCodeMapping', data),
+    deleteCodeMapping: (id) => ipcRenderer.invoke('labs:deleteCodeMapping', id),
   },
   
   // Outcomes Tracking (ROI & Operational Metrics)
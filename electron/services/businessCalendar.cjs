@@ -0,0 +1,320 @@
+/**
+ * Working calendar and SLA clocks.
+ *
+ * Each organization has weekly business hours, holidays and on-call cover.
+ * Business time is the weekly hours of every non-holiday day plus any on-call
+ * window, so a holiday or a weekend the program staffs on call still counts.
+ * Everything is evaluated in the workstation's local time, as the scheduler
+ * (./jobScheduler.cjs) does.
+ *
+ * An organization that has not set its hours gets DEFAULT_HOURS, Monday to
+ * Friday 08:00–17:00.
+ *
+ * Users: task escalation rules count hours_before_escalation in business time
+ * unless the rule opts out; tasks and organ offers can take an SLA in business
+ * hours from which their due time is computed; and open tasks, barriers and
+ * offers report the business time left on their clock via `slaFor`.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../database/init.cjs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Far enough to cross any holiday season; stops a calendar with no working
+// time at all from searching forever.
+const MAX_SEARCH_DAYS = 3 * 366;
+
+const WEEKDAY_HOURS = [['08:00', '17:00']];
+const DEFAULT_HOURS = Object.freeze({
+  0: [], 1: WEEKDAY_HOURS, 2: WEEKDAY_HOURS, 3: WEEKDAY_HOURS, 4: WEEKDAY_HOURS, 5: WEEKDAY_HOURS, 6: [],
+});
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function ensure(value, name) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`${name} is required`);
+  }
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// SQLite's datetime('now') form, which is UTC but which Date would read as local.
+const SQLITE_DATETIME_RE = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}(:\d{2}(\.\d+)?)?$/;
+
+function toDate(value, name) {
+  let d;
+  if (value instanceof Date) d = new Date(value.getTime());
+  else if (typeof value === 'string' && SQLITE_DATETIME_RE.test(value)) d = new Date(`${value.replace(' ', 'T')}Z`);
+  else d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new Error(`${name} is not a valid date/time`);
+  return d;
+}
+
+/** `date` in SQLite's datetime('now') form, for columns compared against it. */
+function toSqliteDateTime(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function dateKey(d) {
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+function startOfDay(d) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Validate and normalise weekly hours: weekday 0 (Sunday) to 6 → list of
+ * ['HH:MM', 'HH:MM'] periods. A missing weekday is closed.
+ */
+function normaliseHours(hours) {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    throw new Error('hours must map weekday 0-6 to a list of [start, end] periods');
+  }
+  const out = {};
+  for (let day = 0; day <= 6; day++) {
+    const periods = hours[day] ?? hours[String(day)] ?? [];
+    if (!Array.isArray(periods)) throw new Error(`hours for weekday ${day} must be a list`);
+    out[day] = periods.map((p) => {
+      const [start, end] = Array.isArray(p) ? p : [p?.start, p?.end];
+      if (!TIME_RE.test(start || '') || !TIME_RE.test(end || '')) {
+        throw new Error(`Invalid business hours for weekday ${day}: use HH:MM`);
+      }
+      if (toMinutes(start) >= toMinutes(end)) {
+        throw new Error(`Business hours for weekday ${day} must end after they start`);
+      }
+      return [start, end];
+    }).sort((a, b) => toMinutes(a[0]) - toMinutes(b[0]));
+  }
+  return out;
+}
+
+function mergeIntervals(intervals) {
+  const sorted = intervals.filter(([s, e]) => e > s).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [s, e] of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+    else merged.push([s, e]);
+  }
+  return merged;
+}
+
+/**
+ * Build the form the clock functions read from stored or ad-hoc settings.
+ * @param {{ hours?: object, holidays?: Array<string|{date:string}>, onCall?: Array<{starts_at, ends_at}> }} settings
+ */
+function compile({ hours = DEFAULT_HOURS, holidays = [], onCall = [] } = {}) {
+  const weekly = normaliseHours(hours);
+  return {
+    weekly,
+    holidays: new Set(holidays.map((h) => (typeof h === 'string' ? h : h.date))),
+    onCall: mergeIntervals(onCall.map((w) => [
+      toDate(w.starts_at, 'starts_at').getTime(),
+      toDate(w.ends_at, 'ends_at').getTime(),
+    ])),
+  };
+}
+
+/** Working intervals, as [startMs, endMs], of the local day starting at `day`. */
+function intervalsForDay(calendar, day) {
+  const dayStart = day.getTime();
+  const next = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1).getTime();
+  const intervals = [];
+  if (!calendar.holidays.has(dateKey(day))) {
+    for (const [start, end] of calendar.weekly[day.getDay()]) {
+      const s = toMinutes(start);
+      const e = toMinutes(end);
+      intervals.push([
+        new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(s / 60), s % 60).getTime(),
+        e === 24 * 60 ? next : new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(e / 60), e % 60).getTime(),
+      ]);
+    }
+  }
+  for (const [s, e] of calendar.onCall) {
+    if (s < next && e > dayStart) intervals.push([Math.max(s, dayStart), Math.min(e, next)]);
+  }
+  return mergeIntervals(intervals);
+}
+
+/**
+ * Business milliseconds between two instants; negative when `to` is earlier.
+ */
+function businessMsBetween(calendar, from, to) {
+  const a = toDate(from, 'from').getTime();
+  const b = toDate(to, 'to').getTime();
+  if (b < a) return -businessMsBetween(calendar, to, from);
+  let total = 0;
+  for (let day = startOfDay(new Date(a)); day.getTime() < b;
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+    for (const [s, e] of intervalsForDay(calendar, day)) {
+      total += Math.max(0, Math.min(e, b) - Math.max(s, a));
+    }
+  }
+  return total;
+}
+
+/** The instant `ms` business milliseconds after `from`. */
+function addBusinessMs(calendar, from, ms) {
+  const start = toDate(from, 'from').getTime();
+  if (!(ms > 0)) return new Date(start);
+  let remaining = ms;
+  let day = startOfDay(new Date(start));
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++) {
+    for (const [s, e] of intervalsForDay(calendar, day)) {
+      const begin = Math.max(s, start);
+      if (e <= begin) continue;
+      if (e - begin >= remaining) return new Date(begin + remaining);
+      remaining -= e - begin;
+    }
+    day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+  }
+  throw new Error('Working calendar has no business hours in the next three years');
+}
+
+function businessHoursBetween(calendar, from, to) {
+  return businessMsBetween(calendar, from, to) / HOUR_MS;
+}
+
+function addBusinessHours(calendar, from, hours) {
+  return addBusinessMs(calendar, from, Number(hours) * HOUR_MS);
+}
+
+/**
+ * A date-only due value (a barrier's target_resolution_date) falls due at the
+ * end of that local day; anything else is an instant.
+ */
+function dueInstant(due) {
+  if (typeof due === 'string' && DATE_RE.test(due)) {
+    const [y, m, d] = due.split('-').map(Number);
+    return new Date(y, m - 1, d + 1);
+  }
+  return toDate(due, 'due');
+}
+
+/**
+ * The SLA clock of something due at `due`: business hours left (negative once
+ * breached, counting the business time since), and whether it is breached.
+ * @returns {{ due_at: string, remaining_hours: number, breached: boolean } | null}
+ */
+function slaFor(calendar, due, now = new Date()) {
+  if (!due) return null;
+  const dueAt = dueInstant(due);
+  const breached = dueAt.getTime() <= now.getTime();
+  return {
+    due_at: dueAt.toISOString(),
+    remaining_hours: Math.round(businessHoursBetween(calendar, now, dueAt) * 100) / 100,
+    breached,
+  };
+}
+
+// --- stored calendars ---
+
+function getCalendar(orgId) {
+  ensure(orgId, 'orgId');
+  const db = getDatabase();
+  const row = db.prepare('SELECT * FROM work_calendars WHERE org_id = ?').get(orgId);
+  return {
+    org_id: orgId,
+    hours: row ? normaliseHours(JSON.parse(row.hours)) : normaliseHours(DEFAULT_HOURS),
+    is_default: !row,
+    updated_by: row?.updated_by ?? null,
+    updated_at: row?.updated_at ?? null,
+    holidays: db.prepare('SELECT * FROM calendar_holidays WHERE org_id = ? ORDER BY date').all(orgId),
+    on_call: db.prepare('SELECT * FROM calendar_on_call WHERE org_id = ? ORDER BY starts_at').all(orgId),
+  };
+}
+
+/** The organization's calendar, compiled for the clock functions. */
+function loadCalendar(orgId) {
+  const cal = getCalendar(orgId);
+  return compile({ hours: cal.hours, holidays: cal.holidays, onCall: cal.on_call });
+}
+
+function saveHours(orgId, hours, updatedBy) {
+  ensure(orgId, 'orgId');
+  const normalised = normaliseHours(hours);
+  getDatabase().prepare(`
+    INSERT INTO work_calendars (org_id, hours, updated_by, updated_at)
+    VALUES (?, ?, ?, datetime('now'))
+    ON CONFLICT(org_id) DO UPDATE SET hours = excluded.hours, updated_by = excluded.updated_by,
+                                      updated_at = excluded.updated_at
+  `).run(orgId, JSON.stringify(normalised), updatedBy ?? null);
+  return getCalendar(orgId);
+}
+
+function addHoliday(orgId, { date, name } = {}, createdBy) {
+  ensure(orgId, 'orgId');
+  ensure(date, 'date');
+  ensure(name, 'name');
+  if (!DATE_RE.test(date) || Number.isNaN(new Date(`${date}T00:00:00`).getTime())) {
+    throw new Error('date must be YYYY-MM-DD');
+  }
+  const db = getDatabase();
+  if (db.prepare('SELECT id FROM calendar_holidays WHERE org_id = ? AND date = ?').get(orgId, date)) {
+    throw new Error(`${date} is already a holiday`);
+  }
+  const id = uuidv4();
+  db.prepare('INSERT INTO calendar_holidays (id, org_id, date, name, created_by) VALUES (?, ?, ?, ?, ?)')
+    .run(id, orgId, date, String(name).trim(), createdBy ?? null);
+  return db.prepare('SELECT * FROM calendar_holidays WHERE id = ?').get(id);
+}
+
+function removeHoliday(orgId, id) {
+  ensure(orgId, 'orgId');
+  const info = getDatabase().prepare('DELETE FROM calendar_holidays WHERE id = ? AND org_id = ?').run(id, orgId);
+  if (info.changes === 0) throw new Error('Holiday not found');
+  return { success: true };
+}
+
+function addOnCall(orgId, { starts_at: startsAt, ends_at: endsAt, label } = {}, createdBy) {
+  ensure(orgId, 'orgId');
+  ensure(startsAt, 'starts_at');
+  ensure(endsAt, 'ends_at');
+  const start = toDate(startsAt, 'starts_at');
+  const end = toDate(endsAt, 'ends_at');
+  if (end <= start) throw new Error('On-call cover must end after it starts');
+  const db = getDatabase();
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO calendar_on_call (id, org_id, starts_at, ends_at, label, created_by) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(id, orgId, start.toISOString(), end.toISOString(), label ?? null, createdBy ?? null);
+  return db.prepare('SELECT * FROM calendar_on_call WHERE id = ?').get(id);
+}
+
+function removeOnCall(orgId, id) {
+  ensure(orgId, 'orgId');
+  const info = getDatabase().prepare('DELETE FROM calendar_on_call WHERE id = ? AND org_id = ?').run(id, orgId);
+  if (info.changes === 0) throw new Error('On-call cover not found');
+  return { success: true };
+}
+
+module.exports = {
+  DEFAULT_HOURS,
+  HOUR_MS,
+  normaliseHours,
+  compile,
+  businessMsBetween,
+  businessHoursBetween,
+  addBusinessMs,
+  addBusinessHours,
+  slaFor,
+  toSqliteDateTime,
+  getCalendar,
+  loadCalendar,
+  saveHours,
+  addHoliday,
+  removeHoliday,
+  addOnCall,
+  removeOnCall,
+};
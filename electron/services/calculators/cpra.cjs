@@ -0,0 +1,117 @@
+/**
+ * cPRA — calculated Panel Reactive Antibody, kidney candidates.
+ *
+ * The share of donors, weighted by the ethnic make-up of the donor pool, who
+ * carry at least one of the candidate's unacceptable antigens:
+ *
+ *   F(e, locus) = sum of the frequencies, in ethnic group e, of the antigens
+ *                 at that locus the unacceptable antigens cover
+ *   P_none(e)   = product over loci of (1 - F(e, locus))^2
+ *   cPRA        = 100 * sum over e of weight(e) * (1 - P_none(e))
+ *
+ * Squared because a donor has two haplotypes. An unacceptable broad covers
+ * each of its splits and an allele its serological equivalent (see
+ * ../hla.cjs).
+ *
+ * Output is a *reference value*. Allocation occurs in UNet.
+ *
+ * Citation: OPTN CPRA calculator; Cecka JM, Am J Transplant 2010;10:26-29.
+ */
+
+'use strict';
+
+const referenceData = require('./referenceData.cjs');
+const hla = require('../hla.cjs');
+
+function antigenList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(/[\s,;]+/).filter(Boolean);
+  return null;
+}
+
+/**
+ * Inputs:
+ *   unacceptable_antigens:  string[] (or a delimited string); [] gives 0
+ */
+function calculateCPRA({ unacceptable_antigens }) {
+  const listed = antigenList(unacceptable_antigens);
+  if (!listed) {
+    return { cpra: null, reason: 'INSUFFICIENT_DATA', missing: ['unacceptable_antigens'], formula: 'cPRA' };
+  }
+  const { antigens, invalid } = hla.normalizeAntigenList(listed);
+  if (invalid.length) return { cpra: null, reason: 'INVALID_INPUT', invalid, formula: 'cPRA' };
+
+  const table = referenceData.loadTable(referenceData.TABLE_IDS.CPRA);
+  const equivalences = referenceData.loadTable(referenceData.TABLE_IDS.HLA);
+  const missing = [table, equivalences].find((t) => !t.available);
+  if (missing) {
+    return {
+      cpra: null,
+      reason: missing.reason,
+      message: missing.message,
+      formula: 'cPRA',
+      source: { sourceId: missing.meta?.sourceId || 'SRC-OPTN-CPRA', status: missing.status },
+    };
+  }
+
+  const { weights, frequencies } = table.data;
+  // Covered antigens per locus; an antigen no group lists is reported rather
+  // than silently counted as zero.
+  const covered = {};
+  const counted = [];
+  const unlisted = [];
+  for (const antigen of antigens) {
+    const coverage = hla.serologicCoverage(antigen);
+    const listedAt = (coverage?.antigens || []).filter((a) =>
+      Object.values(frequencies).some((loci) => loci[coverage.locus]?.[a] !== undefined));
+    if (!listedAt.length) {
+      unlisted.push(antigen);
+      continue;
+    }
+    counted.push(antigen);
+    covered[coverage.locus] = new Set([...(covered[coverage.locus] || []), ...listedAt]);
+  }
+
+  const byGroup = {};
+  let cpra = 0;
+  for (const [group, weight] of Object.entries(weights)) {
+    let none = 1;
+    for (const [locus, set] of Object.entries(covered)) {
+      const f = [...set].reduce((sum, a) => sum + (frequencies[group][locus]?.[a] || 0), 0);
+      none *= (1 - Math.min(1, f)) ** 2;
+    }
+    byGroup[group] = Number((100 * (1 - none)).toFixed(2));
+    cpra += weight * (1 - none);
+  }
+
+  const source = referenceData.provenanceOf(table);
+
+  return {
+    cpra: Number((100 * cpra).toFixed(2)),
+    formula: 'cPRA',
+    inputs: { unacceptable_antigens: antigens },
+    byGroup,
+    counted,
+    unlisted,
+    citation: 'OPTN CPRA calculator; Cecka JM, Am J Transplant 2010;10:26-29.',
+    source,
+    disclaimer:
+      'Reference value only. This cPRA combines per-locus antigen frequencies ' +
+      'as if the loci were independent; the OPTN calculator uses haplotype ' +
+      'frequencies, and its value is the one used for allocation.' +
+      (unlisted.length
+        ? ` Not counted, as the frequency table does not list them: ${unlisted.join(', ')}.`
+        : '') +
+      (source.stale
+        ? ` WARNING: the frequency table in use (revision ${source.sourceRevision}) ` +
+          `passed its review date ${source.reviewBy} ${source.daysOverdue} day(s) ago.`
+        : ''),
+  };
+}
+
+module.exports = {
+  calculateCPRA,
+  REQUIRED_FIELDS: {
+    cPRA: ['unacceptable_antigens'],
+  },
+};
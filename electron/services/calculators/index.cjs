@@ -4,6 +4,7 @@ const meld = require('./meld.cjs');
 const las = require('./las.cjs');
 const kdpi = require('./kdpi.cjs');
 const epts = require('./epts.cjs');
+const cpra = require('./cpra.cjs');
 const referenceData = require('./referenceData.cjs');
 
 const REQUIRED_FIELDS = Object.freeze({
@@ -11,6 +12,7 @@ const REQUIRED_FIELDS = Object.freeze({
   ...las.REQUIRED_FIELDS,
   ...kdpi.REQUIRED_FIELDS,
   ...epts.REQUIRED_FIELDS,
+  ...cpra.REQUIRED_FIELDS,
 });
 
 module.exports = {
@@ -23,9 +25,10 @@ module.exports = {
   calculateLAS: las.calculateLAS,
   calculateKDPI: kdpi.calculateKDPI,
   calculateEPTS: epts.calculateEPTS,
+  calculateCPRA: cpra.calculateCPRA,
   DIAGNOSIS_GROUPS: las.DIAGNOSIS_GROUPS,
   REQUIRED_FIELDS,
-  ALL_FORMULAS: ['MELD', 'MELD-Na', 'MELD-3.0', 'PELD', 'TTLI', 'KDPI', 'EPTS'],
+  ALL_FORMULAS: ['MELD', 'MELD-Na', 'MELD-3.0', 'PELD', 'TTLI', 'KDPI', 'EPTS', 'cPRA'],
   /**
    * Provenance of every constant the calculators depend on, for the Compliance
    * Center and the health check. A stale or missing entry here is the visible
@@ -39,6 +39,10 @@ const TABLE_IDS = Object.freeze({
   KDPI: 'optn-kdpi',
   EPTS: 'optn-epts',
   PELD: 'optn-peld',
+  HLA: 'hla-antigen-equivalences',
+  CPRA: 'optn-cpra',
+  // Not a calculator input: the LOINC lab catalog read by services/loinc.cjs.
+  LOINC: 'loinc-transplant-labs',
 });
 
 const REQUIRED_META = ['tableId', 'sourceId', 'sourceTitle', 'sourceRevision', 'effectiveDate', 'reviewBy', 'status'];
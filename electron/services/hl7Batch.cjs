@@ -0,0 +1,335 @@
+/**
+ * HL7 v2 batch files: FHS/BHS/BTS/FTS envelopes.
+ *
+ * Reference labs send nightly files shaped as
+ *
+ *   [FHS] { [BHS] { MSH ... } [BTS] } [FTS]
+ *
+ * BatchReader takes the file as byte chunks and hands back each complete
+ * message as soon as the next MSH or envelope segment closes it, so a large
+ * file is never held in memory. Message bytes are decoded with the character
+ * set each message declares in MSH-18 (hl7v2.decodeMessage); CR and LF are
+ * single bytes in every supported set, so splitting on them first is safe.
+ *
+ * reconcile() checks the counts a sender declares in BTS-1 (messages in the
+ * batch) and FTS-1 (batches in the file) against what was read, and
+ * buildBatchAck() writes the acknowledgement file: one ACK per message
+ * inside BHS/BTS with an accepted/error/rejected tally in BTS-2.
+ *
+ * Dependency-free, like hl7v2.cjs; the server requires it from here.
+ */
+
+'use strict';
+
+const hl7 = require('./hl7v2.cjs');
+
+const CR = 0x0D;
+const LF = 0x0A;
+const VT = 0x0B; // MLLP start block, tolerated in files captured off the wire
+const FS = 0x1C; // MLLP end block
+
+const ENVELOPE = new Set(['FHS', 'BHS', 'BTS', 'FTS']);
+
+/** Default cap on one message (and on one line while it is being read). */
+const DEFAULT_MAX_MESSAGE_BYTES = 1024 * 1024;
+
+/**
+ * Split an FHS or BHS line. They carry their own separators in positions 1
+ * and 2 exactly as MSH does; fields come back 1-based (fields[3] is FHS-3).
+ */
+function headerFields(line) {
+  let enc;
+  try { enc = hl7.readEncoding('MSH' + line.slice(3)); } catch { enc = hl7.DEFAULT_ENCODING; }
+  const parts = line.split(enc.field);
+  const fields = [parts[0], enc.field, ...parts.slice(1)];
+  const value = (n) => hl7.unescapeText((fields[n] || '').split(enc.component)[0], enc) || null;
+  return {
+    encoding: enc,
+    sending_app: value(3),
+    sending_facility: value(4),
+    receiving_app: value(5),
+    receiving_facility: value(6),
+    created_at: value(7),
+    name: value(9),
+    comment: value(10),
+    control_id: value(11),
+    reference_control_id: value(12),
+  };
+}
+
+/** BTS and FTS: count in field 1, comment in field 2. */
+function trailerFields(line, enc) {
+  const parts = line.split(enc.field);
+  const raw = (parts[1] || '').trim();
+  return {
+    declared_count: /^\d+$/.test(raw) ? Number(raw) : null,
+    declared_raw: raw || null,
+    comment: hl7.unescapeText(parts[2] || '', enc) || null,
+  };
+}
+
+class BatchError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'BatchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Incremental batch-file reader. push(chunk) and end() return the messages
+ * completed by that call as { raw, batch, sequence } (batch is 1-based,
+ * sequence counts messages across the whole file); envelope() describes
+ * the headers and trailers seen so far.
+ */
+class BatchReader {
+  constructor({ maxMessageBytes = DEFAULT_MAX_MESSAGE_BYTES } = {}) {
+    this.maxMessageBytes = maxMessageBytes;
+    this.pending = Buffer.alloc(0);   // bytes after the last line break
+    this.lines = [];                  // lines of the message being read
+    this.lineBytes = 0;
+    this.fileHeader = null;
+    this.fileTrailer = null;
+    this.batches = [];
+    this.current = null;              // open batch
+    this.sequence = 0;
+    this.bytesRead = 0;
+    this.strays = 0;                  // segments outside any message
+    this.ended = false;
+  }
+
+  push(chunk) {
+    if (this.ended) throw new BatchError('BatchReader already ended', 'ended');
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    this.bytesRead += buf.length;
+    const data = this.pending.length ? Buffer.concat([this.pending, buf]) : buf;
+    const out = [];
+    let start = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] !== CR && data[i] !== LF) continue;
+      if (i > start) this.line(data.subarray(start, i), out);
+      start = i + 1;
+    }
+    this.pending = Buffer.from(data.subarray(start));
+    this.assertSize(this.pending.length);
+    return out;
+  }
+
+  end() {
+    if (this.ended) return [];
+    const out = [];
+    if (this.pending.length) this.line(this.pending, out);
+    this.pending = Buffer.alloc(0);
+    this.flush(out);
+    if (this.current) this.closeBatch(null);
+    this.ended = true;
+    return out;
+  }
+
+  assertSize(extra) {
+    if (this.lineBytes + extra > this.maxMessageBytes) {
+      throw new BatchError(`HL7 message in batch exceeds ${this.maxMessageBytes} bytes`, 'message_too_large');
+    }
+  }
+
+  line(bytes, out) {
+    let b = bytes;
+    while (b.length && (b[0] === VT || b[0] === FS)) b = b.subarray(1);
+    while (b.length && (b[b.length - 1] === VT || b[b.length - 1] === FS || b[b.length - 1] === 0x20)) {
+      b = b.subarray(0, b.length - 1);
+    }
+    if (!b.length) return;
+    const name = b.subarray(0, 3).toString('latin1');
+    if (name === 'MSH') {
+      this.flush(out);
+      this.lines.push(Buffer.from(b));
+      this.lineBytes = b.length;
+      this.assertSize(0);
+      return;
+    }
+    if (ENVELOPE.has(name)) {
+      this.flush(out);
+      this.envelopeSegment(name, b.toString('utf8'));
+      return;
+    }
+    if (!this.lines.length) {
+      this.strays++;
+      return;
+    }
+    this.assertSize(b.length + 1);
+    this.lines.push(Buffer.from(b));
+    this.lineBytes += b.length + 1;
+  }
+
+  flush(out) {
+    if (!this.lines.length) return;
+    const bytes = Buffer.concat(this.lines.flatMap((l, i) => (i ? [Buffer.from([CR]), l] : [l])));
+    this.lines = [];
+    this.lineBytes = 0;
+    if (!this.current) this.openBatch(null);
+    this.current.counted++;
+    this.sequence++;
+    out.push({ raw: hl7.decodeMessage(bytes), batch: this.current.index, sequence: this.sequence });
+  }
+
+  openBatch(header) {
+    this.current = { index: this.batches.length + 1, header, trailer: null, counted: 0 };
+    this.batches.push(this.current);
+  }
+
+  closeBatch(trailer) {
+    this.current.trailer = trailer;
+    this.current = null;
+  }
+
+  envelopeSegment(name, text) {
+    const enc = this.fileHeader?.encoding || hl7.DEFAULT_ENCODING;
+    switch (name) {
+      case 'FHS':
+        this.fileHeader = headerFields(text);
+        break;
+      case 'BHS':
+        if (this.current) this.closeBatch(null);
+        this.openBatch(headerFields(text));
+        break;
+      case 'BTS':
+        // A trailer with no open batch closes an empty one.
+        if (!this.current) this.openBatch(null);
+        this.closeBatch(trailerFields(text, this.current.header?.encoding || enc));
+        break;
+      case 'FTS':
+        if (this.current) this.closeBatch(null);
+        this.fileTrailer = trailerFields(text, enc);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /** Headers, trailers and counts read so far; plain JSON. */
+  envelope() {
+    const strip = (h) => {
+      if (!h) return null;
+      const { encoding: _enc, ...rest } = h;
+      return rest;
+    };
+    return {
+      file_header: strip(this.fileHeader),
+      file_trailer: this.fileTrailer,
+      batches: this.batches.map((b) => ({
+        index: b.index,
+        header: strip(b.header),
+        trailer: b.trailer,
+        message_count: b.counted,
+      })),
+      message_count: this.sequence,
+      stray_segments: this.strays,
+      bytes: this.bytesRead,
+    };
+  }
+}
+
+/**
+ * Compare declared and actual counts in an envelope (from
+ * BatchReader#envelope()). A missing trailer is an issue only when the
+ * matching header was sent; a file of bare messages reconciles trivially.
+ */
+function reconcile(envelope) {
+  const issues = [];
+  for (const b of envelope.batches) {
+    if (!b.trailer) {
+      if (b.header) issues.push({ code: 'batch_trailer_missing', batch: b.index, message: `Batch ${b.index} has no BTS trailer` });
+      continue;
+    }
+    if (b.trailer.declared_count === null) {
+      if (b.trailer.declared_raw) {
+        issues.push({ code: 'batch_count_invalid', batch: b.index, message: `BTS-1 '${b.trailer.declared_raw}' is not a count` });
+      }
+      continue;
+    }
+    if (b.trailer.declared_count !== b.message_count) {
+      issues.push({
+        code: 'batch_count_mismatch', batch: b.index,
+        declared: b.trailer.declared_count, counted: b.message_count,
+        message: `Batch ${b.index}: BTS-1 declares ${b.trailer.declared_count} message(s), ${b.message_count} read`,
+      });
+    }
+  }
+  if (envelope.file_header && !envelope.file_trailer) {
+    issues.push({ code: 'file_trailer_missing', message: 'File has no FTS trailer; it may be truncated' });
+  }
+  const declared = envelope.file_trailer?.declared_count;
+  if (declared !== null && declared !== undefined && declared !== envelope.batches.length) {
+    issues.push({
+      code: 'file_count_mismatch', declared, counted: envelope.batches.length,
+      message: `FTS-1 declares ${declared} batch(es), ${envelope.batches.length} read`,
+    });
+  }
+  if (envelope.stray_segments) {
+    issues.push({ code: 'stray_segments', count: envelope.stray_segments,
+      message: `${envelope.stray_segments} segment(s) outside any message were ignored` });
+  }
+  return { reconciled: issues.length === 0, issues };
+}
+
+const ACCEPTED = new Set(['AA', 'CA']);
+const REJECTED = new Set(['AR', 'CR']);
+
+/** Tally of ACK codes: { total, accepted, errors, rejected }. */
+function tally(results) {
+  const t = { total: results.length, accepted: 0, errors: 0, rejected: 0 };
+  for (const r of results) {
+    if (ACCEPTED.has(r.code)) t.accepted++;
+    else if (REJECTED.has(r.code)) t.rejected++;
+    else t.errors++;
+  }
+  return t;
+}
+
+function envelopeHeader(name, header, original, controlId, ts) {
+  return [
+    name, '^~\\&',
+    hl7.escapeText(header.sendingApp || 'TransTrack'), hl7.escapeText(header.sendingFacility || 'TransTrack'),
+    hl7.escapeText(original?.sending_app || ''), hl7.escapeText(original?.sending_facility || ''),
+    ts, '', '', '',
+    controlId, hl7.escapeText(original?.control_id || ''),
+  ].join('|').replace(/\|+$/, '');
+}
+
+/**
+ * Batch acknowledgement file for `envelope`. `results` has one entry per
+ * message: { batch, message_control_id, code, text } plus, when known, the
+ * message's encoding and character_set so each ACK answers in kind. FHS-12
+ * and BHS-12 reference the sender's file and batch control IDs.
+ */
+function buildBatchAck(envelope, results, header = {}) {
+  const ts = new Date().toISOString().replace(/[-:.TZ]/g, '').slice(0, 14);
+  const controlId = header.controlId || `B${Date.now().toString(36).toUpperCase()}`;
+  const reconciliation = reconcile(envelope);
+  const lines = [];
+  lines.push(envelopeHeader('FHS', header, envelope.file_header, controlId, ts));
+  for (const b of envelope.batches) {
+    const mine = results.filter((r) => r.batch === b.index);
+    lines.push(envelopeHeader('BHS', header, b.header || envelope.file_header, `${controlId}.${b.index}`, ts));
+    for (const r of mine) {
+      lines.push(...hl7.buildAck(r, r.code, r.text || '').split('\r'));
+    }
+    const t = tally(mine);
+    lines.push(['BTS', String(mine.length),
+      hl7.escapeText(`${t.accepted} accepted, ${t.errors} error(s), ${t.rejected} rejected`)].join('|'));
+  }
+  const comment = reconciliation.reconciled
+    ? 'Counts reconciled'
+    : reconciliation.issues.map((i) => i.message).join('; ');
+  lines.push(['FTS', String(envelope.batches.length), hl7.escapeText(comment)].join('|'));
+  return lines.join('\r');
+}
+
+module.exports = {
+  BatchReader,
+  BatchError,
+  reconcile,
+  tally,
+  buildBatchAck,
+  DEFAULT_MAX_MESSAGE_BYTES,
+};
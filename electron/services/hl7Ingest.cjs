@@ -7,6 +7,11 @@
  *   - PID  → patients   (lookup by org + MRN; create new or update demographics)
  *   - OBX  → lab_results (one row per OBX; only when patient was matched / created)
  *
+ * Lab rows are stored with source HL7_V2, the sending application (MSH-3) and
+ * the message control ID (MSH-10) they came in, the LOINC code resolved by
+ * labCodeMappings.cjs and the UCUM spelling of the unit. OBX codes with no
+ * LOINC code are stored as sent and listed in the warnings.
+ *
  * The ingest is conservative:
  *   - It NEVER infers an organ_needed value (operational decision, not HL7-derived).
  *   - Lab results are stored as strings to prevent any clinical interpretation
@@ -24,6 +29,8 @@ const { assertValidEntity } = require('../functions/validators.cjs');
 
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('../database/init.cjs');
+const labCodeMappings = require('./labCodeMappings.cjs');
+const loinc = require('./loinc.cjs');
 
 function trim(s) {
   if (s === null || s === undefined) return null;
@@ -103,7 +110,7 @@ function updatePatientDemographics(db, existing, parsedPatient, updatedBy) {
   return { updated: true, fields: keys, by: updatedBy || null };
 }
 
-function insertLabResult(db, { orgId, patientId, parsedObx, sendingApp, enteredBy, fallbackUserId }) {
+function insertLabResult(db, { orgId, patientId, parsedObx, sendingApp, messageControlId, enteredBy, fallbackUserId }) {
   const id = uuidv4();
   const now = new Date().toISOString();
   // Lab results require a non-null entered_by (FK to users.id). When ingest is
@@ -113,32 +120,37 @@ function insertLabResult(db, { orgId, patientId, parsedObx, sendingApp, enteredB
   if (!fallbackUserId && !enteredBy) {
     return { id: null, skipped: true, reason: 'no entered_by' };
   }
-  // The schema CHECK constrains source to {MANUAL, FHIR_IMPORT}; mark
-  // HL7-imported rows as FHIR_IMPORT (external, non-manual) and record the
-  // HL7 origin in ordering_service so it remains discoverable downstream
-  // without a destructive schema migration.
+  const testCode = trim(parsedObx.test_code) || 'UNKNOWN';
+  const { loinc_code: loincCode } = labCodeMappings.resolve(orgId, {
+    sendingApplication: trim(sendingApp),
+    code: trim(parsedObx.test_code),
+    codingSystem: trim(parsedObx.coding_system),
+  });
   db.prepare(`
     INSERT INTO lab_results
-      (id, org_id, patient_id, test_code, test_name, value, units,
-       reference_range, collected_at, resulted_at, source, ordering_service,
-       entered_by, created_at, updated_at)
+      (id, org_id, patient_id, test_code, test_name, loinc_code, value, units, units_ucum,
+       reference_range, collected_at, resulted_at, source, source_application,
+       source_message_id, entered_by, created_at, updated_at)
     VALUES
-      (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'FHIR_IMPORT', ?, ?, ?, ?)
+      (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'HL7_V2', ?, ?, ?, ?, ?)
   `).run(
     id, orgId, patientId,
-    trim(parsedObx.test_code) || 'UNKNOWN',
+    testCode,
     trim(parsedObx.test_name) || trim(parsedObx.test_code) || 'Unknown',
+    loincCode,
     parsedObx.value === null || parsedObx.value === undefined ? '' : String(parsedObx.value),
     trim(parsedObx.unit),
+    loinc.normalizeUnit(parsedObx.unit),
     trim(parsedObx.reference_range),
     trim(parsedObx.observation_datetime) || now,
     trim(parsedObx.observation_datetime) || null,
-    `HL7_v2/${trim(sendingApp) || 'unknown'}`,
+    trim(sendingApp),
+    trim(messageControlId),
     fallbackUserId || enteredBy,
     now,
     now,
   );
-  return { id, skipped: false };
+  return { id, skipped: false, loincCode, testCode };
 }
 
 /**
@@ -164,7 +176,7 @@ function insertLabResult(db, { orgId, patientId, parsedObx, sendingApp, enteredB
  *   trigger_event: string|null,
  *   patient: { id: string, action: 'created'|'updated'|'matched', mrn: string|null,
  *              updatedFields?: string[] } | null,
- *   labs: { inserted: number, skipped: number, ids: string[] },
+ *   labs: { inserted: number, skipped: number, ids: string[], unmapped: string[] },
  *   warnings: string[]
  * }}
  */
@@ -185,7 +197,7 @@ function ingest({ orgId, parsed, options = {}, userEmail = null, userId = null }
     message_type: parsed.message_type || null,
     trigger_event: parsed.trigger_event || null,
     patient: null,
-    labs: { inserted: 0, skipped: 0, ids: [] },
+    labs: { inserted: 0, skipped: 0, ids: [], unmapped: [] },
     warnings,
   };
 
@@ -234,6 +246,7 @@ function ingest({ orgId, parsed, options = {}, userEmail = null, userId = null }
           patientId: patientRow.id,
           parsedObx: obx,
           sendingApp: parsed.sending_app,
+          messageControlId: parsed.message_control_id,
           enteredBy: userId,
           fallbackUserId: userId,
         });
@@ -243,8 +256,12 @@ function ingest({ orgId, parsed, options = {}, userEmail = null, userId = null }
         } else {
           summary.labs.inserted += 1;
           summary.labs.ids.push(r.id);
+          if (!r.loincCode && !summary.labs.unmapped.includes(r.testCode)) summary.labs.unmapped.push(r.testCode);
         }
       }
+      if (summary.labs.unmapped.length) {
+        warnings.push(`No LOINC code for ${summary.labs.unmapped.join(', ')} from ${trim(parsed.sending_app) || 'unknown sender'}; add a lab code mapping so these count toward required labs.`);
+      }
     }
 
     summary.ok = true;
@@ -12,18 +12,207 @@
  * and returns a shape that downstream callers can map to internal entities
  * (Patient, LabResult).
  *
- * NB: this is a parser only. It does not perform MLLP framing or ACK
- * generation; those concerns belong to a transport layer chosen by the
- * deploying organization.
+ * Separators are read from MSH-1/MSH-2 of each message, so a sender using
+ * non-default encoding characters parses the same as one using |^~\&.
+ * Escape sequences (\F\ \S\ \T\ \R\ \E\ \P\, \Xhh..\ and the \.br\ /
+ * \.sp\ formatting commands) are decoded in every component, and MSH-18
+ * selects the character set used for the raw bytes and for \X..\ hex data.
+ *
+ * NB: this is a parser only. MLLP framing belongs to a transport layer
+ * chosen by the deploying organization; decodeMessage()/encodeMessage()
+ * convert between its bytes and message text.
  */
 
 'use strict';
 
-const FIELD_SEP = '|';
-// Default encoding characters for HL7 v2: ^ ~ \ &
-const COMP_SEP = '^';
-const REP_SEP = '~';
-const SUBCOMP_SEP = '&';
+// Default encoding characters for HL7 v2: | then ^ ~ \ &
+const DEFAULT_ENCODING = Object.freeze({
+  field: '|',
+  component: '^',
+  repetition: '~',
+  escape: '\\',
+  subcomponent: '&',
+  truncation: null, // MSH-2 position 5, v2.7+
+});
+
+/**
+ * MSH-18 character sets (HL7 table 0211) mapped to WHATWG encoding labels.
+ * Unlisted values, and anything the runtime cannot decode, fall back to
+ * UTF-8, which every ASCII message already is.
+ */
+const CHARSETS = Object.freeze({
+  'ASCII': 'windows-1252',
+  '8859/1': 'iso-8859-1',
+  '8859/2': 'iso-8859-2',
+  '8859/3': 'iso-8859-3',
+  '8859/4': 'iso-8859-4',
+  '8859/5': 'iso-8859-5',
+  '8859/6': 'iso-8859-6',
+  '8859/7': 'iso-8859-7',
+  '8859/8': 'iso-8859-8',
+  '8859/9': 'iso-8859-9',
+  '8859/15': 'iso-8859-15',
+  'ISO IR6': 'windows-1252',
+  'ISO IR100': 'iso-8859-1',
+  'ISO IR101': 'iso-8859-2',
+  'ISO IR126': 'iso-8859-7',
+  'ISO IR127': 'iso-8859-6',
+  'ISO IR138': 'iso-8859-8',
+  'ISO IR144': 'iso-8859-5',
+  'ISO IR148': 'iso-8859-9',
+  'UNICODE UTF-8': 'utf-8',
+  'GB 18030-2000': 'gb18030',
+  'KS X 1001': 'euc-kr',
+  'BIG-5': 'big5',
+});
+
+/** Character sets Node can write back out, for ACKs and outbound messages. */
+const NODE_ENCODINGS = Object.freeze({
+  'windows-1252': 'latin1',
+  'iso-8859-1': 'latin1',
+  'utf-8': 'utf8',
+});
+
+/**
+ * Read the separators a message declares. MSH-1 is the character after
+ * "MSH"; MSH-2 holds component, repetition, escape, subcomponent and
+ * (v2.7+) truncation characters, in that order.
+ */
+function readEncoding(mshLine) {
+  const line = String(mshLine || '');
+  if (!line.startsWith('MSH') || line.length < 4) return DEFAULT_ENCODING;
+  const field = line[3];
+  const end = line.indexOf(field, 4);
+  const chars = line.slice(4, end < 0 ? undefined : end);
+  const encoding = {
+    field,
+    component: chars[0] || DEFAULT_ENCODING.component,
+    repetition: chars[1] || DEFAULT_ENCODING.repetition,
+    escape: chars[2] || DEFAULT_ENCODING.escape,
+    subcomponent: chars[3] || DEFAULT_ENCODING.subcomponent,
+    truncation: chars[4] || null,
+  };
+  const all = [encoding.field, encoding.component, encoding.repetition, encoding.escape,
+    encoding.subcomponent, encoding.truncation].filter(Boolean);
+  if (new Set(all).size !== all.length || all.some(c => /[A-Za-z0-9\r\n ]/.test(c))) {
+    throw new Error('Invalid HL7 message: MSH-1/MSH-2 encoding characters must be distinct punctuation');
+  }
+  return encoding;
+}
+
+/** MSH-2 as written in a message using `enc`. */
+function encodingCharacters(enc) {
+  return enc.component + enc.repetition + enc.escape + enc.subcomponent + (enc.truncation || '');
+}
+
+/** First MSH-18 value of an MSH line, e.g. 'UNICODE UTF-8', or null. */
+function readCharset(mshLine, enc = readEncoding(mshLine)) {
+  const value = String(mshLine || '').split(enc.field)[17];
+  if (!value) return null;
+  return value.split(enc.repetition)[0].split(enc.component)[0].trim() || null;
+}
+
+function decoderLabel(charset) {
+  return (charset && CHARSETS[charset.toUpperCase()]) || 'utf-8';
+}
+
+function decodeBytes(bytes, charset) {
+  try {
+    return new TextDecoder(decoderLabel(charset)).decode(bytes);
+  } catch {
+    return Buffer.from(bytes).toString('utf8');
+  }
+}
+
+/**
+ * Decode raw message bytes (e.g. an MLLP frame) using the character set the
+ * message declares in MSH-18. The MSH segment itself is ASCII in every
+ * supported character set, so it can be read before the rest is decoded.
+ */
+function decodeMessage(bytes) {
+  const buf = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+  const headerEnd = buf.indexOf(0x0D);
+  const header = buf.slice(0, headerEnd < 0 ? buf.length : headerEnd).toString('latin1');
+  let charset = null;
+  try { charset = readCharset(header); } catch { /* parseMessage reports bad separators */ }
+  return decodeBytes(buf, charset);
+}
+
+/**
+ * Encode message text for the wire in its MSH-18 character set. Sets Node
+ * cannot write are sent as UTF-8.
+ */
+function encodeMessage(text) {
+  const str = String(text);
+  let charset = null;
+  try { charset = readCharset(str.split('\r')[0]); } catch { /* send as UTF-8 */ }
+  return Buffer.from(str, NODE_ENCODINGS[decoderLabel(charset)] || 'utf8');
+}
+
+/**
+ * Decode escape sequences in one component or subcomponent value. Vendor
+ * \Z..\ escapes and anything unrecognised are kept verbatim.
+ */
+function unescapeText(text, enc = DEFAULT_ENCODING, charset = null) {
+  if (typeof text !== 'string' || !text.includes(enc.escape)) return text;
+  const e = enc.escape;
+  let out = '';
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const close = ch === e ? text.indexOf(e, i + 1) : -1;
+    if (ch !== e || close < 0) {
+      out += ch;
+      i += 1;
+      continue;
+    }
+    const seq = text.slice(i + 1, close);
+    i = close + 1;
+    switch (seq) {
+      case 'F': out += enc.field; continue;
+      case 'S': out += enc.component; continue;
+      case 'T': out += enc.subcomponent; continue;
+      case 'R': out += enc.repetition; continue;
+      case 'E': out += enc.escape; continue;
+      case 'P': out += enc.truncation || '#'; continue;
+      case '.br': out += '\n'; continue;
+      case 'H': case 'N': continue; // highlighting on/off
+      default: break;
+    }
+    if (/^X([0-9A-Fa-f]{2})+$/.test(seq)) {
+      out += decodeBytes(Buffer.from(seq.slice(1), 'hex'), charset);
+    } else if (/^\.sp\d*$/.test(seq)) {
+      out += '\n'.repeat(Number(seq.slice(3)) || 1);
+    } else if (/^\.(fi|nf|in[+-]?\d*|ti[+-]?\d*|sk\d*|ce)$/.test(seq) || /^[CM][0-9A-Fa-f]+$/.test(seq)) {
+      // Formatting commands with no plain-text equivalent, and ISO 2022
+      // character-set switches, which are not supported: dropped.
+    } else {
+      out += e + seq + e;
+    }
+  }
+  return out;
+}
+
+/**
+ * Escape text for use as a component value in a message using `enc`. Line
+ * breaks become \.br\ so multi-line text survives the segment terminator.
+ */
+function escapeText(text, enc = DEFAULT_ENCODING) {
+  if (text === null || text === undefined) return '';
+  const map = new Map([
+    [enc.escape, 'E'], [enc.field, 'F'], [enc.component, 'S'],
+    [enc.subcomponent, 'T'], [enc.repetition, 'R'],
+  ]);
+  if (enc.truncation) map.set(enc.truncation, 'P');
+  let out = '';
+  const str = String(text).replace(/\r\n?/g, '\n');
+  for (const ch of str) {
+    if (map.has(ch)) out += enc.escape + map.get(ch) + enc.escape;
+    else if (ch === '\n') out += enc.escape + '.br' + enc.escape;
+    else out += ch;
+  }
+  return out;
+}
 
 function splitSegments(message) {
   return String(message || '')
@@ -34,13 +223,13 @@ function splitSegments(message) {
     .filter(Boolean);
 }
 
-function parseField(field) {
+function parseField(field, enc = DEFAULT_ENCODING, charset = null) {
   if (field === undefined || field === null || field === '') return null;
-  const reps = field.split(REP_SEP);
+  const reps = field.split(enc.repetition);
   const decoded = reps.map(rep => {
-    const comps = rep.split(COMP_SEP).map(c => {
+    const comps = rep.split(enc.component).map(c => {
       if (c === '') return null;
-      const sub = c.split(SUBCOMP_SEP);
+      const sub = c.split(enc.subcomponent).map(v => unescapeText(v, enc, charset));
       return sub.length === 1 ? sub[0] : sub;
     });
     return comps.length === 1 ? comps[0] : comps;
@@ -48,13 +237,37 @@ function parseField(field) {
   return decoded.length === 1 ? decoded[0] : decoded;
 }
 
-function parseSegment(segmentLine) {
-  const parts = segmentLine.split(FIELD_SEP);
+/**
+ * Split one segment into fields. `enc` defaults to |^~\& (it is ignored when
+ * not an object, so the function can be passed straight to Array#map). For
+ * MSH, fields[0] is MSH-2 verbatim: splitting it would split the encoding
+ * characters on themselves.
+ */
+function parseSegment(segmentLine, enc = DEFAULT_ENCODING, charset = null) {
+  const encoding = enc && typeof enc === 'object' ? enc : DEFAULT_ENCODING;
+  const cs = typeof charset === 'string' ? charset : null;
+  const parts = segmentLine.split(encoding.field);
   const name = parts[0];
-  const fields = parts.slice(1).map(parseField);
+  const fields = parts.slice(1).map((f, i) =>
+    (name === 'MSH' && i === 0 ? f : parseField(f, encoding, cs)));
   return { name, fields };
 }
 
+/**
+ * Split and parse every segment using the separators and character set the
+ * message's own MSH declares.
+ */
+function parseSegments(raw) {
+  const lines = splitSegments(raw);
+  const encoding = lines[0]?.startsWith('MSH') ? readEncoding(lines[0]) : DEFAULT_ENCODING;
+  const charset = lines[0]?.startsWith('MSH') ? readCharset(lines[0], encoding) : null;
+  return {
+    segments: lines.map(line => parseSegment(line, encoding, charset)),
+    encoding,
+    charset,
+  };
+}
+
 function getMshType(msh) {
   // For MSH the field separator itself IS MSH-1; encoding chars are MSH-2.
   // After segment-name split: parts[0]="MSH", parts[1]="^~\&", parts[2]=MSH-3, ...
@@ -220,7 +433,7 @@ function formatHl7DateTime(s) {
 const SUPPORTED_EVENTS = new Set(['A01', 'A03', 'A04', 'A08', 'R01']);
 
 function parseMessage(raw) {
-  const segments = splitSegments(raw).map(parseSegment);
+  const { segments, encoding, charset } = parseSegments(raw);
   if (!segments.length || segments[0].name !== 'MSH') {
     throw new Error('Invalid HL7 message: missing MSH');
   }
@@ -241,8 +454,13 @@ function parseMessage(raw) {
     observations: [],
     orders: [],
     raw_segments: segments.map(s => s.name),
+    encoding: { ...encoding },
+    character_set: charset,
     warnings: [],
   };
+  if (charset && !CHARSETS[charset.toUpperCase()]) {
+    result.warnings.push(`MSH-18 character set ${charset} is not supported; decoded as UTF-8`);
+  }
 
   const pid = segments.find(s => s.name === 'PID');
   if (pid) result.patient = pidToPatient(pid);
@@ -264,16 +482,23 @@ function parseMessage(raw) {
 }
 
 /**
- * Build a minimal MLLP-style ACK message (MSA AA = accept).
+ * Build a minimal MLLP-style ACK message (MSA AA = accept). The ACK uses the
+ * separators of the message it answers and echoes its MSH-18 when that
+ * character set can be written back; values are escaped.
  */
 function buildAck(parsedOrRaw, code = 'AA', textMessage = '') {
   const ts = new Date().toISOString().replace(/[-:.TZ]/g, '').slice(0, 14);
-  const ctrlId = (typeof parsedOrRaw === 'object' && parsedOrRaw?.message_control_id)
-    ? parsedOrRaw.message_control_id
-    : 'UNKNOWN';
+  const parsed = typeof parsedOrRaw === 'object' && parsedOrRaw ? parsedOrRaw : {};
+  const enc = parsed.encoding?.field ? parsed.encoding : DEFAULT_ENCODING;
+  const ctrlId = escapeText(parsed.message_control_id || 'UNKNOWN', enc);
+  const charset = parsed.character_set && NODE_ENCODINGS[decoderLabel(parsed.character_set)]
+    ? parsed.character_set
+    : null;
+  const msh = ['MSH', encodingCharacters(enc), 'TransTrack', 'TransTrack', '', '', ts, '', 'ACK', ctrlId, 'P', '2.5'];
+  if (charset) msh.push('', '', '', '', '', charset);
   const lines = [
-    `MSH|^~\\&|TransTrack|TransTrack|||${ts}||ACK|${ctrlId}|P|2.5`,
-    `MSA|${code}|${ctrlId}|${textMessage}`,
+    msh.join(enc.field),
+    ['MSA', code, ctrlId, escapeText(textMessage, enc)].join(enc.field),
   ];
   return lines.join('\r');
 }
@@ -283,6 +508,14 @@ module.exports = {
   buildAck,
   splitSegments,
   parseSegment,
+  parseSegments,
+  readEncoding,
+  readCharset,
+  unescapeText,
+  escapeText,
+  decodeMessage,
+  encodeMessage,
+  DEFAULT_ENCODING,
   pidToPatient,
   pv1ToVisit,
   obxToObservation,
@@ -0,0 +1,341 @@
+/**
+ * HLA typing: WHO allele nomenclature, serological equivalents and per-locus
+ * mismatch counts.
+ *
+ * A typing may be written at any resolution, and the two sides of a match
+ * rarely agree on one:
+ *
+ *   A2, Cw7, DR15, DQ7, DR52       serological antigens
+ *   A*02, DRB1*15                  allele group (first field)
+ *   A*02:01, DQB1*06:02            specific protein (two fields)
+ *   A*02:01:01:02L                 three and four fields, expression suffix
+ *   A*02:01:01G, A*02:01P          G and P groups
+ *   A*0201, HLA-B*44:02            pre-2010 and prefixed forms
+ *   A*02:XX, B*44:AB               allele group with an NMDP ambiguity code
+ *
+ * Comparisons are made on the serological equivalent, which is how OPTN counts
+ * mismatches: A*02:01 matches A2, B*15:01 matches B62 (and its broad B15) but
+ * not B63. DP, DQA1 and DPA1 have no useful serology; they are compared on
+ * the allele fields both sides report. Null alleles (suffix N) are not
+ * expressed and never count.
+ *
+ * Allele-to-antigen mappings, split/broad pairs and associated antigens are
+ * the provenanced reference table `hla-antigen-equivalences` (see
+ * ./calculators/referenceData.cjs). Without it, mismatches() answers
+ * REFERENCE_DATA_UNAVAILABLE rather than guess.
+ *
+ * Controlled-source id SRC-OPTN-P4-HLA.
+ */
+
+'use strict';
+
+const referenceData = require('./calculators/referenceData.cjs');
+
+/** Loci with a mismatch count. DR is DRB1, DQ is DQB1 and DP is DPB1. */
+const LOCI = Object.freeze(['A', 'B', 'C', 'DR', 'DQ', 'DP']);
+
+/** Every locus a typing is sorted into; DRB345 holds DR51/52/53 (DRB3/4/5). */
+const TYPING_LOCI = Object.freeze(['A', 'B', 'C', 'DR', 'DRB345', 'DQ', 'DQA1', 'DP', 'DPA1']);
+
+/** WHO field names, lowest to highest. */
+const RESOLUTIONS = Object.freeze(['serologic', 'allele-group', 'protein', 'synonymous', 'non-coding']);
+
+const GENE_LOCUS = Object.freeze({
+  A: 'A', B: 'B', C: 'C', DRB1: 'DR', DRB3: 'DRB345', DRB4: 'DRB345', DRB5: 'DRB345',
+  DQB1: 'DQ', DQA1: 'DQA1', DPB1: 'DP', DPA1: 'DPA1',
+});
+
+/** Loci compared on allele fields rather than serology. */
+const MOLECULAR_ONLY = new Set(['DP', 'DQA1', 'DPA1']);
+
+const GENES = 'A|B|C|DRB[1345]|DQA1|DQB1|DPA1|DPB1';
+const MOLECULAR = new RegExp(`^(${GENES})\\*(\\d{2,3})(?::(\\d{2,4}|[A-Z]{2,5}))?(?::(\\d{2,3}))?(?::(\\d{2,3}))?([NLSCAQ]|[GP])?$`);
+const LEGACY = new RegExp(`^(${GENES})\\*(\\d{2})(\\d{2,3})$`);
+const SEROLOGIC = /^(A|B|BW|CW|C|DR|DQ|DPW|DP)(\d{1,4})$/;
+const PUBLIC_EPITOPES = new Set(['BW4', 'BW6']);
+
+const SEROLOGIC_PREFIX = { A: 'A', B: 'B', BW: 'B', C: 'Cw', CW: 'Cw', DR: 'DR', DQ: 'DQ', DP: 'DPw', DPW: 'DPw' };
+const SEROLOGIC_LOCUS = { A: 'A', B: 'B', BW: 'B', C: 'C', CW: 'C', DR: 'DR', DQ: 'DQ', DP: 'DP', DPW: 'DP' };
+
+function molecular(gene, fields, suffix, input) {
+  const code = /^[A-Z]+$/.test(fields[1] || '') ? fields[1] : null;
+  const numeric = code ? fields.slice(0, 1) : fields.filter(Boolean);
+  const group = suffix === 'G' || suffix === 'P' ? suffix : null;
+  return {
+    input,
+    type: 'molecular',
+    locus: GENE_LOCUS[gene],
+    gene,
+    fields: numeric,
+    resolution: RESOLUTIONS[numeric.length],
+    ambiguity: code && code !== 'XX' ? code : null,
+    group,
+    expression: group ? null : suffix || null,
+    expressed: suffix !== 'N',
+    name: `${gene}*${numeric.join(':')}${code ? `:${code}` : ''}${suffix || ''}`,
+  };
+}
+
+/**
+ * Parse one antigen or allele. Returns null for anything that is not HLA
+ * nomenclature, and { type: 'epitope' } for the Bw4/Bw6 public epitopes,
+ * which name no locus.
+ */
+function parseAntigen(token) {
+  if (typeof token !== 'string') return null;
+  const input = token.trim();
+  const text = input.toUpperCase().replace(/^HLA-/, '');
+  if (!text) return null;
+
+  let m = MOLECULAR.exec(text);
+  if (m) return molecular(m[1], [m[2], m[3], m[4], m[5]], m[6], input);
+  m = LEGACY.exec(text);
+  if (m) return molecular(m[1], [m[2], m[3]], null, input);
+
+  if (PUBLIC_EPITOPES.has(text)) return { input, type: 'epitope', name: text === 'BW4' ? 'Bw4' : 'Bw6' };
+  m = SEROLOGIC.exec(text);
+  if (!m) return null;
+  const number = String(Number(m[2]));
+  let locus = SEROLOGIC_LOCUS[m[1]];
+  if (locus === 'DR' && ['51', '52', '53'].includes(number)) locus = 'DRB345';
+  return {
+    input,
+    type: 'serologic',
+    locus,
+    gene: null,
+    fields: [],
+    resolution: 'serologic',
+    ambiguity: null,
+    group: null,
+    expression: null,
+    expressed: true,
+    name: `${SEROLOGIC_PREFIX[m[1]]}${number}`,
+  };
+}
+
+/**
+ * Every string in `value`: a delimited string, an array, or an object of
+ * either (the server's JSONB). A '/' separates the alternatives of an
+ * ambiguous typing ("A2/A68"). A donor typing keeps the first; a list the
+ * candidate must avoid (`allAlternatives`) keeps every one, so that a donor
+ * carrying any of them is caught.
+ */
+function tokens(value, { allAlternatives = false } = {}) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'string') {
+    return value.split(/[\s,;]+/).filter(Boolean)
+      .flatMap((t) => (allAlternatives ? t.split('/').filter(Boolean) : [t.split('/')[0]]));
+  }
+  if (Array.isArray(value)) return value.flatMap((v) => tokens(v, { allAlternatives }));
+  if (typeof value === 'object') return Object.values(value).flatMap((v) => tokens(v, { allAlternatives }));
+  return [];
+}
+
+/** The antigens named by a listed value, every alternative of an ambiguous one included. */
+function listedTokens(value) {
+  return tokens(value, { allAlternatives: true });
+}
+
+/**
+ * Parse a typing into { loci: { A: [...], B: [...], ... }, unrecognized }.
+ * Each locus holds parsed entries in the order given.
+ */
+function parseTyping(value) {
+  const loci = Object.fromEntries(TYPING_LOCI.map((l) => [l, []]));
+  const unrecognized = [];
+  for (const token of tokens(value)) {
+    const entry = parseAntigen(token);
+    if (!entry) unrecognized.push(token);
+    else if (entry.type !== 'epitope') loci[entry.locus].push(entry);
+  }
+  return { loci, unrecognized };
+}
+
+/**
+ * Normalise a list of antigens (a candidate's unacceptable antigens, say)
+ * to their canonical names, dropping duplicates. Returns { antigens, invalid }.
+ */
+function normalizeAntigenList(value) {
+  const antigens = [];
+  const invalid = [];
+  for (const token of listedTokens(value)) {
+    const entry = parseAntigen(token);
+    if (!entry || entry.type === 'epitope') invalid.push(token);
+    else if (!antigens.includes(entry.name)) antigens.push(entry.name);
+  }
+  return { antigens, invalid };
+}
+
+// ----- Equivalence -------------------------------------------------------------
+
+function equivalenceTable(now) {
+  const table = referenceData.loadTable(referenceData.TABLE_IDS.HLA, { now });
+  if (!table.available) return { table, index: null };
+  const { groups, alleles, broads, associated } = table.data;
+  const broadOf = {};
+  for (const [broad, splits] of Object.entries(broads)) for (const s of splits) broadOf[s] = broad;
+  return { table, index: { groups, alleles, broads, associated, broadOf } };
+}
+
+/** The serological antigen an entry corresponds to, or null (DP, DQA1, DPA1, an unmapped group). */
+function serologicEquivalent(entry, index) {
+  if (!entry) return null;
+  if (entry.type === 'serologic') return entry.name;
+  if (!index) return null;
+  const [first, second] = entry.fields;
+  return (second && index.alleles[`${entry.gene}*${first}:${second}`]) || index.groups[entry.gene]?.[first] || null;
+}
+
+/** The comparison key and kind for one entry at its locus. */
+function keyOf(entry, index) {
+  if (!MOLECULAR_ONLY.has(entry.locus)) {
+    const antigen = serologicEquivalent(entry, index);
+    if (antigen) return { kind: 'antigen', value: antigen };
+  }
+  if (entry.type === 'serologic') return { kind: 'antigen', value: entry.name };
+  return { kind: 'allele', gene: entry.gene, fields: entry.fields };
+}
+
+function antigensEquivalent(a, b, index) {
+  if (a === b) return true;
+  const baseA = index.associated[a] || a;
+  const baseB = index.associated[b] || b;
+  if (baseA === baseB) return true;
+  // A broad matches each of its splits; two different splits do not match.
+  return index.broadOf[baseA] === baseB || index.broadOf[baseB] === baseA;
+}
+
+/**
+ * Whether two entries at the same locus match: same or related antigen, or,
+ * compared on allele fields, agreement on every field both report.
+ */
+function equivalent(a, b, index) {
+  const ka = keyOf(a, index);
+  const kb = keyOf(b, index);
+  if (ka.kind === 'antigen' && kb.kind === 'antigen') return antigensEquivalent(ka.value, kb.value, index);
+  if (ka.kind === 'allele' && kb.kind === 'allele') {
+    const n = Math.min(ka.fields.length, kb.fields.length);
+    return ka.gene === kb.gene && ka.fields.slice(0, n).join(':') === kb.fields.slice(0, n).join(':');
+  }
+  return false;
+}
+
+/** Expressed entries at a locus, one per distinct antigen (a homozygous typing lists one). */
+function distinct(entries, index) {
+  const seen = new Map();
+  for (const e of entries) {
+    if (!e.expressed) continue;
+    const k = keyOf(e, index);
+    const id = k.kind === 'antigen' ? k.value : `${k.gene}*${k.fields.join(':')}`;
+    if (!seen.has(id)) seen.set(id, e);
+  }
+  return [...seen.values()].slice(0, 2);
+}
+
+/**
+ * Donor-to-candidate mismatches per locus: the donor antigens (at most two)
+ * the candidate has no equivalent for. A locus either side has not typed is
+ * null. `abdr` is the A+B+DR total, null unless all three are typed.
+ *
+ * Returns { A, B, C, DR, DQ, DP, abdr, typed, reference } or, without the
+ * equivalence table, { reason: 'REFERENCE_DATA_UNAVAILABLE', message }.
+ */
+function mismatches(donor, candidate, { now = new Date() } = {}) {
+  const { table, index } = equivalenceTable(now);
+  if (!index) return { reason: table.reason, message: table.message, reference: referenceData.provenanceOf(table) };
+  const d = donor?.loci ? donor : parseTyping(donor);
+  const c = candidate?.loci ? candidate : parseTyping(candidate);
+  const out = {};
+  const typed = [];
+  for (const locus of LOCI) {
+    const donorAntigens = distinct(d.loci[locus], index);
+    const candidateAntigens = c.loci[locus].filter((e) => e.expressed);
+    if (!donorAntigens.length || !candidateAntigens.length) {
+      out[locus] = null;
+      continue;
+    }
+    typed.push(locus);
+    out[locus] = donorAntigens.filter((da) => !candidateAntigens.some((ca) => equivalent(da, ca, index))).length;
+  }
+  const abdr = ['A', 'B', 'DR'].every((l) => out[l] !== null) ? out.A + out.B + out.DR : null;
+  return { ...out, abdr, typed, reference: referenceData.provenanceOf(table) };
+}
+
+/**
+ * Whether a listed antigen (unacceptable, or an antibody specificity) is hit
+ * by one the donor carries. Listed at allele level against a donor typed at
+ * allele level, the two alleles must agree; otherwise serology decides, where
+ * a listed broad covers its splits and a listed split is hit by a donor typed
+ * only to the broad, which may be that split.
+ */
+function listedHit(listed, entry, index) {
+  if (listed.type === 'molecular' && entry.type === 'molecular' && listed.fields.length > 1 && entry.fields.length > 1) {
+    return listed.gene === entry.gene && listed.fields[0] === entry.fields[0] && listed.fields[1] === entry.fields[1];
+  }
+  return equivalent(listed, entry, index);
+}
+
+/**
+ * The listed antigens a typing carries: { hits: [{ antigen, carried }],
+ * untyped, reference }, where `untyped` names each locus the list covers and
+ * the typing does not. Without the equivalence table, { reason, message }.
+ */
+function carried(typing, listed, { now = new Date() } = {}) {
+  const { table, index } = equivalenceTable(now);
+  const reference = referenceData.provenanceOf(table);
+  if (!index) return { reason: table.reason, message: table.message, reference };
+  const t = typing?.loci ? typing : parseTyping(typing);
+  const hits = [];
+  const untyped = new Set();
+  for (const token of listedTokens(listed)) {
+    const antigen = parseAntigen(token);
+    if (!antigen || antigen.type === 'epitope') continue;
+    const present = t.loci[antigen.locus].filter((e) => e.expressed);
+    if (!present.length) {
+      untyped.add(antigen.locus);
+      continue;
+    }
+    const hit = present.find((e) => listedHit(antigen, e, index));
+    if (hit) hits.push({ antigen: antigen.name, carried: hit.name });
+  }
+  return { hits, untyped: [...untyped], reference };
+}
+
+/**
+ * The serological antigens one antigen covers, split level: itself, and each
+ * split when it is a broad. Alleles take their serological equivalent; DP,
+ * DQA1 and DPA1 cover nothing serological. Null for what is not an antigen or
+ * without the equivalence table.
+ */
+function serologicCoverage(token, { now = new Date() } = {}) {
+  const { index } = equivalenceTable(now);
+  const entry = parseAntigen(token);
+  if (!index || !entry || entry.type === 'epitope') return null;
+  const antigen = MOLECULAR_ONLY.has(entry.locus) ? null : serologicEquivalent(entry, index);
+  if (!antigen) return { locus: entry.locus, antigens: [] };
+  return { locus: entry.locus, antigens: [antigen, ...(index.broads[antigen] || [])] };
+}
+
+/** The serological equivalents of a typing, by locus, for display. */
+function antigens(typing, { now = new Date() } = {}) {
+  const { index } = equivalenceTable(now);
+  const t = typing?.loci ? typing : parseTyping(typing);
+  return Object.fromEntries(TYPING_LOCI.map((locus) => [
+    locus,
+    t.loci[locus].map((e) => serologicEquivalent(e, index) || e.name),
+  ]));
+}
+
+module.exports = {
+  LOCI,
+  TYPING_LOCI,
+  RESOLUTIONS,
+  parseAntigen,
+  parseTyping,
+  normalizeAntigenList,
+  listedTokens,
+  mismatches,
+  carried,
+  serologicCoverage,
+  antigens,
+};
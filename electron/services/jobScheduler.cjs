@@ -0,0 +1,465 @@
+/**
+ * Background job scheduler (main process).
+ *
+ * Runs the periodic maintenance that otherwise only happened when someone
+ * pressed a button: task escalation, auto-task generation, recurring tasks,
+ * living donor follow-up overdue marking and inactivation risk scoring.
+ *
+ * Each organization has its own row per job in scheduled_jobs, holding a
+ * five-field cron expression (minute hour day-of-month month day-of-week,
+ * evaluated in the workstation's local time), whether it is paused, and the
+ * last and next run. Rows are created with the job's default schedule the
+ * first time the scheduler sees the organization.
+ *
+ * `tick()` runs every job whose next_run_at has passed. When the workstation
+ * was asleep or the application closed through one or more scheduled slots,
+ * the job runs once (trigger CATCH_UP), not once per missed slot, and its next
+ * run is computed from now. Every run — scheduled, catch-up or manual — is
+ * kept in scheduled_job_runs with its duration, result or error, and written
+ * to the audit trail. A failing job is recorded and does not stop the others.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../database/init.cjs');
+const { appendAuditRecord } = require('./auditChain.cjs');
+const { logger } = require('./logger.cjs');
+const taskEngine = require('./taskEngine.cjs');
+const livingDonors = require('./livingDonors.cjs');
+const predictiveService = require('./predictiveService.cjs');
+
+let powerMonitor;
+try { ({ powerMonitor } = require('electron')); } catch { /* plain Node / CI */ }
+
+const SYSTEM_ACTOR = 'system:scheduler';
+const TICK_INTERVAL_MS = 60 * 1000;
+const FIRST_TICK_DELAY_MS = 30 * 1000;
+
+const TRIGGERS = Object.freeze({
+  SCHEDULE: 'SCHEDULE',
+  CATCH_UP: 'CATCH_UP',
+  MANUAL: 'MANUAL',
+});
+
+const RUN_STATUSES = Object.freeze({
+  SUCCESS: 'SUCCESS',
+  FAILED: 'FAILED',
+});
+
+// job_key → definition. `run(orgId)` returns a JSON-serialisable summary.
+const JOBS = Object.freeze({
+  task_escalations: {
+    label: 'Task escalations',
+    description: 'Marks overdue tasks and escalates them under the escalation rules.',
+    defaultCron: '*/15 * * * *',
+    run: (orgId) => {
+      const result = taskEngine.processEscalations(orgId);
+      return { overdue: result.overdue, escalated: result.escalated.length };
+    },
+  },
+  auto_tasks: {
+    label: 'Auto-generated tasks',
+    description: 'Creates tasks for expiring evaluations, high-risk barriers and stale records.',
+    defaultCron: '0 6 * * *',
+    run: (orgId) => ({ generated: taskEngine.generateAutoTasks(orgId, SYSTEM_ACTOR).generated }),
+  },
+  task_recurrences: {
+    label: 'Recurring tasks',
+    description: 'Schedules the next occurrence of completed recurring tasks for active patients.',
+    defaultCron: '30 5 * * *',
+    run: (orgId) => ({ scheduled: taskEngine.processRecurrences(orgId, SYSTEM_ACTOR).scheduled }),
+  },
+  living_donor_followups: {
+    label: 'Living donor follow-ups',
+    description: 'Marks living donor follow-ups past their due date as overdue.',
+    defaultCron: '0 5 * * *',
+    run: (orgId) => livingDonors.markOverdueFollowups(orgId),
+  },
+  inactivation_predictions: {
+    label: 'Inactivation risk predictions',
+    description: 'Re-scores every active waitlist patient for inactivation risk.',
+    defaultCron: '0 4 * * *',
+    run: (orgId) => predictiveService.runPredictions(orgId),
+  },
+});
+
+// --- cron ---
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw new Error(`Invalid cron ${name}: "${part}"`);
+    const step = m[4] === undefined ? 1 : Number(m[4]);
+    let from = min;
+    let to = max;
+    if (m[1] !== '*') {
+      from = Number(m[2]);
+      to = m[3] !== undefined ? Number(m[3]) : (m[4] !== undefined ? max : from);
+    }
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression. Supports `*`, single values, ranges,
+ * lists and steps. Day of week 0 and 7 are both Sunday. As in cron, when both
+ * day of month and day of week are restricted a day matching either is used.
+ */
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have five fields: minute hour day-of-month month day-of-week');
+  }
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseField(p, CRON_FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  return {
+    minute, hour, dom, month, dow,
+    domRestricted: parts[2] !== '*',
+    dowRestricted: parts[4] !== '*',
+  };
+}
+
+function dayMatches(spec, d) {
+  const domOk = spec.dom.has(d.getDate());
+  const dowOk = spec.dow.has(d.getDay());
+  if (spec.domRestricted && spec.dowRestricted) return domOk || dowOk;
+  if (spec.domRestricted) return domOk;
+  if (spec.dowRestricted) return dowOk;
+  return true;
+}
+
+/**
+ * The first time strictly after `from` that matches the expression.
+ * @returns {Date}
+ */
+function nextRun(expression, from = new Date()) {
+  const spec = typeof expression === 'string' ? parseCron(expression) : expression;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  // Jumping a whole month, day or hour at a time keeps this to a few hundred
+  // steps even for a yearly schedule; the bound only stops an impossible date
+  // such as 31 February from looping forever.
+  for (let i = 0; i < 20000; i++) {
+    if (!spec.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(spec, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!spec.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!spec.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  throw new Error(`Cron expression "${expression}" never matches`);
+}
+
+// --- job rows ---
+
+function ensure(value, name) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`${name} is required`);
+  }
+}
+
+function requireJob(jobKey) {
+  const job = JOBS[jobKey];
+  if (!job) throw new Error(`Unknown job: ${jobKey}`);
+  return job;
+}
+
+function parseResult(run) {
+  if (!run) return run;
+  let result = null;
+  try { result = run.result ? JSON.parse(run.result) : null; } catch { result = null; }
+  return { ...run, result };
+}
+
+function describe(row) {
+  const job = JOBS[row.job_key];
+  return {
+    ...row,
+    is_paused: Boolean(row.is_paused),
+    label: job.label,
+    description: job.description,
+    default_cron: job.defaultCron,
+  };
+}
+
+/** Create the organization's missing job rows with their default schedule. */
+function ensureJobs(orgId, now = new Date()) {
+  ensure(orgId, 'orgId');
+  const db = getDatabase();
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO scheduled_jobs (id, org_id, job_key, cron, next_run_at, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  db.transaction(() => {
+    for (const [key, job] of Object.entries(JOBS)) {
+      insert.run(uuidv4(), orgId, key, job.defaultCron, nextRun(job.defaultCron, now).toISOString(), SYSTEM_ACTOR);
+    }
+  })();
+}
+
+function getJob(orgId, jobKey) {
+  ensure(orgId, 'orgId');
+  requireJob(jobKey);
+  const row = getDatabase().prepare('SELECT * FROM scheduled_jobs WHERE org_id = ? AND job_key = ?')
+    .get(orgId, jobKey);
+  return row ? describe(row) : null;
+}
+
+function listJobs(orgId) {
+  ensureJobs(orgId);
+  return getDatabase().prepare('SELECT * FROM scheduled_jobs WHERE org_id = ? ORDER BY job_key')
+    .all(orgId)
+    .filter((row) => JOBS[row.job_key])
+    .map(describe);
+}
+
+function listRuns(orgId, { jobKey, limit = 50 } = {}) {
+  ensure(orgId, 'orgId');
+  const params = [orgId];
+  let sql = 'SELECT * FROM scheduled_job_runs WHERE org_id = ?';
+  if (jobKey) { sql += ' AND job_key = ?'; params.push(jobKey); }
+  sql += ' ORDER BY started_at DESC, rowid DESC LIMIT ?';
+  params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500));
+  return getDatabase().prepare(sql).all(...params).map(parseResult);
+}
+
+function loadJob(orgId, jobKey) {
+  const job = getJob(orgId, jobKey);
+  if (job) return job;
+  ensureJobs(orgId);
+  return getJob(orgId, jobKey);
+}
+
+function setPaused(orgId, jobKey, paused, updatedBy, now = new Date()) {
+  const job = loadJob(orgId, jobKey);
+  const at = now.toISOString();
+  // Resuming schedules from now: a paused job does not owe the runs it skipped.
+  const next = paused ? job.next_run_at : nextRun(job.cron, now).toISOString();
+  getDatabase().prepare(`
+    UPDATE scheduled_jobs
+       SET is_paused = ?, paused_by = ?, paused_at = ?, next_run_at = ?, updated_by = ?, updated_at = ?
+     WHERE id = ?
+  `).run(paused ? 1 : 0, paused ? updatedBy : null, paused ? at : null, next, updatedBy, at, job.id);
+  return getJob(orgId, jobKey);
+}
+
+function pauseJob(orgId, jobKey, updatedBy, now) {
+  return setPaused(orgId, jobKey, true, updatedBy, now);
+}
+
+function resumeJob(orgId, jobKey, updatedBy, now) {
+  return setPaused(orgId, jobKey, false, updatedBy, now);
+}
+
+function updateSchedule(orgId, jobKey, cron, updatedBy, now = new Date()) {
+  ensure(cron, 'cron');
+  const expression = String(cron).trim().split(/\s+/).join(' ');
+  const next = nextRun(expression, now);
+  const job = loadJob(orgId, jobKey);
+  getDatabase().prepare(`
+    UPDATE scheduled_jobs SET cron = ?, next_run_at = ?, updated_by = ?, updated_at = ? WHERE id = ?
+  `).run(expression, next.toISOString(), updatedBy, now.toISOString(), job.id);
+  return getJob(orgId, jobKey);
+}
+
+// --- running ---
+
+function audit(db, orgId, job, run) {
+  try {
+    appendAuditRecord({
+      org_id: orgId,
+      action: 'execute',
+      entity_type: 'ScheduledJob',
+      entity_id: job.id,
+      details: JSON.stringify({
+        job: job.job_key,
+        trigger: run.trigger,
+        status: run.status,
+        duration_ms: run.duration_ms,
+        ...(run.error ? { error: run.error } : {}),
+      }),
+      user_email: run.triggered_by,
+      user_role: run.trigger === TRIGGERS.MANUAL ? 'admin' : 'system',
+    }, { db });
+  } catch (err) {
+    // The run itself is recorded either way; a broken audit chain is reported
+    // by the integrity monitor, not by failing the next escalation pass.
+    logger.error('Scheduled job audit write failed', { jobKey: job.job_key, orgId, error: err.message });
+  }
+}
+
+/**
+ * Run one job now and record it. Never throws for a failure inside the job:
+ * the run is returned with status FAILED and its error.
+ */
+function runJob(orgId, jobKey, { trigger = TRIGGERS.MANUAL, triggeredBy = SYSTEM_ACTOR, now } = {}) {
+  ensure(orgId, 'orgId');
+  if (!TRIGGERS[trigger]) throw new Error(`Invalid trigger: ${trigger}`);
+  const definition = requireJob(jobKey);
+  const job = loadJob(orgId, jobKey);
+  const db = getDatabase();
+
+  const startedMs = Date.now();
+  const startedAt = new Date(startedMs).toISOString();
+  let status = RUN_STATUSES.SUCCESS;
+  let result = null;
+  let error = null;
+  try {
+    result = definition.run(orgId) ?? null;
+  } catch (err) {
+    status = RUN_STATUSES.FAILED;
+    error = err.message || String(err);
+    logger.error('Scheduled job failed', { jobKey, orgId, trigger, error });
+  }
+  const finishedMs = Date.now();
+
+  const run = {
+    id: uuidv4(),
+    org_id: orgId,
+    job_id: job.id,
+    job_key: jobKey,
+    trigger,
+    scheduled_for: trigger === TRIGGERS.MANUAL ? null : job.next_run_at,
+    started_at: startedAt,
+    finished_at: new Date(finishedMs).toISOString(),
+    duration_ms: finishedMs - startedMs,
+    status,
+    result: result === null ? null : JSON.stringify(result),
+    error,
+    triggered_by: triggeredBy,
+  };
+
+  // A manual run leaves the schedule alone; a scheduled or catch-up run
+  // schedules the next slot after now, however many were missed.
+  const next = trigger === TRIGGERS.MANUAL
+    ? job.next_run_at
+    : nextRun(job.cron, now || new Date(finishedMs)).toISOString();
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO scheduled_job_runs
+        (id, org_id, job_id, job_key, trigger, scheduled_for, started_at, finished_at,
+         duration_ms, status, result, error, triggered_by)
+      VALUES (@id, @org_id, @job_id, @job_key, @trigger, @scheduled_for, @started_at, @finished_at,
+              @duration_ms, @status, @result, @error, @triggered_by)
+    `).run(run);
+    db.prepare(`
+      UPDATE scheduled_jobs
+         SET last_run_at = ?, last_status = ?, last_duration_ms = ?, last_error = ?, next_run_at = ?
+       WHERE id = ?
+    `).run(run.started_at, status, run.duration_ms, error, next, job.id);
+  })();
+
+  audit(db, orgId, job, run);
+  logger.info('Scheduled job ran', { jobKey, orgId, trigger, status, durationMs: run.duration_ms });
+  return parseResult(run);
+}
+
+/**
+ * Run every due job for every active organization.
+ * @returns {Array<object>} the runs made
+ */
+function tick(now = new Date()) {
+  const db = getDatabase();
+  const orgs = db.prepare("SELECT id FROM organizations WHERE status = 'ACTIVE'").all();
+  const runs = [];
+  for (const { id: orgId } of orgs) {
+    try {
+      ensureJobs(orgId, now);
+      const due = db.prepare(`
+        SELECT * FROM scheduled_jobs
+         WHERE org_id = ? AND is_paused = 0 AND next_run_at IS NOT NULL AND next_run_at <= ?
+         ORDER BY next_run_at
+      `).all(orgId, now.toISOString());
+      for (const job of due) {
+        if (!JOBS[job.job_key]) continue;
+        // More than one slot has passed since the one we were waiting for:
+        // the workstation slept or the app was closed through them.
+        const missed = nextRun(job.cron, new Date(job.next_run_at)) <= now;
+        runs.push(runJob(orgId, job.job_key, {
+          trigger: missed ? TRIGGERS.CATCH_UP : TRIGGERS.SCHEDULE,
+          triggeredBy: SYSTEM_ACTOR,
+          now,
+        }));
+      }
+    } catch (err) {
+      logger.error('Scheduler tick failed for organization', { orgId, error: err.message });
+    }
+  }
+  return runs;
+}
+
+// --- lifecycle ---
+
+let timer = null;
+let firstTick = null;
+let resumeHooked = false;
+
+function safeTick(reason) {
+  try {
+    const runs = tick();
+    if (runs.length > 0) logger.info('Scheduler tick complete', { reason, runs: runs.length });
+  } catch (err) {
+    logger.error('Scheduler tick failed', { reason, error: err.message });
+  }
+}
+
+/** Start ticking in the main process. Idempotent. */
+function startScheduler({ intervalMs = TICK_INTERVAL_MS } = {}) {
+  if (timer) return;
+  timer = setInterval(() => safeTick('interval'), intervalMs);
+  firstTick = setTimeout(() => safeTick('startup'), FIRST_TICK_DELAY_MS);
+  if (powerMonitor && typeof powerMonitor.on === 'function' && !resumeHooked) {
+    // Timers do not fire while the machine sleeps; catch up as soon as it wakes.
+    powerMonitor.on('resume', () => { if (timer) safeTick('resume'); });
+    resumeHooked = true;
+  }
+  logger.info('Job scheduler started', { intervalMs, jobs: Object.keys(JOBS) });
+}
+
+function stopScheduler() {
+  if (timer) { clearInterval(timer); timer = null; }
+  if (firstTick) { clearTimeout(firstTick); firstTick = null; }
+}
+
+module.exports = {
+  JOBS,
+  TRIGGERS,
+  RUN_STATUSES,
+  SYSTEM_ACTOR,
+  parseCron,
+  nextRun,
+  ensureJobs,
+  getJob,
+  listJobs,
+  listRuns,
+  pauseJob,
+  resumeJob,
+  updateSchedule,
+  runJob,
+  tick,
+  startScheduler,
+  stopScheduler,
+};
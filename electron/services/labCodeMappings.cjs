@@ -0,0 +1,134 @@
+/**
+ * Local lab codes to LOINC, per sending application.
+ *
+ * An HL7 v2 interface often reports its own order codes in OBX-3 ("CRE^Creat
+ * ^L") rather than LOINC. Each sending application (MSH-3) gets its own table,
+ * because the same local code can mean different tests on two interfaces. A
+ * mapping may only point at a code in the bundled LOINC catalog (./loinc.cjs).
+ *
+ * Resolution order for an inbound code: this org's mapping for the sender,
+ * then the code itself when it is labelled LOINC (or unlabelled) and in the
+ * catalog. A code that resolves neither way is stored with no LOINC code and
+ * reported by the ingest, so the operator knows which mapping to add.
+ *
+ * Saving a mapping also links results already received from that sender
+ * under that local code, so their currency counts without re-sending them.
+ * Deleting a mapping leaves those links in place: they record how each result
+ * was resolved when it was linked.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../database/init.cjs');
+const loinc = require('./loinc.cjs');
+
+function ensure(value, name) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    throw new Error(`${name} is required`);
+  }
+}
+
+function withCatalogName(row) {
+  if (!row) return row;
+  const entry = loinc.lookup(row.loinc_code);
+  return { ...row, loinc_name: entry ? entry.name : null };
+}
+
+function listMappings(orgId, { sendingApplication } = {}) {
+  const db = getDatabase();
+  const params = [orgId];
+  let sql = 'SELECT * FROM lab_code_mappings WHERE org_id = ?';
+  if (sendingApplication) {
+    sql += ' AND sending_application = ? COLLATE NOCASE';
+    params.push(sendingApplication);
+  }
+  sql += ' ORDER BY sending_application COLLATE NOCASE, local_code COLLATE NOCASE';
+  return db.prepare(sql).all(...params).map(withCatalogName);
+}
+
+function getMapping(orgId, id) {
+  const row = getDatabase().prepare('SELECT * FROM lab_code_mappings WHERE id = ? AND org_id = ?').get(id, orgId);
+  return withCatalogName(row);
+}
+
+/**
+ * Create or replace the mapping for one sender's local code. Returns the
+ * mapping with `relinked`, the number of stored results it was applied to.
+ */
+function saveMapping(orgId, data, userEmail) {
+  ensure(data?.sending_application, 'sending_application');
+  ensure(data?.local_code, 'local_code');
+  ensure(data?.loinc_code, 'loinc_code');
+  const sendingApplication = String(data.sending_application).trim();
+  const localCode = String(data.local_code).trim();
+  const loincCode = String(data.loinc_code).trim();
+  if (!loinc.lookup(loincCode)) throw new Error(`LOINC code ${loincCode} is not in the lab catalog`);
+
+  const db = getDatabase();
+  const now = new Date().toISOString();
+  return db.transaction(() => {
+    const existing = db.prepare(`
+      SELECT * FROM lab_code_mappings
+      WHERE org_id = ? AND sending_application = ? COLLATE NOCASE AND local_code = ? COLLATE NOCASE
+    `).get(orgId, sendingApplication, localCode);
+
+    let id;
+    if (existing) {
+      id = existing.id;
+      db.prepare(`
+        UPDATE lab_code_mappings SET loinc_code = ?, local_name = ?, updated_by = ?, updated_at = ?
+        WHERE id = ?
+      `).run(loincCode, data.local_name || existing.local_name || null, userEmail || null, now, id);
+    } else {
+      id = uuidv4();
+      db.prepare(`
+        INSERT INTO lab_code_mappings
+          (id, org_id, sending_application, local_code, local_name, loinc_code, created_by, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, orgId, sendingApplication, localCode, data.local_name || null, loincCode, userEmail || null, now, now);
+    }
+
+    // Results linked under the previous mapping follow it to the new code.
+    const relinked = db.prepare(`
+      UPDATE lab_results SET loinc_code = ?, updated_at = ?
+      WHERE org_id = ? AND source = 'HL7_V2'
+        AND source_application = ? COLLATE NOCASE AND test_code = ? COLLATE NOCASE
+        AND (loinc_code IS NULL OR loinc_code = ?)
+    `).run(loincCode, now, orgId, sendingApplication, localCode, existing ? existing.loinc_code : loincCode).changes;
+
+    return { ...getMapping(orgId, id), relinked };
+  })();
+}
+
+function deleteMapping(orgId, id) {
+  const result = getDatabase().prepare('DELETE FROM lab_code_mappings WHERE id = ? AND org_id = ?').run(id, orgId);
+  if (result.changes === 0) throw new Error('Lab code mapping not found');
+  return { success: true };
+}
+
+/**
+ * LOINC code for a code as a sender reported it.
+ *
+ * @returns {{ loinc_code: string|null, via: 'mapping'|'loinc'|null }}
+ */
+function resolve(orgId, { sendingApplication, code, codingSystem } = {}) {
+  if (!code) return { loinc_code: null, via: null };
+  if (sendingApplication) {
+    const mapped = getDatabase().prepare(`
+      SELECT loinc_code FROM lab_code_mappings
+      WHERE org_id = ? AND sending_application = ? COLLATE NOCASE AND local_code = ? COLLATE NOCASE
+    `).get(orgId, String(sendingApplication).trim(), String(code).trim());
+    if (mapped) return { loinc_code: mapped.loinc_code, via: 'mapping' };
+  }
+  const entry = loinc.fromCoded(code, codingSystem);
+  return entry ? { loinc_code: entry.loinc, via: 'loinc' } : { loinc_code: null, via: null };
+}
+
+module.exports = {
+  listMappings,
+  getMapping,
+  saveMapping,
+  deleteMapping,
+  resolve,
+};
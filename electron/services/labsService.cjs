@@ -17,42 +17,64 @@
  * - Lab is STALE (no recent labs recorded)
  * 
  * These are purely administrative/documentation signals, NOT clinical assessments.
+ *
+ * Results carry the LOINC code the lab catalog resolves for them (see
+ * loinc.cjs), and a required lab with a LOINC code is satisfied by any result
+ * with that code, whatever test_code the sending interface used.
  */
 
 const { getDatabase } = require('../database/init.cjs');
 const { v4: uuidv4 } = require('uuid');
+const loinc = require('./loinc.cjs');
 
 // Constants
 
 // Default required labs for operational tracking (test_code -> display info)
-// These are common labs tracked for documentation completeness
+// These are common labs tracked for documentation completeness. `loinc` is the
+// code results are matched on; null where the catalog has no LOINC term yet.
 const DEFAULT_REQUIRED_LABS = {
   // Kidney-relevant labs
-  CREAT: { name: 'Creatinine', organs: ['kidney', 'kidney_pancreas'], maxAgeDays: 30 },
-  BUN: { name: 'BUN', organs: ['kidney', 'kidney_pancreas'], maxAgeDays: 30 },
-  EGFR: { name: 'eGFR', organs: ['kidney', 'kidney_pancreas'], maxAgeDays: 30 },
-  K: { name: 'Potassium', organs: ['kidney', 'kidney_pancreas'], maxAgeDays: 30 },
+  CREAT: { name: 'Creatinine', loinc: '2160-0', organs: ['kidney', 'kidney_pancreas'], maxAgeDays: 30 },
+  BUN: { name: 'BUN', loinc: '3094-0', organs: ['kidney', 'kidney_pancreas'], maxAgeDays: 30 },
+  EGFR: { name: 'eGFR', loinc: '62238-1', organs: ['kidney', 'kidney_pancreas'], maxAgeDays: 30 },
+  K: { name: 'Potassium', loinc: '2823-3', organs: ['kidney', 'kidney_pancreas'], maxAgeDays: 30 },
   
   // Liver-relevant labs
-  INR: { name: 'INR', organs: ['liver'], maxAgeDays: 30 },
-  BILI: { name: 'Bilirubin', organs: ['liver'], maxAgeDays: 30 },
-  NA: { name: 'Sodium', organs: ['liver'], maxAgeDays: 30 },
+  INR: { name: 'INR', loinc: '6301-6', organs: ['liver'], maxAgeDays: 30 },
+  BILI: { name: 'Bilirubin', loinc: '1975-2', organs: ['liver'], maxAgeDays: 30 },
+  NA: { name: 'Sodium', loinc: '2951-2', organs: ['liver'], maxAgeDays: 30 },
   
   // Cross-organ common labs
-  HGB: { name: 'Hemoglobin', organs: null, maxAgeDays: 30 }, // null = all organs
-  ABO: { name: 'ABO Confirmation', organs: null, maxAgeDays: 365 },
+  HGB: { name: 'Hemoglobin', loinc: '718-7', organs: null, maxAgeDays: 30 }, // null = all organs
+  ABO: { name: 'ABO Confirmation', loinc: '883-9', organs: null, maxAgeDays: 365 },
   
   // Serology (tracked for currency only)
-  CMV: { name: 'CMV Status', organs: null, maxAgeDays: 365 },
-  EBV: { name: 'EBV Status', organs: null, maxAgeDays: 365 },
+  CMV: { name: 'CMV Status', loinc: '13949-3', organs: null, maxAgeDays: 365 },
+  EBV: { name: 'EBV Status', loinc: null, organs: null, maxAgeDays: 365 },
 };
 
 // Source types for lab data
 const LAB_SOURCES = {
   MANUAL: 'MANUAL',
   FHIR_IMPORT: 'FHIR_IMPORT',
+  HL7_V2: 'HL7_V2',
 };
 
+/**
+ * LOINC code for a lab as entered: an explicit loinc_code must be in the
+ * catalog; otherwise the form's shorthand code (CREAT) or a LOINC code typed
+ * as the test code resolves through the catalog, and anything else has none.
+ */
+function resolveLoincCode(data) {
+  if (data.loinc_code) {
+    const entry = loinc.lookup(data.loinc_code);
+    if (!entry) throw new Error(`LOINC code ${data.loinc_code} is not in the lab catalog`);
+    return entry.loinc;
+  }
+  const entry = loinc.fromAlias(data.test_code) || loinc.lookup(data.test_code);
+  return entry ? entry.loinc : null;
+}
+
 // --- CRUD operations ---
 
 /**
@@ -80,27 +102,32 @@ function createLabResult(data, orgId, userId, userEmail) {
     throw new Error('Patient not found or access denied');
   }
   
+  const loincCode = resolveLoincCode(data);
   const id = uuidv4();
   const now = new Date().toISOString();
   
   db.prepare(`
     INSERT INTO lab_results (
-      id, org_id, patient_id, test_code, test_name, value, units,
-      reference_range, collected_at, resulted_at, source, ordering_service,
-      entered_by, created_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      id, org_id, patient_id, test_code, test_name, loinc_code, value, units, units_ucum,
+      reference_range, collected_at, resulted_at, source, source_application,
+      source_message_id, ordering_service, entered_by, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     id,
     orgId,
     data.patient_id,
     data.test_code.toUpperCase(),
     data.test_name,
+    loincCode,
     data.value, // Stored as string
     data.units || null,
+    loinc.normalizeUnit(data.units),
     data.reference_range || null,
     data.collected_at,
     data.resulted_at || null,
     data.source || LAB_SOURCES.MANUAL,
+    data.source_application || null,
+    data.source_message_id || null,
     data.ordering_service || null,
     userId,
     now,
@@ -218,6 +245,19 @@ function updateLabResult(id, data, orgId, userId, userEmail) {
     }
   }
   
+  // Derived columns follow the fields they come from. An unchanged test code
+  // keeps its LOINC code, which may have come from a sender's mapping.
+  const codeChanged = data.test_code !== undefined
+    && data.test_code.toUpperCase() !== String(existing.test_code).toUpperCase();
+  if (codeChanged || data.loinc_code !== undefined) {
+    updates.push('loinc_code = ?');
+    params.push(resolveLoincCode({ test_code: data.test_code ?? existing.test_code, loinc_code: data.loinc_code }));
+  }
+  if (data.units !== undefined) {
+    updates.push('units_ucum = ?');
+    params.push(loinc.normalizeUnit(data.units));
+  }
+  
   if (updates.length === 0) {
     return existing;
   }
@@ -296,6 +336,7 @@ function getRequiredLabTypes(orgId, organType = null) {
       .map(([code, info]) => ({
         test_code: code,
         test_name: info.name,
+        loinc_code: info.loinc,
         organ_type: organType,
         max_age_days: info.maxAgeDays,
         is_active: 1,
@@ -316,19 +357,19 @@ function initializeDefaultLabTypes(orgId, userId) {
   
   const insert = db.prepare(`
     INSERT OR IGNORE INTO required_lab_types 
-    (id, org_id, test_code, test_name, organ_type, max_age_days, is_active, created_by, created_at, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
+    (id, org_id, test_code, test_name, loinc_code, organ_type, max_age_days, is_active, created_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?)
   `);
   
   for (const [code, info] of Object.entries(DEFAULT_REQUIRED_LABS)) {
     // If lab applies to specific organs, create one entry per organ
     if (info.organs) {
       for (const organ of info.organs) {
-        insert.run(uuidv4(), orgId, code, info.name, organ, info.maxAgeDays, userId, now, now);
+        insert.run(uuidv4(), orgId, code, info.name, info.loinc, organ, info.maxAgeDays, userId, now, now);
       }
     } else {
       // Lab applies to all organs
-      insert.run(uuidv4(), orgId, code, info.name, null, info.maxAgeDays, userId, now, now);
+      insert.run(uuidv4(), orgId, code, info.name, info.loinc, null, info.maxAgeDays, userId, now, now);
     }
   }
 }
@@ -364,8 +405,15 @@ function getPatientLabStatus(patientId, orgId) {
   // Get required labs for this organ type
   const requiredLabs = getRequiredLabTypes(orgId, patient.organ_needed);
   
-  // Get latest lab for each test type
+  // Get latest lab for each test type, and for each LOINC code across test types
   const latestLabs = getLatestLabsByPatient(patientId, orgId);
+  const latestByLoinc = {};
+  for (const lab of Object.values(latestLabs)) {
+    const seen = lab.loinc_code && latestByLoinc[lab.loinc_code];
+    if (lab.loinc_code && (!seen || new Date(lab.collected_at) > new Date(seen.collected_at))) {
+      latestByLoinc[lab.loinc_code] = lab;
+    }
+  }
   
   const status = {
     patientId,
@@ -390,7 +438,13 @@ function getPatientLabStatus(patientId, orgId) {
   };
   
   for (const required of requiredLabs) {
-    const latestLab = latestLabs[required.test_code];
+    // A LOINC-defined requirement is met by a result from any interface;
+    // results with no LOINC code still count under their own test code.
+    const candidates = [
+      required.loinc_code ? latestByLoinc[required.loinc_code] : null,
+      latestLabs[required.test_code],
+    ].filter(Boolean);
+    const latestLab = candidates.sort((a, b) => new Date(b.collected_at) - new Date(a.collected_at))[0];
     
     if (!latestLab) {
       // Lab is missing
@@ -398,6 +452,7 @@ function getPatientLabStatus(patientId, orgId) {
       status.missingLabs.push({
         test_code: required.test_code,
         test_name: required.test_name,
+        loinc_code: required.loinc_code || null,
         status: 'MISSING',
         message: 'Required lab not documented',
       });
@@ -412,9 +467,12 @@ function getPatientLabStatus(patientId, orgId) {
       const labStatus = {
         test_code: required.test_code,
         test_name: required.test_name,
+        loinc_code: required.loinc_code || null,
         lab_id: latestLab.id,
         value: latestLab.value,
         units: latestLab.units,
+        units_ucum: latestLab.units_ucum,
+        source: latestLab.source,
         collected_at: latestLab.collected_at,
         days_since_collection: daysSinceCollection,
         max_age_days: maxAgeDays,
@@ -576,7 +634,7 @@ function logLabAudit(action, labId, patient, data, userEmail, orgId) {
   `).run(id, orgId, action, 'LabResult', labId, patientName, details, userEmail, now);
 }
 
-// Common lab test codes
+// Common lab test codes (the lab form's shorthand; `loinc` from the catalog)
 
 const COMMON_LAB_CODES = [
   { code: 'CREAT', name: 'Creatinine', category: 'Kidney' },
@@ -602,7 +660,7 @@ const COMMON_LAB_CODES = [
   { code: 'HBSAG', name: 'Hepatitis B Surface Antigen', category: 'Serology' },
   { code: 'HBCAB', name: 'Hepatitis B Core Antibody', category: 'Serology' },
   { code: 'HCVAB', name: 'Hepatitis C Antibody', category: 'Serology' },
-];
+].map((entry) => ({ ...entry, loinc: loinc.fromAlias(entry.code)?.loinc || null }));
 
 module.exports = {
   // Constants
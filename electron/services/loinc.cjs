@@ -0,0 +1,147 @@
+/**
+ * LOINC lab catalog and UCUM unit normalisation.
+ *
+ * Lab results arrive from manual entry, FHIR imports and HL7 v2 interfaces,
+ * and each names the test its own way: CREAT picked on the lab form, 2160-0
+ * from one laboratory system, a numeric order code from another. The catalog
+ * is the bundled subset of LOINC the transplant program tracks, so a result is
+ * recognised whichever way it was named and required-lab currency is checked
+ * on the LOINC code rather than on the sender's spelling.
+ *
+ * The catalog is the provenanced reference table `loinc-transplant-labs` (see
+ * ./calculators/referenceData.cjs). Without it nothing resolves to a LOINC
+ * code and lab tracking falls back to the test code as entered.
+ *
+ * Units are rewritten in their UCUM spelling for display beside the unit as
+ * received ("K/uL" becomes 10*3/uL). Only the spelling changes: values are
+ * never converted, in keeping with the non-interpretive lab contract.
+ *
+ * Controlled-source id SRC-LOINC-LABS.
+ */
+
+'use strict';
+
+const referenceData = require('./calculators/referenceData.cjs');
+
+/** HL7 v2 coding-system names (CWE.3) and the FHIR system URI for LOINC. */
+const LOINC_SYSTEMS = Object.freeze(['LN', 'LOINC', 'http://loinc.org']);
+
+const CODE_PATTERN = /^(\d{1,7})-(\d)$/;
+
+let indexed = null;
+
+function index() {
+  const table = referenceData.loadTable(referenceData.TABLE_IDS.LOINC);
+  if (!table.available) return null;
+  if (!indexed || indexed.data !== table.data) {
+    const byCode = new Map();
+    const byAlias = new Map();
+    for (const entry of table.data.codes) {
+      byCode.set(entry.loinc, entry);
+      for (const alias of entry.aliases || []) byAlias.set(alias.toUpperCase(), entry);
+    }
+    indexed = { data: table.data, table, byCode, byAlias };
+  }
+  return indexed;
+}
+
+/**
+ * True when `code` is shaped like a LOINC code and its check digit agrees.
+ * LOINC check digits are Mod 10 over the digits before the hyphen.
+ */
+function isValidCode(code) {
+  const m = CODE_PATTERN.exec(String(code || '').trim());
+  if (!m) return false;
+  let sum = 0;
+  const digits = m[1].split('').reverse();
+  for (let i = 0; i < digits.length; i++) {
+    let n = Number(digits[i]);
+    if (i % 2 === 0) {
+      n *= 2;
+      if (n > 9) n -= 9;
+    }
+    sum += n;
+  }
+  return (10 - (sum % 10)) % 10 === Number(m[2]);
+}
+
+/** The catalog with its revision, for pickers and the mapping editor. */
+function catalog() {
+  const idx = index();
+  if (!idx) {
+    const table = referenceData.loadTable(referenceData.TABLE_IDS.LOINC);
+    return { available: false, message: table.message, version: null, codes: [] };
+  }
+  const { table } = idx;
+  return {
+    available: true,
+    version: table.meta.sourceRevision,
+    effectiveDate: table.meta.effectiveDate,
+    reviewBy: table.meta.reviewBy,
+    stale: table.stale,
+    licenseNotice: table.data.licenseNotice || null,
+    codes: idx.data.codes,
+  };
+}
+
+/** Catalog entry for a LOINC code, or null when it is not in the subset. */
+function lookup(code) {
+  const idx = index();
+  if (!idx || !code) return null;
+  return idx.byCode.get(String(code).trim()) || null;
+}
+
+/** Catalog entry for one of the in-app shorthand codes (CREAT, HGB...). */
+function fromAlias(localCode) {
+  const idx = index();
+  if (!idx || !localCode) return null;
+  return idx.byAlias.get(String(localCode).trim().toUpperCase()) || null;
+}
+
+/**
+ * Catalog entry for a code a sender labelled as LOINC. A code with no coding
+ * system is taken at face value when it is a catalog code; one labelled with
+ * any other system is the sender's own and needs a mapping.
+ */
+function fromCoded(code, codingSystem) {
+  const system = String(codingSystem || '').trim();
+  if (system && !LOINC_SYSTEMS.some((s) => s.toUpperCase() === system.toUpperCase())) return null;
+  return lookup(code);
+}
+
+function unitKey(raw) {
+  return String(raw)
+    .trim()
+    .replace(/[µμ]/g, 'u')
+    .replace(/²/g, '2')
+    .replace(/\s+/g, '')
+    .replace(/\^/g, '*')
+    .toLowerCase()
+    .replace(/^x?10e(\d+)/, '10*$1')
+    .replace(/^x?10\((\d+)\)/, '10*$1')
+    .replace(/^x10\*/, '10*');
+}
+
+/**
+ * UCUM spelling of a unit as written by a sender, or null when the spelling is
+ * not one the catalog recognises. The raw unit is always kept alongside.
+ */
+function normalizeUnit(raw) {
+  if ([undefined, null].includes(raw) || String(raw).trim() === '') return null;
+  const idx = index();
+  if (!idx) return null;
+  const units = idx.data.units || {};
+  const trimmed = String(raw).trim();
+  if (Object.values(units).includes(trimmed)) return trimmed;
+  return units[unitKey(trimmed)] || null;
+}
+
+module.exports = {
+  LOINC_SYSTEMS,
+  isValidCode,
+  catalog,
+  lookup,
+  fromAlias,
+  fromCoded,
+  normalizeUnit,
+};
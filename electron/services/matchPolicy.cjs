@@ -0,0 +1,438 @@
+/**
+ * Match policies — how a donor organ is matched and ranked, as data.
+ *
+ * Manages: match_policies.
+ *
+ * One policy per organ type per organisation is active at a time. A policy is
+ * never edited in place: saving creates the next version and makes it active,
+ * and an earlier version can be made active again. A version's definition is
+ * frozen by trigger, so a match run that records (policy_id, policy_version)
+ * can be recomputed later under exactly the rules it ran with.
+ *
+ * A definition:
+ *   weights      share of the candidate's priority score and of the HLA score
+ *   abo          rule ('compatible' or 'identical'), whether Rh must also be
+ *                compatible, whether A2/A2B donors may go to B candidates
+ *                marked a2_to_b_eligible, and the points for an identical or
+ *                a compatible group
+ *   hla          the loci scored (two antigens each, so the maximum is twice
+ *                the number of loci), an optional mismatch limit above which a
+ *                candidate is excluded, bonus points per match at other loci,
+ *                and the score used when either side is untyped
+ *   size         donor/candidate ratio of weight or height, its bounds, and
+ *                whether a candidate outside them is excluded or scored lower
+ *   age          bands of donor/candidate age difference and their points
+ *   waitingTime  points per year on the list, capped
+ *   distance     donor hospital to this centre, in nautical miles: a limit
+ *                beyond which the organ is not matched here, and point bands
+ *
+ * Version 1 of each organ's policy is the scoring matchDonorAdvanced used to
+ * hard-code, except for size: heart and liver use their own donor/candidate
+ * weight bands, and lung matches on height, the usual stand-in for predicted
+ * total lung capacity. Other rankings change only when a centre edits a policy.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { VALID_ORGAN_TYPES } = require('../functions/validators.cjs');
+
+const ORGAN_TYPES = Object.freeze([...VALID_ORGAN_TYPES]);
+
+const ABO_RULES = Object.freeze({ COMPATIBLE: 'compatible', IDENTICAL: 'identical' });
+
+const SIZE_MEASURES = Object.freeze({ WEIGHT: 'weight', HEIGHT: 'height' });
+
+const HLA_LOCI = Object.freeze(['A', 'B', 'C', 'DR', 'DQ', 'DP']);
+
+/** Why a candidate who is ABO-eligible was not matched. */
+const EXCLUSIONS = Object.freeze({
+  HLA_MISMATCH_LIMIT: 'HLA_MISMATCH_LIMIT',
+  SIZE: 'SIZE',
+  DISTANCE: 'DISTANCE',
+});
+
+const BASE_DEFINITION = Object.freeze({
+  weights: { priority: 0.35, hla: 0.30 },
+  abo: { rule: ABO_RULES.COMPATIBLE, matchRh: true, a2ToB: false, identicalPoints: 10, compatiblePoints: 5 },
+  hla: { loci: ['A', 'B', 'DR'], maxMismatches: null, bonusPerMatch: { DQ: 5 }, untypedScore: 50 },
+  size: { measure: SIZE_MEASURES.WEIGHT, minRatio: 0.7, maxRatio: 1.5, exclude: false, inRangePoints: 10, outOfRangePoints: 3 },
+  age: { bands: [{ maxDifference: 10, points: 5 }, { maxDifference: 20, points: 3 }] },
+  waitingTime: { pointsPerYear: 10, maxPoints: 10 },
+  distance: { maxNm: null, bands: [] },
+});
+
+/** Size rules for organs whose fit is not the general weight band. */
+const ORGAN_SIZE = Object.freeze({
+  heart: { measure: SIZE_MEASURES.WEIGHT, minRatio: 0.8, maxRatio: 1.5 },
+  lung: { measure: SIZE_MEASURES.HEIGHT, minRatio: 0.9, maxRatio: 1.1 },
+  liver: { measure: SIZE_MEASURES.WEIGHT, minRatio: 0.6, maxRatio: 1.6 },
+});
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function ensure(value, name) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`${name} is required`);
+  }
+}
+
+function organKey(organType) {
+  return String(organType || '').trim().toLowerCase();
+}
+
+/** The built-in definition for an organ type: version 1 of its policy. */
+function defaultDefinition(organType) {
+  const organ = organKey(organType);
+  if (!ORGAN_TYPES.includes(organ)) throw new Error(`Unknown organ type: "${organType}"`);
+  const def = clone(BASE_DEFINITION);
+  Object.assign(def.size, ORGAN_SIZE[organ]);
+  return def;
+}
+
+// validation
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function checkPoints(errors, value, name) {
+  if (!isNumber(value) || value < 0) errors.push(`${name} must be a number of points, 0 or more`);
+}
+
+function checkBands(errors, bands, key, name) {
+  if (!Array.isArray(bands)) {
+    errors.push(`${name} must be a list`);
+    return;
+  }
+  bands.forEach((band, i) => {
+    if (!isNumber(band?.[key]) || band[key] < 0) errors.push(`${name}[${i}].${key} must be a number, 0 or more`);
+    checkPoints(errors, band?.points, `${name}[${i}].points`);
+  });
+}
+
+/**
+ * Check a definition before it is stored. Returns { valid, errors }; every
+ * problem is listed, not just the first.
+ */
+function validateDefinition(def) {
+  const errors = [];
+  if (!def || typeof def !== 'object' || Array.isArray(def)) {
+    return { valid: false, errors: ['definition must be an object'] };
+  }
+  for (const section of Object.keys(BASE_DEFINITION)) {
+    if (!def[section] || typeof def[section] !== 'object') errors.push(`${section} is required`);
+  }
+  if (errors.length) return { valid: false, errors };
+
+  const { weights, abo, hla, size, age, waitingTime, distance } = def;
+  for (const key of ['priority', 'hla']) {
+    if (!isNumber(weights[key]) || weights[key] < 0 || weights[key] > 1) {
+      errors.push(`weights.${key} must be between 0 and 1`);
+    }
+  }
+
+  if (!Object.values(ABO_RULES).includes(abo.rule)) {
+    errors.push(`abo.rule must be one of: ${Object.values(ABO_RULES).join(', ')}`);
+  }
+  for (const key of ['matchRh', 'a2ToB']) {
+    if (typeof abo[key] !== 'boolean') errors.push(`abo.${key} must be true or false`);
+  }
+  checkPoints(errors, abo.identicalPoints, 'abo.identicalPoints');
+  checkPoints(errors, abo.compatiblePoints, 'abo.compatiblePoints');
+
+  if (!Array.isArray(hla.loci) || hla.loci.some((l) => !HLA_LOCI.includes(l)) || new Set(hla.loci).size !== hla.loci.length) {
+    errors.push(`hla.loci must list distinct loci from: ${HLA_LOCI.join(', ')}`);
+  }
+  if (hla.maxMismatches !== null && (!Number.isInteger(hla.maxMismatches) || hla.maxMismatches < 0)) {
+    errors.push('hla.maxMismatches must be a whole number, or null for no limit');
+  }
+  if (!hla.bonusPerMatch || typeof hla.bonusPerMatch !== 'object') {
+    errors.push('hla.bonusPerMatch must be an object of locus: points');
+  } else {
+    for (const [locus, points] of Object.entries(hla.bonusPerMatch)) {
+      if (!HLA_LOCI.includes(locus)) errors.push(`hla.bonusPerMatch: unknown locus "${locus}"`);
+      checkPoints(errors, points, `hla.bonusPerMatch.${locus}`);
+    }
+  }
+  if (!isNumber(hla.untypedScore) || hla.untypedScore < 0 || hla.untypedScore > 100) {
+    errors.push('hla.untypedScore must be between 0 and 100');
+  }
+
+  if (size.measure !== null && !Object.values(SIZE_MEASURES).includes(size.measure)) {
+    errors.push(`size.measure must be one of: ${Object.values(SIZE_MEASURES).join(', ')}, or null for no size matching`);
+  }
+  if (size.measure !== null) {
+    if (!isNumber(size.minRatio) || !isNumber(size.maxRatio) || size.minRatio <= 0 || size.minRatio > size.maxRatio) {
+      errors.push('size.minRatio and size.maxRatio must be positive, with minRatio no greater than maxRatio');
+    }
+    if (typeof size.exclude !== 'boolean') errors.push('size.exclude must be true or false');
+    checkPoints(errors, size.inRangePoints, 'size.inRangePoints');
+    checkPoints(errors, size.outOfRangePoints, 'size.outOfRangePoints');
+  }
+
+  checkBands(errors, age.bands, 'maxDifference', 'age.bands');
+
+  checkPoints(errors, waitingTime.pointsPerYear, 'waitingTime.pointsPerYear');
+  checkPoints(errors, waitingTime.maxPoints, 'waitingTime.maxPoints');
+
+  if (distance.maxNm !== null && (!isNumber(distance.maxNm) || distance.maxNm <= 0)) {
+    errors.push('distance.maxNm must be a positive number, or null for no limit');
+  }
+  checkBands(errors, distance.bands, 'maxNm', 'distance.bands');
+
+  return { valid: errors.length === 0, errors };
+}
+
+// evaluation
+
+const ABO_GROUP_RECIPIENTS = Object.freeze({
+  O: ['O', 'A', 'B', 'AB'],
+  A: ['A', 'AB'],
+  B: ['B', 'AB'],
+  AB: ['AB'],
+});
+
+/** 'A+' → { group: 'A', rh: '+' }; the Rh sign may be absent. */
+function parseBloodType(value) {
+  const m = /^\s*(AB|A|B|O)\s*([+-])?\s*$/i.exec(String(value || ''));
+  return m ? { group: m[1].toUpperCase(), rh: m[2] || null } : null;
+}
+
+/**
+ * Whether a donor's organ may go to a candidate under the policy's ABO rule.
+ * Returns { eligible, identical, via } where via is 'identical',
+ * 'compatible' or 'a2_to_b'.
+ */
+function aboEligibility(donor, patient, abo) {
+  const d = parseBloodType(donor?.blood_type);
+  const p = parseBloodType(patient?.blood_type);
+  const none = { eligible: false, identical: false, via: null };
+  if (!d || !p) return none;
+
+  if (abo.matchRh && d.rh === '+' && p.rh === '-') return none;
+  const identical = d.group === p.group && (!abo.matchRh || d.rh === p.rh);
+
+  if (d.group === p.group) return { eligible: true, identical, via: 'identical' };
+  if (abo.rule === ABO_RULES.COMPATIBLE && ABO_GROUP_RECIPIENTS[d.group].includes(p.group)) {
+    return { eligible: true, identical, via: 'compatible' };
+  }
+  // A2 and A2B organs express little A antigen; OPTN allows them to B
+  // candidates whose anti-A titre the centre has found acceptable.
+  const subtype = String(donor?.abo_subtype || '').toUpperCase();
+  if (abo.a2ToB && (subtype === 'A2' || subtype === 'A2B') && p.group === 'B' && Number(patient?.a2_to_b_eligible) === 1) {
+    return { eligible: true, identical, via: 'a2_to_b' };
+  }
+  return none;
+}
+
+function ageInYears(dateOfBirth, now) {
+  return Math.floor((now - new Date(dateOfBirth)) / (DAY_MS * 365.25));
+}
+
+function bandPoints(bands, key, value) {
+  const band = [...bands].sort((a, b) => a[key] - b[key]).find((b) => value <= b[key]);
+  return band ? band.points : 0;
+}
+
+/**
+ * Score one ABO-eligible candidate against a donor under a definition.
+ *
+ * `hlaMismatches` is hla.mismatches(donor, candidate). Returns
+ * { excluded: [reasons], score, components, hlaScore, hlaMatches,
+ *   hlaMaximum, totalHlaMatches, sizeCompatible, sizeRatio }.
+ * `components` holds the points each part contributed, so a rank can be
+ * explained.
+ */
+function evaluate(def, { donor, patient, hlaMismatches, abo, now = new Date() }) {
+  const excluded = [];
+  const components = {};
+
+  // HLA: scored over the policy's loci; untyped if any of them is.
+  const hlaMaximum = 2 * def.hla.loci.length;
+  const hlaMatches = { A: 0, B: 0, DR: 0, DQ: 0 };
+  const available = hlaMismatches && !hlaMismatches.reason;
+  const typed = available && hlaMaximum > 0 && def.hla.loci.every((l) => hlaMismatches[l] !== null && hlaMismatches[l] !== undefined);
+  let hlaScore;
+  if (!typed) {
+    hlaScore = hlaMaximum > 0 ? def.hla.untypedScore : 0;
+  } else {
+    const mismatched = def.hla.loci.reduce((sum, l) => sum + hlaMismatches[l], 0);
+    hlaScore = ((hlaMaximum - mismatched) / hlaMaximum) * 100;
+    for (const [locus, points] of Object.entries(def.hla.bonusPerMatch)) {
+      if (hlaMismatches[locus] !== null && hlaMismatches[locus] !== undefined) {
+        hlaScore += (2 - hlaMismatches[locus]) * points;
+      }
+    }
+    hlaScore = Math.min(100, hlaScore);
+    if (def.hla.maxMismatches !== null && mismatched > def.hla.maxMismatches) excluded.push(EXCLUSIONS.HLA_MISMATCH_LIMIT);
+    for (const locus of Object.keys(hlaMatches)) {
+      if (hlaMismatches[locus] !== null && hlaMismatches[locus] !== undefined) hlaMatches[locus] = 2 - hlaMismatches[locus];
+    }
+  }
+  const totalHlaMatches = typed ? def.hla.loci.reduce((sum, l) => sum + 2 - hlaMismatches[l], 0) : 0;
+
+  components.priority = (patient.priority_score || 0) * def.weights.priority;
+  components.hla = hlaScore * def.weights.hla;
+  components.abo = abo.identical ? def.abo.identicalPoints : def.abo.compatiblePoints;
+
+  // Size: a ratio either side has not recorded is not held against anyone.
+  let sizeCompatible = null;
+  let sizeRatio = null;
+  if (def.size.measure) {
+    const [donorSize, patientSize] = def.size.measure === SIZE_MEASURES.HEIGHT
+      ? [donor.donor_height_cm, patient.height_cm]
+      : [donor.donor_weight_kg, patient.weight_kg];
+    sizeCompatible = true;
+    if (donorSize && patientSize) {
+      sizeRatio = donorSize / patientSize;
+      sizeCompatible = sizeRatio >= def.size.minRatio && sizeRatio <= def.size.maxRatio;
+    }
+    if (!sizeCompatible && def.size.exclude) excluded.push(EXCLUSIONS.SIZE);
+    components.size = sizeCompatible ? def.size.inRangePoints : def.size.outOfRangePoints;
+  }
+
+  components.waitingTime = 0;
+  if (patient.date_added_to_waitlist) {
+    const daysOnList = Math.floor((now - new Date(patient.date_added_to_waitlist)) / DAY_MS);
+    components.waitingTime = Math.min(def.waitingTime.maxPoints, (daysOnList / 365) * def.waitingTime.pointsPerYear);
+  }
+
+  components.age = 0;
+  if (donor.donor_age && patient.date_of_birth) {
+    const ageDiff = Math.abs(donor.donor_age - ageInYears(patient.date_of_birth, now));
+    components.age = bandPoints(def.age.bands, 'maxDifference', ageDiff);
+  }
+
+  components.distance = 0;
+  const distanceNm = donor.distance_nm;
+  if (distanceNm !== null && distanceNm !== undefined && distanceNm !== '') {
+    if (def.distance.maxNm !== null && distanceNm > def.distance.maxNm) excluded.push(EXCLUSIONS.DISTANCE);
+    components.distance = bandPoints(def.distance.bands, 'maxNm', Number(distanceNm));
+  }
+
+  const score = Object.values(components).reduce((sum, v) => sum + v, 0);
+  return {
+    excluded,
+    score: Math.min(100, score),
+    components,
+    hlaScore,
+    hlaMatches,
+    hlaMaximum,
+    totalHlaMatches,
+    sizeCompatible,
+    sizeRatio,
+  };
+}
+
+// storage
+
+function rowOut(row) {
+  if (!row) return null;
+  return { ...row, definition: JSON.parse(row.definition), is_active: !!row.is_active };
+}
+
+function getPolicy(db, id, orgId) {
+  if (!orgId) throw new Error('orgId required');
+  return rowOut(db.prepare('SELECT * FROM match_policies WHERE id = ? AND org_id = ?').get(id, orgId));
+}
+
+function insertVersion(db, { orgId, organ, name, definition, changeNote, createdBy }) {
+  const next = db.prepare(
+    'SELECT COALESCE(MAX(version), 0) + 1 AS v FROM match_policies WHERE org_id = ? AND organ_type = ?'
+  ).get(orgId, organ).v;
+  const id = uuidv4();
+  db.prepare('UPDATE match_policies SET is_active = 0 WHERE org_id = ? AND organ_type = ? AND is_active = 1')
+    .run(orgId, organ);
+  db.prepare(`
+    INSERT INTO match_policies (id, org_id, organ_type, version, name, definition, change_note, is_active, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, datetime('now'))
+  `).run(id, orgId, organ, next, name, JSON.stringify(definition), changeNote ?? null, createdBy ?? null);
+  return id;
+}
+
+/**
+ * The active policy for an organ type. An organisation that has never saved
+ * one gets the built-in definition stored as version 1, so every run refers
+ * to a stored version.
+ */
+function activePolicy(db, orgId, organType, { createdBy } = {}) {
+  if (!orgId) throw new Error('orgId required');
+  const organ = organKey(organType);
+  const active = db.prepare(
+    'SELECT * FROM match_policies WHERE org_id = ? AND organ_type = ? AND is_active = 1'
+  ).get(orgId, organ);
+  if (active) return rowOut(active);
+
+  const id = db.transaction(() => insertVersion(db, {
+    orgId, organ, name: 'Default', definition: defaultDefinition(organ),
+    changeNote: 'Built-in policy', createdBy: createdBy ?? 'system',
+  }))();
+  return getPolicy(db, id, orgId);
+}
+
+/** The active policy of every organ type. */
+function listActive(db, orgId, { createdBy } = {}) {
+  return ORGAN_TYPES.map((organ) => activePolicy(db, orgId, organ, { createdBy }));
+}
+
+/** Every version of an organ type's policy, newest first. */
+function history(db, orgId, organType) {
+  if (!orgId) throw new Error('orgId required');
+  return db.prepare(
+    'SELECT * FROM match_policies WHERE org_id = ? AND organ_type = ? ORDER BY version DESC'
+  ).all(orgId, organKey(organType)).map(rowOut);
+}
+
+/** Store a definition as the next version of an organ type's policy and make it active. */
+function savePolicy(db, { orgId, organType, name, definition, changeNote, createdBy }) {
+  ensure(orgId, 'orgId');
+  ensure(organType, 'organ_type');
+  const organ = organKey(organType);
+  if (!ORGAN_TYPES.includes(organ)) throw new Error(`Unknown organ type: "${organType}"`);
+  ensure(changeNote, 'change_note');
+  const { valid, errors } = validateDefinition(definition);
+  if (!valid) throw new Error(`Invalid match policy: ${errors.join('; ')}`);
+
+  const id = db.transaction(() => {
+    activePolicy(db, orgId, organ, { createdBy }); // version 1 is the built-in
+    return insertVersion(db, { orgId, organ, name: name || 'Custom', definition, changeNote, createdBy });
+  })();
+  return getPolicy(db, id, orgId);
+}
+
+/** Make an earlier (or any) version the active one for its organ type. */
+function activatePolicy(db, { id, orgId }) {
+  ensure(id, 'id');
+  const policy = getPolicy(db, id, orgId);
+  if (!policy) throw new Error('Match policy not found or access denied');
+  db.transaction(() => {
+    db.prepare('UPDATE match_policies SET is_active = 0 WHERE org_id = ? AND organ_type = ? AND is_active = 1')
+      .run(orgId, policy.organ_type);
+    db.prepare('UPDATE match_policies SET is_active = 1 WHERE id = ? AND org_id = ?').run(id, orgId);
+  })();
+  return getPolicy(db, id, orgId);
+}
+
+module.exports = {
+  ORGAN_TYPES,
+  ABO_RULES,
+  SIZE_MEASURES,
+  HLA_LOCI,
+  EXCLUSIONS,
+  defaultDefinition,
+  validateDefinition,
+  parseBloodType,
+  aboEligibility,
+  evaluate,
+  getPolicy,
+  activePolicy,
+  listActive,
+  history,
+  savePolicy,
+  activatePolicy,
+};
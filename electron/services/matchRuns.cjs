@@ -0,0 +1,327 @@
+/**
+ * Match runs — ranking a donor organ's candidates, and the snapshot that lets
+ * a run be explained later.
+ *
+ * Manages: match_runs.
+ *
+ * rankCandidates() is the whole of a run's decision: ABO eligibility, virtual
+ * crossmatch, the policy's exclusions and score, then the order. It reads
+ * only the donor, the candidates, the policy definition, the MFI threshold
+ * and the time of the run, so a run recomputed from those gives the same
+ * answer.
+ *
+ * Every live run stores a snapshot of exactly those inputs — the donor and
+ * candidate fields ranking reads, the policy version, the threshold and the
+ * run time — with the outcome for every candidate. Snapshots are immutable
+ * by trigger. replay() recomputes a snapshot under its stored policy version
+ * and lists every candidate whose outcome, rank or score now differs; a
+ * difference means the ranking code or the HLA reference data has changed
+ * since, not the inputs.
+ *
+ * The matches written by a run and the organ offers made from it carry its
+ * match_run_id.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const hla = require('./hla.cjs');
+const vxm = require('./virtualCrossmatch.cjs');
+const matchPolicy = require('./matchPolicy.cjs');
+
+/** Donor fields ranking reads. */
+const DONOR_INPUTS = Object.freeze([
+  'id', 'donor_id', 'organ_type', 'blood_type', 'abo_subtype', 'hla_typing',
+  'donor_age', 'donor_weight_kg', 'donor_height_cm', 'distance_nm',
+]);
+
+/** Candidate fields ranking reads, and the name and MRN to report them by. */
+const CANDIDATE_INPUTS = Object.freeze([
+  'id', 'patient_id', 'first_name', 'last_name', 'blood_type', 'a2_to_b_eligible',
+  'hla_typing', 'unacceptable_antigens', 'hla_antibodies', 'priority_score',
+  'weight_kg', 'height_cm', 'date_of_birth', 'date_added_to_waitlist',
+  'previous_transplants', 'comorbidity_score',
+]);
+
+/** What happened to a candidate in a run. */
+const OUTCOMES = Object.freeze({
+  RANKED: 'ranked',
+  ABO_INELIGIBLE: 'abo_ineligible',
+  CROSSMATCH_POSITIVE: 'crossmatch_positive',
+  POLICY_EXCLUDED: 'policy_excluded',
+});
+
+function ensure(value, name) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`${name} is required`);
+  }
+}
+
+function pick(row, fields) {
+  const out = {};
+  for (const f of fields) out[f] = row[f] ?? null;
+  return out;
+}
+
+function nameOf(patient) {
+  return `${patient.first_name} ${patient.last_name}`;
+}
+
+// FIXME: survival model is overly simplistic, need real Cox regression data
+function predictedSurvival(patient, scored, abo) {
+  let survival = 85;
+  if (scored.hlaMaximum > 0) survival += (scored.totalHlaMatches / scored.hlaMaximum) * 10;
+  if (abo.identical) survival += 3;
+  if (patient.previous_transplants > 0) survival -= (patient.previous_transplants * 5);
+  if (patient.comorbidity_score) survival -= (patient.comorbidity_score * 2);
+  return Math.min(98, Math.max(60, survival));
+}
+
+/**
+ * Rank the candidates for a donor organ under a policy definition.
+ *
+ * Returns { matches, crossmatchPositive, policyExcluded, aboIneligible };
+ * matches are in rank order, each with the candidate as `patient`.
+ */
+function rankCandidates({ donor, candidates, definition, mfiThreshold, now = new Date() }) {
+  const matches = [];
+  const crossmatchPositive = [];
+  const policyExcluded = [];
+  const aboIneligible = [];
+
+  const donorHLA = hla.parseTyping(donor.hla_typing);
+
+  for (const patient of candidates) {
+    const abo = matchPolicy.aboEligibility(donor, patient, definition.abo);
+    if (!abo.eligible) {
+      aboIneligible.push({ patient_id: patient.id, patient_name: nameOf(patient) });
+      continue;
+    }
+
+    // Mismatches are counted on serological equivalents, so A*02:01 matches
+    // A2 and a split matches its broad. A locus either side has not typed is
+    // null: neither a match nor a mismatch.
+    const hlaMismatches = hla.mismatches(donorHLA, patient.hla_typing, { now });
+
+    // A positive virtual crossmatch excludes the candidate, but is reported
+    // with the antigens responsible rather than dropped without a trace.
+    const crossmatch = vxm.virtualCrossmatch(donorHLA, patient, {
+      mfiThreshold: mfiThreshold ?? vxm.DEFAULT_MFI_THRESHOLD,
+      now,
+    });
+    if (crossmatch.result === vxm.RESULTS.POSITIVE) {
+      crossmatchPositive.push({ patient_id: patient.id, patient_name: nameOf(patient), conflicts: crossmatch.conflicts });
+      continue;
+    }
+
+    const scored = matchPolicy.evaluate(definition, { donor, patient, hlaMismatches, abo, now });
+    if (scored.excluded.length) {
+      policyExcluded.push({ patient_id: patient.id, patient_name: nameOf(patient), reasons: scored.excluded });
+      continue;
+    }
+
+    matches.push({
+      patient,
+      compatibility_score: scored.score,
+      score_components: scored.components,
+      blood_type_compatible: true,
+      abo_compatible: true,
+      abo_basis: abo.via,
+      hla_match_score: scored.hlaScore,
+      hla_matches: scored.hlaMatches,
+      hla_mismatches: hlaMismatches.reason ? null : {
+        A: hlaMismatches.A, B: hlaMismatches.B, C: hlaMismatches.C, DR: hlaMismatches.DR,
+        DQ: hlaMismatches.DQ, DP: hlaMismatches.DP, ABDR: hlaMismatches.abdr,
+      },
+      total_hla_matches: scored.totalHlaMatches,
+      hla_maximum: scored.hlaMaximum,
+      size_compatible: scored.sizeCompatible,
+      virtual_crossmatch: crossmatch.result,
+      virtual_crossmatch_detail: { untyped_loci: crossmatch.untypedLoci, reason: crossmatch.reason || null },
+      predicted_graft_survival: predictedSurvival(patient, scored, abo),
+    });
+  }
+
+  matches.sort((a, b) => b.compatibility_score - a.compatibility_score);
+  matches.forEach((match, index) => {
+    match.priority_rank = index + 1;
+  });
+
+  return { matches, crossmatchPositive, policyExcluded, aboIneligible };
+}
+
+/** The stored form of a run's outcome: every candidate, by patient id. */
+function resultsOf(ranking) {
+  return {
+    ranked: ranking.matches.map((m) => ({
+      patient_id: m.patient.id,
+      rank: m.priority_rank,
+      score: m.compatibility_score,
+      components: m.score_components,
+      abo_basis: m.abo_basis,
+      hla_match_score: m.hla_match_score,
+      total_hla_matches: m.total_hla_matches,
+      hla_maximum: m.hla_maximum,
+      size_compatible: m.size_compatible,
+      virtual_crossmatch: m.virtual_crossmatch,
+      predicted_graft_survival: m.predicted_graft_survival,
+    })),
+    crossmatch_positive: ranking.crossmatchPositive.map((c) => ({ patient_id: c.patient_id, conflicts: c.conflicts })),
+    policy_excluded: ranking.policyExcluded.map((p) => ({ patient_id: p.patient_id, reasons: p.reasons })),
+    abo_ineligible: ranking.aboIneligible.map((a) => ({ patient_id: a.patient_id })),
+  };
+}
+
+// storage
+
+function rowOut(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    donor: JSON.parse(row.donor),
+    candidates: JSON.parse(row.candidates),
+    results: JSON.parse(row.results),
+  };
+}
+
+/**
+ * Store the snapshot of a live run. `ranking` is what rankCandidates()
+ * returned for these inputs; `now` is the time it was given.
+ */
+function recordRun(db, { orgId, donor, candidates, policy, mfiThreshold, now, ranking, runBy }) {
+  ensure(orgId, 'orgId');
+  ensure(donor?.id, 'donor.id');
+  ensure(policy?.id, 'policy.id');
+  ensure(now, 'now');
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO match_runs (
+      id, org_id, donor_organ_id, organ_type, policy_id, policy_version, mfi_threshold,
+      donor, candidates, results, ranked_count, run_at, run_by, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(
+    id, orgId, donor.id, policy.organ_type, policy.id, policy.version, mfiThreshold ?? null,
+    JSON.stringify(pick(donor, DONOR_INPUTS)),
+    JSON.stringify(candidates.map((c) => pick(c, CANDIDATE_INPUTS))),
+    JSON.stringify(resultsOf(ranking)),
+    ranking.matches.length,
+    new Date(now).toISOString(),
+    runBy ?? null
+  );
+  return id;
+}
+
+function getRun(db, id, orgId) {
+  if (!orgId) throw new Error('orgId required');
+  return rowOut(db.prepare('SELECT * FROM match_runs WHERE id = ? AND org_id = ?').get(id, orgId));
+}
+
+/** Runs for an organisation, newest first, without their snapshot bodies. */
+function listRuns(db, orgId, { donorOrganId, limit = 50 } = {}) {
+  if (!orgId) throw new Error('orgId required');
+  let sql = `SELECT id, org_id, donor_organ_id, organ_type, policy_id, policy_version, mfi_threshold,
+                    ranked_count, run_at, run_by, created_at
+               FROM match_runs WHERE org_id = ?`;
+  const params = [orgId];
+  if (donorOrganId) { sql += ' AND donor_organ_id = ?'; params.push(donorOrganId); }
+  sql += ' ORDER BY run_at DESC LIMIT ?';
+  params.push(Math.max(1, Math.min(500, limit)));
+  return db.prepare(sql).all(...params);
+}
+
+/** The most recent run for a donor organ, or null. */
+function latestRunId(db, orgId, donorOrganId) {
+  const row = db.prepare(
+    'SELECT id FROM match_runs WHERE org_id = ? AND donor_organ_id = ? ORDER BY run_at DESC LIMIT 1'
+  ).get(orgId, donorOrganId);
+  return row ? row.id : null;
+}
+
+// replay
+
+function outcomesOf(results) {
+  const out = new Map();
+  for (const r of results.ranked) {
+    out.set(r.patient_id, { outcome: OUTCOMES.RANKED, rank: r.rank, score: r.score, components: r.components });
+  }
+  for (const c of results.crossmatch_positive) {
+    out.set(c.patient_id, { outcome: OUTCOMES.CROSSMATCH_POSITIVE, conflicts: c.conflicts.map((x) => x.antigen) });
+  }
+  for (const p of results.policy_excluded) out.set(p.patient_id, { outcome: OUTCOMES.POLICY_EXCLUDED, reasons: p.reasons });
+  for (const a of results.abo_ineligible) out.set(a.patient_id, { outcome: OUTCOMES.ABO_INELIGIBLE });
+  return out;
+}
+
+const COMPARED = ['outcome', 'rank', 'score', 'components', 'reasons', 'conflicts'];
+
+/**
+ * Differences between two stored-form results, one entry per candidate and
+ * field: { patient_id, field, stored, replayed }.
+ */
+function diffResults(stored, replayed) {
+  const a = outcomesOf(stored);
+  const b = outcomesOf(replayed);
+  const differences = [];
+  for (const patientId of new Set([...a.keys(), ...b.keys()])) {
+    const before = a.get(patientId) || {};
+    const after = b.get(patientId) || {};
+    for (const field of COMPARED) {
+      const x = before[field] ?? null;
+      const y = after[field] ?? null;
+      if (JSON.stringify(x) !== JSON.stringify(y)) {
+        differences.push({ patient_id: patientId, field, stored: x, replayed: y });
+      }
+    }
+  }
+  return differences;
+}
+
+/**
+ * Recompute a stored run from its snapshot under the policy version it
+ * recorded, and compare the result with what was stored.
+ *
+ * Returns { run_id, policy: { id, version }, run_at, identical, differences,
+ * replayed } where differences name the candidate as well as the field.
+ */
+function replay(db, id, orgId) {
+  ensure(id, 'id');
+  const run = getRun(db, id, orgId);
+  if (!run) throw new Error('Match run not found or access denied');
+  const policy = matchPolicy.getPolicy(db, run.policy_id, orgId);
+  if (!policy) throw new Error(`Match policy ${run.policy_id} recorded by this run is missing`);
+
+  const ranking = rankCandidates({
+    donor: run.donor,
+    candidates: run.candidates,
+    definition: policy.definition,
+    mfiThreshold: run.mfi_threshold,
+    now: new Date(run.run_at),
+  });
+  const replayed = resultsOf(ranking);
+  const names = new Map(run.candidates.map((c) => [c.id, nameOf(c)]));
+  const differences = diffResults(run.results, replayed)
+    .map((d) => ({ ...d, patient_name: names.get(d.patient_id) || null }));
+
+  return {
+    run_id: run.id,
+    policy: { id: policy.id, version: policy.version },
+    run_at: run.run_at,
+    identical: differences.length === 0,
+    differences,
+    replayed,
+  };
+}
+
+module.exports = {
+  DONOR_INPUTS,
+  CANDIDATE_INPUTS,
+  OUTCOMES,
+  rankCandidates,
+  resultsOf,
+  recordRun,
+  getRun,
+  listRuns,
+  latestRunId,
+  diffResults,
+  replay,
+};
@@ -9,12 +9,35 @@
  *
  * Allocation occurs in OPTN/UNet. This module records the *operational
  * coordination* of offers received by the center.
+ *
+ * An offer links the match run (./matchRuns.cjs) whose snapshot explains the
+ * candidate's rank: the one named when the offer is made, otherwise the
+ * donor organ's latest run, if it has one.
+ *
+ * Offers for one donor organ form its chain. An offer with a
+ * backup_chain_position above 0 is a backup; the rest are primaries, and
+ * several may be open in parallel. When a primary is declined, expires or is
+ * rescinded and no other primary is still open, the open backup with the
+ * lowest position is promoted to primary (a PROMOTED event). A backup may
+ * accept provisionally but must be promoted before it can accept finally, and
+ * only one offer per organ can ever reach ACCEPTED_FINAL (also enforced by
+ * trigger); that acceptance rescinds the chain's other open offers. A backup's
+ * response deadline only runs once it is promoted.
+ *
+ * An offer may be given a response window in business hours instead of a
+ * deadline; the deadline is then computed on the organization's working
+ * calendar (./businessCalendar.cjs), from the offer for a primary and from its
+ * promotion for a backup. A backup takes only a window: a fixed deadline would
+ * already be running before anyone asked the backup. Pending primaries carry
+ * an `sla` when listed.
  */
 
 'use strict';
 
 const { v4: uuidv4 } = require('uuid');
 const { getDatabase } = require('../database/init.cjs');
+const matchRuns = require('./matchRuns.cjs');
+const businessCalendar = require('./businessCalendar.cjs');
 
 const STATUSES = Object.freeze({
   PENDING: 'PENDING',
@@ -50,6 +73,11 @@ const TRANSITIONS = Object.freeze({
   RESCINDED: new Set([]),      // terminal
 });
 
+const OPEN_STATUSES = Object.freeze(['PENDING', 'ACCEPTED_PROVISIONAL']);
+
+// Ending a primary in one of these hands the organ to the next backup.
+const PROMOTING_STATUSES = Object.freeze(['DECLINED', 'EXPIRED', 'RESCINDED']);
+
 function recordEvent(db, offerId, orgId, eventType, fromStatus, toStatus, actor, payload) {
   db.prepare(`
     INSERT INTO organ_offer_events (id, org_id, offer_id, event_type, from_status, to_status, actor, payload, created_at)
@@ -57,26 +85,65 @@ function recordEvent(db, offerId, orgId, eventType, fromStatus, toStatus, actor,
   `).run(uuidv4(), orgId, offerId, eventType, fromStatus, toStatus, actor, payload ? JSON.stringify(payload) : null);
 }
 
-function createOffer({ orgId, donorOrganId, patientId, rank, responseDueAt, backupChainPosition, notes, createdBy }) {
+/** The deadline `hours` business hours from now, in the form expireDue compares. */
+function responseDeadline(orgId, hours, now = new Date()) {
+  const due = businessCalendar.addBusinessHours(businessCalendar.loadCalendar(orgId), now, hours);
+  return businessCalendar.toSqliteDateTime(due);
+}
+
+function createOffer({
+  orgId, donorOrganId, patientId, rank, responseDueAt, responseWindowHours, backupChainPosition, matchRunId, notes, createdBy,
+}) {
   if (!orgId) throw new Error('orgId required');
   if (!donorOrganId) throw new Error('donorOrganId required');
   if (!patientId) throw new Error('patientId required');
+  const windowHours = ![undefined, null, ''].includes(responseWindowHours) ? Number(responseWindowHours) : null;
+  if (windowHours !== null && !(windowHours > 0)) throw new Error('responseWindowHours must be a positive number');
+  if (windowHours !== null && responseDueAt) throw new Error('Give either a response deadline or a response window, not both');
 
   const db = getDatabase();
+  const isBackup = backupChainPosition > 0;
+  if (isBackup && responseDueAt) {
+    throw new Error('A backup offer takes a response window, not a deadline: its clock starts when it is promoted');
+  }
+  if (isBackup) {
+    const taken = db.prepare(`
+      SELECT id FROM organ_offers
+       WHERE org_id = ? AND donor_organ_id = ? AND is_backup = 1 AND backup_chain_position = ?
+         AND status IN ('PENDING', 'ACCEPTED_PROVISIONAL')
+    `).get(orgId, donorOrganId, backupChainPosition);
+    if (taken) throw new Error(`Backup position ${backupChainPosition} is already held by an open offer`);
+  }
+
+  let runId = null;
+  if (matchRunId) {
+    const run = matchRuns.getRun(db, matchRunId, orgId);
+    if (!run) throw new Error('Match run not found or access denied');
+    if (run.donor_organ_id !== donorOrganId) throw new Error('Match run is for a different donor organ');
+    runId = run.id;
+  } else {
+    runId = matchRuns.latestRunId(db, orgId, donorOrganId);
+  }
+
+  const dueAt = windowHours !== null && !isBackup ? responseDeadline(orgId, windowHours) : (responseDueAt ?? null);
+
   const id = uuidv4();
   db.prepare(`
     INSERT INTO organ_offers (
       id, org_id, donor_organ_id, patient_id, status, rank,
-      offered_at, response_due_at, backup_chain_position, notes,
+      offered_at, response_due_at, response_window_hours, backup_chain_position, is_backup, match_run_id, notes,
       created_by, updated_by, created_at, updated_at
-    ) VALUES (?, ?, ?, ?, 'PENDING', ?, datetime('now'), ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
-  `).run(id, orgId, donorOrganId, patientId, rank ?? null, responseDueAt ?? null,
-    backupChainPosition ?? null, notes ?? null, createdBy ?? null, createdBy ?? null);
+    ) VALUES (?, ?, ?, ?, 'PENDING', ?, datetime('now'), ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+  `).run(id, orgId, donorOrganId, patientId, rank ?? null, dueAt, windowHours,
+    backupChainPosition ?? null, isBackup ? 1 : 0, runId, notes ?? null, createdBy ?? null, createdBy ?? null);
 
   recordEvent(db, id, orgId, 'OFFER_CREATED', null, 'PENDING', createdBy, {
     donor_organ_id: donorOrganId,
     patient_id: patientId,
-    response_due_at: responseDueAt ?? null,
+    response_due_at: dueAt,
+    response_window_hours: windowHours,
+    backup_chain_position: backupChainPosition ?? null,
+    match_run_id: runId,
   });
 
   return getOffer(id, orgId);
@@ -97,9 +164,103 @@ function listOffers({ orgId, status, donorOrganId, patientId, limit = 200 } = {}
   if (patientId) { sql += ' AND patient_id = ?'; params.push(patientId); }
   sql += ' ORDER BY offered_at DESC LIMIT ?';
   params.push(Math.max(1, Math.min(500, limit)));
-  return getDatabase().prepare(sql).all(...params);
+  const rows = getDatabase().prepare(sql).all(...params);
+  const running = (o) => o.status === STATUSES.PENDING && !o.is_backup && o.response_due_at;
+  if (!rows.some(running)) return rows;
+  const calendar = businessCalendar.loadCalendar(orgId);
+  const now = new Date();
+  return rows.map((o) => ({ ...o, sla: running(o) ? businessCalendar.slaFor(calendar, o.response_due_at, now) : null }));
+}
+
+function finalOffer(db, orgId, donorOrganId) {
+  return db.prepare(
+    "SELECT id FROM organ_offers WHERE org_id = ? AND donor_organ_id = ? AND status = 'ACCEPTED_FINAL'"
+  ).get(orgId, donorOrganId);
+}
+
+function setStatus(db, offer, toStatus, actor, { declineReasonCode, declineReasonText, notes } = {}) {
+  db.prepare(`
+    UPDATE organ_offers
+       SET status = ?,
+           responded_at = COALESCE(responded_at, datetime('now')),
+           decline_reason_code = COALESCE(?, decline_reason_code),
+           decline_reason_text = COALESCE(?, decline_reason_text),
+           notes = COALESCE(?, notes),
+           updated_by = ?,
+           updated_at = datetime('now')
+     WHERE id = ? AND org_id = ?
+  `).run(
+    toStatus,
+    declineReasonCode ?? null,
+    declineReasonText ?? null,
+    notes ?? null,
+    actor ?? null,
+    offer.id,
+    offer.org_id
+  );
+}
+
+/**
+ * Promote the next backup when `vacated` was the chain's last open primary.
+ * Returns the promoted offer's id, or null.
+ */
+function promoteNext(db, vacated, reason) {
+  const placeholders = OPEN_STATUSES.map(() => '?').join(', ');
+  const openPrimary = db.prepare(`
+    SELECT id FROM organ_offers
+     WHERE org_id = ? AND donor_organ_id = ? AND is_backup = 0 AND status IN (${placeholders})
+  `).get(vacated.org_id, vacated.donor_organ_id, ...OPEN_STATUSES);
+  if (openPrimary) return null;
+
+  const next = db.prepare(`
+    SELECT * FROM organ_offers
+     WHERE org_id = ? AND donor_organ_id = ? AND is_backup = 1 AND status IN (${placeholders})
+     ORDER BY backup_chain_position ASC, offered_at ASC
+     LIMIT 1
+  `).get(vacated.org_id, vacated.donor_organ_id, ...OPEN_STATUSES);
+  if (!next) return null;
+
+  // A backup's clock starts now. A deadline stored on a backup before backups
+  // were limited to windows is dropped rather than promoted already overdue.
+  const dueAt = next.response_window_hours
+    ? responseDeadline(next.org_id, next.response_window_hours)
+    : null;
+  db.prepare(`
+    UPDATE organ_offers
+       SET is_backup = 0, promoted_at = datetime('now'), response_due_at = ?,
+           updated_by = 'system', updated_at = datetime('now')
+     WHERE id = ? AND org_id = ?
+  `).run(dueAt, next.id, next.org_id);
+  recordEvent(db, next.id, next.org_id, 'PROMOTED', next.status, next.status, 'system', {
+    backup_chain_position: next.backup_chain_position,
+    replaces_offer_id: vacated.id,
+    reason,
+    ...(dueAt ? { response_due_at: dueAt } : {}),
+  });
+  return next.id;
+}
+
+/** Rescind every other open offer for an organ that has been finally accepted. */
+function closeChain(db, placed) {
+  const placeholders = OPEN_STATUSES.map(() => '?').join(', ');
+  const open = db.prepare(`
+    SELECT * FROM organ_offers
+     WHERE org_id = ? AND donor_organ_id = ? AND id != ? AND status IN (${placeholders})
+  `).all(placed.org_id, placed.donor_organ_id, placed.id, ...OPEN_STATUSES);
+  for (const offer of open) {
+    setStatus(db, offer, STATUSES.RESCINDED, 'system');
+    recordEvent(db, offer.id, offer.org_id, 'STATUS_CHANGE', offer.status, STATUSES.RESCINDED, 'system', {
+      reason: 'ORGAN_PLACED',
+      final_offer_id: placed.id,
+    });
+  }
+  return open.map((o) => o.id);
 }
 
+/**
+ * Move an offer to a new status and apply its effect on the chain.
+ * Returns the offer with `chain_effects: { promoted, rescinded }`.
+ */
 function transition({ id, orgId, toStatus, actor, declineReasonCode, declineReasonText, notes }) {
   if (!orgId) throw new Error('orgId required');
   const db = getDatabase();
@@ -120,50 +281,54 @@ function transition({ id, orgId, toStatus, actor, declineReasonCode, declineReas
     }
   }
 
+  if (toStatus === STATUSES.ACCEPTED_FINAL) {
+    if (offer.is_backup) {
+      throw new Error('A backup offer must be promoted to primary before it can be accepted finally');
+    }
+    if (finalOffer(db, orgId, offer.donor_organ_id)) {
+      throw new Error('Donor organ already has a final acceptance');
+    }
+  }
+
   const fromStatus = offer.status;
-  db.prepare(`
-    UPDATE organ_offers
-       SET status = ?,
-           responded_at = COALESCE(responded_at, datetime('now')),
-           decline_reason_code = COALESCE(?, decline_reason_code),
-           decline_reason_text = COALESCE(?, decline_reason_text),
-           notes = COALESCE(?, notes),
-           updated_by = ?,
-           updated_at = datetime('now')
-     WHERE id = ? AND org_id = ?
-  `).run(
-    toStatus,
-    declineReasonCode ?? null,
-    declineReasonText ?? null,
-    notes ?? null,
-    actor ?? null,
-    id,
-    orgId
-  );
-  recordEvent(db, id, orgId, 'STATUS_CHANGE', fromStatus, toStatus, actor, {
-    decline_reason_code: declineReasonCode,
-    decline_reason_text: declineReasonText,
-  });
-  return getOffer(id, orgId);
+  const chainEffects = db.transaction(() => {
+    setStatus(db, offer, toStatus, actor, { declineReasonCode, declineReasonText, notes });
+    recordEvent(db, id, orgId, 'STATUS_CHANGE', fromStatus, toStatus, actor, {
+      decline_reason_code: declineReasonCode,
+      decline_reason_text: declineReasonText,
+    });
+    if (toStatus === STATUSES.ACCEPTED_FINAL) {
+      return { promoted: null, rescinded: closeChain(db, offer) };
+    }
+    if (PROMOTING_STATUSES.includes(toStatus) && !offer.is_backup) {
+      return { promoted: promoteNext(db, offer, toStatus), rescinded: [] };
+    }
+    return { promoted: null, rescinded: [] };
+  })();
+  return { ...getOffer(id, orgId), chain_effects: chainEffects };
 }
 
 /**
- * Idempotent expiration sweep. Marks PENDING offers whose response_due_at has
- * elapsed as EXPIRED. Returns the list of expired offer ids.
+ * Idempotent expiration sweep. Marks PENDING primary offers whose
+ * response_due_at has elapsed as EXPIRED, promoting backups as it goes.
+ * Returns the list of expired offer ids and of promoted ones.
  */
 function expireDue({ orgId } = {}) {
   const db = getDatabase();
+  const due = `status = 'PENDING' AND is_backup = 0 AND response_due_at IS NOT NULL AND response_due_at < datetime('now')`;
   const sql = orgId
-    ? `SELECT id FROM organ_offers WHERE org_id = ? AND status = 'PENDING' AND response_due_at IS NOT NULL AND response_due_at < datetime('now')`
-    : `SELECT id, org_id FROM organ_offers WHERE status = 'PENDING' AND response_due_at IS NOT NULL AND response_due_at < datetime('now')`;
+    ? `SELECT id FROM organ_offers WHERE org_id = ? AND ${due}`
+    : `SELECT id, org_id FROM organ_offers WHERE ${due}`;
   const rows = orgId ? db.prepare(sql).all(orgId) : db.prepare(sql).all();
   const expired = [];
+  const promoted = [];
   for (const r of rows) {
     const oid = r.org_id || orgId;
-    transition({ id: r.id, orgId: oid, toStatus: 'EXPIRED', actor: 'system' });
+    const result = transition({ id: r.id, orgId: oid, toStatus: 'EXPIRED', actor: 'system' });
     expired.push(r.id);
+    if (result.chain_effects.promoted) promoted.push(result.chain_effects.promoted);
   }
-  return { expiredCount: expired.length, expired };
+  return { expiredCount: expired.length, expired, promoted };
 }
 
 function getEvents(offerId, orgId) {
@@ -172,6 +337,35 @@ function getEvents(offerId, orgId) {
   `).all(offerId, orgId);
 }
 
+/**
+ * A donor organ's offer chain: primaries by when they were offered, then
+ * backups by position, and every event on any of them in order.
+ */
+function getChain(donorOrganId, orgId) {
+  if (!orgId) throw new Error('orgId required');
+  if (!donorOrganId) throw new Error('donorOrganId required');
+  const db = getDatabase();
+  const offers = db.prepare(`
+    SELECT * FROM organ_offers WHERE org_id = ? AND donor_organ_id = ?
+     ORDER BY is_backup ASC, CASE WHEN is_backup = 1 THEN backup_chain_position END ASC, offered_at ASC
+  `).all(orgId, donorOrganId);
+  const events = db.prepare(`
+    SELECT e.* FROM organ_offer_events e
+      JOIN organ_offers o ON o.id = e.offer_id
+     WHERE o.org_id = ? AND o.donor_organ_id = ?
+     ORDER BY e.created_at ASC, e.rowid ASC
+  `).all(orgId, donorOrganId);
+  const final = offers.find((o) => o.status === STATUSES.ACCEPTED_FINAL);
+  const nextBackup = offers.find((o) => o.is_backup && OPEN_STATUSES.includes(o.status));
+  return {
+    donor_organ_id: donorOrganId,
+    offers,
+    events,
+    final_offer_id: final ? final.id : null,
+    next_backup_id: nextBackup ? nextBackup.id : null,
+  };
+}
+
 module.exports = {
   STATUSES,
   DECLINE_REASON_CODES,
@@ -182,4 +376,5 @@ module.exports = {
   transition,
   expireDue,
   getEvents,
+  getChain,
 };
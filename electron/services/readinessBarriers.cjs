@@ -16,10 +16,14 @@
  * SECURITY:
  * All functions require org_id for organization isolation.
  * Queries always include org_id filtering to prevent cross-org access.
+ *
+ * Open barriers with a target_resolution_date carry an `sla`: the business
+ * time left before the end of that day on the org's working calendar.
  */
 
 const { getDatabase } = require('../database/init.cjs');
 const { v4: uuidv4 } = require('uuid');
+const businessCalendar = require('./businessCalendar.cjs');
 
 // Barrier type definitions with display labels
 const BARRIER_TYPES = {
@@ -175,7 +179,21 @@ function getBarriersByPatientId(patientId, orgId, includeResolved = false) {
   }
   query += ' ORDER BY risk_level DESC, created_at DESC';
   
-  return db.prepare(query).all(patientId, orgId);
+  return withSla(orgId, db.prepare(query).all(patientId, orgId));
+}
+
+/**
+ * Attach the business-time SLA clock to open barriers with a target date
+ */
+function withSla(orgId, barriers, now = new Date()) {
+  if (!barriers.some(b => b.target_resolution_date)) return barriers;
+  const calendar = businessCalendar.loadCalendar(orgId);
+  return barriers.map(b => ({
+    ...b,
+    sla: b.target_resolution_date && b.status !== 'resolved'
+      ? businessCalendar.slaFor(calendar, b.target_resolution_date, now)
+      : null,
+  }));
 }
 
 /**
@@ -194,7 +212,7 @@ function getAllOpenBarriers(orgId) {
     ORDER BY rb.risk_level DESC, rb.created_at DESC
   `;
   
-  return db.prepare(query).all(orgId, orgId);
+  return withSla(orgId, db.prepare(query).all(orgId, orgId));
 }
 
 /**
@@ -353,12 +371,9 @@ function getBarriersDashboard(orgId) {
   }
   const patientsWithMultipleBarriers = Object.values(patientBarrierCounts).filter(c => c > 1).length;
   
-  // Overdue barriers (past target resolution date)
+  // Overdue barriers (past target resolution date; a date-only target runs to the end of that day)
   const now = new Date();
-  const overdueBarriers = allBarriers.filter(b => {
-    if (!b.target_resolution_date) return false;
-    return new Date(b.target_resolution_date) < now;
-  });
+  const overdueBarriers = allBarriers.filter(b => b.sla?.breached);
   
   return {
     totalActivePatients: activePatients.count,
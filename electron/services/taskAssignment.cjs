@@ -0,0 +1,433 @@
+/**
+ * Task assignment engine.
+ *
+ * Routes a task to one user under the organization's assignment policy for
+ * its task type (or its '*' default):
+ *
+ *   ROUND_ROBIN          next user after the policy's last assignee
+ *   LEAST_LOADED         fewest open tasks
+ *   PRIMARY_COORDINATOR  the patient's primary coordinator
+ *   AFFINITY             best match of the user's skills (task types) and
+ *                        organ programs to the task and its patient
+ *
+ * Candidates are active admin, coordinator and physician users — the staff
+ * transplantClock.getCoordinatorLoad() counts — who accept assignments and
+ * are not out of office. A task whose assigned_role is one of those roles
+ * goes to a user with that role when one is available. When a strategy finds
+ * no one (no primary coordinator, no affinity), it falls back to
+ * LEAST_LOADED. An organization without a policy assigns nothing; tasks keep
+ * only their assigned_role as before.
+ *
+ * Every decision is written to the audit trail with its reasoning: the
+ * strategy, any fallback, each candidate's load and affinity, and who was
+ * skipped and why. Task titles and patient details are left out.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../database/init.cjs');
+const { appendAuditRecord } = require('./auditChain.cjs');
+const { logger } = require('./logger.cjs');
+
+const STRATEGIES = Object.freeze({
+  ROUND_ROBIN: 'ROUND_ROBIN',
+  LEAST_LOADED: 'LEAST_LOADED',
+  PRIMARY_COORDINATOR: 'PRIMARY_COORDINATOR',
+  AFFINITY: 'AFFINITY',
+});
+
+const DEFAULT_TASK_TYPE = '*';
+const ASSIGNABLE_ROLES = ['admin', 'coordinator', 'physician'];
+const SYSTEM_ACTOR = 'system:assignment';
+const OPEN_STATUSES_SQL = "status NOT IN ('completed', 'cancelled')";
+
+function ensure(value, name) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`${name} is required`);
+  }
+}
+
+function toIso(value, name) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new Error(`${name} is not a valid date/time`);
+  return d.toISOString();
+}
+
+function parseList(json) {
+  try {
+    const list = JSON.parse(json || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function normaliseList(list, name) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) throw new Error(`${name} must be a list`);
+  return [...new Set(list.map((v) => String(v).trim()).filter(Boolean))];
+}
+
+// --- policies ---
+
+function listPolicies(orgId) {
+  ensure(orgId, 'orgId');
+  return getDatabase().prepare(
+    'SELECT * FROM task_assignment_policies WHERE org_id = ? ORDER BY task_type'
+  ).all(orgId);
+}
+
+/** The policy for a task type, or the organization's '*' default. */
+function policyFor(orgId, taskType) {
+  return getDatabase().prepare(`
+    SELECT * FROM task_assignment_policies
+    WHERE org_id = ? AND task_type IN (?, ?)
+    ORDER BY CASE task_type WHEN ? THEN 1 ELSE 0 END
+    LIMIT 1
+  `).get(orgId, taskType || DEFAULT_TASK_TYPE, DEFAULT_TASK_TYPE, DEFAULT_TASK_TYPE) || null;
+}
+
+function savePolicy(orgId, { task_type: taskType, strategy } = {}, updatedBy) {
+  ensure(orgId, 'orgId');
+  ensure(strategy, 'strategy');
+  if (!STRATEGIES[strategy]) throw new Error(`Unknown assignment strategy: ${strategy}`);
+  const type = taskType || DEFAULT_TASK_TYPE;
+  const db = getDatabase();
+  db.prepare(`
+    INSERT INTO task_assignment_policies (id, org_id, task_type, strategy, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(org_id, task_type) DO UPDATE SET strategy = excluded.strategy,
+      updated_by = excluded.updated_by, updated_at = excluded.updated_at
+  `).run(uuidv4(), orgId, type, strategy, updatedBy ?? null);
+  return db.prepare('SELECT * FROM task_assignment_policies WHERE org_id = ? AND task_type = ?').get(orgId, type);
+}
+
+function deletePolicy(orgId, taskType) {
+  ensure(orgId, 'orgId');
+  ensure(taskType, 'task_type');
+  const info = getDatabase().prepare('DELETE FROM task_assignment_policies WHERE org_id = ? AND task_type = ?')
+    .run(orgId, taskType);
+  if (info.changes === 0) throw new Error('Assignment policy not found');
+  return { success: true };
+}
+
+// --- assignees ---
+
+function getUser(db, orgId, userId) {
+  return db.prepare('SELECT id, email, full_name, role, is_active FROM users WHERE id = ? AND org_id = ?')
+    .get(userId, orgId);
+}
+
+function outOfOfficeNow(db, orgId, now) {
+  const iso = now.toISOString();
+  const rows = db.prepare(`
+    SELECT * FROM user_out_of_office WHERE org_id = ? AND starts_at <= ? AND ends_at > ?
+  `).all(orgId, iso, iso);
+  return new Map(rows.map((r) => [r.user_id, r]));
+}
+
+/**
+ * Staff who could take tasks, with their profile, open task count and any
+ * out-of-office period covering `now`.
+ */
+function listAssignees(orgId, now = new Date()) {
+  ensure(orgId, 'orgId');
+  const db = getDatabase();
+  const away = outOfOfficeNow(db, orgId, now);
+  return db.prepare(`
+    SELECT u.id AS user_id, u.email, u.full_name, u.role,
+           ap.organ_programs, ap.skills, COALESCE(ap.accepts_assignments, 1) AS accepts_assignments,
+           (SELECT COUNT(*) FROM tasks t
+             WHERE t.org_id = u.org_id AND t.assigned_to = u.id AND t.${OPEN_STATUSES_SQL}) AS open_tasks
+    FROM users u
+    LEFT JOIN assignee_profiles ap ON ap.org_id = u.org_id AND ap.user_id = u.id
+    WHERE u.org_id = ? AND u.is_active = 1 AND u.role IN (${ASSIGNABLE_ROLES.map(() => '?').join(', ')})
+    ORDER BY u.email
+  `).all(orgId, ...ASSIGNABLE_ROLES).map((u) => ({
+    ...u,
+    organ_programs: parseList(u.organ_programs),
+    skills: parseList(u.skills),
+    out_of_office: away.get(u.user_id) || null,
+  }));
+}
+
+function saveProfile(orgId, userId, { organ_programs: organPrograms, skills, accepts_assignments: accepts } = {}, updatedBy) {
+  ensure(orgId, 'orgId');
+  ensure(userId, 'userId');
+  const db = getDatabase();
+  if (!getUser(db, orgId, userId)) throw new Error('User not found');
+  db.prepare(`
+    INSERT INTO assignee_profiles (org_id, user_id, organ_programs, skills, accepts_assignments, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(org_id, user_id) DO UPDATE SET organ_programs = excluded.organ_programs, skills = excluded.skills,
+      accepts_assignments = excluded.accepts_assignments, updated_by = excluded.updated_by,
+      updated_at = excluded.updated_at
+  `).run(orgId, userId,
+    JSON.stringify(normaliseList(organPrograms, 'organ_programs')),
+    JSON.stringify(normaliseList(skills, 'skills')),
+    accepts === false || accepts === 0 ? 0 : 1,
+    updatedBy ?? null);
+  return listAssignees(orgId).find((a) => a.user_id === userId) || null;
+}
+
+function listOutOfOffice(orgId, { from = new Date() } = {}) {
+  ensure(orgId, 'orgId');
+  return getDatabase().prepare(`
+    SELECT o.*, u.email, u.full_name FROM user_out_of_office o
+    JOIN users u ON u.id = o.user_id AND u.org_id = o.org_id
+    WHERE o.org_id = ? AND o.ends_at > ?
+    ORDER BY o.starts_at
+  `).all(orgId, from.toISOString());
+}
+
+function addOutOfOffice(orgId, userId, { starts_at: startsAt, ends_at: endsAt, reason } = {}, createdBy) {
+  ensure(orgId, 'orgId');
+  ensure(userId, 'userId');
+  ensure(startsAt, 'starts_at');
+  ensure(endsAt, 'ends_at');
+  const start = toIso(startsAt, 'starts_at');
+  const end = toIso(endsAt, 'ends_at');
+  if (end <= start) throw new Error('Out-of-office must end after it starts');
+  const db = getDatabase();
+  if (!getUser(db, orgId, userId)) throw new Error('User not found');
+  const id = uuidv4();
+  db.prepare(`
+    INSERT INTO user_out_of_office (id, org_id, user_id, starts_at, ends_at, reason, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(id, orgId, userId, start, end, reason ?? null, createdBy ?? null);
+  return db.prepare('SELECT * FROM user_out_of_office WHERE id = ?').get(id);
+}
+
+function removeOutOfOffice(orgId, id) {
+  ensure(orgId, 'orgId');
+  const info = getDatabase().prepare('DELETE FROM user_out_of_office WHERE id = ? AND org_id = ?').run(id, orgId);
+  if (info.changes === 0) throw new Error('Out-of-office period not found');
+  return { success: true };
+}
+
+function setPrimaryCoordinator(orgId, patientId, userId) {
+  ensure(orgId, 'orgId');
+  ensure(patientId, 'patientId');
+  const db = getDatabase();
+  if (userId && !getUser(db, orgId, userId)) throw new Error('User not found');
+  const info = db.prepare(`
+    UPDATE patients SET primary_coordinator_id = ?, updated_at = datetime('now') WHERE id = ? AND org_id = ?
+  `).run(userId || null, patientId, orgId);
+  if (info.changes === 0) throw new Error('Patient not found');
+  return { patient_id: patientId, primary_coordinator_id: userId || null };
+}
+
+// --- deciding ---
+
+function leastLoaded(candidates) {
+  return [...candidates].sort((a, b) => a.open_tasks - b.open_tasks || (a.email < b.email ? -1 : 1))[0];
+}
+
+function affinityOf(candidate, task, patient) {
+  let score = 0;
+  if (candidate.skills.includes(task.task_type)) score++;
+  if (patient?.organ_needed && candidate.organ_programs.includes(patient.organ_needed)) score++;
+  return score;
+}
+
+/**
+ * Decide who should take `task` under the organization's policy, without
+ * assigning it. Returns null when no policy applies.
+ * @param {{ now?: Date, exclude?: string[] }} [options] exclude: user ids never to choose
+ */
+function decide(orgId, task, { now = new Date(), exclude = [] } = {}) {
+  ensure(orgId, 'orgId');
+  const policy = policyFor(orgId, task.task_type);
+  if (!policy) return null;
+  const db = getDatabase();
+  const patient = task.patient_id
+    ? db.prepare('SELECT id, organ_needed, primary_coordinator_id FROM patients WHERE id = ? AND org_id = ?')
+      .get(task.patient_id, orgId)
+    : null;
+
+  const skipped = [];
+  let candidates = [];
+  for (const a of listAssignees(orgId, now)) {
+    if (exclude.includes(a.user_id)) skipped.push({ user_id: a.user_id, reason: 'excluded' });
+    else if (!a.accepts_assignments) skipped.push({ user_id: a.user_id, reason: 'not_accepting' });
+    else if (a.out_of_office) skipped.push({ user_id: a.user_id, reason: 'out_of_office', until: a.out_of_office.ends_at });
+    else candidates.push(a);
+  }
+  let roleMatched = false;
+  if (ASSIGNABLE_ROLES.includes(task.assigned_role)) {
+    const withRole = candidates.filter((c) => c.role === task.assigned_role);
+    if (withRole.length > 0) {
+      candidates = withRole;
+      roleMatched = true;
+    }
+  }
+
+  const decision = {
+    policy_id: policy.id,
+    task_type: task.task_type,
+    strategy: policy.strategy,
+    fallback: null,
+    user_id: null,
+    reason: null,
+    role_matched: roleMatched,
+    candidates: candidates.map((c) => ({
+      user_id: c.user_id,
+      open_tasks: c.open_tasks,
+      ...(policy.strategy === STRATEGIES.AFFINITY ? { affinity: affinityOf(c, task, patient) } : {}),
+    })),
+    skipped,
+  };
+  if (candidates.length === 0) {
+    decision.reason = 'No available assignee';
+    return decision;
+  }
+
+  let chosen = null;
+  switch (policy.strategy) {
+    case STRATEGIES.ROUND_ROBIN: {
+      // The rotation is by email, so a user joining or leaving it does not
+      // restart it.
+      const last = policy.last_assigned_user_id ? getUser(db, orgId, policy.last_assigned_user_id) : null;
+      chosen = (last && candidates.find((c) => c.email > last.email)) || candidates[0];
+      decision.reason = last ? 'Next in rotation' : 'First in rotation';
+      break;
+    }
+    case STRATEGIES.PRIMARY_COORDINATOR: {
+      chosen = candidates.find((c) => c.user_id === patient?.primary_coordinator_id) || null;
+      if (chosen) decision.reason = "Patient's primary coordinator";
+      else if (!patient) decision.reason = 'Task has no patient';
+      else if (!patient.primary_coordinator_id) decision.reason = 'Patient has no primary coordinator';
+      else {
+        const away = skipped.find((s) => s.user_id === patient.primary_coordinator_id);
+        decision.reason = away ? `Primary coordinator unavailable (${away.reason})` : 'Primary coordinator not eligible';
+      }
+      break;
+    }
+    case STRATEGIES.AFFINITY: {
+      const best = Math.max(...decision.candidates.map((c) => c.affinity));
+      if (best > 0) {
+        const ids = new Set(decision.candidates.filter((c) => c.affinity === best).map((c) => c.user_id));
+        chosen = leastLoaded(candidates.filter((c) => ids.has(c.user_id)));
+        decision.reason = `Best skill/organ-program match (${best}), least loaded among them`;
+      } else {
+        decision.reason = 'No skill or organ-program match';
+      }
+      break;
+    }
+    default:
+      chosen = leastLoaded(candidates);
+      decision.reason = 'Fewest open tasks';
+  }
+
+  if (!chosen) {
+    decision.fallback = STRATEGIES.LEAST_LOADED;
+    decision.reason = `${decision.reason}; fewest open tasks instead`;
+    chosen = leastLoaded(candidates);
+  }
+  decision.user_id = chosen.user_id;
+  decision.email = chosen.email;
+  return decision;
+}
+
+function audit(orgId, taskId, decision, details, actor) {
+  try {
+    appendAuditRecord({
+      org_id: orgId,
+      action: 'assign',
+      entity_type: 'Task',
+      entity_id: taskId,
+      details: JSON.stringify({ ...details, ...decision }),
+      user_email: actor?.email || SYSTEM_ACTOR,
+      user_role: actor?.role || 'system',
+    });
+  } catch (err) {
+    // The assignment stands; a broken audit chain is the integrity
+    // monitor's to report.
+    logger.error('Task assignment audit write failed', { orgId, taskId, error: err.message });
+  }
+}
+
+function applyAssignment(db, orgId, taskId, userId, updatedBy) {
+  db.prepare(`
+    UPDATE tasks SET assigned_to = ?, updated_by = ?, updated_at = ? WHERE id = ? AND org_id = ?
+  `).run(userId, updatedBy, new Date().toISOString(), taskId, orgId);
+}
+
+/**
+ * Assign an unassigned task under the policy for its type and audit the
+ * decision. Returns the decision, or null when no policy applies.
+ */
+function autoAssign(orgId, task, { triggeredBy, now = new Date() } = {}) {
+  const decision = decide(orgId, task, { now });
+  if (!decision) return null;
+  const db = getDatabase();
+  if (decision.user_id) {
+    applyAssignment(db, orgId, task.id, decision.user_id, SYSTEM_ACTOR);
+    if (decision.strategy === STRATEGIES.ROUND_ROBIN) {
+      db.prepare('UPDATE task_assignment_policies SET last_assigned_user_id = ? WHERE id = ?')
+        .run(decision.user_id, decision.policy_id);
+    }
+  }
+  audit(orgId, task.id, decision, { trigger: 'NEW_TASK', source: task.source, triggered_by: triggeredBy ?? null });
+  return decision;
+}
+
+/**
+ * Move every open task of `fromUserId` — someone leaving or away — to
+ * `toUserId`, or route each one again under its policy without them. A task
+ * no one can take goes back to its role queue unassigned.
+ */
+function reassignOpenTasks(orgId, fromUserId, { toUserId, actor, now = new Date() } = {}) {
+  ensure(orgId, 'orgId');
+  ensure(fromUserId, 'fromUserId');
+  const db = getDatabase();
+  if (toUserId) {
+    if (toUserId === fromUserId) throw new Error('Choose a different user to reassign to');
+    const target = listAssignees(orgId, now).find((a) => a.user_id === toUserId);
+    if (!target) throw new Error('Reassignment target must be an active coordinator, physician or admin');
+  }
+  const tasks = db.prepare(`
+    SELECT * FROM tasks WHERE org_id = ? AND assigned_to = ? AND ${OPEN_STATUSES_SQL} ORDER BY created_at
+  `).all(orgId, fromUserId);
+
+  const result = { reassigned: [], unassigned: [] };
+  for (const task of tasks) {
+    const decision = toUserId
+      ? { strategy: 'MANUAL', user_id: toUserId, reason: 'Bulk reassignment to a named user' }
+      : decide(orgId, task, { now, exclude: [fromUserId] })
+        || { strategy: null, user_id: null, reason: 'No assignment policy for this task type' };
+    applyAssignment(db, orgId, task.id, decision.user_id, actor?.email || SYSTEM_ACTOR);
+    if (decision.user_id && decision.strategy === STRATEGIES.ROUND_ROBIN) {
+      db.prepare('UPDATE task_assignment_policies SET last_assigned_user_id = ? WHERE id = ?')
+        .run(decision.user_id, decision.policy_id);
+    }
+    audit(orgId, task.id, decision, { trigger: 'REASSIGN', from_user_id: fromUserId }, actor);
+    if (decision.user_id) result.reassigned.push({ task_id: task.id, user_id: decision.user_id });
+    else result.unassigned.push(task.id);
+  }
+  logger.info('Tasks reassigned', {
+    orgId, from: fromUserId, reassigned: result.reassigned.length, unassigned: result.unassigned.length,
+  });
+  return result;
+}
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_TASK_TYPE,
+  ASSIGNABLE_ROLES,
+  SYSTEM_ACTOR,
+  listPolicies,
+  policyFor,
+  savePolicy,
+  deletePolicy,
+  listAssignees,
+  saveProfile,
+  listOutOfOffice,
+  addOutOfOffice,
+  removeOutOfOffice,
+  setPrimaryCoordinator,
+  decide,
+  autoAssign,
+  reassignOpenTasks,
+};
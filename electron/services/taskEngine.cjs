@@ -4,6 +4,20 @@
  * Generates operational tasks from risk signals, evaluation deadlines,
  * barrier status, and documentation gaps. Tasks escalate through configured
  * rules when not completed within their timeframe.
+ *
+ * Escalation rules and task SLAs are counted in the organization's business
+ * time (./businessCalendar.cjs) unless a rule sets business_hours = 0.
+ * There is no rule editor in the app yet; rules, business_hours included,
+ * are managed through the tasks:saveEscalationRule IPC channel.
+ * A new task created without an assignee is routed to a user by the
+ * organization's assignment policy (./taskAssignment.cjs), if it has one.
+ *
+ * A task may depend on others (task_dependencies). It stays blocked, and
+ * cannot be started, completed or escalated, until every prerequisite is
+ * completed or cancelled. A task with recurrence_days gets its next
+ * occurrence, due that many days after completion, while its patient is on
+ * the active waitlist; occurrences chain through parent_task_id. Protocols
+ * built from templates use both (./taskTemplates.cjs).
  * 
  * All calculations run locally on the encrypted SQLite database.
  */
@@ -11,16 +25,72 @@
 const { getDatabase } = require('../database/init.cjs');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('./logger.cjs');
+const businessCalendar = require('./businessCalendar.cjs');
+const taskAssignment = require('./taskAssignment.cjs');
+
+const TASK_TYPES = Object.freeze([
+  'EVALUATION_RENEWAL',
+  'BARRIER_RESOLUTION',
+  'DOCUMENTATION_UPDATE',
+  'LAB_FOLLOWUP',
+  'AHHQ_COMPLETION',
+  'COORDINATOR_REVIEW',
+  'RISK_MITIGATION',
+  'GENERAL',
+]);
+
+const PRIORITIES = Object.freeze(['low', 'normal', 'high', 'urgent']);
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 function requireOrgId(orgId) {
   if (!orgId) throw new Error('Organization context required');
 }
 
+function countOpenPrerequisites(db, taskId) {
+  return db.prepare(`
+    SELECT COUNT(*) AS n FROM task_dependencies d
+    JOIN tasks p ON p.id = d.depends_on_task_id
+    WHERE d.task_id = ? AND p.status NOT IN ('completed', 'cancelled')
+  `).get(taskId).n;
+}
+
+/** Recompute the blocked flag of every task waiting on this one. */
+function refreshDependents(db, orgId, taskId) {
+  const dependents = db.prepare('SELECT task_id FROM task_dependencies WHERE depends_on_task_id = ? AND org_id = ?')
+    .all(taskId, orgId);
+  const update = db.prepare('UPDATE tasks SET blocked = ? WHERE id = ? AND org_id = ?');
+  for (const { task_id: id } of dependents) {
+    update.run(countOpenPrerequisites(db, id) > 0 ? 1 : 0, id, orgId);
+  }
+}
+
 function createTask(orgId, taskData, createdBy) {
   requireOrgId(orgId);
   const db = getDatabase();
   const id = uuidv4();
 
+  // An SLA in business hours sets the due date when none was given.
+  const slaHours = ![undefined, null, ''].includes(taskData.sla_hours) ? Number(taskData.sla_hours) : null;
+  if (slaHours !== null && !(slaHours > 0)) throw new Error('sla_hours must be a positive number');
+  let dueDate = taskData.due_date || null;
+  if (!dueDate && slaHours !== null) {
+    dueDate = businessCalendar.addBusinessHours(businessCalendar.loadCalendar(orgId), new Date(), slaHours).toISOString();
+  }
+
+  const dependsOn = [...new Set(taskData.depends_on || [])];
+  for (const prerequisiteId of dependsOn) {
+    if (!db.prepare('SELECT 1 FROM tasks WHERE id = ? AND org_id = ?').get(prerequisiteId, orgId)) {
+      throw new Error(`Prerequisite task not found: ${prerequisiteId}`);
+    }
+  }
+  const recurrenceDays = ![undefined, null, ''].includes(taskData.recurrence_days) ? Number(taskData.recurrence_days) : null;
+  if (recurrenceDays !== null && !(Number.isInteger(recurrenceDays) && recurrenceDays > 0)) {
+    throw new Error('recurrence_days must be a positive whole number');
+  }
+
   const record = {
     id,
     org_id: orgId,
@@ -33,9 +103,14 @@ function createTask(orgId, taskData, createdBy) {
     priority: taskData.priority || 'normal',
     assigned_to: taskData.assigned_to || null,
     assigned_role: taskData.assigned_role || null,
-    due_date: taskData.due_date || null,
+    due_date: dueDate,
+    sla_hours: slaHours,
     trigger_entity_type: taskData.trigger_entity_type || null,
     trigger_entity_id: taskData.trigger_entity_id || null,
+    parent_task_id: taskData.parent_task_id || null,
+    protocol_id: taskData.protocol_id || null,
+    protocol_item_key: taskData.protocol_item_key || null,
+    recurrence_days: recurrenceDays,
     created_by: createdBy,
   };
 
@@ -44,6 +119,21 @@ function createTask(orgId, taskData, createdBy) {
   db.prepare(`INSERT INTO tasks (${fields.join(', ')}) VALUES (${placeholders})`)
     .run(...Object.values(record));
 
+  if (dependsOn.length > 0) {
+    const link = db.prepare('INSERT INTO task_dependencies (org_id, task_id, depends_on_task_id) VALUES (?, ?, ?)');
+    for (const prerequisiteId of dependsOn) link.run(orgId, id, prerequisiteId);
+    if (countOpenPrerequisites(db, id) > 0) db.prepare('UPDATE tasks SET blocked = 1 WHERE id = ?').run(id);
+  }
+
+  if (!record.assigned_to) {
+    try {
+      taskAssignment.autoAssign(orgId, record, { triggeredBy: createdBy });
+    } catch (err) {
+      // The task stands in its role queue; assignment is not worth losing it.
+      logger.error('Task auto-assignment failed', { orgId, taskId: id, error: err.message });
+    }
+  }
+
   return db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
 }
 
@@ -60,6 +150,11 @@ function updateTask(orgId, taskId, updates, updatedBy) {
     if (updates[key] !== undefined) filtered[key] = updates[key];
   }
 
+  if (existing.blocked && ['in_progress', 'completed'].includes(filtered.status)) {
+    const open = countOpenPrerequisites(db, taskId);
+    throw new Error(`Task is waiting on ${open} unfinished prerequisite task${open === 1 ? '' : 's'}`);
+  }
+
   if (filtered.status === 'completed') {
     filtered.completed_date = new Date().toISOString();
     filtered.completed_by = updatedBy;
@@ -72,7 +167,12 @@ function updateTask(orgId, taskId, updates, updatedBy) {
   db.prepare(`UPDATE tasks SET ${sets} WHERE id = ? AND org_id = ?`)
     .run(...Object.values(filtered), taskId, orgId);
 
-  return db.prepare('SELECT * FROM tasks WHERE id = ?').get(taskId);
+  const updated = db.prepare('SELECT * FROM tasks WHERE id = ?').get(taskId);
+  if (filtered.status && filtered.status !== existing.status) {
+    refreshDependents(db, orgId, taskId);
+    if (filtered.status === 'completed' && updated.recurrence_days) scheduleNextOccurrence(orgId, updated, updatedBy);
+  }
+  return updated;
 }
 
 function deleteTask(orgId, taskId) {
@@ -80,25 +180,97 @@ function deleteTask(orgId, taskId) {
   const db = getDatabase();
   const existing = db.prepare('SELECT * FROM tasks WHERE id = ? AND org_id = ?').get(taskId, orgId);
   if (!existing) throw new Error('Task not found');
-  db.prepare('DELETE FROM tasks WHERE id = ? AND org_id = ?').run(taskId, orgId);
+  const dependents = db.prepare('SELECT task_id FROM task_dependencies WHERE depends_on_task_id = ? AND org_id = ?')
+    .all(taskId, orgId);
+  db.transaction(() => {
+    db.prepare('DELETE FROM task_dependencies WHERE org_id = ? AND (task_id = ? OR depends_on_task_id = ?)')
+      .run(orgId, taskId, taskId);
+    db.prepare('DELETE FROM tasks WHERE id = ? AND org_id = ?').run(taskId, orgId);
+    const update = db.prepare('UPDATE tasks SET blocked = ? WHERE id = ? AND org_id = ?');
+    for (const { task_id: id } of dependents) update.run(countOpenPrerequisites(db, id) > 0 ? 1 : 0, id, orgId);
+  })();
   return { success: true };
 }
 
+/**
+ * Create the next occurrence of a completed recurring task, due
+ * recurrence_days after it was completed. An occurrence caught up so late
+ * that this date has passed is due recurrence_days from now instead, so it
+ * does not start out overdue. Nothing is created when the patient is no
+ * longer on the active waitlist, the task's protocol was cancelled, or the
+ * next occurrence already exists.
+ */
+function scheduleNextOccurrence(orgId, task, createdBy) {
+  const db = getDatabase();
+  if (db.prepare('SELECT 1 FROM tasks WHERE org_id = ? AND parent_task_id = ?').get(orgId, task.id)) return null;
+  if (task.patient_id) {
+    const patient = db.prepare('SELECT waitlist_status FROM patients WHERE id = ? AND org_id = ?').get(task.patient_id, orgId);
+    if (patient?.waitlist_status !== 'active') return null;
+  }
+  if (task.protocol_id) {
+    const protocol = db.prepare('SELECT status FROM task_protocols WHERE id = ? AND org_id = ?').get(task.protocol_id, orgId);
+    if (protocol?.status !== 'active') return null;
+  }
+  const now = Date.now();
+  const completedAt = new Date(task.completed_date || now).getTime();
+  const interval = task.recurrence_days * DAY_MS;
+  const dueAt = completedAt + interval < now ? now + interval : completedAt + interval;
+  return createTask(orgId, {
+    patient_id: task.patient_id,
+    title: task.title,
+    description: task.description,
+    task_type: task.task_type,
+    source: task.source,
+    priority: task.priority,
+    assigned_role: task.assigned_role,
+    due_date: new Date(dueAt).toISOString(),
+    trigger_entity_type: task.trigger_entity_type,
+    trigger_entity_id: task.trigger_entity_id,
+    parent_task_id: task.id,
+    protocol_id: task.protocol_id,
+    protocol_item_key: task.protocol_item_key,
+    recurrence_days: task.recurrence_days,
+  }, createdBy || 'system');
+}
+
+/**
+ * Schedule the next occurrence of every completed recurring task that has
+ * none yet — catching completions made while the patient was inactive, once
+ * they are active again.
+ */
+function processRecurrences(orgId, createdBy) {
+  requireOrgId(orgId);
+  const db = getDatabase();
+  const due = db.prepare(`
+    SELECT t.* FROM tasks t
+    WHERE t.org_id = ? AND t.recurrence_days IS NOT NULL AND t.status = 'completed'
+    AND NOT EXISTS (SELECT 1 FROM tasks n WHERE n.org_id = t.org_id AND n.parent_task_id = t.id)
+  `).all(orgId);
+  const scheduled = due.map((task) => scheduleNextOccurrence(orgId, task, createdBy)).filter(Boolean);
+  logger.info('Recurring tasks scheduled', { orgId, count: scheduled.length });
+  return { scheduled: scheduled.length, tasks: scheduled };
+}
+
 function getTasksByPatient(orgId, patientId, includeCompleted = false) {
   requireOrgId(orgId);
   const db = getDatabase();
   const statusFilter = includeCompleted ? '' : "AND status NOT IN ('completed', 'cancelled')";
-  return db.prepare(`
+  return withSla(orgId, db.prepare(`
     SELECT * FROM tasks WHERE org_id = ? AND patient_id = ? ${statusFilter}
     ORDER BY CASE priority WHEN 'urgent' THEN 0 WHEN 'high' THEN 1 WHEN 'normal' THEN 2 ELSE 3 END, due_date ASC
-  `).all(orgId, patientId);
+  `).all(orgId, patientId));
 }
 
 function getAllTasks(orgId, filters = {}) {
   requireOrgId(orgId);
   const db = getDatabase();
 
-  let query = 'SELECT t.*, p.first_name, p.last_name, p.patient_id as mrn FROM tasks t LEFT JOIN patients p ON t.patient_id = p.id AND p.org_id = t.org_id WHERE t.org_id = ?';
+  let query = `SELECT t.*, p.first_name, p.last_name, p.patient_id as mrn,
+    u.email as assignee_email, u.full_name as assignee_name
+    FROM tasks t
+    LEFT JOIN patients p ON t.patient_id = p.id AND p.org_id = t.org_id
+    LEFT JOIN users u ON t.assigned_to = u.id AND u.org_id = t.org_id
+    WHERE t.org_id = ?`;
   const params = [orgId];
 
   if (filters.status) {
@@ -132,7 +304,17 @@ function getAllTasks(orgId, filters = {}) {
     params.push(parseInt(filters.limit, 10));
   }
 
-  return db.prepare(query).all(...params);
+  return withSla(orgId, db.prepare(query).all(...params));
+}
+
+/** Attach the business-time SLA clock to each open task that has a due date. */
+function withSla(orgId, tasks, now = new Date()) {
+  if (!tasks.some((t) => t.due_date)) return tasks;
+  const calendar = businessCalendar.loadCalendar(orgId);
+  return tasks.map((t) => ({
+    ...t,
+    sla: t.due_date && !CLOSED_STATUSES.includes(t.status) ? businessCalendar.slaFor(calendar, t.due_date, now) : null,
+  }));
 }
 
 function generateAutoTasks(orgId, createdBy) {
@@ -240,18 +422,26 @@ function processEscalations(orgId) {
   const db = getDatabase();
 
   const now = new Date();
+  // Tasks already marked overdue stay in the sweep: a business-hours rule is
+  // usually met on a later run than the one that first found the task late.
+  // Only the ones newly late are marked and counted.
   const overdueTasks = db.prepare(`
     SELECT * FROM tasks WHERE org_id = ? 
-    AND status IN ('pending', 'in_progress') 
+    AND status IN ('pending', 'in_progress', 'overdue') AND blocked = 0
     AND due_date IS NOT NULL AND due_date < ?
   `).all(orgId, now.toISOString());
 
   const escalated = [];
+  let newlyOverdue = 0;
+  const calendar = overdueTasks.length > 0 ? businessCalendar.loadCalendar(orgId) : null;
 
   const processAll = db.transaction(() => {
     for (const task of overdueTasks) {
-      db.prepare(`UPDATE tasks SET status = 'overdue', updated_at = ? WHERE id = ? AND org_id = ?`)
-        .run(now.toISOString(), task.id, orgId);
+      if (task.status !== 'overdue') {
+        db.prepare(`UPDATE tasks SET status = 'overdue', updated_at = ? WHERE id = ? AND org_id = ?`)
+          .run(now.toISOString(), task.id, orgId);
+        newlyOverdue++;
+      }
 
       const rule = db.prepare(`
         SELECT * FROM task_escalation_rules 
@@ -260,7 +450,9 @@ function processEscalations(orgId) {
       `).get(orgId, task.task_type, task.escalation_level + 1);
 
       if (rule) {
-        const hoursSinceDue = (now - new Date(task.due_date)) / (1000 * 60 * 60);
+        const hoursSinceDue = rule.business_hours === 0
+          ? (now - new Date(task.due_date)) / (1000 * 60 * 60)
+          : businessCalendar.businessHoursBetween(calendar, task.due_date, now);
         if (hoursSinceDue >= rule.hours_before_escalation) {
           db.prepare(`
             UPDATE tasks SET escalation_level = ?, escalated_at = ?, 
@@ -276,8 +468,8 @@ function processEscalations(orgId) {
 
   processAll();
 
-  logger.info('Escalation processing complete', { orgId, overdue: overdueTasks.length, escalated: escalated.length });
-  return { overdue: overdueTasks.length, escalated };
+  logger.info('Escalation processing complete', { orgId, overdue: newlyOverdue, escalated: escalated.length });
+  return { overdue: newlyOverdue, escalated };
 }
 
 function getTaskDashboard(orgId) {
@@ -340,7 +532,7 @@ function getTaskDashboard(orgId) {
     },
     byType: byType.reduce((acc, r) => { acc[r.task_type] = r.count; return acc; }, {}),
     byAssignedRole: byAssignedRole.reduce((acc, r) => { acc[r.assigned_role || 'unassigned'] = r.count; return acc; }, {}),
-    upcomingTasks: upcoming.map(t => ({
+    upcomingTasks: withSla(orgId, upcoming).map(t => ({
       ...t,
       patientName: t.first_name ? `${t.first_name} ${t.last_name}` : null,
     })),
@@ -358,28 +550,34 @@ function saveEscalationRule(orgId, ruleData, createdBy) {
   const db = getDatabase();
   const id = ruleData.id || uuidv4();
 
-  const existing = ruleData.id ? db.prepare('SELECT id FROM task_escalation_rules WHERE id = ? AND org_id = ?').get(ruleData.id, orgId) : null;
+  const existing = ruleData.id ? db.prepare('SELECT id, business_hours FROM task_escalation_rules WHERE id = ? AND org_id = ?').get(ruleData.id, orgId) : null;
+  // An update that leaves business_hours out keeps the rule's clock.
+  const businessHours = ruleData.business_hours === undefined && existing
+    ? existing.business_hours
+    : (ruleData.business_hours === false || ruleData.business_hours === 0 ? 0 : 1);
 
   if (existing) {
     db.prepare(`
       UPDATE task_escalation_rules SET task_type = ?, escalation_level = ?, 
       hours_before_escalation = ?, escalate_to_role = ?, notification_message = ?,
-      is_active = ?, updated_at = ? WHERE id = ? AND org_id = ?
+      business_hours = ?, is_active = ?, updated_at = ? WHERE id = ? AND org_id = ?
     `).run(
       ruleData.task_type, ruleData.escalation_level, ruleData.hours_before_escalation,
       ruleData.escalate_to_role, ruleData.notification_message || null,
+      businessHours,
       ruleData.is_active !== undefined ? ruleData.is_active : 1,
       new Date().toISOString(), id, orgId
     );
   } else {
     db.prepare(`
       INSERT INTO task_escalation_rules (id, org_id, task_type, escalation_level, 
-      hours_before_escalation, escalate_to_role, notification_message, is_active, created_by)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      hours_before_escalation, escalate_to_role, notification_message, business_hours, is_active, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       id, orgId, ruleData.task_type, ruleData.escalation_level || 1,
       ruleData.hours_before_escalation || 168, ruleData.escalate_to_role,
-      ruleData.notification_message || null, ruleData.is_active !== undefined ? ruleData.is_active : 1,
+      ruleData.notification_message || null, businessHours,
+      ruleData.is_active !== undefined ? ruleData.is_active : 1,
       createdBy
     );
   }
@@ -395,6 +593,8 @@ function deleteEscalationRule(orgId, ruleId) {
 }
 
 module.exports = {
+  TASK_TYPES,
+  PRIORITIES,
   createTask,
   updateTask,
   deleteTask,
@@ -402,6 +602,7 @@ module.exports = {
   getAllTasks,
   generateAutoTasks,
   processEscalations,
+  processRecurrences,
   getTaskDashboard,
   getEscalationRules,
   saveEscalationRule,
@@ -0,0 +1,332 @@
+/**
+ * Task templates and protocol checklists.
+ *
+ * A template is a reusable workup protocol for an organ program (or for
+ * every patient when organ_type is NULL) — e.g. "Kidney evaluation": dental
+ * clearance, cardiac stress test, social work, financial. Each item has a
+ * due date relative to the protocol's start, may depend on other items of
+ * the same template, and may recur every N days.
+ *
+ * Starting a template on a patient creates a protocol instance and one task
+ * per item through the task engine, so the tasks are routed, SLA-tracked
+ * and escalated like any other. Item dependencies become task dependencies:
+ * a dependent task is blocked until its prerequisites are completed or
+ * cancelled. Recurrence is handled by the task engine (next occurrence on
+ * completion while the patient is active).
+ *
+ * Progress rolls up per item: an item counts as done once an occurrence of
+ * it is completed, so upkeep repeats do not hold a finished workup below
+ * 100%. Items whose task was cancelled drop out of the total.
+ */
+
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../database/init.cjs');
+const { VALID_ORGAN_TYPES } = require('../functions/validators.cjs');
+const taskEngine = require('./taskEngine.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ensure(value, name) {
+  if (value === undefined || value === null || value === '') {
+    throw new Error(`${name} is required`);
+  }
+}
+
+function optionalWholeNumber(value, name, { min }) {
+  if ([undefined, null, ''].includes(value)) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min) throw new Error(`${name} must be a whole number of at least ${min}`);
+  return n;
+}
+
+function parseList(json) {
+  try {
+    const list = JSON.parse(json || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// --- templates ---
+
+/** Validate template items and return them in dependency order. */
+function normaliseItems(items) {
+  if (!Array.isArray(items) || items.length === 0) throw new Error('A template needs at least one item');
+  const byKey = new Map();
+  items.forEach((item, index) => {
+    const key = String(item.key ?? item.item_key ?? index + 1).trim();
+    ensure(key, 'item key');
+    if (byKey.has(key)) throw new Error(`Duplicate item key: ${key}`);
+    ensure(item.title, `Item ${key} title`);
+    const taskType = item.task_type || 'GENERAL';
+    if (!taskEngine.TASK_TYPES.includes(taskType)) throw new Error(`Item ${key}: unknown task type ${taskType}`);
+    const priority = item.priority || 'normal';
+    if (!taskEngine.PRIORITIES.includes(priority)) throw new Error(`Item ${key}: unknown priority ${priority}`);
+    byKey.set(key, {
+      item_key: key,
+      title: String(item.title).trim(),
+      description: item.description || null,
+      task_type: taskType,
+      priority,
+      assigned_role: item.assigned_role || null,
+      due_offset_days: optionalWholeNumber(item.due_offset_days, `Item ${key} due_offset_days`, { min: 0 }),
+      recurrence_days: optionalWholeNumber(item.recurrence_days, `Item ${key} recurrence_days`, { min: 1 }),
+      depends_on: [...new Set((item.depends_on || []).map((k) => String(k).trim()).filter(Boolean))],
+      sort_order: index,
+    });
+  });
+
+  for (const item of byKey.values()) {
+    for (const dep of item.depends_on) {
+      if (dep === item.item_key) throw new Error(`Item ${dep} cannot depend on itself`);
+      if (!byKey.has(dep)) throw new Error(`Item ${item.item_key} depends on unknown item ${dep}`);
+    }
+  }
+
+  // Kahn's algorithm, keeping the author's order among items that are ready.
+  const ordered = [];
+  const done = new Set();
+  while (ordered.length < byKey.size) {
+    const ready = [...byKey.values()].find((i) => !done.has(i.item_key) && i.depends_on.every((d) => done.has(d)));
+    if (!ready) throw new Error('Item dependencies form a cycle');
+    ordered.push(ready);
+    done.add(ready.item_key);
+  }
+  return ordered;
+}
+
+function withItems(db, template) {
+  if (!template) return null;
+  const items = db.prepare('SELECT * FROM task_template_items WHERE template_id = ? ORDER BY sort_order')
+    .all(template.id)
+    .map((i) => ({ ...i, depends_on: parseList(i.depends_on) }));
+  return { ...template, items };
+}
+
+function listTemplates(orgId, { organType, activeOnly = false } = {}) {
+  ensure(orgId, 'orgId');
+  const db = getDatabase();
+  let sql = 'SELECT * FROM task_templates WHERE org_id = ?';
+  const params = [orgId];
+  if (organType) {
+    sql += ' AND (organ_type IS NULL OR organ_type = ?)';
+    params.push(organType);
+  }
+  if (activeOnly) sql += ' AND is_active = 1';
+  sql += ' ORDER BY name';
+  return db.prepare(sql).all(...params).map((t) => withItems(db, t));
+}
+
+function getTemplate(orgId, templateId) {
+  ensure(orgId, 'orgId');
+  const db = getDatabase();
+  return withItems(db, db.prepare('SELECT * FROM task_templates WHERE id = ? AND org_id = ?').get(templateId, orgId));
+}
+
+/**
+ * Create a template, or replace an existing one's definition and items.
+ * Protocols already started keep the tasks they were created with.
+ */
+function saveTemplate(orgId, data = {}, savedBy) {
+  ensure(orgId, 'orgId');
+  ensure(data.name, 'name');
+  const organType = data.organ_type ? String(data.organ_type).toLowerCase() : null;
+  if (organType && !VALID_ORGAN_TYPES.includes(organType)) throw new Error(`Unknown organ type: "${data.organ_type}"`);
+  const items = normaliseItems(data.items);
+  const db = getDatabase();
+
+  const duplicate = db.prepare('SELECT id FROM task_templates WHERE org_id = ? AND name = ?').get(orgId, data.name);
+  if (duplicate && duplicate.id !== data.id) throw new Error(`A template named "${data.name}" already exists`);
+
+  const id = data.id || uuidv4();
+  db.transaction(() => {
+    if (data.id) {
+      const info = db.prepare(`
+        UPDATE task_templates SET name = ?, description = ?, organ_type = ?, is_active = ?,
+          updated_by = ?, updated_at = datetime('now')
+        WHERE id = ? AND org_id = ?
+      `).run(data.name, data.description || null, organType, data.is_active === false ? 0 : 1, savedBy ?? null, id, orgId);
+      if (info.changes === 0) throw new Error('Template not found');
+      db.prepare('DELETE FROM task_template_items WHERE template_id = ?').run(id);
+    } else {
+      db.prepare(`
+        INSERT INTO task_templates (id, org_id, name, description, organ_type, is_active, created_by, updated_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, orgId, data.name, data.description || null, organType, data.is_active === false ? 0 : 1,
+        savedBy ?? null, savedBy ?? null);
+    }
+    const insert = db.prepare(`
+      INSERT INTO task_template_items (id, template_id, item_key, title, description, task_type, priority,
+        assigned_role, due_offset_days, recurrence_days, depends_on, sort_order)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const item of items) {
+      insert.run(uuidv4(), id, item.item_key, item.title, item.description, item.task_type, item.priority,
+        item.assigned_role, item.due_offset_days, item.recurrence_days, JSON.stringify(item.depends_on),
+        item.sort_order);
+    }
+  })();
+  return getTemplate(orgId, id);
+}
+
+function deleteTemplate(orgId, templateId) {
+  ensure(orgId, 'orgId');
+  const db = getDatabase();
+  if (!db.prepare('SELECT 1 FROM task_templates WHERE id = ? AND org_id = ?').get(templateId, orgId)) {
+    throw new Error('Template not found');
+  }
+  // Started protocols keep their tasks and the template's name.
+  db.transaction(() => {
+    db.prepare('DELETE FROM task_template_items WHERE template_id = ?').run(templateId);
+    db.prepare('DELETE FROM task_templates WHERE id = ? AND org_id = ?').run(templateId, orgId);
+  })();
+  return { success: true };
+}
+
+// --- protocols ---
+
+/**
+ * Start a template on a patient: one task per item, due `due_offset_days`
+ * after `startDate`, linked by the items' dependencies.
+ */
+function instantiate(orgId, templateId, patientId, { startDate, createdBy } = {}) {
+  ensure(orgId, 'orgId');
+  ensure(templateId, 'templateId');
+  ensure(patientId, 'patientId');
+  const db = getDatabase();
+  const template = getTemplate(orgId, templateId);
+  if (!template) throw new Error('Template not found');
+  if (!template.is_active) throw new Error('Template is inactive');
+  const patient = db.prepare('SELECT id, organ_needed FROM patients WHERE id = ? AND org_id = ?').get(patientId, orgId);
+  if (!patient) throw new Error('Patient not found');
+  if (template.organ_type && String(patient.organ_needed || '').toLowerCase() !== template.organ_type) {
+    throw new Error(`Template "${template.name}" is for ${template.organ_type} patients`);
+  }
+  const start = startDate ? new Date(startDate) : new Date();
+  if (Number.isNaN(start.getTime())) throw new Error('startDate is not a valid date');
+
+  const protocolId = uuidv4();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO task_protocols (id, org_id, patient_id, template_id, template_name, started_at, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(protocolId, orgId, patientId, template.id, template.name, start.toISOString(), createdBy ?? null);
+
+    // Create in dependency order so every prerequisite's task exists first.
+    const taskIds = new Map();
+    for (const item of normaliseItems(template.items)) {
+      const task = taskEngine.createTask(orgId, {
+        patient_id: patientId,
+        title: item.title,
+        description: item.description,
+        task_type: item.task_type,
+        priority: item.priority,
+        assigned_role: item.assigned_role,
+        due_date: item.due_offset_days === null ? null
+          : new Date(start.getTime() + item.due_offset_days * DAY_MS).toISOString(),
+        trigger_entity_type: 'TaskProtocol',
+        trigger_entity_id: protocolId,
+        protocol_id: protocolId,
+        protocol_item_key: item.item_key,
+        recurrence_days: item.recurrence_days,
+        depends_on: item.depends_on.map((key) => taskIds.get(key)),
+      }, createdBy || 'system');
+      taskIds.set(item.item_key, task.id);
+    }
+  })();
+  return getProtocol(orgId, protocolId);
+}
+
+function rollUp(protocol, tasks) {
+  const byItem = new Map();
+  for (const task of tasks) {
+    if (!byItem.has(task.protocol_item_key)) byItem.set(task.protocol_item_key, []);
+    byItem.get(task.protocol_item_key).push(task);
+  }
+  const items = [...byItem.entries()].map(([key, occurrences]) => {
+    // Occurrences are ordered oldest first; the last is the current one.
+    const current = occurrences[occurrences.length - 1];
+    const completed = occurrences.filter((t) => t.status === 'completed').length;
+    return {
+      item_key: key,
+      title: current.title,
+      recurrence_days: current.recurrence_days,
+      occurrences: occurrences.length,
+      completed_occurrences: completed,
+      done: completed > 0,
+      task: current,
+    };
+  });
+  const counted = items.filter((i) => i.done || i.task.status !== 'cancelled');
+  const done = counted.filter((i) => i.done).length;
+  return {
+    ...protocol,
+    items,
+    progress: {
+      total: counted.length,
+      done,
+      blocked: counted.filter((i) => !i.done && i.task.blocked).length,
+      percent: counted.length === 0 ? 0 : Math.round((done / counted.length) * 100),
+    },
+  };
+}
+
+function protocolTasks(db, orgId, protocolId) {
+  return db.prepare(`
+    SELECT t.*, u.email AS assignee_email, u.full_name AS assignee_name FROM tasks t
+    LEFT JOIN users u ON t.assigned_to = u.id AND u.org_id = t.org_id
+    WHERE t.org_id = ? AND t.protocol_id = ?
+    ORDER BY t.created_at, t.rowid
+  `).all(orgId, protocolId);
+}
+
+function getProtocol(orgId, protocolId) {
+  ensure(orgId, 'orgId');
+  const db = getDatabase();
+  const protocol = db.prepare('SELECT * FROM task_protocols WHERE id = ? AND org_id = ?').get(protocolId, orgId);
+  return protocol ? rollUp(protocol, protocolTasks(db, orgId, protocolId)) : null;
+}
+
+/** A patient's protocols, newest first, each with its checklist and progress. */
+function listPatientProtocols(orgId, patientId) {
+  ensure(orgId, 'orgId');
+  ensure(patientId, 'patientId');
+  const db = getDatabase();
+  return db.prepare('SELECT * FROM task_protocols WHERE org_id = ? AND patient_id = ? ORDER BY started_at DESC, rowid DESC')
+    .all(orgId, patientId)
+    .map((p) => rollUp(p, protocolTasks(db, orgId, p.id)));
+}
+
+/** Stop a protocol: its open tasks are cancelled and nothing more recurs. */
+function cancelProtocol(orgId, protocolId, cancelledBy) {
+  ensure(orgId, 'orgId');
+  const db = getDatabase();
+  const protocol = db.prepare('SELECT * FROM task_protocols WHERE id = ? AND org_id = ?').get(protocolId, orgId);
+  if (!protocol) throw new Error('Protocol not found');
+  if (protocol.status === 'cancelled') throw new Error('Protocol is already cancelled');
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE task_protocols SET status = 'cancelled', cancelled_at = ?, cancelled_by = ? WHERE id = ? AND org_id = ?
+    `).run(now, cancelledBy ?? null, protocolId, orgId);
+    db.prepare(`
+      UPDATE tasks SET status = 'cancelled', blocked = 0, updated_at = ?, updated_by = ?
+      WHERE org_id = ? AND protocol_id = ? AND status NOT IN ('completed', 'cancelled')
+    `).run(now, cancelledBy ?? null, orgId, protocolId);
+  })();
+  return getProtocol(orgId, protocolId);
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  instantiate,
+  getProtocol,
+  listPatientProtocols,
+  cancelProtocol,
+};
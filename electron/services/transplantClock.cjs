@@ -15,6 +15,7 @@
  */
 
 const { getDatabase } = require('../database/init.cjs');
+const businessCalendar = require('./businessCalendar.cjs');
 
 // Org isolation
 
@@ -37,6 +38,9 @@ const STATUS_THRESHOLDS = {
   // >= 72h = red (critical)
 };
 
+// Business hours left under which an SLA counts as due soon
+const SLA_DUE_SOON_HOURS = 8;
+
 // NOTE: pulse rate calculation was tuned empirically, may need adjustment per-site
 // Pulse rate calculation (Hz based on open tasks)
 const PULSE_RATES = {
@@ -275,6 +279,48 @@ function getTaskCounts(orgId) {
   };
 }
 
+/**
+ * Business-time SLA clocks across open tasks, barrier targets and pending
+ * offer responses, on the organization's working calendar. Only counts and
+ * the next deadline are returned — no titles or patient details.
+ */
+function getSlaClocks(orgId, now = new Date()) {
+  requireOrgId(orgId);
+  const db = getDatabase();
+
+  const dues = [
+    ...db.prepare(`
+      SELECT 'Task' as type, due_date as due FROM tasks
+      WHERE org_id = ? AND status NOT IN ('completed', 'cancelled') AND due_date IS NOT NULL
+    `).all(orgId),
+    ...db.prepare(`
+      SELECT 'Barrier Target' as type, target_resolution_date as due FROM readiness_barriers
+      WHERE org_id = ? AND status IN ('open', 'in_progress') AND target_resolution_date IS NOT NULL
+    `).all(orgId),
+    ...db.prepare(`
+      SELECT 'Offer Response' as type, response_due_at as due FROM organ_offers
+      WHERE org_id = ? AND status = 'PENDING' AND is_backup = 0 AND response_due_at IS NOT NULL
+    `).all(orgId),
+  ];
+
+  const result = { breached: 0, dueSoon: 0, next: null, dueSoonHours: SLA_DUE_SOON_HOURS };
+  if (dues.length === 0) return result;
+
+  const calendar = businessCalendar.loadCalendar(orgId);
+  for (const { type, due } of dues) {
+    const sla = businessCalendar.slaFor(calendar, due, now);
+    if (sla.breached) {
+      result.breached++;
+      continue;
+    }
+    if (sla.remaining_hours <= SLA_DUE_SOON_HOURS) result.dueSoon++;
+    if (!result.next || sla.due_at < result.next.due_at) {
+      result.next = { type, due_at: sla.due_at, remaining_hours: sla.remaining_hours };
+    }
+  }
+  return result;
+}
+
 /**
  * Calculate coordinator workload indicator
  * Based on active tasks per active staff ratio
@@ -362,6 +408,7 @@ function getTransplantClockData(orgId) {
   const nextExpiration = getNextExpiration(orgId);
   const taskCounts = getTaskCounts(orgId);
   const coordinatorLoad = getCoordinatorLoad(orgId);
+  const sla = getSlaClocks(orgId);
   
   const pulseRate = calculatePulseRate(taskCounts.open, taskCounts.overdue);
   const statusColor = getStatusColor(lastUpdate.hours);
@@ -375,6 +422,9 @@ function getTransplantClockData(orgId) {
     // Task counts
     tasks: taskCounts,
     
+    // Business-time SLA clocks
+    sla,
+    
     // Coordinator workload
     coordinatorLoad,
     
@@ -403,6 +453,7 @@ module.exports = {
   getAverageResolutionTime,
   getNextExpiration,
   getTaskCounts,
+  getSlaClocks,
   getCoordinatorLoad,
   calculatePulseRate,
   getStatusColor,
@@ -410,4 +461,5 @@ module.exports = {
   // Constants
   STATUS_THRESHOLDS,
   PULSE_RATES,
+  SLA_DUE_SOON_HOURS,
 };
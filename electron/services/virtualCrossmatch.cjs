@@ -0,0 +1,116 @@
+/**
+ * Virtual crossmatch — does the donor carry an antigen the candidate is
+ * sensitised to?
+ *
+ * The candidate's side is what the HLA laboratory has recorded:
+ *   - unacceptable_antigens   antigens the programme will not accept
+ *   - hla_antibodies          single-antigen bead results, [{ antigen, mfi }];
+ *                             a specificity at or above the MFI threshold is
+ *                             a donor-specific antibody (DSA) if the donor
+ *                             carries it
+ *
+ * Results use the values matches.virtual_crossmatch_result already holds:
+ *   positive   the donor carries at least one; `conflicts` names each
+ *   negative   the donor is typed at every locus the record covers and
+ *              carries none of it
+ *   pending    no conflict found, but the answer is not yet negative: the
+ *              candidate has no antibody record, the donor is untyped at a
+ *              locus the record covers, or the HLA reference data is missing
+ *
+ * Antigen equivalence (alleles, splits and broads) is ./hla.cjs.
+ */
+
+'use strict';
+
+const hla = require('./hla.cjs');
+
+const RESULTS = Object.freeze({ POSITIVE: 'positive', NEGATIVE: 'negative', PENDING: 'pending' });
+
+/** MFI at or above which a bead result counts; laboratories may set their own. */
+const DEFAULT_MFI_THRESHOLD = 2000;
+
+/** A stored JSON column, as SQLite returns it, or the value itself. */
+function listOf(value) {
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try { return JSON.parse(value); } catch { return value; }
+  }
+  return value;
+}
+
+/**
+ * The antibodies that count, by canonical antigen name, each with its
+ * highest MFI. A result without an MFI is taken as reported positive.
+ */
+function significantAntibodies(antibodies, threshold) {
+  const out = new Map();
+  for (const ab of Array.isArray(antibodies) ? antibodies : []) {
+    const mfi = typeof ab?.mfi === 'number' ? ab.mfi : null;
+    if (mfi !== null && mfi < threshold) continue;
+    // A bead reported against an ambiguous specificity counts for each alternative.
+    for (const token of hla.listedTokens(typeof ab === 'string' ? ab : ab?.antigen)) {
+      const entry = hla.parseAntigen(token);
+      if (!entry || entry.type === 'epitope') continue;
+      const prior = out.get(entry.name);
+      if (prior === undefined || (mfi !== null && (prior === null || mfi > prior))) out.set(entry.name, mfi);
+    }
+  }
+  return out;
+}
+
+/**
+ * Virtual crossmatch of one candidate against a donor typing.
+ *
+ * Returns { result, conflicts: [{ antigen, carried, source, mfi? }],
+ * untypedLoci, reason?, mfiThreshold, reference }.
+ */
+function virtualCrossmatch(donorTyping, candidate, { mfiThreshold = DEFAULT_MFI_THRESHOLD, now = new Date() } = {}) {
+  const unacceptable = listOf(candidate?.unacceptable_antigens);
+  const antibodies = listOf(candidate?.hla_antibodies);
+  const base = { conflicts: [], untypedLoci: [], mfiThreshold, reference: null };
+
+  const recorded = (unacceptable !== null && unacceptable !== undefined && unacceptable !== '')
+    || Array.isArray(antibodies);
+  if (!recorded) return { ...base, result: RESULTS.PENDING, reason: 'NO_ANTIBODY_RECORD' };
+
+  const typing = donorTyping?.loci ? donorTyping : hla.parseTyping(donorTyping);
+  if (!Object.values(typing.loci).some((entries) => entries.length)) {
+    return { ...base, result: RESULTS.PENDING, reason: 'DONOR_NOT_TYPED' };
+  }
+
+  const dsa = significantAntibodies(antibodies, mfiThreshold);
+  const fromUnacceptable = hla.carried(typing, unacceptable, { now });
+  if (fromUnacceptable.reason) {
+    return { ...base, result: RESULTS.PENDING, reason: fromUnacceptable.reason, reference: fromUnacceptable.reference };
+  }
+  const fromAntibodies = hla.carried(typing, [...dsa.keys()], { now });
+
+  const conflicts = [];
+  for (const hit of fromUnacceptable.hits) conflicts.push({ ...hit, source: 'unacceptable' });
+  for (const hit of fromAntibodies.hits) {
+    if (conflicts.some((c) => c.antigen === hit.antigen && c.carried === hit.carried)) continue;
+    conflicts.push({ ...hit, source: 'antibody', mfi: dsa.get(hit.antigen) });
+  }
+  const untypedLoci = [...new Set([...fromUnacceptable.untyped, ...fromAntibodies.untyped])];
+
+  let result = RESULTS.NEGATIVE;
+  let reason;
+  if (conflicts.length) result = RESULTS.POSITIVE;
+  else if (untypedLoci.length) {
+    result = RESULTS.PENDING;
+    reason = 'DONOR_LOCUS_UNTYPED';
+  }
+  return {
+    result,
+    conflicts,
+    untypedLoci,
+    ...(reason ? { reason } : {}),
+    mfiThreshold,
+    reference: fromUnacceptable.reference,
+  };
+}
+
+module.exports = {
+  RESULTS,
+  DEFAULT_MFI_THRESHOLD,
+  virtualCrossmatch,
+};
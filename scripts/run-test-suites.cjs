@@ -80,12 +80,23 @@ const HARDENING_SUITES = [
 /** Clinical logic, business rules, and integration suites. */
 const FUNCTIONAL_SUITES = [
   'business-logic.test.cjs',
+  'entityVersionConflict.test.cjs',
   'compliance.test.cjs',
   'ehrMigration.test.cjs',
   'calculators.test.cjs',
   'mfa.test.cjs',
   'hl7v2.test.cjs',
   'hl7Ingest.test.cjs',
+  'hl7Batch.test.cjs',
+  'hla.test.cjs',
+  'virtualCrossmatch.test.cjs',
+  'matchPolicy.test.cjs',
+  'matchRuns.test.cjs',
+  'jobScheduler.test.cjs',
+  'businessCalendar.test.cjs',
+  'taskAssignment.test.cjs',
+  'taskTemplates.test.cjs',
+  'labCatalog.test.cjs',
   'organOffers.test.cjs',
   'livingDonors.test.cjs',
   'postTransplant.test.cjs',
@@ -100,9 +100,37 @@ const schema = z.object({
   HL7_ALLOW_PLAINTEXT: envBool.default(false),
   HL7_DEFAULT_ORG_ID: z.string().optional().default(''),
   HL7_RAW_RETENTION_DAYS: z.coerce.number().int().nonnegative().default(90),
+  // Batch files (POST /hl7/batch) are streamed; each message in them is
+  // capped at HL7_MLLP_MAX_MESSAGE_BYTES and the whole file at this size.
+  HL7_BATCH_MAX_UPLOAD_MB: z.coerce.number().int().positive().default(256),
+  // Outbound HL7 v2 (src/hl7/outbound.js). Destinations are configured per
+  // organisation through /hl7/outbound/destinations; TLS destinations are
+  // verified against HL7_OUTBOUND_TLS_CA_FILE and present the client
+  // certificate when one is set. Retry timing works as SUBSCRIPTION_RETRY_*.
+  HL7_OUTBOUND_ENABLED: envBool.default(false),
+  HL7_OUTBOUND_SENDING_APP: z.string().default('TransTrack'),
+  HL7_OUTBOUND_SENDING_FACILITY: z.string().optional().default(''),
+  HL7_OUTBOUND_DISPATCH_MS: z.coerce.number().int().positive().default(5000),
+  HL7_OUTBOUND_ACK_TIMEOUT_MS: z.coerce.number().int().positive().default(30000),
+  HL7_OUTBOUND_MAX_ATTEMPTS: z.coerce.number().int().positive().default(10),
+  HL7_OUTBOUND_RETRY_BASE_SECONDS: z.coerce.number().int().positive().default(30),
+  HL7_OUTBOUND_RETRY_MAX_SECONDS: z.coerce.number().int().positive().default(3600),
+  HL7_OUTBOUND_RETRY_JITTER: z.coerce.number().min(0).max(1).default(0.2),
+  HL7_OUTBOUND_TLS_CA_FILE: z.string().optional().default(''),
+  HL7_OUTBOUND_TLS_CERT_FILE: z.string().optional().default(''),
+  HL7_OUTBOUND_TLS_KEY_FILE: z.string().optional().default(''),
 
   FHIR_BASE_URL: z.string().default('http://localhost:8080/fhir'),
   FHIR_REQUIRE_AUTH: envBool.default(true),
+  // Bulk $import. Uploaded NDJSON is capped at MAX_UPLOAD_MB; larger loads are
+  // staged as files under BULK_IMPORT_DIR (empty disables file inputs) and
+  // named by path in a Parameters body.
+  BULK_IMPORT_DIR: z.string().optional().default(''),
+  BULK_IMPORT_MAX_UPLOAD_MB: z.coerce.number().int().positive().default(256),
+  // $export files are kept RETENTION_HOURS after the job completes, then
+  // purged by a sweep every PURGE_INTERVAL_MS.
+  BULK_EXPORT_RETENTION_HOURS: z.coerce.number().int().positive().default(168),
+  BULK_PURGE_INTERVAL_MS: z.coerce.number().int().positive().default(3600000),
 
   SIEM_ENABLED: envBool.default(false),
   SIEM_ENDPOINT: z.string().optional().default(''),
@@ -110,6 +138,16 @@ const schema = z.object({
 
   CORS_ALLOWED_ORIGINS: z.string().optional().default(''),
   SUBSCRIPTION_DISPATCH_MS: z.coerce.number().int().positive().default(5000),
+  // Subscription delivery retry: attempt n waits BASE * 2^(n-1) seconds,
+  // capped at MAX, shortened by up to JITTER (a fraction) at random so a
+  // recovering endpoint is not hit by every queued delivery at once. After
+  // MAX_ATTEMPTS the delivery is dead-lettered; after ERROR_AFTER_FAILURES
+  // failed attempts in a row the subscription is set to 'error'.
+  SUBSCRIPTION_MAX_ATTEMPTS: z.coerce.number().int().positive().default(5),
+  SUBSCRIPTION_RETRY_BASE_SECONDS: z.coerce.number().int().positive().default(30),
+  SUBSCRIPTION_RETRY_MAX_SECONDS: z.coerce.number().int().positive().default(3600),
+  SUBSCRIPTION_RETRY_JITTER: z.coerce.number().min(0).max(1).default(0.2),
+  SUBSCRIPTION_ERROR_AFTER_FAILURES: z.coerce.number().int().positive().default(10),
   SMART_DEFAULT_ACCESS_TTL_SECONDS: z.coerce.number().int().positive().default(3600),
 
   // ---------------------------------------------------------------------------
@@ -166,7 +204,9 @@ const schema = z.object({
   // webhook handler. NEVER commit this; mount it as a Docker secret.
   LICENSE_PRIVATE_KEY_PATH: z.string().optional().default(''),
 
-  // Optional SMTP for emailing license files to customers post-checkout.
+  // Optional SMTP for emailing license files to customers post-checkout and
+  // for the FHIR Subscription email channel. Point SMTP_HOST/SMTP_PORT at a
+  // local relay (e.g. MailHog on 1025) to exercise email delivery in dev.
   SMTP_HOST: z.string().optional().default(''),
   SMTP_PORT: z.coerce.number().int().positive().optional().default(587),
   SMTP_SECURE: envBool.optional().default(false),
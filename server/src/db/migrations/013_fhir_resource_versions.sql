@@ -0,0 +1,76 @@
+-- =============================================================================
+-- 013_fhir_resource_versions.sql
+-- FHIR version history.
+--
+-- fhir_resources holds only the current body of each resource, so
+-- GET /fhir/:type/:id/_history could never return more than one entry and a
+-- vread of anything but the latest version was a 404. Auditors reconstructing
+-- what a resource said at a point in time, and EHR reconciliation jobs
+-- comparing versions, had nothing to work with.
+--
+-- Every create, update and delete now appends an immutable row here, in the
+-- same transaction as the write to fhir_resources. fhir_resources remains the
+-- current-state table that search and read use; this table is read only by
+-- the _history interactions and vread.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS fhir_resource_versions (
+    org_id            UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    resource_type     TEXT NOT NULL,
+    resource_id       TEXT NOT NULL,
+    version_id        INTEGER NOT NULL,
+    last_updated      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    -- Body as it stood at this version. For a delete this is the body of the
+    -- version that was deleted, kept so the tombstone is attributable; it is
+    -- never returned to clients (a deleted version reads as 410 Gone).
+    body              JSONB NOT NULL,
+    deleted           BOOLEAN NOT NULL DEFAULT FALSE,
+    operation         TEXT NOT NULL CHECK (operation IN ('create','update','delete')),
+    author_user_id    UUID,
+    author_client_id  TEXT,
+    PRIMARY KEY (org_id, resource_type, resource_id, version_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fhir_versions_type_updated
+    ON fhir_resource_versions (org_id, resource_type, last_updated DESC);
+CREATE INDEX IF NOT EXISTS idx_fhir_versions_org_updated
+    ON fhir_resource_versions (org_id, last_updated DESC);
+
+-- ---------------------------------------------------------------------------
+-- Seed the current state of every existing resource as its own version so
+-- history is never empty for a resource that predates this migration. Earlier
+-- versions were never stored and cannot be recovered. Runs before RLS is
+-- enabled on the new table, and relies on the migration role bypassing the
+-- fhir_resources policy (as the docker-compose `migrate` service does).
+-- ---------------------------------------------------------------------------
+INSERT INTO fhir_resource_versions
+    (org_id, resource_type, resource_id, version_id, last_updated, body, deleted, operation)
+SELECT org_id, resource_type, resource_id, version_id, last_updated, body, deleted,
+       CASE WHEN deleted THEN 'delete'
+            WHEN version_id = 1 THEN 'create'
+            ELSE 'update' END
+  FROM fhir_resources
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE fhir_resource_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fhir_resource_versions FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation_fhir_resource_versions ON fhir_resource_versions
+    USING (org_id = app_current_org_id())
+    WITH CHECK (org_id = app_current_org_id());
+
+-- Versions are history: once written they are never changed. DELETE stays
+-- possible so organisation teardown (ON DELETE CASCADE) still works.
+CREATE OR REPLACE FUNCTION fhir_resource_versions_immutable() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'fhir_resource_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS fhir_resource_versions_no_update ON fhir_resource_versions;
+CREATE TRIGGER fhir_resource_versions_no_update
+    BEFORE UPDATE ON fhir_resource_versions
+    FOR EACH ROW EXECUTE FUNCTION fhir_resource_versions_immutable();
+
+-- =============================================================================
+-- 013_fhir_resource_versions.sql complete
+-- =============================================================================
@@ -0,0 +1,78 @@
+-- =============================================================================
+-- 014_fhir_search_functions.sql
+-- FHIR search: date range helper.
+--
+-- FHIR date search compares ranges, not strings. A stored birthDate of
+-- "1980-04" means the whole of April 1980, an effectivePeriod may be open at
+-- either end, and `birthdate=ge1980-04-15` has to be answered against both.
+-- The search compiler (src/fhir/search.js) turns every date-typed element into
+-- a tstzrange with this function and compares it against the range implied by
+-- the precision of the search value.
+--
+-- Dates without a time zone are read as UTC, matching the compiler's reading
+-- of search values. Anything unparseable yields NULL, which matches no date
+-- comparison rather than failing the whole search.
+-- =============================================================================
+
+CREATE OR REPLACE FUNCTION fhir_date_range(v JSONB)
+RETURNS tstzrange
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    s     TEXT;
+    base  TIMESTAMP;
+    lo    TIMESTAMPTZ;
+BEGIN
+    IF v IS NULL OR jsonb_typeof(v) = 'null' THEN
+        RETURN NULL;
+    END IF;
+
+    -- Period: a missing start or end leaves that side of the range unbounded.
+    IF jsonb_typeof(v) = 'object' THEN
+        IF NOT (v ? 'start' OR v ? 'end') THEN
+            RETURN NULL;
+        END IF;
+        RETURN tstzrange(lower(fhir_date_range(v->'start')),
+                         upper(fhir_date_range(v->'end')), '[)');
+    END IF;
+
+    IF jsonb_typeof(v) <> 'string' THEN
+        RETURN NULL;
+    END IF;
+    s := v #>> '{}';
+
+    -- Partial dates are computed in UTC wall-clock time so month and year
+    -- arithmetic is not shifted by the session time zone.
+    IF s ~ '^\d{4}$' THEN
+        base := make_timestamp(s::int, 1, 1, 0, 0, 0);
+        RETURN tstzrange(base AT TIME ZONE 'UTC', (base + interval '1 year') AT TIME ZONE 'UTC', '[)');
+    ELSIF s ~ '^\d{4}-\d{2}$' THEN
+        base := make_timestamp(substr(s, 1, 4)::int, substr(s, 6, 2)::int, 1, 0, 0, 0);
+        RETURN tstzrange(base AT TIME ZONE 'UTC', (base + interval '1 month') AT TIME ZONE 'UTC', '[)');
+    ELSIF s ~ '^\d{4}-\d{2}-\d{2}$' THEN
+        base := make_timestamp(substr(s, 1, 4)::int, substr(s, 6, 2)::int, substr(s, 9, 2)::int, 0, 0, 0);
+        RETURN tstzrange(base AT TIME ZONE 'UTC', (base + interval '1 day') AT TIME ZONE 'UTC', '[)');
+    ELSIF s ~ '^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}' THEN
+        IF s ~ '(Z|[+-]\d{2}:\d{2})$' THEN
+            lo := s::timestamptz;
+        ELSE
+            lo := s::timestamp AT TIME ZONE 'UTC';
+        END IF;
+        IF s ~ '^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.' THEN
+            RETURN tstzrange(lo, lo + interval '1 millisecond', '[)');
+        END IF;
+        RETURN tstzrange(lo, lo + interval '1 second', '[)');
+    END IF;
+    RETURN NULL;
+EXCEPTION WHEN others THEN
+    RETURN NULL;
+END;
+$$;
+
+COMMENT ON FUNCTION fhir_date_range(JSONB) IS
+    'Half-open instant range covered by a FHIR date, dateTime, instant or Period value; NULL when unparseable.';
+
+-- =============================================================================
+-- 014_fhir_search_functions.sql complete
+-- =============================================================================
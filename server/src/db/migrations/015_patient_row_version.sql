@@ -0,0 +1,23 @@
+-- =============================================================================
+-- 015_patient_row_version.sql
+-- Optimistic concurrency for patient edits.
+--
+-- PATCH /patients/:id overwrote whatever was stored, so two coordinators
+-- editing the same candidate silently lost one set of changes. Every patient
+-- row now carries a version that each update increments. GET returns it as a
+-- weak ETag and PATCH honours If-Match against it, answering 412 when the row
+-- has moved on since the caller read it.
+--
+-- Existing rows start at version 1; the column is never written by callers.
+-- =============================================================================
+
+ALTER TABLE patients
+    ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN patients.version IS
+    'Row version for optimistic concurrency. Incremented by every update and '
+    'exposed as the weak ETag W/"<version>".';
+
+-- =============================================================================
+-- 015_patient_row_version.sql complete
+-- =============================================================================
@@ -0,0 +1,61 @@
+-- =============================================================================
+-- 016_fhir_subscription_backport.sql
+-- Topic-based Subscriptions (R5 Backport for R4), websocket and email channels.
+--
+-- fhir_subscriptions only knew R4 search-style criteria and a rest-hook
+-- endpoint. A subscription may now name a SubscriptionTopic canonical URL
+-- instead, narrowed by filter criteria, with a payload content level and an
+-- optional heartbeat. Every event a topic subscription receives is numbered
+-- so a client that sees event 12 after event 10 knows to call $events for 11.
+--
+--   fhir_subscriptions           + topic_url, filter_criteria, content,
+--                                  heartbeat_period, events_since_start,
+--                                  last_notified_at
+--   fhir_subscription_deliveries + notification_type, event_number
+--   fhir_subscription_ws_tokens  short-lived websocket binding tokens
+--
+-- Subscriptions with a NULL topic_url are the existing R4 criteria
+-- subscriptions and keep their notification format.
+-- =============================================================================
+
+ALTER TABLE fhir_subscriptions
+    ADD COLUMN IF NOT EXISTS topic_url          TEXT,
+    ADD COLUMN IF NOT EXISTS filter_criteria    TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS content            TEXT NOT NULL DEFAULT 'id-only'
+        CHECK (content IN ('empty','id-only','full-resource')),
+    ADD COLUMN IF NOT EXISTS heartbeat_period   INTEGER CHECK (heartbeat_period > 0),
+    ADD COLUMN IF NOT EXISTS events_since_start BIGINT NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_notified_at   TIMESTAMPTZ;
+
+COMMENT ON COLUMN fhir_subscriptions.events_since_start IS
+    'Event counter for topic subscriptions. Incremented once per triggering '
+    'event; the new value is that event''s event-number.';
+
+ALTER TABLE fhir_subscription_deliveries
+    ADD COLUMN IF NOT EXISTS notification_type TEXT NOT NULL DEFAULT 'event-notification'
+        CHECK (notification_type IN ('handshake','heartbeat','event-notification')),
+    ADD COLUMN IF NOT EXISTS event_number      BIGINT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fhir_deliveries_event_number
+    ON fhir_subscription_deliveries (subscription_id, event_number)
+    WHERE event_number IS NOT NULL;
+
+-- ---------------------------------------------------------------------------
+-- fhir_subscription_ws_tokens
+-- Issued by Subscription/$get-ws-binding-token and redeemed by the
+-- "bind-with-token" websocket message. Only a SHA-256 of the token is stored.
+-- Redemption happens before any tenant is known, so like fhir_subscriptions
+-- this table has no RLS policy; request-path queries filter on org_id.
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS fhir_subscription_ws_tokens (
+    token_hash       TEXT PRIMARY KEY,
+    org_id           UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    subscription_id  UUID NOT NULL REFERENCES fhir_subscriptions(id) ON DELETE CASCADE,
+    expires_at       TIMESTAMPTZ NOT NULL,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_fhir_ws_tokens_expiry ON fhir_subscription_ws_tokens (expires_at);
+
+-- =============================================================================
+-- 016_fhir_subscription_backport.sql complete
+-- =============================================================================
@@ -0,0 +1,34 @@
+-- =============================================================================
+-- 017_fhir_subscription_dead_letters.sql
+-- Subscription delivery dead-lettering and automatic error status.
+--
+-- A delivery that used up its attempts became 'failed' and was never looked
+-- at again, and a subscription whose endpoint had gone away stayed 'active'
+-- and kept queueing work. Now:
+--
+--   fhir_subscription_deliveries + dead_lettered_at, replay_status, replayed_at
+--       A delivery that runs out of attempts is dead-lettered
+--       (replay_status 'pending') and an admin replays or discards it through
+--       /subscriptions/dead-letters, as with /hl7/dead-letters.
+--   fhir_subscriptions           + consecutive_failures
+--       Failed attempts since the last successful delivery. At
+--       SUBSCRIPTION_ERROR_AFTER_FAILURES the subscription is set to 'error'
+--       and the dispatcher stops sending for it.
+-- =============================================================================
+
+ALTER TABLE fhir_subscription_deliveries
+    ADD COLUMN IF NOT EXISTS dead_lettered_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS replay_status    TEXT
+        CHECK (replay_status IN ('pending','replayed','discarded')),
+    ADD COLUMN IF NOT EXISTS replayed_at      TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_fhir_deliveries_dead_letters
+    ON fhir_subscription_deliveries (org_id, dead_lettered_at DESC)
+    WHERE replay_status IS NOT NULL;
+
+ALTER TABLE fhir_subscriptions
+    ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0;
+
+-- =============================================================================
+-- 017_fhir_subscription_dead_letters.sql complete
+-- =============================================================================
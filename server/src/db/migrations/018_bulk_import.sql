@@ -0,0 +1,89 @@
+-- =============================================================================
+-- 018_bulk_import.sql
+-- FHIR Bulk Data $import (inbound NDJSON).
+--
+-- Loading a centre from a legacy waitlist system means tens of thousands of
+-- resources, far beyond a transaction Bundle. $import accepts NDJSON either
+-- uploaded in the request or read from a file under BULK_IMPORT_DIR, and
+-- processes it asynchronously like $export:
+--
+--   bulk_import_jobs    one row per $import; status as bulk_export_jobs
+--   bulk_import_inputs  each NDJSON source, with per-input counts; uploaded
+--                       content is kept as bytea until the job is purged
+--   bulk_import_issues  one OperationOutcome per rejected or duplicate line,
+--                       served as the job's NDJSON error file
+--
+-- Rows are written through the same storage layer as a FHIR create, so
+-- tenant RLS and SMART compartment rules apply line by line.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS bulk_import_jobs (
+    id                   UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id               UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    requested_by         UUID REFERENCES users(id),
+    requested_via_client TEXT,                              -- SMART client_id
+    status               TEXT NOT NULL DEFAULT 'queued'
+                         CHECK (status IN ('queued','in-progress','completed','failed','cancelled')),
+    progress_percent     INTEGER NOT NULL DEFAULT 0,
+    total_lines          INTEGER,
+    lines_processed      INTEGER NOT NULL DEFAULT 0,
+    error_message        TEXT,
+    requested_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+    started_at           TIMESTAMPTZ,
+    completed_at         TIMESTAMPTZ,
+    expires_at           TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_bulk_import_jobs_org ON bulk_import_jobs (org_id, requested_at DESC);
+
+CREATE TABLE IF NOT EXISTS bulk_import_inputs (
+    id               UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id           UUID NOT NULL REFERENCES bulk_import_jobs(id) ON DELETE CASCADE,
+    input_index      INTEGER NOT NULL,
+    resource_type    TEXT,                                  -- NULL: mixed types
+    source           TEXT NOT NULL CHECK (source IN ('upload','file')),
+    path             TEXT,                                  -- relative to BULK_IMPORT_DIR
+    content          BYTEA,                                 -- uploaded NDJSON
+    imported_count   INTEGER NOT NULL DEFAULT 0,
+    duplicate_count  INTEGER NOT NULL DEFAULT 0,
+    error_count      INTEGER NOT NULL DEFAULT 0,
+    UNIQUE (job_id, input_index),
+    CHECK ((source = 'upload') = (content IS NOT NULL))
+);
+
+CREATE TABLE IF NOT EXISTS bulk_import_issues (
+    id               BIGSERIAL PRIMARY KEY,
+    job_id           UUID NOT NULL REFERENCES bulk_import_jobs(id) ON DELETE CASCADE,
+    input_index      INTEGER NOT NULL,
+    line_number      INTEGER NOT NULL,
+    severity         TEXT NOT NULL CHECK (severity IN ('error','information')),
+    outcome          JSONB NOT NULL,
+    created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_bulk_import_issues_job ON bulk_import_issues (job_id, input_index, line_number);
+
+ALTER TABLE bulk_import_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_import_jobs FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation_bulk_import_jobs ON bulk_import_jobs
+    USING (org_id = app_current_org_id())
+    WITH CHECK (org_id = app_current_org_id());
+
+-- Inputs and issues inherit tenant scope through their job
+ALTER TABLE bulk_import_inputs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_import_inputs FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation_bulk_import_inputs ON bulk_import_inputs
+    USING (EXISTS (SELECT 1 FROM bulk_import_jobs j
+                   WHERE j.id = bulk_import_inputs.job_id AND j.org_id = app_current_org_id()))
+    WITH CHECK (EXISTS (SELECT 1 FROM bulk_import_jobs j
+                        WHERE j.id = bulk_import_inputs.job_id AND j.org_id = app_current_org_id()));
+
+ALTER TABLE bulk_import_issues ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_import_issues FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation_bulk_import_issues ON bulk_import_issues
+    USING (EXISTS (SELECT 1 FROM bulk_import_jobs j
+                   WHERE j.id = bulk_import_issues.job_id AND j.org_id = app_current_org_id()))
+    WITH CHECK (EXISTS (SELECT 1 FROM bulk_import_jobs j
+                        WHERE j.id = bulk_import_issues.job_id AND j.org_id = app_current_org_id()));
+
+-- =============================================================================
+-- 018_bulk_import.sql complete
+-- =============================================================================
@@ -0,0 +1,35 @@
+-- =============================================================================
+-- 019_bulk_export_options.sql
+-- Bulk $export filtering, projection, compression and expiry.
+--
+--   bulk_export_jobs  + type_filters      _typeFilter queries by type, ORed per type
+--                     + elements          _elements; non-empty output is tagged SUBSETTED
+--                     + transaction_time  snapshot instant of the export; the
+--                                         manifest reports it so the next
+--                                         export can pass it as _since
+--                     + purged_at         set when the files were purged
+--   bulk_export_files + content_encoding  NDJSON is stored gzip-compressed and
+--                                         served as-is to clients that accept it
+--
+-- expires_at is now set on completion (BULK_EXPORT_RETENTION_HOURS); the
+-- purge sweep deletes the files of expired jobs and records the
+-- purge in the audit log. Rows written before this migration stay 'identity'.
+-- =============================================================================
+
+ALTER TABLE bulk_export_jobs
+    ADD COLUMN IF NOT EXISTS type_filters     JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS elements         JSONB NOT NULL DEFAULT '[]'::jsonb,
+    ADD COLUMN IF NOT EXISTS transaction_time TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS purged_at        TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_expiry
+    ON bulk_export_jobs (expires_at)
+    WHERE purged_at IS NULL;
+
+ALTER TABLE bulk_export_files
+    ADD COLUMN IF NOT EXISTS content_encoding TEXT NOT NULL DEFAULT 'identity'
+        CHECK (content_encoding IN ('identity','gzip'));
+
+-- =============================================================================
+-- 019_bulk_export_options.sql complete
+-- =============================================================================
@@ -0,0 +1,84 @@
+-- =============================================================================
+-- 020_hl7_outbound.sql
+-- Outbound HL7 v2 to hospital interface engines.
+--
+-- Until now the server only listened. Waitlist status changes, IOTA notice
+-- documents and organ-offer events are now sent to each configured engine
+-- over MLLP (TLS in production):
+--
+--   hl7_outbound_destinations  one row per receiving engine: host, port,
+--                              MSH-5/MSH-6 and the events routed to it
+--   hl7_outbound_messages      persistent queue and per-destination log. A
+--                              message is sent, its ACK matched to it by
+--                              control ID (MSA-2), and retried with backoff
+--                              until accepted, rejected or out of attempts.
+--
+-- Messages to one destination are sent strictly in queue order: the next one
+-- waits until the one ahead of it is acknowledged or given up on.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS hl7_outbound_destinations (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id              UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name                TEXT NOT NULL,
+    host                TEXT NOT NULL,
+    port                INTEGER NOT NULL CHECK (port BETWEEN 1 AND 65535),
+    use_tls             BOOLEAN NOT NULL DEFAULT TRUE,
+    tls_servername      TEXT,                               -- SNI / certificate name, defaults to host
+    receiving_app       TEXT,                               -- MSH-5
+    receiving_facility  TEXT,                               -- MSH-6
+    events              TEXT[] NOT NULL DEFAULT ARRAY['waitlist_status','iota_notice','organ_offer']::text[],
+    is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (org_id, name),
+    CHECK (events <@ ARRAY['waitlist_status','iota_notice','organ_offer']::text[])
+);
+
+CREATE TRIGGER hl7_outbound_destinations_updated BEFORE UPDATE ON hl7_outbound_destinations
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+CREATE TABLE IF NOT EXISTS hl7_outbound_messages (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id              UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    destination_id      UUID NOT NULL REFERENCES hl7_outbound_destinations(id) ON DELETE CASCADE,
+    event_type          TEXT NOT NULL,
+    source_type         TEXT,                               -- 'patient', 'organ_offer', 'iota_notice'
+    source_id           TEXT,
+    message_type        TEXT NOT NULL,
+    trigger_event       TEXT NOT NULL,
+    message_control_id  TEXT NOT NULL,
+    raw_message         TEXT NOT NULL,
+    status              TEXT NOT NULL DEFAULT 'pending'
+                        CHECK (status IN ('pending','in_progress','retrying','acked','rejected','failed')),
+    attempt_count       INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at     TIMESTAMPTZ,
+    last_attempt_at     TIMESTAMPTZ,
+    ack_code            TEXT,
+    ack_message         TEXT,
+    error_message       TEXT,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+    acked_at            TIMESTAMPTZ,
+    UNIQUE (org_id, message_control_id)
+);
+CREATE INDEX IF NOT EXISTS idx_hl7_outbound_log
+    ON hl7_outbound_messages (org_id, destination_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_hl7_outbound_open
+    ON hl7_outbound_messages (destination_id, created_at)
+    WHERE status IN ('pending','in_progress','retrying');
+
+ALTER TABLE hl7_outbound_destinations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hl7_outbound_destinations FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation_hl7_outbound_destinations ON hl7_outbound_destinations
+    USING (org_id = app_current_org_id())
+    WITH CHECK (org_id = app_current_org_id());
+
+ALTER TABLE hl7_outbound_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hl7_outbound_messages FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation_hl7_outbound_messages ON hl7_outbound_messages
+    USING (org_id = app_current_org_id())
+    WITH CHECK (org_id = app_current_org_id());
+
+-- =============================================================================
+-- 020_hl7_outbound.sql complete
+-- =============================================================================
@@ -0,0 +1,52 @@
+-- =============================================================================
+-- 021_hl7_conformance.sql
+-- HL7 v2 conformance profiles and per-message validation reports.
+--
+--   hl7_conformance_profiles  what a sending application promises to send:
+--                             segment cardinality, required fields and
+--                             components, lengths, datatypes and table
+--                             values (definition JSONB, see hl7/conformance.js)
+--   hl7_vendor_profiles       gains conformance_profile_id; messages matched
+--                             to the vendor profile are validated against it
+--   hl7_messages              gains validation_report, the findings for that
+--                             message with their segment-field-component paths
+--
+-- on_error decides what an invalid message gets: 'reject' stores it without
+-- processing and ACKs with reject_ack_code (AR or AE); 'accept_with_warning'
+-- processes it and ACKs AA with the findings summarised in MSA-3.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS hl7_conformance_profiles (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id              UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    name                TEXT NOT NULL,
+    description         TEXT,
+    definition          JSONB NOT NULL,
+    on_error            TEXT NOT NULL DEFAULT 'accept_with_warning'
+                        CHECK (on_error IN ('reject','accept_with_warning')),
+    reject_ack_code     TEXT NOT NULL DEFAULT 'AR' CHECK (reject_ack_code IN ('AR','AE')),
+    is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (org_id, name)
+);
+
+CREATE TRIGGER hl7_conformance_profiles_updated BEFORE UPDATE ON hl7_conformance_profiles
+    FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+ALTER TABLE hl7_conformance_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hl7_conformance_profiles FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation_hl7_conformance_profiles ON hl7_conformance_profiles
+    USING (org_id = app_current_org_id())
+    WITH CHECK (org_id = app_current_org_id());
+
+ALTER TABLE hl7_vendor_profiles
+    ADD COLUMN IF NOT EXISTS conformance_profile_id UUID
+        REFERENCES hl7_conformance_profiles(id) ON DELETE SET NULL;
+
+ALTER TABLE hl7_messages
+    ADD COLUMN IF NOT EXISTS validation_report JSONB;
+
+-- =============================================================================
+-- 021_hl7_conformance.sql complete
+-- =============================================================================
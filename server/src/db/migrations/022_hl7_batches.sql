@@ -0,0 +1,57 @@
+-- =============================================================================
+-- 022_hl7_batches.sql
+-- HL7 v2 batch files (FHS/BHS/BTS/FTS) for overnight lab and ADT feeds.
+--
+--   hl7_batches   one row per uploaded file: its envelope (file and batch
+--                 headers and trailers), per-ACK-code counts, the result of
+--                 reconciling BTS-1/FTS-1 against what was read, and the
+--                 batch acknowledgement file returned to the sender
+--   hl7_messages  gains batch_id and batch_sequence so each message of a
+--                 file can be traced back to it, in file order
+--
+-- Messages are ingested one at a time as the file streams in, each in its
+-- own transaction as over MLLP; a file that is cut short is left 'aborted'
+-- with the messages read before the failure kept.
+-- =============================================================================
+
+CREATE TABLE IF NOT EXISTS hl7_batches (
+    id                  UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    org_id              UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    filename            TEXT,
+    file_control_id     TEXT,                               -- FHS-11
+    sending_app         TEXT,                               -- FHS-3, else BHS-3 of the first batch
+    sending_facility    TEXT,
+    status              TEXT NOT NULL DEFAULT 'processing'
+                        CHECK (status IN ('processing','completed','aborted')),
+    batch_count         INTEGER NOT NULL DEFAULT 0,
+    message_count       INTEGER NOT NULL DEFAULT 0,
+    accepted_count      INTEGER NOT NULL DEFAULT 0,
+    error_count         INTEGER NOT NULL DEFAULT 0,
+    rejected_count      INTEGER NOT NULL DEFAULT 0,
+    duplicate_count     INTEGER NOT NULL DEFAULT 0,
+    reconciled          BOOLEAN,
+    envelope            JSONB,
+    reconciliation      JSONB,
+    ack_message         TEXT,
+    error_message       TEXT,
+    uploaded_by         UUID,
+    received_at         TIMESTAMPTZ NOT NULL DEFAULT now(),
+    completed_at        TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_hl7_batches_org ON hl7_batches (org_id, received_at DESC);
+
+ALTER TABLE hl7_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE hl7_batches FORCE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation_hl7_batches ON hl7_batches
+    USING (org_id = app_current_org_id())
+    WITH CHECK (org_id = app_current_org_id());
+
+ALTER TABLE hl7_messages
+    ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES hl7_batches(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS batch_sequence INTEGER;
+CREATE INDEX IF NOT EXISTS idx_hl7_messages_batch
+    ON hl7_messages (batch_id, batch_sequence) WHERE batch_id IS NOT NULL;
+
+-- =============================================================================
+-- 022_hl7_batches.sql complete
+-- =============================================================================
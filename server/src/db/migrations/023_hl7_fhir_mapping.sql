@@ -0,0 +1,23 @@
+-- =============================================================================
+-- 023_hl7_fhir_mapping.sql
+-- HL7 v2 to FHIR R4 mapping of inbound messages.
+--
+--   hl7_messages     gains fhir_references: the versioned references
+--                    (Type/id/_history/n) of every FHIR resource the message
+--                    wrote, its Provenance included
+--   fhir_resources   gains an index on Patient identifiers so an inbound PID
+--                    finds a Patient already on file by MRN
+--
+-- The mapping itself is configured in organizations.settings.hl7.fhirMapping
+-- and hl7_vendor_profiles.config.fhirMapping; neither needs a column.
+-- =============================================================================
+
+ALTER TABLE hl7_messages ADD COLUMN IF NOT EXISTS fhir_references TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_fhir_resources_patient_identifier
+    ON fhir_resources USING gin ((body->'identifier') jsonb_path_ops)
+    WHERE resource_type = 'Patient';
+
+-- =============================================================================
+-- 023_hl7_fhir_mapping.sql complete
+-- =============================================================================
@@ -0,0 +1,14 @@
+-- =============================================================================
+-- 024_hla_unacceptable_antigens.sql
+-- HLA typing: unacceptable antigens on waitlisted candidates.
+--
+--   patients   gains unacceptable_antigens: a JSON array of antigens and
+--              alleles in canonical form (A2, B62, DRB1*15:01), as normalised
+--              by electron/services/hla.cjs
+-- =============================================================================
+
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS unacceptable_antigens JSONB;
+
+-- =============================================================================
+-- 024_hla_unacceptable_antigens.sql complete
+-- =============================================================================
@@ -0,0 +1,16 @@
+-- =============================================================================
+-- 025_hla_antibodies.sql
+-- Virtual crossmatch: single-antigen bead results on waitlisted candidates.
+--
+--   patients   gains hla_antibodies: a JSON array of { antigen, mfi,
+--              tested_at }. A specificity at or above the MFI threshold that
+--              the donor carries makes the virtual crossmatch positive (see
+--              electron/services/virtualCrossmatch.cjs). NULL means no record,
+--              which the crossmatch reports as pending, not negative.
+-- =============================================================================
+
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS hla_antibodies JSONB;
+
+-- =============================================================================
+-- 025_hla_antibodies.sql complete
+-- =============================================================================
@@ -0,0 +1,22 @@
+-- =============================================================================
+-- 026_match_policy_inputs.sql
+-- Match policies: the inputs organ-specific policies read, kept in step with
+-- the desktop schema (electron migration 23). The policies themselves and the
+-- matching that applies them are desktop-side (electron/services/matchPolicy.cjs).
+--
+--   patients      gains a2_to_b_eligible: the centre has found the candidate's
+--                 anti-A titre acceptable for an A2 or A2B organ.
+--   donor_organs  gains abo_subtype (A1, A2, A1B, A2B) and distance_nm, the
+--                 donor hospital's distance from the centre in nautical miles.
+-- =============================================================================
+
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS a2_to_b_eligible BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE donor_organs ADD COLUMN IF NOT EXISTS abo_subtype TEXT
+    CHECK (abo_subtype IS NULL OR abo_subtype IN ('A1', 'A2', 'A1B', 'A2B'));
+ALTER TABLE donor_organs ADD COLUMN IF NOT EXISTS distance_nm NUMERIC(7,1)
+    CHECK (distance_nm IS NULL OR distance_nm >= 0);
+
+-- =============================================================================
+-- 026_match_policy_inputs.sql complete
+-- =============================================================================
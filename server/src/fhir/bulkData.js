@@ -14,24 +14,145 @@
  *      when complete; 4xx/5xx on error.
  *
  *   3. Client downloads:  GET <manifest.output[i].url>
- *      Streams NDJSON.
+ *      Streams NDJSON, gzip-encoded when the client sends Accept-Encoding: gzip.
+ *
+ * Kickoff parameters beyond _type and _since:
+ *   _typeFilter  `Type?search` queries compiled by src/fhir/search.js; several
+ *                for one type are ORed, and a type with filters exports only
+ *                what matches one of them.
+ *   _elements    `element` or `Type.element`; output keeps those plus the
+ *                mandatory elements and is tagged SUBSETTED.
+ *
+ * Every export covers the half-open interval _since <= last_updated <
+ * transaction_time, and the manifest reports transaction_time. A write stamps
+ * last_updated with its transaction's start, so transaction_time is the start
+ * of the oldest transaction still open in the database when the export runs
+ * (or now, if none is): every write stamped earlier has committed and is read,
+ * and a write still in flight is left to the export that starts from here.
+ * Passing transaction_time back as _since therefore exports only what changed
+ * in between, without gaps or overlap. This relies on pg_stat_activity showing
+ * the server's other sessions, which it does for the role they share. Files
+ * expire BULK_EXPORT_RETENTION_HOURS after completion and purgeExpired()
+ * removes them.
  *
  * For initial production-ready release the export is run inline (synchronous-
  * but-deferred) inside a single transaction — adequate for tens of thousands
  * of resources. A queued worker can be substituted by replacing runJob().
  */
 
-const { withTransaction } = require('../db/pool');
+const zlib = require('zlib');
+const { withTransaction, getPool } = require('../db/pool');
 const compartment = require('./compartment');
+const search = require('./search');
+const profiles = require('./profiles');
+const resources = require('./resources');
+const audit = require('../services/auditService');
+const { errors } = require('../util/errors');
+
+const SUBSETTED = Object.freeze({
+  system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue',
+  code: 'SUBSETTED',
+  display: 'subsetted',
+});
+
+/** Elements `_elements` never removes. */
+const ALWAYS_KEPT = ['resourceType', 'id', 'meta'];
+
+let retentionHours = 168;
+
+function configure(config = {}) {
+  retentionHours = config.BULK_EXPORT_RETENTION_HOURS || retentionHours;
+}
+
+/**
+ * Parse `_typeFilter` into `{ Type: [query, ...] }`. Filters are comma
+ * separated; a comma only starts a new filter when a type name and `?`
+ * follow it, so `code=a,b` inside one query survives. Each query is
+ * compiled once here so an unsupported parameter fails the kickoff (400)
+ * rather than the job.
+ */
+function parseTypeFilters(raw) {
+  const values = (Array.isArray(raw) ? raw : [raw]).filter(Boolean);
+  const filters = {};
+  for (const value of values) {
+    for (const filter of String(value).split(/,(?=[A-Z][A-Za-z]+\?)/)) {
+      const m = filter.trim().match(/^([A-Z][A-Za-z]+)\?(.+)$/);
+      if (!m) throw errors.badRequest(`Invalid _typeFilter '${filter}'; expected Type?search`);
+      const [, type, query] = m;
+      if (!resources[type]) throw errors.badRequest(`Unsupported resourceType ${type} in _typeFilter`);
+      search.compileFilters(type, searchParamsOf(query), [], { strict: true });
+      (filters[type] = filters[type] || []).push(query);
+    }
+  }
+  return filters;
+}
+
+/** A query string as the `{ name: value | value[] }` object search.js compiles. */
+function searchParamsOf(query) {
+  const params = {};
+  for (const [k, v] of new URLSearchParams(query)) {
+    params[k] = k in params ? [].concat(params[k], v) : v;
+  }
+  return params;
+}
+
+/** Parse `_elements` into a list of `element` / `Type.element` names. */
+function parseElements(raw) {
+  const values = (Array.isArray(raw) ? raw : [raw]).filter(Boolean);
+  const elements = values.flatMap((v) => String(v).split(',')).map((e) => e.trim()).filter(Boolean);
+  for (const e of elements) {
+    const m = e.match(/^(?:([A-Z][A-Za-z]+)\.)?([a-z][A-Za-z0-9]*(?:\[x\])?)$/);
+    if (!m) throw errors.badRequest(`Invalid _elements entry '${e}'`);
+    if (m[1] && !resources[m[1]]) throw errors.badRequest(`Unsupported resourceType ${m[1]} in _elements`);
+  }
+  return elements;
+}
+
+/** Top-level elements of the base definition of `type`, as `{ name, min }`. */
+function topLevelElements(type) {
+  const sd = profiles.baseDefinition(type);
+  return (sd?.snapshot?.element || [])
+    .filter((e) => e.path.split('.').length === 2)
+    .map((e) => ({ name: e.path.split('.')[1], min: e.min }));
+}
+
+/**
+ * Reduce `body` to the requested elements. Returns null when `elements` has
+ * nothing for this type, meaning the resource is exported whole.
+ */
+function projector(type, elements) {
+  const wanted = elements
+    .filter((e) => !e.includes('.') || e.startsWith(`${type}.`))
+    .map((e) => e.replace(/^[A-Z][A-Za-z]+\./, ''));
+  if (wanted.length === 0) return null;
+  const defined = topLevelElements(type);
+  const choices = new Set(defined.map((e) => e.name).filter((n) => n.endsWith('[x]')));
+  const keep = [
+    ...ALWAYS_KEPT,
+    ...defined.filter((e) => e.min >= 1).map((e) => e.name),
+    // `value` names the choice element value[x] as much as `value[x]` does.
+    ...wanted.map((w) => (choices.has(`${w}[x]`) ? `${w}[x]` : w)),
+  ];
+  // A choice element such as value[x] is stored as valueQuantity, valueString...
+  const matches = (key) => keep.some((k) =>
+    k === key || (k.endsWith('[x]') && key.startsWith(k.slice(0, -3)) && /^[A-Z]/.test(key.slice(k.length - 3))));
+  return (body) => {
+    const out = {};
+    for (const [key, value] of Object.entries(body)) if (matches(key)) out[key] = value;
+    const tags = (out.meta?.tag || []).filter((t) => !(t.system === SUBSETTED.system && t.code === SUBSETTED.code));
+    out.meta = { ...out.meta, tag: [...tags, SUBSETTED] };
+    return out;
+  };
+}
 
-async function kickoff(ctx, { exportType, types, since, groupId }) {
+async function kickoff(ctx, { exportType, types, since, groupId, typeFilters = {}, elements = [] }) {
   return withTransaction(ctx, async (client) => {
     const r = await client.query(
       `INSERT INTO bulk_export_jobs
          (org_id, requested_by, requested_via_client,
           export_type, group_id, types_requested, since,
-          out_format, status, expires_at)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'queued', now() + interval '7 days')
+          out_format, status, type_filters, elements)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,'queued',$9,$10)
        RETURNING id, requested_at`,
       [
         ctx.orgId,
@@ -42,6 +163,8 @@ async function kickoff(ctx, { exportType, types, since, groupId }) {
         JSON.stringify(types || []),
         since || null,
         'application/fhir+ndjson',
+        JSON.stringify(typeFilters),
+        JSON.stringify(elements),
       ]
     );
     return r.rows[0];
@@ -52,8 +175,10 @@ async function status(ctx, jobId) {
   return withTransaction(ctx, async (client) => {
     const r = await client.query(
       `SELECT id, export_type, group_id, types_requested, since, status,
+              type_filters, elements, transaction_time,
               progress_percent, error_message, requested_at, started_at,
-              completed_at, expires_at
+              completed_at, expires_at, purged_at,
+              (expires_at IS NOT NULL AND expires_at <= now()) AS expired
        FROM bulk_export_jobs WHERE org_id = $1 AND id = $2`,
       [ctx.orgId, jobId]
     );
@@ -67,7 +192,8 @@ async function listFiles(ctx, jobId) {
       `SELECT id, resource_type, file_index, resource_count, byte_size
        FROM bulk_export_files
        WHERE job_id = (SELECT id FROM bulk_export_jobs
-                        WHERE org_id = $1 AND id = $2)
+                        WHERE org_id = $1 AND id = $2
+                          AND (expires_at IS NULL OR expires_at > now()))
        ORDER BY resource_type, file_index`,
       [ctx.orgId, jobId]
     );
@@ -75,18 +201,28 @@ async function listFiles(ctx, jobId) {
   });
 }
 
+/**
+ * A file of an unexpired job. `content` is as stored; `content_encoding`
+ * says whether it is gzip (see decodedContent).
+ */
 async function getFileContent(ctx, fileId) {
   return withTransaction(ctx, async (client) => {
     const r = await client.query(
-      `SELECT f.content, f.resource_type FROM bulk_export_files f
+      `SELECT f.content, f.content_encoding, f.resource_type FROM bulk_export_files f
        JOIN bulk_export_jobs j ON j.id = f.job_id
-       WHERE j.org_id = $1 AND f.id = $2`,
+       WHERE j.org_id = $1 AND f.id = $2
+         AND (j.expires_at IS NULL OR j.expires_at > now())`,
       [ctx.orgId, fileId]
     );
     return r.rows[0] || null;
   });
 }
 
+/** Plain NDJSON for a client that does not accept gzip. */
+function decodedContent(file) {
+  return file.content_encoding === 'gzip' ? zlib.gunzipSync(file.content) : file.content;
+}
+
 /**
  * Run the export. This is invoked synchronously by the kickoff route after
  * 202 has been sent; queued in a real deployment.
@@ -103,6 +239,19 @@ async function runJob(ctx, jobId) {
 
   try {
     await withTransaction(ctx, async (client) => {
+      // The watermark: rows stamped at or after it, including those of
+      // transactions still in flight, are left to the next export.
+      const tt = await client.query(
+        `UPDATE bulk_export_jobs
+            SET transaction_time = (
+              SELECT LEAST(now(), min(xact_start)) FROM pg_stat_activity
+               WHERE datname = current_database() AND pid <> pg_backend_pid() AND xact_start IS NOT NULL
+            )
+          WHERE id = $1 RETURNING transaction_time`,
+        [jobId]
+      );
+      const until = tt.rows[0]?.transaction_time || null;
+      const typeFilters = job.type_filters || {};
       const types = job.types_requested?.length
         ? job.types_requested
         : await defaultTypes(client, ctx);
@@ -147,7 +296,11 @@ async function runJob(ctx, jobId) {
         if (cancelCheck.rows[0]?.status === 'cancelled') {
           return; // stop work gracefully
         }
-        await exportType(client, ctx, jobId, type, { since: job.since, patientIds });
+        await exportType(client, ctx, jobId, type, {
+          since: job.since, until, patientIds,
+          filters: typeFilters[type] || null,
+          project: projector(type, job.elements || []),
+        });
         typesProcessed++;
         await client.query(
           `UPDATE bulk_export_jobs SET progress_percent = $1 WHERE id = $2`,
@@ -172,13 +325,24 @@ async function defaultTypes(client, ctx) {
   return r.rows.map(x => x.resource_type);
 }
 
-async function exportType(client, ctx, jobId, resourceType, { since, patientIds }) {
+async function exportType(client, ctx, jobId, resourceType, { since, until, patientIds, filters, project }) {
   const params = [ctx.orgId, resourceType];
   let where = `org_id = $1 AND resource_type = $2 AND deleted = FALSE`;
   if (since) {
     params.push(since);
     where += ` AND last_updated >= $${params.length}::timestamptz`;
   }
+  if (until) {
+    params.push(until);
+    where += ` AND last_updated < $${params.length}::timestamptz`;
+  }
+  if (filters) {
+    const alternatives = filters.map((query) => {
+      const clauses = search.compileFilters(resourceType, searchParamsOf(query), params, { strict: true });
+      return clauses.length ? `(${clauses.join(' AND ')})` : 'TRUE';
+    });
+    where += ` AND (${alternatives.join(' OR ')})`;
+  }
   if (patientIds && resourceType !== 'Patient') {
     // Compartment-accurate scoping: every FHIR R4 patient-compartment path for
     // this resource type, not just subject/patient. Types outside the patient
@@ -198,18 +362,19 @@ async function exportType(client, ctx, jobId, resourceType, { since, patientIds
     where += ` AND resource_id = ANY($${params.length}::text[])`;
   }
   const r = await client.query(
-    `SELECT body FROM fhir_resources WHERE ${where} ORDER BY last_updated`,
+    `SELECT body FROM fhir_resources r WHERE ${where} ORDER BY last_updated`,
     params
   );
   if (!r.rows.length) return;
   const ndjsonChunks = [];
-  for (const row of r.rows) ndjsonChunks.push(JSON.stringify(row.body));
-  const content = Buffer.from(ndjsonChunks.join('\n') + '\n', 'utf8');
+  for (const row of r.rows) ndjsonChunks.push(JSON.stringify(project ? project(row.body) : row.body));
+  // byte_size stays the NDJSON size; the stored copy is compressed.
+  const ndjson = Buffer.from(ndjsonChunks.join('\n') + '\n', 'utf8');
   await client.query(
     `INSERT INTO bulk_export_files
-       (job_id, resource_type, file_index, resource_count, byte_size, content)
-     VALUES ($1, $2, 0, $3, $4, $5)`,
-    [jobId, resourceType, r.rows.length, content.length, content]
+       (job_id, resource_type, file_index, resource_count, byte_size, content, content_encoding)
+     VALUES ($1, $2, 0, $3, $4, $5, 'gzip')`,
+    [jobId, resourceType, r.rows.length, ndjson.length, zlib.gzipSync(ndjson)]
   );
 }
 
@@ -228,9 +393,10 @@ async function markCompleted(ctx, jobId) {
   return withTransaction(ctx, async (client) => {
     await client.query(
       `UPDATE bulk_export_jobs
-         SET status='completed', progress_percent=100, completed_at = now()
+         SET status='completed', progress_percent=100, completed_at = now(),
+             expires_at = now() + make_interval(hours => $3)
        WHERE org_id = $1 AND id = $2`,
-      [ctx.orgId, jobId]
+      [ctx.orgId, jobId, retentionHours]
     );
   });
 }
@@ -259,4 +425,62 @@ async function cancel(ctx, jobId) {
   });
 }
 
-module.exports = { kickoff, status, listFiles, getFileContent, runJob, cancel };
+/**
+ * Remove the files of every expired export, organisation by organisation, and
+ * write each purge to the audit log. Expired $import jobs (see bulkImport.js)
+ * go with their uploads and issues. Deleted rows, and their TOASTed content,
+ * stay on disk until VACUUM (autovacuum, normally) reclaims them; a site that
+ * must erase exported PHI promptly runs VACUUM on these tables after a purge.
+ */
+async function purgeExpired() {
+  // The job tables are under FORCE RLS, so expired jobs are only visible
+  // from inside each organisation's context.
+  const orgs = await getPool().query(`SELECT id FROM organizations ORDER BY id`);
+  let files = 0;
+  for (const { id: orgId } of orgs.rows) {
+    files += await withTransaction({ orgId }, async (client) => {
+      const jobs = await client.query(
+        `UPDATE bulk_export_jobs SET purged_at = now()
+          WHERE org_id = $1 AND purged_at IS NULL AND expires_at <= now()
+          RETURNING id`,
+        [orgId]
+      );
+      const jobIds = jobs.rows.map((j) => j.id);
+      let purged = 0;
+      if (jobIds.length) {
+        const del = await client.query(
+          `DELETE FROM bulk_export_files WHERE job_id = ANY($1::uuid[]) RETURNING id`,
+          [jobIds]
+        );
+        purged = del.rows.length;
+        await audit.record(client, { orgId }, {
+          action: 'bulk_export.purged',
+          entityType: 'bulk_export_job',
+          details: { jobs: jobIds, files: purged },
+        });
+      }
+      await client.query(
+        `DELETE FROM bulk_import_jobs WHERE org_id = $1 AND expires_at <= now()`,
+        [orgId]
+      );
+      return purged;
+    });
+  }
+  return { files };
+}
+
+let purgeTimer = null;
+
+function startPurger(intervalMs, logger) {
+  if (purgeTimer) return purgeTimer;
+  purgeTimer = setInterval(() => {
+    purgeExpired().catch((err) => logger?.error?.({ err: err.message }, 'bulk export purge failed'));
+  }, intervalMs);
+  purgeTimer.unref();
+  return purgeTimer;
+}
+
+module.exports = {
+  configure, parseTypeFilters, parseElements, projector, kickoff, status, listFiles,
+  getFileContent, decodedContent, runJob, cancel, purgeExpired, startPurger, SUBSETTED,
+};
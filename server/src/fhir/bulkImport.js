@@ -0,0 +1,394 @@
+'use strict';
+
+/**
+ * FHIR Bulk Data $import (inbound NDJSON), the counterpart of bulkData.js.
+ *
+ *   1. Client kicks off:  POST /fhir/$import
+ *        - Content-Type application/fhir+ndjson: the body is one input, or
+ *        - a Parameters resource whose `input` parts name files under
+ *          BULK_IMPORT_DIR (`url`, optionally `type`).
+ *      Returns 202 with Content-Location pointing at the poll URL.
+ *
+ *   2. Client polls:      GET <Content-Location>
+ *      202 with X-Progress while running; 200 with a manifest listing the
+ *      resources imported per input and the error file once complete.
+ *
+ *   3. Client downloads:  GET <manifest.error[0].url>
+ *      NDJSON of OperationOutcome, one per rejected or duplicate line.
+ *
+ * Each line goes through the same path as a FHIR create: the structural
+ * hook, opt-in profile enforcement, storage.create() (tenant RLS and the
+ * SMART compartment) and postCreate. A line whose identifier (or id) is
+ * already on file is skipped as a duplicate rather than written again, so a
+ * migration can be re-run after fixing its failures. Lines are committed in
+ * batches; one bad line never rolls back another. Imported resources do not
+ * trigger Subscription notifications.
+ *
+ * Inputs are processed one at a time and read line by line, so a staged file
+ * of tens of thousands of resources is never held in memory whole; an upload,
+ * which arrived as one request body, is loaded only when its turn comes. A
+ * first pass over the inputs counts their lines for progress reporting.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { withTransaction } = require('../db/pool');
+const storage = require('./storage');
+const resources = require('./resources');
+const validator = require('./validator');
+const { errors } = require('../util/errors');
+
+/** Lines committed per transaction. */
+const BATCH_LINES = 250;
+
+/**
+ * Resolve an `input.url` to a file inside `importDir`. Accepts a path
+ * relative to the directory or a file: URL; anything outside it is refused.
+ */
+function resolveInputPath(importDir, url) {
+  if (!importDir) throw errors.badRequest('Importing from a path requires BULK_IMPORT_DIR to be configured');
+  let rel = String(url || '');
+  if (/^file:/i.test(rel)) {
+    try { rel = decodeURIComponent(new URL(rel).pathname); } catch { throw errors.badRequest(`Invalid input url ${url}`); }
+  } else if (/^[a-z][a-z0-9+.-]*:/i.test(rel)) {
+    throw errors.badRequest('Only uploaded NDJSON or files under BULK_IMPORT_DIR can be imported');
+  }
+  const root = path.resolve(importDir);
+  const full = path.resolve(root, rel);
+  if (!full.startsWith(root + path.sep)) {
+    throw errors.badRequest(`Input ${url} is outside BULK_IMPORT_DIR`);
+  }
+  return path.relative(root, full);
+}
+
+/** Inputs named by a Parameters body: [{ type, path }]. */
+function parseParameters(body, { importDir }) {
+  if (body?.resourceType !== 'Parameters') {
+    throw errors.badRequest('$import expects application/fhir+ndjson or a Parameters resource');
+  }
+  const inputs = (body.parameter || []).filter((p) => p.name === 'input').map((p) => {
+    const part = (name) => (p.part || []).find((x) => x.name === name);
+    const type = part('type')?.valueCode || null;
+    const url = part('url')?.valueUrl ?? part('url')?.valueUri ?? part('url')?.valueString;
+    if (!url) throw errors.badRequest('Each input needs a url');
+    if (type && !resources[type]) throw errors.badRequest(`Unsupported resourceType ${type}`);
+    return { type, path: resolveInputPath(importDir, url) };
+  });
+  if (inputs.length === 0) throw errors.badRequest('$import needs at least one input');
+  return inputs;
+}
+
+/**
+ * Record a job and its inputs. Each input is `{ type?, content }` for an
+ * upload or `{ type?, path }` for a file under BULK_IMPORT_DIR.
+ */
+async function kickoff(ctx, inputs) {
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `INSERT INTO bulk_import_jobs
+         (org_id, requested_by, requested_via_client, status, expires_at)
+       VALUES ($1,$2,$3,'queued', now() + interval '7 days')
+       RETURNING id, requested_at`,
+      [ctx.orgId, ctx.userId || null, ctx.smart?.clientId || null]
+    );
+    const job = r.rows[0];
+    for (const [i, input] of inputs.entries()) {
+      await client.query(
+        `INSERT INTO bulk_import_inputs (job_id, input_index, resource_type, source, path, content)
+         VALUES ($1,$2,$3,$4,$5,$6)`,
+        [job.id, i, input.type || null, input.content ? 'upload' : 'file', input.path || null, input.content || null]
+      );
+    }
+    return job;
+  });
+}
+
+async function status(ctx, jobId) {
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `SELECT id, status, progress_percent, total_lines, lines_processed, error_message,
+              requested_at, started_at, completed_at, expires_at
+       FROM bulk_import_jobs WHERE org_id = $1 AND id = $2`,
+      [ctx.orgId, jobId]
+    );
+    return r.rows[0] || null;
+  });
+}
+
+async function listInputs(ctx, jobId) {
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `SELECT input_index, resource_type, source, path, imported_count, duplicate_count, error_count
+       FROM bulk_import_inputs
+       WHERE job_id = (SELECT id FROM bulk_import_jobs WHERE org_id = $1 AND id = $2)
+       ORDER BY input_index`,
+      [ctx.orgId, jobId]
+    );
+    return r.rows;
+  });
+}
+
+/** The job's issues as NDJSON, or null for an unknown job. */
+async function issuesNdjson(ctx, jobId) {
+  return withTransaction(ctx, async (client) => {
+    const job = await client.query(
+      `SELECT id FROM bulk_import_jobs WHERE org_id = $1 AND id = $2`,
+      [ctx.orgId, jobId]
+    );
+    if (!job.rows[0]) return null;
+    const r = await client.query(
+      `SELECT outcome FROM bulk_import_issues WHERE job_id = $1
+       ORDER BY input_index, line_number`,
+      [jobId]
+    );
+    return r.rows.map((row) => JSON.stringify(row.outcome)).join('\n') + (r.rows.length ? '\n' : '');
+  });
+}
+
+function lineOutcome(severity, code, inputIndex, lineNumber, diagnostics) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: [{
+      severity,
+      code,
+      diagnostics: `input ${inputIndex} line ${lineNumber}: ${diagnostics}`,
+      location: [`input[${inputIndex}].line[${lineNumber}]`],
+    }],
+  };
+}
+
+const ISSUE_CODES = { 400: 'invalid', 403: 'forbidden', 404: 'not-found', 409: 'conflict', 412: 'conflict', 422: 'invalid' };
+
+/**
+ * A resource already on file with the same id or any shared identifier, in
+ * the same tenant. Identifiers are compared by system and value.
+ */
+async function findDuplicate(client, ctx, type, resource) {
+  if (resource.id) {
+    const row = await storage.read(client, ctx, type, resource.id);
+    if (row && !row.deleted) return `${type}/${resource.id} already exists`;
+  }
+  const identifiers = (resource.identifier || [])
+    .filter((i) => i && i.system && i.value)
+    .map((i) => JSON.stringify([{ system: i.system, value: i.value }]));
+  if (identifiers.length === 0) return null;
+  const r = await client.query(
+    `SELECT resource_id FROM fhir_resources
+     WHERE org_id = $1 AND resource_type = $2 AND deleted = FALSE
+       AND body->'identifier' @> ANY ($3::jsonb[])
+     LIMIT 1`,
+    [ctx.orgId, type, identifiers]
+  );
+  return r.rows[0] ? `identifier already on file as ${type}/${r.rows[0].resource_id}` : null;
+}
+
+/**
+ * Import one NDJSON line. Returns 'imported' or 'duplicate'; throws an
+ * HttpError for a line that cannot be imported.
+ */
+async function importLine(client, text, { expectedType, contextFor }) {
+  let resource;
+  try { resource = JSON.parse(text); } catch { throw errors.badRequest('line is not valid JSON'); }
+  const type = resource?.resourceType;
+  if (!type || !resources[type]) throw errors.badRequest(`Unsupported resourceType ${type}`);
+  if (expectedType && type !== expectedType) {
+    throw errors.badRequest(`input declares ${expectedType} but the line is a ${type}`);
+  }
+  const ctx = contextFor(type);
+  if (!ctx) throw errors.forbidden(`Not permitted to create ${type}`);
+  const duplicate = await findDuplicate(client, ctx, type, resource);
+  if (duplicate) return { result: 'duplicate', detail: duplicate };
+  const handler = resources[type];
+  handler.validate(resource);
+  await validator.enforce(client, ctx, type, resource);
+  const row = await storage.create(client, ctx, type, resource);
+  if (handler.postCreate) await handler.postCreate(client, ctx, row.body);
+  return { result: 'imported' };
+}
+
+/**
+ * A readable stream of one input. Files stream from BULK_IMPORT_DIR; an
+ * upload is read from its row only when its turn comes.
+ */
+async function openInput(ctx, jobId, input, importDir) {
+  if (input.source === 'upload') {
+    const content = await withTransaction(ctx, async (client) => (await client.query(
+      `SELECT content FROM bulk_import_inputs WHERE job_id = $1 AND input_index = $2`,
+      [jobId, input.input_index]
+    )).rows[0]?.content);
+    return Readable.from([Buffer.from(content || '')]);
+  }
+  return fs.createReadStream(path.join(path.resolve(importDir), input.path));
+}
+
+/** Yields `{ text, lineNumber }` for each line of a stream, CRLF or LF. */
+async function* readLines(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+  try {
+    for await (const text of lines) {
+      lineNumber += 1;
+      yield { text, lineNumber };
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+async function countLines(ctx, jobId, inputs, importDir) {
+  let total = 0;
+  for (const input of inputs) {
+    for await (const { text } of readLines(await openInput(ctx, jobId, input, importDir))) {
+      if (text.trim()) total += 1;
+    }
+  }
+  return total;
+}
+
+/**
+ * Run the import. Invoked by the kickoff route after 202 has been sent.
+ * `contextFor(type)` returns the storage context allowed to create that type
+ * (see accessContext in src/middleware/auth.js), or null.
+ */
+async function runJob(ctx, jobId, { contextFor = () => ctx, importDir = '', logger } = {}) {
+  const job = await status(ctx, jobId);
+  if (!job || job.status !== 'queued') return;
+  await markRunning(ctx, jobId);
+
+  try {
+    const inputs = await withTransaction(ctx, async (client) => (await client.query(
+      `SELECT input_index, resource_type, source, path FROM bulk_import_inputs
+       WHERE job_id = $1 ORDER BY input_index`,
+      [jobId]
+    )).rows);
+
+    const total = await countLines(ctx, jobId, inputs, importDir);
+    await withTransaction(ctx, (client) => client.query(
+      `UPDATE bulk_import_jobs SET total_lines = $2 WHERE id = $1`, [jobId, total]));
+
+    let processed = 0;
+    // Commits one batch of lines; returns true once the job has been cancelled.
+    const importBatch = (input, batch) => withTransaction(ctx, async (client) => {
+      const c = await client.query(`SELECT status FROM bulk_import_jobs WHERE id = $1`, [jobId]);
+      if (c.rows[0]?.status === 'cancelled') return true;
+
+      const counts = { imported: 0, duplicate: 0, error: 0 };
+      for (const { text, lineNumber } of batch) {
+        if (!text.trim()) continue;
+        await client.query('SAVEPOINT bulk_import_line');
+        try {
+          const { result, detail } = await importLine(client, text, {
+            expectedType: input.resource_type, contextFor,
+          });
+          await client.query('RELEASE SAVEPOINT bulk_import_line');
+          counts[result] += 1;
+          if (result === 'duplicate') {
+            await recordIssue(client, jobId, input.input_index, lineNumber, 'information',
+              lineOutcome('information', 'duplicate', input.input_index, lineNumber, detail));
+          }
+        } catch (err) {
+          await client.query('ROLLBACK TO SAVEPOINT bulk_import_line');
+          counts.error += 1;
+          const status = err.status || err.statusCode;
+          const known = status && status < 500;
+          if (!known) logger?.error?.({ err, jobId, line: lineNumber }, 'bulk import line failed');
+          const code = known ? ISSUE_CODES[status] || 'processing' : 'exception';
+          const outcome = lineOutcome('error', code, input.input_index, lineNumber,
+            known ? err.message : 'internal error');
+          // Profile failures carry the validator's own issues; keep them.
+          if (known && Array.isArray(err.details)) outcome.issue.push(...err.details);
+          await recordIssue(client, jobId, input.input_index, lineNumber, 'error', outcome);
+        }
+        processed += 1;
+      }
+      await client.query(
+        `UPDATE bulk_import_inputs
+            SET imported_count = imported_count + $3, duplicate_count = duplicate_count + $4,
+                error_count = error_count + $5
+          WHERE job_id = $1 AND input_index = $2`,
+        [jobId, input.input_index, counts.imported, counts.duplicate, counts.error]
+      );
+      await client.query(
+        `UPDATE bulk_import_jobs SET lines_processed = $2, progress_percent = $3 WHERE id = $1`,
+        [jobId, processed, total ? Math.floor((processed / total) * 100) : 100]
+      );
+      return false;
+    });
+
+    for (const input of inputs) {
+      let batch = [];
+      for await (const line of readLines(await openInput(ctx, jobId, input, importDir))) {
+        batch.push(line);
+        if (batch.length < BATCH_LINES) continue;
+        if (await importBatch(input, batch)) return;
+        batch = [];
+      }
+      if (batch.length && await importBatch(input, batch)) return;
+    }
+    await markCompleted(ctx, jobId);
+  } catch (e) {
+    await markFailed(ctx, jobId, e.message);
+    throw e;
+  }
+}
+
+async function recordIssue(client, jobId, inputIndex, lineNumber, severity, outcome) {
+  await client.query(
+    `INSERT INTO bulk_import_issues (job_id, input_index, line_number, severity, outcome)
+     VALUES ($1,$2,$3,$4,$5)`,
+    [jobId, inputIndex, lineNumber, severity, JSON.stringify(outcome)]
+  );
+}
+
+async function markRunning(ctx, jobId) {
+  return withTransaction(ctx, async (client) => {
+    await client.query(
+      `UPDATE bulk_import_jobs
+         SET status='in-progress', started_at = now()
+       WHERE org_id = $1 AND id = $2 AND status='queued'`,
+      [ctx.orgId, jobId]
+    );
+  });
+}
+
+async function markCompleted(ctx, jobId) {
+  return withTransaction(ctx, async (client) => {
+    await client.query(
+      `UPDATE bulk_import_jobs
+         SET status='completed', progress_percent=100, completed_at = now()
+       WHERE org_id = $1 AND id = $2 AND status = 'in-progress'`,
+      [ctx.orgId, jobId]
+    );
+  });
+}
+
+async function markFailed(ctx, jobId, message) {
+  return withTransaction(ctx, async (client) => {
+    await client.query(
+      `UPDATE bulk_import_jobs
+         SET status='failed', error_message=$3, completed_at = now()
+       WHERE org_id = $1 AND id = $2`,
+      [ctx.orgId, jobId, message]
+    );
+  });
+}
+
+async function cancel(ctx, jobId) {
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `UPDATE bulk_import_jobs
+         SET status='cancelled', completed_at = now()
+       WHERE org_id = $1 AND id = $2 AND status IN ('queued','in-progress')
+       RETURNING id`,
+      [ctx.orgId, jobId]
+    );
+    return r.rows[0] || null;
+  });
+}
+
+module.exports = {
+  parseParameters, resolveInputPath, kickoff, status, listInputs, issuesNdjson, runJob, cancel, BATCH_LINES,
+};
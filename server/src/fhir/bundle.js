@@ -1,16 +1,100 @@
 'use strict';
 
-function searchset({ baseUrl, type, rows }) {
+/**
+ * Searchset Bundle. `rows` are the matches and `included` the resources
+ * pulled in by _include/_revinclude; `total` is omitted when the caller asked
+ * for `_total=none`.
+ */
+function searchset({ baseUrl, type, rows, included = [], total, link }) {
+  const entry = (row, mode) => ({
+    fullUrl: `${baseUrl}/${row.body.resourceType || type}/${row.body.id}`,
+    resource: row.body,
+    search: { mode },
+  });
   return {
     resourceType: 'Bundle',
     type: 'searchset',
-    total: rows.length,
-    link: [{ relation: 'self', url: `${baseUrl}/${type}` }],
-    entry: rows.map((row) => ({
-      fullUrl: `${baseUrl}/${type}/${row.body.id}`,
-      resource: row.body,
-      search: { mode: 'match' },
-    })),
+    total,
+    link: link || [{ relation: 'self', url: `${baseUrl}/${type}` }],
+    entry: [
+      ...rows.map((row) => entry(row, 'match')),
+      ...included.map((row) => entry(row, 'include')),
+    ],
+  };
+}
+
+/**
+ * Links for a cursor-paged search: `self` repeats the request as made and
+ * `next`, present only when there is another page, swaps in its cursor.
+ */
+function searchLinks({ url, params = {}, nextCursor }) {
+  const at = (cursor) => {
+    const q = new URLSearchParams();
+    for (const [k, v] of Object.entries(params)) {
+      if (k === '_cursor' || v === undefined) continue;
+      for (const item of Array.isArray(v) ? v : [v]) q.append(k, item);
+    }
+    if (cursor) q.set('_cursor', cursor);
+    const qs = q.toString();
+    return qs ? `${url}?${qs}` : url;
+  };
+  const links = [{ relation: 'self', url: at(params._cursor) }];
+  if (nextCursor) links.push({ relation: 'next', url: at(nextCursor) });
+  return links;
+}
+
+const HISTORY_REQUEST = {
+  create: { method: 'POST', status: '201 Created' },
+  update: { method: 'PUT', status: '200 OK' },
+  delete: { method: 'DELETE', status: '410 Gone' },
+};
+
+/**
+ * Paging links for an offset-paged result. `url` is the absolute request URL
+ * without a query string; `params` are the caller's query parameters, which
+ * are carried forward so every page repeats the same interaction.
+ */
+function pageLinks({ url, params = {}, total, count, offset }) {
+  const at = (o) => {
+    const q = new URLSearchParams();
+    for (const [k, v] of Object.entries(params)) {
+      if (k !== '_offset' && k !== '_count' && v !== undefined) q.set(k, v);
+    }
+    q.set('_count', String(count));
+    if (o > 0) q.set('_offset', String(o));
+    return `${url}?${q.toString()}`;
+  };
+  const links = [{ relation: 'self', url: at(offset) }];
+  if (offset + count < total) links.push({ relation: 'next', url: at(offset + count) });
+  if (offset > 0) links.push({ relation: 'previous', url: at(Math.max(offset - count, 0)) });
+  return links;
+}
+
+/**
+ * History Bundle for the instance, type and system _history interactions.
+ * Deleted versions carry no resource, only the request/response pair that
+ * records the delete.
+ */
+function history({ baseUrl, page, link }) {
+  return {
+    resourceType: 'Bundle',
+    type: 'history',
+    total: page.total,
+    link,
+    entry: page.rows.map((row) => {
+      const { method, status } = HISTORY_REQUEST[row.operation] || HISTORY_REQUEST.update;
+      const path = `${row.resource_type}/${row.resource_id}`;
+      return {
+        fullUrl: `${baseUrl}/${path}`,
+        resource: row.deleted ? undefined : row.body,
+        request: { method, url: method === 'POST' ? row.resource_type : path },
+        response: {
+          status,
+          etag: `W/"${row.version_id}"`,
+          lastModified: new Date(row.last_updated).toISOString(),
+        },
+      };
+    }),
   };
 }
 
@@ -21,4 +105,4 @@ function operationOutcome({ severity = 'error', code = 'processing', diagnostics
   };
 }
 
-module.exports = { searchset, operationOutcome };
+module.exports = { searchset, searchLinks, history, pageLinks, operationOutcome };
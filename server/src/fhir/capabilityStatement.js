@@ -7,11 +7,15 @@
  * and is aligned with USCDI v3 data classes.
  *
  * Includes the SMART on FHIR security extension (oauth-uris) and the
- * Bulk Data Access $export operation declarations so EHR clients can
- * discover us automatically.
+ * Bulk Data Access $export and $import operation declarations so EHR
+ * clients can discover us automatically. Subscription advertises the Subscriptions R5
+ * Backport operations and the SubscriptionTopic canonicals it accepts.
  */
 
 const { listSupported: listHl7Types } = require('../hl7/messageTypes');
+const searchParams = require('./searchParams');
+const profiles = require('./profiles');
+const topics = require('./subscriptionTopics');
 
 function build({ baseUrl, requireAuth, smartIssuer, includeOperations = true }) {
   const security = requireAuth
@@ -58,11 +62,13 @@ function build({ baseUrl, requireAuth, smartIssuer, includeOperations = true })
         interaction: [
           { code: 'transaction' },
           { code: 'search-system' },
+          { code: 'history-system' },
         ],
         operation: includeOperations ? [
           { name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/export' },
           { name: 'patient-export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/patient-export' },
           { name: 'group-export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/group-export' },
+          { name: 'import', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/import' },
         ] : undefined,
       },
     ],
@@ -79,48 +85,61 @@ function build({ baseUrl, requireAuth, smartIssuer, includeOperations = true })
 }
 
 const ALL_RESOURCES = [
-  ['Patient',             ['read','vread','search-type','create','update']],
-  ['Observation',         ['read','search-type','create','update']],
-  ['Encounter',           ['read','search-type','create','update']],
-  ['MedicationRequest',   ['read','search-type','create','update']],
-  ['AllergyIntolerance',  ['read','search-type','create']],
-  ['CarePlan',            ['read','search-type','create','update']],
-  ['CareTeam',            ['read','search-type','create','update']],
-  ['Condition',           ['read','search-type','create','update']],
-  ['Coverage',            ['read','search-type','create','update']],
-  ['Device',              ['read','search-type','create','update']],
-  ['DiagnosticReport',    ['read','search-type','create','update']],
-  ['DocumentReference',   ['read','search-type','create','update']],
-  ['Goal',                ['read','search-type','create','update']],
-  ['Immunization',        ['read','search-type','create','update']],
-  ['Location',            ['read','search-type','create','update']],
-  ['Medication',          ['read','search-type','create','update']],
-  ['MedicationDispense',  ['read','search-type','create','update']],
-  ['MedicationStatement', ['read','search-type','create','update']],
-  ['Organization',        ['read','search-type','create','update']],
-  ['Practitioner',        ['read','search-type','create','update']],
-  ['PractitionerRole',    ['read','search-type','create','update']],
-  ['Procedure',           ['read','search-type','create','update']],
-  ['Provenance',          ['read','search-type','create','update']],
-  ['RelatedPerson',       ['read','search-type','create','update']],
-  ['ServiceRequest',      ['read','search-type','create','update']],
-  ['Specimen',            ['read','search-type','create','update']],
-  ['Group',               ['read','search-type','create','update']],
-  ['Subscription',        ['read','search-type','create','update']],
+  ['Patient',             ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Observation',         ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Encounter',           ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['MedicationRequest',   ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['AllergyIntolerance',  ['read','vread','search-type','create','history-instance','history-type']],
+  ['CarePlan',            ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['CareTeam',            ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Condition',           ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Coverage',            ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Device',              ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['DiagnosticReport',    ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['DocumentReference',   ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Goal',                ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Immunization',        ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Location',            ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Medication',          ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['MedicationDispense',  ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['MedicationStatement', ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Organization',        ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Practitioner',        ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['PractitionerRole',    ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Procedure',           ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Provenance',          ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['RelatedPerson',       ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['ServiceRequest',      ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Specimen',            ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Group',               ['read','vread','search-type','create','update','history-instance','history-type']],
+  ['Subscription',        ['read','vread','search-type','create','update','history-instance','history-type']],
 ];
 
+/** Subscriptions R5 Backport: the topics a Subscription may name in criteria. */
+function topicExtensions(type) {
+  if (type !== 'Subscription') return undefined;
+  return topics.list().map((t) => ({
+    url: 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/capabilitystatement-subscriptiontopic-canonical',
+    valueCanonical: t.url,
+  }));
+}
+
 function resourceEntry([type, interactions]) {
   return {
+    extension: topicExtensions(type),
     type,
     profile: profileFor(type),
     interaction: interactions.map(code => ({ code })),
     versioning: 'versioned',
-    readHistory: false,
+    readHistory: true,
     updateCreate: true,
     conditionalCreate: false,
     conditionalRead: 'not-supported',
     conditionalUpdate: false,
     conditionalDelete: 'not-supported',
+    supportedProfile: profiles.profilesFor(type).length ? profiles.profilesFor(type) : undefined,
+    searchInclude: searchParams.includesFor(type),
+    searchRevInclude: searchParams.revIncludesFor(type),
     searchParam: searchParamsFor(type),
     operation: opsFor(type),
   };
@@ -141,166 +160,39 @@ function profileFor(type) {
   return `http://hl7.org/fhir/StructureDefinition/${type}`;
 }
 
+const BACKPORT_OPS = 'http://hl7.org/fhir/uv/subscriptions-backport/OperationDefinition';
+
+const VALIDATE = { name: 'validate', definition: 'http://hl7.org/fhir/OperationDefinition/Resource-validate' };
+
 function opsFor(type) {
   if (type === 'Patient') return [
     { name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/patient-export' },
+    { name: 'everything', definition: 'http://hl7.org/fhir/OperationDefinition/Patient-everything' },
+    VALIDATE,
   ];
   if (type === 'Group') return [
     { name: 'export', definition: 'http://hl7.org/fhir/uv/bulkdata/OperationDefinition/group-export' },
+    VALIDATE,
+  ];
+  if (type === 'Subscription') return [
+    { name: 'status', definition: `${BACKPORT_OPS}/backport-subscription-status` },
+    { name: 'events', definition: `${BACKPORT_OPS}/backport-subscription-events` },
+    { name: 'get-ws-binding-token', definition: `${BACKPORT_OPS}/backport-subscription-get-ws-binding-token` },
+    VALIDATE,
   ];
-  return undefined;
+  return [VALIDATE];
 }
 
+/**
+ * Advertised search parameters come straight from the registry the search
+ * compiler uses, so /metadata lists exactly what a search will honour.
+ */
 function searchParamsFor(type) {
-  const common = [
-    { name: '_id', type: 'token' },
-    { name: '_lastUpdated', type: 'date' },
-    { name: '_count', type: 'number' },
-  ];
-  switch (type) {
-    case 'Patient':
-      return common.concat([
-        { name: 'identifier', type: 'token' },
-        { name: 'name', type: 'string' },
-        { name: 'family', type: 'string' },
-        { name: 'given', type: 'string' },
-        { name: 'birthdate', type: 'date' },
-        { name: 'gender', type: 'token' },
-      ]);
-    case 'Observation':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'subject', type: 'reference' },
-        { name: 'code', type: 'token' },
-        { name: 'category', type: 'token' },
-        { name: 'date', type: 'date' },
-        { name: 'status', type: 'token' },
-      ]);
-    case 'Encounter':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'subject', type: 'reference' },
-        { name: 'date', type: 'date' },
-        { name: 'status', type: 'token' },
-        { name: 'class', type: 'token' },
-      ]);
-    case 'MedicationRequest':
-    case 'MedicationDispense':
-    case 'MedicationStatement':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'subject', type: 'reference' },
-        { name: 'status', type: 'token' },
-        { name: 'medication', type: 'reference' },
-      ]);
-    case 'AllergyIntolerance':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'clinical-status', type: 'token' },
-        { name: 'verification-status', type: 'token' },
-      ]);
-    case 'CarePlan':
-    case 'CareTeam':
-    case 'Goal':
-    case 'ServiceRequest':
-    case 'Procedure':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'subject', type: 'reference' },
-        { name: 'status', type: 'token' },
-      ]);
-    case 'Condition':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'subject', type: 'reference' },
-        { name: 'category', type: 'token' },
-        { name: 'clinical-status', type: 'token' },
-        { name: 'verification-status', type: 'token' },
-        { name: 'code', type: 'token' },
-      ]);
-    case 'Coverage':
-      return common.concat([
-        { name: 'beneficiary', type: 'reference' },
-        { name: 'patient', type: 'reference' },
-        { name: 'status', type: 'token' },
-        { name: 'payor', type: 'reference' },
-      ]);
-    case 'DiagnosticReport':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'subject', type: 'reference' },
-        { name: 'category', type: 'token' },
-        { name: 'code', type: 'token' },
-        { name: 'date', type: 'date' },
-        { name: 'status', type: 'token' },
-      ]);
-    case 'DocumentReference':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'subject', type: 'reference' },
-        { name: 'type', type: 'token' },
-        { name: 'category', type: 'token' },
-        { name: 'status', type: 'token' },
-        { name: 'period', type: 'date' },
-      ]);
-    case 'Device':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'identifier', type: 'token' },
-        { name: 'type', type: 'token' },
-      ]);
-    case 'Immunization':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'date', type: 'date' },
-        { name: 'status', type: 'token' },
-        { name: 'vaccine-code', type: 'token' },
-      ]);
-    case 'Location':
-    case 'Organization':
-      return common.concat([
-        { name: 'name', type: 'string' },
-        { name: 'identifier', type: 'token' },
-      ]);
-    case 'Practitioner':
-    case 'PractitionerRole':
-      return common.concat([
-        { name: 'identifier', type: 'token' },
-        { name: 'name', type: 'string' },
-      ]);
-    case 'Provenance':
-      return common.concat([
-        { name: 'target', type: 'reference' },
-        { name: 'recorded', type: 'date' },
-        { name: 'agent', type: 'reference' },
-      ]);
-    case 'RelatedPerson':
-      return common.concat([
-        { name: 'patient', type: 'reference' },
-        { name: 'identifier', type: 'token' },
-      ]);
-    case 'Specimen':
-      return common.concat([
-        { name: 'subject', type: 'reference' },
-        { name: 'patient', type: 'reference' },
-        { name: 'type', type: 'token' },
-        { name: 'status', type: 'token' },
-      ]);
-    case 'Subscription':
-      return common.concat([
-        { name: 'status', type: 'token' },
-        { name: 'criteria', type: 'string' },
-        { name: 'type', type: 'token' },
-      ]);
-    case 'Group':
-      return common.concat([
-        { name: 'identifier', type: 'token' },
-        { name: 'type', type: 'token' },
-        { name: 'actual', type: 'token' },
-      ]);
-    default:
-      return common;
-  }
+  const filters = Object.entries(searchParams.definitionsFor(type))
+    .map(([name, def]) => ({ name, type: def.type }));
+  const result = Object.entries(searchParams.RESULT_PARAMS)
+    .map(([name, def]) => ({ name, type: def.type }));
+  return filters.concat(result);
 }
 
 module.exports = { build, ALL_RESOURCES };
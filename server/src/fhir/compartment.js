@@ -162,4 +162,6 @@ module.exports = {
   resourceBelongsToPatient,
   searchPredicate,
   referenceForms,
+  collectAtPath,
+  parseJsonPath,
 };
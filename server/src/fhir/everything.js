@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * Patient/{id}/$everything — synchronous retrieval of one patient's record.
+ *
+ * Chart review and SMART apps want the whole compartment in one paged
+ * searchset rather than a $export job to poll. The set of resources is the
+ * FHIR R4 patient compartment exactly as src/fhir/compartment.js defines it,
+ * using the same SQL predicate that confines patient-scoped search, so
+ * $everything can never return something a compartment search would not.
+ *
+ * Supported parameters:
+ *   _since   only resources last updated at or after this instant
+ *   _type    comma-separated subset of compartment resource types
+ *   _count   page size (default 50, max 200), paged onward with _offset
+ *
+ * Each resource type is read under the context `contextFor(type)` returns, so
+ * a SMART token only receives the types its scopes allow; a type the caller
+ * may not read is silently left out, as the operation definition permits.
+ */
+
+const compartment = require('./compartment');
+const { errors } = require('../util/errors');
+const audit = require('../services/auditService');
+
+const DEFAULT_COUNT = 50;
+const MAX_COUNT = 200;
+
+/** Every resource type in the patient compartment, Patient first. */
+function compartmentTypes() {
+  return Object.keys(compartment.PATIENT_COMPARTMENT_PATHS);
+}
+
+function parseOptions(query = {}) {
+  const since = query._since || null;
+  if (since && Number.isNaN(Date.parse(since))) {
+    throw errors.badRequest('_since must be a FHIR instant');
+  }
+  let types = compartmentTypes();
+  if (query._type) {
+    const requested = String(query._type).split(',').map((s) => s.trim()).filter(Boolean);
+    const unknown = requested.filter((t) => !compartment.isPatientCompartmentType(t));
+    if (unknown.length) {
+      throw errors.badRequest(`_type ${unknown.join(', ')} is not in the patient compartment`);
+    }
+    types = requested;
+  }
+  const count = Math.min(parseInt(query._count, 10) || DEFAULT_COUNT, MAX_COUNT);
+  const offset = Math.max(parseInt(query._offset, 10) || 0, 0);
+  return { since, types, count, offset };
+}
+
+/**
+ * One page of the patient's compartment. Returns null when the patient does
+ * not exist or lies outside the caller's own compartment (rendered as 404).
+ * The access is audited as `patient.everything` against the patient.
+ */
+async function everything(client, ctx, patientId, query = {}, { contextFor } = {}) {
+  const opts = parseOptions(query);
+  const scopeFor = (t) => (contextFor ? contextFor(t) : ctx);
+
+  const patient = await client.query(
+    `SELECT body FROM fhir_resources
+     WHERE org_id = $1 AND resource_type = 'Patient' AND resource_id = $2 AND deleted = FALSE`,
+    [ctx.orgId, patientId]
+  );
+  const patientCtx = scopeFor('Patient');
+  const own = patientCtx?.compartment?.patient;
+  if (!patient.rows[0] || !patientCtx || (own && String(own) !== String(patientId))) return null;
+
+  const vals = [ctx.orgId];
+  const perType = [];
+  const included = [];
+  for (const type of opts.types) {
+    const tctx = scopeFor(type);
+    if (!tctx) continue;
+    // A patient-level grant for some other patient can never reach this one.
+    const tOwn = tctx.compartment?.patient;
+    if (tOwn && String(tOwn) !== String(patientId)) continue;
+    vals.push(type);
+    const typeParam = `$${vals.length}`;
+    const pred = compartment.searchPredicate(type, patientId, vals.length + 1);
+    vals.push(...pred.values);
+    perType.push(`(resource_type = ${typeParam} AND ${pred.sql})`);
+    included.push(type);
+  }
+  const page = { total: 0, rows: [], count: opts.count, offset: opts.offset, types: included };
+  if (perType.length > 0) {
+    const where = [`org_id = $1`, 'deleted = FALSE', `(${perType.join(' OR ')})`];
+    if (opts.since) {
+      vals.push(opts.since);
+      where.push(`last_updated >= $${vals.length}::timestamptz`);
+    }
+    const whereSql = where.join(' AND ');
+    const counted = await client.query(
+      `SELECT count(*)::int AS total FROM fhir_resources WHERE ${whereSql}`,
+      vals
+    );
+    page.total = counted.rows[0]?.total || 0;
+    const r = await client.query(
+      `SELECT body, version_id, last_updated FROM fhir_resources
+       WHERE ${whereSql}
+       ORDER BY (resource_type = 'Patient') DESC, resource_type, last_updated DESC, resource_id
+       LIMIT $${vals.length + 1} OFFSET $${vals.length + 2}`,
+      [...vals, opts.count, opts.offset]
+    );
+    page.rows = r.rows;
+  }
+
+  await audit.record(client, ctx, {
+    action: 'patient.everything',
+    entityType: 'patient',
+    entityId: patientId,
+    details: {
+      types: included,
+      since: opts.since,
+      count: page.rows.length,
+      offset: opts.offset,
+      client_id: ctx.smart?.clientId || null,
+    },
+  });
+  return page;
+}
+
+module.exports = { everything, parseOptions };
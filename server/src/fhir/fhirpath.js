@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Minimal FHIRPath evaluator for StructureDefinition invariants.
+ *
+ * Implements the subset the bundled profiles in src/fhir/profiles use:
+ *
+ *   navigation     a.b.c, polymorphic `value` -> valueQuantity etc.
+ *   literals       'string', numbers, true, false
+ *   operators      = != and or xor implies, parentheses
+ *   functions      exists([criteria]) empty() count() not() hasValue()
+ *                  where(criteria) all(criteria) first()
+ *   context        $this
+ *
+ * Evaluation follows FHIRPath collection semantics: every expression yields
+ * an array, an empty array is "unknown", and the boolean operators use
+ * three-valued logic. Anything outside the subset is a parse error, raised
+ * when the profile is loaded rather than when a resource is validated.
+ */
+
+const KEYWORDS = new Set(['and', 'or', 'xor', 'implies', 'true', 'false']);
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === "'") {
+      let j = i + 1;
+      let s = '';
+      while (j < src.length && src[j] !== "'") {
+        if (src[j] === '\\' && j + 1 < src.length) j++;
+        s += src[j++];
+      }
+      if (j >= src.length) throw new Error(`Unterminated string in FHIRPath: ${src}`);
+      tokens.push({ t: 'str', v: s });
+      i = j + 1;
+      continue;
+    }
+    if (/[0-9]/.test(ch)) {
+      const m = /^[0-9]+(\.[0-9]+)?/.exec(src.slice(i));
+      tokens.push({ t: 'num', v: Number(m[0]) });
+      i += m[0].length;
+      continue;
+    }
+    if (ch === '$') {
+      const m = /^\$[A-Za-z]+/.exec(src.slice(i));
+      if (!m || m[0] !== '$this') throw new Error(`Unsupported FHIRPath variable in: ${src}`);
+      tokens.push({ t: 'this' });
+      i += m[0].length;
+      continue;
+    }
+    if (/[A-Za-z_]/.test(ch)) {
+      const m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i));
+      tokens.push(KEYWORDS.has(m[0]) ? { t: 'kw', v: m[0] } : { t: 'id', v: m[0] });
+      i += m[0].length;
+      continue;
+    }
+    if (src.startsWith('!=', i)) { tokens.push({ t: 'op', v: '!=' }); i += 2; continue; }
+    if ('.(),='.includes(ch)) { tokens.push({ t: 'op', v: ch }); i++; continue; }
+    throw new Error(`Unsupported FHIRPath syntax '${ch}' in: ${src}`);
+  }
+  return tokens;
+}
+
+const FUNCTIONS = new Set(['exists', 'empty', 'count', 'not', 'hasValue', 'where', 'all', 'first']);
+
+/** Recursive-descent parser producing a small AST. */
+function parse(src) {
+  const tokens = tokenize(src);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (v) => peek() && peek().t === 'op' && peek().v === v;
+  const isKw = (v) => peek() && peek().t === 'kw' && peek().v === v;
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`Expected '${v}' in FHIRPath: ${src}`);
+    pos++;
+  };
+
+  function binary(next, ops, test) {
+    return () => {
+      let left = next();
+      while (ops.some(test)) {
+        const op = tokens[pos++].v;
+        left = { k: 'bin', op, left, right: next() };
+      }
+      return left;
+    };
+  }
+
+  function invocation() {
+    const tok = tokens[pos++];
+    if (!tok || tok.t !== 'id') throw new Error(`Expected a name in FHIRPath: ${src}`);
+    if (isOp('(')) {
+      if (!FUNCTIONS.has(tok.v)) throw new Error(`Unsupported FHIRPath function ${tok.v}() in: ${src}`);
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(expression());
+        while (isOp(',')) { pos++; args.push(expression()); }
+      }
+      expect(')');
+      return { k: 'fn', name: tok.v, args };
+    }
+    return { k: 'member', name: tok.v };
+  }
+
+  function term() {
+    const tok = peek();
+    let node;
+    if (!tok) throw new Error(`Unexpected end of FHIRPath: ${src}`);
+    if (tok.t === 'str' || tok.t === 'num') { pos++; node = { k: 'lit', v: tok.v }; }
+    else if (tok.t === 'kw' && (tok.v === 'true' || tok.v === 'false')) { pos++; node = { k: 'lit', v: tok.v === 'true' }; }
+    else if (tok.t === 'this') { pos++; node = { k: 'this' }; }
+    else if (isOp('(')) { pos++; node = expression(); expect(')'); }
+    else node = { k: 'path', from: { k: 'this' }, step: invocation() };
+    while (isOp('.')) {
+      pos++;
+      node = { k: 'path', from: node, step: invocation() };
+    }
+    return node;
+  }
+
+  const equality = binary(term, ['=', '!='], (v) => isOp(v));
+  const and = binary(equality, ['and'], (v) => isKw(v));
+  const or = binary(and, ['or', 'xor'], (v) => isKw(v));
+  const implies = binary(or, ['implies'], (v) => isKw(v));
+  function expression() { return implies(); }
+
+  const ast = expression();
+  if (pos !== tokens.length) throw new Error(`Unexpected token in FHIRPath: ${src}`);
+  return ast;
+}
+
+/** Child values of `name` on every item, flattening arrays; polymorphic names match value[x]. */
+function member(items, name) {
+  const out = [];
+  for (const item of items) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) continue;
+    let keys = Object.prototype.hasOwnProperty.call(item, name) ? [name] : [];
+    if (keys.length === 0) {
+      keys = Object.keys(item).filter((k) => k.startsWith(name) && /^[A-Z]/.test(k.slice(name.length)));
+    }
+    for (const k of keys) {
+      const v = item[k];
+      if (Array.isArray(v)) out.push(...v.filter((x) => x !== null && x !== undefined));
+      else if (v !== null && v !== undefined) out.push(v);
+    }
+  }
+  return out;
+}
+
+/** Singleton evaluation of a collection as a boolean: null when empty. */
+function truth(items) {
+  if (items.length === 0) return null;
+  if (items.length > 1) throw new Error('FHIRPath boolean operand is not a singleton');
+  return typeof items[0] === 'boolean' ? items[0] : true;
+}
+
+const wrap = (b) => (b === null ? [] : [b]);
+
+function equal(a, b) {
+  if (a.length === 0 || b.length === 0) return [];
+  if (a.length !== b.length) return [false];
+  return [a.every((x, i) => JSON.stringify(x) === JSON.stringify(b[i]))];
+}
+
+function evalNode(node, input) {
+  switch (node.k) {
+    case 'lit': return [node.v];
+    case 'this': return input;
+    case 'path': {
+      const from = evalNode(node.from, input);
+      return node.step.k === 'member' ? member(from, node.step.name) : callFn(node.step, from);
+    }
+    case 'bin': {
+      const l = evalNode(node.left, input);
+      const r = evalNode(node.right, input);
+      if (node.op === '=') return equal(l, r);
+      if (node.op === '!=') return equal(l, r).map((b) => !b);
+      const a = truth(l);
+      const b = truth(r);
+      switch (node.op) {
+        case 'and':
+          if (a === false || b === false) return [false];
+          return a === true && b === true ? [true] : [];
+        case 'or':
+          if (a === true || b === true) return [true];
+          return a === false && b === false ? [false] : [];
+        case 'xor':
+          return a === null || b === null ? [] : [a !== b];
+        case 'implies':
+          if (a === false) return [true];
+          if (a === true) return wrap(b);
+          return b === true ? [true] : [];
+        default:
+          throw new Error(`Unsupported FHIRPath operator ${node.op}`);
+      }
+    }
+    default:
+      throw new Error(`Unsupported FHIRPath node ${node.k}`);
+  }
+}
+
+function callFn(fn, items) {
+  const each = (criteria) => items.map((item) => truth(evalNode(criteria, [item])));
+  switch (fn.name) {
+    case 'exists':
+      return [fn.args.length ? each(fn.args[0]).some((b) => b === true) : items.length > 0];
+    case 'empty': return [items.length === 0];
+    case 'count': return [items.length];
+    case 'not': return wrap(truth(items) === null ? null : !truth(items));
+    case 'hasValue':
+      return [items.length === 1 && ['string', 'number', 'boolean'].includes(typeof items[0])];
+    case 'where': {
+      const keep = each(fn.args[0]);
+      return items.filter((_, i) => keep[i] === true);
+    }
+    case 'all': return [each(fn.args[0]).every((b) => b === true)];
+    case 'first': return items.slice(0, 1);
+    default: throw new Error(`Unsupported FHIRPath function ${fn.name}()`);
+  }
+}
+
+/** Compile an expression once; the returned function evaluates it against a node. */
+function compile(expression) {
+  const ast = parse(expression);
+  return (node) => evalNode(ast, [node]);
+}
+
+module.exports = { compile, parse, truth };
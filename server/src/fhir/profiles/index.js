@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Bundled FHIR conformance resources for offline profile validation.
+ *
+ *   definitions/  StructureDefinitions — base R4 4.0.1 and US Core 3.1.1
+ *   valuesets/    ValueSets referenced by `required` bindings, pre-expanded
+ *
+ * Loaded once at require time from disk; nothing is fetched from the network.
+ * The definitions carry the elements the validator checks (cardinality,
+ * types, reference targets, required bindings, invariants) rather than the
+ * complete published snapshots, so an element absent here is simply not
+ * checked — it is never reported as unknown.
+ *
+ * Every invariant expression is compiled when this module loads, so a
+ * definition using FHIRPath outside src/fhir/fhirpath.js fails at startup
+ * instead of silently passing resources.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fhirpath = require('../fhirpath');
+
+function loadDir(dir) {
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')));
+}
+
+const definitions = new Map();
+for (const sd of loadDir(path.join(__dirname, 'definitions'))) {
+  for (const element of sd.snapshot.element) {
+    for (const c of element.constraint || []) {
+      c.evaluate = fhirpath.compile(c.expression);
+    }
+  }
+  definitions.set(sd.url, sd);
+}
+
+/** ValueSet url -> Set of `system|code`. */
+const valueSets = new Map();
+for (const vs of loadDir(path.join(__dirname, 'valuesets'))) {
+  const codes = new Set();
+  for (const include of vs.compose.include) {
+    for (const concept of include.concept || []) codes.add(`${include.system}|${concept.code}`);
+  }
+  valueSets.set(vs.url, { url: vs.url, codes, systems: new Set(vs.compose.include.map((i) => i.system)) });
+}
+
+const BASE = 'http://hl7.org/fhir/StructureDefinition/';
+
+function definition(url) {
+  return definitions.get(url) || null;
+}
+
+/** The base R4 definition for a resource type, if one is bundled. */
+function baseDefinition(type) {
+  return definitions.get(`${BASE}${type}`) || null;
+}
+
+/**
+ * A profile and every bundled definition it derives from, base first, so a
+ * US Core profile is validated against base R4 as well.
+ */
+function chain(url) {
+  const out = [];
+  let sd = definitions.get(url);
+  while (sd) {
+    out.unshift(sd);
+    sd = sd.derivation === 'constraint' ? definitions.get(sd.baseDefinition) : null;
+  }
+  return out;
+}
+
+/** Canonical URLs of every bundled profile constraining `type`. */
+function profilesFor(type) {
+  return [...definitions.values()]
+    .filter((sd) => sd.type === type && sd.derivation === 'constraint')
+    .map((sd) => sd.url);
+}
+
+function valueSet(url) {
+  return valueSets.get(url) || null;
+}
+
+module.exports = { definition, baseDefinition, chain, profilesFor, valueSet };
@@ -12,8 +12,8 @@
  * (resourceType, required references) and let the client speak any
  * conformant profile beyond that.
  *
- * Each resource also has a corresponding `searchParam` block in
- * src/fhir/capabilityStatement.js so it shows up in /metadata.
+ * Each resource also has an entry in src/fhir/searchParams.js, which both
+ * the search compiler and the /metadata searchParam blocks are built from.
  */
 
 const { errors } = require('../../util/errors');
@@ -22,6 +22,7 @@ const labResultService  = require('../../services/labResultService');
 const conditionService  = require('../../services/conditionService');
 const medicationService = require('../../services/medicationService');
 const allergyService    = require('../../services/allergyService');
+const subscriptionTopics = require('../subscriptionTopics');
 
 /**
  * Resolve a FHIR subject/patient reference to a native patients row.
@@ -429,6 +430,10 @@ const Subscription = {
     if (body.channel.type === 'rest-hook' && !body.channel.endpoint) {
       throw errors.badRequest('channel.endpoint is required for rest-hook subscriptions');
     }
+    if (body.channel.type === 'email' && !/^mailto:[^@\s]+@[^@\s]+$/.test(body.channel.endpoint || '')) {
+      throw errors.badRequest('channel.endpoint must be a mailto: address for email subscriptions');
+    }
+    subscriptionTopics.backportSettings(body);
   },
   async postCreate(client, ctx, body) {
     // Mirror into fhir_subscriptions registry
@@ -437,28 +442,51 @@ const Subscription = {
       if (idx > 0) m[h.slice(0, idx).trim()] = h.slice(idx + 1).trim();
       return m;
     }, {});
-    await client.query(
+    const backport = subscriptionTopics.backportSettings(body);
+    // A topic subscription on a push channel stays 'requested' until its
+    // handshake is delivered; the dispatcher activates it (or marks it
+    // 'error'). R4 criteria subscriptions and websockets, which handshake on
+    // bind, are active at once.
+    const handshake = body.status === 'requested' && backport
+      && ['rest-hook', 'email'].includes(body.channel.type);
+    const status = body.status === 'requested' && !handshake ? 'active' : body.status;
+    const r = await client.query(
       `INSERT INTO fhir_subscriptions
          (org_id, fhir_resource_id, status, criteria, channel_type, endpoint,
-          payload_mime, header, reason)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+          payload_mime, header, reason, topic_url, filter_criteria, content, heartbeat_period)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
        ON CONFLICT (org_id, fhir_resource_id) DO UPDATE
          SET status=EXCLUDED.status, criteria=EXCLUDED.criteria,
              channel_type=EXCLUDED.channel_type, endpoint=EXCLUDED.endpoint,
              payload_mime=EXCLUDED.payload_mime, header=EXCLUDED.header,
-             reason=EXCLUDED.reason`,
+             reason=EXCLUDED.reason, topic_url=EXCLUDED.topic_url,
+             filter_criteria=EXCLUDED.filter_criteria, content=EXCLUDED.content,
+             heartbeat_period=EXCLUDED.heartbeat_period, error_message=NULL
+       RETURNING id`,
       [
         ctx.orgId,
         body.id,
-        body.status === 'requested' ? 'active' : body.status,
+        status,
         body.criteria,
         body.channel.type,
         body.channel.endpoint || null,
         body.channel.payload || 'application/fhir+json',
         JSON.stringify(headers),
         body.reason || null,
+        backport?.topic.url || null,
+        backport?.filterCriteria || [],
+        backport?.content || 'id-only',
+        backport?.heartbeatPeriod || null,
       ]
     );
+    if (handshake) {
+      await client.query(
+        `INSERT INTO fhir_subscription_deliveries
+           (subscription_id, org_id, event_type, notification_type, status)
+         VALUES ($1,$2,'handshake','handshake','pending')`,
+        [r.rows[0].id, ctx.orgId]
+      );
+    }
   },
 };
 
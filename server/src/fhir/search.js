@@ -0,0 +1,494 @@
+'use strict';
+
+/**
+ * FHIR R4 search compiler.
+ *
+ * Turns a search query string into parameterised SQL over fhir_resources,
+ * driven entirely by the registry in src/fhir/searchParams.js. Covers:
+ *
+ *   - token     `code`, `system|code`, `|code`, `system|`; `:not`
+ *   - string    case-insensitive starts-with; `:exact`, `:contains`
+ *   - date      prefixes eq/ne/gt/lt/ge/le/sa/eb at any precision, matched as
+ *               ranges (`fhir_date_range()`, migration 014)
+ *   - reference `id`, `Type/id`, absolute URL; `:Type` target modifier
+ *   - chaining  one level, e.g. `subject:Patient.name=smith`
+ *   - `:missing` on every parameter type
+ *   - `_sort`, `_count`, `_total`, and keyset paging through `_cursor`
+ *
+ * Comma-separated values are ORed; a repeated parameter is ANDed. Unknown
+ * parameters are ignored unless the client sent `Prefer: handling=strict`.
+ *
+ * Every value travels as a bound parameter. The only text interpolated into
+ * SQL is JSONPath taken from the registry and column names from this module.
+ */
+
+const { errors } = require('../util/errors');
+const searchParams = require('./searchParams');
+
+const DEFAULT_COUNT = 50;
+const MAX_COUNT = 200;
+const DEFAULT_SORT = '-_lastUpdated';
+
+/** Parameters consumed by the search machinery itself rather than filters. */
+const CONTROL_PARAMS = new Set([
+  '_count', '_sort', '_total', '_include', '_revinclude', '_cursor', '_format', '_pretty',
+]);
+
+const DATE_PREFIXES = new Set(['eq', 'ne', 'gt', 'lt', 'ge', 'le', 'sa', 'eb']);
+
+/** Column references for the root query; chained subqueries substitute their own alias. */
+const ROOT = Object.freeze({
+  orgId: 'r.org_id', body: 'r.body', id: 'r.resource_id', lastUpdated: 'r.last_updated',
+});
+
+/** Split on an unescaped separator and undo FHIR search escaping (`\,` `\|` `\$` `\\`). */
+function splitEscaped(value, sep) {
+  const parts = [];
+  let cur = '';
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '\\' && i + 1 < value.length) {
+      cur += value[++i];
+    } else if (ch === sep) {
+      parts.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  parts.push(cur);
+  return parts;
+}
+
+/** Split on an unescaped separator, leaving escapes in place for a later split. */
+function splitRaw(value, sep) {
+  const parts = [];
+  let cur = '';
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '\\' && i + 1 < value.length) {
+      cur += ch + value[++i];
+    } else if (ch === sep) {
+      parts.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  parts.push(cur);
+  return parts;
+}
+
+function escapeLike(s) {
+  return s.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+const DATE_RE =
+  /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/;
+
+/**
+ * Parse a date search value into its prefix and the half-open instant range
+ * its precision implies: `2026-03` is [2026-03-01, 2026-04-01). A value
+ * without a time zone is read as UTC.
+ */
+function parseDateValue(raw) {
+  let prefix = 'eq';
+  let value = raw;
+  const head = raw.slice(0, 2);
+  if (DATE_PREFIXES.has(head)) {
+    prefix = head;
+    value = raw.slice(2);
+  }
+  const m = DATE_RE.exec(value);
+  if (!m) throw errors.badRequest(`Invalid date search value '${raw}'`);
+  const [, y, mo, d, h, mi, s, frac, tz] = m;
+  const Y = Number(y);
+  const M = mo ? Number(mo) - 1 : 0;
+  const D = d ? Number(d) : 1;
+  let lo;
+  let hi;
+  if (h === undefined) {
+    lo = Date.UTC(Y, M, D);
+    hi = !mo ? Date.UTC(Y + 1, 0, 1) : !d ? Date.UTC(Y, M + 1, 1) : Date.UTC(Y, M, D + 1);
+  } else {
+    const ms = frac ? Math.floor(Number(frac) * 1000) : 0;
+    lo = Date.UTC(Y, M, D, Number(h), Number(mi), s ? Number(s) : 0, ms);
+    if (tz && tz !== 'Z') {
+      const sign = tz[0] === '-' ? -1 : 1;
+      lo -= sign * (Number(tz.slice(1, 3)) * 60 + Number(tz.slice(4, 6))) * 60000;
+    }
+    hi = lo + (frac ? 1 : s ? 1000 : 60000);
+  }
+  if (Number.isNaN(lo) || Number.isNaN(hi)) {
+    throw errors.badRequest(`Invalid date search value '${raw}'`);
+  }
+  return { prefix, lo: new Date(lo).toISOString(), hi: new Date(hi).toISOString() };
+}
+
+/**
+ * Mutable compile state: the growing parameter list plus an alias counter so
+ * nested subqueries never collide.
+ */
+function compileState(values) {
+  let alias = 0;
+  return {
+    values,
+    bind(v) {
+      values.push(v);
+      return `$${values.length}`;
+    },
+    alias(prefix) {
+      alias += 1;
+      return `${prefix}${alias}`;
+    },
+  };
+}
+
+/** A derived table of every value found at the given paths, one row per value. */
+function valuesAt(cols, paths) {
+  return `(${paths
+    .map((p) => `SELECT jsonb_path_query(${cols.body}, '${p}') AS v`)
+    .join(' UNION ALL ')})`;
+}
+
+function tokenCode(v) {
+  return `(CASE WHEN jsonb_typeof(${v}) = 'object' THEN COALESCE(${v}->>'code', ${v}->>'value') ELSE ${v} #>> '{}' END)`;
+}
+
+function tokenCondition(state, v, raw) {
+  const parts = splitEscaped(raw, '|');
+  if (parts.length === 1) return `${tokenCode(v)} = ${state.bind(parts[0])}`;
+  const [system, code] = [parts[0], parts.slice(1).join('|')];
+  const clauses = [];
+  if (code !== '') clauses.push(`${tokenCode(v)} = ${state.bind(code)}`);
+  if (system === '') clauses.push(`${v}->>'system' IS NULL`);
+  else clauses.push(`${v}->>'system' = ${state.bind(system)}`);
+  return clauses.join(' AND ');
+}
+
+function stringCondition(state, v, raw, modifier) {
+  if (modifier === 'exact') return `${v} #>> '{}' = ${state.bind(raw)}`;
+  const pattern = escapeLike(raw.toLowerCase());
+  const bound = state.bind(modifier === 'contains' ? `%${pattern}%` : `${pattern}%`);
+  return `lower(${v} #>> '{}') LIKE ${bound} ESCAPE '\\'`;
+}
+
+function dateCondition(state, range, raw) {
+  const { prefix, lo, hi } = parseDateValue(raw);
+  const L = `${state.bind(lo)}::timestamptz`;
+  const H = `${state.bind(hi)}::timestamptz`;
+  switch (prefix) {
+    case 'eq': return `${range} <@ tstzrange(${L}, ${H}, '[)')`;
+    case 'ne': return `NOT (${range} <@ tstzrange(${L}, ${H}, '[)'))`;
+    case 'gt': return `(upper_inf(${range}) OR upper(${range}) > ${H})`;
+    case 'lt': return `(lower_inf(${range}) OR lower(${range}) < ${L})`;
+    case 'ge': return `(upper_inf(${range}) OR upper(${range}) > ${L})`;
+    case 'le': return `(lower_inf(${range}) OR lower(${range}) < ${H})`;
+    case 'sa': return `(NOT lower_inf(${range}) AND lower(${range}) >= ${H})`;
+    case 'eb': return `(NOT upper_inf(${range}) AND upper(${range}) <= ${L})`;
+    default: throw errors.badRequest(`Unsupported date prefix '${prefix}'`);
+  }
+}
+
+/**
+ * Reference strings a search value may match. A bare id against a parameter
+ * with a single possible target also matches the bare and urn:uuid forms, the
+ * same leniency the compartment check applies.
+ */
+function referenceForms(def, raw, typeModifier) {
+  const absolute = raw.match(/^https?:\/\/.*\/([A-Za-z]+\/[^/]+)$/);
+  if (absolute) return { exact: [raw, absolute[1]] };
+  if (raw.includes('/')) {
+    const [type] = raw.split('/');
+    if (typeModifier && type !== typeModifier) return { exact: [] };
+    return { exact: [raw] };
+  }
+  const targets = typeModifier ? [typeModifier] : def.target;
+  if (!targets) return { exact: [raw], suffix: raw };
+  const exact = targets.map((t) => `${t}/${raw}`);
+  if (targets.length === 1) exact.push(raw, `urn:uuid:${raw}`);
+  return { exact };
+}
+
+function referenceCondition(state, v, def, raw, typeModifier) {
+  const { exact, suffix } = referenceForms(def, raw, typeModifier);
+  const clauses = [];
+  if (exact.length) clauses.push(`${v}->>'reference' = ANY(${state.bind(exact)}::text[])`);
+  if (suffix) clauses.push(`${v}->>'reference' LIKE ${state.bind(`%/${escapeLike(suffix)}`)} ESCAPE '\\'`);
+  return clauses.length ? `(${clauses.join(' OR ')})` : 'FALSE';
+}
+
+/** Resource types a modifier on a reference parameter may name. */
+function checkTypeModifier(name, def, modifier) {
+  if (!modifier) return null;
+  if (!/^[A-Z][A-Za-z]+$/.test(modifier)) {
+    throw errors.badRequest(`Unsupported modifier '${modifier}' on ${name}`);
+  }
+  if (def.target && !def.target.includes(modifier)) {
+    throw errors.badRequest(`${name} can not reference ${modifier}`);
+  }
+  return modifier;
+}
+
+/**
+ * Compile one `name[:modifier]=value[,value]` occurrence into a boolean SQL
+ * expression over `cols`.
+ */
+function compileParam(state, cols, type, name, modifier, rawValue) {
+  const def = searchParams.lookup(type, name);
+  if (!def) return null;
+
+  if (modifier === 'missing') {
+    if (rawValue !== 'true' && rawValue !== 'false') {
+      throw errors.badRequest(`${name}:missing must be true or false`);
+    }
+    if (def.special) return rawValue === 'true' ? 'FALSE' : 'TRUE';
+    const x = state.alias('x');
+    const exists = `EXISTS (SELECT 1 FROM ${valuesAt(cols, def.paths)} AS ${x} WHERE ${x}.v IS NOT NULL)`;
+    return rawValue === 'true' ? `NOT ${exists}` : exists;
+  }
+
+  const alternatives = splitRaw(rawValue, ',').filter((v) => v !== '');
+  if (alternatives.length === 0) return null;
+
+  if (def.special === 'id') {
+    const ids = alternatives.map((a) => splitEscaped(a, ',')[0]);
+    const sql = `${cols.id} = ANY(${state.bind(ids)}::text[])`;
+    return modifier === 'not' ? `NOT (${sql})` : sql;
+  }
+  if (def.special === 'lastUpdated') {
+    const range = `tstzrange(${cols.lastUpdated}, ${cols.lastUpdated} + interval '1 microsecond', '[)')`;
+    return `(${alternatives.map((a) => dateCondition(state, range, a)).join(' OR ')})`;
+  }
+
+  const x = state.alias('x');
+  const v = `${x}.v`;
+  let conds;
+  switch (def.type) {
+    case 'token':
+      if (modifier && modifier !== 'not') {
+        throw errors.badRequest(`Unsupported modifier '${modifier}' on ${name}`);
+      }
+      conds = alternatives.map((a) => tokenCondition(state, v, a));
+      break;
+    case 'string':
+      if (modifier && modifier !== 'exact' && modifier !== 'contains') {
+        throw errors.badRequest(`Unsupported modifier '${modifier}' on ${name}`);
+      }
+      conds = alternatives.map((a) => stringCondition(state, v, splitEscaped(a, ',')[0], modifier));
+      break;
+    case 'date':
+      if (modifier) throw errors.badRequest(`Unsupported modifier '${modifier}' on ${name}`);
+      conds = alternatives.map((a) => dateCondition(state, `fhir_date_range(${v})`, a));
+      break;
+    case 'reference': {
+      const typeModifier = checkTypeModifier(name, def, modifier);
+      conds = alternatives.map((a) =>
+        referenceCondition(state, v, def, splitEscaped(a, ',')[0], typeModifier));
+      break;
+    }
+    default:
+      return null;
+  }
+  const any = `EXISTS (SELECT 1 FROM ${valuesAt(cols, def.paths)} AS ${x} WHERE ${conds.map((c) => `(${c})`).join(' OR ')})`;
+  return modifier === 'not' ? `NOT ${any}` : any;
+}
+
+/**
+ * Compile a chained parameter, `ref[:Type].param=value`: resources whose
+ * `ref` points at a `Type` resource matching `param=value`. The chained
+ * resource is looked up in the same organisation and must not be deleted.
+ */
+function compileChain(state, cols, type, refPart, chainPart, rawValue) {
+  const [refName, modifier] = refPart.split(':');
+  const def = searchParams.lookup(type, refName);
+  if (!def) return null;
+  if (def.type !== 'reference') {
+    throw errors.badRequest(`${refName} is not a reference parameter and can not be chained`);
+  }
+  if (chainPart.includes('.')) {
+    throw errors.badRequest('Only one level of chaining is supported');
+  }
+  const target = checkTypeModifier(refName, def, modifier)
+    || (def.target && def.target.length === 1 ? def.target[0] : null);
+  if (!target) {
+    throw errors.badRequest(`Chained parameter ${refName} needs a type modifier, e.g. ${refName}:Patient`);
+  }
+  const [chainName, chainModifier] = chainPart.split(':');
+  if (!searchParams.lookup(target, chainName)) {
+    throw errors.badRequest(`Unknown chained parameter ${target}.${chainName}`);
+  }
+
+  const c = state.alias('c');
+  const x = state.alias('x');
+  const inner = { orgId: `${c}.org_id`, body: `${c}.body`, id: `${c}.resource_id`, lastUpdated: `${c}.last_updated` };
+  const chained = compileParam(state, inner, target, chainName, chainModifier, rawValue);
+  if (!chained) return null;
+  const t = state.bind(target);
+  return `EXISTS (SELECT 1 FROM ${valuesAt(cols, def.paths)} AS ${x}, fhir_resources ${c}
+    WHERE ${c}.org_id = ${cols.orgId} AND ${c}.resource_type = ${t} AND ${c}.deleted = FALSE
+      AND ${x}.v->>'reference' = ${t} || '/' || ${c}.resource_id
+      AND ${chained})`;
+}
+
+/**
+ * Compile every filter parameter in `params` into WHERE clauses, appending
+ * bound values to `values`. Returns the clauses; `strict` turns an unknown
+ * parameter into a 400 instead of ignoring it.
+ */
+function compileFilters(type, params, values, { strict = false } = {}) {
+  const state = compileState(values);
+  const where = [];
+  for (const [key, raw] of Object.entries(params || {})) {
+    if (CONTROL_PARAMS.has(key)) continue;
+    const occurrences = Array.isArray(raw) ? raw : [raw];
+    for (const occurrence of occurrences) {
+      const value = String(occurrence);
+      const dot = key.indexOf('.');
+      const [name, modifier] = key.split(':');
+      const sql = dot > 0
+        ? compileChain(state, ROOT, type, key.slice(0, dot), key.slice(dot + 1), value)
+        : compileParam(state, ROOT, type, name, modifier, value);
+      if (sql) {
+        where.push(sql);
+      } else if (strict) {
+        throw errors.badRequest(`Unsupported search parameter '${key}' for ${type}`);
+      }
+    }
+  }
+  return where;
+}
+
+/** SQL expression and comparison cast for one `_sort` key. */
+function sortExpression(type, name) {
+  if (name === '_lastUpdated') return { expr: ROOT.lastUpdated, cast: 'timestamptz' };
+  if (name === '_id') return { expr: ROOT.id, cast: 'text' };
+  const def = searchParams.lookup(type, name);
+  if (!def) throw errors.badRequest(`Unsupported _sort parameter '${name}' for ${type}`);
+  const first = `COALESCE(${def.paths.map((p) => `jsonb_path_query_first(${ROOT.body}, '${p}')`).join(', ')})`;
+  switch (def.type) {
+    case 'date': return { expr: `lower(fhir_date_range(${first}))`, cast: 'timestamptz' };
+    case 'string': return { expr: `lower(${first} #>> '{}')`, cast: 'text' };
+    case 'token': return { expr: tokenCode(first), cast: 'text' };
+    case 'reference': return { expr: `(${first}->>'reference')`, cast: 'text' };
+    default: throw errors.badRequest(`Can not sort on '${name}'`);
+  }
+}
+
+/** Parse `_sort` into ordered keys. resource_id always breaks ties so paging is stable. */
+function parseSort(type, raw) {
+  const spec = (Array.isArray(raw) ? raw.join(',') : raw) || DEFAULT_SORT;
+  const keys = spec.split(',').map((s) => s.trim()).filter(Boolean).map((s) => {
+    const desc = s.startsWith('-');
+    return { ...sortExpression(type, desc ? s.slice(1) : s), desc };
+  });
+  return { spec, keys };
+}
+
+function encodeCursor(spec, keyValues, id) {
+  return Buffer.from(JSON.stringify({ s: spec, k: keyValues, id }), 'utf8').toString('base64url');
+}
+
+function decodeCursor(raw, spec) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch {
+    throw errors.badRequest('Invalid _cursor');
+  }
+  if (!cursor || cursor.s !== spec || !Array.isArray(cursor.k) || typeof cursor.id !== 'string') {
+    throw errors.badRequest('Invalid _cursor for this search');
+  }
+  return cursor;
+}
+
+/**
+ * Keyset predicate selecting rows strictly after the cursor position under the
+ * given ordering (NULLS LAST in both directions, resource_id ascending last).
+ */
+function cursorPredicate(keys, cursor, values) {
+  const state = compileState(values);
+  const disjuncts = [];
+  const equalSoFar = [];
+  keys.forEach((key, i) => {
+    const v = cursor.k[i];
+    if (v !== null && v !== undefined) {
+      const bound = `${state.bind(v)}::${key.cast}`;
+      disjuncts.push([...equalSoFar, `(${key.expr} ${key.desc ? '<' : '>'} ${bound} OR ${key.expr} IS NULL)`]);
+      equalSoFar.push(`${key.expr} = ${bound}`);
+    } else {
+      equalSoFar.push(`${key.expr} IS NULL`);
+    }
+  });
+  disjuncts.push([...equalSoFar, `${ROOT.id} > ${state.bind(cursor.id)}`]);
+  return `(${disjuncts.map((d) => `(${d.join(' AND ')})`).join(' OR ')})`;
+}
+
+/**
+ * Clause matching resources whose `def` reference points at any of `refs`.
+ * Used by _revinclude, which searches the source type for references back to
+ * the page of matches.
+ */
+function referencesAny(def, refs, values) {
+  const state = compileState(values);
+  const x = state.alias('x');
+  return `EXISTS (SELECT 1 FROM ${valuesAt(ROOT, def.paths)} AS ${x} WHERE ${x}.v->>'reference' = ANY(${state.bind(refs)}::text[]))`;
+}
+
+function parseCount(raw) {
+  if (raw === undefined || raw === '') return DEFAULT_COUNT;
+  const n = parseInt(raw, 10);
+  if (!Number.isInteger(n) || n < 0) throw errors.badRequest('_count must be a non-negative integer');
+  return Math.min(n, MAX_COUNT);
+}
+
+function parseTotal(raw) {
+  const mode = raw || 'accurate';
+  if (!['none', 'estimate', 'accurate'].includes(mode)) {
+    throw errors.badRequest('_total must be none, estimate or accurate');
+  }
+  return mode;
+}
+
+/**
+ * Parse `_include` / `_revinclude` values (`Source:param[:Target]`). For
+ * `_include` the source must be the searched type; for `_revinclude` the
+ * parameter must be able to point at it.
+ */
+function parseIncludes(type, raw, reverse) {
+  const list = raw === undefined ? [] : Array.isArray(raw) ? raw : [raw];
+  return list.flatMap((s) => String(s).split(',')).filter(Boolean).map((spec) => {
+    const [source, name, target] = spec.split(':');
+    if (!reverse && source !== type) {
+      throw errors.badRequest(`_include ${spec} must start with ${type}:`);
+    }
+    const def = searchParams.lookup(source, name);
+    if (!def || def.type !== 'reference') {
+      throw errors.badRequest(`Unsupported ${reverse ? '_revinclude' : '_include'} ${spec}`);
+    }
+    if (target && def.target && !def.target.includes(target)) {
+      throw errors.badRequest(`${source}:${name} can not reference ${target}`);
+    }
+    if (reverse && def.target && !def.target.includes(type)) {
+      throw errors.badRequest(`${source}:${name} can not reference ${type}`);
+    }
+    return { source, name, def, target: target || null };
+  });
+}
+
+module.exports = {
+  DEFAULT_COUNT,
+  MAX_COUNT,
+  ROOT,
+  compileFilters,
+  parseSort,
+  parseCount,
+  parseTotal,
+  parseIncludes,
+  parseDateValue,
+  encodeCursor,
+  decodeCursor,
+  cursorPredicate,
+  referencesAny,
+  splitEscaped,
+};
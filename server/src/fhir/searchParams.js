@@ -0,0 +1,251 @@
+'use strict';
+
+/**
+ * FHIR R4 search parameter registry.
+ *
+ * The single source of truth for which search parameters the server supports
+ * on each resource type. The search compiler (src/fhir/search.js) builds SQL
+ * from these definitions and the CapabilityStatement advertises exactly the
+ * same list, so /metadata can not claim a parameter that search ignores.
+ *
+ * Each definition names the parameter type and the JSONPath expressions
+ * (relative to the stored resource body) that hold its values:
+ *
+ *   token      Coding, Identifier, or a primitive code / boolean
+ *   string     primitive string
+ *   date       date, dateTime, instant, or Period
+ *   reference  Reference; `target` lists the permitted target types, or null
+ *              when the element may point at any type
+ *
+ * Paths are compiled into SQL as literals, so they must only ever come from
+ * this file — never from a request.
+ */
+
+const COMMON = Object.freeze({
+  _id: { type: 'token', special: 'id' },
+  _lastUpdated: { type: 'date', special: 'lastUpdated' },
+});
+
+const patientRef = (...paths) => ({ type: 'reference', paths, target: ['Patient'] });
+const subjectRef = (...paths) => ({ type: 'reference', paths, target: ['Patient', 'Group'] });
+const token = (...paths) => ({ type: 'token', paths });
+const string = (...paths) => ({ type: 'string', paths });
+const date = (...paths) => ({ type: 'date', paths });
+const reference = (target, ...paths) => ({ type: 'reference', paths, target });
+
+const HUMAN_NAME = ['$.name[*].family', '$.name[*].given[*]', '$.name[*].text'];
+
+const clinical = (extra = {}) => ({
+  patient: patientRef('$.subject'),
+  subject: subjectRef('$.subject'),
+  status: token('$.status'),
+  ...extra,
+});
+
+const SEARCH_PARAMS = Object.freeze({
+  Patient: {
+    identifier: token('$.identifier[*]'),
+    name: string(...HUMAN_NAME),
+    family: string('$.name[*].family'),
+    given: string('$.name[*].given[*]'),
+    birthdate: date('$.birthDate'),
+    gender: token('$.gender'),
+    'general-practitioner': reference(['Practitioner', 'PractitionerRole', 'Organization'],
+      '$.generalPractitioner[*]'),
+    organization: reference(['Organization'], '$.managingOrganization'),
+  },
+  Observation: clinical({
+    code: token('$.code.coding[*]'),
+    category: token('$.category[*].coding[*]'),
+    date: date('$.effectiveDateTime', '$.effectivePeriod', '$.effectiveInstant'),
+    encounter: reference(['Encounter'], '$.encounter'),
+    performer: reference(['Practitioner', 'PractitionerRole', 'Organization', 'Patient', 'RelatedPerson'],
+      '$.performer[*]'),
+  }),
+  Encounter: clinical({
+    date: date('$.period'),
+    class: token('$.class'),
+    type: token('$.type[*].coding[*]'),
+  }),
+  MedicationRequest: clinical({
+    medication: reference(['Medication'], '$.medicationReference'),
+    code: token('$.medicationCodeableConcept.coding[*]'),
+    intent: token('$.intent'),
+    authoredon: date('$.authoredOn'),
+    requester: reference(['Practitioner', 'PractitionerRole', 'Organization', 'Patient', 'RelatedPerson'],
+      '$.requester'),
+  }),
+  MedicationDispense: clinical({
+    medication: reference(['Medication'], '$.medicationReference'),
+    code: token('$.medicationCodeableConcept.coding[*]'),
+  }),
+  MedicationStatement: clinical({
+    medication: reference(['Medication'], '$.medicationReference'),
+    code: token('$.medicationCodeableConcept.coding[*]'),
+    effective: date('$.effectiveDateTime', '$.effectivePeriod'),
+  }),
+  AllergyIntolerance: {
+    patient: patientRef('$.patient'),
+    'clinical-status': token('$.clinicalStatus.coding[*]'),
+    'verification-status': token('$.verificationStatus.coding[*]'),
+    code: token('$.code.coding[*]'),
+  },
+  CarePlan: clinical({ category: token('$.category[*].coding[*]'), date: date('$.period') }),
+  CareTeam: clinical({ category: token('$.category[*].coding[*]'), date: date('$.period') }),
+  Goal: {
+    patient: patientRef('$.subject'),
+    subject: subjectRef('$.subject'),
+    'lifecycle-status': token('$.lifecycleStatus'),
+  },
+  ServiceRequest: clinical({
+    code: token('$.code.coding[*]'),
+    category: token('$.category[*].coding[*]'),
+    authored: date('$.authoredOn'),
+  }),
+  Procedure: clinical({
+    code: token('$.code.coding[*]'),
+    date: date('$.performedDateTime', '$.performedPeriod'),
+  }),
+  Condition: {
+    patient: patientRef('$.subject'),
+    subject: subjectRef('$.subject'),
+    category: token('$.category[*].coding[*]'),
+    'clinical-status': token('$.clinicalStatus.coding[*]'),
+    'verification-status': token('$.verificationStatus.coding[*]'),
+    code: token('$.code.coding[*]'),
+    'onset-date': date('$.onsetDateTime', '$.onsetPeriod'),
+  },
+  Coverage: {
+    beneficiary: patientRef('$.beneficiary'),
+    patient: patientRef('$.beneficiary'),
+    status: token('$.status'),
+    payor: reference(['Organization', 'Patient', 'RelatedPerson'], '$.payor[*]'),
+  },
+  DiagnosticReport: clinical({
+    category: token('$.category[*].coding[*]'),
+    code: token('$.code.coding[*]'),
+    date: date('$.effectiveDateTime', '$.effectivePeriod'),
+    result: reference(['Observation'], '$.result[*]'),
+    encounter: reference(['Encounter'], '$.encounter'),
+  }),
+  DocumentReference: clinical({
+    type: token('$.type.coding[*]'),
+    category: token('$.category[*].coding[*]'),
+    period: date('$.context.period'),
+    date: date('$.date'),
+  }),
+  Device: {
+    patient: patientRef('$.patient'),
+    identifier: token('$.identifier[*]'),
+    type: token('$.type.coding[*]'),
+  },
+  Immunization: {
+    patient: patientRef('$.patient'),
+    date: date('$.occurrenceDateTime'),
+    status: token('$.status'),
+    'vaccine-code': token('$.vaccineCode.coding[*]'),
+  },
+  Location: {
+    name: string('$.name', '$.alias[*]'),
+    identifier: token('$.identifier[*]'),
+    organization: reference(['Organization'], '$.managingOrganization'),
+  },
+  Medication: {
+    code: token('$.code.coding[*]'),
+    status: token('$.status'),
+  },
+  Organization: {
+    name: string('$.name', '$.alias[*]'),
+    identifier: token('$.identifier[*]'),
+  },
+  Practitioner: {
+    identifier: token('$.identifier[*]'),
+    name: string(...HUMAN_NAME),
+    family: string('$.name[*].family'),
+  },
+  PractitionerRole: {
+    identifier: token('$.identifier[*]'),
+    practitioner: reference(['Practitioner'], '$.practitioner'),
+    organization: reference(['Organization'], '$.organization'),
+  },
+  Provenance: {
+    target: reference(null, '$.target[*]'),
+    patient: patientRef('$.target[*]'),
+    recorded: date('$.recorded'),
+    agent: reference(['Practitioner', 'PractitionerRole', 'Organization', 'Patient', 'RelatedPerson', 'Device'],
+      '$.agent[*].who'),
+  },
+  RelatedPerson: {
+    patient: patientRef('$.patient'),
+    identifier: token('$.identifier[*]'),
+    name: string(...HUMAN_NAME),
+  },
+  Specimen: {
+    subject: subjectRef('$.subject'),
+    patient: patientRef('$.subject'),
+    type: token('$.type.coding[*]'),
+    status: token('$.status'),
+  },
+  Subscription: {
+    status: token('$.status'),
+    criteria: string('$.criteria'),
+    type: token('$.channel.type'),
+  },
+  Group: {
+    identifier: token('$.identifier[*]'),
+    type: token('$.type'),
+    actual: token('$.actual'),
+    member: reference(['Patient', 'Practitioner', 'Device', 'Medication'], '$.member[*].entity'),
+  },
+});
+
+/**
+ * Parameters that control the result set rather than filter it. Advertised in
+ * the CapabilityStatement alongside the filters.
+ */
+const RESULT_PARAMS = Object.freeze({
+  _count: { type: 'number' },
+  _sort: { type: 'string' },
+  _total: { type: 'token' },
+  _include: { type: 'special' },
+  _revinclude: { type: 'special' },
+});
+
+/** Filter parameter definition, or null when the type does not support it. */
+function lookup(type, name) {
+  if (Object.prototype.hasOwnProperty.call(COMMON, name)) return COMMON[name];
+  const params = SEARCH_PARAMS[type];
+  if (!params || !Object.prototype.hasOwnProperty.call(params, name)) return null;
+  return params[name];
+}
+
+/** Every filter parameter for a type, common parameters first. */
+function definitionsFor(type) {
+  return { ...COMMON, ...(SEARCH_PARAMS[type] || {}) };
+}
+
+/** `Type:param` strings usable with _include on `type` (reference params only). */
+function includesFor(type) {
+  return Object.entries(SEARCH_PARAMS[type] || {})
+    .filter(([, def]) => def.type === 'reference')
+    .map(([name]) => `${type}:${name}`);
+}
+
+/**
+ * `Source:param` strings usable with _revinclude on `type`: every reference
+ * parameter elsewhere that may point at it.
+ */
+function revIncludesFor(type) {
+  const out = [];
+  for (const [source, params] of Object.entries(SEARCH_PARAMS)) {
+    for (const [name, def] of Object.entries(params)) {
+      if (def.type !== 'reference') continue;
+      if (def.target === null || def.target.includes(type)) out.push(`${source}:${name}`);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  SEARCH_PARAMS, RESULT_PARAMS, lookup, definitionsFor, includesFor, revIncludesFor,
+};
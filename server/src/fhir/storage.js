@@ -1,11 +1,18 @@
 'use strict';
 
 const { newId } = require('../util/ids');
+const { errors } = require('../util/errors');
+const { parseVersionTag } = require('../util/etag');
 const compartment = require('./compartment');
+const searchQuery = require('./search');
+const searchParams = require('./searchParams');
 
 /**
  * Generic FHIR resource storage backed by the fhir_resources table.
  * Versioning is monotonic per (org, type, id). Soft delete is supported.
+ * fhir_resources holds the current version only; every version, including
+ * delete tombstones, is also appended to fhir_resource_versions, which backs
+ * the _history interactions and vread.
  *
  * Every entry point enforces two independent boundaries:
  *   1. Tenant  — org_id equality, backed by PostgreSQL row-level security.
@@ -14,6 +21,10 @@ const compartment = require('./compartment');
  *
  * The compartment check lives here rather than in the routes so that no route,
  * transaction-bundle entry, or future call site can omit it (C-1, H-4).
+ *
+ * Storage itself does no profile validation. The routes apply the structural
+ * hooks in src/fhir/resources and, where the org has opted in, the
+ * StructureDefinition validator in src/fhir/validator.js before writing.
  */
 
 /** True when this request is confined to a single patient compartment. */
@@ -65,49 +76,72 @@ function assertWritable(ctx, type, body) {
   }
 }
 
-/** Unguarded read used internally where the compartment check is applied separately. */
-async function readRaw(client, ctx, type, id) {
+/**
+ * Unguarded read used internally where the compartment check is applied
+ * separately. `lock` takes a row lock so a write computes its version number
+ * from a row no concurrent write can change underneath it.
+ */
+async function readRaw(client, ctx, type, id, { lock = false } = {}) {
   const r = await client.query(
     `SELECT body, version_id, last_updated, deleted FROM fhir_resources
-     WHERE org_id = $1 AND resource_type = $2 AND resource_id = $3`,
+     WHERE org_id = $1 AND resource_type = $2 AND resource_id = $3${lock ? ' FOR UPDATE' : ''}`,
     [ctx.orgId, type, id]
   );
   return r.rows[0] || null;
 }
 
+/**
+ * Enforce an If-Match precondition against the stored row: the resource must
+ * exist, not be deleted, and still be at the version the caller last saw.
+ */
+function checkVersion(existing, ifMatch) {
+  if (ifMatch === undefined || ifMatch === null) return;
+  const expected = parseVersionTag(ifMatch);
+  if (expected === null) throw errors.badRequest(`Invalid If-Match value '${ifMatch}'`);
+  if (!existing || existing.deleted) {
+    throw errors.preconditionFailed(`If-Match ${ifMatch} given but the resource does not exist`);
+  }
+  if (existing.version_id !== expected) {
+    throw errors.preconditionFailed(
+      `Version conflict: If-Match expected version ${expected}, current version is ${existing.version_id}`
+    );
+  }
+}
+
 async function read(client, ctx, type, id) {
   return guardRow(ctx, type, await readRaw(client, ctx, type, id));
 }
 
-async function create(client, ctx, type, body) {
-  const id = body.id || newId();
-  const now = new Date().toISOString();
-  const stamped = {
-    ...body,
-    id,
-    resourceType: type,
-    meta: { ...(body.meta || {}), versionId: '1', lastUpdated: now },
-  };
-  assertWritable(ctx, type, stamped);
+/**
+ * Append the version just written to fhir_resources to fhir_resource_versions.
+ * Called inside the same transaction as the write, so the history table can
+ * never disagree with the current-state table about which versions exist.
+ */
+async function recordVersion(client, ctx, type, id, versionId, body, operation) {
   await client.query(
-    `INSERT INTO fhir_resources (org_id, resource_type, resource_id, version_id, last_updated, body, deleted)
-     VALUES ($1, $2, $3, 1, now(), $4, FALSE)
-     ON CONFLICT (org_id, resource_type, resource_id) DO UPDATE
-       SET version_id = fhir_resources.version_id + 1,
-           last_updated = now(),
-           body = EXCLUDED.body,
-           deleted = FALSE`,
-    [ctx.orgId, type, id, JSON.stringify(stamped)]
+    `INSERT INTO fhir_resource_versions
+       (org_id, resource_type, resource_id, version_id, last_updated, body, deleted,
+        operation, author_user_id, author_client_id)
+     VALUES ($1, $2, $3, $4, now(), $5, $6, $7, $8, $9)`,
+    [
+      ctx.orgId, type, id, versionId, JSON.stringify(body), operation === 'delete',
+      operation, ctx.userId || null, ctx.smart?.clientId || null,
+    ]
   );
-  return read(client, ctx, type, id);
 }
 
-async function update(client, ctx, type, id, body) {
-  const existing = await readRaw(client, ctx, type, id);
+/**
+ * Write a new current version of a resource. Shared by create and update: a
+ * create with a caller-supplied id that already exists is recorded as the
+ * update it actually is, and an update of an unknown id as a create.
+ */
+async function writeVersion(client, ctx, type, id, body, { ifMatch } = {}) {
+  const existing = await readRaw(client, ctx, type, id, { lock: true });
   // Both the stored resource and the replacement must be inside the caller's
   // compartment, otherwise an update could be used to move a foreign resource
   // into (or a compartment resource out of) the caller's reach.
   if (existing) guardWritableExisting(ctx, type, existing);
+  checkVersion(existing, ifMatch);
   const versionId = (existing?.version_id || 0) + 1;
   const now = new Date().toISOString();
   const stamped = {
@@ -127,11 +161,43 @@ async function update(client, ctx, type, id, body) {
            deleted = FALSE`,
     [ctx.orgId, type, id, versionId, JSON.stringify(stamped)]
   );
+  const operation = existing && !existing.deleted ? 'update' : 'create';
+  await recordVersion(client, ctx, type, id, versionId, stamped, operation);
   return read(client, ctx, type, id);
 }
 
-async function search(client, ctx, type, params) {
-  const where = ['org_id = $1', 'resource_type = $2', 'deleted = FALSE'];
+async function create(client, ctx, type, body) {
+  return writeVersion(client, ctx, type, body.id || newId(), body);
+}
+
+/** Replace the current version. `opts.ifMatch` makes the write conditional on the version. */
+async function update(client, ctx, type, id, body, opts = {}) {
+  return writeVersion(client, ctx, type, id, body, opts);
+}
+
+/** Upper bound on _include/_revinclude resources added to one page. */
+const INCLUDE_LIMIT = 1000;
+
+/**
+ * Search one resource type. Filters, sorting and paging are compiled by
+ * src/fhir/search.js; this function adds the tenant and compartment scope and
+ * runs the queries. Returns the page of matches, any _include/_revinclude
+ * resources, the total (unless `_total=none`) and the cursor for the next page.
+ *
+ * `opts.contextFor(type)` supplies the storage context for included resources
+ * of another type, or null when the caller may not read that type at all;
+ * without it includes are read with `ctx`. `opts.strict` rejects unknown
+ * parameters instead of ignoring them.
+ */
+async function searchPage(client, ctx, type, params = {}, opts = {}) {
+  const count = searchQuery.parseCount(params._count);
+  const totalMode = searchQuery.parseTotal(params._total);
+  const sort = searchQuery.parseSort(type, params._sort);
+  const includes = searchQuery.parseIncludes(type, params._include, false);
+  const revIncludes = searchQuery.parseIncludes(type, params._revinclude, true);
+  const empty = { rows: [], included: [], total: 0, nextCursor: null, count };
+
+  const where = ['r.org_id = $1', 'r.resource_type = $2', 'r.deleted = FALSE'];
   const vals = [ctx.orgId, type];
 
   // Patient-compartment restriction is applied as a SQL predicate so that the
@@ -142,59 +208,149 @@ async function search(client, ctx, type, params) {
     const pred = compartment.searchPredicate(type, patientId, vals.length + 1);
     if (!pred) {
       // Type is outside every patient compartment — deny rather than return all.
-      return [];
+      return empty;
     }
     where.push(pred.sql);
     vals.push(...pred.values);
   }
+  where.push(...searchQuery.compileFilters(type, params, vals, { strict: opts.strict }));
+  const whereSql = where.join(' AND ');
 
-  if (params._id) {
-    vals.push(params._id);
-    where.push(`resource_id = $${vals.length}`);
-  }
-  if (params._lastUpdated) {
-    vals.push(params._lastUpdated);
-    where.push(`last_updated >= $${vals.length}::timestamptz`);
+  let total;
+  if (totalMode !== 'none') {
+    const counted = await client.query(
+      `SELECT count(*)::int AS total FROM fhir_resources r WHERE ${whereSql}`,
+      vals
+    );
+    total = counted.rows[0]?.total || 0;
   }
-  // identifier=system|value (Patient)
-  if (params.identifier) {
-    const v = params.identifier.split('|').slice(-1)[0];
-    vals.push(v);
-    where.push(`body @> jsonb_build_object('identifier', jsonb_build_array(jsonb_build_object('value', $${vals.length}::text)))`);
+  if (count === 0) return { ...empty, total };
+
+  const pageVals = [...vals];
+  let pageWhere = whereSql;
+  if (params._cursor) {
+    const cursor = searchQuery.decodeCursor(params._cursor, sort.spec);
+    pageWhere += ` AND ${searchQuery.cursorPredicate(sort.keys, cursor, pageVals)}`;
   }
-  if (params.name || params.family) {
-    const f = params.family || params.name;
-    vals.push(`%${f.toLowerCase()}%`);
-    where.push(`lower(body->'name'->0->>'family') LIKE $${vals.length}`);
+  pageVals.push(count + 1);
+  const sortKeys = sort.keys.map((k, i) => `, (${k.expr})::text AS sort_key_${i}`).join('');
+  const orderBy = sort.keys
+    .map((k) => `${k.expr} ${k.desc ? 'DESC' : 'ASC'} NULLS LAST`)
+    .concat('r.resource_id ASC')
+    .join(', ');
+  const r = await client.query(
+    `SELECT r.body, r.version_id, r.last_updated, r.resource_id${sortKeys}
+     FROM fhir_resources r
+     WHERE ${pageWhere}
+     ORDER BY ${orderBy} LIMIT $${pageVals.length}`,
+    pageVals
+  );
+
+  // One row beyond the page is fetched only to learn whether a next page exists.
+  const page = r.rows.slice(0, count);
+  let nextCursor = null;
+  if (r.rows.length > count) {
+    const last = page[page.length - 1];
+    nextCursor = searchQuery.encodeCursor(
+      sort.spec,
+      sort.keys.map((_, i) => last[`sort_key_${i}`] ?? null),
+      last.resource_id
+    );
   }
-  if (params.patient) {
-    const ref = params.patient.startsWith('Patient/') ? params.patient : `Patient/${params.patient}`;
-    vals.push(ref);
-    where.push(`body->'subject'->>'reference' = $${vals.length}`);
+  const rows = page.map(({ body, version_id, last_updated }) => ({ body, version_id, last_updated }));
+  const included = await loadIncludes(client, ctx, type, rows, includes, revIncludes, opts.contextFor);
+  return { rows, included, total, nextCursor, count };
+}
+
+/** Matching rows only; for internal callers that neither page nor include. */
+async function search(client, ctx, type, params = {}) {
+  const { rows } = await searchPage(client, ctx, type, { ...params, _total: 'none' });
+  return rows;
+}
+
+/** `{type, id}` for a relative or absolute literal reference; null otherwise. */
+function parseReference(ref) {
+  const m = typeof ref === 'string' && ref.match(/(?:^|\/)([A-Z][A-Za-z]+)\/([A-Za-z0-9\-.]{1,64})$/);
+  return m ? { type: m[1], id: m[2] } : null;
+}
+
+/**
+ * Resolve _include and _revinclude for a page of matches. Every included
+ * resource is read under the context `contextFor` returns for its own type,
+ * so an include can never reveal a resource the caller could not have read
+ * directly, and each is listed once however many matches point at it.
+ */
+async function loadIncludes(client, ctx, type, rows, includes, revIncludes, contextFor) {
+  if (rows.length === 0 || (includes.length === 0 && revIncludes.length === 0)) return [];
+  const scopeFor = (t) => (contextFor ? contextFor(t) : ctx);
+  const seen = new Set(rows.map((row) => `${type}/${row.body.id}`));
+  const included = [];
+  const add = (t, row) => {
+    const key = `${t}/${row.body.id}`;
+    if (seen.has(key) || included.length >= INCLUDE_LIMIT) return;
+    seen.add(key);
+    included.push(row);
+  };
+
+  const wanted = new Map();
+  for (const { def, target } of includes) {
+    for (const row of rows) {
+      for (const path of def.paths) {
+        for (const node of compartment.collectAtPath(row.body, compartment.parseJsonPath(path))) {
+          const ref = parseReference(node?.reference);
+          if (!ref || (target && ref.type !== target) || !searchParams.SEARCH_PARAMS[ref.type]) continue;
+          if (!wanted.has(ref.type)) wanted.set(ref.type, new Set());
+          wanted.get(ref.type).add(ref.id);
+        }
+      }
+    }
   }
-  if (params.code) {
-    vals.push(params.code);
-    where.push(`body @> jsonb_build_object('code', jsonb_build_object('coding', jsonb_build_array(jsonb_build_object('code', $${vals.length}::text))))`);
+  for (const [t, ids] of wanted) {
+    const tctx = scopeFor(t);
+    if (!tctx) continue;
+    const r = await client.query(
+      `SELECT body, version_id, last_updated FROM fhir_resources
+       WHERE org_id = $1 AND resource_type = $2 AND resource_id = ANY($3::text[]) AND deleted = FALSE`,
+      [ctx.orgId, t, [...ids]]
+    );
+    for (const row of r.rows) if (guardRow(tctx, t, row)) add(t, row);
   }
-  if (params.status) {
-    vals.push(params.status);
-    where.push(`body->>'status' = $${vals.length}`);
+
+  for (const { source, def } of revIncludes) {
+    // Single-target references may also be stored bare or as urn:uuid, the
+    // same leniency the compartment check applies.
+    const refs = rows.flatMap((row) => (def.target && def.target.length === 1
+      ? [`${type}/${row.body.id}`, row.body.id, `urn:uuid:${row.body.id}`]
+      : [`${type}/${row.body.id}`]));
+    const sctx = scopeFor(source);
+    if (!sctx || included.length >= INCLUDE_LIMIT) continue;
+    const where = ['r.org_id = $1', 'r.resource_type = $2', 'r.deleted = FALSE'];
+    const vals = [ctx.orgId, source];
+    const patientId = compartmentPatient(sctx);
+    if (patientId) {
+      const pred = compartment.searchPredicate(source, patientId, vals.length + 1);
+      if (!pred) continue;
+      where.push(pred.sql);
+      vals.push(...pred.values);
+    }
+    where.push(searchQuery.referencesAny(def, refs, vals));
+    vals.push(INCLUDE_LIMIT - included.length);
+    const r = await client.query(
+      `SELECT r.body, r.version_id, r.last_updated FROM fhir_resources r
+       WHERE ${where.join(' AND ')}
+       ORDER BY r.resource_id LIMIT $${vals.length}`,
+      vals
+    );
+    for (const row of r.rows) add(source, row);
   }
-  const limit = Math.min(parseInt(params._count, 10) || 50, 200);
-  vals.push(limit);
-  const r = await client.query(
-    `SELECT body, version_id, last_updated FROM fhir_resources
-     WHERE ${where.join(' AND ')}
-     ORDER BY last_updated DESC LIMIT $${vals.length}`,
-    vals
-  );
-  return r.rows;
+  return included;
 }
 
-async function softDelete(client, ctx, type, id) {
-  const cur = await readRaw(client, ctx, type, id);
+async function softDelete(client, ctx, type, id, { ifMatch } = {}) {
+  const cur = await readRaw(client, ctx, type, id, { lock: true });
+  if (cur && !cur.deleted) guardWritableExisting(ctx, type, cur);
+  checkVersion(cur, ifMatch);
   if (!cur || cur.deleted) return null;
-  guardWritableExisting(ctx, type, cur);
   const versionId = (cur.version_id || 0) + 1;
   await client.query(
     `UPDATE fhir_resources
@@ -202,21 +358,108 @@ async function softDelete(client, ctx, type, id) {
      WHERE org_id = $1 AND resource_type = $2 AND resource_id = $3`,
     [ctx.orgId, type, id, versionId]
   );
+  await recordVersion(client, ctx, type, id, versionId, cur.body, 'delete');
   return { version_id: versionId };
 }
 
+const HISTORY_COLUMNS =
+  'resource_type, resource_id, version_id, last_updated, body, deleted, operation';
+
 /**
- * Return version history for a resource. We store only current state in
- * fhir_resources (no separate versions table yet), so history returns the
- * current version only with proper Bundle framing.
- * NOTE: Profile validation in this server is structural-only (Zod/custom
- * schemas per resource type) — not a full FHIR profile validator.
+ * Page through fhir_resource_versions, newest first. `where`/`vals` carry the
+ * scope of the history interaction (instance, type or system); `_since`,
+ * `_count` and `_offset` are applied here so the three share one paging rule.
  */
-async function history(client, ctx, type, id, vid) {
-  const row = await read(client, ctx, type, id);
-  if (!row) return null;
-  if (vid && String(row.version_id) !== String(vid)) return null;
-  return [row];
+async function pageHistory(client, where, vals, opts = {}) {
+  const clauses = [...where];
+  const values = [...vals];
+  if (opts.since) {
+    values.push(opts.since);
+    clauses.push(`last_updated >= $${values.length}::timestamptz`);
+  }
+  const whereSql = clauses.join(' AND ');
+  const counted = await client.query(
+    `SELECT count(*)::int AS total FROM fhir_resource_versions WHERE ${whereSql}`,
+    values
+  );
+  const limit = Math.min(parseInt(opts.count, 10) || 50, 200);
+  const offset = Math.max(parseInt(opts.offset, 10) || 0, 0);
+  const r = await client.query(
+    `SELECT ${HISTORY_COLUMNS} FROM fhir_resource_versions
+     WHERE ${whereSql}
+     ORDER BY last_updated DESC, version_id DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset]
+  );
+  return { total: counted.rows[0]?.total || 0, rows: r.rows, count: limit, offset };
+}
+
+/**
+ * Add the caller's patient-compartment predicate to a history scope, so that
+ * paging and `total` count only the versions the caller can see. Returns
+ * false when the type lies outside every patient compartment.
+ */
+function scopeHistoryToCompartment(ctx, type, where, vals) {
+  const patientId = compartmentPatient(ctx);
+  if (!patientId) return true;
+  const pred = compartment.searchPredicate(type, patientId, vals.length + 1);
+  if (!pred) return false;
+  where.push(pred.sql);
+  vals.push(...pred.values);
+  return true;
+}
+
+/**
+ * Instance-level history: every stored version of one resource, including
+ * the delete tombstone. Returns null when the resource was never stored or
+ * lies outside the caller's compartment, so both render as 404.
+ */
+async function history(client, ctx, type, id, opts = {}) {
+  const current = await read(client, ctx, type, id);
+  if (!current) return null;
+  // The compartment was checked against the current version above; earlier
+  // versions are held to it as well, since nothing guarantees a resource
+  // always belonged to the same patient. The check is part of the query so
+  // that paging and `total` agree with the versions returned.
+  const where = ['org_id = $1', 'resource_type = $2', 'resource_id = $3'];
+  const vals = [ctx.orgId, type, id];
+  if (!scopeHistoryToCompartment(ctx, type, where, vals)) return null;
+  return pageHistory(client, where, vals, opts);
+}
+
+/** Type-level history, restricted to the compartment exactly as search is. */
+async function typeHistory(client, ctx, type, opts = {}) {
+  const where = ['org_id = $1', 'resource_type = $2'];
+  const vals = [ctx.orgId, type];
+  if (!scopeHistoryToCompartment(ctx, type, where, vals)) return { total: 0, rows: [], count: 0, offset: 0 };
+  return pageHistory(client, where, vals, opts);
+}
+
+/**
+ * System-level history across every resource type. A patient-compartment
+ * grant never reaches this far (the route requires a `*` scope), but storage
+ * refuses it as well rather than trusting the route.
+ */
+async function systemHistory(client, ctx, opts = {}) {
+  if (compartmentPatient(ctx)) return { total: 0, rows: [], count: 0, offset: 0 };
+  return pageHistory(client, ['org_id = $1'], [ctx.orgId], opts);
+}
+
+/**
+ * Read one specific version. A deleted version is returned with deleted=true
+ * so the route can answer 410 Gone rather than 404.
+ */
+async function vread(client, ctx, type, id, vid) {
+  const versionId = parseInt(vid, 10);
+  if (!Number.isInteger(versionId) || String(versionId) !== String(vid)) return null;
+  const r = await client.query(
+    `SELECT ${HISTORY_COLUMNS} FROM fhir_resource_versions
+     WHERE org_id = $1 AND resource_type = $2 AND resource_id = $3 AND version_id = $4`,
+    [ctx.orgId, type, id, versionId]
+  );
+  return guardRow(ctx, type, r.rows[0] || null);
 }
 
-module.exports = { read, create, update, search, softDelete, history };
+module.exports = {
+  read, create, update, search, searchPage, softDelete, history, typeHistory, systemHistory, vread,
+};
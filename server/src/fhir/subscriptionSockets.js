@@ -0,0 +1,117 @@
+'use strict';
+
+/**
+ * Websocket channel for FHIR Subscriptions (backport "bind-with-token" flow).
+ *
+ *   1. The client calls Subscription/{id}/$get-ws-binding-token over the
+ *      authenticated REST API and receives a short-lived token and the
+ *      websocket URL.
+ *   2. It opens the websocket and sends the text frame `bind-with-token <token>`.
+ *   3. The server answers with a handshake notification for each subscription
+ *      the token covers, then pushes every later notification as a text frame.
+ *
+ * The upgrade does not pass through Fastify's auth hooks; the binding token is
+ * the only credential, and a socket that has not bound within BIND_TIMEOUT_MS
+ * is closed. This module is transport only: token redemption and the
+ * handshake payload are supplied by src/fhir/subscriptions.js.
+ */
+
+const { WebSocketServer } = require('ws');
+
+const BIND_TIMEOUT_MS = 30_000;
+const POLICY_VIOLATION = 1008;
+
+/** subscription registry id → bound sockets, for this process only. */
+const bound = new Map();
+
+function addBinding(subscriptionId, socket) {
+  if (!bound.has(subscriptionId)) bound.set(subscriptionId, new Set());
+  bound.get(subscriptionId).add(socket);
+}
+
+function dropSocket(socket) {
+  for (const [id, sockets] of bound) {
+    sockets.delete(socket);
+    if (sockets.size === 0) bound.delete(id);
+  }
+}
+
+/**
+ * Accept websocket upgrades on `path` of an http(s) server.
+ *
+ * @param {import('http').Server} server
+ * @param {object} opts
+ * @param {string} opts.path
+ * @param {(token: string) => Promise<object[]>} opts.redeem  subscriptions the token binds, [] if invalid
+ * @param {(sub: object) => Promise<string>} opts.handshake   handshake payload for one subscription
+ * @param {object} [opts.logger]
+ * @returns {WebSocketServer}
+ */
+function attach(server, { path, redeem, handshake, logger = console }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    let pathname;
+    try { pathname = new URL(req.url, 'http://localhost').pathname; } catch { pathname = null; }
+    if (pathname !== path) {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  wss.on('connection', (ws) => {
+    const unbound = setTimeout(() => ws.close(POLICY_VIOLATION, 'bind-with-token not received'), BIND_TIMEOUT_MS);
+    unbound.unref?.();
+
+    ws.on('message', async (data) => {
+      const text = String(data).trim();
+      const m = /^bind-with-token\s+(\S+)$/.exec(text);
+      if (!m) return;
+      try {
+        const subs = await redeem(m[1]);
+        if (subs.length === 0) {
+          ws.close(POLICY_VIOLATION, 'invalid or expired binding token');
+          return;
+        }
+        clearTimeout(unbound);
+        for (const sub of subs) {
+          addBinding(sub.id, ws);
+          ws.send(await handshake(sub));
+        }
+      } catch (err) {
+        logger.error?.({ err: err.message }, 'websocket bind failed');
+        ws.close(1011, 'bind failed');
+      }
+    });
+
+    ws.on('close', () => {
+      clearTimeout(unbound);
+      dropSocket(ws);
+    });
+    ws.on('error', () => dropSocket(ws));
+  });
+
+  server.on('close', () => wss.close());
+  return wss;
+}
+
+/** Send `payload` to every socket bound to the subscription; returns how many received it. */
+function publish(subscriptionId, payload) {
+  const sockets = bound.get(subscriptionId);
+  if (!sockets) return 0;
+  let sent = 0;
+  for (const ws of sockets) {
+    if (ws.readyState !== ws.OPEN) continue;
+    ws.send(payload);
+    sent += 1;
+  }
+  return sent;
+}
+
+/** Registry ids of the subscriptions with a live socket in this process. */
+function boundSubscriptionIds() {
+  return [...bound.keys()];
+}
+
+module.exports = { attach, publish, boundSubscriptionIds, BIND_TIMEOUT_MS };
@@ -0,0 +1,173 @@
+'use strict';
+
+/**
+ * SubscriptionTopic registry for the Subscriptions R5 Backport.
+ *
+ * Topics are server-defined: a client subscribes by naming a topic's
+ * canonical URL in Subscription.criteria and narrows it with filter criteria
+ * (the backport-filter-criteria extension on Subscription.criteria), e.g.
+ *
+ *   criteria:  https://transtrack.health/fhir/SubscriptionTopic/lab-result-final
+ *   _criteria: { extension: [{ url: ...backport-filter-criteria,
+ *                              valueString: 'Observation?patient=Patient/123' }] }
+ *
+ * Each trigger names the resource type, the interactions that fire it and an
+ * optional `current` query the resource must satisfy after the change (the
+ * same search-style criteria the R4 matcher evaluates). `canFilterBy` lists
+ * the parameters a subscriber may filter on; anything else is refused when
+ * the Subscription is written, not silently ignored at delivery time.
+ *
+ * GET /fhir/SubscriptionTopic serves these as R4B-shaped SubscriptionTopic
+ * resources and /fhir/metadata advertises their canonical URLs.
+ */
+
+const { errors } = require('../util/errors');
+
+const TOPIC_BASE = 'https://transtrack.health/fhir/SubscriptionTopic';
+const BACKPORT = 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition';
+
+const EXT = {
+  filterCriteria: `${BACKPORT}/backport-filter-criteria`,
+  heartbeatPeriod: `${BACKPORT}/backport-heartbeat-period`,
+  payloadContent: `${BACKPORT}/backport-payload-content`,
+};
+
+const CONTENT_CODES = ['empty', 'id-only', 'full-resource'];
+
+const TOPICS = [
+  {
+    id: 'patient-change',
+    title: 'Patient record changed',
+    description: 'A Patient was created, updated or deleted.',
+    triggers: [{ resource: 'Patient', interactions: ['create', 'update', 'delete'] }],
+    canFilterBy: [
+      { resource: 'Patient', filterParameter: '_id' },
+      { resource: 'Patient', filterParameter: 'identifier' },
+    ],
+  },
+  {
+    id: 'lab-result-final',
+    title: 'Final laboratory result',
+    description: 'A laboratory Observation was recorded or amended with status final.',
+    triggers: [{
+      resource: 'Observation',
+      interactions: ['create', 'update'],
+      current: 'category=laboratory&status=final',
+    }],
+    canFilterBy: [
+      { resource: 'Observation', filterParameter: 'patient' },
+      { resource: 'Observation', filterParameter: 'code' },
+    ],
+  },
+  {
+    id: 'encounter-start',
+    title: 'Encounter started',
+    description: 'An Encounter was created or moved to in-progress.',
+    triggers: [{ resource: 'Encounter', interactions: ['create', 'update'], current: 'status=in-progress' }],
+    canFilterBy: [{ resource: 'Encounter', filterParameter: 'patient' }],
+  },
+  {
+    id: 'service-request-created',
+    title: 'Order placed',
+    description: 'A ServiceRequest was created.',
+    triggers: [{ resource: 'ServiceRequest', interactions: ['create'] }],
+    canFilterBy: [
+      { resource: 'ServiceRequest', filterParameter: 'patient' },
+      { resource: 'ServiceRequest', filterParameter: 'code' },
+    ],
+  },
+].map((t) => ({ ...t, url: `${TOPIC_BASE}/${t.id}` }));
+
+const BY_URL = new Map(TOPICS.map((t) => [t.url, t]));
+
+function byUrl(url) {
+  return BY_URL.get(url) || null;
+}
+
+function byId(id) {
+  return TOPICS.find((t) => t.id === id) || null;
+}
+
+function list() {
+  return TOPICS;
+}
+
+/** The topic as an R4B SubscriptionTopic resource. */
+function toResource(topic) {
+  return {
+    resourceType: 'SubscriptionTopic',
+    id: topic.id,
+    url: topic.url,
+    title: topic.title,
+    status: 'active',
+    description: topic.description,
+    resourceTrigger: topic.triggers.map((t) => ({
+      resource: `http://hl7.org/fhir/StructureDefinition/${t.resource}`,
+      supportedInteraction: t.interactions,
+      ...(t.current ? { queryCriteria: { current: t.current, resultForCreate: 'test-passes' } } : {}),
+    })),
+    canFilterBy: topic.canFilterBy.map((f) => ({
+      resource: `http://hl7.org/fhir/StructureDefinition/${f.resource}`,
+      filterParameter: f.filterParameter,
+    })),
+    notificationShape: topic.triggers.map((t) => ({
+      resource: `http://hl7.org/fhir/StructureDefinition/${t.resource}`,
+    })),
+  };
+}
+
+const extValue = (element, url) =>
+  (element?.extension || []).filter((e) => e.url === url);
+
+/**
+ * Refuse filter criteria the topic does not declare: the resource type must
+ * be one the topic triggers on and every parameter must be in canFilterBy.
+ */
+function checkFilter(topic, criteria) {
+  const [type, qs] = String(criteria).split('?');
+  if (!topic.triggers.some((t) => t.resource === type)) {
+    throw errors.badRequest(`Filter ${criteria} names ${type}, which topic ${topic.id} does not trigger on`);
+  }
+  for (const name of new URLSearchParams(qs || '').keys()) {
+    if (!topic.canFilterBy.some((f) => f.resource === type && f.filterParameter === name)) {
+      throw errors.badRequest(`Topic ${topic.id} cannot be filtered by ${type}.${name}`);
+    }
+  }
+  return criteria;
+}
+
+/**
+ * Backport settings carried by a Subscription body, or null for an R4
+ * criteria subscription. Throws 400 for an unknown topic URL, a filter the
+ * topic does not allow, or a channel/content combination we will not send.
+ */
+function backportSettings(body) {
+  const topic = byUrl(body.criteria);
+  if (!topic) {
+    if (/^https?:\/\//.test(String(body.criteria))) {
+      throw errors.badRequest(`Unknown SubscriptionTopic ${body.criteria}`);
+    }
+    return null;
+  }
+  const filterCriteria = extValue(body._criteria, EXT.filterCriteria)
+    .map((e) => checkFilter(topic, e.valueString));
+
+  const content = extValue(body.channel?._payload, EXT.payloadContent)[0]?.valueCode || 'id-only';
+  if (!CONTENT_CODES.includes(content)) {
+    throw errors.badRequest(`payload content must be one of: ${CONTENT_CODES.join(', ')}`);
+  }
+  // Email is not an acceptable carrier for clinical content; subscribers
+  // fetch the resource over the authenticated API instead.
+  if (body.channel?.type === 'email' && content === 'full-resource') {
+    throw errors.badRequest('email subscriptions support empty or id-only payloads, not full-resource');
+  }
+
+  const heartbeat = extValue(body.channel, EXT.heartbeatPeriod)[0]?.valueUnsignedInt;
+  if (heartbeat !== undefined && !(Number.isInteger(heartbeat) && heartbeat > 0)) {
+    throw errors.badRequest('heartbeat period must be a positive number of seconds');
+  }
+
+  return { topic, filterCriteria, content, heartbeatPeriod: heartbeat || null };
+}
+
+module.exports = { TOPIC_BASE, EXT, byUrl, byId, list, toResource, backportSettings };
@@ -3,27 +3,57 @@
 /**
  * FHIR R4 Subscriptions delivery engine.
  *
- * The criteria language we support is the basic FHIR R4 search-style format:
- *   "ResourceType?paramName=value&otherParam=value"
+ * Two kinds of subscription share the pipeline:
  *
- * For each created/updated resource we evaluate every active subscription's
- * criteria. On match, we enqueue a delivery in fhir_subscription_deliveries
- * and (if this process owns the dispatcher) immediately POST to the endpoint.
+ *   R4 criteria   Subscription.criteria is a search-style string,
+ *                 "ResourceType?paramName=value&otherParam=value". The
+ *                 notification is a history Bundle whose first entry is the
+ *                 triggering resource.
+ *   Topic-based   (Subscriptions R5 Backport) Subscription.criteria names a
+ *                 topic from src/fhir/subscriptionTopics.js, narrowed by
+ *                 filter criteria. Every notification is a history Bundle led
+ *                 by a SubscriptionStatus Parameters resource; events are
+ *                 numbered per subscription (events_since_start) so a client
+ *                 can spot a gap and fetch it with $events. Push channels get
+ *                 a handshake before the subscription goes active and, if
+ *                 requested, a heartbeat when nothing else has been sent.
  *
- * REST-hook notification body uses an empty Bundle with type=history per
- * the R4 baseline; full-payload deliveries (R5 backport) include the
- * triggering resource as the first entry.
+ * For each created/updated/deleted resource we evaluate every active
+ * subscription. On match, we enqueue a delivery in fhir_subscription_deliveries
+ * and (if this process owns the dispatcher) immediately send it over the
+ * subscription's channel: rest-hook (HTTPS POST), email (SMTP via the SMTP_*
+ * settings; never full-resource) or websocket (sockets bound in this process,
+ * see src/fhir/subscriptionSockets.js).
  */
 
 const https = require('https');
 const http = require('http');
 const dns = require('dns');
 const { withTransaction, getPool } = require('../db/pool');
+const topics = require('./subscriptionTopics');
+const sockets = require('./subscriptionSockets');
+const { newId, newToken, sha256 } = require('../util/ids');
+const { errors } = require('../util/errors');
+const { retryDelaySeconds } = require('../util/backoff');
+const metrics = require('../metrics');
+
+/** Path the websocket channel listens on, below the FHIR base. */
+const WS_PATH = '/fhir/subscription-ws';
+const WS_TOKEN_TTL_SECONDS = 300;
+const MAX_EVENTS_PER_QUERY = 100;
 
 let _logger = null;
 function setLogger(logger) { _logger = logger; }
 function log() { return _logger || console; }
 
+/** Server config (FHIR_BASE_URL, SMTP_*) used to build and send notifications. */
+let _config = {};
+let _mailer = null;
+function configure(config) {
+  _config = config || {};
+  _mailer = null;
+}
+
 const FORBIDDEN_HEADER_NAMES = new Set([
   'host', 'content-length', 'transfer-encoding', 'connection',
   'keep-alive', 'upgrade', 'proxy-authorization', 'te',
@@ -125,6 +155,30 @@ function matchesParam(resource, key, val) {
   }
 }
 
+/**
+ * Does a topic subscription fire for this change? The topic must trigger on
+ * the resource type and interaction, the resource must satisfy the trigger's
+ * `current` query (not checkable for a delete, which carries no body), and
+ * every filter aimed at this resource type must match.
+ */
+function topicMatches(sub, resource, eventType) {
+  const topic = topics.byUrl(sub.topic_url);
+  if (!topic || !resource) return false;
+  const type = resource.resourceType;
+  const trigger = topic.triggers.find((t) => t.resource === type && t.interactions.includes(eventType));
+  if (!trigger) return false;
+  if (trigger.current && eventType !== 'delete' && !matches(`${type}?${trigger.current}`, resource)) {
+    return false;
+  }
+  return (sub.filter_criteria || [])
+    .filter((f) => f.split('?')[0] === type)
+    .every((f) => matches(f, resource));
+}
+
+function subscriptionMatches(sub, resource, eventType) {
+  return sub.topic_url ? topicMatches(sub, resource, eventType) : matches(sub.criteria, resource);
+}
+
 /**
  * Notify all active subscriptions in the org about a triggering resource.
  * Called from the FHIR storage layer after create/update.
@@ -132,18 +186,29 @@ function matchesParam(resource, key, val) {
 async function notify(ctx, resource, eventType /* 'create' | 'update' | 'delete' */) {
   await withTransaction(ctx, async (client) => {
     const r = await client.query(
-      `SELECT id, criteria, channel_type, endpoint, header, payload_mime
+      `SELECT id, criteria, channel_type, topic_url, filter_criteria
        FROM fhir_subscriptions
        WHERE org_id = $1 AND status = 'active'`,
       [ctx.orgId]
     );
     for (const sub of r.rows) {
-      if (!matches(sub.criteria, resource)) continue;
+      if (!subscriptionMatches(sub, resource, eventType)) continue;
+      // Topic events take the next number under the row lock, so concurrent
+      // writers can never hand two events the same number.
+      let eventNumber = null;
+      if (sub.topic_url) {
+        const n = await client.query(
+          `UPDATE fhir_subscriptions SET events_since_start = events_since_start + 1
+            WHERE id = $1 RETURNING events_since_start`,
+          [sub.id]
+        );
+        eventNumber = n.rows[0]?.events_since_start ?? null;
+      }
       await client.query(
         `INSERT INTO fhir_subscription_deliveries
-           (subscription_id, org_id, event_type, triggering_resource, status)
-         VALUES ($1,$2,$3,$4,'pending')`,
-        [sub.id, ctx.orgId, eventType, `${resource.resourceType}/${resource.id}`]
+           (subscription_id, org_id, event_type, triggering_resource, status, event_number)
+         VALUES ($1,$2,$3,$4,'pending',$5)`,
+        [sub.id, ctx.orgId, eventType, `${resource.resourceType}/${resource.id}`, eventNumber]
       );
     }
   });
@@ -151,10 +216,129 @@ async function notify(ctx, resource, eventType /* 'create' | 'update' | 'delete'
   setImmediate(() => dispatchPending().catch(() => {}));
 }
 
+// ----- Notification payloads ---------------------------------------------------
+
+const METHOD_FOR = { create: 'POST', update: 'PUT', delete: 'DELETE' };
+
+function fullUrlFor(ref) {
+  return _config.FHIR_BASE_URL ? `${_config.FHIR_BASE_URL}/${ref}` : ref;
+}
+
+/** The R4 baseline notification: a history Bundle carrying the triggering resource. */
+function criteriaBundle(row, triggering) {
+  const [type, id] = String(row.triggering_resource).split('/');
+  return {
+    resourceType: 'Bundle',
+    type: 'history',
+    timestamp: new Date().toISOString(),
+    entry: triggering ? [
+      {
+        fullUrl: `${type}/${id}`,
+        resource: triggering,
+        request: { method: METHOD_FOR[row.event_type] || 'DELETE', url: `${type}/${id}` },
+      },
+    ] : [],
+  };
+}
+
+/**
+ * SubscriptionStatus for a topic subscription, in its R4 backport form (a
+ * Parameters resource). `type` is handshake, heartbeat, event-notification,
+ * query-status or query-event.
+ */
+function statusParameters(sub, type, events = [], content = sub.content) {
+  const parameter = [
+    { name: 'subscription', valueReference: { reference: fullUrlFor(`Subscription/${sub.fhir_resource_id}`) } },
+    { name: 'topic', valueCanonical: sub.topic_url },
+    { name: 'status', valueCode: sub.status },
+    { name: 'type', valueCode: type },
+    { name: 'events-since-subscription-start', valueString: String(sub.events_since_start ?? 0) },
+  ];
+  for (const e of events) {
+    const part = [
+      { name: 'event-number', valueString: String(e.event_number) },
+      { name: 'timestamp', valueInstant: new Date(e.created_at).toISOString() },
+    ];
+    if (content !== 'empty' && e.triggering_resource) {
+      part.push({ name: 'focus', valueReference: { reference: fullUrlFor(e.triggering_resource) } });
+    }
+    parameter.push({ name: 'notification-event', part });
+  }
+  if (sub.status === 'error' && sub.error_message) {
+    parameter.push({ name: 'error', valueCodeableConcept: { text: sub.error_message } });
+  }
+  return {
+    resourceType: 'Parameters',
+    id: newId(),
+    meta: { profile: ['http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-subscription-status-r4'] },
+    parameter,
+  };
+}
+
+/**
+ * A backport notification Bundle: the status first, then one entry per event
+ * shaped by the content level. `resources` maps "Type/id" to the current body
+ * for full-resource payloads.
+ */
+function notificationBundle(sub, type, events = [], { resources = new Map(), content = sub.content } = {}) {
+  const status = statusParameters(sub, type, events, content);
+  const entry = [{
+    fullUrl: `urn:uuid:${status.id}`,
+    resource: status,
+    request: { method: 'GET', url: `Subscription/${sub.fhir_resource_id}/$status` },
+    response: { status: '200' },
+  }];
+  if (content !== 'empty') {
+    for (const e of events) {
+      if (!e.triggering_resource) continue;
+      const body = content === 'full-resource' && e.event_type !== 'delete'
+        ? resources.get(e.triggering_resource) : undefined;
+      entry.push({
+        fullUrl: fullUrlFor(e.triggering_resource),
+        ...(body ? { resource: body } : {}),
+        request: { method: METHOD_FOR[e.event_type] || 'PUT', url: e.triggering_resource },
+        response: { status: e.event_type === 'create' ? '201' : '200' },
+      });
+    }
+  }
+  return { resourceType: 'Bundle', type: 'history', timestamp: new Date().toISOString(), entry };
+}
+
+async function loadResource(queryable, orgId, ref) {
+  const [type, id] = String(ref).split('/');
+  const r = await queryable.query(
+    `SELECT body FROM fhir_resources
+     WHERE org_id = $1 AND resource_type = $2 AND resource_id = $3`,
+    [orgId, type, id]
+  );
+  return r.rows[0]?.body || null;
+}
+
+/** Serialised notification for one claimed delivery row. */
+async function buildPayload(row, sub) {
+  if (!sub.topic_url) {
+    return JSON.stringify(criteriaBundle(row, await loadResource(getPool(), row.org_id, row.triggering_resource)));
+  }
+  const events = row.event_number != null ? [row] : [];
+  const resources = new Map();
+  if (sub.content === 'full-resource') {
+    for (const e of events) {
+      const body = await loadResource(getPool(), row.org_id, e.triggering_resource);
+      if (body) resources.set(e.triggering_resource, body);
+    }
+  }
+  return JSON.stringify(notificationBundle(sub, row.notification_type, events, { resources }));
+}
+
+// ----- Dispatch ----------------------------------------------------------------
+
 /**
  * Drain pending deliveries using FOR UPDATE SKIP LOCKED to safely allow
  * multiple dispatchers without double-delivery. Called periodically by
- * startDispatcher() and immediately after notify().
+ * startDispatcher() and immediately after notify(). Websocket deliveries are
+ * claimed only by a process holding a socket for that subscription; until a
+ * client binds they wait, and stay queryable through $events. Deliveries for
+ * a subscription in 'error' or 'off' wait until it is active again.
  */
 async function dispatchPending(maxBatch = 50) {
   const isProduction = process.env.NODE_ENV === 'production';
@@ -167,28 +351,36 @@ async function dispatchPending(maxBatch = 50) {
        WHERE id IN (
          SELECT d.id FROM fhir_subscription_deliveries d
          WHERE d.status IN ('pending','retrying')
-           AND d.attempt_count < 5
            AND (d.next_attempt_at IS NULL OR d.next_attempt_at <= now())
+           AND EXISTS (
+             SELECT 1 FROM fhir_subscriptions s
+             WHERE s.id = d.subscription_id AND s.status IN ('requested','active')
+               AND (s.channel_type <> 'websocket' OR s.id = ANY($2::uuid[])))
          ORDER BY d.created_at ASC
          LIMIT $1
          FOR UPDATE SKIP LOCKED
        )
-       RETURNING id, subscription_id, org_id, event_type, triggering_resource, attempt_count`,
-      [maxBatch]
+       RETURNING id, subscription_id, org_id, event_type, triggering_resource, attempt_count,
+                 notification_type, event_number, created_at`,
+      [maxBatch, sockets.boundSubscriptionIds()]
     );
     await client.query('COMMIT');
 
     for (const row of r.rows) {
       const sub = await getPool().query(
-        `SELECT endpoint, channel_type, header, payload_mime FROM fhir_subscriptions WHERE id = $1`,
+        `SELECT id, fhir_resource_id, status, criteria, endpoint, channel_type, header, payload_mime,
+                topic_url, content, events_since_start, error_message
+           FROM fhir_subscriptions WHERE id = $1`,
         [row.subscription_id]
       );
       const s = sub.rows[0];
-      if (!s || s.channel_type !== 'rest-hook' || !s.endpoint) {
-        await markFailed(row.id, 'unsupported channel');
+      if (s) Object.assign(row, { subscription: `Subscription/${s.fhir_resource_id}`, channel_type: s.channel_type });
+      const send = s && CHANNELS[s.channel_type];
+      if (!send || (s.channel_type === 'rest-hook' && !s.endpoint)) {
+        await markFailed(row, 'unsupported channel');
         continue;
       }
-      await deliverOne({ ...row, ...s }, { requireHttps: isProduction });
+      await send(row, s, { requireHttps: isProduction });
     }
   } catch (err) {
     try { await client.query('ROLLBACK'); } catch { /* ignore */ }
@@ -198,45 +390,21 @@ async function dispatchPending(maxBatch = 50) {
   }
 }
 
-async function deliverOne(row, { requireHttps = false } = {}) {
-  const [type, id] = String(row.triggering_resource).split('/');
-  const resR = await getPool().query(
-    `SELECT body FROM fhir_resources
-     WHERE org_id = $1 AND resource_type = $2 AND resource_id = $3`,
-    [row.org_id, type, id]
-  );
-  const triggering = resR.rows[0]?.body || null;
-
-  const bundle = {
-    resourceType: 'Bundle',
-    type: 'history',
-    timestamp: new Date().toISOString(),
-    entry: triggering ? [
-      {
-        fullUrl: `${type}/${id}`,
-        resource: triggering,
-        request: {
-          method: row.event_type === 'create' ? 'POST'
-                : row.event_type === 'update' ? 'PUT' : 'DELETE',
-          url: `${type}/${id}`,
-        },
-      },
-    ] : [],
-  };
-  const payload = JSON.stringify(bundle);
+async function deliverRestHook(row, sub, { requireHttps = false } = {}) {
+  const payload = await buildPayload(row, sub);
   const headers = {
-    'Content-Type': row.payload_mime || 'application/fhir+json',
+    'Content-Type': sub.payload_mime || 'application/fhir+json',
     'Content-Length': Buffer.byteLength(payload),
-    ...sanitizeHeaders(row.header),
+    ...sanitizeHeaders(sub.header),
   };
 
   let url;
   try {
-    url = await resolveAndValidateUrl(row.endpoint, { requireHttps });
+    url = await resolveAndValidateUrl(sub.endpoint, { requireHttps });
   } catch (e) {
     log().error?.({ subscriptionId: row.subscription_id, attempt: row.attempt_count, err: e.message },
       'subscription endpoint validation failed');
-    await markFailed(row.id, e.message || 'invalid endpoint url');
+    await markFailed(row, e.message || 'invalid endpoint url');
     return;
   }
 
@@ -256,73 +424,409 @@ async function deliverOne(row, { requireHttps = false } = {}) {
       res.on('data', (c) => { body += c; });
       res.on('end', () => {
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          markDelivered(row.id, res.statusCode, body).finally(resolve);
+          markDelivered(row, res.statusCode, body).finally(resolve);
         } else {
           log().warn?.({ subscriptionId: row.subscription_id, attempt: row.attempt_count + 1,
             status: res.statusCode }, 'subscription delivery non-2xx');
-          markRetry(row.id, res.statusCode, body, row.attempt_count).finally(resolve);
+          markRetry(row, res.statusCode, body).finally(resolve);
         }
       });
     });
     req.on('error', (err) => {
       log().error?.({ subscriptionId: row.subscription_id, attempt: row.attempt_count + 1,
         err: err.message }, 'subscription delivery network error');
-      markRetry(row.id, 0, err.message, row.attempt_count).finally(resolve);
+      markRetry(row, 0, err.message).finally(resolve);
     });
     req.on('timeout', () => {
       req.destroy();
       log().warn?.({ subscriptionId: row.subscription_id, attempt: row.attempt_count + 1 },
         'subscription delivery timeout');
-      markRetry(row.id, 0, 'timeout', row.attempt_count).finally(resolve);
+      markRetry(row, 0, 'timeout').finally(resolve);
     });
     req.write(payload);
     req.end();
   });
 }
 
-async function markDelivered(id, status, body) {
+function mailer() {
+  if (!_mailer) {
+    const nodemailer = require('nodemailer');
+    _mailer = nodemailer.createTransport({
+      host: _config.SMTP_HOST, port: _config.SMTP_PORT || 587,
+      secure: !!_config.SMTP_SECURE,
+      auth: _config.SMTP_USER ? { user: _config.SMTP_USER, pass: _config.SMTP_PASSWORD } : undefined,
+    });
+  }
+  return _mailer;
+}
+
+/** One line per event for the email body; the full notification is attached. */
+function emailSummary(row, sub) {
+  const lines = [
+    `Subscription: Subscription/${sub.fhir_resource_id}`,
+    `Topic: ${sub.topic_url || sub.criteria || ''}`,
+    `Notification: ${row.notification_type || 'event-notification'}`,
+  ];
+  if (row.triggering_resource) {
+    lines.push(`Event${row.event_number != null ? ` ${row.event_number}` : ''}: ${row.event_type}` +
+      (sub.content === 'empty' ? '' : ` ${row.triggering_resource}`));
+  }
+  lines.push('', 'Retrieve the resource through the TransTrack FHIR API; clinical content is never sent by email.');
+  return lines.join('\n');
+}
+
+async function deliverEmail(row, sub) {
+  if (!_config.SMTP_HOST || !_config.SMTP_FROM) {
+    await markFailed(row, 'SMTP is not configured');
+    return;
+  }
+  // Email never carries clinical content (backportSettings refuses
+  // full-resource), and an R4 criteria subscription has no content level,
+  // so it is sent as id-only.
+  const payload = sub.topic_url
+    ? await buildPayload(row, sub)
+    : JSON.stringify(criteriaBundle(row, null));
+  try {
+    const info = await mailer().sendMail({
+      from: _config.SMTP_FROM,
+      to: String(sub.endpoint).replace(/^mailto:/i, ''),
+      subject: `TransTrack FHIR ${row.notification_type || 'event-notification'}: Subscription/${sub.fhir_resource_id}`,
+      text: emailSummary(row, sub),
+      attachments: [{ filename: 'notification.json', content: payload, contentType: 'application/fhir+json' }],
+    });
+    await markDelivered(row, null, info?.response || 'accepted');
+  } catch (err) {
+    log().warn?.({ subscriptionId: row.subscription_id, attempt: row.attempt_count + 1, err: err.message },
+      'subscription email delivery failed');
+    await markRetry(row, 0, err.message);
+  }
+}
+
+async function deliverWebsocket(row, sub) {
+  const sent = sockets.publish(sub.id, await buildPayload(row, sub));
+  if (sent > 0) {
+    await markDelivered(row, null, `sent to ${sent} websocket(s)`);
+    return;
+  }
+  // The socket closed after the claim: hand the delivery back unchanged.
+  await getPool().query(
+    `UPDATE fhir_subscription_deliveries SET status = 'pending' WHERE id = $1`,
+    [row.id]
+  );
+}
+
+const CHANNELS = {
+  'rest-hook': deliverRestHook,
+  email: deliverEmail,
+  websocket: deliverWebsocket,
+};
+
+/** Retry settings from configure(); see SUBSCRIPTION_* in src/config.js. */
+function retryPolicy() {
+  return {
+    maxAttempts: _config.SUBSCRIPTION_MAX_ATTEMPTS || 5,
+    baseSeconds: _config.SUBSCRIPTION_RETRY_BASE_SECONDS || 30,
+    maxSeconds: _config.SUBSCRIPTION_RETRY_MAX_SECONDS || 3600,
+    jitter: _config.SUBSCRIPTION_RETRY_JITTER ?? 0.2,
+    errorAfterFailures: _config.SUBSCRIPTION_ERROR_AFTER_FAILURES || 10,
+  };
+}
+
+/** Count a delivery outcome on /metrics, per subscription. */
+function countOutcome(row, outcome) {
+  metrics.incLabelled('fhir_subscription_deliveries_total', {
+    org_id: row.org_id,
+    subscription: row.subscription || row.subscription_id,
+    channel: row.channel_type || 'unknown',
+    outcome,
+  });
+  if (outcome !== 'delivered') metrics.inc('fhir_delivery_failures_total');
+}
+
+/**
+ * Record a successful delivery. The subscription's last_notified_at resets
+ * its heartbeat clock and its failure streak, and a delivered handshake
+ * activates it.
+ */
+async function markDelivered(row, status, body) {
   await getPool().query(
-    `UPDATE fhir_subscription_deliveries
-        SET status='delivered', last_attempt_at = now(),
-            attempt_count = attempt_count + 1,
-            response_status = $2, response_body = $3
-      WHERE id = $1`,
-    [id, status, String(body || '').slice(0, 4096)]
+    `WITH d AS (
+       UPDATE fhir_subscription_deliveries
+          SET status='delivered', last_attempt_at = now(),
+              attempt_count = attempt_count + 1,
+              response_status = $2, response_body = $3
+        WHERE id = $1
+        RETURNING subscription_id, notification_type)
+     UPDATE fhir_subscriptions s
+        SET last_notified_at = now(), consecutive_failures = 0,
+            status = CASE WHEN d.notification_type = 'handshake' AND s.status = 'requested'
+                          THEN 'active' ELSE s.status END
+       FROM d
+      WHERE s.id = d.subscription_id`,
+    [row.id, status, String(body || '').slice(0, 4096)]
   );
+  countOutcome(row, 'delivered');
 }
-async function markRetry(id, status, body, currentAttempt = 0) {
-  const nextAttempt = currentAttempt + 1;
-  const backoffSeconds = Math.min(30 * Math.pow(2, nextAttempt), 3600);
+
+/** A failed attempt: schedule the next one, or dead-letter once attempts run out. */
+async function markRetry(row, status, body) {
+  const policy = retryPolicy();
+  const attempt = row.attempt_count + 1;
+  if (attempt >= policy.maxAttempts) {
+    await deadLetter(row, { status, body, reason: `gave up after ${attempt} attempts` });
+    return;
+  }
   await getPool().query(
     `UPDATE fhir_subscription_deliveries
-        SET status = CASE WHEN attempt_count + 1 >= 5 THEN 'failed' ELSE 'retrying' END,
+        SET status = 'retrying',
             last_attempt_at = now(),
             attempt_count = attempt_count + 1,
-            next_attempt_at = now() + ($4 || ' seconds')::interval,
+            next_attempt_at = now() + make_interval(secs => $4),
             response_status = $2, response_body = $3
       WHERE id = $1`,
-    [id, status, String(body || '').slice(0, 4096), String(backoffSeconds)]
+    [row.id, status, String(body || '').slice(0, 4096), retryDelaySeconds(attempt, policy)]
   );
+  countOutcome(row, 'retrying');
+  await recordFailure(row, policy);
+}
+
+/** A delivery that cannot succeed by retrying (bad endpoint, no channel). */
+async function markFailed(row, reason) {
+  await deadLetter(row, { reason });
 }
-async function markFailed(id, reason) {
+
+/**
+ * Park a delivery in the dead-letter list (replay_status 'pending') for an
+ * admin to replay or discard via /subscriptions/dead-letters.
+ */
+async function deadLetter(row, { status = null, body = null, reason }) {
   await getPool().query(
     `UPDATE fhir_subscription_deliveries
         SET status = 'failed', last_attempt_at = now(),
             attempt_count = attempt_count + 1,
-            error_message = $2
+            response_status = COALESCE($2, response_status),
+            response_body = COALESCE($3, response_body),
+            error_message = $4,
+            dead_lettered_at = now(), replay_status = 'pending'
       WHERE id = $1`,
-    [id, reason]
+    [row.id, status, body == null ? null : String(body).slice(0, 4096), reason]
+  );
+  log().warn?.({ subscriptionId: row.subscription_id, deliveryId: row.id, reason },
+    'subscription delivery dead-lettered');
+  countOutcome(row, 'dead_lettered');
+  await recordFailure(row);
+  await failHandshake(row.id, `handshake failed: ${body ? String(body).slice(0, 200) : reason}`);
+}
+
+/**
+ * Extend the subscription's failure streak; at errorAfterFailures an active
+ * subscription goes to 'error' and the dispatcher stops sending for it.
+ */
+async function recordFailure(row, policy = retryPolicy()) {
+  const r = await getPool().query(
+    `UPDATE fhir_subscriptions
+        SET consecutive_failures = consecutive_failures + 1,
+            status = CASE WHEN status = 'active' AND consecutive_failures + 1 >= $2
+                          THEN 'error' ELSE status END,
+            error_message = CASE WHEN status = 'active' AND consecutive_failures + 1 >= $2
+                                 THEN $3 ELSE error_message END
+      WHERE id = $1
+      RETURNING status, consecutive_failures`,
+    [row.subscription_id, policy.errorAfterFailures,
+      `${policy.errorAfterFailures} consecutive delivery failures`]
+  );
+  const sub = r.rows[0];
+  if (sub?.status === 'error' && sub.consecutive_failures === policy.errorAfterFailures) {
+    log().warn?.({ subscriptionId: row.subscription_id, failures: sub.consecutive_failures },
+      'subscription set to error after repeated delivery failures');
+  }
+}
+
+/** A handshake that has finally failed puts its still-requested subscription into error. */
+async function failHandshake(deliveryId, reason) {
+  await getPool().query(
+    `UPDATE fhir_subscriptions s
+        SET status = 'error', error_message = $2
+       FROM fhir_subscription_deliveries d
+      WHERE d.id = $1 AND s.id = d.subscription_id
+        AND d.notification_type = 'handshake' AND d.status = 'failed'
+        AND s.status = 'requested'`,
+    [deliveryId, reason]
   );
 }
 
+/**
+ * Queue a heartbeat for every active topic subscription whose heartbeat
+ * period has passed with nothing sent and nothing queued. Also drops expired
+ * websocket binding tokens.
+ */
+async function enqueueHeartbeats() {
+  await getPool().query(
+    `INSERT INTO fhir_subscription_deliveries
+       (subscription_id, org_id, event_type, notification_type, status)
+     SELECT s.id, s.org_id, 'heartbeat', 'heartbeat', 'pending'
+       FROM fhir_subscriptions s
+      WHERE s.status = 'active' AND s.topic_url IS NOT NULL AND s.heartbeat_period IS NOT NULL
+        AND COALESCE(s.last_notified_at, s.created_at) + make_interval(secs => s.heartbeat_period) <= now()
+        AND NOT EXISTS (
+          SELECT 1 FROM fhir_subscription_deliveries d
+           WHERE d.subscription_id = s.id AND d.status IN ('pending','retrying','in_progress'))`
+  );
+  await getPool().query('DELETE FROM fhir_subscription_ws_tokens WHERE expires_at <= now()');
+}
+
 let _dispatchTimer = null;
 
 function startDispatcher(intervalMs = 5000) {
   if (dispatcherStarted) return _dispatchTimer;
   dispatcherStarted = true;
-  _dispatchTimer = setInterval(() => { dispatchPending().catch(() => {}); }, intervalMs);
+  _dispatchTimer = setInterval(() => {
+    enqueueHeartbeats()
+      .catch((err) => log().error?.({ err: err.message }, 'subscription heartbeat scan failed'))
+      .then(() => dispatchPending())
+      .catch(() => {});
+  }, intervalMs);
   _dispatchTimer.unref();
   return _dispatchTimer;
 }
 
-module.exports = { matches, notify, dispatchPending, startDispatcher, setLogger };
+// ----- Backport operations ($status, $events, $get-ws-binding-token) -----------
+
+const REGISTRY_COLUMNS = [
+  'id', 'fhir_resource_id', 'status', 'criteria', 'channel_type', 'topic_url',
+  'filter_criteria', 'content', 'heartbeat_period', 'events_since_start', 'error_message',
+];
+
+async function registryRow(client, ctx, fhirId) {
+  const r = await client.query(
+    `SELECT ${REGISTRY_COLUMNS.join(', ')} FROM fhir_subscriptions WHERE org_id = $1 AND fhir_resource_id = $2`,
+    [ctx.orgId, fhirId]
+  );
+  return r.rows[0] || null;
+}
+
+function requireTopic(sub) {
+  if (!sub.topic_url) {
+    throw errors.badRequest(`Subscription/${sub.fhir_resource_id} is an R4 criteria subscription, not topic-based`);
+  }
+}
+
+/** Subscription/$status: a searchset of SubscriptionStatus, one per id that exists. */
+async function statusBundle(client, ctx, ids) {
+  const entry = [];
+  for (const id of ids) {
+    const sub = await registryRow(client, ctx, id);
+    if (!sub || !sub.topic_url) continue;
+    const status = statusParameters(sub, 'query-status');
+    entry.push({ fullUrl: `urn:uuid:${status.id}`, resource: status, search: { mode: 'match' } });
+  }
+  return { resourceType: 'Bundle', type: 'searchset', total: entry.length, entry };
+}
+
+/**
+ * Subscription/$events: the retained events numbered eventsSinceNumber through
+ * eventsUntilNumber (both optional, at most MAX_EVENTS_PER_QUERY), so a
+ * client can recover from a gap in the numbering. Returns null for an
+ * unknown subscription.
+ */
+async function eventsBundle(client, ctx, fhirId, { since, until, content } = {}) {
+  const sub = await registryRow(client, ctx, fhirId);
+  if (!sub) return null;
+  requireTopic(sub);
+  for (const [name, v] of [['eventsSinceNumber', since], ['eventsUntilNumber', until]]) {
+    if (v !== undefined && !/^\d+$/.test(String(v))) throw errors.badRequest(`${name} must be a non-negative integer`);
+  }
+  if (content !== undefined && !['empty', 'id-only', 'full-resource'].includes(content)) {
+    throw errors.badRequest('content must be empty, id-only or full-resource');
+  }
+  const level = content || sub.content;
+  const r = await client.query(
+    `SELECT event_number, event_type, triggering_resource, created_at
+       FROM fhir_subscription_deliveries
+      WHERE subscription_id = $1 AND event_number IS NOT NULL
+        AND ($2::bigint IS NULL OR event_number >= $2)
+        AND ($3::bigint IS NULL OR event_number <= $3)
+      ORDER BY event_number ASC
+      LIMIT ${MAX_EVENTS_PER_QUERY}`,
+    [sub.id, since ?? null, until ?? null]
+  );
+  const resources = new Map();
+  if (level === 'full-resource') {
+    for (const e of r.rows) {
+      if (e.event_type === 'delete' || resources.has(e.triggering_resource)) continue;
+      const body = await loadResource(client, ctx.orgId, e.triggering_resource);
+      if (body) resources.set(e.triggering_resource, body);
+    }
+  }
+  return notificationBundle(sub, 'query-event', r.rows, { resources, content: level });
+}
+
+/**
+ * Subscription/$get-ws-binding-token. Only the hash is stored; the token is
+ * returned once. Returns null for an unknown subscription.
+ */
+async function issueBindingToken(client, ctx, fhirId) {
+  const sub = await registryRow(client, ctx, fhirId);
+  if (!sub) return null;
+  if (sub.channel_type !== 'websocket') {
+    throw errors.badRequest(`Subscription/${fhirId} does not use the websocket channel`);
+  }
+  const token = newToken(32);
+  const r = await client.query(
+    `INSERT INTO fhir_subscription_ws_tokens (token_hash, org_id, subscription_id, expires_at)
+     VALUES ($1, $2, $3, now() + make_interval(secs => $4))
+     RETURNING expires_at`,
+    [sha256(token), ctx.orgId, sub.id, WS_TOKEN_TTL_SECONDS]
+  );
+  return { token, expiresAt: new Date(r.rows[0].expires_at).toISOString(), subscription: sub };
+}
+
+/**
+ * Active websocket subscriptions an unexpired binding token covers. A token
+ * is single-use: redeeming it deletes it, so a replayed token binds nothing.
+ */
+async function redeemBindingToken(token) {
+  const r = await getPool().query(
+    `WITH t AS (
+       DELETE FROM fhir_subscription_ws_tokens WHERE token_hash = $1
+       RETURNING subscription_id, expires_at
+     )
+     SELECT ${REGISTRY_COLUMNS.map((c) => `s.${c}`).join(', ')}
+       FROM t
+       JOIN fhir_subscriptions s ON s.id = t.subscription_id
+      WHERE t.expires_at > now()
+        AND s.status = 'active' AND s.channel_type = 'websocket'`,
+    [sha256(token)]
+  );
+  return r.rows;
+}
+
+/** Serve the websocket channel on an http(s) server (see subscriptionSockets.js). */
+function attachWebsocket(server) {
+  return sockets.attach(server, {
+    path: WS_PATH,
+    logger: log(),
+    redeem: redeemBindingToken,
+    handshake: async (sub) => JSON.stringify(
+      sub.topic_url ? notificationBundle(sub, 'handshake') : criteriaBundle({ triggering_resource: '' }, null)),
+  });
+}
+
+module.exports = {
+  matches,
+  topicMatches,
+  notify,
+  dispatchPending,
+  enqueueHeartbeats,
+  startDispatcher,
+  setLogger,
+  configure,
+  notificationBundle,
+  statusBundle,
+  eventsBundle,
+  issueBindingToken,
+  redeemBindingToken,
+  attachWebsocket,
+  WS_PATH,
+  WS_TOKEN_TTL_SECONDS,
+};
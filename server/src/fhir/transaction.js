@@ -0,0 +1,286 @@
+'use strict';
+
+/**
+ * FHIR transaction and batch Bundle processing (POST /fhir).
+ *
+ *   transaction  all-or-nothing. Entries run in the FHIR processing order
+ *                (DELETE, POST, PUT, GET) inside the caller's database
+ *                transaction; the first failing entry aborts the bundle and
+ *                the caller rolls everything back.
+ *   batch        every entry stands alone. Each runs under its own savepoint,
+ *                so a failure rolls back that entry only and is reported as
+ *                an OperationOutcome in its response slot.
+ *
+ * Within a transaction, an entry whose fullUrl is a `urn:uuid:` identifies a
+ * resource being created by the bundle. Server ids are assigned before any
+ * entry executes and every `reference` to such a fullUrl, in any entry, is
+ * rewritten to `Type/id`, so an EHR import can create a Patient and the
+ * Observations that point at it in one request.
+ *
+ * Supported request semantics:
+ *   POST   + ifNoneExist   conditional create: no match creates, one match
+ *                          returns it unchanged (200), several fail with 412
+ *   PUT    Type/id         update, or create with that id
+ *   PUT    Type?query      conditional update, resolved by search the same way
+ *   PUT/DELETE + ifMatch   version check against the current version (412)
+ *   GET    Type/id         read; Type?query returns a searchset
+ *
+ * Authorisation is not done here: the route resolves a storage context for
+ * every entry (entry.ctx) before the bundle starts, as H-4 requires.
+ */
+
+const storage = require('./storage');
+const resources = require('./resources');
+const validator = require('./validator');
+const bundle = require('./bundle');
+const { newId } = require('../util/ids');
+const { errors, HttpError } = require('../util/errors');
+
+const METHOD_OPS = { POST: 'c', PUT: 'u', DELETE: 'd', GET: 'r' };
+const MAX_ENTRIES = 500;
+const PROCESSING_ORDER = { DELETE: 0, POST: 1, PUT: 2, GET: 3 };
+
+const STATUS_TEXT = {
+  200: 'OK', 201: 'Created', 204: 'No Content', 400: 'Bad Request', 403: 'Forbidden',
+  404: 'Not Found', 409: 'Conflict', 410: 'Gone', 412: 'Precondition Failed',
+  422: 'Unprocessable Entity', 500: 'Internal Server Error',
+};
+
+const statusLine = (code) => `${code} ${STATUS_TEXT[code] || ''}`.trim();
+
+/** Search parameters from a query string such as `identifier=sys|1&_count=2`. */
+function parseQuery(qs) {
+  const params = {};
+  for (const [k, v] of new URLSearchParams(qs)) {
+    if (params[k] === undefined) params[k] = v;
+    else params[k] = [].concat(params[k], v);
+  }
+  return params;
+}
+
+function parseEntry(entry, index, supported) {
+  const request = entry?.request;
+  if (!request || !request.method || !request.url) {
+    throw errors.badRequest('Each entry must have a request with method and url');
+  }
+  const method = String(request.method).toUpperCase();
+  const [path, query] = String(request.url).split('?');
+  const [type, id] = path.split('/').filter(Boolean);
+  if (!type || !supported.has(type)) {
+    throw errors.badRequest(`Unsupported resourceType: ${type}`);
+  }
+  const op = METHOD_OPS[method];
+  if (!op) throw errors.badRequest(`Unsupported method: ${request.method}`);
+  if (method === 'PUT' && !id && !query) throw errors.badRequest('PUT requires resource id or search in url');
+  if (method === 'DELETE' && !id) throw errors.badRequest('DELETE requires resource id in url');
+  if (method === 'GET' && !id && !query) throw errors.badRequest('GET requires resource id or search in url');
+  return {
+    index,
+    method,
+    op,
+    type,
+    id: id || null,
+    query: query || null,
+    fullUrl: entry.fullUrl || null,
+    resource: entry.resource,
+    ifNoneExist: request.ifNoneExist || null,
+    ifMatch: request.ifMatch || null,
+  };
+}
+
+/**
+ * Validate the envelope and every entry's request line. Nothing here touches
+ * the database, so a malformed bundle is refused before the transaction opens.
+ */
+function parse(body, supported) {
+  if (!body || body.resourceType !== 'Bundle' || !['transaction', 'batch'].includes(body.type)) {
+    throw errors.badRequest('POST /fhir expects a Bundle with type=transaction or type=batch');
+  }
+  const raw = body.entry || [];
+  if (raw.length === 0) throw errors.badRequest(`The ${body.type} bundle has no entries`);
+  if (raw.length > MAX_ENTRIES) {
+    throw errors.badRequest(`The ${body.type} bundle exceeds the ${MAX_ENTRIES}-entry limit`);
+  }
+  return { kind: body.type, entries: raw.map((e, i) => parseEntry(e, i, supported)) };
+}
+
+/** The single resource a conditional interaction resolves to, or null; several is a 412. */
+async function resolveConditional(client, e, query, what) {
+  const rows = await storage.search(client, e.ctx, e.type, { ...parseQuery(query), _count: '2' });
+  if (rows.length > 1) {
+    throw errors.preconditionFailed(`${what} criteria ${e.type}?${query} matched more than one resource`);
+  }
+  return rows[0] || null;
+}
+
+/** Replace every `reference` naming a bundle-local fullUrl with the server id it was given. */
+function rewriteReferences(value, ids) {
+  if (Array.isArray(value)) return value.map((v) => rewriteReferences(v, ids));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = k === 'reference' && typeof v === 'string' && ids.has(v)
+      ? ids.get(v)
+      : rewriteReferences(v, ids);
+  }
+  return out;
+}
+
+/**
+ * Assign server ids to every transaction POST up front — resolving conditional
+ * creates first, since a match supplies the id — and rewrite the references
+ * and conditional URLs that point at them.
+ */
+async function assignIdentities(client, entries) {
+  const ids = new Map();
+  for (const e of entries) {
+    if (e.method !== 'POST') continue;
+    if (e.ifNoneExist) e.existing = await resolveConditional(client, e, e.ifNoneExist, 'If-None-Exist');
+    e.targetId = e.existing ? e.existing.body.id : newId();
+    if (e.fullUrl) ids.set(e.fullUrl, `${e.type}/${e.targetId}`);
+  }
+  if (ids.size === 0) return;
+  for (const e of entries) {
+    if (e.resource) e.resource = rewriteReferences(e.resource, ids);
+    if (e.query) {
+      for (const [from, to] of ids) e.query = e.query.split(encodeURIComponent(from)).join(to).split(from).join(to);
+    }
+  }
+}
+
+function written(row, status) {
+  const version = row.version_id ?? row.body?.meta?.versionId;
+  const lastUpdated = row.last_updated ?? row.body?.meta?.lastUpdated;
+  return {
+    status: statusLine(status),
+    location: `${row.body.resourceType}/${row.body.id}${version ? `/_history/${version}` : ''}`,
+    etag: version ? `W/"${version}"` : undefined,
+    lastModified: lastUpdated ? new Date(lastUpdated).toISOString() : undefined,
+    resource: row.body,
+  };
+}
+
+async function checkedWrite(client, e, body) {
+  if (!body || body.resourceType !== e.type) {
+    throw errors.badRequest(`Entry resource must be a ${e.type}`);
+  }
+  const handler = resources[e.type];
+  if (handler.validate) handler.validate(body);
+  await validator.enforce(client, e.ctx, e.type, body);
+}
+
+/** Execute one entry; returns its response fields and, for writes, the change to notify. */
+async function perform(client, e, { baseUrl }) {
+  switch (e.method) {
+    case 'POST': {
+      if (e.targetId === undefined && e.ifNoneExist) {
+        e.existing = await resolveConditional(client, e, e.ifNoneExist, 'If-None-Exist');
+      }
+      if (e.existing) return { result: written(e.existing, 200) };
+      await checkedWrite(client, e, e.resource);
+      const row = await storage.create(client, e.ctx, e.type, { ...e.resource, id: e.targetId || newId() });
+      return { result: written(row, 201), change: { resource: row.body, action: 'create' } };
+    }
+    case 'PUT': {
+      let id = e.id;
+      if (!id) {
+        const match = await resolveConditional(client, e, e.query, 'Conditional update');
+        id = match ? match.body.id : e.resource?.id || newId();
+      }
+      if (e.resource?.id && e.resource.id !== id) {
+        throw errors.badRequest(`Resource id ${e.resource.id} does not match ${e.type}/${id}`);
+      }
+      await checkedWrite(client, e, e.resource);
+      const row = await storage.update(client, e.ctx, e.type, id, { ...e.resource, id }, { ifMatch: e.ifMatch || undefined });
+      const created = row.version_id === 1;
+      return { result: written(row, created ? 201 : 200), change: { resource: row.body, action: created ? 'create' : 'update' } };
+    }
+    case 'DELETE': {
+      await storage.softDelete(client, e.ctx, e.type, e.id, { ifMatch: e.ifMatch || undefined });
+      return {
+        result: { status: statusLine(204) },
+        change: { resource: { resourceType: e.type, id: e.id }, action: 'delete' },
+      };
+    }
+    case 'GET': {
+      if (e.query) {
+        const rows = await storage.search(client, e.ctx, e.type, parseQuery(e.query));
+        return { result: { status: statusLine(200), resource: bundle.searchset({ baseUrl, type: e.type, rows }) } };
+      }
+      const row = await storage.read(client, e.ctx, e.type, e.id);
+      if (!row || row.deleted) return { result: { status: statusLine(404) } };
+      return { result: { ...written(row, 200), location: undefined } };
+    }
+    default:
+      throw errors.badRequest(`Unsupported method: ${e.method}`);
+  }
+}
+
+/** Response slot for a failed batch entry. Internal errors keep their detail server-side. */
+function failure(err) {
+  const known = err instanceof HttpError || (err.statusCode && err.statusCode < 500);
+  const status = err instanceof HttpError ? err.status : known ? err.statusCode : 500;
+  return {
+    status: statusLine(status),
+    outcome: bundle.operationOutcome({ diagnostics: known ? err.message : 'Internal server error' }),
+  };
+}
+
+/**
+ * Run a parsed bundle on `client`. Entries whose authorisation failed carry
+ * `entry.denied` (batch only; a transaction is refused before it starts).
+ * Returns the response Bundle and the writes to announce to subscriptions
+ * once the caller has committed.
+ */
+async function execute(client, { kind, entries }, { baseUrl, logger } = {}) {
+  const responses = new Array(entries.length);
+  const changes = [];
+
+  if (kind === 'transaction') {
+    await assignIdentities(client, entries);
+    const ordered = [...entries].sort((a, b) =>
+      PROCESSING_ORDER[a.method] - PROCESSING_ORDER[b.method] || a.index - b.index);
+    for (const e of ordered) {
+      try {
+        const { result, change } = await perform(client, e, { baseUrl });
+        responses[e.index] = result;
+        if (change) changes.push(change);
+      } catch (err) {
+        err.message = `Bundle entry ${e.index} (${e.method} ${e.type}): ${err.message}`;
+        throw err;
+      }
+    }
+  } else {
+    for (const e of entries) {
+      if (e.denied) {
+        responses[e.index] = failure(e.denied);
+        continue;
+      }
+      await client.query('SAVEPOINT fhir_batch_entry');
+      try {
+        const { result, change } = await perform(client, e, { baseUrl });
+        await client.query('RELEASE SAVEPOINT fhir_batch_entry');
+        responses[e.index] = result;
+        if (change) changes.push(change);
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT fhir_batch_entry');
+        if (!(err instanceof HttpError) && logger) logger.error({ err }, 'fhir batch entry failed');
+        responses[e.index] = failure(err);
+      }
+    }
+  }
+
+  return {
+    bundle: {
+      resourceType: 'Bundle',
+      type: `${kind}-response`,
+      entry: responses.map(({ resource, outcome, ...response }) => ({
+        resource,
+        response: { ...response, outcome },
+      })),
+    },
+    changes,
+  };
+}
+
+module.exports = { parse, execute, parseQuery, rewriteReferences, METHOD_OPS, MAX_ENTRIES };
@@ -0,0 +1,272 @@
+'use strict';
+
+/**
+ * FHIR profile validation.
+ *
+ * Backs POST /fhir/:type/$validate and, for organisations that opt in with
+ * `organizations.settings.fhir.enforceProfiles = true`, every create and
+ * update. A resource is checked against:
+ *
+ *   1. the structural hook in src/fhir/resources/index.js, then
+ *   2. the bundled base R4 StructureDefinition for its type, plus every
+ *      profile it claims in meta.profile (or the one named by the caller),
+ *      each together with the definitions it derives from.
+ *
+ * Definitions and ValueSets are bundled under src/fhir/profiles and loaded
+ * offline. Checks: element cardinality, primitive and choice types,
+ * reference target types, `required` bindings, and invariants (FHIRPath
+ * subset, src/fhir/fhirpath.js).
+ *
+ * Issues are returned as OperationOutcome.issue entries with a FHIRPath
+ * `expression` locating the offending element.
+ */
+
+const profiles = require('./profiles');
+const fhirpath = require('./fhirpath');
+const resources = require('./resources');
+const { errors } = require('../util/errors');
+
+const DATE = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+const DATE_TIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+const INSTANT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const isString = (v) => typeof v === 'string' && v.length > 0;
+
+/** Primitive type checks; every other type code must be a JSON object. */
+const PRIMITIVES = {
+  boolean: (v) => typeof v === 'boolean',
+  string: isString,
+  markdown: isString,
+  uri: isString,
+  url: isString,
+  canonical: isString,
+  code: (v) => typeof v === 'string' && /^[^\s]+(\s[^\s]+)*$/.test(v),
+  id: (v) => typeof v === 'string' && /^[A-Za-z0-9\-.]{1,64}$/.test(v),
+  date: (v) => typeof v === 'string' && DATE.test(v),
+  dateTime: (v) => typeof v === 'string' && DATE_TIME.test(v),
+  instant: (v) => typeof v === 'string' && INSTANT.test(v),
+  time: (v) => typeof v === 'string' && /^\d{2}:\d{2}:\d{2}(\.\d+)?$/.test(v),
+  decimal: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  positiveInt: (v) => Number.isInteger(v) && v > 0,
+  unsignedInt: (v) => Number.isInteger(v) && v >= 0,
+};
+
+function issue(severity, code, diagnostics, expression) {
+  return { severity, code, diagnostics, expression: expression ? [expression] : undefined };
+}
+
+/**
+ * Values of child `name` under `parent`, each with its location. A choice
+ * element (`value[x]`) matches every `valueXxx` key and records the suffix.
+ */
+function childValues(parent, name, loc) {
+  if (!parent || typeof parent !== 'object' || Array.isArray(parent)) return [];
+  let keys;
+  if (name.endsWith('[x]')) {
+    const prefix = name.slice(0, -3);
+    keys = Object.keys(parent).filter((k) => k.startsWith(prefix) && /^[A-Z]/.test(k.slice(prefix.length)));
+  } else {
+    keys = Object.prototype.hasOwnProperty.call(parent, name) ? [name] : [];
+  }
+  const out = [];
+  for (const key of keys) {
+    const v = parent[key];
+    const choice = name.endsWith('[x]') ? key.slice(name.length - 3) : null;
+    if (Array.isArray(v)) {
+      v.forEach((item, i) => {
+        if (item !== null && item !== undefined) out.push({ value: item, loc: `${loc}.${key}[${i}]`, choice });
+      });
+    } else if (v !== null && v !== undefined) {
+      out.push({ value: v, loc: `${loc}.${key}`, choice });
+    }
+  }
+  return out;
+}
+
+function nodesAt(resource, root, segments) {
+  let nodes = [{ value: resource, loc: root }];
+  for (const seg of segments) {
+    nodes = nodes.flatMap((n) => childValues(n.value, seg, n.loc));
+  }
+  return nodes;
+}
+
+/** Element type a value must conform to; for a choice, the one its key names. */
+function typeOf(element, node) {
+  const types = (element.type || []).map((t) => t.code);
+  if (!node.choice) return types.length === 1 ? element.type[0] : null;
+  const code = node.choice[0].toLowerCase() + node.choice.slice(1);
+  return (element.type || []).find((t) => t.code === code || t.code === node.choice) || { invalid: node.choice };
+}
+
+function targetTypes(targetProfiles) {
+  return targetProfiles.map((url) => profiles.definition(url)?.type || url.split('/').pop());
+}
+
+function checkBinding(element, node, issues) {
+  const vs = profiles.valueSet(element.binding.valueSet);
+  if (!vs) {
+    issues.push(issue('warning', 'not-supported',
+      `ValueSet ${element.binding.valueSet} is not bundled; binding not checked`, node.loc));
+    return;
+  }
+  const v = node.value;
+  let ok;
+  if (typeof v === 'string') {
+    ok = [...vs.systems].some((system) => vs.codes.has(`${system}|${v}`));
+  } else if (Array.isArray(v?.coding)) {
+    ok = v.coding.some((c) => vs.codes.has(`${c.system}|${c.code}`));
+  } else {
+    ok = vs.codes.has(`${v?.system}|${v?.code}`);
+  }
+  if (!ok) {
+    issues.push(issue('error', 'code-invalid',
+      `Value is not in the required ValueSet ${element.binding.valueSet}`, node.loc));
+  }
+}
+
+function checkConstraints(element, node, issues) {
+  for (const c of element.constraint || []) {
+    let result;
+    try {
+      result = fhirpath.truth(c.evaluate(node.value));
+    } catch (e) {
+      issues.push(issue('error', 'invariant', `${c.key}: could not be evaluated (${e.message})`, node.loc));
+      continue;
+    }
+    if (result === false) {
+      issues.push(issue(c.severity === 'warning' ? 'warning' : 'error', 'invariant', `${c.key}: ${c.human}`, node.loc));
+    }
+  }
+}
+
+function checkValue(element, node, issues) {
+  const type = typeOf(element, node);
+  if (type?.invalid) {
+    issues.push(issue('error', 'structure', `${type.invalid} is not a permitted type for ${element.path}`, node.loc));
+    return;
+  }
+  if (type) {
+    const check = PRIMITIVES[type.code];
+    const ok = check ? check(node.value) : typeof node.value === 'object' && !Array.isArray(node.value);
+    if (!ok) {
+      issues.push(issue('error', 'value', `Value is not a valid ${type.code}`, node.loc));
+      return;
+    }
+    if (type.code === 'Reference' && type.targetProfile && typeof node.value.reference === 'string') {
+      const m = node.value.reference.match(/(?:^|\/)([A-Z][A-Za-z]+)\/[^/]+$/);
+      const allowed = targetTypes(type.targetProfile);
+      if (m && !allowed.includes(m[1])) {
+        issues.push(issue('error', 'invalid',
+          `Reference to ${m[1]} is not permitted; expected ${allowed.join(' | ')}`, node.loc));
+      }
+    }
+  }
+  if (element.binding?.strength === 'required') checkBinding(element, node, issues);
+  checkConstraints(element, node, issues);
+}
+
+function validateAgainst(sd, resource, issues) {
+  for (const element of sd.snapshot.element) {
+    const [root, ...rest] = element.path.split('.');
+    if (rest.length === 0) {
+      checkConstraints(element, { value: resource, loc: root }, issues);
+      continue;
+    }
+    const name = rest.pop();
+    for (const parent of nodesAt(resource, root, rest)) {
+      const children = childValues(parent.value, name, parent.loc);
+      if (children.length < element.min) {
+        issues.push(issue('error', 'required',
+          `${element.path}: minimum required = ${element.min}, but only found ${children.length} (from ${sd.url})`,
+          `${parent.loc}.${name}`));
+      }
+      if (element.max !== '*' && children.length > Number(element.max)) {
+        issues.push(issue('error', 'structure',
+          `${element.path}: maximum allowed = ${element.max}, but found ${children.length} (from ${sd.url})`,
+          `${parent.loc}.${name}`));
+      }
+      for (const child of children) checkValue(element, child, issues);
+    }
+  }
+}
+
+/**
+ * Validate `resource` as `type`. `profile`, when given, replaces the profiles
+ * the resource claims in meta.profile. Returns OperationOutcome issues; an
+ * empty array means the resource is valid.
+ */
+function validate(type, resource, { profile } = {}) {
+  if (!resource || typeof resource !== 'object' || resource.resourceType !== type) {
+    return [issue('fatal', 'invalid', `resourceType must be ${type}`)];
+  }
+  const issues = [];
+  const handler = resources[type];
+  if (handler?.validate) {
+    try {
+      handler.validate(resource);
+    } catch (e) {
+      issues.push(issue('error', 'structure', e.message));
+    }
+  }
+
+  const definitions = new Set();
+  const base = profiles.baseDefinition(type);
+  if (base) definitions.add(base);
+  const claimed = profile ? [profile] : resource.meta?.profile || [];
+  for (const url of claimed) {
+    const chain = profiles.chain(url);
+    if (chain.length === 0) {
+      issues.push(issue(profile ? 'error' : 'warning', 'not-supported', `Profile ${url} is not known to this server`));
+      continue;
+    }
+    if (chain[chain.length - 1].type !== type) {
+      issues.push(issue('error', 'invalid', `Profile ${url} constrains ${chain[chain.length - 1].type}, not ${type}`));
+      continue;
+    }
+    chain.forEach((sd) => definitions.add(sd));
+  }
+  if (definitions.size === 0) {
+    issues.push(issue('information', 'informational',
+      `No StructureDefinition is bundled for ${type}; only structural checks were applied`));
+  }
+  for (const sd of definitions) validateAgainst(sd, resource, issues);
+  // A profile often repeats a base binding or invariant; report each finding once.
+  const seen = new Set();
+  return issues.filter((i) => {
+    const key = `${i.severity}|${i.code}|${i.diagnostics}|${i.expression}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+const isFailure = (i) => i.severity === 'error' || i.severity === 'fatal';
+
+/** OperationOutcome for $validate; an all-clear still carries one issue, as FHIR requires. */
+function outcome(issues) {
+  return {
+    resourceType: 'OperationOutcome',
+    issue: issues.length
+      ? issues
+      : [{ severity: 'information', code: 'informational', diagnostics: 'Validation successful' }],
+  };
+}
+
+/**
+ * Reject a create or update that fails profile validation, when the caller's
+ * organisation has opted in. Runs inside the write transaction so the setting
+ * is read under the same tenant context as the write.
+ */
+async function enforce(client, ctx, type, body) {
+  const r = await client.query(`SELECT settings FROM organizations WHERE id = $1`, [ctx.orgId]);
+  if (r.rows[0]?.settings?.fhir?.enforceProfiles !== true) return;
+  const issues = validate(type, body);
+  if (issues.some(isFailure)) {
+    throw errors.unprocessable(`${type} does not conform to its profile`, 'profile_validation_failed',
+      issues.filter(isFailure));
+  }
+}
+
+module.exports = { validate, outcome, enforce, isFailure };
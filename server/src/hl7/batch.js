@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * HL7 v2 batch-file ingest (FHS/BHS/BTS/FTS).
+ *
+ * The uploaded file is read as a stream through the shared BatchReader
+ * (electron/services/hl7Batch.cjs). Each message is parsed, matched to its
+ * vendor profile and ingested as soon as it is complete, exactly as a
+ * message arriving over MLLP would be, so a large file is never held in
+ * memory. The file's hl7_batches row records the envelope, the ACK-code
+ * counts, the BTS-1/FTS-1 reconciliation and the batch acknowledgement.
+ */
+
+const path = require('path');
+const { withTransaction } = require('../db/pool');
+const { errors } = require('../util/errors');
+const ingestMod = require('./ingest');
+const { parseMessage } = require('./messageParser');
+const vendorProfileService = require('../services/vendorProfileService');
+const batchFiles = require(path.join(__dirname, '..', '..', '..', 'electron', 'services', 'hl7Batch.cjs'));
+
+let _config = {};
+
+function configure(config) {
+  _config = config || {};
+}
+
+function maxUploadBytes() {
+  return (_config.HL7_BATCH_MAX_UPLOAD_MB || 256) * 1024 * 1024;
+}
+
+/** One message of the file: ingest it and return its ACK entry. */
+async function ingestOne(ctx, item, batchId, peer, logger) {
+  let parsed;
+  try {
+    parsed = parseMessage(item.raw);
+  } catch (e) {
+    logger?.warn({ err: e.message, sequence: item.sequence }, 'hl7 batch: message parse failed');
+    return { batch: item.batch, sequence: item.sequence, message_control_id: null, code: 'AR', text: 'Message parse failure' };
+  }
+  try {
+    const profile = await vendorProfileService.findFor(ctx, parsed.sending_app, parsed.sending_facility);
+    if (profile) parsed = parseMessage(item.raw, profile);
+  } catch (e) {
+    logger?.warn({ err: e.message }, 'hl7 batch: vendor-profile lookup failed; using defaults');
+  }
+  const entry = {
+    batch: item.batch,
+    sequence: item.sequence,
+    message_control_id: parsed.message_control_id || null,
+    encoding: parsed.encoding,
+    character_set: parsed.character_set,
+  };
+  try {
+    const result = await ingestMod.ingest({
+      rawMessage: item.raw,
+      parsed,
+      ctx,
+      peer,
+      transport: 'file',
+      batch: { id: batchId, sequence: item.sequence },
+    });
+    return { ...entry, code: result.ackCode, text: result.ackText, processed: result.processed,
+      hl7_message_id: result.hl7MessageId };
+  } catch (e) {
+    logger?.error({ err: e, sequence: item.sequence }, 'hl7 batch: ingest threw');
+    return { ...entry, code: 'AE', text: 'Internal processing error' };
+  }
+}
+
+async function finish(ctx, batchId, fields) {
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `UPDATE hl7_batches
+          SET status = $3, file_control_id = $4, sending_app = $5, sending_facility = $6,
+              batch_count = $7, message_count = $8, accepted_count = $9, error_count = $10,
+              rejected_count = $11, duplicate_count = $12, reconciled = $13, envelope = $14,
+              reconciliation = $15, ack_message = $16, error_message = $17, completed_at = now()
+        WHERE org_id = $1 AND id = $2
+        RETURNING *`,
+      [ctx.orgId, batchId, fields.status, fields.fileControlId, fields.sendingApp, fields.sendingFacility,
+        fields.batchCount, fields.messageCount, fields.tally.accepted, fields.tally.errors,
+        fields.tally.rejected, fields.duplicates, fields.reconciled, JSON.stringify(fields.envelope),
+        JSON.stringify(fields.issues), fields.ack, fields.error || null]
+    );
+    return r.rows[0];
+  });
+}
+
+/**
+ * Ingest a batch file from `stream` (any async iterable of Buffers).
+ * Returns the hl7_batches row plus the NAKs ({ sequence, control id, code,
+ * text } for every message not accepted). A file over the size cap, or a
+ * message over HL7_MLLP_MAX_MESSAGE_BYTES, stops the read: the row is left
+ * 'aborted' with what was ingested so far and the error is rethrown with
+ * the batch id in its details.
+ */
+async function ingestFile(ctx, stream, { filename = null, peer = null, logger = null } = {}) {
+  const created = await withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `INSERT INTO hl7_batches (org_id, filename, uploaded_by) VALUES ($1,$2,$3) RETURNING id`,
+      [ctx.orgId, filename, ctx.userId || null]
+    );
+    return r.rows[0];
+  });
+  const batchId = created.id;
+  const reader = new batchFiles.BatchReader({ maxMessageBytes: _config.HL7_MLLP_MAX_MESSAGE_BYTES || undefined });
+  const limit = maxUploadBytes();
+  const results = [];
+  let failure = null;
+
+  try {
+    for await (const chunk of stream) {
+      if (reader.bytesRead + chunk.length > limit) {
+        throw errors.payloadTooLarge(`Batch file exceeds ${_config.HL7_BATCH_MAX_UPLOAD_MB || 256} MB`);
+      }
+      for (const item of reader.push(chunk)) results.push(await ingestOne(ctx, item, batchId, peer, logger));
+    }
+    for (const item of reader.end()) results.push(await ingestOne(ctx, item, batchId, peer, logger));
+  } catch (e) {
+    failure = e instanceof batchFiles.BatchError ? errors.badRequest(e.message, e.code) : e;
+  }
+
+  const envelope = reader.envelope();
+  const { reconciled, issues } = batchFiles.reconcile(envelope);
+  if (failure) issues.push({ code: 'aborted', message: `Read stopped after ${results.length} message(s): ${failure.message}` });
+  const tally = batchFiles.tally(results);
+  const first = envelope.batches.find((b) => b.header)?.header;
+  const row = await finish(ctx, batchId, {
+    status: failure ? 'aborted' : 'completed',
+    fileControlId: envelope.file_header?.control_id || null,
+    sendingApp: envelope.file_header?.sending_app || first?.sending_app || null,
+    sendingFacility: envelope.file_header?.sending_facility || first?.sending_facility || null,
+    batchCount: envelope.batches.length,
+    messageCount: envelope.message_count,
+    tally,
+    duplicates: results.filter((r) => r.processed === 'duplicate').length,
+    reconciled: failure ? false : reconciled,
+    envelope,
+    issues,
+    ack: batchFiles.buildBatchAck(envelope, results, {
+      sendingApp: _config.HL7_OUTBOUND_SENDING_APP || 'TransTrack',
+      sendingFacility: _config.HL7_OUTBOUND_SENDING_FACILITY || 'TransTrack',
+    }),
+    error: failure?.message,
+  });
+  if (failure) {
+    if (failure.status) failure.details = { batch_id: batchId, messages_ingested: results.length };
+    throw failure;
+  }
+  return {
+    ...row,
+    naks: results
+      .filter((r) => r.code !== 'AA' && r.code !== 'CA')
+      .map(({ sequence, batch, message_control_id, code, text }) => ({ sequence, batch, message_control_id, code, text })),
+  };
+}
+
+module.exports = { configure, ingestFile, maxUploadBytes };
@@ -0,0 +1,248 @@
+'use strict';
+
+/**
+ * HL7 v2 conformance profiles and validation.
+ *
+ * A conformance profile (hl7_conformance_profiles, attached to a vendor
+ * profile) states what a sending application promises to send. Its
+ * definition is JSON:
+ *
+ *   {
+ *     "messages": {
+ *       "ADT^A08": { "segments": [
+ *         { "name": "MSH", "min": 1, "max": 1 },
+ *         { "name": "PID", "min": 1, "max": 1, "fields": [
+ *           { "field": 3, "required": true, "datatype": "CX", "maxRepeats": 5 },
+ *           { "field": 5, "required": true, "components": [
+ *             { "component": 1, "required": true, "maxLength": 80 } ] },
+ *           { "field": 8, "table": "0001", "severity": "warning" } ] },
+ *         { "name": "OBX", "max": "*" } ] },
+ *       "*": { "segments": [ { "name": "MSH", "min": 1, "max": 1 } ] }
+ *     },
+ *     "tables": { "0001": ["F", "M", "O", "U", "A", "N"] },
+ *     "allowUnlistedSegments": true
+ *   }
+ *
+ * The entry for "TYPE^EVENT" applies, else "TYPE", else "*"; a message with
+ * no entry is not checked. validate() returns a report whose findings carry
+ * a severity and a path such as PID-5.1, OBX[2]-5 or PID-3[2]. Values are
+ * checked after escape sequences are decoded.
+ */
+
+const path = require('path');
+const { z } = require('zod');
+const { errors } = require('../util/errors');
+const baseParser = require(path.join(__dirname, '..', '..', '..', 'electron', 'services', 'hl7v2.cjs'));
+
+/** HL7 tables used often enough to ship; a profile's own tables override these. */
+const BUILTIN_TABLES = {
+  '0001': ['F', 'M', 'O', 'U', 'A', 'N'],
+  '0004': ['B', 'C', 'E', 'I', 'N', 'O', 'P', 'R', 'U'],
+  '0078': ['L', 'H', 'LL', 'HH', 'N', 'A', 'AA', 'S', 'R', 'I', 'NEG', 'POS', '<', '>'],
+  '0085': ['C', 'D', 'F', 'I', 'N', 'O', 'P', 'R', 'S', 'U', 'W', 'X'],
+  '0103': ['D', 'P', 'T'],
+  '0125': ['AD', 'CE', 'CF', 'CK', 'CN', 'CP', 'CWE', 'CX', 'DT', 'DTM', 'ED', 'FT', 'ID', 'MO',
+    'NM', 'PN', 'RP', 'SN', 'ST', 'TM', 'TN', 'TS', 'TX', 'XAD', 'XCN', 'XON', 'XPN', 'XTN'],
+};
+
+/** Format checks for primitive datatypes; composite types are not checked. */
+const DATATYPE_PATTERNS = {
+  DT: /^\d{4}(\d{2}(\d{2})?)?$/,
+  DTM: /^\d{4}(\d{2}(\d{2}(\d{2}(\d{2}(\d{2}(\.\d{1,4})?)?)?)?)?)?([+-]\d{4})?$/,
+  TS: /^\d{4}(\d{2}(\d{2}(\d{2}(\d{2}(\d{2}(\.\d{1,4})?)?)?)?)?)?([+-]\d{4})?$/,
+  TM: /^\d{2}(\d{2}(\d{2}(\.\d{1,4})?)?)?([+-]\d{4})?$/,
+  NM: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+  SI: /^\d+$/,
+};
+
+const severity = z.enum(['error', 'warning']).optional();
+const componentRule = z.object({
+  component: z.number().int().min(1),
+  required: z.boolean().optional(),
+  maxLength: z.number().int().positive().optional(),
+  datatype: z.string().optional(),
+  table: z.string().optional(),
+  severity,
+}).strict();
+const fieldRule = z.object({
+  field: z.number().int().min(1),
+  required: z.boolean().optional(),
+  maxLength: z.number().int().positive().optional(),
+  maxRepeats: z.number().int().positive().optional(),
+  datatype: z.string().optional(),
+  table: z.string().optional(),
+  components: z.array(componentRule).optional(),
+  severity,
+}).strict();
+const segmentRule = z.object({
+  name: z.string().regex(/^[A-Z][A-Z0-9]{2}$/),
+  min: z.number().int().min(0).optional(),
+  max: z.union([z.number().int().min(0), z.literal('*')]).optional(),
+  fields: z.array(fieldRule).optional(),
+  severity,
+}).strict();
+const definitionSchema = z.object({
+  messages: z.record(z.object({ segments: z.array(segmentRule) }).strict()),
+  tables: z.record(z.array(z.string())).optional(),
+  allowUnlistedSegments: z.boolean().optional(),
+}).strict();
+
+/** Parse a profile definition; a malformed one is a 400 with the zod issues. */
+function parseDefinition(definition) {
+  const r = definitionSchema.safeParse(definition);
+  if (!r.success) {
+    throw errors.badRequest('Invalid conformance profile definition', 'invalid_profile',
+      r.error.issues.map((i) => ({ path: i.path.join('.'), message: i.message })));
+  }
+  return r.data;
+}
+
+function ruleFor(definition, messageType, triggerEvent) {
+  const m = definition.messages || {};
+  return m[`${messageType}^${triggerEvent}`] || m[messageType] || m['*'] || null;
+}
+
+/** Raw segments split by the message's own separators, for positional checks. */
+function splitRaw(raw) {
+  const lines = baseParser.splitSegments(raw);
+  const enc = lines[0]?.startsWith('MSH') ? baseParser.readEncoding(lines[0]) : baseParser.DEFAULT_ENCODING;
+  const charset = lines[0]?.startsWith('MSH') ? baseParser.readCharset(lines[0], enc) : null;
+  const segments = lines.map((line) => {
+    const parts = line.split(enc.field);
+    const name = parts[0];
+    // MSH-1 is the field separator itself, so MSH-n sits at parts[n - 1].
+    const fields = name === 'MSH' ? [enc.field, ...parts.slice(1)] : parts.slice(1);
+    return { name, fields };
+  });
+  return { segments, enc, charset };
+}
+
+function pathOf(name, occurrence, field, repetition, component) {
+  let p = name;
+  if (occurrence > 1) p += `[${occurrence}]`;
+  p += `-${field}`;
+  if (repetition > 1) p += `[${repetition}]`;
+  if (component) p += `.${component}`;
+  return p;
+}
+
+/**
+ * Validate `raw` against a conformance profile row ({ id, name, definition,
+ * on_error, reject_ack_code }). Returns null when the profile has no rule for
+ * the message type.
+ */
+function validate(raw, profile) {
+  const definition = profile.definition || {};
+  const { segments, enc, charset } = splitRaw(raw);
+  const msh = segments[0]?.name === 'MSH' ? segments[0] : null;
+  const type = msh ? String(msh.fields[8] || '').split(enc.component) : [];
+  const rule = ruleFor(definition, type[0] || '', type[1] || '');
+  if (!rule) return null;
+
+  const tables = { ...BUILTIN_TABLES, ...(definition.tables || {}) };
+  const findings = [];
+  const add = (sev, p, code, message) => findings.push({ severity: sev || 'error', path: p, code, message });
+  const decode = (v) => baseParser.unescapeText(v, enc, charset);
+
+  const checkValue = (r, value, p) => {
+    if (value === '') return;
+    const text = decode(value);
+    if (r.maxLength && text.length > r.maxLength) {
+      add(r.severity, p, 'max_length', `${p} is ${text.length} characters, more than ${r.maxLength}`);
+    }
+    const pattern = r.datatype && DATATYPE_PATTERNS[r.datatype.toUpperCase()];
+    if (pattern && !pattern.test(text)) {
+      add(r.severity, p, 'datatype', `${p} '${text}' is not a valid ${r.datatype.toUpperCase()}`);
+    }
+    if (r.table) {
+      const allowed = tables[r.table];
+      if (!allowed) add('warning', p, 'unknown_table', `${p} refers to table ${r.table}, which the profile does not define`);
+      else if (!allowed.includes(text)) add(r.severity, p, 'table_value', `${p} '${text}' is not in table ${r.table}`);
+    }
+  };
+
+  const checkField = (seg, occurrence, fr) => {
+    const raw = seg.fields[fr.field - 1] ?? '';
+    const p = pathOf(seg.name, occurrence, fr.field);
+    if (raw === '' || raw === '""') {
+      if (fr.required) add(fr.severity, p, 'field_required', `${p} is required`);
+      return;
+    }
+    // MSH-1 and MSH-2 hold the separators and are not split.
+    const reps = seg.name === 'MSH' && fr.field <= 2 ? [raw] : raw.split(enc.repetition);
+    if (fr.maxRepeats && reps.length > fr.maxRepeats) {
+      add(fr.severity, p, 'field_repetition', `${p} repeats ${reps.length} times, more than ${fr.maxRepeats}`);
+    }
+    reps.forEach((rep, i) => {
+      const rp = pathOf(seg.name, occurrence, fr.field, i + 1);
+      if (!fr.components) {
+        // A field without component rules is checked as one value (its first component).
+        checkValue(fr, seg.name === 'MSH' && fr.field <= 2 ? rep : rep.split(enc.component)[0], rp);
+        return;
+      }
+      const comps = rep.split(enc.component);
+      for (const cr of fr.components) {
+        const value = comps[cr.component - 1] ?? '';
+        const cp = pathOf(seg.name, occurrence, fr.field, i + 1, cr.component);
+        if (value === '') {
+          if (cr.required) add(cr.severity ?? fr.severity, cp, 'component_required', `${cp} is required`);
+          continue;
+        }
+        checkValue({ ...cr, severity: cr.severity ?? fr.severity }, value, cp);
+      }
+    });
+  };
+
+  const listed = new Set(rule.segments.map((s) => s.name));
+  for (const sr of rule.segments) {
+    const found = segments.filter((s) => s.name === sr.name);
+    const min = sr.min ?? 0;
+    const max = sr.max ?? '*';
+    if (found.length < min) {
+      add(sr.severity, sr.name, found.length ? 'segment_cardinality' : 'segment_missing',
+        `${sr.name} occurs ${found.length} time(s), at least ${min} required`);
+    }
+    if (max !== '*' && found.length > max) {
+      add(sr.severity, sr.name, 'segment_cardinality', `${sr.name} occurs ${found.length} times, at most ${max} allowed`);
+    }
+    found.forEach((seg, i) => {
+      for (const fr of sr.fields || []) checkField(seg, i + 1, fr);
+    });
+  }
+  if (definition.allowUnlistedSegments === false) {
+    for (const name of new Set(segments.map((s) => s.name))) {
+      if (!listed.has(name)) add('error', name, 'segment_unexpected', `${name} is not allowed by the profile`);
+    }
+  }
+
+  const errorCount = findings.filter((f) => f.severity === 'error').length;
+  return {
+    profile: { id: profile.id || null, name: profile.name || null },
+    message_type: type.slice(0, 2).filter(Boolean).join('^') || null,
+    on_error: profile.on_error || 'accept_with_warning',
+    reject_ack_code: profile.reject_ack_code || 'AR',
+    valid: errorCount === 0,
+    error_count: errorCount,
+    warning_count: findings.length - errorCount,
+    findings,
+    validated_at: new Date().toISOString(),
+  };
+}
+
+/**
+ * ACK for a validation report: { reject, ackCode, ackText }. With on_error
+ * 'reject' an invalid message is refused with the profile's reject code
+ * (AR, or AE when the sender should correct and resend); otherwise it is
+ * processed and the findings are summarised in the ACK text.
+ */
+function outcome(report) {
+  if (!report || (report.valid && !report.warning_count)) return { reject: false };
+  const first = report.findings[0];
+  const summary = `${report.error_count} conformance error(s), ${report.warning_count} warning(s); first: ${first.path} ${first.code}`;
+  if (!report.valid && report.on_error === 'reject') {
+    return { reject: true, ackCode: report.reject_ack_code, ackText: `Rejected: ${summary}` };
+  }
+  return { reject: false, ackText: `Accepted with ${summary}` };
+}
+
+module.exports = { validate, outcome, parseDefinition, BUILTIN_TABLES, DATATYPE_PATTERNS };
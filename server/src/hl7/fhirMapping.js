@@ -0,0 +1,824 @@
+'use strict';
+
+/**
+ * HL7 v2 to FHIR R4 mapping.
+ *
+ * ingest.js lifts a message into the native tables; this module writes the
+ * same message into fhir_resources so SMART apps, Subscriptions and bulk
+ * export see it too:
+ *
+ *   PID          Patient
+ *   PV1          Encounter
+ *   OBR + OBX    DiagnosticReport with its Observations (OBX with no OBR
+ *                becomes a standalone Observation)
+ *   AL1, IAM     AllergyIntolerance
+ *   ORC + RXE    MedicationRequest (RXR gives the route)
+ *   TXA + OBX    DocumentReference, the OBX text as its attachment
+ *
+ * plus one Provenance per message whose entity is the hl7_messages row.
+ * Resource ids are derived from the identifiers the sender gives (PID-3,
+ * PV1-19, OBR-3/OBR-2, ORC-2, TXA-12), so a corrected result or a repeated
+ * A08 updates the resource it updated last time rather than adding another.
+ * A Patient that already exists in fhir_resources with the same MRN (from
+ * a FHIR client or the Epic import) is updated in place.
+ *
+ * The mapping is configured per org in organizations.settings.hl7.fhirMapping
+ * and per vendor profile in config.fhirMapping, the vendor profile winning:
+ *
+ *   {
+ *     "enabled": true,
+ *     "resources": ["Encounter", "DiagnosticReport", "Observation", ...],
+ *     "identifierSystem": "urn:oid:1.2.3",          // PID-3 system fallback
+ *     "assigningAuthorities": { "EPIC": "urn:oid:1.2.3" },   // PID-3.4 -> system
+ *     "codeSystems": { "L": "http://example.org/local-labs" }, // CWE-3 -> system
+ *     "timezoneOffset": "-05:00"                    // for times sent without one
+ *   }
+ *
+ * Patient is always written, since every other resource refers to it;
+ * `resources` chooses among the rest. A message with no PID-3 maps to
+ * nothing.
+ */
+
+const path = require('path');
+const { z } = require('zod');
+const { errors } = require('../util/errors');
+const { sha256 } = require('../util/ids');
+const storage = require('../fhir/storage');
+const validator = require('../fhir/validator');
+const resourceHooks = require('../fhir/resources');
+const baseParser = require(path.join(__dirname, '..', '..', '..', 'electron', 'services', 'hl7v2.cjs'));
+
+const MAPPED_TYPES = ['Encounter', 'DiagnosticReport', 'Observation', 'AllergyIntolerance',
+  'MedicationRequest', 'DocumentReference'];
+
+const DEFAULTS = Object.freeze({
+  enabled: true,
+  resources: MAPPED_TYPES,
+  identifierSystem: null,
+  assigningAuthorities: {},
+  codeSystems: {},
+  timezoneOffset: 'Z',
+});
+
+const configSchema = z.object({
+  enabled: z.boolean().optional(),
+  resources: z.array(z.enum(MAPPED_TYPES)).optional(),
+  identifierSystem: z.string().min(1).nullable().optional(),
+  assigningAuthorities: z.record(z.string().min(1)).optional(),
+  codeSystems: z.record(z.string().min(1)).optional(),
+  timezoneOffset: z.string().regex(/^(Z|[+-]\d{2}:\d{2})$/).optional(),
+}).strict();
+
+/** Parse a mapping configuration; a malformed one is a 400 with the zod issues. */
+function parseConfig(config) {
+  const r = configSchema.safeParse(config);
+  if (!r.success) {
+    throw errors.badRequest('Invalid HL7 to FHIR mapping configuration', 'invalid_fhir_mapping',
+      r.error.issues.map((i) => ({ path: i.path.join('.'), message: i.message })));
+  }
+  return r.data;
+}
+
+/** Defaults, then the org's settings, then the vendor profile's. */
+function resolveConfig(orgConfig, vendorConfig) {
+  const org = orgConfig ? parseConfig(orgConfig) : {};
+  const vendor = vendorConfig ? parseConfig(vendorConfig) : {};
+  return {
+    ...DEFAULTS,
+    ...org,
+    ...vendor,
+    assigningAuthorities: { ...org.assigningAuthorities, ...vendor.assigningAuthorities },
+    codeSystems: { ...org.codeSystems, ...vendor.codeSystems },
+  };
+}
+
+// ----- Terminology -------------------------------------------------------------
+
+/** HL7 table 0396 names for the code systems senders commonly use. */
+const CODE_SYSTEMS = {
+  LN: 'http://loinc.org',
+  SCT: 'http://snomed.info/sct',
+  I10: 'http://hl7.org/fhir/sid/icd-10',
+  I10C: 'http://hl7.org/fhir/sid/icd-10-cm',
+  I9C: 'http://hl7.org/fhir/sid/icd-9-cm',
+  RXNORM: 'http://www.nlm.nih.gov/research/umls/rxnorm',
+  NDC: 'http://hl7.org/fhir/sid/ndc',
+  CVX: 'http://hl7.org/fhir/sid/cvx',
+  CPT4: 'http://www.ama-assn.org/go/cpt',
+  UCUM: 'http://unitsofmeasure.org',
+};
+
+const V2 = (table) => `http://terminology.hl7.org/CodeSystem/v2-${table}`;
+const TERMINOLOGY = 'http://terminology.hl7.org/CodeSystem';
+
+function codeSystem(name, cfg) {
+  if (!name) return undefined;
+  if (cfg.codeSystems[name]) return cfg.codeSystems[name];
+  if (CODE_SYSTEMS[name]) return CODE_SYSTEMS[name];
+  const table = /^HL7(\d{4})$/.exec(name);
+  return table ? V2(table[1]) : undefined;
+}
+
+// ----- Segment access ---------------------------------------------------------------
+
+/**
+ * Segments split by the message's own separators. get(n, c, r, s) is
+ * SEG-n.c.s of repetition r, escape sequences decoded; numbering is the
+ * spec's, so MSH-3 is get(3).
+ */
+function readSegments(raw) {
+  const lines = baseParser.splitSegments(raw);
+  const enc = lines[0]?.startsWith('MSH') ? baseParser.readEncoding(lines[0]) : baseParser.DEFAULT_ENCODING;
+  const charset = lines[0]?.startsWith('MSH') ? baseParser.readCharset(lines[0], enc) : null;
+  const text = (v) => (v ? baseParser.unescapeText(v, enc, charset) : '') || null;
+  return lines.map((line) => {
+    const parts = line.split(enc.field);
+    const name = parts[0];
+    const fields = name === 'MSH' ? [enc.field, ...parts.slice(1)] : parts.slice(1);
+    const reps = (n) => (fields[n - 1] ? fields[n - 1].split(enc.repetition) : [])
+      .map((rep) => rep.split(enc.component).map((comp) => comp.split(enc.subcomponent).map(text)));
+    const get = (n, c = 1, r = 1, s = 1) => reps(n)[r - 1]?.[c - 1]?.[s - 1] || null;
+    return { name, reps, get };
+  });
+}
+
+/** Component c (1-based), subcomponent s, of one repetition from reps(). */
+const comp = (rep, c, s = 1) => rep?.[c - 1]?.[s - 1] || null;
+
+// ----- Value helpers ----------------------------------------------------------------
+
+const TS = /^(\d{4})(\d{2})?(\d{2})?(?:(\d{2})(\d{2})?(\d{2})?(\.\d{1,4})?)?([+-]\d{4})?$/;
+
+/** HL7 DTM/TS to FHIR dateTime. A time with no offset gets cfg.timezoneOffset. */
+function dateTime(ts, cfg) {
+  const m = TS.exec(ts || '');
+  if (!m) return undefined;
+  const [, y, mo, d, h, mi, s, frac, tz] = m;
+  if (!mo) return y;
+  if (!d) return `${y}-${mo}`;
+  if (!h) return `${y}-${mo}-${d}`;
+  const zone = tz ? `${tz.slice(0, 3)}:${tz.slice(3)}` : cfg.timezoneOffset;
+  return `${y}-${mo}-${d}T${h}:${mi || '00'}:${s || '00'}${frac || ''}${zone}`;
+}
+
+function date(ts) {
+  const m = TS.exec(ts || '');
+  if (!m) return undefined;
+  return [m[1], m[2], m[3]].filter(Boolean).join('-');
+}
+
+/** An instant needs a time; a date-only value is left out. */
+function instant(ts, cfg) {
+  const v = dateTime(ts, cfg);
+  return v && v.includes('T') ? v : undefined;
+}
+
+function number(v) {
+  if (v === null || v === undefined || !/^[+-]?(\d+(\.\d*)?|\.\d+)$/.test(String(v).trim())) return undefined;
+  return Number(v);
+}
+
+/** CE/CWE repetition to a CodeableConcept (alternate coding included). */
+function concept(rep, cfg, defaultSystem) {
+  if (!rep) return undefined;
+  const coding = [];
+  for (const at of [1, 4]) {
+    const code = comp(rep, at);
+    if (!code) continue;
+    coding.push({
+      system: codeSystem(comp(rep, at + 2), cfg) || (at === 1 ? defaultSystem : undefined),
+      code,
+      display: comp(rep, at + 1) || undefined,
+    });
+  }
+  const text = comp(rep, 2) || comp(rep, 9) || undefined;
+  if (!coding.length && !text) return undefined;
+  return { coding: coding.length ? coding : undefined, text };
+}
+
+/** XCN to a display-only Reference. */
+function person(rep) {
+  if (!rep) return undefined;
+  const name = [comp(rep, 6), comp(rep, 3), comp(rep, 4), comp(rep, 2, 1)].filter(Boolean).join(' ');
+  const id = comp(rep, 1);
+  if (!name && !id) return undefined;
+  return { display: name || id, identifier: id ? { value: id } : undefined };
+}
+
+/** Drop undefined, null, empty strings and empty arrays or objects, recursively. */
+function compact(value) {
+  if (Array.isArray(value)) {
+    const out = value.map(compact).filter((v) => v !== undefined);
+    return out.length ? out : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      const c = compact(v);
+      if (c !== undefined) out[k] = c;
+    }
+    return Object.keys(out).length ? out : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+}
+
+/** Stable FHIR id for something the sender identifies, scoped by `kind`. */
+function idFor(kind, ...parts) {
+  return `hl7-${kind}-${sha256(parts.map((p) => p ?? '').join('|')).slice(0, 24)}`;
+}
+
+// ----- Patient ----------------------------------------------------------------------
+
+const GENDER = { M: 'male', F: 'female', O: 'other', A: 'other', U: 'unknown', N: 'unknown' };
+const NAME_USE = { L: 'official', D: 'usual', M: 'maiden', N: 'nickname' };
+
+function identifierSystem(cx, cfg) {
+  const namespace = comp(cx, 4, 1);
+  if (namespace && cfg.assigningAuthorities[namespace]) return cfg.assigningAuthorities[namespace];
+  const universal = comp(cx, 4, 2);
+  if (universal && comp(cx, 4, 3) === 'ISO') return `urn:oid:${universal}`;
+  return cfg.identifierSystem || undefined;
+}
+
+function patientIdentifiers(pid, cfg) {
+  return pid.reps(3)
+    .filter((cx) => comp(cx, 1))
+    .map((cx) => compact({
+      use: comp(cx, 5) === 'MR' ? 'usual' : undefined,
+      type: comp(cx, 5) ? { coding: [{ system: V2('0203'), code: comp(cx, 5) }] } : undefined,
+      system: identifierSystem(cx, cfg),
+      value: comp(cx, 1),
+      assigner: comp(cx, 4, 1) ? { display: comp(cx, 4, 1) } : undefined,
+    }));
+}
+
+function telecom(rep, use) {
+  const equipment = comp(rep, 3);
+  const email = comp(rep, 4);
+  if (email || equipment === 'Internet' || comp(rep, 2) === 'NET') {
+    return email || comp(rep, 1) ? { system: 'email', value: email || comp(rep, 1), use } : undefined;
+  }
+  const local = [comp(rep, 6), comp(rep, 7)].filter(Boolean).join('');
+  const value = comp(rep, 1) || local;
+  if (!value) return undefined;
+  return {
+    system: equipment === 'FX' ? 'fax' : 'phone',
+    value,
+    use: equipment === 'CP' ? 'mobile' : use,
+  };
+}
+
+function mapPatient(pid, cfg, id) {
+  const deceasedAt = dateTime(pid.get(29), cfg);
+  return compact({
+    resourceType: 'Patient',
+    id,
+    identifier: patientIdentifiers(pid, cfg),
+    name: pid.reps(5).map((xpn) => ({
+      use: NAME_USE[comp(xpn, 7)],
+      family: comp(xpn, 1),
+      given: [comp(xpn, 2), comp(xpn, 3)],
+      prefix: [comp(xpn, 5)],
+      suffix: [comp(xpn, 4)],
+    })),
+    gender: GENDER[pid.get(8)],
+    birthDate: date(pid.get(7)),
+    address: pid.reps(11).map((xad) => ({
+      use: { H: 'home', B: 'work', C: 'temp' }[comp(xad, 7)],
+      line: [comp(xad, 1), comp(xad, 2)],
+      city: comp(xad, 3),
+      state: comp(xad, 4),
+      postalCode: comp(xad, 5),
+      country: comp(xad, 6),
+    })),
+    telecom: [
+      ...pid.reps(13).map((r) => telecom(r, 'home')),
+      ...pid.reps(14).map((r) => telecom(r, 'work')),
+    ],
+    deceasedDateTime: deceasedAt,
+    deceasedBoolean: !deceasedAt && pid.get(30) === 'Y' ? true : undefined,
+  });
+}
+
+// ----- Encounter --------------------------------------------------------------------
+
+const ENCOUNTER_CLASS = {
+  I: ['IMP', 'inpatient encounter'],
+  O: ['AMB', 'ambulatory'],
+  E: ['EMER', 'emergency'],
+  P: ['PRENC', 'pre-admission'],
+  R: ['AMB', 'ambulatory'],
+  B: ['IMP', 'inpatient encounter'],
+};
+
+function encounterStatus(pv1, event) {
+  if (event === 'A11') return 'cancelled';
+  if (event === 'A03' || pv1.get(45)) return 'finished';
+  if (event === 'A05' || event === 'A14') return 'planned';
+  return 'in-progress';
+}
+
+function mapEncounter(pv1, cfg, { id, subject, event }) {
+  const [code, display] = ENCOUNTER_CLASS[pv1.get(2)] || ['AMB', 'ambulatory'];
+  const location = [pv1.get(3, 1), pv1.get(3, 2), pv1.get(3, 3), pv1.get(3, 4)].filter(Boolean).join(' / ');
+  return compact({
+    resourceType: 'Encounter',
+    id,
+    identifier: pv1.get(19) ? [{ value: pv1.get(19) }] : undefined,
+    status: encounterStatus(pv1, event),
+    class: { system: `${TERMINOLOGY}/v3-ActCode`, code, display },
+    subject,
+    participant: pv1.reps(7).map(person).filter(Boolean).map((individual) => ({
+      type: [{ coding: [{ system: `${TERMINOLOGY}/v3-ParticipationType`, code: 'ATND' }] }],
+      individual,
+    })),
+    period: { start: dateTime(pv1.get(44), cfg), end: dateTime(pv1.get(45), cfg) },
+    location: location ? [{ location: { display: location } }] : undefined,
+  });
+}
+
+// ----- DiagnosticReport and Observation -----------------------------------------------
+
+const RESULT_STATUS = {
+  F: 'final', C: 'corrected', P: 'preliminary', R: 'preliminary', S: 'preliminary',
+  I: 'registered', O: 'registered', A: 'partial', X: 'cancelled', D: 'entered-in-error',
+  W: 'entered-in-error', U: 'final',
+};
+
+const COMPARATORS = new Set(['<', '<=', '>=', '>']);
+
+function quantity(value, unitRep, cfg) {
+  const system = codeSystem(comp(unitRep, 3), cfg);
+  return compact({
+    value,
+    unit: comp(unitRep, 2) || comp(unitRep, 1),
+    system,
+    code: system ? comp(unitRep, 1) : undefined,
+  });
+}
+
+/** OBX-5 by its OBX-2 value type. */
+function observationValue(obx, cfg) {
+  const type = obx.get(2);
+  const values = obx.reps(5);
+  const unit = obx.reps(6)[0];
+  if (!values.length) return {};
+  switch (type) {
+    case 'NM': {
+      const n = number(comp(values[0], 1));
+      return n === undefined ? { valueString: comp(values[0], 1) } : { valueQuantity: quantity(n, unit, cfg) };
+    }
+    case 'SN': {
+      const [cmp, n1, sep, n2] = [1, 2, 3, 4].map((c) => comp(values[0], c));
+      if (sep === '-' && number(n1) !== undefined && number(n2) !== undefined) {
+        return { valueRange: { low: quantity(number(n1), unit, cfg), high: quantity(number(n2), unit, cfg) } };
+      }
+      if (!sep && number(n1) !== undefined) {
+        const q = quantity(number(n1), unit, cfg);
+        if (COMPARATORS.has(cmp)) q.comparator = cmp;
+        return { valueQuantity: q };
+      }
+      return { valueString: [cmp, n1, sep, n2].filter(Boolean).join('') };
+    }
+    case 'CE':
+    case 'CWE':
+    case 'CF':
+      return { valueCodeableConcept: concept(values[0], cfg) };
+    case 'DT':
+      return { valueDateTime: date(comp(values[0], 1)) };
+    case 'TS':
+    case 'DTM':
+      return { valueDateTime: dateTime(comp(values[0], 1), cfg) };
+    default:
+      return { valueString: values.map((rep) => rep.map((c) => c.filter(Boolean).join('&')).join('^')).join('\n') };
+  }
+}
+
+/** OBX-7 "3.5-5.0", "<5" or ">60"; anything else is kept as text. */
+function referenceRange(text, unitRep, cfg) {
+  if (!text) return undefined;
+  const range = /^\s*([+-]?\d*\.?\d+)\s*-\s*([+-]?\d*\.?\d+)\s*$/.exec(text);
+  if (range) return [{ low: quantity(Number(range[1]), unitRep, cfg), high: quantity(Number(range[2]), unitRep, cfg) }];
+  const bound = /^\s*(<=?|>=?)\s*([+-]?\d*\.?\d+)\s*$/.exec(text);
+  if (bound) {
+    const q = quantity(Number(bound[2]), unitRep, cfg);
+    return [bound[1].startsWith('<') ? { high: q } : { low: q }];
+  }
+  return [{ text }];
+}
+
+function mapObservation(obx, cfg, { id, subject, encounter, obr, laboratory }) {
+  const unit = obx.reps(6)[0];
+  const flag = obx.get(8);
+  return compact({
+    resourceType: 'Observation',
+    id,
+    status: RESULT_STATUS[obx.get(11)] || 'final',
+    category: laboratory
+      ? [{ coding: [{ system: `${TERMINOLOGY}/observation-category`, code: 'laboratory', display: 'Laboratory' }] }]
+      : undefined,
+    code: concept(obx.reps(3)[0], cfg),
+    subject,
+    encounter,
+    effectiveDateTime: dateTime(obx.get(14), cfg) || (obr && dateTime(obr.get(7), cfg)),
+    ...observationValue(obx, cfg),
+    interpretation: flag
+      ? [{ coding: [{ system: `${TERMINOLOGY}/v3-ObservationInterpretation`, code: flag }] }]
+      : undefined,
+    referenceRange: referenceRange(obx.get(7), unit, cfg),
+  });
+}
+
+function mapDiagnosticReport(obr, cfg, { id, subject, encounter, results }) {
+  const section = obr.get(24) || 'LAB';
+  return compact({
+    resourceType: 'DiagnosticReport',
+    id,
+    identifier: [
+      obr.get(2) ? { type: { coding: [{ system: V2('0203'), code: 'PLAC' }] }, value: obr.get(2) } : undefined,
+      obr.get(3) ? { type: { coding: [{ system: V2('0203'), code: 'FILL' }] }, value: obr.get(3) } : undefined,
+    ],
+    status: RESULT_STATUS[obr.get(25)] || 'final',
+    category: [{ coding: [{ system: V2('0074'), code: section }] }],
+    code: concept(obr.reps(4)[0], cfg) || { text: 'Unspecified report' },
+    subject,
+    encounter,
+    effectiveDateTime: dateTime(obr.get(7), cfg),
+    issued: instant(obr.get(22), cfg),
+    result: results.map((r) => ({ reference: `Observation/${r.id}` })),
+  });
+}
+
+// ----- AllergyIntolerance -------------------------------------------------------------
+
+const ALLERGY_CATEGORY = {
+  DA: 'medication', MA: 'medication', FA: 'food', EA: 'environment',
+  AA: 'environment', PA: 'environment', LA: 'environment',
+};
+const CRITICALITY = { SV: 'high', MO: 'low', MI: 'low', U: 'unable-to-assess' };
+
+/** AL1 and IAM carry type, allergen, severity and reaction in fields 2-5. */
+function mapAllergy(seg, cfg, { id, patient }) {
+  const removed = seg.name === 'IAM' && seg.get(6) === 'D';
+  const type = seg.get(2);
+  return compact({
+    resourceType: 'AllergyIntolerance',
+    id,
+    clinicalStatus: {
+      coding: [{ system: `${TERMINOLOGY}/allergyintolerance-clinical`, code: removed ? 'inactive' : 'active' }],
+    },
+    type: type && type.endsWith('A') ? 'allergy' : undefined,
+    category: ALLERGY_CATEGORY[type] ? [ALLERGY_CATEGORY[type]] : undefined,
+    criticality: CRITICALITY[seg.get(4)],
+    code: concept(seg.reps(3)[0], cfg),
+    patient,
+    onsetDateTime: seg.name === 'AL1' ? date(seg.get(6)) : date(seg.get(11)),
+    reaction: seg.reps(5).length
+      ? [{ manifestation: seg.reps(5).map((r) => ({ text: comp(r, 1) })).filter((m) => m.text) }]
+      : undefined,
+  });
+}
+
+// ----- MedicationRequest --------------------------------------------------------------
+
+const ORDER_STATUS = { A: 'active', IP: 'active', SC: 'active', CA: 'cancelled', CM: 'completed', DC: 'stopped', HD: 'on-hold' };
+const ORDER_CONTROL = {
+  NW: 'active', XO: 'active', RP: 'active', RL: 'active', CA: 'cancelled', OC: 'cancelled',
+  CR: 'cancelled', DC: 'stopped', OD: 'stopped', HD: 'on-hold', OH: 'on-hold',
+};
+
+function mapMedicationRequest(rxe, cfg, { id, subject, encounter, orc, rxr }) {
+  const units = rxe.reps(5)[0];
+  const dispenseUnits = rxe.reps(11)[0];
+  return compact({
+    resourceType: 'MedicationRequest',
+    id,
+    identifier: [
+      orc?.get(2) ? { type: { coding: [{ system: V2('0203'), code: 'PLAC' }] }, value: orc.get(2) } : undefined,
+      orc?.get(3) ? { type: { coding: [{ system: V2('0203'), code: 'FILL' }] }, value: orc.get(3) } : undefined,
+      rxe.get(15) ? { value: rxe.get(15) } : undefined,
+    ],
+    status: ORDER_STATUS[orc?.get(5)] || ORDER_CONTROL[orc?.get(1)] || 'active',
+    intent: 'order',
+    medicationCodeableConcept: concept(rxe.reps(2)[0], cfg) || { text: 'Unspecified medication' },
+    subject,
+    encounter,
+    authoredOn: dateTime(orc?.get(9), cfg),
+    requester: person(orc?.reps(12)[0]),
+    dosageInstruction: [{
+      text: rxe.get(7, 2) || rxe.get(7, 1),
+      route: rxr ? concept(rxr.reps(1)[0], cfg) : undefined,
+      doseAndRate: number(rxe.get(3)) !== undefined
+        ? [{ doseQuantity: quantity(number(rxe.get(3)), units, cfg) }]
+        : undefined,
+    }],
+    dispenseRequest: {
+      quantity: number(rxe.get(10)) !== undefined ? quantity(number(rxe.get(10)), dispenseUnits, cfg) : undefined,
+      numberOfRepeatsAllowed: number(rxe.get(12)),
+    },
+  });
+}
+
+// ----- DocumentReference --------------------------------------------------------------
+
+const DOC_STATUS = { AU: 'final', LA: 'final', DO: 'final', PA: 'preliminary', IP: 'preliminary', IN: 'preliminary', DI: 'preliminary' };
+const CONTENT_TYPE = { HT: 'text/html', TX: 'text/plain', FT: 'text/plain' };
+
+function mapDocument(txa, cfg, { id, subject, encounter, text, event }) {
+  const typeRep = txa.reps(2)[0];
+  const title = comp(typeRep, 2) || comp(typeRep, 1) || 'Document';
+  return compact({
+    resourceType: 'DocumentReference',
+    id,
+    masterIdentifier: txa.get(12) ? { value: txa.get(12) } : undefined,
+    status: event === 'T11' ? 'entered-in-error' : 'current',
+    docStatus: DOC_STATUS[txa.get(17)],
+    type: concept(typeRep, cfg, V2('0270')),
+    subject,
+    date: instant(txa.get(4), cfg) || instant(txa.get(6), cfg),
+    author: [person(txa.reps(5)[0])],
+    securityLabel: ['V', 'R'].includes(txa.get(18))
+      ? [{ coding: [{ system: `${TERMINOLOGY}/v3-Confidentiality`, code: txa.get(18) }] }]
+      : undefined,
+    content: [{
+      attachment: {
+        contentType: CONTENT_TYPE[txa.get(3)] || 'text/plain',
+        data: text ? Buffer.from(text, 'utf8').toString('base64') : undefined,
+        title,
+        creation: dateTime(txa.get(6), cfg),
+      },
+    }],
+    context: encounter ? { encounter: [encounter] } : undefined,
+  });
+}
+
+// ----- The message ----------------------------------------------------------------------
+
+function patientIdFor(pid, cfg) {
+  const cx = pid.reps(3)[0];
+  return idFor('pat', identifierSystem(cx, cfg) || comp(cx, 4, 1), comp(cx, 1));
+}
+
+/**
+ * Map a message to FHIR resources (Provenance not included). `patientId`
+ * overrides the derived Patient id, for a Patient already on file. Pure:
+ * nothing is read or written, so it also backs the preview route.
+ */
+function map(raw, parsed, cfg, { messageId = null, patientId = null } = {}) {
+  const segments = readSegments(raw);
+  const pid = segments.find((s) => s.name === 'PID');
+  if (!pid || !pid.get(3)) return [];
+  const wanted = new Set(cfg.resources);
+  const facility = segments[0]?.get(4) || segments[0]?.get(3) || '';
+  const event = parsed.trigger_event;
+  const local = (kind, index) => idFor(kind, 'message', messageId || parsed.message_control_id, index);
+
+  const patient = mapPatient(pid, cfg, patientId || patientIdFor(pid, cfg));
+  const subject = { reference: `Patient/${patient.id}` };
+  const out = [patient];
+
+  let encounter;
+  const pv1 = segments.find((s) => s.name === 'PV1');
+  if (pv1 && wanted.has('Encounter')) {
+    const id = pv1.get(19) ? idFor('enc', facility, pv1.get(19)) : local('enc', 0);
+    out.push(mapEncounter(pv1, cfg, { id, subject, event }));
+    encounter = { reference: `Encounter/${id}` };
+  }
+
+  const txa = segments.find((s) => s.name === 'TXA');
+  if (txa) {
+    if (wanted.has('DocumentReference')) {
+      const text = segments.filter((s) => s.name === 'OBX')
+        .map((obx) => obx.reps(5).map((rep) => comp(rep, 1) || '').join('\n'))
+        .join('\n');
+      const id = txa.get(12) ? idFor('doc', facility, txa.get(12)) : local('doc', 0);
+      out.push(mapDocument(txa, cfg, { id, subject, encounter, text, event }));
+    }
+  } else {
+    // OBX belong to the OBR before them; OBX before any OBR stand alone.
+    const laboratory = parsed.message_type === 'ORU';
+    let report = null;
+    const reports = [];
+    const loose = [];
+    for (const seg of segments) {
+      if (seg.name === 'OBR') {
+        const number = seg.get(3) || seg.get(2);
+        report = {
+          obr: seg,
+          id: number ? idFor('dr', facility, number) : local('dr', reports.length),
+          results: [],
+        };
+        reports.push(report);
+      } else if (seg.name === 'OBX') {
+        (report ? report.results : loose).push(seg);
+      }
+    }
+    for (const r of reports) {
+      const observations = wanted.has('Observation')
+        ? r.results.map((obx, i) => mapObservation(obx, cfg, {
+          id: idFor('obs', r.id, obx.get(1) || i + 1), subject, encounter, obr: r.obr, laboratory,
+        }))
+        : [];
+      out.push(...observations);
+      if (wanted.has('DiagnosticReport')) {
+        out.push(mapDiagnosticReport(r.obr, cfg, { id: r.id, subject, encounter, results: observations }));
+      }
+    }
+    if (wanted.has('Observation')) {
+      loose.forEach((obx, i) => out.push(mapObservation(obx, cfg, {
+        id: local('obs', obx.get(1) || i + 1), subject, encounter, laboratory,
+      })));
+    }
+  }
+
+  if (wanted.has('AllergyIntolerance')) {
+    for (const seg of segments.filter((s) => s.name === 'AL1' || s.name === 'IAM')) {
+      const allergen = seg.get(3, 1) || seg.get(3, 2);
+      if (!allergen) continue;
+      out.push(mapAllergy(seg, cfg, { id: idFor('alg', patient.id, allergen), patient: subject }));
+    }
+  }
+
+  if (wanted.has('MedicationRequest')) {
+    let orc = null;
+    segments.forEach((seg, i) => {
+      if (seg.name === 'ORC') orc = seg;
+      if (seg.name !== 'RXE') return;
+      const rxr = segments.slice(i + 1).find((s) => s.name === 'RXR' || s.name === 'RXE' || s.name === 'ORC');
+      const number = orc?.get(2) || seg.get(15);
+      out.push(mapMedicationRequest(seg, cfg, {
+        id: number ? idFor('med', facility, number) : local('med', i),
+        subject, encounter, orc, rxr: rxr?.name === 'RXR' ? rxr : null,
+      }));
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Provenance for one message: every resource it wrote is a target, and
+ * the hl7_messages row is the source entity. Targets are unversioned so
+ * the Provenance stays inside the patient compartment; the versions are on
+ * hl7_messages.fhir_references.
+ */
+function provenance(parsed, cfg, { messageId, targets, raw }) {
+  const msh = readSegments(raw)[0];
+  return compact({
+    resourceType: 'Provenance',
+    id: `hl7-msg-${messageId}`,
+    target: targets.map((t) => ({ reference: `${t.resourceType}/${t.id}` })),
+    occurredDateTime: dateTime(msh?.get(7), cfg),
+    recorded: new Date().toISOString(),
+    activity: parsed.trigger_event
+      ? { coding: [{ system: V2('0003'), code: parsed.trigger_event }] }
+      : undefined,
+    agent: [{
+      type: { coding: [{ system: `${TERMINOLOGY}/provenance-participant-type`, code: 'author' }] },
+      who: { display: [parsed.sending_app, parsed.sending_facility || msh?.get(4)].filter(Boolean).join(' / ') || 'HL7 v2 sender' },
+    }],
+    entity: [{
+      role: 'source',
+      what: {
+        identifier: { system: 'urn:transtrack:hl7-message', value: messageId },
+        display: `${[parsed.message_type, parsed.trigger_event].filter(Boolean).join('^')} ${parsed.message_control_id || ''}`.trim(),
+      },
+    }],
+  });
+}
+
+// ----- Persistence ----------------------------------------------------------------------
+
+async function orgConfig(client, ctx) {
+  const r = await client.query(`SELECT settings FROM organizations WHERE id = $1`, [ctx.orgId]);
+  return r.rows[0]?.settings?.hl7?.fhirMapping || null;
+}
+
+/** A Patient already on file with this MRN (and system, when known). */
+async function existingPatient(client, ctx, identifier) {
+  if (!identifier?.value) return null;
+  const match = identifier.system ? { system: identifier.system, value: identifier.value } : { value: identifier.value };
+  const r = await client.query(
+    `SELECT resource_id, body FROM fhir_resources
+      WHERE org_id = $1 AND resource_type = 'Patient' AND deleted = FALSE
+        AND body->'identifier' @> $2::jsonb
+      ORDER BY last_updated ASC
+      LIMIT 1`,
+    [ctx.orgId, JSON.stringify([match])]
+  );
+  return r.rows[0] || null;
+}
+
+/** What the message says about the patient, on top of what is already known. */
+function mergePatient(existing, mapped) {
+  const identifiers = [...(existing.identifier || [])];
+  for (const id of mapped.identifier || []) {
+    if (!identifiers.some((e) => e.value === id.value && (e.system || null) === (id.system || null))) identifiers.push(id);
+  }
+  const { meta: _meta, ...kept } = existing;
+  return { ...kept, ...mapped, id: existing.id, identifier: identifiers };
+}
+
+/**
+ * Check each mapped resource against its structural rules (and the org's
+ * profiles when enforced). A resource that fails is left out, along with
+ * any DiagnosticReport.result pointing at it; the Patient failing leaves out
+ * everything, since everything refers to it.
+ */
+async function screen(client, ctx, resources) {
+  const kept = [];
+  const skipped = [];
+  for (const body of resources) {
+    try {
+      resourceHooks[body.resourceType].validate(body);
+      await validator.enforce(client, ctx, body.resourceType, body);
+      kept.push(body);
+    } catch (e) {
+      if (body.resourceType === 'Patient') throw e;
+      skipped.push({ reference: `${body.resourceType}/${body.id}`, error: e.message });
+    }
+  }
+  const dropped = new Set(skipped.map((s) => s.reference));
+  for (const body of kept) {
+    if (body.resourceType === 'DiagnosticReport' && body.result) {
+      body.result = body.result.filter((r) => !dropped.has(r.reference));
+      if (!body.result.length) delete body.result;
+    }
+  }
+  return { kept, skipped };
+}
+
+/**
+ * Write the FHIR view of an ingested message inside the ingest transaction.
+ * Returns null when the mapping is disabled or the message has no patient.
+ * Otherwise returns { references, changes, skipped }: the versioned
+ * references written, the changes for Subscriptions (to be sent once the
+ * transaction commits) and the resources left out as invalid. A failure
+ * returns { error } and rolls back to the savepoint, so the native lift
+ * still commits.
+ */
+async function apply(client, ctx, { raw, parsed, messageId, vendorConfig = null }) {
+  let cfg;
+  try {
+    cfg = resolveConfig(await orgConfig(client, ctx), vendorConfig);
+  } catch (e) {
+    return { error: e.message };
+  }
+  if (!cfg.enabled) return null;
+  const pid = readSegments(raw).find((s) => s.name === 'PID');
+  if (!pid || !pid.get(3)) return null;
+
+  await client.query('SAVEPOINT hl7_fhir_mapping');
+  try {
+    const known = await existingPatient(client, ctx, patientIdentifiers(pid, cfg)[0]);
+    const mapped = map(raw, parsed, cfg, { messageId, patientId: known?.resource_id });
+    if (known) mapped[0] = mergePatient(known.body, mapped[0]);
+    const { kept, skipped } = await screen(client, ctx, mapped);
+
+    const references = [];
+    const changes = [];
+    const write = async (body) => {
+      const row = await storage.update(client, ctx, body.resourceType, body.id, body);
+      references.push(`${body.resourceType}/${body.id}/_history/${row.version_id}`);
+      changes.push({ resource: row.body, action: row.version_id === 1 ? 'create' : 'update' });
+    };
+    for (const body of kept) await write(body);
+    await write(provenance(parsed, cfg, { messageId, targets: kept, raw }));
+    await client.query('RELEASE SAVEPOINT hl7_fhir_mapping');
+    return { references, changes, skipped };
+  } catch (e) {
+    await client.query('ROLLBACK TO SAVEPOINT hl7_fhir_mapping');
+    return { error: e.message };
+  }
+}
+
+/**
+ * Dry run for the preview route: the resources a message would produce
+ * under the org's and the vendor profile's configuration, as a collection
+ * Bundle. Reads, never writes.
+ */
+async function preview(client, ctx, { raw, parsed, vendorConfig = null }) {
+  const cfg = resolveConfig(await orgConfig(client, ctx), vendorConfig);
+  const pid = readSegments(raw).find((s) => s.name === 'PID');
+  const known = pid?.get(3) ? await existingPatient(client, ctx, patientIdentifiers(pid, cfg)[0]) : null;
+  const resources = cfg.enabled ? map(raw, parsed, cfg, { patientId: known?.resource_id }) : [];
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    total: resources.length,
+    entry: resources.map((resource) => ({ fullUrl: `${resource.resourceType}/${resource.id}`, resource })),
+  };
+}
+
+module.exports = {
+  DEFAULTS,
+  MAPPED_TYPES,
+  CODE_SYSTEMS,
+  parseConfig,
+  resolveConfig,
+  map,
+  provenance,
+  apply,
+  preview,
+  dateTime,
+};
@@ -4,6 +4,9 @@ const { withTransaction } = require('../db/pool');
 const patientService = require('../services/patientService');
 const labResultService = require('../services/labResultService');
 const messageTypes = require('./messageTypes');
+const conformance = require('./conformance');
+const fhirMapping = require('./fhirMapping');
+const subscriptions = require('../fhir/subscriptions');
 
 /**
  * Persist an inbound HL7 message and lift its content into native entities.
@@ -26,9 +29,23 @@ const messageTypes = require('./messageTypes');
  * For categories that are "captured but not normalised", the JSONB `parsed`
  * column on hl7_messages remains the source of truth and is queryable.
  * This lets a buyer extend behaviour later without re-ingesting messages.
+ *
+ * A message validated against a conformance profile (parsed.validation)
+ * keeps its report in validation_report. If it failed and the profile says
+ * 'reject', it is stored as rejected without lifting anything and the ACK
+ * carries the profile's reject code.
+ *
+ * A message read from a batch file (hl7/batch.js) passes `batch` as
+ * { id, sequence } to link it to its hl7_batches row.
+ *
+ * Once lifted, the message is also written to fhir_resources with a
+ * Provenance (fhirMapping.js); the versioned references go in
+ * fhir_references and Subscriptions are notified after commit. A mapping
+ * failure is recorded in `actions` but does not change the ACK.
  */
-async function ingest({ rawMessage, parsed, ctx, peer, transport = 'mllp' }) {
-  return withTransaction(ctx, async (client) => {
+async function ingest({ rawMessage, parsed: input, ctx, peer, transport = 'mllp', batch = null }) {
+  const { validation = null, fhir_mapping: mappingConfig = null, ...parsed } = input;
+  const result = await withTransaction(ctx, async (client) => {
     // Deduplication: use ON CONFLICT on the unique index (org_id, message_control_id)
     // to detect duplicate messages without aborting the transaction.
     const ins = await client.query(
@@ -36,8 +53,8 @@ async function ingest({ rawMessage, parsed, ctx, peer, transport = 'mllp' }) {
          (org_id, direction, transport, sending_app, sending_facility,
           receiving_app, receiving_facility, message_type, trigger_event,
           message_control_id, raw_message, parsed, processed_status,
-          peer_address, peer_cert_subject)
-       VALUES ($1,'inbound',$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'received',$12,$13)
+          peer_address, peer_cert_subject, validation_report, batch_id, batch_sequence)
+       VALUES ($1,'inbound',$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,'received',$12,$13,$14,$15,$16)
        ON CONFLICT (org_id, message_control_id)
          WHERE direction = 'inbound' AND message_control_id IS NOT NULL
        DO NOTHING
@@ -56,6 +73,9 @@ async function ingest({ rawMessage, parsed, ctx, peer, transport = 'mllp' }) {
         JSON.stringify(parsed),
         peer?.address || null,
         peer?.certSubject || null,
+        validation ? JSON.stringify(validation) : null,
+        batch?.id || null,
+        batch?.sequence ?? null,
       ]
     );
     if (ins.rows.length === 0) {
@@ -69,8 +89,25 @@ async function ingest({ rawMessage, parsed, ctx, peer, transport = 'mllp' }) {
     }
     const messageId = ins.rows[0].id;
 
+    const verdict = conformance.outcome(validation);
+    if (verdict.reject) {
+      await client.query(
+        `UPDATE hl7_messages
+           SET processed_status='rejected', ack_code=$1, ack_message=$2, processed_at=now()
+         WHERE id=$3`,
+        [verdict.ackCode, verdict.ackText, messageId]
+      );
+      return {
+        hl7MessageId: messageId,
+        ackCode: verdict.ackCode,
+        ackText: verdict.ackText,
+        processed: 'rejected',
+        validation,
+      };
+    }
+
     let ackCode = 'AA';
-    let ackText = 'Accepted';
+    let ackText = verdict.ackText || 'Accepted';
     let processed = 'accepted';
     let nativePatient = null;
     let labCount = 0;
@@ -160,11 +197,20 @@ async function ingest({ rawMessage, parsed, ctx, peer, transport = 'mllp' }) {
       return { hl7MessageId: messageId, ackCode, ackText, processed };
     }
 
+    const mapped = await fhirMapping.apply(client, ctx, {
+      raw: rawMessage, parsed, messageId, vendorConfig: mappingConfig,
+    });
+    if (mapped?.error) {
+      actions.push({ kind: 'fhir_mapping_failed', error: mapped.error });
+    } else if (mapped) {
+      actions.push({ kind: 'fhir_resources', count: mapped.references.length, skipped: mapped.skipped });
+    }
+
     await client.query(
       `UPDATE hl7_messages
-         SET processed_status=$1, ack_code=$2, ack_message=$3, processed_at=now()
-       WHERE id=$4`,
-      [processed, ackCode, ackText, messageId]
+         SET processed_status=$1, ack_code=$2, ack_message=$3, fhir_references=$4, processed_at=now()
+       WHERE id=$5`,
+      [processed, ackCode, ackText, mapped?.references || null, messageId]
     );
 
     return {
@@ -175,8 +221,16 @@ async function ingest({ rawMessage, parsed, ctx, peer, transport = 'mllp' }) {
       patientId: nativePatient?.id || null,
       labCount,
       actions,
+      validation,
+      fhirChanges: mapped?.changes || [],
     };
   });
+  // Subscriptions see the FHIR resources only once they are committed.
+  const { fhirChanges = [], ...out } = result;
+  for (const change of fhirChanges) {
+    setImmediate(() => subscriptions.notify(ctx, change.resource, change.action).catch(() => {}));
+  }
+  return out;
 }
 
 /**
@@ -184,6 +238,9 @@ async function ingest({ rawMessage, parsed, ctx, peer, transport = 'mllp' }) {
  * identifier list; the PID segment names the surviving identifier. We
  * mark the prior MRN inactive and copy any unique fields forward.
  *
+ * The prior row's version is bumped like any other patient write, so a
+ * client holding its old ETag cannot overwrite the merge.
+ *
  * NB: this is a soft merge — we do not delete the source row, we tag it.
  * Hard deletes from a clinical record are dangerous and must be a manual
  * admin operation.
@@ -194,9 +251,10 @@ async function handleMerge(client, ctx, mergeInfo, survivor) {
   const r = await client.query(
     `UPDATE patients
         SET waitlist_status = 'merged',
-            notes = COALESCE(notes,'') || E'\nMerged into MRN ' || $3 || ' on ' || now()::text
+            notes = COALESCE(notes,'') || E'\nMerged into MRN ' || $3 || ' on ' || now()::text,
+            version = version + 1
       WHERE org_id = $1 AND mrn = $2 AND id <> $4
-      RETURNING id`,
+      RETURNING id, version`,
     [ctx.orgId, priorMrn, survivor.mrn, survivor.id]
   );
   return { merged: r.rows.length > 0, prior_mrn: priorMrn, survivor_id: survivor.id };
@@ -8,6 +8,10 @@
  *   - extended segment extraction (extendedSegments.js)
  *   - Z-segment vendor extension hooks (zSegments.js)
  *   - message-type registry (messageTypes.js)
+ *   - conformance validation against the vendor profile's conformance
+ *     profile, if it has one (conformance.js)
+ *   - the vendor profile's HL7 to FHIR mapping configuration, carried
+ *     through to ingest for fhirMapping.js
  *
  * Returns a single `parsed` object that the ingest service can persist as
  * JSONB and lift into native CRUD operations.
@@ -21,6 +25,7 @@ const baseParser = require(path.join(__dirname, '..', '..', '..', 'electron', 's
 const extendedSegments = require('./extendedSegments');
 const zSegments = require('./zSegments');
 const messageTypes = require('./messageTypes');
+const conformance = require('./conformance');
 
 /**
  * Parse an HL7 v2 message into the canonical shape.
@@ -29,7 +34,8 @@ const messageTypes = require('./messageTypes');
  */
 function parseMessage(raw, vendorProfile = null) {
   const base = baseParser.parseMessage(raw);
-  const segments = baseParser.splitSegments(raw).map(baseParser.parseSegment);
+  // Same separators, escapes and character set as the base parse.
+  const { segments } = baseParser.parseSegments(raw);
 
   const extended = extendedSegments.extractAll(segments);
   const zExt = zSegments.extractZSegments(segments, vendorProfile);
@@ -95,6 +101,8 @@ function parseMessage(raw, vendorProfile = null) {
       notes, specimens,
     },
     z_segments: zExt,
+    validation: vendorProfile?.conformance ? conformance.validate(raw, vendorProfile.conformance) : null,
+    fhir_mapping: vendorProfile?.config?.fhirMapping || null,
   };
 }
 
@@ -108,4 +116,5 @@ module.exports = {
   extendedSegments,
   zSegments,
   messageTypes,
+  conformance,
 };
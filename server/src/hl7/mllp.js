@@ -19,8 +19,14 @@
  * breach the framer discards what it holds and throws MllpFrameTooLargeError
  * so the listener can destroy the connection. The listener additionally
  * applies a per-connection idle timeout and a concurrent-connection cap.
+ *
+ * Frames are decoded and encoded in the character set named by the
+ * message's MSH-18 (UTF-8 when absent), see electron/services/hl7v2.cjs.
  */
 
+const path = require('path');
+const { decodeMessage, encodeMessage } = require(path.join(__dirname, '..', '..', '..', 'electron', 'services', 'hl7v2.cjs'));
+
 const SB = 0x0B;
 const EB = 0x1C;
 const CR = 0x0D;
@@ -78,7 +84,7 @@ class MllpFramer {
       if (cr !== CR) {
         // tolerate missing CR
       }
-      const msg = this.buffer.slice(sb + 1, eb).toString('utf8');
+      const msg = decodeMessage(this.buffer.slice(sb + 1, eb));
       messages.push(msg);
       i = eb + 2;
       if (i >= this.buffer.length) {
@@ -101,7 +107,7 @@ class MllpFramer {
 function frame(message) {
   return Buffer.concat([
     Buffer.from([SB]),
-    Buffer.from(message, 'utf8'),
+    encodeMessage(message),
     Buffer.from([EB, CR]),
   ]);
 }
@@ -0,0 +1,398 @@
+'use strict';
+
+/**
+ * Outbound HL7 v2: queue, MLLP/TLS sender and ACK correlation.
+ *
+ * Clinical writes call one of the enqueue helpers inside their own
+ * transaction, so a message is queued exactly when the change commits:
+ *
+ *   waitlistStatusChanged  ADT^A08 + ZTX   (patientService.update)
+ *   offerEvent             ORU^R01         (organOfferService create/transition)
+ *   documentNotice         MDM^T02         (POST /hl7/outbound/iota-notices)
+ *
+ * One row is written to hl7_outbound_messages per active destination that
+ * takes the event. The dispatcher sends the oldest open message of each
+ * destination over a fresh MLLP connection and waits for the ACK whose MSA-2
+ * matches the message's control ID; ACKs for other control IDs are ignored.
+ *
+ *   AA / CA         acked
+ *   AR / CR         rejected; the engine will not take it as sent, so it is
+ *                   not retried (an admin can resend it)
+ *   AE / CE, no ACK, connection or TLS failure
+ *                   retried after a jittered exponential delay, failed once
+ *                   HL7_OUTBOUND_MAX_ATTEMPTS is used up
+ *
+ * A destination's later messages wait behind an open one so the engine
+ * sees changes in the order they happened.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const path = require('path');
+const { getPool, withTransaction } = require('../db/pool');
+const { MllpFramer, frame } = require('./mllp');
+const builders = require('./outboundMessages');
+const { retryDelaySeconds } = require('../util/backoff');
+const metrics = require('../metrics');
+const baseParser = require(path.join(__dirname, '..', '..', '..', 'electron', 'services', 'hl7v2.cjs'));
+
+const EVENTS = ['waitlist_status', 'iota_notice', 'organ_offer'];
+
+let _config = {};
+let _tlsOptions = null;
+function configure(config) {
+  _config = config || {};
+  _tlsOptions = null;
+}
+
+function enabled() {
+  return !!_config.HL7_OUTBOUND_ENABLED;
+}
+
+/** Plaintext destinations are refused in production unless HL7_ALLOW_PLAINTEXT. */
+function plaintextAllowed() {
+  return _config.NODE_ENV !== 'production' || !!_config.HL7_ALLOW_PLAINTEXT;
+}
+
+function retryPolicy() {
+  return {
+    maxAttempts: _config.HL7_OUTBOUND_MAX_ATTEMPTS || 10,
+    baseSeconds: _config.HL7_OUTBOUND_RETRY_BASE_SECONDS || 30,
+    maxSeconds: _config.HL7_OUTBOUND_RETRY_MAX_SECONDS || 3600,
+    jitter: _config.HL7_OUTBOUND_RETRY_JITTER ?? 0.2,
+  };
+}
+
+function ackTimeoutMs() {
+  return _config.HL7_OUTBOUND_ACK_TIMEOUT_MS || 30000;
+}
+
+/** CA and client certificate for TLS destinations, read once. */
+function tlsOptions() {
+  if (_tlsOptions) return _tlsOptions;
+  const read = (file) => (file ? fs.readFileSync(file) : undefined);
+  _tlsOptions = {
+    ca: read(_config.HL7_OUTBOUND_TLS_CA_FILE),
+    cert: read(_config.HL7_OUTBOUND_TLS_CERT_FILE),
+    key: read(_config.HL7_OUTBOUND_TLS_KEY_FILE),
+    rejectUnauthorized: true,
+    minVersion: 'TLSv1.2',
+  };
+  return _tlsOptions;
+}
+
+function header(dest, controlId) {
+  return {
+    sendingApp: _config.HL7_OUTBOUND_SENDING_APP || 'TransTrack',
+    sendingFacility: _config.HL7_OUTBOUND_SENDING_FACILITY || '',
+    receivingApp: dest.receiving_app || '',
+    receivingFacility: dest.receiving_facility || '',
+    controlId,
+    timestamp: builders.timestamp(),
+  };
+}
+
+/**
+ * Queue one message per active destination subscribed to `eventType`.
+ * `build(header)` returns { type, trigger, raw }. Returns the queued rows.
+ */
+async function enqueue(client, ctx, eventType, { sourceType, sourceId, build }) {
+  if (!enabled()) return [];
+  const dests = await client.query(
+    `SELECT id, receiving_app, receiving_facility FROM hl7_outbound_destinations
+      WHERE org_id = $1 AND is_active = TRUE AND $2 = ANY(events)
+      ORDER BY name`,
+    [ctx.orgId, eventType]
+  );
+  const queued = [];
+  for (const dest of dests.rows) {
+    const controlId = builders.newControlId();
+    const msg = build(header(dest, controlId));
+    const r = await client.query(
+      `INSERT INTO hl7_outbound_messages
+         (org_id, destination_id, event_type, source_type, source_id,
+          message_type, trigger_event, message_control_id, raw_message)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       RETURNING id, destination_id, message_type, trigger_event, message_control_id, status`,
+      [ctx.orgId, dest.id, eventType, sourceType, sourceId == null ? null : String(sourceId),
+        msg.type, msg.trigger, controlId, msg.raw]
+    );
+    queued.push(r.rows[0]);
+  }
+  return queued;
+}
+
+async function waitlistStatusChanged(client, ctx, patient, previousStatus) {
+  return enqueue(client, ctx, 'waitlist_status', {
+    sourceType: 'patient',
+    sourceId: patient.id,
+    build: (h) => ({
+      type: 'ADT', trigger: 'A08',
+      raw: builders.buildWaitlistUpdate(h, { patient, previousStatus }),
+    }),
+  });
+}
+
+async function offerEvent(client, ctx, offer, action) {
+  if (!enabled() || !offer?.patient_id) return [];
+  const p = await client.query(
+    `SELECT * FROM patients WHERE org_id = $1 AND id = $2`,
+    [ctx.orgId, offer.patient_id]
+  );
+  if (!p.rows[0]) return [];
+  return enqueue(client, ctx, 'organ_offer', {
+    sourceType: 'organ_offer',
+    sourceId: offer.id,
+    build: (h) => ({
+      type: 'ORU', trigger: 'R01',
+      raw: builders.buildOfferResult(h, { patient: p.rows[0], offer, action }),
+    }),
+  });
+}
+
+async function documentNotice(client, ctx, patient, document) {
+  return enqueue(client, ctx, 'iota_notice', {
+    sourceType: 'iota_notice',
+    sourceId: document.id,
+    build: (h) => ({
+      type: 'MDM', trigger: 'T02',
+      raw: builders.buildDocumentNotification(h, { patient, document }),
+    }),
+  });
+}
+
+function firstValue(value) {
+  if (Array.isArray(value)) return firstValue(value[0]);
+  return value == null ? null : String(value);
+}
+
+/** MSA of an ACK: { code, controlId, text }, or null when there is none. */
+function readAck(raw) {
+  const { segments } = baseParser.parseSegments(raw);
+  const msa = segments.find((s) => s.name === 'MSA');
+  if (!msa) return null;
+  return {
+    code: firstValue(msa.fields[0]),
+    controlId: firstValue(msa.fields[1]),
+    text: firstValue(msa.fields[2]),
+  };
+}
+
+/**
+ * Send one message and resolve with the ACK that answers it. Rejects on
+ * connection, TLS or framing errors and when no matching ACK arrives within
+ * the timeout.
+ */
+function send(dest, message, { timeoutMs = ackTimeoutMs() } = {}) {
+  return new Promise((resolve, reject) => {
+    const framer = new MllpFramer();
+    let settled = false;
+    const socket = dest.use_tls
+      ? tls.connect({
+        host: dest.host, port: dest.port,
+        servername: dest.tls_servername || (net.isIP(dest.host) ? undefined : dest.host),
+        ...tlsOptions(),
+      })
+      : net.connect({ host: dest.host, port: dest.port });
+    const finish = (err, ack) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) reject(err); else resolve(ack);
+    };
+    socket.setTimeout(timeoutMs, () => finish(new Error(`no ACK within ${timeoutMs} ms`)));
+    socket.once(dest.use_tls ? 'secureConnect' : 'connect', () => {
+      socket.write(frame(message.raw_message));
+    });
+    socket.on('data', (chunk) => {
+      let frames;
+      try {
+        frames = framer.push(chunk);
+      } catch (err) {
+        finish(err);
+        return;
+      }
+      for (const raw of frames) {
+        const ack = readAck(raw);
+        if (ack && ack.controlId === message.message_control_id) {
+          finish(null, ack);
+          return;
+        }
+      }
+    });
+    socket.on('error', (err) => finish(err));
+    socket.on('close', () => finish(new Error('connection closed before ACK')));
+  });
+}
+
+function countOutcome(row, outcome) {
+  metrics.incLabelled('hl7_outbound_messages_total', {
+    org_id: row.org_id,
+    destination: row.destination_name || row.destination_id,
+    outcome,
+  });
+}
+
+/**
+ * Claim the oldest open message of each active destination whose turn has
+ * come. A message still in_progress after twice the ACK timeout belongs to a
+ * sender that died mid-attempt and is returned to the queue first.
+ */
+async function claimHeads(orgId) {
+  return withTransaction({ orgId }, async (client) => {
+    await client.query(
+      `UPDATE hl7_outbound_messages SET status = 'retrying', error_message = 'sender did not finish'
+        WHERE org_id = $1 AND status = 'in_progress'
+          AND last_attempt_at < now() - make_interval(secs => $2)`,
+      [orgId, Math.ceil((ackTimeoutMs() * 2) / 1000)]
+    );
+    const r = await client.query(
+      `UPDATE hl7_outbound_messages m
+          SET status = 'in_progress', last_attempt_at = now()
+         FROM hl7_outbound_destinations d
+        WHERE m.id IN (
+                SELECT DISTINCT ON (o.destination_id) o.id
+                  FROM hl7_outbound_messages o
+                 WHERE o.org_id = $1 AND o.status IN ('pending','retrying','in_progress')
+                 ORDER BY o.destination_id, o.created_at, o.id)
+          AND m.status IN ('pending','retrying')
+          AND (m.next_attempt_at IS NULL OR m.next_attempt_at <= now())
+          AND d.id = m.destination_id AND d.is_active = TRUE
+        RETURNING m.id, m.org_id, m.destination_id, m.message_control_id, m.raw_message,
+                  m.attempt_count, d.name AS destination_name, d.host, d.port,
+                  d.use_tls, d.tls_servername`,
+      [orgId]
+    );
+    return r.rows;
+  });
+}
+
+async function markAcked(row, ack) {
+  await withTransaction({ orgId: row.org_id }, (client) => client.query(
+    `UPDATE hl7_outbound_messages
+        SET status = 'acked', attempt_count = attempt_count + 1, acked_at = now(),
+            ack_code = $3, ack_message = $4, error_message = NULL, next_attempt_at = NULL
+      WHERE org_id = $1 AND id = $2`,
+    [row.org_id, row.id, ack.code, ack.text]
+  ));
+  countOutcome(row, 'acked');
+}
+
+async function markRejected(row, ack) {
+  await withTransaction({ orgId: row.org_id }, (client) => client.query(
+    `UPDATE hl7_outbound_messages
+        SET status = 'rejected', attempt_count = attempt_count + 1,
+            ack_code = $3, ack_message = $4, error_message = $5
+      WHERE org_id = $1 AND id = $2`,
+    [row.org_id, row.id, ack.code, ack.text, `rejected by ${row.destination_name}`]
+  ));
+  countOutcome(row, 'rejected');
+}
+
+/**
+ * A failed attempt: schedule the next, or fail the message once attempts run
+ * out (or at once when `final`).
+ */
+async function markRetry(row, reason, { ack = null, final = false } = {}, policy = retryPolicy()) {
+  const attempt = row.attempt_count + 1;
+  const giveUp = final || attempt >= policy.maxAttempts;
+  await withTransaction({ orgId: row.org_id }, (client) => client.query(
+    `UPDATE hl7_outbound_messages
+        SET status = $3, attempt_count = attempt_count + 1,
+            next_attempt_at = CASE WHEN $3 = 'retrying' THEN now() + make_interval(secs => $4) END,
+            ack_code = COALESCE($5, ack_code), ack_message = COALESCE($6, ack_message),
+            error_message = $7
+      WHERE org_id = $1 AND id = $2`,
+    [row.org_id, row.id, giveUp ? 'failed' : 'retrying', retryDelaySeconds(attempt, policy),
+      ack?.code ?? null, ack?.text ?? null,
+      giveUp && !final ? `gave up after ${attempt} attempts: ${reason}` : reason]
+  ));
+  countOutcome(row, giveUp ? 'failed' : 'retrying');
+}
+
+async function deliver(row, opts = {}, logger = null) {
+  if (!row.use_tls && !plaintextAllowed()) {
+    await markRetry(row, 'plaintext destination refused in production', { final: true });
+    return;
+  }
+  let ack;
+  try {
+    ack = await send(row, row, opts);
+  } catch (err) {
+    logger?.warn?.({ destination: row.destination_name, msgId: row.message_control_id, err: err.message },
+      'hl7 outbound send failed');
+    await markRetry(row, err.message);
+    return;
+  }
+  const code = (ack.code || '').toUpperCase();
+  if (code === 'AA' || code === 'CA') await markAcked(row, ack);
+  else if (code === 'AR' || code === 'CR') await markRejected(row, ack);
+  else await markRetry(row, `${code || 'no'} acknowledgment${ack.text ? `: ${ack.text}` : ''}`, { ack });
+}
+
+/**
+ * Send what is due, organisation by organisation (the queue is under FORCE
+ * RLS). Each destination keeps sending while its head message is acked, up
+ * to `maxBatch` messages per organisation per pass.
+ */
+async function dispatchPending({ maxBatch = 50, logger = null, ...opts } = {}) {
+  const orgs = await getPool().query(`SELECT id FROM organizations ORDER BY id`);
+  let sent = 0;
+  for (const { id: orgId } of orgs.rows) {
+    let done = 0;
+    while (done < maxBatch) {
+      const rows = await claimHeads(orgId);
+      if (!rows.length) break;
+      for (const row of rows) await deliver(row, opts, logger);
+      done += rows.length;
+    }
+    sent += done;
+  }
+  return { sent };
+}
+
+let dispatchTimer = null;
+let dispatching = false;
+
+function startDispatcher(intervalMs, logger) {
+  if (!enabled()) return null;
+  if (dispatchTimer) return dispatchTimer;
+  dispatchTimer = setInterval(() => {
+    if (dispatching) return;
+    dispatching = true;
+    dispatchPending({ logger })
+      .catch((err) => logger?.error?.({ err: err.message }, 'hl7 outbound dispatch failed'))
+      .finally(() => { dispatching = false; });
+  }, intervalMs);
+  dispatchTimer.unref();
+  return dispatchTimer;
+}
+
+/** Put a failed or rejected message back at the front of its destination's queue. */
+async function resend(client, ctx, id) {
+  const r = await client.query(
+    `UPDATE hl7_outbound_messages
+        SET status = 'pending', attempt_count = 0, next_attempt_at = NULL, error_message = NULL
+      WHERE org_id = $1 AND id = $2 AND status IN ('failed','rejected')
+      RETURNING id, status`,
+    [ctx.orgId, id]
+  );
+  return r.rows[0] || null;
+}
+
+module.exports = {
+  EVENTS,
+  configure,
+  enabled,
+  plaintextAllowed,
+  enqueue,
+  waitlistStatusChanged,
+  offerEvent,
+  documentNotice,
+  readAck,
+  send,
+  dispatchPending,
+  startDispatcher,
+  resend,
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * Builders for the HL7 v2 messages TransTrack sends (see outbound.js):
+ *
+ *   ADT^A08  waitlist status change; PID plus a ZTX transplant segment laid
+ *            out as the inbound ZTX handler in zSegments.js reads it
+ *   MDM^T02  IOTA notice document; TXA plus the notice text in OBX
+ *   ORU^R01  organ-offer event; OBR for the offer, OBX per offer attribute
+ *
+ * Every value is escaped for the default |^~\& separators and messages
+ * declare MSH-18 UNICODE UTF-8, so names and notice text survive any
+ * receiving engine that honours the character set.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { escapeText } = require(path.join(__dirname, '..', '..', '..', 'electron', 'services', 'hl7v2.cjs'));
+
+const VERSION = '2.5.1';
+const CHARSET = 'UNICODE UTF-8';
+
+/** HL7 DTM to the second, in UTC. */
+function timestamp(date = new Date()) {
+  return new Date(date).toISOString().replace(/[-:.TZ]/g, '').slice(0, 14);
+}
+
+/** HL7 DT (YYYYMMDD) from a date or ISO string; null when absent. */
+function hl7Date(value) {
+  if (!value) return null;
+  const iso = value instanceof Date ? value.toISOString() : String(value);
+  return iso.slice(0, 10).replace(/-/g, '') || null;
+}
+
+/** A control ID unique enough to correlate ACKs: ST(20) caps MSH-10. */
+function newControlId() {
+  return `TT${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+}
+
+/** One field: a scalar, or an array of components. */
+function field(value) {
+  if (Array.isArray(value)) return value.map((c) => escapeText(c ?? '')).join('^').replace(/\^+$/, '');
+  return escapeText(value ?? '');
+}
+
+/** A segment with trailing empty fields dropped. */
+function segment(name, fields) {
+  const out = [name, ...fields.map(field)];
+  while (out.length > 1 && out[out.length - 1] === '') out.pop();
+  return out.join('|');
+}
+
+function msh(header, type, trigger, structure) {
+  return [
+    'MSH', '^~\\&',
+    field(header.sendingApp), field(header.sendingFacility),
+    field(header.receivingApp), field(header.receivingFacility),
+    header.timestamp, '',
+    `${type}^${trigger}^${structure}`,
+    field(header.controlId),
+    'P', VERSION, '', '',
+    'AL', 'NE', '', CHARSET,
+  ].join('|');
+}
+
+function sexCode(sex) {
+  const c = String(sex || '').trim().charAt(0).toUpperCase();
+  return ['M', 'F', 'O', 'U', 'A', 'N'].includes(c) ? c : 'U';
+}
+
+function pid(patient) {
+  return segment('PID', [
+    '1', '',
+    [patient.mrn, '', '', '', 'MR'],
+    '',
+    [patient.last_name, patient.first_name, patient.middle_name],
+    '',
+    hl7Date(patient.date_of_birth),
+    sexCode(patient.sex),
+    '', '', '', '',
+    patient.phone,
+  ]);
+}
+
+/** Field order matches the ZTX handler in zSegments.js. */
+function ztx(patient) {
+  return segment('ZTX', [
+    patient.organ_needed,
+    patient.waitlist_status,
+    hl7Date(patient.date_added_to_waitlist),
+    '', '',
+    patient.meld_score,
+    patient.cpra_percentage ?? patient.pra_percentage,
+  ]);
+}
+
+/**
+ * ADT^A08 (update patient information) for a waitlist status change. EVN-4
+ * carries the previous status so the receiver can tell the direction.
+ */
+function buildWaitlistUpdate(header, { patient, previousStatus = null }) {
+  return [
+    msh(header, 'ADT', 'A08', 'ADT_A01'),
+    segment('EVN', ['A08', header.timestamp, '', previousStatus ? ['WLSTATUS', `from ${previousStatus}`] : '']),
+    pid(patient),
+    segment('PV1', ['1', 'N']),
+    ztx(patient),
+  ].join('\r');
+}
+
+/**
+ * MDM^T02 (original document notification and content) for an IOTA notice.
+ * The notice text goes in one TX OBX; line breaks become \.br\.
+ */
+function buildDocumentNotification(header, { patient, document }) {
+  return [
+    msh(header, 'MDM', 'T02', 'MDM_T02'),
+    segment('EVN', ['T02', header.timestamp]),
+    pid(patient),
+    segment('PV1', ['1', 'N']),
+    segment('TXA', [
+      '1',
+      [document.type || 'IOTA_NOTICE', document.title],
+      'TX',
+      timestamp(document.issued_at || new Date()),
+      '', '', '', '', '', '', '',
+      document.id,
+      '', '', '', '',
+      'AU',
+    ]),
+    segment('OBX', ['1', 'TX', [document.type || 'IOTA_NOTICE', document.title, 'L'], '', document.text, '', '', '', '', '', 'F']),
+  ].join('\r');
+}
+
+/**
+ * ORU^R01 for an organ-offer event: OBR-2 is the offer id and each OBX one
+ * attribute of the offer as it stands after the event.
+ */
+function buildOfferResult(header, { patient, offer, action }) {
+  const observations = [
+    ['OFFER_STATUS', 'Offer status', offer.offer_status],
+    ['OFFER_ACTION', 'Offer event', action],
+    ['OPTN_MATCH_ID', 'OPTN match id', offer.optn_match_id],
+    ['SEQUENCE', 'Match sequence number', offer.sequence_number],
+    ['RESPONSE_DUE', 'Response due', offer.response_due_at ? timestamp(offer.response_due_at) : null],
+    ['DECLINE_CODE', 'Decline code', offer.decline_code],
+    ['DECLINE_REASON', 'Decline reason', offer.decline_reason],
+  ].filter(([, , value]) => value !== null && value !== undefined && value !== '');
+  return [
+    msh(header, 'ORU', 'R01', 'ORU_R01'),
+    pid(patient),
+    segment('OBR', ['1', offer.id, '', ['ORGAN_OFFER', 'Organ offer', 'L'], '', '', timestamp(offer.offered_at || new Date())]),
+    ...observations.map(([code, text, value], i) =>
+      segment('OBX', [String(i + 1), 'ST', [code, text, 'L'], '', String(value), '', '', '', '', '', 'F'])),
+  ].join('\r');
+}
+
+module.exports = {
+  buildWaitlistUpdate,
+  buildDocumentNotification,
+  buildOfferResult,
+  newControlId,
+  timestamp,
+  hl7Date,
+};
@@ -79,6 +79,14 @@ async function build() {
   app.addContentTypeParser('application/fhir+json', { parseAs: 'string' }, (_req, body, done) => {
     try { done(null, JSON.parse(body)); } catch (e) { done(e); }
   });
+  // NDJSON is kept as a Buffer; Bulk $import stores it and parses per line.
+  app.addContentTypeParser(['application/fhir+ndjson', 'application/x-ndjson', 'application/ndjson'],
+    { parseAs: 'buffer', bodyLimit: config.BULK_IMPORT_MAX_UPLOAD_MB * 1024 * 1024 },
+    (_req, body, done) => done(null, body));
+  // HL7 v2 batch files are handed to the route as the raw request stream so
+  // hl7/batch.js can ingest them message by message; it enforces the size cap.
+  app.addContentTypeParser(['application/hl7-v2', 'x-application/hl7-v2+er7', 'application/edi-hl7'],
+    (_req, payload, done) => done(null, payload));
 
   // Raw-body capture for Stripe webhook signature verification. Routes
   // opt-in by setting `config.rawBody: true` on the route definition;
@@ -148,6 +156,7 @@ async function build() {
   app.register(require('./routes/calculators'));
   app.register(require('./routes/audit'));
   app.register(require('./routes/hl7'));
+  app.register(require('./routes/subscriptions'));
   app.register(require('./routes/fhir'), { config });
   app.register(require('./routes/smart'), { config });
   app.register(require('./routes/cds'), { config });
@@ -187,8 +196,22 @@ async function start() {
 
   const subs = require('./fhir/subscriptions');
   subs.setLogger(app.log.child({ component: 'subscriptions' }));
+  subs.configure(config);
+  subs.attachWebsocket(app.server);
   const subscriptionTimer = subs.startDispatcher(config.SUBSCRIPTION_DISPATCH_MS || 5000);
 
+  const bulk = require('./fhir/bulkData');
+  bulk.configure(config);
+  const bulkPurgeTimer = bulk.startPurger(config.BULK_PURGE_INTERVAL_MS,
+    app.log.child({ component: 'bulk-data' }));
+
+  require('./hl7/batch').configure(config);
+
+  const hl7Outbound = require('./hl7/outbound');
+  hl7Outbound.configure(config);
+  const hl7OutboundTimer = hl7Outbound.startDispatcher(config.HL7_OUTBOUND_DISPATCH_MS,
+    app.log.child({ component: 'hl7-outbound' }));
+
   // --- Graceful shutdown ---
   let shuttingDown = false;
   const shutdown = async (reason, exitCode = 0) => {
@@ -196,6 +219,8 @@ async function start() {
     shuttingDown = true;
     app.log.info({ reason }, 'shutting down');
     if (subscriptionTimer) clearInterval(subscriptionTimer);
+    if (bulkPurgeTimer) clearInterval(bulkPurgeTimer);
+    if (hl7OutboundTimer) clearInterval(hl7OutboundTimer);
     if (mllpServer) {
       await new Promise((resolve) => mllpServer.close(resolve));
     }
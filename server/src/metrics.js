@@ -4,8 +4,9 @@
  * Simple in-process counters exposed on GET /metrics.
  *
  * Not a full Prometheus client — just the four counters the ops team
- * needs to alert on. Output is Prometheus text exposition format so
- * any scraper can consume it without a library dependency.
+ * needs to alert on, plus a few labelled series (per-subscription delivery
+ * and per-destination outbound HL7 outcomes). Output is Prometheus text exposition format so any scraper can
+ * consume it without a library dependency.
  */
 
 const counters = {
@@ -15,12 +16,33 @@ const counters = {
   fhir_delivery_failures_total: 0,
 };
 
+/** Labelled counters: name → (rendered label set → value). */
+const labelled = {
+  fhir_subscription_deliveries_total: new Map(),
+  hl7_outbound_messages_total: new Map(),
+};
+
 function inc(name, n = 1) {
   if (name in counters) counters[name] += n;
 }
 
+const escapeLabel = (v) => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/** Increment one series of a labelled counter, e.g. incLabelled(name, { outcome: 'delivered' }). */
+function incLabelled(name, labels, n = 1) {
+  const series = labelled[name];
+  if (!series) return;
+  const key = Object.keys(labels).sort()
+    .map((k) => `${k}="${escapeLabel(labels[k])}"`).join(',');
+  series.set(key, (series.get(key) || 0) + n);
+}
+
 function snapshot() {
-  return { ...counters };
+  const out = { ...counters };
+  for (const [name, series] of Object.entries(labelled)) {
+    for (const [key, v] of series) out[`${name}{${key}}`] = v;
+  }
+  return out;
 }
 
 function toPrometheusText() {
@@ -29,6 +51,10 @@ function toPrometheusText() {
     lines.push(`# TYPE ${k} counter`);
     lines.push(`${k} ${v}`);
   }
+  for (const [name, series] of Object.entries(labelled)) {
+    lines.push(`# TYPE ${name} counter`);
+    for (const [key, v] of series) lines.push(`${name}{${key}} ${v}`);
+  }
   return lines.join('\n') + '\n';
 }
 
@@ -47,4 +73,4 @@ async function metricsPlugin(app) {
   });
 }
 
-module.exports = { inc, snapshot, toPrometheusText, metricsPlugin };
+module.exports = { inc, incLabelled, snapshot, toPrometheusText, metricsPlugin };
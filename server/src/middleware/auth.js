@@ -160,4 +160,28 @@ function requireSmartScope(resource, op) {
   };
 }
 
-module.exports = { makeAuthHook, requireRole, requireSmartScope, NATIVE_FHIR_ROLES };
+/**
+ * Storage context for reading a resource type other than the one the route
+ * authorised, such as the targets of _include. Applies the same rules as
+ * requireSmartScope but answers null instead of throwing, and derives the
+ * compartment afresh: a patient-level grant on the searched type says nothing
+ * about the level granted on the included one.
+ */
+function accessContext(auth, resource, op) {
+  if (!auth) return null;
+  if (auth.tokenType !== 'smart') {
+    const allowed = NATIVE_FHIR_ROLES[op] || [];
+    return auth.role === 'admin' || allowed.includes(auth.role) ? auth : null;
+  }
+  const launchPatient = auth.smart.launchContext?.patient || null;
+  const { allowed, level } = smartScopes.resolveAccess(
+    auth.smart.parsedScopes, resource, op, { launchPatient }
+  );
+  if (!allowed) return null;
+  const { compartment: _unused, ...rest } = auth;
+  return level === 'patient' ? { ...rest, compartment: { patient: launchPatient } } : rest;
+}
+
+module.exports = {
+  makeAuthHook, requireRole, requireSmartScope, accessContext, NATIVE_FHIR_ROLES,
+};
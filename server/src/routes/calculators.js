@@ -89,6 +89,12 @@ const eptsSchema = z.object({
   years_on_dialysis: nonNegative,
 });
 
+// An empty list is a valid answer (cPRA 0); unparseable antigens come back
+// from the calculator as INVALID_INPUT with the offending entries.
+const cpraSchema = z.object({
+  unacceptable_antigens: z.array(z.string().min(1)).max(200),
+});
+
 module.exports = async function calculatorRoutes(app) {
   const perRouteRateLimit = {
     config: {
@@ -131,6 +137,9 @@ module.exports = async function calculatorRoutes(app) {
 
   app.post('/calculators/epts', perRouteRateLimit,
     async (req) => calc.calculateEPTS(eptsSchema.parse(req.body)));
+
+  app.post('/calculators/cpra', perRouteRateLimit,
+    async (req) => calc.calculateCPRA(cpraSchema.parse(req.body)));
 };
 
 module.exports.schemas = {
@@ -141,4 +150,5 @@ module.exports.schemas = {
   las: lasSchema,
   kdpi: kdpiSchema,
   epts: eptsSchema,
+  cpra: cpraSchema,
 };
@@ -6,9 +6,15 @@ const storage = require('../fhir/storage');
 const bundle = require('../fhir/bundle');
 const resources = require('../fhir/resources');
 const subscriptions = require('../fhir/subscriptions');
+const topics = require('../fhir/subscriptionTopics');
 const bulk = require('../fhir/bulkData');
+const bulkImport = require('../fhir/bulkImport');
+const everything = require('../fhir/everything');
+const validator = require('../fhir/validator');
+const transaction = require('../fhir/transaction');
 const { errors } = require('../util/errors');
-const { requireSmartScope } = require('../middleware/auth');
+const { weakEtag } = require('../util/etag');
+const { requireSmartScope, accessContext } = require('../middleware/auth');
 
 const SUPPORTED = new Set(Object.keys(resources));
 
@@ -53,9 +59,14 @@ module.exports = async function fhirRoutes(app, opts) {
       reply.code(500);
       return bundle.operationOutcome({ diagnostics: job.error_message || job.status });
     }
+    if (job.expired || job.purged_at) {
+      reply.code(410);
+      return bundle.operationOutcome({ diagnostics: 'export files have expired' });
+    }
     const files = await bulk.listFiles(req.auth, req.params.jobId);
     const manifest = {
-      transactionTime: job.completed_at,
+      // The instant the export read up to; pass it as _since for the next one.
+      transactionTime: job.transaction_time || job.completed_at,
       request: `${baseUrl}/$export`,
       requiresAccessToken: true,
       output: files.map(f => ({
@@ -76,7 +87,11 @@ module.exports = async function fhirRoutes(app, opts) {
       return bundle.operationOutcome({ diagnostics: 'file not found' });
     }
     reply.type('application/fhir+ndjson').code(200);
-    return f.content;
+    if (f.content_encoding === 'gzip' && /\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+      reply.header('Content-Encoding', 'gzip').header('Vary', 'Accept-Encoding');
+      return f.content;
+    }
+    return bulk.decodedContent(f);
   });
 
   app.delete('/fhir/$export-status/:jobId', async (req, reply) => {
@@ -89,7 +104,9 @@ module.exports = async function fhirRoutes(app, opts) {
   async function kickoffExport(exportType, req, reply, groupId) {
     const types = (req.query?._type || '').split(',').map(s => s.trim()).filter(Boolean);
     const since = req.query?._since || null;
-    const job = await bulk.kickoff(req.auth, { exportType, types, since, groupId });
+    const typeFilters = bulk.parseTypeFilters(req.query?._typeFilter);
+    const elements = bulk.parseElements(req.query?._elements);
+    const job = await bulk.kickoff(req.auth, { exportType, types, since, groupId, typeFilters, elements });
     // Run the export inline (deferred) — the spec allows synchronous-but-deferred
     setImmediate(() => bulk.runJob(req.auth, job.id).catch(err => {
       req.log.warn({ err: err.message, jobId: job.id }, 'bulk export failed');
@@ -101,8 +118,102 @@ module.exports = async function fhirRoutes(app, opts) {
     return '';
   }
 
+  // ----- Bulk Data $import ---------------------------------------------------
+
+  app.post('/fhir/$import', {
+    preHandler: [requireSmartScope('*', 'c')],
+  }, async (req, reply) => {
+    let inputs;
+    if (Buffer.isBuffer(req.body)) {
+      const type = req.query?.type || null;
+      if (type && !SUPPORTED.has(type)) throw errors.badRequest(`Unsupported resourceType ${type}`);
+      if (req.body.length === 0) throw errors.badRequest('$import body is empty');
+      inputs = [{ type, content: req.body }];
+    } else {
+      // File inputs read the server's disk, so only a native admin may name them.
+      if (req.auth.tokenType === 'smart' || req.auth.role !== 'admin') {
+        throw errors.forbidden('Importing from a path requires an admin session');
+      }
+      inputs = bulkImport.parseParameters(req.body, { importDir: config.BULK_IMPORT_DIR });
+    }
+    const job = await bulkImport.kickoff(req.auth, inputs);
+    setImmediate(() => bulkImport.runJob(req.auth, job.id, {
+      contextFor: (t) => accessContext(req.auth, t, 'c'),
+      importDir: config.BULK_IMPORT_DIR,
+      logger: req.log,
+    }).catch(err => {
+      req.log.warn({ err: err.message, jobId: job.id }, 'bulk import failed');
+    }));
+    reply.code(202)
+      .header('Content-Location', `${baseUrl}/$import-status/${job.id}`)
+      .header('Cache-Control', 'no-store')
+      .header('Pragma', 'no-cache');
+    return '';
+  });
+
+  app.get('/fhir/$import-status/:jobId', async (req, reply) => {
+    const job = await bulkImport.status(req.auth, req.params.jobId);
+    if (!job) {
+      reply.code(404);
+      return bundle.operationOutcome({ diagnostics: 'job not found' });
+    }
+    if (job.status === 'queued' || job.status === 'in-progress') {
+      const lines = job.total_lines == null ? '' : ` (${job.lines_processed}/${job.total_lines} lines)`;
+      reply.code(202).header('X-Progress', `${job.progress_percent || 0}% complete${lines}`);
+      return '';
+    }
+    if (job.status === 'failed' || job.status === 'cancelled') {
+      reply.code(500);
+      return bundle.operationOutcome({ diagnostics: job.error_message || job.status });
+    }
+    const inputs = await bulkImport.listInputs(req.auth, req.params.jobId);
+    const issues = inputs.reduce((n, i) => n + i.duplicate_count + i.error_count, 0);
+    const manifest = {
+      transactionTime: job.completed_at,
+      request: `${baseUrl}/$import`,
+      requiresAccessToken: true,
+      output: inputs.map(i => ({
+        type: i.resource_type || undefined,
+        inputUrl: i.path || `upload:${i.input_index}`,
+        count: i.imported_count,
+        duplicates: i.duplicate_count,
+        errors: i.error_count,
+      })),
+      error: issues ? [{ type: 'OperationOutcome', url: `${baseUrl}/$import-errors/${req.params.jobId}`, count: issues }] : [],
+    };
+    reply.code(200).type('application/json');
+    return manifest;
+  });
+
+  app.get('/fhir/$import-errors/:jobId', async (req, reply) => {
+    const content = await bulkImport.issuesNdjson(req.auth, req.params.jobId);
+    if (content === null) {
+      reply.code(404);
+      return bundle.operationOutcome({ diagnostics: 'job not found' });
+    }
+    reply.type('application/fhir+ndjson').code(200);
+    return content;
+  });
+
+  app.delete('/fhir/$import-status/:jobId', async (req, reply) => {
+    const r = await bulkImport.cancel(req.auth, req.params.jobId);
+    if (!r) { reply.code(404); return ''; }
+    reply.code(202);
+    return '';
+  });
+
   // ----- Generic CRUD -----------------------------------------------------
 
+  /** ETag and Last-Modified for the version a response carries. */
+  function versionHeaders(reply, row) {
+    return reply
+      .header('ETag', weakEtag(row.version_id))
+      .header('Last-Modified', new Date(row.last_updated).toUTCString());
+  }
+
+  /** If-Match from the request; storage answers 412 when it names a stale version. */
+  const ifMatch = (req) => req.headers['if-match'] || undefined;
+
   app.get('/fhir/:type/:id', {
     preHandler: [async (req) => {
       const { type } = req.params;
@@ -120,7 +231,7 @@ module.exports = async function fhirRoutes(app, opts) {
         reply.code(404).type('application/fhir+json');
         return bundle.operationOutcome({ diagnostics: 'not found' });
       }
-      reply.type('application/fhir+json');
+      versionHeaders(reply.type('application/fhir+json'), row);
       return row.body;
     });
   });
@@ -137,9 +248,20 @@ module.exports = async function fhirRoutes(app, opts) {
       return bundle.operationOutcome({ diagnostics: `Unsupported resourceType ${type}` });
     }
     return withTransaction(req.auth, async (client) => {
-      const rows = await storage.search(client, req.auth, type, req.query || {});
+      const params = req.query || {};
+      const page = await storage.searchPage(client, req.auth, type, params, {
+        contextFor: (t) => accessContext(req.auth, t, 'r'),
+        strict: /\bhandling=strict\b/.test(req.headers?.prefer || ''),
+      });
       reply.type('application/fhir+json');
-      return bundle.searchset({ baseUrl, type, rows });
+      return bundle.searchset({
+        baseUrl,
+        type,
+        rows: page.rows,
+        included: page.included,
+        total: page.total,
+        link: bundle.searchLinks({ url: `${baseUrl}/${type}`, params, nextCursor: page.nextCursor }),
+      });
     });
   });
 
@@ -154,10 +276,11 @@ module.exports = async function fhirRoutes(app, opts) {
     const handler = resources[type];
     handler.validate(req.body);
     return withTransaction(req.auth, async (client) => {
+      await validator.enforce(client, req.auth, type, req.body);
       const row = await storage.create(client, req.auth, type, req.body);
       if (handler.postCreate) await handler.postCreate(client, req.auth, row.body);
-      reply.code(201).type('application/fhir+json')
-        .header('Location', `${baseUrl}/${type}/${row.body.id}`);
+      versionHeaders(reply.code(201).type('application/fhir+json'), row)
+        .header('Location', `${baseUrl}/${type}/${row.body.id}/_history/${row.version_id}`);
       // Fire subscription notifications (after tx commits)
       setImmediate(() => subscriptions.notify(req.auth, row.body, 'create').catch(() => {}));
       return row.body;
@@ -175,9 +298,10 @@ module.exports = async function fhirRoutes(app, opts) {
     const handler = resources[type];
     handler.validate(req.body);
     return withTransaction(req.auth, async (client) => {
-      const row = await storage.update(client, req.auth, type, id, req.body);
+      await validator.enforce(client, req.auth, type, req.body);
+      const row = await storage.update(client, req.auth, type, id, req.body, { ifMatch: ifMatch(req) });
       if (handler.postCreate) await handler.postCreate(client, req.auth, row.body);
-      reply.type('application/fhir+json');
+      versionHeaders(reply.code(row.version_id === 1 ? 201 : 200).type('application/fhir+json'), row);
       setImmediate(() => subscriptions.notify(req.auth, row.body, 'update').catch(() => {}));
       return row.body;
     });
@@ -194,7 +318,7 @@ module.exports = async function fhirRoutes(app, opts) {
     const { type, id } = req.params;
     if (!SUPPORTED.has(type)) throw errors.badRequest(`Unsupported resourceType ${type}`);
     return withTransaction(req.auth, async (client) => {
-      const result = await storage.softDelete(client, req.auth, type, id);
+      const result = await storage.softDelete(client, req.auth, type, id, { ifMatch: ifMatch(req) });
       if (!result) {
         reply.code(404).type('application/fhir+json');
         return bundle.operationOutcome({ diagnostics: 'not found' });
@@ -205,8 +329,234 @@ module.exports = async function fhirRoutes(app, opts) {
     });
   });
 
+  // ----- $validate -----------------------------------------------------------
+
+  /**
+   * The resource and profile to validate: either the bare resource as the
+   * body, or a Parameters resource with `resource` and optional `profile`
+   * parameters. `?profile=` on the URL is honoured in both cases.
+   */
+  function validateInput(req) {
+    const body = req.body || {};
+    let resource = body;
+    let profile = req.query?.profile || null;
+    if (body.resourceType === 'Parameters') {
+      const params = Array.isArray(body.parameter) ? body.parameter : [];
+      resource = params.find((p) => p.name === 'resource')?.resource;
+      const named = params.find((p) => p.name === 'profile');
+      profile = named?.valueUri || named?.valueCanonical || profile;
+      if (!resource) throw errors.badRequest('Parameters must include a resource parameter');
+    }
+    return { resource, profile };
+  }
+
+  app.post('/fhir/:type/$validate', {
+    preHandler: [async (req) => {
+      const { type } = req.params;
+      if (SUPPORTED.has(type)) await requireSmartScope(type, 'r')(req);
+    }],
+  }, async (req, reply) => {
+    const { type } = req.params;
+    if (!SUPPORTED.has(type)) {
+      reply.code(404).type('application/fhir+json');
+      return bundle.operationOutcome({ diagnostics: `Unsupported resourceType ${type}` });
+    }
+    const { resource, profile } = validateInput(req);
+    reply.type('application/fhir+json');
+    return validator.outcome(validator.validate(type, resource, { profile }));
+  });
+
+  // ----- Patient/$everything ----------------------------------------------
+
+  app.get('/fhir/Patient/:id/$everything', {
+    preHandler: [requireSmartScope('Patient', 'r')],
+  }, async (req, reply) => {
+    const { id } = req.params;
+    return withTransaction(req.auth, async (client) => {
+      const page = await everything.everything(client, req.auth, id, req.query || {}, {
+        contextFor: (t) => accessContext(req.auth, t, 'r'),
+      });
+      if (!page) {
+        reply.code(404).type('application/fhir+json');
+        return bundle.operationOutcome({ diagnostics: 'not found' });
+      }
+      reply.type('application/fhir+json');
+      return bundle.searchset({
+        baseUrl,
+        type: 'Patient',
+        rows: page.rows,
+        total: page.total,
+        link: bundle.pageLinks({
+          url: `${baseUrl}/Patient/${id}/$everything`,
+          params: req.query || {},
+          total: page.total,
+          count: page.count,
+          offset: page.offset,
+        }),
+      });
+    });
+  });
+
+  // ----- Subscriptions R5 Backport -----------------------------------------
+
+  app.get('/fhir/SubscriptionTopic', {
+    preHandler: [requireSmartScope('Subscription', 's')],
+  }, async (req, reply) => {
+    const list = topics.list();
+    reply.type('application/fhir+json');
+    return {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      total: list.length,
+      entry: list.map((t) => ({
+        fullUrl: `${baseUrl}/SubscriptionTopic/${t.id}`,
+        resource: topics.toResource(t),
+        search: { mode: 'match' },
+      })),
+    };
+  });
+
+  app.get('/fhir/SubscriptionTopic/:id', {
+    preHandler: [requireSmartScope('Subscription', 'r')],
+  }, async (req, reply) => {
+    const topic = topics.byId(req.params.id);
+    reply.type('application/fhir+json');
+    if (!topic) {
+      reply.code(404);
+      return bundle.operationOutcome({ diagnostics: 'not found' });
+    }
+    return topics.toResource(topic);
+  });
+
+  /** An operation input from the query string or, on POST, a Parameters body. */
+  function operationParam(req, name) {
+    if (req.query?.[name] !== undefined) return req.query[name];
+    const p = (req.body?.parameter || []).find((x) => x.name === name);
+    if (!p) return undefined;
+    return p.valueString ?? p.valueCode ?? p.valueId ?? p.valueUnsignedInt ?? p.valueInteger;
+  }
+
+  const subscriptionStatus = async (req, reply, ids) => {
+    const result = await withTransaction(req.auth, (client) =>
+      subscriptions.statusBundle(client, req.auth, ids));
+    reply.type('application/fhir+json');
+    return result;
+  };
+
+  app.get('/fhir/Subscription/$status', {
+    preHandler: [requireSmartScope('Subscription', 'r')],
+  }, async (req, reply) => {
+    const raw = req.query?.id;
+    const ids = (Array.isArray(raw) ? raw : String(raw || '').split(','))
+      .map((s) => s.trim()).filter(Boolean);
+    if (ids.length === 0) throw errors.badRequest('$status needs at least one id');
+    return subscriptionStatus(req, reply, ids);
+  });
+
+  app.get('/fhir/Subscription/:id/$status', {
+    preHandler: [requireSmartScope('Subscription', 'r')],
+  }, async (req, reply) => subscriptionStatus(req, reply, [req.params.id]));
+
+  const subscriptionEvents = async (req, reply) => {
+    const result = await withTransaction(req.auth, (client) =>
+      subscriptions.eventsBundle(client, req.auth, req.params.id, {
+        since: operationParam(req, 'eventsSinceNumber'),
+        until: operationParam(req, 'eventsUntilNumber'),
+        content: operationParam(req, 'content'),
+      }));
+    reply.type('application/fhir+json');
+    if (!result) {
+      reply.code(404);
+      return bundle.operationOutcome({ diagnostics: 'not found' });
+    }
+    return result;
+  };
+
+  app.get('/fhir/Subscription/:id/$events', {
+    preHandler: [requireSmartScope('Subscription', 'r')],
+  }, subscriptionEvents);
+  app.post('/fhir/Subscription/:id/$events', {
+    preHandler: [requireSmartScope('Subscription', 'r')],
+  }, subscriptionEvents);
+
+  const bindingToken = async (req, reply) => {
+    const issued = await withTransaction(req.auth, (client) =>
+      subscriptions.issueBindingToken(client, req.auth, req.params.id));
+    reply.type('application/fhir+json');
+    if (!issued) {
+      reply.code(404);
+      return bundle.operationOutcome({ diagnostics: 'not found' });
+    }
+    return {
+      resourceType: 'Parameters',
+      parameter: [
+        { name: 'token', valueString: issued.token },
+        { name: 'expiration', valueDateTime: issued.expiresAt },
+        { name: 'subscription', valueString: `${baseUrl}/Subscription/${req.params.id}` },
+        { name: 'websocket-url', valueUrl: `${baseUrl.replace(/^http/, 'ws')}/subscription-ws` },
+      ],
+    };
+  };
+
+  app.get('/fhir/Subscription/:id/$get-ws-binding-token', {
+    preHandler: [requireSmartScope('Subscription', 'r')],
+  }, bindingToken);
+  app.post('/fhir/Subscription/:id/$get-ws-binding-token', {
+    preHandler: [requireSmartScope('Subscription', 'r')],
+  }, bindingToken);
+
   // ----- History -------------------------------------------------------------
 
+  /** Paging options shared by the instance, type and system _history routes. */
+  function historyOptions(query = {}) {
+    const since = query._since || null;
+    if (since && Number.isNaN(Date.parse(since))) {
+      throw errors.badRequest('_since must be a FHIR instant');
+    }
+    return { since, count: query._count, offset: query._offset };
+  }
+
+  function historyBundle(req, path, page) {
+    const link = bundle.pageLinks({
+      url: `${baseUrl}/${path}`,
+      params: req.query || {},
+      total: page.total,
+      count: page.count,
+      offset: page.offset,
+    });
+    return bundle.history({ baseUrl, page, link });
+  }
+
+  app.get('/fhir/_history', {
+    preHandler: [requireSmartScope('*', 'r')],
+  }, async (req, reply) => {
+    const opts = historyOptions(req.query);
+    return withTransaction(req.auth, async (client) => {
+      const page = await storage.systemHistory(client, req.auth, opts);
+      reply.type('application/fhir+json');
+      return historyBundle(req, '_history', page);
+    });
+  });
+
+  app.get('/fhir/:type/_history', {
+    preHandler: [async (req) => {
+      const { type } = req.params;
+      if (SUPPORTED.has(type)) await requireSmartScope(type, 'r')(req);
+    }],
+  }, async (req, reply) => {
+    const { type } = req.params;
+    if (!SUPPORTED.has(type)) {
+      reply.code(404).type('application/fhir+json');
+      return bundle.operationOutcome({ diagnostics: `Unsupported resourceType ${type}` });
+    }
+    const opts = historyOptions(req.query);
+    return withTransaction(req.auth, async (client) => {
+      const page = await storage.typeHistory(client, req.auth, type, opts);
+      reply.type('application/fhir+json');
+      return historyBundle(req, `${type}/_history`, page);
+    });
+  });
+
   app.get('/fhir/:type/:id/_history', {
     preHandler: [async (req) => {
       const { type } = req.params;
@@ -218,24 +568,15 @@ module.exports = async function fhirRoutes(app, opts) {
       reply.code(404).type('application/fhir+json');
       return bundle.operationOutcome({ diagnostics: `Unsupported resourceType ${type}` });
     }
+    const opts = historyOptions(req.query);
     return withTransaction(req.auth, async (client) => {
-      const rows = await storage.history(client, req.auth, type, id);
-      if (!rows) {
+      const page = await storage.history(client, req.auth, type, id, opts);
+      if (!page) {
         reply.code(404).type('application/fhir+json');
         return bundle.operationOutcome({ diagnostics: 'not found' });
       }
       reply.type('application/fhir+json');
-      return {
-        resourceType: 'Bundle',
-        type: 'history',
-        total: rows.length,
-        entry: rows.map((r) => ({
-          fullUrl: `${baseUrl}/${type}/${id}`,
-          resource: r.body,
-          request: { method: r.deleted ? 'DELETE' : 'PUT', url: `${type}/${id}` },
-          response: { status: r.deleted ? '410 Gone' : '200 OK', lastModified: r.last_updated },
-        })),
-      };
+      return historyBundle(req, `${type}/${id}/_history`, page);
     });
   });
 
@@ -251,101 +592,48 @@ module.exports = async function fhirRoutes(app, opts) {
       return bundle.operationOutcome({ diagnostics: `Unsupported resourceType ${type}` });
     }
     return withTransaction(req.auth, async (client) => {
-      const rows = await storage.history(client, req.auth, type, id, vid);
-      if (!rows || rows.length === 0) {
+      const row = await storage.vread(client, req.auth, type, id, vid);
+      if (!row) {
         reply.code(404).type('application/fhir+json');
         return bundle.operationOutcome({ diagnostics: 'version not found' });
       }
-      reply.type('application/fhir+json');
-      return rows[0].body;
+      if (row.deleted) {
+        reply.code(410).type('application/fhir+json');
+        return bundle.operationOutcome({ diagnostics: `${type}/${id} was deleted at version ${vid}` });
+      }
+      versionHeaders(reply.type('application/fhir+json'), row);
+      return row.body;
     });
   });
 
-  // ----- Transaction Bundle ---------------------------------------------------
-
-  const BUNDLE_METHOD_OPS = { POST: 'c', PUT: 'u', DELETE: 'd', GET: 'r' };
-  const MAX_BUNDLE_ENTRIES = 500;
+  // ----- Transaction / batch Bundle -------------------------------------------
 
   app.post('/fhir', {}, async (req, reply) => {
-    const body = req.body;
-    if (!body || body.resourceType !== 'Bundle' || body.type !== 'transaction') {
-      throw errors.badRequest('POST /fhir expects a Bundle with type=transaction');
-    }
-    const entries = body.entry || [];
-    if (entries.length === 0) {
-      throw errors.badRequest('Transaction bundle has no entries');
-    }
-    if (entries.length > MAX_BUNDLE_ENTRIES) {
-      throw errors.badRequest(
-        `Transaction bundle exceeds the ${MAX_BUNDLE_ENTRIES}-entry limit`
-      );
-    }
+    if (!req.auth) throw errors.unauthorized();
+    const parsed = transaction.parse(req.body, SUPPORTED);
 
-    // H-4: authorise every entry BEFORE executing any of them. A transaction
-    // bundle is a batch of the same operations the individual CRUD routes
-    // expose and must clear exactly the same scope checks; authorising up
-    // front also keeps the bundle all-or-nothing.
-    for (const entry of entries) {
-      const request = entry.request;
-      if (!request || !request.method || !request.url) {
-        throw errors.badRequest('Each entry must have a request with method and url');
-      }
-      const [type] = request.url.split('/').filter(Boolean);
-      if (!type || !SUPPORTED.has(type)) {
-        throw errors.badRequest(`Unsupported resourceType: ${type}`);
-      }
-      const op = BUNDLE_METHOD_OPS[request.method.toUpperCase()];
-      if (!op) throw errors.badRequest(`Unsupported method: ${request.method}`);
-      await requireSmartScope(type, op)(req);
+    // H-4: authorise every entry BEFORE executing any of them. A bundle is a
+    // batch of the same operations the individual CRUD routes expose and must
+    // clear exactly the same scope checks. Each entry gets its own storage
+    // context, so a patient-level grant on one type never leaks its
+    // compartment onto another. A transaction is refused outright; in a batch
+    // only the denied entry fails.
+    for (const e of parsed.entries) {
+      e.ctx = accessContext(req.auth, e.type, e.op);
+      if (e.ctx) continue;
+      const denied = req.auth.tokenType === 'smart'
+        ? errors.forbidden(`SMART scope does not permit ${e.op} on ${e.type}`)
+        : errors.forbidden(`Role '${req.auth.role}' may not ${e.method} ${e.type}`);
+      if (parsed.kind === 'transaction') throw denied;
+      e.denied = denied;
     }
 
-    return withTransaction(req.auth, async (client) => {
-      const results = [];
-      for (const entry of entries) {
-        const request = entry.request;
-        const [type, id] = request.url.split('/').filter(Boolean);
-        const handler = resources[type];
-        let result;
-        switch (request.method.toUpperCase()) {
-          case 'POST': {
-            if (handler.validate) handler.validate(entry.resource);
-            const row = await storage.create(client, req.auth, type, entry.resource);
-            result = { status: '201', location: `${type}/${row.body.id}`, resource: row.body };
-            break;
-          }
-          case 'PUT': {
-            if (!id) throw errors.badRequest('PUT requires resource id in url');
-            if (handler.validate) handler.validate(entry.resource);
-            const row = await storage.update(client, req.auth, type, id, entry.resource);
-            result = { status: '200', resource: row.body };
-            break;
-          }
-          case 'DELETE': {
-            if (!id) throw errors.badRequest('DELETE requires resource id in url');
-            await storage.softDelete(client, req.auth, type, id);
-            result = { status: '204' };
-            break;
-          }
-          case 'GET': {
-            if (!id) throw errors.badRequest('GET requires resource id in url');
-            const row = await storage.read(client, req.auth, type, id);
-            result = row ? { status: '200', resource: row.body } : { status: '404' };
-            break;
-          }
-          default:
-            throw errors.badRequest(`Unsupported method: ${request.method}`);
-        }
-        results.push(result);
-      }
-      reply.code(200).type('application/fhir+json');
-      return {
-        resourceType: 'Bundle',
-        type: 'transaction-response',
-        entry: results.map((r) => ({
-          response: { status: r.status, location: r.location },
-          resource: r.resource || undefined,
-        })),
-      };
-    });
+    const { bundle: response, changes } = await withTransaction(req.auth, (client) =>
+      transaction.execute(client, parsed, { baseUrl, logger: req.log }));
+    for (const { resource, action } of changes) {
+      setImmediate(() => subscriptions.notify(req.auth, resource, action).catch(() => {}));
+    }
+    reply.code(200).type('application/fhir+json');
+    return response;
   });
 };
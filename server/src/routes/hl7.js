@@ -5,9 +5,47 @@ const { withTransaction } = require('../db/pool');
 const { requireRole } = require('../middleware/auth');
 const { errors } = require('../util/errors');
 const ingestMod = require('../hl7/ingest');
+const batchIngest = require('../hl7/batch');
+const outbound = require('../hl7/outbound');
+const fhirMapping = require('../hl7/fhirMapping');
 const { parseMessage, buildAck } = require('../hl7/messageParser');
 const messageTypes = require('../hl7/messageTypes');
 const vendorProfileService = require('../services/vendorProfileService');
+const conformanceProfileService = require('../services/conformanceProfileService');
+const audit = require('../services/auditService');
+
+const DESTINATION_COLUMNS = `id, name, host, port, use_tls, tls_servername, receiving_app,
+  receiving_facility, events, is_active, created_at, updated_at`;
+
+const destinationSchema = z.object({
+  name: z.string().min(1).max(100),
+  host: z.string().min(1).max(255),
+  port: z.coerce.number().int().min(1).max(65535),
+  use_tls: z.boolean().optional(),
+  tls_servername: z.string().max(255).nullable().optional(),
+  receiving_app: z.string().max(180).nullable().optional(),
+  receiving_facility: z.string().max(180).nullable().optional(),
+  events: z.array(z.enum(outbound.EVENTS)).min(1).optional(),
+  is_active: z.boolean().optional(),
+});
+
+const conformanceProfileSchema = z.object({
+  name: z.string().min(1).max(100),
+  description: z.string().max(1000).nullable().optional(),
+  definition: z.record(z.any()),
+  on_error: z.enum(['reject', 'accept_with_warning']).optional(),
+  reject_ack_code: z.enum(['AR', 'AE']).optional(),
+  is_active: z.boolean().optional(),
+});
+
+function assertTransportAllowed(body) {
+  if (body.use_tls === false && !outbound.plaintextAllowed()) {
+    throw errors.badRequest(
+      'Plaintext HL7 destinations are not allowed in production (set HL7_ALLOW_PLAINTEXT=1 to override)',
+      'plaintext_not_allowed'
+    );
+  }
+}
 
 module.exports = async function hl7Routes(app) {
   app.get('/hl7/messages',
@@ -27,7 +65,12 @@ module.exports = async function hl7Routes(app) {
           `SELECT id, direction, transport, sending_app, sending_facility,
                   message_type, trigger_event, message_control_id,
                   processed_status, ack_code, ack_message,
-                  peer_address, received_at, processed_at
+                  peer_address, received_at, processed_at,
+                  CASE WHEN validation_report IS NULL THEN NULL ELSE json_build_object(
+                    'profile', validation_report->'profile'->>'name',
+                    'valid', (validation_report->>'valid')::boolean,
+                    'error_count', (validation_report->>'error_count')::int,
+                    'warning_count', (validation_report->>'warning_count')::int) END AS conformance
            FROM hl7_messages WHERE ${where}
            ORDER BY received_at DESC LIMIT $${params.length}`,
           params
@@ -70,6 +113,87 @@ module.exports = async function hl7Routes(app) {
       return { ...result, parsed, ack };
     });
 
+  // Batch file (FHS/BHS...BTS/FTS) upload. Send the file as
+  // application/hl7-v2 to have it streamed; a text/plain body works for
+  // small files. The batch acknowledgement is in `ack_message` and at
+  // GET /hl7/batches/:id/ack.
+  app.post('/hl7/batch',
+    { preHandler: requireRole('admin', 'coordinator') },
+    async (req) => {
+      const q = z.object({ filename: z.string().max(255).optional() }).parse(req.query || {});
+      const body = req.body;
+      let stream;
+      if (typeof body === 'string' || Buffer.isBuffer(body)) stream = [Buffer.from(body)];
+      else if (body && typeof body[Symbol.asyncIterator] === 'function') stream = body;
+      else throw errors.badRequest('Send the batch file as application/hl7-v2 or text/plain', 'unsupported_batch_body');
+      return batchIngest.ingestFile(req.auth, stream, {
+        filename: q.filename || null,
+        peer: { address: req.ip },
+        logger: req.log,
+      });
+    });
+
+  app.get('/hl7/batches',
+    { preHandler: requireRole('admin', 'coordinator') },
+    async (req) => {
+      const q = z.object({
+        limit: z.coerce.number().int().positive().max(500).optional(),
+        status: z.enum(['processing', 'completed', 'aborted']).optional(),
+      }).parse(req.query);
+      return withTransaction(req.auth, async (client) => {
+        const params = [req.auth.orgId];
+        let where = 'org_id = $1';
+        if (q.status) { params.push(q.status); where += ` AND status = $${params.length}`; }
+        params.push(q.limit || 100);
+        const r = await client.query(
+          `SELECT id, filename, file_control_id, sending_app, sending_facility, status,
+                  batch_count, message_count, accepted_count, error_count, rejected_count,
+                  duplicate_count, reconciled, received_at, completed_at
+           FROM hl7_batches WHERE ${where}
+           ORDER BY received_at DESC LIMIT $${params.length}`,
+          params
+        );
+        return r.rows;
+      });
+    });
+
+  app.get('/hl7/batches/:id',
+    { preHandler: requireRole('admin', 'coordinator') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      return withTransaction(req.auth, async (client) => {
+        const r = await client.query(
+          `SELECT * FROM hl7_batches WHERE org_id = $1 AND id = $2`,
+          [req.auth.orgId, id]
+        );
+        if (!r.rows[0]) throw errors.notFound('Batch not found');
+        const messages = await client.query(
+          `SELECT id, batch_sequence, message_type, trigger_event, message_control_id,
+                  processed_status, ack_code, ack_message
+           FROM hl7_messages WHERE org_id = $1 AND batch_id = $2
+           ORDER BY batch_sequence`,
+          [req.auth.orgId, id]
+        );
+        return { ...r.rows[0], messages: messages.rows };
+      });
+    });
+
+  app.get('/hl7/batches/:id/ack',
+    { preHandler: requireRole('admin', 'coordinator') },
+    async (req, reply) => {
+      const id = z.string().uuid().parse(req.params.id);
+      const row = await withTransaction(req.auth, async (client) => {
+        const r = await client.query(
+          `SELECT ack_message FROM hl7_batches WHERE org_id = $1 AND id = $2`,
+          [req.auth.orgId, id]
+        );
+        return r.rows[0];
+      });
+      if (!row?.ack_message) throw errors.notFound('Batch acknowledgement not found');
+      reply.type('application/hl7-v2');
+      return row.ack_message;
+    });
+
   // Discovery: which message types do we currently accept?
   app.get('/hl7/supported-types', async () => ({
     supported: messageTypes.listSupported(),
@@ -89,6 +213,7 @@ module.exports = async function hl7Routes(app) {
         mrn_authority: z.string().optional(),
         config: z.record(z.any()).optional(),
         is_active: z.boolean().optional(),
+        conformance_profile_id: z.string().uuid().nullable().optional(),
       }).parse(req.body);
       return vendorProfileService.create(req.auth, body);
     });
@@ -97,7 +222,10 @@ module.exports = async function hl7Routes(app) {
     { preHandler: requireRole('admin') },
     async (req) => {
       const id = z.string().uuid().parse(req.params.id);
-      return vendorProfileService.update(req.auth, id, req.body || {});
+      const body = z.object({
+        conformance_profile_id: z.string().uuid().nullable().optional(),
+      }).passthrough().parse(req.body || {});
+      return vendorProfileService.update(req.auth, id, body);
     });
 
   app.delete('/hl7/vendor-profiles/:id',
@@ -111,6 +239,64 @@ module.exports = async function hl7Routes(app) {
     { preHandler: requireRole('admin') },
     async (req) => vendorProfileService.seedDefaults(req.auth));
 
+  // --- Conformance profiles ---
+
+  app.get('/hl7/conformance-profiles',
+    { preHandler: requireRole('admin') },
+    async (req) => conformanceProfileService.list(req.auth));
+
+  app.get('/hl7/conformance-profiles/:id',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      return conformanceProfileService.get(req.auth, id);
+    });
+
+  app.post('/hl7/conformance-profiles',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const body = conformanceProfileSchema.parse(req.body);
+      return conformanceProfileService.create(req.auth, body);
+    });
+
+  app.put('/hl7/conformance-profiles/:id',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      const body = conformanceProfileSchema.partial().parse(req.body || {});
+      return conformanceProfileService.update(req.auth, id, body);
+    });
+
+  app.delete('/hl7/conformance-profiles/:id',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      return conformanceProfileService.remove(req.auth, id);
+    });
+
+  // Check a sample message against a profile before attaching it to a vendor.
+  app.post('/hl7/conformance-profiles/:id/validate',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      const body = z.object({ message: z.string().min(8) }).parse(req.body);
+      return conformanceProfileService.validateMessage(req.auth, id, body.message);
+    });
+
+  // The FHIR resources a sample message would produce, without storing
+  // anything: for checking a vendor's fhirMapping configuration.
+  app.post('/hl7/fhir-mapping/preview',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const body = z.object({ message: z.string().min(8) }).parse(req.body);
+      let parsed = parseMessage(body.message);
+      const profile = await vendorProfileService.findFor(req.auth, parsed.sending_app, parsed.sending_facility);
+      if (profile) parsed = parseMessage(body.message, profile);
+      const { fhir_mapping: vendorConfig, ...rest } = parsed;
+      return withTransaction(req.auth, (client) =>
+        fhirMapping.preview(client, req.auth, { raw: body.message, parsed: rest, vendorConfig }));
+    });
+
   // --- Dead-letter management ---
 
   app.get('/hl7/dead-letters',
@@ -192,6 +378,193 @@ module.exports = async function hl7Routes(app) {
       });
     });
 
+  // --- Outbound destinations and message log ---
+
+  app.get('/hl7/outbound/destinations',
+    { preHandler: requireRole('admin', 'coordinator') },
+    async (req) => withTransaction(req.auth, async (client) => {
+      const r = await client.query(
+        `SELECT ${DESTINATION_COLUMNS},
+                (SELECT count(*)::int FROM hl7_outbound_messages m
+                  WHERE m.destination_id = d.id AND m.status IN ('pending','in_progress','retrying')) AS open_count,
+                (SELECT count(*)::int FROM hl7_outbound_messages m
+                  WHERE m.destination_id = d.id AND m.status IN ('failed','rejected')) AS failed_count
+           FROM hl7_outbound_destinations d WHERE org_id = $1 ORDER BY name`,
+        [req.auth.orgId]
+      );
+      return r.rows;
+    }));
+
+  app.post('/hl7/outbound/destinations',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const body = destinationSchema.parse(req.body);
+      assertTransportAllowed(body);
+      return withTransaction(req.auth, async (client) => {
+        const r = await client.query(
+          `INSERT INTO hl7_outbound_destinations
+             (org_id, name, host, port, use_tls, tls_servername, receiving_app, receiving_facility,
+              events, is_active)
+           VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+           RETURNING ${DESTINATION_COLUMNS}`,
+          [req.auth.orgId, body.name, body.host, body.port, body.use_tls ?? true,
+            body.tls_servername || null, body.receiving_app || null, body.receiving_facility || null,
+            body.events || outbound.EVENTS, body.is_active ?? true]
+        );
+        await audit.record(client, req.auth, {
+          action: 'hl7_outbound_destination.create', entityType: 'hl7_outbound_destination',
+          entityId: r.rows[0].id, details: { name: body.name, host: body.host, port: body.port },
+        });
+        return r.rows[0];
+      });
+    });
+
+  app.put('/hl7/outbound/destinations/:id',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      const body = destinationSchema.partial().parse(req.body || {});
+      assertTransportAllowed(body);
+      const sets = [];
+      const vals = [req.auth.orgId, id];
+      for (const [k, v] of Object.entries(body)) {
+        vals.push(v);
+        sets.push(`${k} = $${vals.length}`);
+      }
+      return withTransaction(req.auth, async (client) => {
+        if (!sets.length) {
+          const cur = await client.query(
+            `SELECT ${DESTINATION_COLUMNS} FROM hl7_outbound_destinations WHERE org_id = $1 AND id = $2`,
+            vals
+          );
+          if (!cur.rows[0]) throw errors.notFound('Destination not found');
+          return cur.rows[0];
+        }
+        const r = await client.query(
+          `UPDATE hl7_outbound_destinations SET ${sets.join(', ')}
+            WHERE org_id = $1 AND id = $2 RETURNING ${DESTINATION_COLUMNS}`,
+          vals
+        );
+        if (!r.rows[0]) throw errors.notFound('Destination not found');
+        await audit.record(client, req.auth, {
+          action: 'hl7_outbound_destination.update', entityType: 'hl7_outbound_destination',
+          entityId: id, details: { fields: Object.keys(body) },
+        });
+        return r.rows[0];
+      });
+    });
+
+  // Deleting a destination drops its queue and log with it; deactivate it
+  // instead to keep the history.
+  app.delete('/hl7/outbound/destinations/:id',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      return withTransaction(req.auth, async (client) => {
+        const r = await client.query(
+          `DELETE FROM hl7_outbound_destinations WHERE org_id = $1 AND id = $2 RETURNING id, name`,
+          [req.auth.orgId, id]
+        );
+        if (r.rows[0]) {
+          await audit.record(client, req.auth, {
+            action: 'hl7_outbound_destination.delete', entityType: 'hl7_outbound_destination',
+            entityId: id, details: { name: r.rows[0].name },
+          });
+        }
+        return { deleted: r.rows.length > 0 };
+      });
+    });
+
+  app.get('/hl7/outbound/messages',
+    { preHandler: requireRole('admin', 'coordinator') },
+    async (req) => {
+      const q = z.object({
+        destination_id: z.string().uuid().optional(),
+        status: z.enum(['pending', 'in_progress', 'retrying', 'acked', 'rejected', 'failed']).optional(),
+        limit: z.coerce.number().int().positive().max(500).optional(),
+      }).parse(req.query);
+      return withTransaction(req.auth, async (client) => {
+        const params = [req.auth.orgId];
+        let where = 'm.org_id = $1';
+        if (q.destination_id) { params.push(q.destination_id); where += ` AND m.destination_id = $${params.length}`; }
+        if (q.status) { params.push(q.status); where += ` AND m.status = $${params.length}`; }
+        params.push(q.limit || 100);
+        const r = await client.query(
+          `SELECT m.id, m.destination_id, d.name AS destination_name, m.event_type,
+                  m.source_type, m.source_id, m.message_type, m.trigger_event,
+                  m.message_control_id, m.status, m.attempt_count, m.next_attempt_at,
+                  m.last_attempt_at, m.ack_code, m.ack_message, m.error_message,
+                  m.created_at, m.acked_at
+             FROM hl7_outbound_messages m
+             JOIN hl7_outbound_destinations d ON d.id = m.destination_id
+            WHERE ${where}
+            ORDER BY m.created_at DESC LIMIT $${params.length}`,
+          params
+        );
+        return r.rows;
+      });
+    });
+
+  app.get('/hl7/outbound/messages/:id',
+    { preHandler: requireRole('admin', 'coordinator') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      return withTransaction(req.auth, async (client) => {
+        const r = await client.query(
+          `SELECT * FROM hl7_outbound_messages WHERE org_id = $1 AND id = $2`,
+          [req.auth.orgId, id]
+        );
+        return r.rows[0] || null;
+      });
+    });
+
+  app.post('/hl7/outbound/messages/:id/resend',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      return withTransaction(req.auth, async (client) => {
+        const row = await outbound.resend(client, req.auth, id);
+        if (row) {
+          await audit.record(client, req.auth, {
+            action: 'hl7_outbound_message.resend', entityType: 'hl7_outbound_message', entityId: id,
+          });
+        }
+        return { resent: !!row };
+      });
+    });
+
+  // IOTA notices are generated and tracked by the desktop tier
+  // (electron/services/iotaNoticeService.cjs); this sends a generated notice
+  // to the hospital engine as MDM^T02.
+  app.post('/hl7/outbound/iota-notices',
+    { preHandler: requireRole('admin', 'coordinator') },
+    async (req) => {
+      const body = z.object({
+        patient_id: z.string().uuid(),
+        notice: z.object({
+          id: z.string().min(1).max(100),
+          title: z.string().min(1).max(200),
+          text: z.string().min(1),
+          type: z.string().max(50).optional(),
+          issued_at: z.string().datetime({ offset: true }).optional(),
+        }),
+      }).parse(req.body);
+      if (!outbound.enabled()) throw errors.conflict('Outbound HL7 is disabled (HL7_OUTBOUND_ENABLED)');
+      return withTransaction(req.auth, async (client) => {
+        const p = await client.query(
+          `SELECT * FROM patients WHERE org_id = $1 AND id = $2`,
+          [req.auth.orgId, body.patient_id]
+        );
+        if (!p.rows[0]) throw errors.notFound('Patient not found');
+        const queued = await outbound.documentNotice(client, req.auth, p.rows[0], body.notice);
+        await audit.record(client, req.auth, {
+          action: 'hl7_outbound.iota_notice', entityType: 'patient', entityId: body.patient_id,
+          details: { notice_id: body.notice.id, destinations: queued.length },
+        });
+        return { queued };
+      });
+    });
+
   // --- Sending app → org mapping management ---
 
   app.get('/hl7/sending-apps',
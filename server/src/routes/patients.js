@@ -5,6 +5,7 @@ const { withTransaction } = require('../db/pool');
 const svc = require('../services/patientService');
 const { requireRole } = require('../middleware/auth');
 const { errors } = require('../util/errors');
+const { weakEtag } = require('../util/etag');
 
 /**
  * Writable patient fields (M-12).
@@ -39,6 +40,16 @@ const PATIENT_FIELDS = {
   priority_score: z.number(),
   priority_score_breakdown: z.record(z.any()),
   hla_typing: jsonValue,
+  // A list, or the delimited string the patient form sends; stored normalised.
+  unacceptable_antigens: z.union([z.array(z.string()), z.string()]),
+  // Single-antigen bead results; the virtual crossmatch reads them.
+  hla_antibodies: z.array(z.object({
+    antigen: z.string(),
+    mfi: z.number().finite().nonnegative().optional(),
+    tested_at: z.string().optional(),
+  })),
+  // Eligible for an A2/A2B organ under a match policy that allows it.
+  a2_to_b_eligible: z.boolean(),
   pra_percentage: z.number(),
   cpra_percentage: z.number(),
   meld_score: z.number().int(),
@@ -90,24 +101,36 @@ module.exports = async function patientRoutes(app) {
     return withTransaction(req.auth, async (client) => svc.list(client, req.auth, q));
   });
 
-  app.get('/patients/:id', async (req) => {
+  app.get('/patients/:id', async (req, reply) => {
     const id = z.string().uuid().parse(req.params.id);
     const r = await withTransaction(req.auth, async (client) => svc.get(client, req.auth, id));
     if (!r) throw errors.notFound();
+    reply.header('ETag', weakEtag(r.version));
     return r;
   });
 
-  app.post('/patients', { preHandler: requireRole('admin', 'coordinator', 'physician') }, async (req) => {
+  app.post('/patients', { preHandler: requireRole('admin', 'coordinator', 'physician') }, async (req, reply) => {
     const body = patientCreateSchema.parse(req.body);
-    return withTransaction(req.auth, async (client) => svc.create(client, req.auth, body));
+    const r = await withTransaction(req.auth, async (client) => svc.create(client, req.auth, body));
+    reply.header('ETag', weakEtag(r.version));
+    return r;
   });
 
-  app.patch('/patients/:id', { preHandler: requireRole('admin', 'coordinator', 'physician') }, async (req) => {
+  /**
+   * Partial update. Send the ETag from GET as If-Match to make the write
+   * conditional: a stale version is refused with 412 `version_conflict`
+   * rather than overwriting a colleague's edit.
+   */
+  app.patch('/patients/:id', { preHandler: requireRole('admin', 'coordinator', 'physician') }, async (req, reply) => {
     const id = z.string().uuid().parse(req.params.id);
     const body = patientPatchSchema.parse(req.body);
     if (Object.keys(body).length === 0) {
       throw errors.badRequest('No writable patient fields supplied');
     }
-    return withTransaction(req.auth, async (client) => svc.update(client, req.auth, id, body));
+    const ifMatch = req.headers['if-match'];
+    const r = await withTransaction(req.auth, async (client) => svc.update(client, req.auth, id, body, { ifMatch }));
+    if (!r) throw errors.notFound();
+    reply.header('ETag', weakEtag(r.version));
+    return r;
   });
 };
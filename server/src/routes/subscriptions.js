@@ -0,0 +1,92 @@
+'use strict';
+
+const { z } = require('zod');
+const { withTransaction } = require('../db/pool');
+const { requireRole } = require('../middleware/auth');
+const subscriptions = require('../fhir/subscriptions');
+
+/**
+ * Admin view of FHIR Subscription deliveries that ran out of attempts.
+ * Mirrors /hl7/dead-letters: list, replay, discard.
+ */
+module.exports = async function subscriptionRoutes(app) {
+  app.get('/subscriptions/dead-letters',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const q = z.object({
+        limit: z.coerce.number().int().positive().max(500).optional(),
+        status: z.enum(['pending', 'replayed', 'discarded']).optional(),
+        subscription: z.string().optional(),
+      }).parse(req.query);
+      const limit = q.limit || 100;
+      return withTransaction(req.auth, async (client) => {
+        const params = [req.auth.orgId];
+        let where = 'd.org_id = $1 AND d.replay_status IS NOT NULL';
+        if (q.status) { params.push(q.status); where += ` AND d.replay_status = $${params.length}`; }
+        if (q.subscription) { params.push(q.subscription); where += ` AND s.fhir_resource_id = $${params.length}`; }
+        params.push(limit);
+        const r = await client.query(
+          `SELECT d.id, s.fhir_resource_id AS subscription_id, s.status AS subscription_status,
+                  s.channel_type, s.endpoint, d.event_type, d.notification_type,
+                  d.triggering_resource, d.event_number, d.attempt_count, d.response_status,
+                  d.error_message, d.replay_status, d.dead_lettered_at, d.replayed_at, d.created_at
+           FROM fhir_subscription_deliveries d
+           JOIN fhir_subscriptions s ON s.id = d.subscription_id
+           WHERE ${where}
+           ORDER BY d.dead_lettered_at DESC LIMIT $${params.length}`,
+          params
+        );
+        return r.rows;
+      });
+    });
+
+  app.post('/subscriptions/dead-letters/:id/replay',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      const result = await withTransaction(req.auth, async (client) => {
+        // fhir_subscription_deliveries has no RLS policy (the dispatcher runs
+        // outside any tenant), so the org predicate is the only thing keeping
+        // another tenant's delivery out of reach.
+        const r = await client.query(
+          `UPDATE fhir_subscription_deliveries
+              SET status = 'pending', attempt_count = 0, next_attempt_at = NULL,
+                  replay_status = 'replayed', replayed_at = now()
+            WHERE id = $1 AND org_id = $2 AND replay_status = 'pending'
+            RETURNING subscription_id, notification_type`,
+          [id, req.auth.orgId]
+        );
+        const dl = r.rows[0];
+        if (!dl) return { replayed: false, reason: 'not found or already processed' };
+
+        // A subscription the failures put into error would never be
+        // dispatched again; replaying is the admin saying the endpoint is
+        // fixed. An unconfirmed subscription goes back to awaiting its handshake.
+        const s = await client.query(
+          `UPDATE fhir_subscriptions
+              SET status = CASE WHEN $3 = 'handshake' THEN 'requested' ELSE 'active' END,
+                  error_message = NULL, consecutive_failures = 0
+            WHERE id = $1 AND org_id = $2 AND status = 'error'
+            RETURNING status`,
+          [dl.subscription_id, req.auth.orgId, dl.notification_type]
+        );
+        return { replayed: true, subscriptionStatus: s.rows[0]?.status || null };
+      });
+      if (result.replayed) setImmediate(() => subscriptions.dispatchPending().catch(() => {}));
+      return result;
+    });
+
+  app.post('/subscriptions/dead-letters/:id/discard',
+    { preHandler: requireRole('admin') },
+    async (req) => {
+      const id = z.string().uuid().parse(req.params.id);
+      return withTransaction(req.auth, async (client) => {
+        const r = await client.query(
+          `UPDATE fhir_subscription_deliveries SET replay_status = 'discarded'
+            WHERE id = $1 AND org_id = $2 AND replay_status = 'pending' RETURNING id`,
+          [id, req.auth.orgId]
+        );
+        return { discarded: r.rows.length > 0 };
+      });
+    });
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+const { withTransaction } = require('../db/pool');
+const { errors } = require('../util/errors');
+const conformance = require('../hl7/conformance');
+const vendorProfileService = require('./vendorProfileService');
+
+/**
+ * HL7 v2 conformance profile service. Profiles are attached to vendor
+ * profiles, whose per-org cache carries them to the parser, so every write
+ * here invalidates that cache.
+ */
+
+const COLUMNS = `id, name, description, definition, on_error, reject_ack_code, is_active,
+  created_at, updated_at`;
+
+async function list(ctx) {
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `SELECT ${COLUMNS},
+              (SELECT coalesce(array_agg(v.vendor_name ORDER BY v.vendor_name), '{}')
+                 FROM hl7_vendor_profiles v WHERE v.conformance_profile_id = c.id) AS vendor_profiles
+       FROM hl7_conformance_profiles c
+       WHERE org_id = $1
+       ORDER BY name ASC`,
+      [ctx.orgId]
+    );
+    return r.rows;
+  });
+}
+
+async function get(ctx, id) {
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `SELECT ${COLUMNS} FROM hl7_conformance_profiles WHERE org_id = $1 AND id = $2`,
+      [ctx.orgId, id]
+    );
+    if (!r.rows[0]) throw errors.notFound('Conformance profile not found');
+    return r.rows[0];
+  });
+}
+
+async function create(ctx, input) {
+  const definition = conformance.parseDefinition(input.definition);
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `INSERT INTO hl7_conformance_profiles
+         (org_id, name, description, definition, on_error, reject_ack_code, is_active)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)
+       ON CONFLICT (org_id, name) DO NOTHING
+       RETURNING ${COLUMNS}`,
+      [
+        ctx.orgId,
+        input.name,
+        input.description || null,
+        JSON.stringify(definition),
+        input.on_error || 'accept_with_warning',
+        input.reject_ack_code || 'AR',
+        input.is_active !== false,
+      ]
+    );
+    if (!r.rows[0]) throw errors.conflict(`A conformance profile named '${input.name}' already exists`);
+    vendorProfileService.invalidate(ctx.orgId);
+    return r.rows[0];
+  });
+}
+
+async function update(ctx, id, input) {
+  const sets = [];
+  const vals = [ctx.orgId, id];
+  for (const [k, v] of Object.entries(input)) {
+    if (!['name', 'description', 'definition', 'on_error', 'reject_ack_code', 'is_active'].includes(k)) continue;
+    vals.push(k === 'definition' ? JSON.stringify(conformance.parseDefinition(v)) : v);
+    sets.push(`${k} = $${vals.length}`);
+  }
+  if (!sets.length) return get(ctx, id);
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `UPDATE hl7_conformance_profiles SET ${sets.join(', ')}
+       WHERE org_id = $1 AND id = $2
+       RETURNING ${COLUMNS}`,
+      vals
+    );
+    if (!r.rows[0]) throw errors.notFound('Conformance profile not found');
+    vendorProfileService.invalidate(ctx.orgId);
+    return r.rows[0];
+  });
+}
+
+/** Vendor profiles that used it are left without one (ON DELETE SET NULL). */
+async function remove(ctx, id) {
+  return withTransaction(ctx, async (client) => {
+    const r = await client.query(
+      `DELETE FROM hl7_conformance_profiles WHERE org_id = $1 AND id = $2 RETURNING id`,
+      [ctx.orgId, id]
+    );
+    vendorProfileService.invalidate(ctx.orgId);
+    return { deleted: r.rows.length > 0 };
+  });
+}
+
+/** Dry run: validate a pasted message against a stored profile without ingesting it. */
+async function validateMessage(ctx, id, raw) {
+  const profile = await get(ctx, id);
+  const report = conformance.validate(raw, profile);
+  return report || { profile: { id: profile.id, name: profile.name }, applicable: false, findings: [] };
+}
+
+module.exports = { list, get, create, update, remove, validateMessage };
@@ -2,6 +2,7 @@
 
 const audit = require('./auditService');
 const { errors } = require('../util/errors');
+const outbound = require('../hl7/outbound');
 
 const COLS = [
   'id', 'org_id', 'donor_organ_id', 'patient_id', 'optn_match_id',
@@ -56,6 +57,7 @@ async function create(client, ctx, input) {
     action: 'organ_offer.create', entityType: 'organ_offer', entityId: r.rows[0].id,
     details: { donor_organ_id: input.donor_organ_id, patient_id: input.patient_id },
   });
+  await outbound.offerEvent(client, ctx, r.rows[0], 'offer');
   return r.rows[0];
 }
 
@@ -119,6 +121,7 @@ async function transition(client, ctx, id, action, payload = {}) {
     action: `organ_offer.${action}`, entityType: 'organ_offer', entityId: id,
     details: { from: row.offer_status, to: next, ...payload },
   });
+  await outbound.offerEvent(client, ctx, r.rows[0], action);
   return r.rows[0];
 }
 
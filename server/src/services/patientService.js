@@ -1,24 +1,45 @@
 'use strict';
 
 const audit = require('./auditService');
+const { errors } = require('../util/errors');
+const { parseVersionTag } = require('../util/etag');
+const outbound = require('../hl7/outbound');
 // Single clinical-validation authority, shared with the desktop tier so the
 // two deployment modes cannot enforce different rules (C-4).
 const { assertValidEntity } = require('../../../electron/functions/validators.cjs');
+const hla = require('../../../electron/services/hla.cjs');
 
 const PATIENT_COLUMNS = [
   'id', 'org_id', 'mrn', 'patient_id', 'first_name', 'last_name', 'middle_name',
   'date_of_birth', 'sex', 'blood_type', 'organ_needed', 'medical_urgency',
   'waitlist_status', 'date_added_to_waitlist', 'priority_score',
-  'priority_score_breakdown', 'hla_typing', 'pra_percentage', 'cpra_percentage',
+  'priority_score_breakdown', 'hla_typing', 'unacceptable_antigens', 'hla_antibodies', 'a2_to_b_eligible', 'pra_percentage', 'cpra_percentage',
   'meld_score', 'las_score', 'functional_status', 'prognosis_rating',
   'last_evaluation_date', 'comorbidity_score', 'previous_transplants',
   'compliance_score', 'weight_kg', 'height_cm', 'phone', 'email', 'address',
   'emergency_contact_name', 'emergency_contact_phone', 'diagnosis',
   'comorbidities', 'medications', 'donor_preferences', 'psychological_clearance',
   'support_system_rating', 'document_urls', 'notes',
-  'created_at', 'updated_at', 'created_by', 'updated_by',
+  'created_at', 'updated_at', 'created_by', 'updated_by', 'version',
 ];
 
+/** Server-owned columns a caller can never set. */
+const READ_ONLY_COLUMNS = new Set(['id', 'org_id', 'created_at', 'version']);
+
+/**
+ * The value written for column `k`. Unacceptable antigens and antibody
+ * specificities are stored in canonical form, and as JSON text: pg would send
+ * a bare array as a Postgres array literal, which JSONB rejects.
+ */
+function columnValue(k, value) {
+  if (value === null || value === undefined) return value;
+  if (k === 'unacceptable_antigens') return JSON.stringify(hla.normalizeAntigenList(value).antigens);
+  if (k === 'hla_antibodies') {
+    return JSON.stringify(value.map((ab) => ({ ...ab, antigen: hla.parseAntigen(ab.antigen).name })));
+  }
+  return value;
+}
+
 async function list(client, ctx, { limit = 50, offset = 0, search, organ, status }) {
   const where = ['org_id = $1'];
   const params = [ctx.orgId];
@@ -75,9 +96,9 @@ async function create(client, ctx, input) {
   const cols = ['org_id', 'created_by', 'updated_by'];
   const vals = [ctx.orgId, ctx.userId || null, ctx.userId || null];
   for (const k of Object.keys(input)) {
-    if (PATIENT_COLUMNS.includes(k) && k !== 'id' && k !== 'org_id') {
+    if (PATIENT_COLUMNS.includes(k) && !READ_ONLY_COLUMNS.has(k)) {
       cols.push(k);
-      vals.push(input[k]);
+      vals.push(columnValue(k, input[k]));
     }
   }
   const ph = vals.map((_, i) => `$${i + 1}`).join(',');
@@ -94,32 +115,70 @@ async function create(client, ctx, input) {
   return r.rows[0];
 }
 
-async function update(client, ctx, id, input) {
+/**
+ * Apply a partial update and bump the row version. With `opts.ifMatch` (the
+ * version the caller last read) the write only lands if the row is still at
+ * that version; otherwise it fails with 412 so the caller can merge instead of
+ * overwriting someone else's edit. Returns null when the patient does not exist.
+ */
+async function update(client, ctx, id, input, { ifMatch } = {}) {
   assertValidEntity('Patient', input, 'REST update');
   const sets = [];
   const vals = [];
   for (const k of Object.keys(input)) {
-    if (PATIENT_COLUMNS.includes(k) && k !== 'id' && k !== 'org_id' && k !== 'created_at') {
-      vals.push(input[k]);
+    if (PATIENT_COLUMNS.includes(k) && !READ_ONLY_COLUMNS.has(k)) {
+      vals.push(columnValue(k, input[k]));
       sets.push(`${k} = $${vals.length}`);
     }
   }
   if (sets.length === 0) return get(client, ctx, id);
   vals.push(ctx.userId || null);
-  sets.push(`updated_by = $${vals.length}`);
+  sets.push(`updated_by = $${vals.length}`, 'version = version + 1');
   vals.push(ctx.orgId, id);
+  const where = [`org_id = $${vals.length - 1}`, `id = $${vals.length}`];
+  let expected = null;
+  if (ifMatch !== undefined && ifMatch !== null) {
+    expected = parseVersionTag(ifMatch);
+    if (expected === null) throw errors.badRequest(`Invalid If-Match value '${ifMatch}'`);
+    vals.push(expected);
+    where.push(`version = $${vals.length}`);
+  }
+  // The previous waitlist status goes out with the ADT^A08 (see hl7/outbound.js).
+  let previous = null;
+  if (outbound.enabled() && input.waitlist_status !== undefined) {
+    const prev = await client.query(
+      `SELECT waitlist_status FROM patients WHERE org_id = $1 AND id = $2 FOR UPDATE`,
+      [ctx.orgId, id]
+    );
+    previous = prev.rows[0] || null;
+  }
   const r = await client.query(
     `UPDATE patients SET ${sets.join(', ')}
-     WHERE org_id = $${vals.length - 1} AND id = $${vals.length}
+     WHERE ${where.join(' AND ')}
      RETURNING ${PATIENT_COLUMNS.join(',')}`,
     vals
   );
+  if (!r.rows[0] && expected !== null) {
+    const cur = await client.query(
+      `SELECT version FROM patients WHERE org_id = $1 AND id = $2`,
+      [ctx.orgId, id]
+    );
+    if (cur.rows[0]) {
+      throw errors.preconditionFailed(
+        `Patient was changed by someone else: If-Match expected version ${expected}, current version is ${cur.rows[0].version}`,
+        'version_conflict'
+      );
+    }
+  }
   if (r.rows[0]) {
     await audit.record(client, ctx, {
       action: 'patient.update', entityType: 'patient', entityId: id,
       patientName: `${r.rows[0].last_name}, ${r.rows[0].first_name}`,
-      details: { fields: Object.keys(input) },
+      details: { fields: Object.keys(input), version: r.rows[0].version },
     });
+    if (previous && previous.waitlist_status !== r.rows[0].waitlist_status) {
+      await outbound.waitlistStatusChanged(client, ctx, r.rows[0], previous.waitlist_status);
+    }
   }
   return r.rows[0] || null;
 }
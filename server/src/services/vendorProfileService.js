@@ -1,6 +1,8 @@
 'use strict';
 
 const { withTransaction, query } = require('../db/pool');
+const { errors } = require('../util/errors');
+const fhirMapping = require('../hl7/fhirMapping');
 
 /**
  * HL7 vendor profile service. Each org may register one or more vendor
@@ -30,11 +32,18 @@ async function loadActive(orgId) {
   if (cur && now - cur.ts < CACHE_TTL_MS) return cur.profiles;
   // Use a fresh transaction with the orgId so RLS lets us read.
   const profiles = await withTransaction({ orgId }, async (client) => {
+    // The attached conformance profile rides along so the parser can
+    // validate without a second lookup; an inactive one is ignored.
     const r = await client.query(
-      `SELECT id, vendor_name, sending_app_pattern, mrn_authority, config
-       FROM hl7_vendor_profiles
-       WHERE org_id = $1 AND is_active = TRUE
-       ORDER BY vendor_name ASC`,
+      `SELECT v.id, v.vendor_name, v.sending_app_pattern, v.mrn_authority, v.config,
+              CASE WHEN c.id IS NULL THEN NULL ELSE json_build_object(
+                'id', c.id, 'name', c.name, 'definition', c.definition,
+                'on_error', c.on_error, 'reject_ack_code', c.reject_ack_code) END AS conformance
+       FROM hl7_vendor_profiles v
+       LEFT JOIN hl7_conformance_profiles c
+              ON c.id = v.conformance_profile_id AND c.is_active = TRUE
+       WHERE v.org_id = $1 AND v.is_active = TRUE
+       ORDER BY v.vendor_name ASC`,
       [orgId]
     );
     return r.rows;
@@ -47,6 +56,19 @@ function invalidate(orgId) {
   cache.delete(orgId);
 }
 
+/**
+ * A foreign key does not see RLS, so check the conformance profile belongs
+ * to this org before pointing a vendor profile at it.
+ */
+async function assertConformanceProfile(client, ctx, id) {
+  if (!id) return;
+  const r = await client.query(
+    `SELECT id FROM hl7_conformance_profiles WHERE org_id = $1 AND id = $2`,
+    [ctx.orgId, id]
+  );
+  if (!r.rows.length) throw errors.badRequest('Conformance profile not found', 'conformance_profile_not_found');
+}
+
 /**
  * Find the first profile whose sending_app_pattern matches the inbound
  * sending application (MSH-3) and (optionally) facility.
@@ -72,7 +94,7 @@ async function list(ctx) {
   return withTransaction(ctx, async (client) => {
     const r = await client.query(
       `SELECT id, vendor_name, sending_app_pattern, mrn_authority, config, is_active,
-              created_at, updated_at
+              conformance_profile_id, created_at, updated_at
        FROM hl7_vendor_profiles
        WHERE org_id = $1
        ORDER BY vendor_name ASC`,
@@ -82,13 +104,22 @@ async function list(ctx) {
   });
 }
 
+/** config.fhirMapping is read on every inbound message; refuse a bad one when it is saved. */
+function assertMappingConfig(config) {
+  if (config?.fhirMapping !== undefined) fhirMapping.parseConfig(config.fhirMapping);
+}
+
 async function create(ctx, input) {
+  assertMappingConfig(input.config);
   return withTransaction(ctx, async (client) => {
+    await assertConformanceProfile(client, ctx, input.conformance_profile_id);
     const r = await client.query(
       `INSERT INTO hl7_vendor_profiles
-         (org_id, vendor_name, sending_app_pattern, mrn_authority, config, is_active)
-       VALUES ($1,$2,$3,$4,$5,$6)
-       RETURNING id, vendor_name, sending_app_pattern, mrn_authority, config, is_active`,
+         (org_id, vendor_name, sending_app_pattern, mrn_authority, config, is_active,
+          conformance_profile_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7)
+       RETURNING id, vendor_name, sending_app_pattern, mrn_authority, config, is_active,
+                 conformance_profile_id`,
       [
         ctx.orgId,
         input.vendor_name,
@@ -96,6 +127,7 @@ async function create(ctx, input) {
         input.mrn_authority || null,
         JSON.stringify(input.config || {}),
         input.is_active !== false,
+        input.conformance_profile_id || null,
       ]
     );
     invalidate(ctx.orgId);
@@ -104,17 +136,21 @@ async function create(ctx, input) {
 }
 
 async function update(ctx, id, input) {
+  assertMappingConfig(input.config);
   return withTransaction(ctx, async (client) => {
     const sets = [];
     const vals = [];
     for (const [k, v] of Object.entries(input)) {
-      if (!['vendor_name','sending_app_pattern','mrn_authority','config','is_active'].includes(k)) continue;
+      if (!['vendor_name','sending_app_pattern','mrn_authority','config','is_active',
+        'conformance_profile_id'].includes(k)) continue;
       vals.push(k === 'config' ? JSON.stringify(v) : v);
       sets.push(`${k} = $${vals.length}`);
     }
+    await assertConformanceProfile(client, ctx, input.conformance_profile_id);
     if (!sets.length) {
       const r = await client.query(
-        `SELECT id, vendor_name, sending_app_pattern, mrn_authority, config, is_active
+        `SELECT id, vendor_name, sending_app_pattern, mrn_authority, config, is_active,
+                conformance_profile_id
          FROM hl7_vendor_profiles WHERE org_id = $1 AND id = $2`,
         [ctx.orgId, id]
       );
@@ -124,7 +160,8 @@ async function update(ctx, id, input) {
     const r = await client.query(
       `UPDATE hl7_vendor_profiles SET ${sets.join(', ')}
        WHERE org_id = $${vals.length - 1} AND id = $${vals.length}
-       RETURNING id, vendor_name, sending_app_pattern, mrn_authority, config, is_active`,
+       RETURNING id, vendor_name, sending_app_pattern, mrn_authority, config, is_active,
+                 conformance_profile_id`,
       vals
     );
     invalidate(ctx.orgId);
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Jittered exponential backoff for outbound retries.
+ *
+ * Shared by FHIR subscription delivery and the HL7 v2 outbound queue; each
+ * supplies its own policy ({ baseSeconds, maxSeconds, jitter }) from config.
+ */
+
+/**
+ * Seconds to wait before retrying after failed attempt number `attempt`
+ * (1-based): exponential from baseSeconds, capped at maxSeconds, then cut by
+ * a random share of up to `jitter` so retries from one outage spread out.
+ */
+function retryDelaySeconds(attempt, policy, random = Math.random) {
+  const capped = Math.min(policy.baseSeconds * 2 ** (attempt - 1), policy.maxSeconds);
+  return Math.max(1, Math.round(capped * (1 - policy.jitter * random())));
+}
+
+module.exports = { retryDelaySeconds };
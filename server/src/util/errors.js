@@ -20,6 +20,12 @@ const errors = {
     new HttpError(400, code, msg, details),
   conflict: (msg, code = 'conflict') =>
     new HttpError(409, code, msg),
+  preconditionFailed: (msg = 'Precondition failed', code = 'precondition_failed') =>
+    new HttpError(412, code, msg),
+  payloadTooLarge: (msg = 'Payload too large', code = 'payload_too_large') =>
+    new HttpError(413, code, msg),
+  unprocessable: (msg, code = 'unprocessable', details) =>
+    new HttpError(422, code, msg, details),
   tooManyRequests: (msg = 'Too many requests') =>
     new HttpError(429, 'rate_limited', msg),
   internal: (msg = 'Internal error') =>
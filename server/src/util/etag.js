@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Weak ETags for versioned rows.
+ *
+ * FHIR resources and native patient rows both carry an integer version that
+ * every write increments. It is exposed as `ETag: W/"<version>"` and read
+ * back from `If-Match`, which clients send in any of the forms below.
+ */
+
+function weakEtag(version) {
+  return `W/"${version}"`;
+}
+
+/** Version number carried by an ETag / If-Match value: `W/"3"`, `"3"` or `3`. Null if malformed. */
+function parseVersionTag(tag) {
+  const m = /^(?:W\/)?"?(\d+)"?$/.exec(String(tag).trim());
+  return m ? Number(m[1]) : null;
+}
+
+module.exports = { weakEtag, parseVersionTag };
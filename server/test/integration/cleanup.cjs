@@ -13,6 +13,7 @@ async function destroyTestOrg(query, orgId) {
     `DELETE FROM mfa_challenges WHERE user_id IN (SELECT id FROM users WHERE org_id = $1)`,
     `DELETE FROM mfa_enrollments WHERE user_id IN (SELECT id FROM users WHERE org_id = $1)`,
     `DELETE FROM lab_results WHERE org_id = $1`,
+    `DELETE FROM fhir_resource_versions WHERE org_id = $1`,
     `DELETE FROM fhir_resources WHERE org_id = $1`,
     `DELETE FROM fhir_subscription_deliveries WHERE org_id = $1`,
     `DELETE FROM fhir_subscriptions WHERE org_id = $1`,
@@ -1,7 +1,7 @@
 /**
  * FHIR R4 integration test. Boots the API in-memory and exercises
- * CapabilityStatement, Patient create/read/search, and Observation create
- * (which materialises into the native lab_results table).
+ * CapabilityStatement, Patient create/read/search, Observation create
+ * (which materialises into the native lab_results table), and version history.
  */
 
 import { describe, it, beforeAll, afterAll, expect } from 'vitest';
@@ -116,4 +116,179 @@ describe('FHIR R4', () => {
     );
     expect(labs.rows.length).toBeGreaterThan(0);
   });
+
+  it('retains every version and serves _history and vread', async () => {
+    const headers = { ...auth(), 'content-type': 'application/fhir+json' };
+    const base = {
+      resourceType: 'Patient',
+      identifier: [{ system: 'urn:hospital:mrn', value: 'FHIR-MRN-HIST' }],
+      name: [{ family: 'Before', given: ['Hist'] }],
+      gender: 'male',
+      birthDate: '1970-01-01',
+    };
+    const created = JSON.parse((await app.inject({
+      method: 'POST', url: '/fhir/Patient', headers, payload: JSON.stringify(base),
+    })).payload);
+    await app.inject({
+      method: 'PUT', url: `/fhir/Patient/${created.id}`, headers,
+      payload: JSON.stringify({ ...base, id: created.id, name: [{ family: 'After', given: ['Hist'] }] }),
+    });
+    const del = await app.inject({ method: 'DELETE', url: `/fhir/Patient/${created.id}`, headers: auth() });
+    expect(del.statusCode).toBe(204);
+
+    const hist = await app.inject({ method: 'GET', url: `/fhir/Patient/${created.id}/_history`, headers: auth() });
+    expect(hist.statusCode).toBe(200);
+    const bundle = JSON.parse(hist.payload);
+    expect(bundle.type).toBe('history');
+    expect(bundle.total).toBe(3);
+    expect(bundle.entry.map((e) => e.request.method)).toEqual(['DELETE', 'PUT', 'POST']);
+    expect(bundle.entry[0].resource).toBeUndefined();
+
+    const v1 = await app.inject({ method: 'GET', url: `/fhir/Patient/${created.id}/_history/1`, headers: auth() });
+    expect(v1.statusCode).toBe(200);
+    expect(JSON.parse(v1.payload).name[0].family).toBe('Before');
+
+    const v3 = await app.inject({ method: 'GET', url: `/fhir/Patient/${created.id}/_history/3`, headers: auth() });
+    expect(v3.statusCode).toBe(410);
+
+    const typeHist = await app.inject({
+      method: 'GET', url: '/fhir/Patient/_history?_count=1', headers: auth(),
+    });
+    const page = JSON.parse(typeHist.payload);
+    expect(page.entry).toHaveLength(1);
+    expect(page.link.find((l) => l.relation === 'next')).toBeTruthy();
+  });
+
+  it('searches by date prefix, token system|code and chained reference, and pages by cursor', async () => {
+    const headers = { ...auth(), 'content-type': 'application/fhir+json' };
+    const patient = JSON.parse((await app.inject({
+      method: 'POST', url: '/fhir/Patient', headers,
+      payload: JSON.stringify({
+        resourceType: 'Patient',
+        identifier: [{ system: 'urn:hospital:mrn', value: 'FHIR-MRN-SEARCH' }],
+        name: [{ family: 'Searchable', given: ['Sam'] }],
+        gender: 'female',
+        birthDate: '1980-04-20',
+      }),
+    })).payload);
+    for (const day of ['01', '02', '03']) {
+      await app.inject({
+        method: 'POST', url: '/fhir/Observation', headers,
+        payload: JSON.stringify({
+          resourceType: 'Observation',
+          status: 'final',
+          code: { coding: [{ system: 'http://loinc.org', code: '2160-0' }] },
+          subject: { reference: `Patient/${patient.id}` },
+          effectiveDateTime: `2026-02-${day}T08:00:00Z`,
+          valueQuantity: { value: 1.1, unit: 'mg/dL' },
+        }),
+      });
+    }
+
+    const get = async (url) => JSON.parse((await app.inject({ method: 'GET', url, headers: auth() })).payload);
+
+    const byBirth = await get('/fhir/Patient?birthdate=ge1980-04-15&family=searchable');
+    expect(byBirth.entry.map((e) => e.resource.id)).toEqual([patient.id]);
+
+    const chained = await get(
+      '/fhir/Observation?patient.identifier=urn:hospital:mrn|FHIR-MRN-SEARCH&code=http://loinc.org|2160-0&date=gt2026-02-01'
+    );
+    expect(chained.total).toBe(2);
+
+    const first = await get(`/fhir/Observation?patient=${patient.id}&_sort=date&_count=2&_include=Observation:patient`);
+    expect(first.total).toBe(3);
+    expect(first.entry.filter((e) => e.search.mode === 'include')).toHaveLength(1);
+    const next = first.link.find((l) => l.relation === 'next');
+    const second = await get(next.url.slice(next.url.indexOf('/fhir/')));
+    expect(second.entry.filter((e) => e.search.mode === 'match')
+      .map((e) => e.resource.effectiveDateTime)).toEqual(['2026-02-03T08:00:00Z']);
+  });
+
+  it('returns the patient compartment from Patient/$everything and audits it', async () => {
+    const found = await query(
+      `SELECT resource_id FROM fhir_resources WHERE org_id = $1 AND resource_type = 'Patient' AND deleted = FALSE LIMIT 1`,
+      [orgId]
+    );
+    const id = found.rows[0].resource_id;
+    const r = await app.inject({ method: 'GET', url: `/fhir/Patient/${id}/$everything?_count=5`, headers: auth() });
+    expect(r.statusCode).toBe(200);
+    const result = JSON.parse(r.payload);
+    expect(result.type).toBe('searchset');
+    expect(result.entry[0].resource.resourceType).toBe('Patient');
+    const audited = await query(
+      `SELECT 1 FROM audit_logs WHERE org_id = $1 AND action = 'patient.everything' AND entity_id = $2`,
+      [orgId, id]
+    );
+    expect(audited.rows.length).toBe(1);
+
+    const missing = await app.inject({
+      method: 'GET', url: '/fhir/Patient/00000000-0000-4000-8000-000000000000/$everything', headers: auth(),
+    });
+    expect(missing.statusCode).toBe(404);
+  });
+
+  it('validates against a US Core profile with $validate', async () => {
+    const headers = { ...auth(), 'content-type': 'application/fhir+json' };
+    const r = await app.inject({
+      method: 'POST',
+      url: '/fhir/Patient/$validate?profile=http://hl7.org/fhir/us/core/StructureDefinition/us-core-patient',
+      headers,
+      payload: JSON.stringify({ resourceType: 'Patient', name: [{ family: 'NoId' }], gender: 'female' }),
+    });
+    expect(r.statusCode).toBe(200);
+    const outcome = JSON.parse(r.payload);
+    expect(outcome.resourceType).toBe('OperationOutcome');
+    expect(outcome.issue.some((i) => i.code === 'required' && i.expression[0] === 'Patient.identifier')).toBe(true);
+  });
+
+  it('commits a transaction with urn:uuid references and rolls back a failing one', async () => {
+    const headers = { ...auth(), 'content-type': 'application/fhir+json' };
+    const entries = (mrn, extra = []) => [
+      {
+        fullUrl: 'urn:uuid:0d1f7a52-5a3e-4c43-9d7e-1b6f2f3f0a11',
+        request: { method: 'POST', url: 'Patient', ifNoneExist: `identifier=urn:hospital:mrn|${mrn}` },
+        resource: {
+          resourceType: 'Patient',
+          identifier: [{ system: 'urn:hospital:mrn', value: mrn }],
+          name: [{ family: 'Bundled' }], gender: 'male', birthDate: '1975-06-01',
+        },
+      },
+      {
+        request: { method: 'POST', url: 'Observation' },
+        resource: {
+          resourceType: 'Observation', status: 'final',
+          code: { coding: [{ system: 'http://loinc.org', code: '2160-0' }] },
+          subject: { reference: 'urn:uuid:0d1f7a52-5a3e-4c43-9d7e-1b6f2f3f0a11' },
+          effectiveDateTime: '2026-03-01T08:00:00Z',
+          valueQuantity: { value: 1.0, unit: 'mg/dL' },
+        },
+      },
+      ...extra,
+    ];
+    const post = (type, entry) => app.inject({
+      method: 'POST', url: '/fhir', headers, payload: JSON.stringify({ resourceType: 'Bundle', type, entry }),
+    });
+
+    const ok = JSON.parse((await post('transaction', entries('FHIR-MRN-TX'))).payload);
+    expect(ok.type).toBe('transaction-response');
+    const patientId = ok.entry[0].resource.id;
+    expect(ok.entry[0].response.status).toBe('201 Created');
+    expect(ok.entry[1].resource.subject.reference).toBe(`Patient/${patientId}`);
+
+    const failed = await post('transaction', entries('FHIR-MRN-TX-2', [
+      { request: { method: 'PUT', url: `Patient/${patientId}`, ifMatch: 'W/"9"' },
+        resource: { ...ok.entry[0].resource } },
+    ]));
+    expect(failed.statusCode).toBe(412);
+    const rolledBack = await query(
+      `SELECT 1 FROM fhir_resources WHERE org_id = $1 AND resource_type = 'Patient'
+       AND body @> '{"identifier":[{"value":"FHIR-MRN-TX-2"}]}'`,
+      [orgId]
+    );
+    expect(rolledBack.rows).toHaveLength(0);
+
+    const again = JSON.parse((await post('batch', entries('FHIR-MRN-TX'))).payload);
+    expect(again.entry[0].response.status).toBe('200 OK');
+    expect(again.entry[0].resource.id).toBe(patientId);
+  });
 });
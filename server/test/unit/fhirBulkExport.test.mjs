@@ -0,0 +1,204 @@
+/**
+ * Bulk $export: _typeFilter, _elements, transactionTime chaining, gzip
+ * downloads and expiry.
+ *
+ * A Group export used to return every resource of each type in full and
+ * keep the files for as long as the rows lived. Filters are now compiled by
+ * the search module, projections are tagged SUBSETTED, output is stored
+ * compressed, and expired files are purged.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import zlib from 'zlib';
+import { loadWithStubs, restoreModules, fakeApp, fakeReply, fakeClient, fakePool } from './helpers/routeHarness.mjs';
+
+const require = createRequire(import.meta.url);
+
+const ORG = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const JOB_ID = 'cccccccc-3333-4333-8333-cccccccccccc';
+const FILE_ID = 'ffffffff-3333-4333-8333-ffffffffffff';
+const ctx = { orgId: ORG, userId: 'u-1', role: 'admin', tokenType: 'jwt' };
+
+afterEach(() => restoreModules());
+
+describe('_typeFilter', () => {
+  const { parseTypeFilters } = require('../../src/fhir/bulkData.js');
+
+  it('groups filters by type and keeps commas inside a query', () => {
+    expect(parseTypeFilters('Observation?code=2160-0,38483-4,Condition?clinical-status=active')).toEqual({
+      Observation: ['code=2160-0,38483-4'],
+      Condition: ['clinical-status=active'],
+    });
+    expect(parseTypeFilters(['Observation?code=2160-0', 'Observation?status=final'])).toEqual({
+      Observation: ['code=2160-0', 'status=final'],
+    });
+    expect(parseTypeFilters(undefined)).toEqual({});
+  });
+
+  it('rejects unknown types and search parameters at kickoff', () => {
+    expect(() => parseTypeFilters('Widget?code=1')).toThrow(/Unsupported resourceType Widget/);
+    expect(() => parseTypeFilters('Observation?colour=red')).toThrow(/Unsupported search parameter/);
+    expect(() => parseTypeFilters('Observation')).toThrow(/expected Type\?search/);
+  });
+});
+
+describe('_elements', () => {
+  const { parseElements, projector, SUBSETTED } = require('../../src/fhir/bulkData.js');
+  const obs = {
+    resourceType: 'Observation', id: 'obs-1', meta: { versionId: '2' }, status: 'final',
+    code: { text: 'Creatinine' }, subject: { reference: 'Patient/p1' },
+    valueQuantity: { value: 1.4, unit: 'mg/dL' }, note: [{ text: 'called to ward' }],
+  };
+
+  it('keeps the requested and mandatory elements and tags the result', () => {
+    const project = projector('Observation', parseElements('value,Patient.name'));
+    expect(project(obs)).toEqual({
+      resourceType: 'Observation', id: 'obs-1', status: 'final', code: { text: 'Creatinine' },
+      valueQuantity: { value: 1.4, unit: 'mg/dL' },
+      meta: { versionId: '2', tag: [SUBSETTED] },
+    });
+  });
+
+  it('exports a type whole when no element names it', () => {
+    expect(projector('Observation', parseElements('Patient.name'))).toBeNull();
+    expect(projector('Observation', [])).toBeNull();
+  });
+
+  it('rejects malformed names', () => {
+    expect(() => parseElements('subject.reference')).toThrow(/Invalid _elements entry/);
+    expect(() => parseElements('Widget.name')).toThrow(/Unsupported resourceType/);
+  });
+});
+
+describe('runJob', () => {
+  function setup(job) {
+    const files = [];
+    const client = fakeClient((text, values) => {
+      if (/FROM bulk_export_jobs WHERE org_id = \$1 AND id = \$2/.test(text)) return [job];
+      if (/SET transaction_time = \(/.test(text)) return [{ transaction_time: '2026-10-19T10:00:00.000Z' }];
+      if (/SELECT status FROM bulk_export_jobs/.test(text)) return [{ status: 'in-progress' }];
+      if (/SELECT body FROM fhir_resources r/.test(text)) {
+        return [{ body: { resourceType: 'Observation', id: 'obs-1', status: 'final', code: {}, subject: { reference: 'Patient/p1' } } }];
+      }
+      if (/INSERT INTO bulk_export_files/.test(text)) files.push(values);
+      return [];
+    });
+    const bulk = loadWithStubs('src/fhir/bulkData.js', { 'src/db/pool.js': fakePool(client) });
+    return { bulk, client, files };
+  }
+
+  it('reads up to the transaction time through the type filters and stores gzip', async () => {
+    const { bulk, client, files } = setup({
+      id: JOB_ID, export_type: 'system', types_requested: ['Observation'], since: '2026-10-01T00:00:00Z',
+      type_filters: { Observation: ['code=2160-0', 'status=final'] }, elements: ['status'],
+    });
+    await bulk.runJob(ctx, JOB_ID);
+    const select = client.queries.find((q) => /SELECT body FROM fhir_resources r/.test(q.text));
+    // Half-open, so chaining on transaction_time reads each row exactly once.
+    expect(select.text).toMatch(/last_updated >= \$3::timestamptz AND last_updated < \$4::timestamptz/);
+    expect(select.text).toMatch(/AND \(\(.+\) OR \(.+\)\)/s);
+    expect(select.values.slice(0, 4)).toEqual([ORG, 'Observation', '2026-10-01T00:00:00Z', '2026-10-19T10:00:00.000Z']);
+
+    const [, type, , byteSize, content] = files[0];
+    expect(type).toBe('Observation');
+    const ndjson = zlib.gunzipSync(content).toString('utf8');
+    expect(ndjson.length).toBe(byteSize);
+    const line = JSON.parse(ndjson.trim());
+    expect(line.subject).toBeUndefined();
+    expect(line.meta.tag[0].code).toBe('SUBSETTED');
+  });
+
+  it('holds the watermark back to the oldest transaction still open', async () => {
+    const { bulk, client } = setup({ id: JOB_ID, export_type: 'system', types_requested: ['Observation'] });
+    await bulk.runJob(ctx, JOB_ID);
+    const watermark = client.queries.find((q) => /SET transaction_time/.test(q.text));
+    expect(watermark.text).toMatch(/LEAST\(now\(\), min\(xact_start\)\) FROM pg_stat_activity/);
+    expect(watermark.text).toMatch(/pid <> pg_backend_pid\(\)/);
+  });
+
+  it('sets the expiry from the configured retention on completion', async () => {
+    const { bulk, client } = setup({ id: JOB_ID, export_type: 'system', types_requested: ['Observation'] });
+    bulk.configure({ BULK_EXPORT_RETENTION_HOURS: 24 });
+    await bulk.runJob(ctx, JOB_ID);
+    const done = client.queries.find((q) => /SET status='completed'/.test(q.text));
+    expect(done.text).toMatch(/expires_at = now\(\) \+ make_interval\(hours => \$3\)/);
+    expect(done.values).toEqual([ORG, JOB_ID, 24]);
+  });
+});
+
+describe('purgeExpired', () => {
+  it('deletes and audits the files of expired jobs in each organisation', async () => {
+    const client = fakeClient((text) => {
+      if (/SELECT id FROM organizations/.test(text)) return [{ id: ORG }];
+      if (/UPDATE bulk_export_jobs SET purged_at/.test(text)) return [{ id: JOB_ID }];
+      if (/DELETE FROM bulk_export_files/.test(text)) return [{ id: FILE_ID }];
+      return [];
+    });
+    const bulk = loadWithStubs('src/fhir/bulkData.js', { 'src/db/pool.js': fakePool(client) });
+    expect(await bulk.purgeExpired()).toEqual({ files: 1 });
+    const order = client.queries.map((q) => q.text);
+    expect(order.some((t) => /DELETE FROM bulk_export_files/.test(t))).toBe(true);
+    const auditRow = client.queries.find((q) => /INSERT INTO audit_logs/.test(q.text));
+    expect(auditRow.values[1]).toBe('bulk_export.purged');
+    expect(order.some((t) => /DELETE FROM bulk_import_jobs WHERE org_id = \$1 AND expires_at <= now\(\)/.test(t))).toBe(true);
+  });
+});
+
+describe('$export routes', () => {
+  const ndjson = '{"resourceType":"Observation","id":"obs-1"}\n';
+
+  function routes(bulkStub) {
+    const real = require('../../src/fhir/bulkData.js');
+    const mod = loadWithStubs('src/routes/fhir.js', {
+      'src/db/pool.js': fakePool(fakeClient(() => [])),
+      'src/fhir/bulkData.js': { ...real, ...bulkStub },
+    });
+    const app = fakeApp();
+    mod(app, { config: { FHIR_BASE_URL: 'https://fhir.test/fhir' } });
+    return app;
+  }
+
+  it('sends the stored gzip to clients that accept it and plain NDJSON otherwise', async () => {
+    const file = { content: zlib.gzipSync(Buffer.from(ndjson)), content_encoding: 'gzip', resource_type: 'Observation' };
+    const app = routes({ getFileContent: async () => file });
+
+    const gz = fakeReply();
+    const body = await app.call('GET /fhir/$export-file/:fileId', {
+      params: { fileId: FILE_ID }, headers: { 'accept-encoding': 'gzip, deflate' }, auth: ctx,
+    }, gz);
+    expect(gz.headers['Content-Encoding']).toBe('gzip');
+    expect(body).toBe(file.content);
+
+    const plain = fakeReply();
+    const text = await app.call('GET /fhir/$export-file/:fileId', { params: { fileId: FILE_ID }, auth: ctx }, plain);
+    expect(plain.headers['Content-Encoding']).toBeUndefined();
+    expect(text.toString('utf8')).toBe(ndjson);
+  });
+
+  it('reports transactionTime and answers 410 once the files expired', async () => {
+    const job = { status: 'completed', completed_at: '2026-10-19T10:05:00Z', transaction_time: '2026-10-19T10:00:00Z' };
+    let app = routes({ status: async () => job, listFiles: async () => [] });
+    const manifest = await app.call('GET /fhir/$export-status/:jobId', { params: { jobId: JOB_ID }, auth: ctx });
+    expect(manifest.transactionTime).toBe('2026-10-19T10:00:00Z');
+
+    app = routes({ status: async () => ({ ...job, expired: true }) });
+    const reply = fakeReply();
+    await app.call('GET /fhir/$export-status/:jobId', { params: { jobId: JOB_ID }, auth: ctx }, reply);
+    expect(reply.statusCode).toBe(410);
+  });
+
+  it('passes parsed filters and elements to the job', async () => {
+    const kicked = [];
+    const app = routes({
+      kickoff: async (_ctx, opts) => { kicked.push(opts); return { id: JOB_ID }; },
+      runJob: async () => {},
+    });
+    await app.call('POST /fhir/Group/:id/$export', {
+      params: { id: 'g1' }, auth: ctx, log: app.log,
+      query: { _typeFilter: 'Observation?code=2160-0', _elements: 'value' },
+    });
+    expect(kicked[0]).toMatchObject({
+      exportType: 'group', groupId: 'g1', typeFilters: { Observation: ['code=2160-0'] }, elements: ['value'],
+    });
+  });
+});
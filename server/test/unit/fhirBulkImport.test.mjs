@@ -0,0 +1,275 @@
+/**
+ * Bulk Data $import.
+ *
+ * Loading a centre from a legacy system goes through $import: NDJSON is
+ * uploaded (or staged under BULK_IMPORT_DIR), processed after the 202, and
+ * each line is written like a FHIR create. Bad lines and lines already on
+ * file end up in the job's OperationOutcome error file without stopping the
+ * rest of the input.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadWithStubs, restoreModules, fakeApp, fakeReply, fakeClient, fakePool } from './helpers/routeHarness.mjs';
+
+const require = createRequire(import.meta.url);
+const { errors } = require('../../src/util/errors.js');
+
+const ORG = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const JOB_ID = 'cccccccc-3333-4333-8333-cccccccccccc';
+const MRN = 'urn:oid:2.16.840.1.113883.3.9999.1';
+
+afterEach(() => restoreModules());
+
+/** The rows runJob reads and writes, kept as PostgreSQL would. */
+function database(inputs) {
+  const db = {
+    job: { id: JOB_ID, org_id: ORG, status: 'queued', progress_percent: 0, total_lines: null, lines_processed: 0 },
+    inputs: inputs.map((input, i) => ({
+      input_index: i, resource_type: input.type || null, source: input.content ? 'upload' : 'file', path: input.path || null,
+      content: input.content ? Buffer.from(input.content) : null,
+      imported_count: 0, duplicate_count: 0, error_count: 0,
+    })),
+    issues: [],
+    resources: [{ type: 'Patient', id: 'legacy-1', body: { resourceType: 'Patient', id: 'legacy-1', identifier: [{ system: MRN, value: 'MRN-1' }] } }],
+  };
+  const client = fakeClient((text, values) => {
+    if (/SELECT id, status, progress_percent/.test(text)) return [db.job];
+    if (/SET status='in-progress'/.test(text)) { db.job.status = 'in-progress'; return []; }
+    if (/SET status='completed'/.test(text)) { db.job.status = 'completed'; return []; }
+    if (/SET status='failed'/.test(text)) { Object.assign(db.job, { status: 'failed', error_message: values[2] }); return []; }
+    if (/SELECT status FROM bulk_import_jobs/.test(text)) return [{ status: db.job.status }];
+    if (/SELECT input_index, resource_type, source, path FROM/.test(text)) return db.inputs;
+    if (/SELECT content FROM bulk_import_inputs/.test(text)) return [{ content: db.inputs[values[1]].content }];
+    if (/SET total_lines/.test(text)) { db.job.total_lines = values[1]; return []; }
+    if (/SET lines_processed/.test(text)) {
+      Object.assign(db.job, { lines_processed: values[1], progress_percent: values[2] });
+      return [];
+    }
+    if (/UPDATE bulk_import_inputs/.test(text)) {
+      const row = db.inputs[values[1]];
+      row.imported_count += values[2]; row.duplicate_count += values[3]; row.error_count += values[4];
+      return [];
+    }
+    if (/INSERT INTO bulk_import_issues/.test(text)) {
+      db.issues.push({ input_index: values[1], line: values[2], severity: values[3], outcome: JSON.parse(values[4]) });
+      return [];
+    }
+    if (/body->'identifier' @> ANY/.test(text)) {
+      const wanted = values[2].map((j) => JSON.parse(j)[0]);
+      const hit = db.resources.find((r) => r.type === values[1] && (r.body.identifier || [])
+        .some((i) => wanted.some((w) => w.system === i.system && w.value === i.value)));
+      return hit ? [{ resource_id: hit.id }] : [];
+    }
+    return [];
+  });
+  return { db, client };
+}
+
+function load(db, client) {
+  let seq = 0;
+  const storage = {
+    read: async (_c, _ctx, type, id) => {
+      const r = db.resources.find((x) => x.type === type && x.id === id);
+      return r ? { body: r.body, deleted: false } : null;
+    },
+    create: async (_c, ctx, type, body) => {
+      const id = body.id || `new-${++seq}`;
+      db.resources.push({ type, id, body: { ...body, id }, orgId: ctx.orgId });
+      return { body: { ...body, id } };
+    },
+  };
+  const resources = {
+    Patient: { validate: (b) => { if (!b.name) throw errors.badRequest('Patient.name is required'); } },
+    Observation: { validate: () => {} },
+  };
+  return loadWithStubs('src/fhir/bulkImport.js', {
+    'src/db/pool.js': fakePool(client),
+    'src/fhir/storage.js': storage,
+    'src/fhir/resources/index.js': resources,
+    'src/fhir/validator.js': { enforce: async () => {} },
+  });
+}
+
+const ndjson = (...lines) => lines.map((l) => (typeof l === 'string' ? l : JSON.stringify(l))).join('\n') + '\n';
+const ctx = { orgId: ORG, userId: 'u-1', role: 'admin', tokenType: 'jwt' };
+
+describe('runJob', () => {
+  it('imports good lines and reports the rest line by line', async () => {
+    const { db, client } = database([{
+      type: 'Patient',
+      content: ndjson(
+        { resourceType: 'Patient', name: [{ family: 'Okafor' }], identifier: [{ system: MRN, value: 'MRN-2' }] },
+        '{not json',
+        { resourceType: 'Patient', identifier: [{ system: MRN, value: 'MRN-3' }] },
+        { resourceType: 'Observation', status: 'final' },
+        { resourceType: 'Patient', name: [{ family: 'Ruiz' }], identifier: [{ system: MRN, value: 'MRN-1' }] },
+      ),
+    }]);
+    const bulkImport = load(db, client);
+    await bulkImport.runJob(ctx, JOB_ID);
+
+    expect(db.job).toMatchObject({ status: 'completed', total_lines: 5, lines_processed: 5, progress_percent: 100 });
+    expect(db.inputs[0]).toMatchObject({ imported_count: 1, duplicate_count: 1, error_count: 3 });
+    expect(db.resources.map((r) => r.body.name?.[0]?.family)).toEqual([undefined, 'Okafor']);
+    expect(db.issues.map((i) => [i.line, i.severity, i.outcome.issue[0].code])).toEqual([
+      [2, 'error', 'invalid'],
+      [3, 'error', 'invalid'],
+      [4, 'error', 'invalid'],
+      [5, 'information', 'duplicate'],
+    ]);
+    expect(db.issues[2].outcome.issue[0].diagnostics).toBe('input 0 line 4: input declares Patient but the line is a Observation');
+    expect(db.issues[3].outcome.issue[0].diagnostics).toMatch(/identifier already on file as Patient\/legacy-1/);
+  });
+
+  it('rolls back only the failing line', async () => {
+    const { db, client } = database([{ content: ndjson('{', { resourceType: 'Observation' }) }]);
+    await load(db, client).runJob(ctx, JOB_ID);
+    const statements = client.queries.map((q) => q.text).filter((t) => /SAVEPOINT/.test(t));
+    expect(statements).toEqual([
+      'SAVEPOINT bulk_import_line', 'ROLLBACK TO SAVEPOINT bulk_import_line',
+      'SAVEPOINT bulk_import_line', 'RELEASE SAVEPOINT bulk_import_line',
+    ]);
+  });
+
+  it('treats an id already on file as a duplicate', async () => {
+    const { db, client } = database([{ content: ndjson({ resourceType: 'Patient', id: 'legacy-1', name: [{}] }) }]);
+    await load(db, client).runJob(ctx, JOB_ID);
+    expect(db.inputs[0]).toMatchObject({ imported_count: 0, duplicate_count: 1 });
+    expect(db.resources).toHaveLength(1);
+  });
+
+  it('rejects types the caller may not create', async () => {
+    const { db, client } = database([{ content: ndjson({ resourceType: 'Observation' }, { resourceType: 'Patient', name: [{}] }) }]);
+    await load(db, client).runJob(ctx, JOB_ID, { contextFor: (t) => (t === 'Patient' ? ctx : null) });
+    expect(db.issues).toHaveLength(1);
+    expect(db.issues[0].outcome.issue[0]).toMatchObject({ code: 'forbidden' });
+    expect(db.resources.at(-1).type).toBe('Patient');
+  });
+
+  it('reads file inputs from BULK_IMPORT_DIR', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-import-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'obs.ndjson'), ndjson({ resourceType: 'Observation' }, { resourceType: 'Observation' }));
+      const { db, client } = database([{ path: 'obs.ndjson' }]);
+      await load(db, client).runJob(ctx, JOB_ID, { importDir: dir });
+      expect(db.inputs[0].imported_count).toBe(2);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('streams staged files across batches, numbering CRLF lines and skipping blanks', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-import-'));
+    try {
+      const lines = Array.from({ length: 260 }, () => JSON.stringify({ resourceType: 'Observation' }));
+      lines[99] = '';
+      lines[254] = '{not json';
+      fs.writeFileSync(path.join(dir, 'obs.ndjson'), lines.join('\r\n') + '\r\n');
+      const { db, client } = database([{ path: 'obs.ndjson' }, { content: ndjson({ resourceType: 'Observation' }) }]);
+      await load(db, client).runJob(ctx, JOB_ID, { importDir: dir });
+      expect(db.job).toMatchObject({ status: 'completed', total_lines: 260, lines_processed: 260 });
+      expect(db.inputs.map((i) => [i.imported_count, i.error_count])).toEqual([[258, 1], [1, 0]]);
+      expect(db.issues.map((i) => [i.input_index, i.line])).toEqual([[0, 255]]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('stops at the next batch once cancelled', async () => {
+    const lines = Array.from({ length: 300 }, () => ({ resourceType: 'Observation' }));
+    const { db, client } = database([{ content: ndjson(...lines) }]);
+    const bulkImport = load(db, client);
+    const query = client.query.bind(client);
+    client.query = async (text, values) => {
+      if (/SET lines_processed/.test(text)) db.job.status = 'cancelled';
+      return query(text, values);
+    };
+    await bulkImport.runJob(ctx, JOB_ID);
+    expect(db.job.status).toBe('cancelled');
+    expect(db.inputs[0].imported_count).toBe(bulkImport.BATCH_LINES);
+  });
+});
+
+describe('input paths', () => {
+  const { resolveInputPath, parseParameters } = require('../../src/fhir/bulkImport.js');
+
+  it('resolves relative paths and file URLs inside the directory', () => {
+    expect(resolveInputPath('/srv/import', 'legacy/patients.ndjson')).toBe('legacy/patients.ndjson');
+    expect(resolveInputPath('/srv/import', 'file:///srv/import/a.ndjson')).toBe('a.ndjson');
+  });
+
+  it('refuses paths outside it, remote URLs, and an unconfigured directory', () => {
+    expect(() => resolveInputPath('/srv/import', '../etc/passwd')).toThrow(/outside BULK_IMPORT_DIR/);
+    expect(() => resolveInputPath('/srv/import', '/etc/passwd')).toThrow(/outside BULK_IMPORT_DIR/);
+    expect(() => resolveInputPath('/srv/import', 'https://example.test/p.ndjson')).toThrow(/Only uploaded NDJSON/);
+    expect(() => resolveInputPath('', 'a.ndjson')).toThrow(/BULK_IMPORT_DIR/);
+  });
+
+  it('reads input parts from a Parameters body', () => {
+    const body = {
+      resourceType: 'Parameters',
+      parameter: [{ name: 'input', part: [{ name: 'type', valueCode: 'Patient' }, { name: 'url', valueUrl: 'p.ndjson' }] }],
+    };
+    expect(parseParameters(body, { importDir: '/srv/import' })).toEqual([{ type: 'Patient', path: 'p.ndjson' }]);
+    expect(() => parseParameters({ resourceType: 'Parameters', parameter: [] }, { importDir: '/srv/import' }))
+      .toThrow(/at least one input/);
+  });
+});
+
+describe('$import routes', () => {
+  function routes(bulkImport) {
+    const mod = loadWithStubs('src/routes/fhir.js', {
+      'src/db/pool.js': fakePool(fakeClient(() => [])),
+      'src/fhir/bulkImport.js': bulkImport,
+    });
+    const app = fakeApp();
+    mod(app, { config: { FHIR_BASE_URL: 'https://fhir.test/fhir', BULK_IMPORT_DIR: '/srv/import' } });
+    return app;
+  }
+
+  it('accepts an NDJSON upload and answers 202 with the poll URL', async () => {
+    const kicked = [];
+    const app = routes({
+      kickoff: async (_ctx, inputs) => { kicked.push(inputs); return { id: JOB_ID }; },
+      runJob: async () => {},
+    });
+    const reply = fakeReply();
+    await app.call('POST /fhir/$import', {
+      body: Buffer.from('{"resourceType":"Patient"}\n'), query: { type: 'Patient' },
+      auth: { ...ctx, role: 'coordinator' }, log: app.log,
+    }, reply);
+    expect(reply.statusCode).toBe(202);
+    expect(reply.headers['Content-Location']).toBe(`https://fhir.test/fhir/$import-status/${JOB_ID}`);
+    expect(kicked[0][0].type).toBe('Patient');
+  });
+
+  it('only lets an admin name files on the server', async () => {
+    const app = routes({ parseParameters: () => [], kickoff: async () => ({ id: JOB_ID }), runJob: async () => {} });
+    await expect(app.call('POST /fhir/$import', {
+      body: { resourceType: 'Parameters' }, query: {}, auth: { ...ctx, role: 'coordinator' }, log: app.log,
+    })).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('reports per-input counts and the error file once complete', async () => {
+    const app = routes({
+      status: async () => ({ status: 'completed', completed_at: '2026-10-19T10:00:00Z' }),
+      listInputs: async () => [{ input_index: 0, resource_type: 'Patient', path: null, imported_count: 8, duplicate_count: 1, error_count: 1 }],
+    });
+    const reply = fakeReply();
+    const manifest = await app.call('GET /fhir/$import-status/:jobId', { params: { jobId: JOB_ID }, auth: ctx }, reply);
+    expect(reply.statusCode).toBe(200);
+    expect(manifest.output).toEqual([{ type: 'Patient', inputUrl: 'upload:0', count: 8, duplicates: 1, errors: 1 }]);
+    expect(manifest.error).toEqual([{ type: 'OperationOutcome', url: `https://fhir.test/fhir/$import-errors/${JOB_ID}`, count: 2 }]);
+  });
+
+  it('shows line progress while running', async () => {
+    const app = routes({ status: async () => ({ status: 'in-progress', progress_percent: 40, lines_processed: 400, total_lines: 1000 }) });
+    const reply = fakeReply();
+    await app.call('GET /fhir/$import-status/:jobId', { params: { jobId: JOB_ID }, auth: ctx }, reply);
+    expect(reply.statusCode).toBe(202);
+    expect(reply.headers['X-Progress']).toBe('40% complete (400/1000 lines)');
+  });
+});
@@ -38,6 +38,11 @@ describe('FHIR CapabilityStatement', () => {
     expect(ops).toContain('group-export');
   });
 
+  it('declares Patient/$everything on the Patient resource', () => {
+    const patient = built.rest[0].resource.find(r => r.type === 'Patient');
+    expect(patient.operation.map(o => o.name)).toContain('everything');
+  });
+
   it('publishes SMART oauth-uris extension when auth required', () => {
     const ext = built.rest[0].security.extension[0].extension;
     const urls = ext.reduce((m, e) => ({ ...m, [e.url]: e.valueUri }), {});
@@ -0,0 +1,82 @@
+/**
+ * Patient/$everything — src/fhir/everything.js.
+ *
+ * The operation must return exactly the patient compartment defined in
+ * compartment.js, honour _type/_since/_count, drop types the caller's SMART
+ * scopes do not cover, refuse a patient-level grant for another patient, and
+ * leave an audit row for every access.
+ */
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { everything, parseOptions } = require('../../src/fhir/everything.js');
+const compartment = require('../../src/fhir/compartment.js');
+
+const PATIENT_A = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const PATIENT_B = 'bbbbbbbb-2222-4222-8222-bbbbbbbbbbbb';
+const ctx = { orgId: 'org-1', userId: 'user-1', role: 'coordinator' };
+
+function fakeClient({ patientExists = true, total = 0, rows = [] } = {}) {
+  return {
+    queries: [],
+    async query(text, values) {
+      this.queries.push({ text, values });
+      if (text.includes("resource_type = 'Patient' AND resource_id = $2")) {
+        return { rows: patientExists ? [{ body: { resourceType: 'Patient', id: values[1] } }] : [] };
+      }
+      if (text.includes('count(*)')) return { rows: [{ total }] };
+      if (text.includes('ORDER BY (resource_type')) return { rows };
+      return { rows: [] };
+    },
+  };
+}
+
+const auditInserts = (client) => client.queries.filter((q) => q.text.includes('INSERT INTO audit_logs'));
+
+describe('$everything', () => {
+  it('covers every compartment type by default and audits the access', async () => {
+    const client = fakeClient({ total: 2 });
+    const page = await everything(client, ctx, PATIENT_A, {});
+    expect(page.types).toEqual(Object.keys(compartment.PATIENT_COMPARTMENT_PATHS));
+    const select = client.queries.find((q) => q.text.includes('ORDER BY (resource_type'));
+    expect(select.values).toContain('Observation');
+    expect(select.values.slice(-2)).toEqual([50, 0]);
+    const [insert] = auditInserts(client);
+    expect(insert.values[1]).toBe('patient.everything');
+    expect(insert.values[3]).toBe(PATIENT_A);
+  });
+
+  it('returns null for an unknown patient without auditing', async () => {
+    const client = fakeClient({ patientExists: false });
+    expect(await everything(client, ctx, PATIENT_A, {})).toBeNull();
+    expect(auditInserts(client)).toHaveLength(0);
+  });
+
+  it('refuses a patient-level grant for a different patient', async () => {
+    const client = fakeClient();
+    const scoped = { ...ctx, compartment: { patient: PATIENT_B } };
+    expect(await everything(client, scoped, PATIENT_A, {}, { contextFor: () => scoped })).toBeNull();
+  });
+
+  it('leaves out types the caller may not read', async () => {
+    const client = fakeClient();
+    const page = await everything(client, ctx, PATIENT_A, { _type: 'Patient,Observation,Condition' }, {
+      contextFor: (t) => (t === 'Condition' ? null : ctx),
+    });
+    expect(page.types).toEqual(['Patient', 'Observation']);
+  });
+
+  it('applies _since and caps _count', async () => {
+    const client = fakeClient();
+    await everything(client, ctx, PATIENT_A, { _since: '2026-01-01T00:00:00Z', _count: '1000', _offset: '50' });
+    const select = client.queries.find((q) => q.text.includes('ORDER BY (resource_type'));
+    expect(select.text).toContain('last_updated >=');
+    expect(select.values.slice(-3)).toEqual(['2026-01-01T00:00:00Z', 200, 50]);
+  });
+
+  it('rejects _type outside the compartment and a malformed _since', () => {
+    expect(() => parseOptions({ _type: 'Organization' })).toThrow(/patient compartment/);
+    expect(() => parseOptions({ _since: 'yesterday' })).toThrow(/_since/);
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * FHIR version history — fhir_resource_versions.
+ *
+ * fhir_resources keeps only the current body, so history used to return the
+ * current version alone. These tests pin that every write appends a version
+ * row in the same transaction, that history pages newest-first across the
+ * three _history levels, that vread distinguishes a deleted version from an
+ * unknown one, and that the compartment guard still applies to old versions.
+ */
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const storage = require('../../src/fhir/storage.js');
+const bundle = require('../../src/fhir/bundle.js');
+
+const PATIENT_A = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const PATIENT_B = 'bbbbbbbb-2222-4222-8222-bbbbbbbbbbbb';
+
+function obsFor(patientId, id = 'obs-1') {
+  return {
+    resourceType: 'Observation',
+    id,
+    status: 'final',
+    subject: { reference: `Patient/${patientId}` },
+  };
+}
+
+/** pg client double answering by SQL shape; records every query. */
+function fakeClient({ current = null, versions = [], total } = {}) {
+  return {
+    queries: [],
+    async query(text, values) {
+      this.queries.push({ text, values });
+      if (text.includes('count(*)')) return { rows: [{ total: total ?? versions.length }] };
+      if (text.includes('FROM fhir_resource_versions')) return { rows: versions };
+      if (text.includes('FROM fhir_resources')) return { rows: current ? [current] : [] };
+      return { rows: [] };
+    },
+  };
+}
+
+const ctx = { orgId: 'org-1', userId: 'user-1' };
+
+function versionInserts(client) {
+  return client.queries.filter((q) => q.text.includes('INSERT INTO fhir_resource_versions'));
+}
+
+describe('writes append to fhir_resource_versions', () => {
+  it('records a create as version 1 with its author', async () => {
+    const client = fakeClient();
+    await storage.create(client, ctx, 'Observation', obsFor(PATIENT_A));
+    const [insert] = versionInserts(client);
+    expect(insert).toBeTruthy();
+    const [orgId, type, , versionId, body, deleted, operation, author] = insert.values;
+    expect([orgId, type, versionId, deleted, operation, author])
+      .toEqual(['org-1', 'Observation', 1, false, 'create', 'user-1']);
+    expect(JSON.parse(body).meta.versionId).toBe('1');
+  });
+
+  it('records an update against the next version number', async () => {
+    const client = fakeClient({
+      current: { body: obsFor(PATIENT_A), version_id: 4, deleted: false },
+    });
+    await storage.update(client, ctx, 'Observation', 'obs-1', obsFor(PATIENT_A));
+    const [insert] = versionInserts(client);
+    expect(insert.values[3]).toBe(5);
+    expect(insert.values[6]).toBe('update');
+  });
+
+  it('stamps the real version on a create that reuses an existing id', async () => {
+    const client = fakeClient({
+      current: { body: obsFor(PATIENT_A), version_id: 2, deleted: false },
+    });
+    await storage.create(client, ctx, 'Observation', obsFor(PATIENT_A));
+    const [insert] = versionInserts(client);
+    expect(JSON.parse(insert.values[4]).meta.versionId).toBe('3');
+    expect(insert.values[6]).toBe('update');
+  });
+
+  it('records a delete as a tombstone version', async () => {
+    const client = fakeClient({
+      current: { body: obsFor(PATIENT_A), version_id: 2, deleted: false },
+    });
+    const result = await storage.softDelete(client, ctx, 'Observation', 'obs-1');
+    expect(result).toEqual({ version_id: 3 });
+    const [insert] = versionInserts(client);
+    expect(insert.values[3]).toBe(3);
+    expect(insert.values[5]).toBe(true);
+    expect(insert.values[6]).toBe('delete');
+  });
+
+  it('attributes SMART backend writes to the client', async () => {
+    const client = fakeClient();
+    await storage.create(client, { orgId: 'org-1', smart: { clientId: 'ehr-sync' } },
+      'Observation', obsFor(PATIENT_A));
+    const [insert] = versionInserts(client);
+    expect(insert.values[7]).toBeNull();
+    expect(insert.values[8]).toBe('ehr-sync');
+  });
+});
+
+describe('history reads', () => {
+  const v = (n, extra = {}) => ({
+    resource_type: 'Observation',
+    resource_id: 'obs-1',
+    version_id: n,
+    last_updated: new Date(Date.UTC(2026, 0, n)),
+    body: { ...obsFor(PATIENT_A), meta: { versionId: String(n) } },
+    deleted: false,
+    operation: n === 1 ? 'create' : 'update',
+    ...extra,
+  });
+
+  it('returns null for a resource that was never stored', async () => {
+    expect(await storage.history(fakeClient(), ctx, 'Observation', 'nope')).toBeNull();
+  });
+
+  it('returns every version of a deleted resource', async () => {
+    const client = fakeClient({
+      current: { body: obsFor(PATIENT_A), version_id: 3, deleted: true },
+      versions: [v(3, { deleted: true, operation: 'delete' }), v(2), v(1)],
+    });
+    const page = await storage.history(client, ctx, 'Observation', 'obs-1');
+    expect(page.total).toBe(3);
+    expect(page.rows.map((r) => r.version_id)).toEqual([3, 2, 1]);
+  });
+
+  it('applies _since, _count and _offset as bound parameters', async () => {
+    const client = fakeClient({ versions: [] });
+    await storage.typeHistory(client, ctx, 'Observation', {
+      since: '2026-01-01T00:00:00Z', count: '500', offset: '10',
+    });
+    const select = client.queries.find((q) => q.text.includes('ORDER BY'));
+    expect(select.text).toContain('last_updated >=');
+    // _count is capped at 200 just as search is.
+    expect(select.values.slice(-2)).toEqual([200, 10]);
+    expect(select.values).toContain('2026-01-01T00:00:00Z');
+  });
+
+  it('restricts type history to the compartment under a patient grant', async () => {
+    const client = fakeClient({ versions: [] });
+    await storage.typeHistory(client, { ...ctx, compartment: { patient: PATIENT_A } }, 'Observation');
+    expect(client.queries[0].text).toContain('jsonb_path_exists');
+  });
+
+  it('refuses system history under a patient grant without querying', async () => {
+    const client = fakeClient({ versions: [v(1)] });
+    const page = await storage.systemHistory(client, { ...ctx, compartment: { patient: PATIENT_A } });
+    expect(page.rows).toEqual([]);
+    expect(client.queries).toHaveLength(0);
+  });
+
+  it('pages and counts only the versions inside the compartment', async () => {
+    // v1 belonged to another patient. The double stands in for the
+    // compartment predicate by matching the subject against the bound value.
+    const versions = [v(2), v(1, { body: obsFor(PATIENT_B) })];
+    const client = fakeClient({ current: { body: obsFor(PATIENT_A), version_id: 2, deleted: false } });
+    const answer = client.query.bind(client);
+    client.query = async (text, values) => {
+      if (!text.includes('fhir_resource_versions') || !text.includes('jsonb_path_exists')) return answer(text, values);
+      client.queries.push({ text, values });
+      const { p } = JSON.parse(values[3]);
+      const visible = versions.filter((r) => r.body.subject.reference === p);
+      return { rows: text.includes('count(*)') ? [{ total: visible.length }] : visible };
+    };
+    const page = await storage.history(client, { ...ctx, compartment: { patient: PATIENT_A } },
+      'Observation', 'obs-1', { count: '1' });
+    expect(page.total).toBe(1);
+    expect(page.rows.map((r) => r.version_id)).toEqual([2]);
+    const versionQueries = client.queries.filter((q) => q.text.includes('fhir_resource_versions'));
+    expect(versionQueries).toHaveLength(2);
+    for (const q of versionQueries) {
+      expect(q.text).toContain('resource_id = $3');
+      expect(q.text).toContain('jsonb_path_exists');
+    }
+  });
+
+  it('vread returns a deleted version flagged rather than null', async () => {
+    const client = fakeClient({ versions: [v(3, { deleted: true, operation: 'delete' })] });
+    const row = await storage.vread(client, ctx, 'Observation', 'obs-1', '3');
+    expect(row.deleted).toBe(true);
+  });
+
+  it('vread rejects a non-numeric version id without querying', async () => {
+    const client = fakeClient();
+    expect(await storage.vread(client, ctx, 'Observation', 'obs-1', '1; DROP')).toBeNull();
+    expect(client.queries).toHaveLength(0);
+  });
+});
+
+describe('history Bundle framing', () => {
+  it('maps operations to request methods and omits deleted bodies', () => {
+    const rows = [
+      { resource_type: 'Patient', resource_id: 'p1', version_id: 3, last_updated: '2026-01-03T00:00:00Z',
+        body: { id: 'p1' }, deleted: true, operation: 'delete' },
+      { resource_type: 'Patient', resource_id: 'p1', version_id: 2, last_updated: '2026-01-02T00:00:00Z',
+        body: { id: 'p1' }, deleted: false, operation: 'update' },
+      { resource_type: 'Patient', resource_id: 'p1', version_id: 1, last_updated: '2026-01-01T00:00:00Z',
+        body: { id: 'p1' }, deleted: false, operation: 'create' },
+    ];
+    const b = bundle.history({ baseUrl: 'https://x/fhir', page: { total: 3, rows }, link: [] });
+    expect(b.type).toBe('history');
+    expect(b.entry.map((e) => e.request)).toEqual([
+      { method: 'DELETE', url: 'Patient/p1' },
+      { method: 'PUT', url: 'Patient/p1' },
+      { method: 'POST', url: 'Patient' },
+    ]);
+    expect(b.entry[0].resource).toBeUndefined();
+    expect(b.entry[1].response.etag).toBe('W/"2"');
+  });
+
+  it('emits next and previous links only when there is another page', () => {
+    const links = bundle.pageLinks({
+      url: 'https://x/fhir/Patient/_history',
+      params: { _since: '2026-01-01', _offset: '20' },
+      total: 45, count: 20, offset: 20,
+    });
+    const rel = Object.fromEntries(links.map((l) => [l.relation, l.url]));
+    expect(rel.self).toContain('_offset=20');
+    expect(rel.self).toContain('_since=2026-01-01');
+    expect(rel.next).toContain('_offset=40');
+    expect(rel.previous).not.toContain('_offset');
+
+    const last = bundle.pageLinks({ url: 'u', total: 45, count: 20, offset: 40 });
+    expect(last.map((l) => l.relation)).toEqual(['self', 'previous']);
+  });
+});
+
+describe('If-Match preconditions on writes', () => {
+  const current = { body: obsFor(PATIENT_A), version_id: 2, last_updated: '2026-01-01T00:00:00Z', deleted: false };
+
+  it('locks the current row and writes when the version matches', async () => {
+    const client = fakeClient({ current });
+    await storage.update(client, ctx, 'Observation', 'obs-1', obsFor(PATIENT_A), { ifMatch: 'W/"2"' });
+    expect(client.queries[0].text).toMatch(/FOR UPDATE/);
+    expect(versionInserts(client)[0].values[3]).toBe(3);
+  });
+
+  it('refuses a stale version, a missing resource and a malformed tag', async () => {
+    await expect(storage.update(fakeClient({ current }), ctx, 'Observation', 'obs-1', obsFor(PATIENT_A),
+      { ifMatch: 'W/"1"' })).rejects.toMatchObject({ status: 412 });
+    await expect(storage.softDelete(fakeClient(), ctx, 'Observation', 'obs-1', { ifMatch: '1' }))
+      .rejects.toMatchObject({ status: 412 });
+    await expect(storage.softDelete(fakeClient({ current }), ctx, 'Observation', 'obs-1', { ifMatch: 'latest' }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  it('parses weak, quoted and bare version tags', () => {
+    const { parseVersionTag } = require('../../src/util/etag.js');
+    expect(['W/"7"', '"7"', '7'].map(parseVersionTag)).toEqual([7, 7, 7]);
+    expect(parseVersionTag('W/"abc"')).toBeNull();
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * FHIR search — src/fhir/search.js, storage.searchPage, searchset framing.
+ *
+ * Search used to honour a handful of hard-coded parameters and ignore the
+ * rest while /metadata advertised far more. These tests pin the compiled SQL
+ * for each parameter type, keyset paging, _include/_revinclude scoping, and
+ * that the CapabilityStatement is generated from the same registry.
+ */
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const search = require('../../src/fhir/search.js');
+const storage = require('../../src/fhir/storage.js');
+const bundle = require('../../src/fhir/bundle.js');
+const cap = require('../../src/fhir/capabilityStatement.js');
+const searchParams = require('../../src/fhir/searchParams.js');
+
+const PATIENT_A = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const ctx = { orgId: 'org-1' };
+
+function compile(type, params, opts) {
+  const values = [];
+  const where = search.compileFilters(type, params, values, opts);
+  return { sql: where.join(' AND '), where, values };
+}
+
+/** pg client double: answers count queries with `total`, page queries with `rows`. */
+function fakeClient({ rows = [], total = rows.length, byType = {} } = {}) {
+  return {
+    queries: [],
+    async query(text, values) {
+      this.queries.push({ text, values });
+      if (text.includes('count(*)')) return { rows: [{ total }] };
+      if (text.includes('resource_id = ANY')) return { rows: byType[values[1]] || [] };
+      if (text.includes('sort_key_0')) return { rows };
+      return { rows: byType[values[1]] || [] };
+    },
+  };
+}
+
+describe('parameter compilation', () => {
+  it('matches token system|code against both parts, bound', () => {
+    const { sql, values } = compile('Observation', { code: 'http://loinc.org|2160-0' });
+    expect(sql).toContain("->>'system' = $2");
+    expect(values).toEqual(['2160-0', 'http://loinc.org']);
+  });
+
+  it('treats |code as "no system" and system| as "any code"', () => {
+    expect(compile('Observation', { code: '|x' }).sql).toContain("->>'system' IS NULL");
+    const { sql, values } = compile('Observation', { code: 'http://loinc.org|' });
+    expect(values).toEqual(['http://loinc.org']);
+    expect(sql).not.toContain("COALESCE(x1.v->>'code'");
+  });
+
+  it('ORs comma-separated values and ANDs repeated parameters', () => {
+    const ored = compile('Patient', { gender: 'male,female' });
+    expect(ored.where).toHaveLength(1);
+    expect(ored.sql).toContain(' OR ');
+    const anded = compile('Patient', { family: ['smi', 'th'] });
+    expect(anded.where).toHaveLength(2);
+  });
+
+  it('escapes LIKE wildcards in string values', () => {
+    const { values } = compile('Patient', { name: '50%_off' });
+    expect(values).toEqual(['50\\%\\_off%']);
+    expect(compile('Patient', { 'name:contains': 'mi' }).values).toEqual(['%mi%']);
+    expect(compile('Patient', { 'name:exact': 'Smith' }).sql).toContain("#>> '{}' = $1");
+  });
+
+  it('turns a date prefix into a range comparison at the value precision', () => {
+    expect(search.parseDateValue('ge2026-03')).toEqual({
+      prefix: 'ge', lo: '2026-03-01T00:00:00.000Z', hi: '2026-04-01T00:00:00.000Z',
+    });
+    expect(search.parseDateValue('2026-03-05T10:00:00+02:00').lo).toBe('2026-03-05T08:00:00.000Z');
+    const { sql } = compile('Observation', { date: 'lt2026' });
+    expect(sql).toContain('lower(fhir_date_range(x1.v)) < $1::timestamptz');
+    expect(() => compile('Observation', { date: 'gt2026-13-99x' })).toThrow(/Invalid date/);
+  });
+
+  it('supports :missing on every parameter type', () => {
+    expect(compile('Observation', { 'encounter:missing': 'true' }).sql).toMatch(/^NOT EXISTS/);
+    expect(compile('Observation', { 'date:missing': 'false' }).sql).toMatch(/^EXISTS/);
+  });
+
+  it('expands a bare reference id into its accepted forms', () => {
+    const { values } = compile('Observation', { patient: PATIENT_A });
+    expect(values[0]).toEqual([`Patient/${PATIENT_A}`, PATIENT_A, `urn:uuid:${PATIENT_A}`]);
+    expect(compile('Observation', { 'subject:Patient': 'p1' }).values[0]).toContain('Patient/p1');
+    expect(() => compile('Observation', { 'subject:Practitioner': 'p1' })).toThrow(/can not reference/);
+  });
+
+  it('compiles a chained parameter into a join on the target type', () => {
+    const { sql, values } = compile('Observation', { 'patient.family': 'smith' });
+    expect(sql).toContain('fhir_resources c1');
+    expect(sql).toContain("c1.body");
+    expect(values).toEqual(['smith%', 'Patient']);
+    expect(() => compile('Provenance', { 'target.name': 'x' })).toThrow(/needs a type modifier/);
+    expect(() => compile('Observation', { 'patient.organization.name': 'x' })).toThrow(/one level/);
+  });
+
+  it('ignores unknown parameters unless handling=strict', () => {
+    expect(compile('Patient', { shoe_size: '9' }).where).toEqual([]);
+    expect(() => compile('Patient', { shoe_size: '9' }, { strict: true })).toThrow(/Unsupported search parameter/);
+  });
+});
+
+describe('sorting and paging', () => {
+  it('defaults to newest first with a resource_id tie-break', async () => {
+    const client = fakeClient();
+    await storage.searchPage(client, ctx, 'Patient', {});
+    const select = client.queries.find((q) => q.text.includes('ORDER BY'));
+    expect(select.text).toContain('ORDER BY r.last_updated DESC NULLS LAST, r.resource_id ASC');
+    expect(select.values.at(-1)).toBe(51);
+  });
+
+  it('rejects sorting on an unsupported parameter', () => {
+    expect(() => search.parseSort('Patient', 'shoe_size')).toThrow(/_sort/);
+  });
+
+  it('returns a next cursor only when another page exists', async () => {
+    const mk = (id) => ({ body: { resourceType: 'Patient', id }, resource_id: id, sort_key_0: 'smith' });
+    const client = fakeClient({ rows: [mk('a'), mk('b'), mk('c')], total: 3 });
+    const page = await storage.searchPage(client, ctx, 'Patient', { _count: '2', _sort: 'family' });
+    expect(page.rows).toHaveLength(2);
+    expect(page.total).toBe(3);
+    const cursor = search.decodeCursor(page.nextCursor, 'family');
+    expect(cursor).toEqual({ s: 'family', k: ['smith'], id: 'b' });
+
+    const next = fakeClient();
+    await storage.searchPage(next, ctx, 'Patient', { _count: '2', _sort: 'family', _cursor: page.nextCursor });
+    const select = next.queries.find((q) => q.text.includes('ORDER BY'));
+    expect(select.text).toContain('r.resource_id >');
+    expect(select.values).toContain('smith');
+  });
+
+  it('refuses a cursor issued for a different sort', () => {
+    const cursor = search.encodeCursor('-_lastUpdated', ['2026-01-01'], 'a');
+    expect(() => search.decodeCursor(cursor, 'family')).toThrow(/_cursor/);
+    expect(() => search.decodeCursor('not-json', 'family')).toThrow(/_cursor/);
+  });
+
+  it('skips the count for _total=none and the page for _count=0', async () => {
+    const none = fakeClient();
+    const page = await storage.searchPage(none, ctx, 'Patient', { _total: 'none' });
+    expect(page.total).toBeUndefined();
+    expect(none.queries.some((q) => q.text.includes('count(*)'))).toBe(false);
+
+    const countOnly = fakeClient({ total: 7 });
+    const summary = await storage.searchPage(countOnly, ctx, 'Patient', { _count: '0' });
+    expect(summary.total).toBe(7);
+    expect(countOnly.queries).toHaveLength(1);
+  });
+});
+
+describe('_include and _revinclude', () => {
+  const obs = {
+    body: { resourceType: 'Observation', id: 'o1', subject: { reference: `Patient/${PATIENT_A}` } },
+    resource_id: 'o1',
+  };
+  const patient = { body: { resourceType: 'Patient', id: PATIENT_A } };
+
+  it('adds referenced resources once, marked as includes', async () => {
+    const client = fakeClient({ rows: [obs, { ...obs, resource_id: 'o2', body: { ...obs.body, id: 'o2' } }],
+      byType: { Patient: [patient] } });
+    const page = await storage.searchPage(client, ctx, 'Observation', { _include: 'Observation:patient' });
+    expect(page.included).toEqual([patient]);
+    const lookup = client.queries.find((q) => q.text.includes('resource_id = ANY'));
+    expect(lookup.values[2]).toEqual([PATIENT_A]);
+  });
+
+  it('omits includes of a type the caller may not read', async () => {
+    const client = fakeClient({ rows: [obs], byType: { Patient: [patient] } });
+    const page = await storage.searchPage(client, ctx, 'Observation', { _include: 'Observation:patient' },
+      { contextFor: () => null });
+    expect(page.included).toEqual([]);
+    expect(client.queries.some((q) => q.text.includes('resource_id = ANY'))).toBe(false);
+  });
+
+  it('confines _revinclude to the compartment of the included type', async () => {
+    const client = fakeClient({ rows: [{ body: patient.body, resource_id: PATIENT_A }] });
+    await storage.searchPage(client, ctx, 'Patient', { _revinclude: 'Observation:subject' },
+      { contextFor: () => ({ ...ctx, compartment: { patient: PATIENT_A } }) });
+    const rev = client.queries.at(-1);
+    expect(rev.values[1]).toBe('Observation');
+    expect(rev.text).toContain('jsonb_path_exists');
+  });
+
+  it('rejects an _include that does not start at the searched type', () => {
+    expect(() => search.parseIncludes('Observation', 'Patient:organization', false)).toThrow(/_include/);
+    expect(() => search.parseIncludes('Patient', 'Coverage:payor:Location', true)).toThrow(/can not reference/);
+  });
+});
+
+describe('searchset framing', () => {
+  it('marks includes and carries the cursor only on the next link', () => {
+    const b = bundle.searchset({
+      baseUrl: 'https://x/fhir',
+      type: 'Observation',
+      rows: [{ body: { resourceType: 'Observation', id: 'o1' } }],
+      included: [{ body: { resourceType: 'Patient', id: 'p1' } }],
+      total: 10,
+      link: bundle.searchLinks({
+        url: 'https://x/fhir/Observation', params: { code: 'a', _count: '1' }, nextCursor: 'abc',
+      }),
+    });
+    expect(b.entry.map((e) => [e.fullUrl, e.search.mode])).toEqual([
+      ['https://x/fhir/Observation/o1', 'match'],
+      ['https://x/fhir/Patient/p1', 'include'],
+    ]);
+    expect(b.link[0].url).toBe('https://x/fhir/Observation?code=a&_count=1');
+    expect(b.link[1].url).toBe('https://x/fhir/Observation?code=a&_count=1&_cursor=abc');
+  });
+});
+
+describe('CapabilityStatement search declarations', () => {
+  const statement = cap.build({ baseUrl: 'https://x/fhir', requireAuth: false });
+  const entry = (type) => statement.rest[0].resource.find((r) => r.type === type);
+
+  it('advertises exactly the registry parameters plus the result parameters', () => {
+    for (const r of statement.rest[0].resource) {
+      const names = r.searchParam.map((p) => p.name);
+      expect(names).toEqual([
+        ...Object.keys(searchParams.definitionsFor(r.type)),
+        ...Object.keys(searchParams.RESULT_PARAMS),
+      ]);
+    }
+  });
+
+  it('lists _include and _revinclude targets for reference parameters', () => {
+    expect(entry('Observation').searchInclude).toContain('Observation:patient');
+    expect(entry('Patient').searchRevInclude).toContain('Observation:subject');
+    expect(entry('Patient').searchRevInclude).toContain('Provenance:target');
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Transaction and batch Bundle semantics — src/fhir/transaction.js.
+ *
+ * Authorisation and the envelope limits are covered route-side by
+ * fhirTransactionBundle.test.mjs. Here storage is an in-memory double so the
+ * processing rules themselves are observable: urn:uuid rewriting, conditional
+ * create/update, ifMatch, processing order, batch isolation, and the
+ * per-entry status/location/etag of the response.
+ */
+import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import { createRequire } from 'module';
+import { loadWithStubs, restoreModules } from './helpers/routeHarness.mjs';
+
+const require = createRequire(import.meta.url);
+
+const ctx = { orgId: 'org-1', userId: 'user-1', role: 'admin' };
+const SUPPORTED = new Set(['Patient', 'Observation', 'Organization']);
+
+let store;
+let calls;
+
+const key = (type, id) => `${type}/${id}`;
+
+const fakeStorage = {
+  async create(_client, _ctx, type, body) {
+    calls.push(`create ${type}`);
+    const row = { body: { ...body, resourceType: type }, version_id: 1, last_updated: '2026-03-01T00:00:00Z', deleted: false };
+    store.set(key(type, body.id), row);
+    return row;
+  },
+  async update(_client, _ctx, type, id, body, { ifMatch } = {}) {
+    calls.push(`update ${type}`);
+    const cur = store.get(key(type, id));
+    if (ifMatch && (!cur || `W/"${cur.version_id}"` !== ifMatch)) throw errors.preconditionFailed('version mismatch');
+    const row = { body: { ...body, resourceType: type, id }, version_id: (cur?.version_id || 0) + 1,
+      last_updated: '2026-03-02T00:00:00Z', deleted: false };
+    store.set(key(type, id), row);
+    return row;
+  },
+  async softDelete(_client, _ctx, type, id) {
+    calls.push(`delete ${type}`);
+    const cur = store.get(key(type, id));
+    if (cur) cur.deleted = true;
+    return cur || null;
+  },
+  async read(_client, _ctx, type, id) {
+    calls.push(`read ${type}`);
+    return store.get(key(type, id)) || null;
+  },
+  async search(_client, _ctx, type, params) {
+    calls.push(`search ${type}`);
+    return [...store.values()].filter((row) => row.body.resourceType === type && !row.deleted
+      && (!params.identifier || (row.body.identifier || []).some((i) => `${i.system}|${i.value}` === params.identifier)));
+  },
+};
+
+const transaction = loadWithStubs('src/fhir/transaction.js', { 'src/fhir/storage.js': fakeStorage });
+// Loaded after the stubs so HttpError is the same class transaction.js sees.
+const { errors } = require('../../src/util/errors.js');
+afterAll(() => restoreModules());
+
+function fakeClient() {
+  return { queries: [], async query(text) { this.queries.push(text); return { rows: [] }; } };
+}
+
+const patient = (mrn) => ({
+  resourceType: 'Patient',
+  identifier: [{ system: 'urn:mrn', value: mrn }],
+  name: [{ family: 'Import' }],
+});
+
+function run(kind, ...entry) {
+  const parsed = transaction.parse({ resourceType: 'Bundle', type: kind, entry }, SUPPORTED);
+  parsed.entries.forEach((e) => { e.ctx = ctx; });
+  return transaction.execute(fakeClient(), parsed, { baseUrl: 'https://example.test/fhir' });
+}
+
+beforeEach(() => {
+  store = new Map();
+  calls = [];
+});
+
+describe('transaction bundles', () => {
+  it('rewrites urn:uuid references to the ids assigned on create', async () => {
+    const { bundle } = await run('transaction',
+      {
+        fullUrl: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a',
+        request: { method: 'POST', url: 'Patient' },
+        resource: patient('M-1'),
+      },
+      {
+        request: { method: 'POST', url: 'Observation' },
+        resource: {
+          resourceType: 'Observation', status: 'final', code: { coding: [{ system: 'http://loinc.org', code: '2160-0' }] },
+          subject: { reference: 'urn:uuid:61ebe359-bfdc-4613-8bf2-c5e300945f0a' },
+        },
+      });
+    const [p, o] = bundle.entry;
+    expect(bundle.type).toBe('transaction-response');
+    expect(o.resource.subject.reference).toBe(`Patient/${p.resource.id}`);
+    expect(p.response).toMatchObject({
+      status: '201 Created',
+      location: `Patient/${p.resource.id}/_history/1`,
+      etag: 'W/"1"',
+      lastModified: '2026-03-01T00:00:00.000Z',
+    });
+  });
+
+  it('returns the existing resource for a matching If-None-Exist instead of creating', async () => {
+    store.set('Patient/p-1', { body: { ...patient('M-2'), id: 'p-1' }, version_id: 3, last_updated: '2026-01-01T00:00:00Z' });
+    const { bundle, changes } = await run('transaction', {
+      fullUrl: 'urn:uuid:a', request: { method: 'POST', url: 'Patient', ifNoneExist: 'identifier=urn:mrn|M-2' },
+      resource: patient('M-2'),
+    }, {
+      request: { method: 'POST', url: 'Observation' },
+      resource: { resourceType: 'Observation', status: 'final', code: { coding: [{ system: 'http://loinc.org', code: '2160-0' }] }, subject: { reference: 'urn:uuid:a' } },
+    });
+    expect(bundle.entry[0].response.status).toBe('200 OK');
+    expect(bundle.entry[0].response.etag).toBe('W/"3"');
+    expect(bundle.entry[1].resource.subject.reference).toBe('Patient/p-1');
+    expect(calls.filter((c) => c === 'create Patient')).toHaveLength(0);
+    expect(changes.map((c) => c.resource.resourceType)).toEqual(['Observation']);
+  });
+
+  it('fails the whole transaction when a condition matches several resources', async () => {
+    store.set('Patient/p-1', { body: { ...patient('DUP'), id: 'p-1' }, version_id: 1 });
+    store.set('Patient/p-2', { body: { ...patient('DUP'), id: 'p-2' }, version_id: 1 });
+    await expect(run('transaction', {
+      request: { method: 'PUT', url: 'Patient?identifier=urn:mrn|DUP' }, resource: patient('DUP'),
+    })).rejects.toMatchObject({ status: 412 });
+  });
+
+  it('updates the single match of a conditional update and creates when nothing matches', async () => {
+    store.set('Patient/p-1', { body: { ...patient('M-3'), id: 'p-1' }, version_id: 1 });
+    const { bundle } = await run('transaction',
+      { request: { method: 'PUT', url: 'Patient?identifier=urn:mrn|M-3' }, resource: patient('M-3') },
+      { request: { method: 'PUT', url: 'Patient?identifier=urn:mrn|NEW' }, resource: patient('NEW') });
+    expect(bundle.entry[0].response).toMatchObject({ status: '200 OK', location: 'Patient/p-1/_history/2' });
+    expect(bundle.entry[1].response.status).toBe('201 Created');
+  });
+
+  it('rejects a stale ifMatch with 412 and names the failing entry', async () => {
+    store.set('Patient/p-1', { body: { ...patient('M-4'), id: 'p-1' }, version_id: 2 });
+    await expect(run('transaction', {
+      request: { method: 'PUT', url: 'Patient/p-1', ifMatch: 'W/"1"' }, resource: { ...patient('M-4'), id: 'p-1' },
+    })).rejects.toMatchObject({ status: 412, message: expect.stringMatching(/^Bundle entry 0 \(PUT Patient\)/) });
+  });
+
+  it('processes DELETE, POST, PUT, GET in that order but answers in bundle order', async () => {
+    store.set('Patient/p-1', { body: { ...patient('M-5'), id: 'p-1' }, version_id: 1 });
+    store.set('Patient/p-2', { body: { ...patient('M-6'), id: 'p-2' }, version_id: 1 });
+    const { bundle } = await run('transaction',
+      { request: { method: 'GET', url: 'Patient/p-2' } },
+      { request: { method: 'PUT', url: 'Patient/p-2' }, resource: { ...patient('M-6'), id: 'p-2' } },
+      { request: { method: 'POST', url: 'Patient' }, resource: patient('M-7') },
+      { request: { method: 'DELETE', url: 'Patient/p-1' } });
+    expect(calls.filter((c) => !c.startsWith('search'))).toEqual(
+      ['delete Patient', 'create Patient', 'update Patient', 'read Patient']);
+    expect(bundle.entry.map((e) => e.response.status)).toEqual(['200 OK', '200 OK', '201 Created', '204 No Content']);
+    expect(bundle.entry[0].response.etag).toBe('W/"2"');
+  });
+
+  it('refuses a resource whose type does not match the request url', async () => {
+    await expect(run('transaction', {
+      request: { method: 'POST', url: 'Observation' }, resource: patient('M-8'),
+    })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('batch bundles', () => {
+  it('isolates a failing entry under a savepoint and reports it in place', async () => {
+    const parsed = transaction.parse({
+      resourceType: 'Bundle',
+      type: 'batch',
+      entry: [
+        { request: { method: 'POST', url: 'Patient' }, resource: patient('B-1') },
+        { request: { method: 'PUT', url: 'Patient/missing', ifMatch: 'W/"4"' }, resource: { ...patient('B-2'), id: 'missing' } },
+        { request: { method: 'GET', url: 'Patient?identifier=urn:mrn|B-1' } },
+      ],
+    }, SUPPORTED);
+    parsed.entries.forEach((e) => { e.ctx = ctx; });
+    const client = fakeClient();
+    const { bundle, changes } = await transaction.execute(client, parsed, { baseUrl: 'https://example.test/fhir' });
+    expect(bundle.type).toBe('batch-response');
+    expect(bundle.entry.map((e) => e.response.status)).toEqual(['201 Created', '412 Precondition Failed', '200 OK']);
+    expect(bundle.entry[1].response.outcome.resourceType).toBe('OperationOutcome');
+    expect(bundle.entry[2].resource.type).toBe('searchset');
+    expect(bundle.entry[2].resource.entry).toHaveLength(1);
+    expect(client.queries).toContain('ROLLBACK TO SAVEPOINT fhir_batch_entry');
+    expect(changes).toHaveLength(1);
+  });
+
+  it('answers a denied entry with its error without running it', async () => {
+    const parsed = transaction.parse({
+      resourceType: 'Bundle', type: 'batch',
+      entry: [{ request: { method: 'DELETE', url: 'Patient/p-1' } }],
+    }, SUPPORTED);
+    parsed.entries[0].denied = errors.forbidden('no delete');
+    const { bundle } = await transaction.execute(fakeClient(), parsed, {});
+    expect(bundle.entry[0].response.status).toBe('403 Forbidden');
+    expect(calls).toHaveLength(0);
+  });
+
+  it('does not rewrite urn:uuid references between batch entries', async () => {
+    const { bundle } = await run('batch',
+      { fullUrl: 'urn:uuid:b', request: { method: 'POST', url: 'Patient' }, resource: patient('B-3') },
+      {
+        request: { method: 'POST', url: 'Observation' },
+        resource: { resourceType: 'Observation', status: 'final', code: { coding: [{ system: 'http://loinc.org', code: '2160-0' }] }, subject: { reference: 'urn:uuid:b' } },
+      });
+    expect(bundle.entry[1].resource.subject.reference).toBe('urn:uuid:b');
+  });
+});
+
+describe('parse', () => {
+  it('accepts conditional urls and requires an id or query where FHIR does', () => {
+    const { entries } = transaction.parse({
+      resourceType: 'Bundle', type: 'transaction',
+      entry: [{ request: { method: 'PUT', url: 'Patient?identifier=a|b' }, resource: {} }],
+    }, SUPPORTED);
+    expect(entries[0]).toMatchObject({ type: 'Patient', id: null, query: 'identifier=a|b' });
+    expect(() => transaction.parse({
+      resourceType: 'Bundle', type: 'batch', entry: [{ request: { method: 'DELETE', url: 'Patient' } }],
+    }, SUPPORTED)).toThrow(/DELETE requires/);
+  });
+});
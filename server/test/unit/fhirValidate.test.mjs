@@ -0,0 +1,163 @@
+/**
+ * FHIR $validate — src/fhir/validator.js, src/fhir/fhirpath.js and the
+ * bundled definitions in src/fhir/profiles.
+ *
+ * Validation used to be structural only. These tests pin cardinality, type,
+ * reference-target, required-binding and invariant checks against base R4
+ * and US Core, that a profile is validated together with its base, and that
+ * per-org enforcement only rejects writes when the org has opted in.
+ */
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const validator = require('../../src/fhir/validator.js');
+const fhirpath = require('../../src/fhir/fhirpath.js');
+const profiles = require('../../src/fhir/profiles/index.js');
+
+const US_CORE_PATIENT = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-patient';
+const US_CORE_LAB = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-observation-lab';
+
+const goodPatient = {
+  resourceType: 'Patient',
+  identifier: [{ system: 'urn:hospital:mrn', value: 'MRN-1' }],
+  name: [{ family: 'Doe', given: ['Jane'] }],
+  gender: 'female',
+  birthDate: '1980-04-20',
+};
+
+const labObservation = {
+  resourceType: 'Observation',
+  status: 'final',
+  category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'laboratory' }] }],
+  code: { coding: [{ system: 'http://loinc.org', code: '2160-0' }] },
+  subject: { reference: 'Patient/p1' },
+  effectiveDateTime: '2026-01-02T10:15:00Z',
+  valueQuantity: { value: 1.2, unit: 'mg/dL' },
+};
+
+const codesOf = (issues) => issues.map((i) => `${i.code}@${i.expression?.[0] ?? ''}`);
+
+describe('fhirpath subset', () => {
+  const run = (expr, node) => fhirpath.truth(fhirpath.compile(expr)(node));
+
+  it('navigates, filters and applies three-valued logic', () => {
+    const node = { a: [{ b: 'x' }, { b: 'y' }], value: 1 };
+    expect(run("a.where(b = 'y').exists()", node)).toBe(true);
+    expect(run('missing.empty() and value.exists()', node)).toBe(true);
+    expect(run('missing implies value.exists()', node)).toBe(true);
+    expect(run('(value.exists()) xor a.exists()', node)).toBe(false);
+  });
+
+  it('treats polymorphic names as value[x]', () => {
+    expect(run('value.exists()', { valueQuantity: { value: 1 } })).toBe(true);
+  });
+
+  it('rejects syntax outside the subset at compile time', () => {
+    expect(() => fhirpath.compile('a.ofType(Quantity)')).toThrow(/Unsupported FHIRPath function/);
+    expect(() => fhirpath.compile('%resource.a')).toThrow(/Unsupported FHIRPath syntax/);
+  });
+
+  it('loads the bundled profiles, compiling every invariant', () => {
+    expect(profiles.profilesFor('Patient')).toEqual([US_CORE_PATIENT]);
+  });
+});
+
+describe('validate', () => {
+  it('accepts a conforming US Core patient', () => {
+    const issues = validator.validate('Patient', { ...goodPatient, meta: { profile: [US_CORE_PATIENT] } });
+    expect(issues).toEqual([]);
+    expect(validator.outcome(issues).issue[0].severity).toBe('information');
+  });
+
+  it('reports US Core cardinality and invariants with a location', () => {
+    const issues = validator.validate('Patient', { resourceType: 'Patient', name: [{ text: 'J' }] },
+      { profile: US_CORE_PATIENT });
+    expect(codesOf(issues)).toEqual(expect.arrayContaining([
+      'required@Patient.identifier',
+      'required@Patient.gender',
+      'invariant@Patient.name[0]',
+    ]));
+  });
+
+  it('checks required bindings on codes and CodeableConcepts', () => {
+    const patient = validator.validate('Patient', { ...goodPatient, gender: 'F' });
+    expect(codesOf(patient)).toEqual(['code-invalid@Patient.gender']);
+
+    const condition = validator.validate('Condition', {
+      resourceType: 'Condition',
+      subject: { reference: 'Patient/p1' },
+      code: { text: 'x' },
+      clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'gone' }] },
+    });
+    expect(codesOf(condition)).toContain('code-invalid@Condition.clinicalStatus');
+  });
+
+  it('enforces base invariants such as con-4 and ait-1', () => {
+    const condition = validator.validate('Condition', {
+      resourceType: 'Condition',
+      subject: { reference: 'Patient/p1' },
+      code: { text: 'x' },
+      abatementDateTime: '2026-01-01',
+      clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }] },
+    });
+    expect(condition.map((i) => i.diagnostics)).toEqual([expect.stringMatching(/^con-4:/)]);
+
+    const allergy = validator.validate('AllergyIntolerance', {
+      resourceType: 'AllergyIntolerance',
+      patient: { reference: 'Patient/p1' },
+      code: { text: 'penicillin' },
+    });
+    expect(allergy.map((i) => i.diagnostics)).toEqual([expect.stringMatching(/^ait-1:/)]);
+  });
+
+  it('checks choice types, primitive formats and reference targets', () => {
+    const issues = validator.validate('Observation', {
+      ...labObservation,
+      effectiveDateTime: '02/01/2026',
+      valueAttachment: { url: 'x' },
+      subject: { reference: 'Practitioner/d1' },
+    }, { profile: US_CORE_LAB });
+    expect(codesOf(issues)).toEqual(expect.arrayContaining([
+      'value@Observation.effectiveDateTime',
+      'structure@Observation.valueAttachment',
+      'invalid@Observation.subject',
+    ]));
+  });
+
+  it('validates a lab observation against US Core and its base together', () => {
+    expect(validator.validate('Observation', labObservation, { profile: US_CORE_LAB })).toEqual([]);
+    const both = validator.validate('Observation', {
+      ...labObservation, category: [], dataAbsentReason: { text: 'x' },
+    }, { profile: US_CORE_LAB });
+    expect(both.map((i) => i.diagnostics)).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^obs-6:/),
+      expect.stringMatching(/^us-core-lab-category:/),
+    ]));
+  });
+
+  it('flags an unknown profile and a wrong resourceType', () => {
+    expect(validator.validate('Patient', goodPatient, { profile: 'http://example.org/x' })[0])
+      .toMatchObject({ severity: 'error', code: 'not-supported' });
+    expect(validator.validate('Patient', { resourceType: 'Observation' })[0].severity).toBe('fatal');
+  });
+});
+
+describe('per-org enforcement', () => {
+  const clientWith = (settings) => ({
+    async query() { return { rows: settings === undefined ? [] : [{ settings }] }; },
+  });
+  const bad = { ...goodPatient, gender: 'F' };
+
+  it('does nothing unless the org has opted in', async () => {
+    await expect(validator.enforce(clientWith({}), { orgId: 'o' }, 'Patient', bad)).resolves.toBeUndefined();
+    await expect(validator.enforce(clientWith(undefined), { orgId: 'o' }, 'Patient', bad)).resolves.toBeUndefined();
+  });
+
+  it('rejects a non-conforming write with 422 and the failing issues', async () => {
+    const client = clientWith({ fhir: { enforceProfiles: true } });
+    await expect(validator.enforce(client, { orgId: 'o' }, 'Patient', bad))
+      .rejects.toMatchObject({ status: 422, code: 'profile_validation_failed' });
+    await expect(validator.enforce(client, { orgId: 'o' }, 'Patient', goodPatient)).resolves.toBeUndefined();
+  });
+});
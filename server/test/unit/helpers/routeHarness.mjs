@@ -73,9 +73,13 @@ export function fakeApp() {
       if (!found) throw new Error(`route not registered: ${key} (have: ${[...routes.keys()].join(', ')})`);
       return found;
     },
-    /** Run a route's preHandler chain then its handler. */
-    async call(key, req, reply) {
+    /**
+     * Run a route's preHandler chain then its handler. Like Fastify, the
+     * request always has a headers object and the handler always a reply.
+     */
+    async call(key, req, reply = fakeReply()) {
       const { handler, opts } = this.route(key);
+      req.headers = req.headers || {};
       const pre = Array.isArray(opts.preHandler) ? opts.preHandler
         : opts.preHandler ? [opts.preHandler] : [];
       for (const hook of pre) await hook(req, reply);
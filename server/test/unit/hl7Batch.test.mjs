@@ -0,0 +1,148 @@
+/**
+ * HL7 v2 batch-file ingest: per-message ingest tagged with the batch,
+ * ACK-code counts, BTS/FTS reconciliation, the size cap and the upload route.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { loadWithStubs, restoreModules, fakeApp, fakeClient, fakePool, fakeReply } from './helpers/routeHarness.mjs';
+
+const ORG = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const BATCH_ID = 'dddddddd-1111-4111-8111-dddddddddddd';
+const ctx = { orgId: ORG, userId: 'u-1', role: 'admin' };
+
+afterEach(() => restoreModules());
+
+const adt = (id) =>
+  [`MSH|^~\\&|LAB|REF|TT|TT|20261019020000||ADT^A08|${id}|P|2.5`, `PID|1||MRN-${id}^^^^MR||Doe^Jane`];
+// No PID-3, so the result cannot be filed against a patient: AE, deferred.
+const orphanOru = (id) =>
+  [`MSH|^~\\&|LAB|REF|TT|TT|20261019020000||ORU^R01|${id}|P|2.5`, 'PID|1||', 'OBR|1', 'OBX|1|NM|2160-0^Creatinine^LN||1.1|mg/dL'];
+
+const FILE = [
+  'FHS|^~\\&|LAB|REF|TT|TT|20261019020000||adt.hl7||F-9',
+  'BHS|^~\\&|LAB|REF|TT|TT|20261019020000||||B-1',
+  ...adt('A1'),
+  ...orphanOru('A2'),
+  'BTS|2',
+  'FTS|1',
+].join('\r\n');
+
+function harness({ config = {}, failOn = null } = {}) {
+  let messageId = 0;
+  const client = fakeClient((text, values) => {
+    if (/INSERT INTO hl7_batches/.test(text)) return [{ id: 'batch-1' }];
+    if (/INSERT INTO hl7_messages/.test(text)) return [{ id: `m-${++messageId}` }];
+    if (/UPDATE hl7_batches/.test(text)) {
+      return [{ id: values[1], status: values[2], file_control_id: values[3], batch_count: values[6],
+        message_count: values[7], accepted_count: values[8], error_count: values[9],
+        rejected_count: values[10], reconciled: values[12], reconciliation: JSON.parse(values[14]),
+        ack_message: values[15], error_message: values[16] }];
+    }
+    return [];
+  });
+  const stubs = {
+    'src/db/pool.js': fakePool(client),
+    'src/services/labResultService.js': { ingestFromHl7: async () => [] },
+    'src/services/patientService.js': {
+      upsertFromHl7: async (_client, _ctx, parsed) => {
+        if (failOn && parsed.patient.mrn === failOn) throw new Error('boom');
+        return { id: 'p-1' };
+      },
+    },
+    'src/services/vendorProfileService.js': { findFor: async () => null, invalidate: () => {} },
+  };
+  const batch = loadWithStubs('src/hl7/batch.js', stubs);
+  batch.configure(config);
+  return { batch, client, stubs };
+}
+
+function chunks(text, size) {
+  const buf = Buffer.from(text);
+  const out = [];
+  for (let i = 0; i < buf.length; i += size) out.push(buf.subarray(i, i + size));
+  return out;
+}
+
+describe('batch file ingest', () => {
+  it('ingests each message with its batch sequence and records the counts', async () => {
+    const { batch, client } = harness();
+    const row = await batch.ingestFile(ctx, chunks(FILE, 17), { filename: 'adt.hl7' });
+
+    const inserts = client.queries.filter((q) => /INSERT INTO hl7_messages/.test(q.text));
+    expect(inserts.map((q) => [q.values[14], q.values[15]])).toEqual([['batch-1', 1], ['batch-1', 2]]);
+    expect(row).toMatchObject({
+      status: 'completed', file_control_id: 'F-9', batch_count: 1, message_count: 2,
+      accepted_count: 1, error_count: 1, rejected_count: 0, reconciled: true,
+    });
+    expect(row.naks).toEqual([
+      expect.objectContaining({ sequence: 2, message_control_id: 'A2', code: 'AE' }),
+    ]);
+    const ack = row.ack_message.split('\r');
+    expect(ack[0]).toMatch(/^FHS\|/);
+    expect(ack.filter((l) => l.startsWith('MSA|')).map((l) => l.split('|').slice(0, 3).join('|')))
+      .toEqual(['MSA|AA|A1', 'MSA|AE|A2']);
+    expect(ack.at(-2)).toBe('BTS|2|1 accepted, 1 error(s), 0 rejected');
+    expect(ack.at(-1)).toBe('FTS|1|Counts reconciled');
+  });
+
+  it('records a count mismatch without failing the upload', async () => {
+    const { batch } = harness();
+    const row = await batch.ingestFile(ctx, [Buffer.from(FILE.replace('BTS|2', 'BTS|5'))]);
+    expect(row.status).toBe('completed');
+    expect(row.reconciled).toBe(false);
+    expect(row.reconciliation).toEqual([expect.objectContaining({ code: 'batch_count_mismatch', declared: 5, counted: 2 })]);
+  });
+
+  it('NAKs a message whose processing fails and carries on', async () => {
+    const { batch } = harness({ failOn: 'MRN-A1' });
+    const row = await batch.ingestFile(ctx, [Buffer.from(FILE)]);
+    expect(row.naks[0]).toMatchObject({ sequence: 1, code: 'AE', text: 'Application error: boom' });
+    expect(row.message_count).toBe(2);
+  });
+
+  it('aborts a file over the upload cap and keeps what was ingested', async () => {
+    const { batch, client } = harness({ config: { HL7_BATCH_MAX_UPLOAD_MB: 0.0002 } }); // ~210 bytes
+    const err = await batch.ingestFile(ctx, chunks(FILE, 100)).catch((e) => e);
+    expect(err).toMatchObject({ status: 413, code: 'payload_too_large' });
+    expect(err.details).toMatchObject({ batch_id: 'batch-1' });
+    const update = client.queries.find((q) => /UPDATE hl7_batches/.test(q.text));
+    expect(update.values[2]).toBe('aborted');
+    expect(update.values[12]).toBe(false);
+  });
+
+  it('turns an oversize message into a 400', async () => {
+    const { batch } = harness({ config: { HL7_MLLP_MAX_MESSAGE_BYTES: 64 } });
+    await expect(batch.ingestFile(ctx, [Buffer.from(FILE)]))
+      .rejects.toMatchObject({ status: 400, code: 'message_too_large' });
+  });
+});
+
+describe('batch routes', () => {
+  function routes(handler = () => []) {
+    const client = fakeClient(handler);
+    const mod = loadWithStubs('src/routes/hl7.js', { 'src/db/pool.js': fakePool(client) });
+    const app = fakeApp();
+    mod(app);
+    return { app, client };
+  }
+
+  it('refuses a JSON body', async () => {
+    const { app, client } = routes();
+    await expect(app.call('POST /hl7/batch', { auth: ctx, query: {}, body: { raw: 'MSH|' } }))
+      .rejects.toMatchObject({ status: 400, code: 'unsupported_batch_body' });
+    expect(client.queries).toHaveLength(0);
+  });
+
+  it('serves the stored acknowledgement as HL7', async () => {
+    const { app } = routes((text) => (/SELECT ack_message/.test(text) ? [{ ack_message: 'FHS|^~\\&' }] : []));
+    const reply = fakeReply();
+    const body = await app.call('GET /hl7/batches/:id/ack', { auth: ctx, params: { id: BATCH_ID } }, reply);
+    expect(body).toBe('FHS|^~\\&');
+    expect(reply.headers['content-type']).toBe('application/hl7-v2');
+  });
+
+  it('404s an unknown batch', async () => {
+    const { app } = routes(() => []);
+    await expect(app.call('GET /hl7/batches/:id', { auth: ctx, params: { id: BATCH_ID } }))
+      .rejects.toMatchObject({ status: 404 });
+  });
+});
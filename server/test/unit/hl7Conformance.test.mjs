@@ -0,0 +1,177 @@
+/**
+ * HL7 v2 conformance profiles: validator findings, the reject/accept
+ * decision that drives the ACK, and the profile and vendor-profile routes.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import { loadWithStubs, restoreModules, fakeApp, fakeClient, fakePool } from './helpers/routeHarness.mjs';
+
+const require = createRequire(import.meta.url);
+const conformance = require('../../src/hl7/conformance.js');
+
+const ORG = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const PROFILE_ID = 'cccccccc-1111-4111-8111-cccccccccccc';
+const VENDOR_ID = 'bbbbbbbb-1111-4111-8111-bbbbbbbbbbbb';
+const ctx = { orgId: ORG, userId: 'u-1', role: 'admin' };
+
+afterEach(() => restoreModules());
+
+const PROFILE = {
+  id: PROFILE_ID,
+  name: 'Epic ADT',
+  on_error: 'reject',
+  reject_ack_code: 'AE',
+  definition: {
+    messages: {
+      'ADT^A08': {
+        segments: [
+          { name: 'MSH', min: 1, max: 1, fields: [{ field: 7, required: true, datatype: 'DTM' }] },
+          { name: 'PID', min: 1, max: 1, fields: [
+            { field: 3, required: true, maxRepeats: 2, components: [{ component: 1, required: true, maxLength: 10 }] },
+            { field: 5, components: [{ component: 1, required: true }] },
+            { field: 7, datatype: 'DT' },
+            { field: 8, table: '0001', severity: 'warning' },
+          ] },
+          { name: 'OBX', max: 2, fields: [{ field: 5, maxLength: 5 }] },
+        ],
+      },
+    },
+    allowUnlistedSegments: false,
+  },
+};
+
+function adt(pid, extra = []) {
+  return ['MSH|^~\\&|EPIC|HOSP|TT|TT|20261019100000||ADT^A08|C1|P|2.5.1', pid, ...extra].join('\r');
+}
+
+describe('conformance validator', () => {
+  it('accepts a message that meets the profile', () => {
+    const report = conformance.validate(adt('PID|1||MRN1^^^^MR||Doe^Jane||19700515|F'), PROFILE);
+    expect(report).toMatchObject({ valid: true, error_count: 0, warning_count: 0, message_type: 'ADT^A08' });
+  });
+
+  it('reports findings with segment-field-component paths', () => {
+    const raw = adt('PID|1||MRN1~^^^^MR~M3^^^^MR||^Jane||1970-05-15|Q',
+      ['OBX|1|ST|X||abcdefg', 'OBX|2|ST|X||1', 'OBX|3|ST|X||2', 'NTE|1||note']);
+    const report = conformance.validate(raw, PROFILE);
+    const byPath = Object.fromEntries(report.findings.map((f) => [`${f.path} ${f.code}`, f.severity]));
+    expect(byPath).toMatchObject({
+      'PID-3 field_repetition': 'error',
+      'PID-3[2].1 component_required': 'error',
+      'PID-5.1 component_required': 'error',
+      'PID-7 datatype': 'error',
+      'PID-8 table_value': 'warning',
+      'OBX-5 max_length': 'error',
+      'OBX segment_cardinality': 'error',
+      'NTE segment_unexpected': 'error',
+    });
+    expect(report.valid).toBe(false);
+    expect(report.warning_count).toBe(1);
+  });
+
+  it('reports a missing required segment and field', () => {
+    const raw = 'MSH|^~\\&|EPIC|HOSP|TT|TT|||ADT^A08|C1|P|2.5.1';
+    const codes = conformance.validate(raw, PROFILE).findings.map((f) => `${f.path} ${f.code}`);
+    expect(codes).toEqual(expect.arrayContaining(['MSH-7 field_required', 'PID segment_missing']));
+  });
+
+  it('checks values after decoding escape sequences', () => {
+    // \T\ is one '&', so the identifier is 10 characters, not 12.
+    const report = conformance.validate(adt('PID|1||AB\\T\\CDEFGHI^^^^MR||Doe'), PROFILE);
+    expect(report.valid).toBe(true);
+  });
+
+  it('skips message types the profile does not cover', () => {
+    const raw = 'MSH|^~\\&|EPIC|HOSP|TT|TT|20261019100000||ORU^R01|C1|P|2.5.1';
+    expect(conformance.validate(raw, PROFILE)).toBeNull();
+  });
+
+  it('rejects with the profile ACK code or accepts with a warning', () => {
+    const report = conformance.validate(adt('PID|1||^^^^MR||Doe'), PROFILE);
+    expect(conformance.outcome(report)).toMatchObject({ reject: true, ackCode: 'AE' });
+    expect(conformance.outcome(report).ackText).toMatch(/^Rejected: 1 conformance error\(s\).*PID-3\.1 component_required/);
+
+    const lenient = conformance.validate(adt('PID|1||^^^^MR||Doe'), { ...PROFILE, on_error: 'accept_with_warning' });
+    expect(conformance.outcome(lenient)).toMatchObject({ reject: false });
+    expect(conformance.outcome(lenient).ackText).toMatch(/^Accepted with 1 conformance error/);
+    expect(conformance.outcome(null)).toEqual({ reject: false });
+  });
+
+  it('rejects a malformed profile definition', () => {
+    expect(() => conformance.parseDefinition({ messages: { '*': { segments: [{ name: 'pid' }] } } }))
+      .toThrow(expect.objectContaining({ status: 400, code: 'invalid_profile' }));
+  });
+});
+
+describe('ingest with a conformance profile', () => {
+  function ingestWith() {
+    const client = fakeClient((text) => (/INSERT INTO hl7_messages/.test(text) ? [{ id: 'm-1' }] : []));
+    let upserts = 0;
+    const mod = loadWithStubs('src/hl7/ingest.js', {
+      'src/db/pool.js': fakePool(client),
+      'src/services/patientService.js': { upsertFromHl7: async () => { upserts++; return { id: 'p-1' }; } },
+    });
+    const { parseMessage } = require('../../src/hl7/messageParser.js');
+    return { client, ingest: mod.ingest, parseMessage, upserts: () => upserts };
+  }
+
+  it('stores the report and rejects without processing', async () => {
+    const { client, ingest, parseMessage, upserts } = ingestWith();
+    const raw = adt('PID|1||^^^^MR||Doe');
+    const parsed = parseMessage(raw, { vendor_name: 'Epic', conformance: PROFILE });
+    const result = await ingest({ rawMessage: raw, parsed, ctx });
+
+    expect(result).toMatchObject({ processed: 'rejected', ackCode: 'AE' });
+    expect(upserts()).toBe(0);
+    const ins = client.queries.find((q) => /INSERT INTO hl7_messages/.test(q.text));
+    expect(JSON.parse(ins.values[13])).toMatchObject({ valid: false, profile: { name: 'Epic ADT' } });
+    expect(JSON.parse(ins.values[10])).not.toHaveProperty('validation');
+    const upd = client.queries.find((q) => /processed_status='rejected'/.test(q.text));
+    expect(upd.values[0]).toBe('AE');
+  });
+
+  it('processes an invalid message when the profile accepts with warnings', async () => {
+    const { ingest, parseMessage, upserts } = ingestWith();
+    const raw = adt('PID|1||MRN1^^^^MR||Doe^Jane|||Q');
+    const parsed = parseMessage(raw, { vendor_name: 'Epic', conformance: { ...PROFILE, on_error: 'accept_with_warning' } });
+    const result = await ingest({ rawMessage: raw, parsed, ctx });
+
+    expect(result).toMatchObject({ processed: 'accepted', ackCode: 'AA' });
+    expect(result.ackText).toMatch(/^Accepted with 0 conformance error\(s\), 1 warning/);
+    expect(upserts()).toBe(1);
+  });
+});
+
+describe('conformance routes', () => {
+  function routes(handler = () => []) {
+    const client = fakeClient(handler);
+    const mod = loadWithStubs('src/routes/hl7.js', { 'src/db/pool.js': fakePool(client) });
+    const app = fakeApp();
+    mod(app);
+    return { app, client };
+  }
+
+  it('validates the definition before storing a profile', async () => {
+    const { app, client } = routes();
+    await expect(app.call('POST /hl7/conformance-profiles', {
+      auth: ctx, body: { name: 'Bad', definition: { messages: { '*': { segments: [{ name: 'PID', max: -1 }] } } } },
+    })).rejects.toMatchObject({ status: 400, code: 'invalid_profile' });
+    expect(client.queries).toHaveLength(0);
+  });
+
+  it('dry-runs a message against a stored profile', async () => {
+    const { app } = routes((text) => (/FROM hl7_conformance_profiles/.test(text) ? [PROFILE] : []));
+    const report = await app.call('POST /hl7/conformance-profiles/:id/validate', {
+      auth: ctx, params: { id: PROFILE_ID }, body: { message: adt('PID|1||^^^^MR||Doe') },
+    });
+    expect(report).toMatchObject({ valid: false, error_count: 1 });
+  });
+
+  it('refuses to attach a conformance profile from another org', async () => {
+    const { app, client } = routes(() => []);
+    await expect(app.call('PUT /hl7/vendor-profiles/:id', {
+      auth: ctx, params: { id: VENDOR_ID }, body: { conformance_profile_id: PROFILE_ID },
+    })).rejects.toMatchObject({ status: 400, code: 'conformance_profile_not_found' });
+    expect(client.queries.some((q) => /UPDATE hl7_vendor_profiles/.test(q.text))).toBe(false);
+  });
+});
@@ -1,5 +1,6 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, afterEach } from 'vitest';
 import { createRequire } from 'module';
+import { loadWithStubs, restoreModules, fakeClient, fakePool } from './helpers/routeHarness.mjs';
 const require = createRequire(import.meta.url);
 const { parseMessage } = require('../../src/hl7/messageParser.js');
 const messageTypes = require('../../src/hl7/messageTypes.js');
@@ -85,3 +86,32 @@ describe('HL7 extended message types', () => {
     expect(list.length).toBeGreaterThanOrEqual(25);
   });
 });
+
+describe('ADT^A40 merge ingest', () => {
+  afterEach(() => restoreModules());
+
+  it('bumps the merged patient\'s version so a stale If-Match cannot overwrite it', async () => {
+    const prior = { id: 'p-old', mrn: 'MRN_OLD', waitlist_status: 'active', version: 3 };
+    const client = fakeClient((text, values) => {
+      if (/INSERT INTO hl7_messages/.test(text)) return [{ id: 'm-1' }];
+      if (/UPDATE patients/.test(text) && values[1] === prior.mrn) {
+        prior.waitlist_status = 'merged';
+        if (/version = version \+ 1/.test(text)) prior.version += 1;
+        return [{ id: prior.id, version: prior.version }];
+      }
+      return [];
+    });
+    const { ingest } = loadWithStubs('src/hl7/ingest.js', {
+      'src/db/pool.js': fakePool(client),
+      'src/services/patientService.js': { upsertFromHl7: async () => ({ id: 'p-new', mrn: 'MRN_NEW' }) },
+    });
+    const raw = [
+      'MSH|^~\\&|EPIC|HOSP|TT|TT|20260101120000||ADT^A40|MSG40|P|2.5',
+      'EVN|A40|20260101120000',
+      'PID|1||MRN_NEW^^^HOSP^MR||DOE^JANE',
+      'MRG|MRN_OLD^^^HOSP^MR',
+    ].join('\r');
+    await ingest({ rawMessage: raw, parsed: parseMessage(raw), ctx: { orgId: 'org-1', role: 'admin' } });
+    expect(prior).toMatchObject({ waitlist_status: 'merged', version: 4 });
+  });
+});
@@ -0,0 +1,295 @@
+/**
+ * HL7 v2 to FHIR mapping: the resources each segment produces, stable ids,
+ * configuration, Provenance, and the write into fhir_resources from ingest
+ * with Subscriptions notified after commit.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import { loadWithStubs, restoreModules, fakeApp, fakeClient, fakePool } from './helpers/routeHarness.mjs';
+
+const require = createRequire(import.meta.url);
+const ORG = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const ctx = { orgId: ORG, userId: 'u-1', role: 'admin' };
+
+afterEach(() => restoreModules());
+
+const ORU = [
+  'MSH|^~\\&|LAB|GENHOSP|TT|TT|20261019083000-0500||ORU^R01|C1|P|2.5',
+  'PID|1||MRN123^^^GENHOSP^MR||Doe^Jane^Q||19800102|F|||1 Main St^^Boston^MA^02110^USA^H',
+  'PV1|1|I|ICU^12^A||||1234^Smith^John^^^Dr||||||||||||V-77',
+  'OBR|1|P-1|F-1|80048^BMP^CPT4|||20261019070000|||||||||||||||20261019080000|||F',
+  'OBX|1|NM|2160-0^Creatinine^LN||1.4|mg/dL^mg/dL^UCUM|0.6-1.2|H|||F|||20261019071500',
+  'OBX|2|SN|2951-2^Sodium^LN||<^135|mmol/L|135-145|L|||C',
+  'AL1|1|DA|70618^Penicillin^RXNORM|SV|Hives~Rash',
+].join('\r');
+
+const MDM = [
+  'MSH|^~\\&|EHR|GENHOSP|TT|TT|20261019||MDM^T02|D1|P|2.5',
+  'PID|1||MRN123^^^GENHOSP^MR||Doe^Jane',
+  'TXA|1|CN^Consult note|TX|20261019101500|99^Jones^Amy|||||||DOC-5|||||AU',
+  'OBX|1|TX|||Line one',
+  'OBX|2|TX|||Line two',
+].join('\r');
+
+const RDE = [
+  'MSH|^~\\&|PHARM|GENHOSP|TT|TT|20261019||RDE^O11|R1|P|2.5',
+  'PID|1||MRN123^^^GENHOSP^MR||Doe^Jane',
+  'ORC|NW|ORD-9|||||||20261019093000|||77^Lee^Sam',
+  'RXE|^^^20261019|00069-3150-83^Tacrolimus 1mg^NDC|1||mg^mg^UCUM||^1 mg twice daily|||60|cap||||RX-1',
+  'RXR|PO^Oral^HL70162',
+].join('\r');
+
+function modules() {
+  const mapping = require('../../src/hl7/fhirMapping.js');
+  const { parseMessage } = require('../../src/hl7/messageParser.js');
+  return { mapping, parseMessage };
+}
+
+function mapped(raw, config = null) {
+  const { mapping, parseMessage } = modules();
+  const out = mapping.map(raw, parseMessage(raw), mapping.resolveConfig(null, config), { messageId: 'm-1' });
+  return Object.fromEntries(['Patient', 'Encounter', 'Observation', 'DiagnosticReport', 'AllergyIntolerance',
+    'MedicationRequest', 'DocumentReference'].map((t) => [t, out.filter((r) => r.resourceType === t)]));
+}
+
+describe('mapping', () => {
+  it('maps an ORU to Patient, Encounter, DiagnosticReport, Observations and allergies', () => {
+    const r = mapped(ORU, { timezoneOffset: '-05:00', assigningAuthorities: { GENHOSP: 'urn:oid:1.2.3' } });
+    const [patient] = r.Patient;
+    expect(patient).toMatchObject({
+      identifier: [{ system: 'urn:oid:1.2.3', value: 'MRN123' }],
+      name: [{ family: 'Doe', given: ['Jane', 'Q'] }],
+      gender: 'female',
+      birthDate: '1980-01-02',
+      address: [{ use: 'home', city: 'Boston', postalCode: '02110' }],
+    });
+    const subject = { reference: `Patient/${patient.id}` };
+    expect(r.Encounter[0]).toMatchObject({ status: 'in-progress', class: { code: 'IMP' }, subject,
+      identifier: [{ value: 'V-77' }] });
+
+    const [creatinine, sodium] = r.Observation;
+    expect(creatinine).toMatchObject({
+      status: 'final',
+      code: { coding: [{ system: 'http://loinc.org', code: '2160-0' }] },
+      effectiveDateTime: '2026-10-19T07:15:00-05:00',
+      valueQuantity: { value: 1.4, system: 'http://unitsofmeasure.org', code: 'mg/dL' },
+      interpretation: [{ coding: [{ code: 'H' }] }],
+      referenceRange: [{ low: { value: 0.6 }, high: { value: 1.2 } }],
+      encounter: { reference: `Encounter/${r.Encounter[0].id}` },
+    });
+    expect(sodium).toMatchObject({ status: 'corrected', valueQuantity: { value: 135, comparator: '<' } });
+
+    expect(r.DiagnosticReport[0]).toMatchObject({
+      status: 'final',
+      code: { coding: [{ code: '80048' }] },
+      issued: '2026-10-19T08:00:00-05:00',
+      result: [{ reference: `Observation/${creatinine.id}` }, { reference: `Observation/${sodium.id}` }],
+    });
+    expect(r.AllergyIntolerance[0]).toMatchObject({
+      category: ['medication'], criticality: 'high', patient: subject,
+      reaction: [{ manifestation: [{ text: 'Hives' }, { text: 'Rash' }] }],
+    });
+  });
+
+  it('gives a result the same ids when it is sent again', () => {
+    const first = mapped(ORU);
+    const again = mapped(ORU.replace('|C1|', '|C2|').replace('||1.4|', '||1.5|'));
+    expect(again.DiagnosticReport[0].id).toBe(first.DiagnosticReport[0].id);
+    expect(again.Observation.map((o) => o.id)).toEqual(first.Observation.map((o) => o.id));
+    expect(again.Patient[0].id).toBe(first.Patient[0].id);
+  });
+
+  it('maps an MDM to a DocumentReference carrying the OBX text', () => {
+    const [doc] = mapped(MDM).DocumentReference;
+    expect(doc).toMatchObject({ status: 'current', docStatus: 'final', masterIdentifier: { value: 'DOC-5' },
+      author: [{ display: 'Amy Jones' }] });
+    expect(Buffer.from(doc.content[0].attachment.data, 'base64').toString()).toBe('Line one\nLine two');
+    expect(mapped(MDM).Observation).toEqual([]);
+  });
+
+  it('maps an RDE to a MedicationRequest with dose and route', () => {
+    expect(mapped(RDE).MedicationRequest[0]).toMatchObject({
+      status: 'active',
+      intent: 'order',
+      medicationCodeableConcept: { coding: [{ system: 'http://hl7.org/fhir/sid/ndc', code: '00069-3150-83' }] },
+      requester: { display: 'Sam Lee' },
+      dosageInstruction: [{ text: '1 mg twice daily', route: { coding: [{ code: 'PO' }] },
+        doseAndRate: [{ doseQuantity: { value: 1, code: 'mg' } }] }],
+      dispenseRequest: { quantity: { value: 60 } },
+    });
+  });
+
+  it('writes only the configured resource types', () => {
+    const r = mapped(ORU, { resources: ['Observation'] });
+    expect(r.Patient).toHaveLength(1);
+    expect(r.Observation).toHaveLength(2);
+    expect(r.DiagnosticReport).toEqual([]);
+    expect(r.Encounter).toEqual([]);
+  });
+
+  it('maps nothing without PID-3', () => {
+    const { mapping, parseMessage } = modules();
+    const raw = ORU.replace('MRN123^^^GENHOSP^MR', '');
+    expect(mapping.map(raw, parseMessage(raw), mapping.resolveConfig())).toEqual([]);
+  });
+
+  it('refuses a malformed configuration', () => {
+    const { mapping } = modules();
+    expect(() => mapping.parseConfig({ resources: ['Claim'] })).toThrow(expect.objectContaining({ code: 'invalid_fhir_mapping' }));
+    expect(() => mapping.parseConfig({ timezoneOffset: 'EST' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(mapping.resolveConfig({ enabled: false, codeSystems: { L: 'urn:a' } }, { codeSystems: { M: 'urn:b' } }))
+      .toMatchObject({ enabled: false, codeSystems: { L: 'urn:a', M: 'urn:b' } });
+  });
+});
+
+/** fhir_resources in memory, behind a storage stub. */
+function store() {
+  const rows = new Map();
+  return {
+    rows,
+    update: async (_client, _ctx, type, id, body) => {
+      const key = `${type}/${id}`;
+      const version = (rows.get(key)?.version_id || 0) + 1;
+      const row = { body: { ...body, id, meta: { versionId: String(version) } }, version_id: version };
+      rows.set(key, row);
+      return row;
+    },
+  };
+}
+
+describe('apply', () => {
+  function harness({ settings = {}, existing = null, failOn = null } = {}) {
+    const storage = store();
+    const update = storage.update;
+    storage.update = async (c, x, type, id, body) => {
+      if (type === failOn) throw new Error(`cannot write ${type}`);
+      return update(c, x, type, id, body);
+    };
+    const client = fakeClient((text) => {
+      if (/SELECT settings FROM organizations/.test(text)) return [{ settings }];
+      if (/resource_type = 'Patient'/.test(text)) return existing ? [existing] : [];
+      return [];
+    });
+    const mapping = loadWithStubs('src/hl7/fhirMapping.js', { 'src/fhir/storage.js': storage });
+    const { parseMessage } = require('../../src/hl7/messageParser.js');
+    const run = (raw) => mapping.apply(client, ctx, { raw, parsed: parseMessage(raw), messageId: 'msg-1' });
+    return { run, storage, client };
+  }
+
+  it('writes every resource and a Provenance pointing back at the message', async () => {
+    const { run, storage, client } = harness();
+    const out = await run(ORU);
+    expect(out.references).toHaveLength(7);
+    expect(out.references.every((r) => /\/_history\/1$/.test(r))).toBe(true);
+    expect(out.changes.every((c) => c.action === 'create')).toBe(true);
+
+    const prov = storage.rows.get('Provenance/hl7-msg-msg-1').body;
+    expect(prov.target.map((t) => t.reference)).toEqual(out.references.slice(0, 6).map((r) => r.replace(/\/_history\/\d+$/, '')));
+    expect(prov).toMatchObject({
+      occurredDateTime: '2026-10-19T08:30:00-05:00',
+      activity: { coding: [{ code: 'R01' }] },
+      agent: [{ who: { display: 'LAB / GENHOSP' } }],
+      entity: [{ role: 'source', what: { identifier: { value: 'msg-1' }, display: 'ORU^R01 C1' } }],
+    });
+    expect(client.queries.map((q) => q.text).filter((t) => /SAVEPOINT/.test(t)))
+      .toEqual(['SAVEPOINT hl7_fhir_mapping', 'RELEASE SAVEPOINT hl7_fhir_mapping']);
+  });
+
+  it('updates a Patient already on file with the MRN and keeps what it knew', async () => {
+    const existing = { resource_id: 'epic-7', body: { resourceType: 'Patient', id: 'epic-7',
+      identifier: [{ system: 'urn:epic', value: 'E7' }, { value: 'MRN123' }], name: [{ family: 'Doe' }],
+      telecom: [{ system: 'email', value: 'jane@example.org' }], meta: { versionId: '3' } } };
+    const { run, storage } = harness({ existing });
+    await run(ORU);
+    const patient = storage.rows.get('Patient/epic-7').body;
+    expect(patient.identifier.map((i) => i.value)).toEqual(['E7', 'MRN123']);
+    expect(patient.telecom).toEqual([{ system: 'email', value: 'jane@example.org' }]);
+    expect(patient.gender).toBe('female');
+    const observation = [...storage.rows.values()].find((r) => r.body.resourceType === 'Observation');
+    expect(observation.body.subject).toEqual({ reference: 'Patient/epic-7' });
+  });
+
+  it('leaves out a resource that fails validation and the report link to it', async () => {
+    const { run, storage } = harness();
+    const raw = ORU.replace('OBX|2|SN|2951-2^Sodium^LN', 'OBX|2|SN|^Sodium');
+    const out = await run(raw);
+    expect(out.skipped).toEqual([expect.objectContaining({ reference: expect.stringMatching(/^Observation\//),
+      error: 'Observation.code.coding is required' })]);
+    const report = [...storage.rows.values()].find((r) => r.body.resourceType === 'DiagnosticReport').body;
+    expect(report.result).toHaveLength(1);
+  });
+
+  it('rolls back to the savepoint when a write fails', async () => {
+    const { run, client } = harness({ failOn: 'AllergyIntolerance' });
+    expect(await run(ORU)).toEqual({ error: 'cannot write AllergyIntolerance' });
+    expect(client.queries.at(-1).text).toBe('ROLLBACK TO SAVEPOINT hl7_fhir_mapping');
+  });
+
+  it('does nothing when the org turns the mapping off', async () => {
+    const { run, storage } = harness({ settings: { hl7: { fhirMapping: { enabled: false } } } });
+    expect(await run(ORU)).toBeNull();
+    expect(storage.rows.size).toBe(0);
+  });
+});
+
+describe('ingest', () => {
+  it('records the references and notifies Subscriptions after commit', async () => {
+    const storage = store();
+    const notified = [];
+    let committed = false;
+    const client = fakeClient((text) => (/INSERT INTO hl7_messages/.test(text) ? [{ id: 'msg-1' }] : []));
+    const pool = fakePool(client);
+    const withTransaction = pool.withTransaction;
+    pool.withTransaction = async (...args) => {
+      const r = await withTransaction(...args);
+      committed = true;
+      return r;
+    };
+    const ingest = loadWithStubs('src/hl7/ingest.js', {
+      'src/db/pool.js': pool,
+      'src/fhir/storage.js': storage,
+      'src/fhir/subscriptions.js': {
+        notify: async (_ctx, resource, action) => { notified.push([resource.resourceType, action, committed]); },
+      },
+      'src/services/patientService.js': { upsertFromHl7: async () => ({ id: 'p-1' }) },
+      'src/services/labResultService.js': { ingestFromHl7: async () => [] },
+    });
+    const { parseMessage } = require('../../src/hl7/messageParser.js');
+
+    const result = await ingest.ingest({ rawMessage: MDM, parsed: parseMessage(MDM), ctx });
+    expect(result.ackCode).toBe('AA');
+    expect(result).not.toHaveProperty('fhirChanges');
+    expect(result.actions).toContainEqual({ kind: 'fhir_resources', count: 3, skipped: [] });
+    const update = client.queries.find((q) => /fhir_references/.test(q.text));
+    expect(update.values[3]).toEqual([
+      expect.stringMatching(/^Patient\/hl7-pat-\w+\/_history\/1$/),
+      expect.stringMatching(/^DocumentReference\//),
+      'Provenance/hl7-msg-msg-1/_history/1',
+    ]);
+
+    expect(notified).toEqual([]);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(notified).toEqual([
+      ['Patient', 'create', true], ['DocumentReference', 'create', true], ['Provenance', 'create', true],
+    ]);
+  });
+});
+
+describe('preview route', () => {
+  it('returns the mapped resources as a collection without writing', async () => {
+    const client = fakeClient(() => []);
+    const routes = loadWithStubs('src/routes/hl7.js', {
+      'src/db/pool.js': fakePool(client),
+      'src/services/vendorProfileService.js': {
+        findFor: async () => ({ config: { fhirMapping: { resources: ['MedicationRequest'] } } }),
+        invalidate: () => {},
+      },
+    });
+    const app = fakeApp();
+    routes(app);
+    const bundle = await app.call('POST /hl7/fhir-mapping/preview', { auth: ctx, body: { message: RDE } });
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection', total: 2 });
+    expect(bundle.entry.map((e) => e.resource.resourceType)).toEqual(['Patient', 'MedicationRequest']);
+    expect(client.queries.every((q) => /^\s*SELECT/.test(q.text))).toBe(true);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Outbound HL7 v2: message builders, ACK correlation and the queue.
+ *
+ * The server used to serialize nothing but ACKs. It now sends ADT^A08 (with
+ * ZTX), MDM^T02 and ORU^R01 to each configured destination over MLLP, matches
+ * the ACK to the message by MSA-2, and retries, rejects or fails accordingly.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import net from 'net';
+import { loadWithStubs, restoreModules, fakeApp, fakeReply, fakeClient, fakePool } from './helpers/routeHarness.mjs';
+
+const require = createRequire(import.meta.url);
+const builders = require('../../src/hl7/outboundMessages.js');
+const { parseMessage } = require('../../src/hl7/messageParser.js');
+const { frame, MllpFramer } = require('../../src/hl7/mllp.js');
+
+const ORG = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const DEST_ID = 'dddddddd-1111-4111-8111-dddddddddddd';
+const MSG_ID = 'eeeeeeee-1111-4111-8111-eeeeeeeeeeee';
+const ctx = { orgId: ORG, userId: 'u-1', role: 'admin' };
+
+const HEADER = {
+  sendingApp: 'TransTrack', sendingFacility: 'TT', receivingApp: 'MIRTH', receivingFacility: 'HOSP',
+  controlId: 'TT0001', timestamp: '20261019100000',
+};
+const PATIENT = {
+  id: 'p-1', mrn: 'MRN|7', first_name: 'Zoë', last_name: 'O^Brien', date_of_birth: '1970-05-15', sex: 'female',
+  organ_needed: 'kidney', waitlist_status: 'inactive', date_added_to_waitlist: '2024-01-02', cpra_percentage: 98,
+};
+
+afterEach(() => restoreModules());
+
+/** An engine on a loopback port that answers each message with `reply(raw)` frames. */
+async function engine(reply) {
+  const received = [];
+  const server = net.createServer((socket) => {
+    const framer = new MllpFramer();
+    socket.on('data', (chunk) => {
+      for (const raw of framer.push(chunk)) {
+        received.push(raw);
+        for (const out of reply(raw)) socket.write(frame(out));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    received,
+    dest: { host: '127.0.0.1', port: server.address().port, use_tls: false, destination_name: 'engine' },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+const ack = (code, controlId, text = '') =>
+  `MSH|^~\\&|MIRTH|HOSP|TransTrack|TT|20261019100001||ACK|A${controlId}|P|2.5.1\rMSA|${code}|${controlId}|${text}`;
+
+describe('message builders', () => {
+  it('builds an ADT^A08 whose PID and ZTX read back through the inbound parser', () => {
+    const raw = builders.buildWaitlistUpdate(HEADER, { patient: PATIENT, previousStatus: 'active' });
+    const parsed = parseMessage(raw);
+    expect(parsed.message_type).toBe('ADT');
+    expect(parsed.trigger_event).toBe('A08');
+    expect(parsed.message_control_id).toBe('TT0001');
+    expect(parsed.character_set).toBe('UNICODE UTF-8');
+    expect(parsed.patient).toMatchObject({ mrn: 'MRN|7', last_name: 'O^Brien', first_name: 'Zoë', sex: 'F' });
+    expect(parsed.z_segments.ZTX).toMatchObject({
+      listed_organ: 'kidney', listing_status: 'inactive', listing_dt: '20240102', cpra: '98',
+    });
+  });
+
+  it('carries IOTA notice text in an MDM^T02 with line breaks escaped', () => {
+    const raw = builders.buildDocumentNotification(HEADER, {
+      patient: PATIENT, document: { id: 'n-1', title: 'IOTA notice', text: 'Status changed\nCall us | today' },
+    });
+    const obx = raw.split('\r').find((s) => s.startsWith('OBX|'));
+    expect(obx).toContain('Status changed\\.br\\Call us \\F\\ today');
+    expect(raw.split('\r').find((s) => s.startsWith('TXA|')).split('|')[12]).toBe('n-1');
+    expect(parseMessage(raw).message_type).toBe('MDM');
+  });
+
+  it('sends one OBX per offer attribute that is set', () => {
+    const raw = builders.buildOfferResult(HEADER, {
+      patient: PATIENT, action: 'decline',
+      offer: { id: 'o-1', offer_status: 'DECLINED', decline_code: '830', offered_at: '2026-10-19T09:00:00Z' },
+    });
+    const obx = raw.split('\r').filter((s) => s.startsWith('OBX|'));
+    expect(obx.map((s) => s.split('|')[3].split('^')[0])).toEqual(['OFFER_STATUS', 'OFFER_ACTION', 'DECLINE_CODE']);
+    expect(raw).toContain('OBR|1|o-1||ORGAN_OFFER^Organ offer^L|||20261019090000');
+  });
+});
+
+describe('send', () => {
+  const outbound = require('../../src/hl7/outbound.js');
+
+  it('resolves with the ACK whose MSA-2 matches and ignores others', async () => {
+    const e = await engine(() => [ack('AA', 'SOMEONE-ELSE'), ack('AA', 'TT0001', 'ok')]);
+    try {
+      const got = await outbound.send(e.dest, { message_control_id: 'TT0001', raw_message: 'MSH|^~\\&|TransTrack||||||ADT^A08|TT0001|P|2.5.1' });
+      expect(got).toEqual({ code: 'AA', controlId: 'TT0001', text: 'ok' });
+      expect(e.received).toHaveLength(1);
+    } finally {
+      await e.close();
+    }
+  });
+
+  it('rejects when no matching ACK arrives in time', async () => {
+    const e = await engine(() => []);
+    try {
+      await expect(outbound.send(e.dest, { message_control_id: 'TT0002', raw_message: 'MSH|^~\\&|x' }, { timeoutMs: 100 }))
+        .rejects.toThrow(/no ACK within 100 ms/);
+    } finally {
+      await e.close();
+    }
+  });
+});
+
+describe('queue', () => {
+  function setup(row, extra = () => null) {
+    const client = fakeClient((text, values) => {
+      const hit = extra(text, values);
+      if (hit) return hit;
+      if (/SELECT id FROM organizations/.test(text)) return [{ id: ORG }];
+      if (/SET status = 'in_progress'/.test(text)) return row.claimed++ ? [] : [row];
+      return [];
+    });
+    const outbound = loadWithStubs('src/hl7/outbound.js', { 'src/db/pool.js': fakePool(client) });
+    outbound.configure({ HL7_OUTBOUND_ENABLED: true, HL7_OUTBOUND_MAX_ATTEMPTS: 3 });
+    return { outbound, client };
+  }
+
+  const queued = (dest, attempt = 0) => ({
+    id: MSG_ID, org_id: ORG, destination_id: DEST_ID, message_control_id: 'TT0003',
+    raw_message: 'MSH|^~\\&|TransTrack||||||ORU^R01|TT0003|P|2.5.1', attempt_count: attempt,
+    claimed: 0, ...dest,
+  });
+
+  it('queues one message per destination that takes the event, only when enabled', async () => {
+    const { outbound, client } = setup({}, (text) => (/FROM hl7_outbound_destinations/.test(text)
+      ? [{ id: DEST_ID, receiving_app: 'MIRTH' }, { id: 'd-2', receiving_app: 'RHAPSODY' }] : null));
+    await outbound.waitlistStatusChanged(client, ctx, PATIENT, 'active');
+    const inserts = client.queries.filter((q) => /INSERT INTO hl7_outbound_messages/.test(q.text));
+    expect(inserts.map((q) => q.values[1])).toEqual([DEST_ID, 'd-2']);
+    expect(inserts[0].values.slice(2, 7)).toEqual(['waitlist_status', 'patient', 'p-1', 'ADT', 'A08']);
+    expect(inserts[0].values[8]).toContain('|MIRTH|');
+    expect(inserts[0].values[8]).toContain(`|${inserts[0].values[7]}|`);
+
+    outbound.configure({});
+    client.queries.length = 0;
+    await outbound.waitlistStatusChanged(client, ctx, PATIENT, 'active');
+    expect(client.queries).toHaveLength(0);
+  });
+
+  it('claims only the oldest open message of each destination', async () => {
+    const { outbound, client } = setup(queued({ host: '127.0.0.1', port: 1, use_tls: false }));
+    await outbound.dispatchPending();
+    const claim = client.queries.find((q) => /SET status = 'in_progress'/.test(q.text));
+    expect(claim.text).toMatch(/DISTINCT ON \(o\.destination_id\)/);
+    expect(claim.text).toMatch(/o\.status IN \('pending','retrying','in_progress'\)/);
+  });
+
+  it('marks an accepted message acked', async () => {
+    const e = await engine((raw) => [ack('AA', parseMessage(raw).message_control_id, 'Accepted')]);
+    try {
+      const { outbound, client } = setup(queued(e.dest));
+      expect(await outbound.dispatchPending()).toEqual({ sent: 1 });
+      const done = client.queries.find((q) => /SET status = 'acked'/.test(q.text));
+      expect(done.values).toEqual([ORG, MSG_ID, 'AA', 'Accepted']);
+    } finally {
+      await e.close();
+    }
+  });
+
+  it('does not retry a rejected message', async () => {
+    const e = await engine((raw) => [ack('AR', parseMessage(raw).message_control_id, 'Unknown MRN')]);
+    try {
+      const { outbound, client } = setup(queued(e.dest));
+      await outbound.dispatchPending();
+      const done = client.queries.find((q) => /SET status = 'rejected'/.test(q.text));
+      expect(done.values.slice(2, 4)).toEqual(['AR', 'Unknown MRN']);
+    } finally {
+      await e.close();
+    }
+  });
+
+  it('retries an application error with backoff and fails once attempts run out', async () => {
+    const e = await engine((raw) => [ack('AE', parseMessage(raw).message_control_id, 'busy')]);
+    try {
+      let { outbound, client } = setup(queued(e.dest, 0));
+      await outbound.dispatchPending();
+      let upd = client.queries.find((q) => /next_attempt_at = CASE/.test(q.text));
+      expect(upd.values[2]).toBe('retrying');
+      expect(upd.values[3]).toBeGreaterThan(0);
+      expect(upd.values[6]).toBe('AE acknowledgment: busy');
+
+      restoreModules();
+      ({ outbound, client } = setup(queued(e.dest, 2)));
+      await outbound.dispatchPending();
+      upd = client.queries.find((q) => /next_attempt_at = CASE/.test(q.text));
+      expect(upd.values[2]).toBe('failed');
+      expect(upd.values[6]).toBe('gave up after 3 attempts: AE acknowledgment: busy');
+    } finally {
+      await e.close();
+    }
+  });
+
+  it('fails a plaintext destination in production without connecting', async () => {
+    const e = await engine(() => []);
+    try {
+      const { outbound, client } = setup(queued(e.dest));
+      outbound.configure({ HL7_OUTBOUND_ENABLED: true, NODE_ENV: 'production' });
+      await outbound.dispatchPending();
+      const upd = client.queries.find((q) => /next_attempt_at = CASE/.test(q.text));
+      expect(upd.values[2]).toBe('failed');
+      expect(upd.values[6]).toBe('plaintext destination refused in production');
+      expect(e.received).toHaveLength(0);
+    } finally {
+      await e.close();
+    }
+  });
+});
+
+describe('outbound routes', () => {
+  function routes(handler = () => []) {
+    const client = fakeClient(handler);
+    const mod = loadWithStubs('src/routes/hl7.js', { 'src/db/pool.js': fakePool(client) });
+    const outbound = require('../../src/hl7/outbound.js');
+    const app = fakeApp();
+    mod(app);
+    return { app, client, outbound };
+  }
+
+  it('refuses a plaintext destination in production', async () => {
+    const { app, outbound } = routes();
+    outbound.configure({ NODE_ENV: 'production' });
+    const reply = fakeReply();
+    await expect(app.call('POST /hl7/outbound/destinations', {
+      auth: ctx, body: { name: 'Mirth', host: 'mirth.hospital.org', port: 6661, use_tls: false },
+    }, reply)).rejects.toMatchObject({ status: 400, code: 'plaintext_not_allowed' });
+  });
+
+  it('filters the message log by destination and status', async () => {
+    const { app, client } = routes();
+    await app.call('GET /hl7/outbound/messages', {
+      auth: ctx, query: { destination_id: DEST_ID, status: 'failed' },
+    });
+    const q = client.queries.find((x) => /FROM hl7_outbound_messages m/.test(x.text));
+    expect(q.text).toMatch(/m\.destination_id = \$2 AND m\.status = \$3/);
+    expect(q.values).toEqual([ORG, DEST_ID, 'failed', 100]);
+  });
+});
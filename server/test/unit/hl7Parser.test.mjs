@@ -42,3 +42,26 @@ describe('hl7v2 (re-used by server)', () => {
     expect(ack).toMatch(/MSA\|AA\|X1/);
   });
 });
+
+describe('messageParser escapes and separators', () => {
+  const messageParser = require('../../src/hl7/messageParser.js');
+
+  it('decodes escapes in extended segments with the message separators', () => {
+    const msg = [
+      'MSH#*@!%#EPIC#HOSP#TT#TT#20260101120000##MDM*T02#DOC1#P#2.5',
+      'PID#1##MRN1***HOSP*MR##DOE!S!SMITH*MARY!F!JO',
+      'TXA#1#DS#TX',
+      'OBX#1#TX#NOTE##Seen in clinic.!.br!Plan: repeat labs!F!review',
+    ].join('\r');
+    const out = messageParser.parseMessage(msg);
+    expect(out.patient.last_name).toBe('DOE*SMITH');
+    expect(out.patient.first_name).toBe('MARY#JO');
+    expect(out.extended.document).not.toBeNull();
+    expect(out.encoding.field).toBe('#');
+  });
+
+  it('answers in the sender\'s separators', () => {
+    const parsed = messageParser.parseMessage('MSH#*@!%#EPIC#HOSP#TT#TT#20260101120000##ADT*A08#A8#P#2.5');
+    expect(messageParser.buildAck(parsed, 'AA')).toMatch(/^MSH#\*@!%#TransTrack#[^\r]*\rMSA#AA#A8#$/);
+  });
+});
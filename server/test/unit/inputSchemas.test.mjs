@@ -49,12 +49,19 @@ const VALID_BODIES = {
 };
 
 describe('every calculator route validates its body', () => {
-  it('covers all seven calculators', () => {
+  it('covers every calculator', () => {
     expect(Object.keys(schemas).sort()).toEqual(
-      ['epts', 'kdpi', 'las', 'meld', 'meld-3', 'meld-na', 'peld']
+      ['cpra', 'epts', 'kdpi', 'las', 'meld', 'meld-3', 'meld-na', 'peld']
     );
   });
 
+  it('takes cPRA antigens as a list of strings and nothing else', () => {
+    expect(schemas.cpra.parse({ unacceptable_antigens: ['A2', 'B*44:02'], score: 99 }))
+      .toEqual({ unacceptable_antigens: ['A2', 'B*44:02'] });
+    expect(() => schemas.cpra.parse({})).toThrow();
+    expect(() => schemas.cpra.parse({ unacceptable_antigens: [2] })).toThrow();
+  });
+
   for (const [name, body] of Object.entries(VALID_BODIES)) {
     it(`accepts a well-formed ${name} body`, () => {
       expect(() => schemas[name].parse(body)).not.toThrow();
@@ -46,6 +46,20 @@ describe('MLLP framer', () => {
     const out = f.push(wire);
     expect(out).toEqual([m1, m2]);
   });
+
+  it('decodes and encodes frames in the MSH-18 character set', () => {
+    const msg = 'MSH|^~\\&|LIS|LAB|TT|TT|||ORU^R01|1|P|2.5||||||8859/1\rPID|1||M1||M\u00dcLLER';
+    const wire = frame(msg);
+    expect(wire.length).toBe(msg.length + 3);
+    expect(wire.includes(Buffer.from([0xdc]))).toBe(true);
+    expect(new MllpFramer().push(wire)).toEqual([msg]);
+  });
+
+  it('stays UTF-8 when MSH-18 is absent', () => {
+    const msg = 'MSH|^~\\&|LIS|LAB|TT|TT|||ORU^R01|1|P|2.5\rPID|1||M1||M\u00dcLLER';
+    expect(frame(msg).length).toBe(Buffer.byteLength(msg, 'utf8') + 3);
+    expect(new MllpFramer().push(frame(msg))).toEqual([msg]);
+  });
 });
 
 // ---------------------------------------------------------------------------
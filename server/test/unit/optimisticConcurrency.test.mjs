@@ -0,0 +1,159 @@
+/**
+ * Optimistic concurrency — ETag / If-Match.
+ *
+ * Two coordinators editing the same candidate used to lose one edit silently.
+ * Reads now return a weak ETag from the row version, and a write carrying
+ * If-Match is refused with 412 once the row has moved on. FHIR storage is
+ * covered in fhirHistory.test.mjs; these tests pin the patient service and
+ * the header plumbing in both route modules.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { loadWithStubs, restoreModules, fakeApp, fakeReply, fakeClient, fakePool } from './helpers/routeHarness.mjs';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const PATIENT_ID = '22222222-2222-4222-8222-222222222222';
+const ctx = { orgId: ORG, userId: 'user-1', role: 'coordinator', tokenType: 'jwt' };
+
+afterEach(() => restoreModules());
+
+describe('patientService.update', () => {
+  /** A patients table holding one row at `version`. */
+  function patientsTable(version) {
+    return fakeClient((text, values) => {
+      if (text.startsWith('UPDATE patients')) {
+        const expected = text.includes('version = $') ? values[values.length - 1] : version;
+        if (expected !== version) return [];
+        version += 1;
+        return [{ id: PATIENT_ID, first_name: 'Jane', last_name: 'Doe', version }];
+      }
+      if (text.includes('SELECT version FROM patients')) return [{ version }];
+      return [];
+    });
+  }
+
+  const svc = () => loadWithStubs('src/services/patientService.js');
+
+  it('bumps the version on every update', async () => {
+    const client = patientsTable(4);
+    const row = await svc().update(client, ctx, PATIENT_ID, { notes: 'seen' });
+    expect(row.version).toBe(5);
+    expect(client.queries[0].text).toMatch(/version = version \+ 1/);
+  });
+
+  it('writes when If-Match names the current version', async () => {
+    const client = patientsTable(4);
+    const row = await svc().update(client, ctx, PATIENT_ID, { notes: 'seen' }, { ifMatch: 'W/"4"' });
+    expect(row.version).toBe(5);
+  });
+
+  it('refuses a stale If-Match with 412 version_conflict', async () => {
+    const client = patientsTable(5);
+    await expect(svc().update(client, ctx, PATIENT_ID, { notes: 'late' }, { ifMatch: 'W/"4"' }))
+      .rejects.toMatchObject({ status: 412, code: 'version_conflict', message: expect.stringMatching(/current version is 5/) });
+    expect(client.queries.some((q) => q.text.includes('INSERT INTO audit_logs'))).toBe(false);
+  });
+
+  it('answers null, not 412, when the patient does not exist', async () => {
+    const client = fakeClient(() => []);
+    expect(await svc().update(client, ctx, PATIENT_ID, { notes: 'x' }, { ifMatch: '1' })).toBeNull();
+  });
+
+  it('rejects a malformed If-Match and never lets a caller set the version', async () => {
+    const client = patientsTable(1);
+    await expect(svc().update(client, ctx, PATIENT_ID, { notes: 'x' }, { ifMatch: '*' }))
+      .rejects.toMatchObject({ status: 400 });
+    await svc().update(client, ctx, PATIENT_ID, { notes: 'x', version: 99 });
+    const update = client.queries.find((q) => q.text.startsWith('UPDATE patients'));
+    expect(update.values).not.toContain(99);
+  });
+});
+
+describe('routes/patients.js', () => {
+  async function routes(update) {
+    const calls = [];
+    const mod = loadWithStubs('src/routes/patients.js', {
+      'src/db/pool.js': fakePool(fakeClient()),
+      'src/services/patientService.js': {
+        get: async () => ({ id: PATIENT_ID, version: 3 }),
+        update: async (_c, _ctx, id, input, opts) => { calls.push(opts); return update(opts); },
+      },
+    });
+    const app = fakeApp();
+    await mod(app);
+    return { app, calls };
+  }
+
+  it('returns the version as a weak ETag on GET', async () => {
+    const { app } = await routes();
+    const reply = fakeReply();
+    await app.call('GET /patients/:id', { params: { id: PATIENT_ID }, auth: ctx }, reply);
+    expect(reply.headers.ETag).toBe('W/"3"');
+  });
+
+  it('passes If-Match to the service and returns the new ETag', async () => {
+    const { app, calls } = await routes(() => ({ id: PATIENT_ID, version: 4 }));
+    const reply = fakeReply();
+    await app.call('PATCH /patients/:id', {
+      params: { id: PATIENT_ID }, body: { notes: 'x' }, headers: { 'if-match': 'W/"3"' }, auth: ctx,
+    }, reply);
+    expect(calls[0]).toEqual({ ifMatch: 'W/"3"' });
+    expect(reply.headers.ETag).toBe('W/"4"');
+  });
+
+  it('answers 404 for an unknown patient', async () => {
+    const { app } = await routes(() => null);
+    await expect(app.call('PATCH /patients/:id', {
+      params: { id: PATIENT_ID }, body: { notes: 'x' }, auth: ctx,
+    })).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('routes/fhir.js', () => {
+  const row = (version) => ({
+    body: { resourceType: 'Patient', id: 'p-1', meta: { versionId: String(version) } },
+    version_id: version,
+    last_updated: '2026-03-01T10:00:00Z',
+    deleted: false,
+  });
+
+  async function routes(storage) {
+    const mod = loadWithStubs('src/routes/fhir.js', {
+      'src/db/pool.js': fakePool(fakeClient()),
+      'src/fhir/storage.js': storage,
+      'src/fhir/subscriptions.js': { notify: async () => {} },
+    });
+    const app = fakeApp();
+    await mod(app, { config: { FHIR_BASE_URL: 'https://example.test/fhir' } });
+    return app;
+  }
+
+  const admin = { orgId: ORG, userId: 'user-1', role: 'admin', tokenType: 'jwt' };
+
+  it('sets ETag and Last-Modified on read', async () => {
+    const app = await routes({ read: async () => row(2) });
+    const reply = fakeReply();
+    await app.call('GET /fhir/:type/:id', { params: { type: 'Patient', id: 'p-1' }, auth: admin }, reply);
+    expect(reply.headers.ETag).toBe('W/"2"');
+    expect(reply.headers['Last-Modified']).toBe('Sun, 01 Mar 2026 10:00:00 GMT');
+  });
+
+  it('forwards If-Match on update and delete', async () => {
+    const seen = [];
+    const app = await routes({
+      update: async (_c, _ctx, _t, _id, _b, opts) => { seen.push(opts); return row(3); },
+      softDelete: async (_c, _ctx, _t, _id, opts) => { seen.push(opts); return row(4); },
+    });
+    const reply = fakeReply();
+    await app.call('PUT /fhir/:type/:id', {
+      params: { type: 'Patient', id: 'p-1' },
+      body: { resourceType: 'Patient', id: 'p-1', name: [{ family: 'Doe' }] },
+      headers: { 'if-match': 'W/"2"' },
+      auth: admin,
+    }, reply);
+    expect(reply.headers.ETag).toBe('W/"3"');
+    await app.call('DELETE /fhir/:type/:id', {
+      params: { type: 'Patient', id: 'p-1' }, headers: { 'if-match': 'W/"3"' }, auth: admin,
+    });
+    expect(seen).toEqual([{ ifMatch: 'W/"2"' }, { ifMatch: 'W/"3"' }]);
+  });
+});
@@ -0,0 +1,404 @@
+/**
+ * Topic-based Subscriptions (R5 Backport) and the email / websocket channels.
+ *
+ * R4 criteria subscriptions keep their behaviour (subscriptionMatcher.test.mjs).
+ * These tests pin the topic registry, the SubscriptionStatus notification
+ * shape, per-subscription event numbering, the handshake that activates a
+ * push subscription, email delivery through the SMTP settings and the
+ * bind-with-token websocket flow.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import http from 'http';
+import { WebSocket } from 'ws';
+import { loadWithStubs, restoreModules, fakeClient, fakePool } from './helpers/routeHarness.mjs';
+
+const require = createRequire(import.meta.url);
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const SUB_ID = '33333333-3333-4333-8333-333333333333';
+const ctx = { orgId: ORG, userId: 'user-1', role: 'admin', tokenType: 'jwt' };
+const LAB = 'https://transtrack.health/fhir/SubscriptionTopic/lab-result-final';
+const FILTER = 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-filter-criteria';
+const CONTENT = 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-payload-content';
+const HEARTBEAT = 'http://hl7.org/fhir/uv/subscriptions-backport/StructureDefinition/backport-heartbeat-period';
+
+afterEach(() => restoreModules());
+
+const labSubscription = (overrides = {}) => ({
+  resourceType: 'Subscription',
+  id: 'sub-1',
+  status: 'requested',
+  reason: 'results feed',
+  criteria: LAB,
+  _criteria: { extension: [{ url: FILTER, valueString: 'Observation?patient=Patient/p-1' }] },
+  channel: {
+    type: 'rest-hook',
+    endpoint: 'https://ehr.example.test/notify',
+    _payload: { extension: [{ url: CONTENT, valueCode: 'id-only' }] },
+    extension: [{ url: HEARTBEAT, valueUnsignedInt: 120 }],
+  },
+  ...overrides,
+});
+
+const finalLab = {
+  resourceType: 'Observation',
+  id: 'obs-1',
+  status: 'final',
+  subject: { reference: 'Patient/p-1' },
+  code: { coding: [{ system: 'http://loinc.org', code: '2160-0' }] },
+  category: [{ coding: [{ system: 'http://terminology.hl7.org/CodeSystem/observation-category', code: 'laboratory' }] }],
+};
+
+describe('subscription topics', () => {
+  const topics = () => loadWithStubs('src/fhir/subscriptionTopics.js');
+
+  it('treats a search-style criteria string as an R4 subscription', () => {
+    expect(topics().backportSettings({ criteria: 'Observation?code=2160-0', channel: { type: 'rest-hook' } }))
+      .toBeNull();
+  });
+
+  it('reads the filter, payload content and heartbeat extensions', () => {
+    const s = topics().backportSettings(labSubscription());
+    expect(s.topic.id).toBe('lab-result-final');
+    expect(s.filterCriteria).toEqual(['Observation?patient=Patient/p-1']);
+    expect(s.content).toBe('id-only');
+    expect(s.heartbeatPeriod).toBe(120);
+  });
+
+  it('refuses unknown topics and filters the topic does not declare', () => {
+    const t = topics();
+    expect(() => t.backportSettings({ ...labSubscription(), criteria: 'https://elsewhere.test/Topic/x' }))
+      .toThrow(/Unknown SubscriptionTopic/);
+    expect(() => t.backportSettings(labSubscription({
+      _criteria: { extension: [{ url: FILTER, valueString: 'Observation?status=final' }] },
+    }))).toThrow(/cannot be filtered by Observation.status/);
+    expect(() => t.backportSettings(labSubscription({
+      _criteria: { extension: [{ url: FILTER, valueString: 'Patient?_id=p-1' }] },
+    }))).toThrow(/does not trigger on/);
+  });
+
+  it('will not email full-resource content', () => {
+    expect(() => topics().backportSettings(labSubscription({
+      channel: {
+        type: 'email',
+        endpoint: 'mailto:lab@example.test',
+        _payload: { extension: [{ url: CONTENT, valueCode: 'full-resource' }] },
+      },
+    }))).toThrow(/email subscriptions support empty or id-only/);
+  });
+
+  it('serves topics as SubscriptionTopic resources', () => {
+    const t = topics();
+    const r = t.toResource(t.byId('lab-result-final'));
+    expect(r).toMatchObject({ resourceType: 'SubscriptionTopic', url: LAB, status: 'active' });
+    expect(r.resourceTrigger[0].queryCriteria.current).toBe('category=laboratory&status=final');
+    expect(r.canFilterBy.map((f) => f.filterParameter)).toEqual(['patient', 'code']);
+  });
+});
+
+describe('topic matching', () => {
+  const subs = () => loadWithStubs('src/fhir/subscriptions.js');
+  const sub = { topic_url: LAB, filter_criteria: ['Observation?patient=Patient/p-1'] };
+
+  it('fires when the trigger, its current query and every filter match', () => {
+    const s = subs();
+    expect(s.topicMatches(sub, finalLab, 'create')).toBe(true);
+    expect(s.topicMatches(sub, { ...finalLab, status: 'preliminary' }, 'update')).toBe(false);
+    expect(s.topicMatches(sub, { ...finalLab, subject: { reference: 'Patient/p-2' } }, 'create')).toBe(false);
+    expect(s.topicMatches(sub, finalLab, 'delete')).toBe(false);
+  });
+
+  it('fires on delete for topics that trigger on it', () => {
+    const s = subs();
+    const patientSub = { topic_url: 'https://transtrack.health/fhir/SubscriptionTopic/patient-change', filter_criteria: [] };
+    expect(s.topicMatches(patientSub, { resourceType: 'Patient', id: 'p-1' }, 'delete')).toBe(true);
+  });
+});
+
+describe('notification bundles', () => {
+  const s = () => {
+    const mod = loadWithStubs('src/fhir/subscriptions.js');
+    mod.configure({ FHIR_BASE_URL: 'https://example.test/fhir' });
+    return mod;
+  };
+  const sub = { fhir_resource_id: 'sub-1', topic_url: LAB, status: 'active', events_since_start: 7, content: 'id-only' };
+  const event = {
+    event_number: 7, event_type: 'create', triggering_resource: 'Observation/obs-1', created_at: '2026-03-01T10:00:00Z',
+  };
+
+  it('leads with a SubscriptionStatus carrying the event number', () => {
+    const b = s().notificationBundle(sub, 'event-notification', [event]);
+    expect(b).toMatchObject({ resourceType: 'Bundle', type: 'history' });
+    const status = b.entry[0].resource;
+    expect(status.resourceType).toBe('Parameters');
+    const param = (name) => status.parameter.find((p) => p.name === name);
+    expect(param('type').valueCode).toBe('event-notification');
+    expect(param('events-since-subscription-start').valueString).toBe('7');
+    expect(param('notification-event').part).toEqual([
+      { name: 'event-number', valueString: '7' },
+      { name: 'timestamp', valueInstant: '2026-03-01T10:00:00.000Z' },
+      { name: 'focus', valueReference: { reference: 'https://example.test/fhir/Observation/obs-1' } },
+    ]);
+  });
+
+  it('shapes event entries by content level', () => {
+    const mod = s();
+    const idOnly = mod.notificationBundle(sub, 'event-notification', [event]);
+    expect(idOnly.entry[1]).toMatchObject({ fullUrl: 'https://example.test/fhir/Observation/obs-1' });
+    expect(idOnly.entry[1].resource).toBeUndefined();
+
+    const full = mod.notificationBundle({ ...sub, content: 'full-resource' }, 'event-notification', [event], {
+      resources: new Map([['Observation/obs-1', finalLab]]),
+    });
+    expect(full.entry[1].resource).toEqual(finalLab);
+
+    const empty = mod.notificationBundle({ ...sub, content: 'empty' }, 'event-notification', [event]);
+    expect(empty.entry).toHaveLength(1);
+    expect(empty.entry[0].resource.parameter.find((p) => p.name === 'notification-event').part)
+      .not.toContainEqual(expect.objectContaining({ name: 'focus' }));
+  });
+
+  it('sends a handshake with no events', () => {
+    const b = s().notificationBundle({ ...sub, status: 'requested', events_since_start: 0 }, 'handshake');
+    expect(b.entry).toHaveLength(1);
+    expect(b.entry[0].resource.parameter.find((p) => p.name === 'type').valueCode).toBe('handshake');
+  });
+});
+
+describe('notify', () => {
+  it('numbers topic events per subscription and leaves R4 deliveries unnumbered', async () => {
+    let counter = 4;
+    const client = fakeClient((text) => {
+      if (text.includes('FROM fhir_subscriptions')) {
+        return [
+          { id: SUB_ID, criteria: LAB, channel_type: 'rest-hook', topic_url: LAB, filter_criteria: [] },
+          { id: 'legacy', criteria: 'Observation?code=2160-0', channel_type: 'rest-hook', topic_url: null, filter_criteria: [] },
+        ];
+      }
+      if (text.includes('events_since_start + 1')) return [{ events_since_start: ++counter }];
+      return [];
+    });
+    const subs = loadWithStubs('src/fhir/subscriptions.js', { 'src/db/pool.js': fakePool(client) });
+    await subs.notify(ctx, finalLab, 'create');
+    const inserts = client.queries.filter((q) => q.text.includes('INSERT INTO fhir_subscription_deliveries'));
+    expect(inserts.map((q) => [q.values[0], q.values[4]])).toEqual([[SUB_ID, 5], ['legacy', null]]);
+  });
+});
+
+describe('Subscription resource', () => {
+  const resources = (client) => loadWithStubs('src/fhir/resources/index.js', { 'src/db/pool.js': fakePool(client) });
+
+  it('keeps a requested topic subscription requested and queues its handshake', async () => {
+    const client = fakeClient((text) => (text.includes('RETURNING id') ? [{ id: SUB_ID }] : []));
+    await resources(client).Subscription.postCreate(client, ctx, labSubscription());
+    const [registry, handshake] = client.queries;
+    expect(registry.values[2]).toBe('requested');
+    expect(registry.values.slice(9)).toEqual([LAB, ['Observation?patient=Patient/p-1'], 'id-only', 120]);
+    expect(handshake.text).toMatch(/'handshake','handshake','pending'/);
+    expect(handshake.values).toEqual([SUB_ID, ORG]);
+  });
+
+  it('activates R4 criteria and websocket subscriptions at once', async () => {
+    const client = fakeClient(() => [{ id: SUB_ID }]);
+    const { Subscription } = resources(client);
+    await Subscription.postCreate(client, ctx, {
+      resourceType: 'Subscription', id: 'r4', status: 'requested', criteria: 'Observation?code=2160-0',
+      channel: { type: 'rest-hook', endpoint: 'https://ehr.example.test/notify' },
+    });
+    await Subscription.postCreate(client, ctx, labSubscription({ channel: { type: 'websocket' } }));
+    expect(client.queries.map((q) => q.values[2])).toEqual(['active', 'active']);
+  });
+
+  it('requires a mailto: endpoint for email', () => {
+    const client = fakeClient();
+    const { Subscription } = resources(client);
+    expect(() => Subscription.validate(labSubscription({ channel: { type: 'email', endpoint: 'https://x.test' } })))
+      .toThrow(/mailto:/);
+  });
+});
+
+/**
+ * A pool whose single claimed delivery belongs to `sub`; every query is
+ * recorded so the mark* updates can be inspected.
+ */
+function dispatchPool(delivery, sub) {
+  const client = fakeClient((text) => {
+    if (text.includes("SET status = 'in_progress'")) return [delivery];
+    if (text.includes('FROM fhir_subscriptions WHERE id = $1')) return [sub];
+    return [];
+  });
+  const pool = fakePool(client);
+  const inner = pool.getPool();
+  pool.getPool = () => ({ ...inner, connect: async () => ({ ...client, query: client.query.bind(client), release() {} }) });
+  return { pool, client };
+}
+
+describe('email channel', () => {
+  const delivery = {
+    id: 'd-1', subscription_id: SUB_ID, org_id: ORG, event_type: 'create', triggering_resource: 'Observation/obs-1',
+    attempt_count: 0, notification_type: 'event-notification', event_number: 3, created_at: '2026-03-01T10:00:00Z',
+  };
+  const sub = {
+    id: SUB_ID, fhir_resource_id: 'sub-1', status: 'active', channel_type: 'email', endpoint: 'mailto:lab@example.test',
+    topic_url: LAB, content: 'id-only', events_since_start: 3,
+  };
+
+  function load(sendMail) {
+    const sent = [];
+    const { pool, client } = dispatchPool(delivery, sub);
+    const subs = loadWithStubs('src/fhir/subscriptions.js', {
+      'src/db/pool.js': pool,
+      'node_modules/nodemailer': { createTransport: (opts) => ({ opts, sendMail: async (m) => { sent.push({ opts, m }); return sendMail(m); } }) },
+    });
+    return { subs, client, sent };
+  }
+
+  it('mails an id-only notification through the configured relay', async () => {
+    const { subs, client, sent } = load(async () => ({ response: '250 queued' }));
+    subs.configure({ SMTP_HOST: 'localhost', SMTP_PORT: 1025, SMTP_FROM: 'fhir@transtrack.test' });
+    await subs.dispatchPending();
+    expect(sent).toHaveLength(1);
+    expect(sent[0].opts).toMatchObject({ host: 'localhost', port: 1025, secure: false });
+    const { m } = sent[0];
+    expect(m).toMatchObject({ from: 'fhir@transtrack.test', to: 'lab@example.test' });
+    expect(m.subject).toBe('TransTrack FHIR event-notification: Subscription/sub-1');
+    expect(m.text).toContain('Event 3: create Observation/obs-1');
+    const bundle = JSON.parse(m.attachments[0].content);
+    expect(bundle.entry[1].resource).toBeUndefined();
+    const delivered = client.queries.find((q) => q.text.includes("SET status='delivered'"));
+    expect(delivered.values).toEqual(['d-1', null, '250 queued']);
+  });
+
+  it('retries when the relay refuses', async () => {
+    const { subs, client } = load(async () => { throw new Error('connect ECONNREFUSED'); });
+    subs.setLogger({});
+    subs.configure({ SMTP_HOST: 'localhost', SMTP_PORT: 1025, SMTP_FROM: 'fhir@transtrack.test' });
+    await subs.dispatchPending();
+    const retry = client.queries.find((q) => q.text.includes("SET status = 'retrying'"));
+    expect(retry.values[2]).toBe('connect ECONNREFUSED');
+  });
+
+  it('fails the delivery when SMTP is not configured', async () => {
+    const { subs, client, sent } = load(async () => ({}));
+    subs.configure({});
+    await subs.dispatchPending();
+    expect(sent).toHaveLength(0);
+    const failed = client.queries.find((q) => q.text.includes("SET status = 'failed'"));
+    expect(failed.values).toEqual(['d-1', null, null, 'SMTP is not configured']);
+  });
+});
+
+describe('websocket channel', () => {
+  const sockets = () => require('../../src/fhir/subscriptionSockets.js');
+
+  async function withServer(fn) {
+    const server = http.createServer();
+    const wss = sockets().attach(server, {
+      path: '/fhir/subscription-ws',
+      logger: {},
+      redeem: async (token) => (token === 'good-token' ? [{ id: SUB_ID }] : []),
+      handshake: async (sub) => JSON.stringify({ handshake: sub.id }),
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const url = `ws://127.0.0.1:${server.address().port}/fhir/subscription-ws`;
+    try {
+      await fn(url);
+    } finally {
+      for (const ws of wss.clients) ws.terminate();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  }
+
+  const open = (url) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+  const nextMessage = (ws) => new Promise((resolve) => ws.once('message', (d) => resolve(JSON.parse(String(d)))));
+
+  it('binds with a token, hands shakes, then receives notifications', async () => {
+    await withServer(async (url) => {
+      const ws = await open(url);
+      const handshake = nextMessage(ws);
+      ws.send('bind-with-token good-token');
+      expect(await handshake).toEqual({ handshake: SUB_ID });
+      expect(sockets().boundSubscriptionIds()).toEqual([SUB_ID]);
+
+      const event = nextMessage(ws);
+      expect(sockets().publish(SUB_ID, JSON.stringify({ event: 1 }))).toBe(1);
+      expect(await event).toEqual({ event: 1 });
+
+      const closed = new Promise((resolve) => ws.once('close', resolve));
+      ws.close();
+      await closed;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(sockets().publish(SUB_ID, '{}')).toBe(0);
+    });
+  });
+
+  it('closes the socket on an unknown token', async () => {
+    await withServer(async (url) => {
+      const ws = await open(url);
+      const closed = new Promise((resolve) => ws.once('close', (code) => resolve(code)));
+      ws.send('bind-with-token nope');
+      expect(await closed).toBe(1008);
+    });
+  });
+});
+
+describe('backport operations', () => {
+  const registry = { id: SUB_ID, fhir_resource_id: 'sub-1', status: 'active', topic_url: LAB, content: 'id-only', events_since_start: 2 };
+
+  it('$events pages retained events by number', async () => {
+    const client = fakeClient((text) => {
+      if (text.includes('FROM fhir_subscriptions WHERE')) return [registry];
+      if (text.includes('event_number IS NOT NULL')) {
+        return [{ event_number: 2, event_type: 'update', triggering_resource: 'Observation/obs-1', created_at: '2026-03-01T10:00:00Z' }];
+      }
+      return [];
+    });
+    const subs = loadWithStubs('src/fhir/subscriptions.js', { 'src/db/pool.js': fakePool(client) });
+    const b = await subs.eventsBundle(client, ctx, 'sub-1', { since: '2' });
+    expect(b.entry[0].resource.parameter.find((p) => p.name === 'type').valueCode).toBe('query-event');
+    expect(b.entry[1].request).toEqual({ method: 'PUT', url: 'Observation/obs-1' });
+    expect(client.queries[1].values).toEqual([SUB_ID, '2', null]);
+    await expect(subs.eventsBundle(client, ctx, 'sub-1', { since: '-1' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('issues binding tokens only for websocket subscriptions and stores the hash', async () => {
+    let channel = 'rest-hook';
+    const client = fakeClient((text) => {
+      if (text.includes('FROM fhir_subscriptions WHERE')) return [{ ...registry, channel_type: channel }];
+      if (text.includes('INSERT INTO fhir_subscription_ws_tokens')) return [{ expires_at: '2026-03-01T10:05:00Z' }];
+      return [];
+    });
+    const subs = loadWithStubs('src/fhir/subscriptions.js', { 'src/db/pool.js': fakePool(client) });
+    await expect(subs.issueBindingToken(client, ctx, 'sub-1')).rejects.toMatchObject({ status: 400 });
+    channel = 'websocket';
+    const issued = await subs.issueBindingToken(client, ctx, 'sub-1');
+    const insert = client.queries.find((q) => q.text.includes('INSERT INTO fhir_subscription_ws_tokens'));
+    expect(insert.values[0]).not.toBe(issued.token);
+    expect(insert.values[0]).toMatch(/^[0-9a-f]{64}$/);
+    expect(issued.expiresAt).toBe('2026-03-01T10:05:00.000Z');
+  });
+
+  it('redeems a binding token once', async () => {
+    const tokens = new Set();
+    const client = fakeClient((text, values) => {
+      if (text.includes('FROM fhir_subscriptions WHERE')) return [{ ...registry, channel_type: 'websocket' }];
+      if (text.includes('INSERT INTO fhir_subscription_ws_tokens')) {
+        tokens.add(values[0]);
+        return [{ expires_at: '2026-03-01T10:05:00Z' }];
+      }
+      if (text.includes('DELETE FROM fhir_subscription_ws_tokens WHERE token_hash')) {
+        return tokens.delete(values[0]) ? [{ ...registry, channel_type: 'websocket' }] : [];
+      }
+      return [];
+    });
+    const subs = loadWithStubs('src/fhir/subscriptions.js', { 'src/db/pool.js': fakePool(client) });
+    const { token } = await subs.issueBindingToken(client, ctx, 'sub-1');
+    expect(await subs.redeemBindingToken(token)).toHaveLength(1);
+    expect(await subs.redeemBindingToken(token)).toEqual([]);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Subscription delivery retry, dead-lettering and admin replay.
+ *
+ * A failing endpoint used to be retried on a fixed schedule and then left as
+ * a 'failed' row nobody saw, while its subscription stayed active. Retries
+ * now back off with jitter under SUBSCRIPTION_* settings, exhausted
+ * deliveries are dead-lettered for /subscriptions/dead-letters, a run of
+ * failures puts the subscription into 'error', and every outcome is counted
+ * per subscription on /metrics.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'module';
+import { loadWithStubs, restoreModules, fakeApp, fakeClient, fakePool } from './helpers/routeHarness.mjs';
+
+const require = createRequire(import.meta.url);
+
+const ORG_A = 'aaaaaaaa-1111-4111-8111-aaaaaaaaaaaa';
+const ORG_B = 'bbbbbbbb-2222-4222-8222-bbbbbbbbbbbb';
+const SUB_ID = '33333333-3333-4333-8333-333333333333';
+const DELIVERY_ID = 'dddddddd-3333-4333-8333-dddddddddddd';
+const SMTP = { SMTP_HOST: 'localhost', SMTP_PORT: 1025, SMTP_FROM: 'fhir@transtrack.test' };
+
+afterEach(() => restoreModules());
+
+describe('retryDelaySeconds', () => {
+  const { retryDelaySeconds } = require('../../src/util/backoff.js');
+  const policy = { baseSeconds: 30, maxSeconds: 3600, jitter: 0.2 };
+
+  it('doubles per attempt up to the cap', () => {
+    const none = () => 0;
+    expect([1, 2, 3, 4].map((n) => retryDelaySeconds(n, policy, none))).toEqual([30, 60, 120, 240]);
+    expect(retryDelaySeconds(12, policy, none)).toBe(3600);
+  });
+
+  it('shortens each delay by at most the jitter share', () => {
+    expect(retryDelaySeconds(3, policy, () => 1)).toBe(96);
+    expect(retryDelaySeconds(3, { ...policy, jitter: 0 }, () => 1)).toBe(120);
+    expect(retryDelaySeconds(1, { ...policy, jitter: 1 }, () => 1)).toBe(1);
+  });
+});
+
+describe('delivery outcomes', () => {
+  /**
+   * One claimed email delivery at `attempt_count`, an SMTP relay answering
+   * with `sendMail`, and a subscription whose failure streak reaches
+   * `failuresAfter` on this attempt.
+   */
+  function setup({ attempt = 0, notificationType = 'event-notification', failuresAfter = 1, subStatus = 'active', sendMail }) {
+    const delivery = {
+      id: DELIVERY_ID, subscription_id: SUB_ID, org_id: ORG_A, event_type: 'create',
+      triggering_resource: 'Observation/obs-1', attempt_count: attempt,
+      notification_type: notificationType, event_number: null, created_at: '2026-03-01T10:00:00Z',
+    };
+    const sub = {
+      id: SUB_ID, fhir_resource_id: 'sub-1', status: subStatus, channel_type: 'email',
+      endpoint: 'mailto:lab@example.test', criteria: 'Observation?code=2160-0', topic_url: null, content: 'id-only',
+    };
+    const client = fakeClient((text) => {
+      if (text.includes("SET status = 'in_progress'")) return [delivery];
+      if (text.includes('FROM fhir_subscriptions WHERE id = $1')) return [sub];
+      if (text.includes('consecutive_failures + 1')) {
+        return [{ status: failuresAfter >= 3 ? 'error' : subStatus, consecutive_failures: failuresAfter }];
+      }
+      return [];
+    });
+    const pool = fakePool(client);
+    const inner = pool.getPool();
+    pool.getPool = () => ({ ...inner, connect: async () => ({ query: client.query.bind(client), release() {} }) });
+    const subs = loadWithStubs('src/fhir/subscriptions.js', {
+      'src/db/pool.js': pool,
+      'node_modules/nodemailer': { createTransport: () => ({ sendMail }) },
+    });
+    const warnings = [];
+    subs.setLogger({ warn: (obj, msg) => warnings.push(msg), error: () => {} });
+    subs.configure({
+      ...SMTP,
+      SUBSCRIPTION_MAX_ATTEMPTS: 3,
+      SUBSCRIPTION_RETRY_BASE_SECONDS: 10,
+      SUBSCRIPTION_RETRY_JITTER: 0,
+      SUBSCRIPTION_ERROR_AFTER_FAILURES: 3,
+    });
+    const metrics = require('../../src/metrics.js');
+    const find = (fragment) => client.queries.find((q) => q.text.includes(fragment));
+    return { subs, client, metrics, warnings, find };
+  }
+
+  const refused = async () => { throw new Error('connect ECONNREFUSED'); };
+  const series = (outcome) =>
+    `fhir_subscription_deliveries_total{channel="email",org_id="${ORG_A}",outcome="${outcome}",subscription="Subscription/sub-1"}`;
+
+  it('schedules a retry on the configured backoff', async () => {
+    const { subs, metrics, find } = setup({ attempt: 1, sendMail: refused });
+    await subs.dispatchPending();
+    const retry = find("SET status = 'retrying'");
+    expect(retry.values).toEqual([DELIVERY_ID, 0, 'connect ECONNREFUSED', 20]);
+    expect(find('consecutive_failures + 1').values).toEqual([SUB_ID, 3, '3 consecutive delivery failures']);
+    expect(metrics.snapshot()[series('retrying')]).toBe(1);
+    expect(metrics.snapshot().fhir_delivery_failures_total).toBe(1);
+  });
+
+  it('dead-letters the delivery on its last attempt', async () => {
+    const { subs, metrics, find, warnings } = setup({ attempt: 2, sendMail: refused });
+    await subs.dispatchPending();
+    expect(find("SET status = 'retrying'")).toBeUndefined();
+    const dead = find("replay_status = 'pending'");
+    expect(dead.values).toEqual([DELIVERY_ID, 0, 'connect ECONNREFUSED', 'gave up after 3 attempts']);
+    expect(find("d.notification_type = 'handshake'")).toBeDefined();
+    expect(metrics.snapshot()[series('dead_lettered')]).toBe(1);
+    expect(warnings).toContain('subscription delivery dead-lettered');
+  });
+
+  it('puts the subscription into error when the failure streak reaches the threshold', async () => {
+    const { subs, warnings } = setup({ attempt: 0, failuresAfter: 3, sendMail: refused });
+    await subs.dispatchPending();
+    expect(warnings).toContain('subscription set to error after repeated delivery failures');
+  });
+
+  it('clears the failure streak on success and counts the delivery', async () => {
+    const { subs, metrics, find } = setup({ sendMail: async () => ({ response: '250 ok' }) });
+    await subs.dispatchPending();
+    expect(find("SET status='delivered'").text).toMatch(/consecutive_failures = 0/);
+    expect(find('consecutive_failures + 1')).toBeUndefined();
+    expect(metrics.toPrometheusText()).toContain(`${series('delivered')} 1`);
+  });
+
+  it('only claims deliveries for requested or active subscriptions', async () => {
+    const { subs, find } = setup({ sendMail: async () => ({}) });
+    await subs.dispatchPending();
+    expect(find("SET status = 'in_progress'").text).toMatch(/s\.status IN \('requested','active'\)/);
+  });
+});
+
+describe('/subscriptions/dead-letters', () => {
+  /** Dead letters as PostgreSQL would return them with the predicates applied. */
+  function fixture() {
+    return {
+      deliveries: [{
+        id: DELIVERY_ID, org_id: ORG_B, subscription_id: SUB_ID, notification_type: 'event-notification',
+        replay_status: 'pending', status: 'failed',
+      }],
+      subscriptions: [{ id: SUB_ID, org_id: ORG_B, status: 'error' }],
+    };
+  }
+
+  function routes(db) {
+    const client = fakeClient((text, values) => {
+      if (/UPDATE fhir_subscription_deliveries\s+SET status = 'pending'/.test(text)) {
+        const [id, orgId] = values;
+        const hit = db.deliveries.find((d) => d.id === id && d.org_id === orgId && d.replay_status === 'pending');
+        if (!hit) return [];
+        Object.assign(hit, { status: 'pending', replay_status: 'replayed' });
+        return [{ subscription_id: hit.subscription_id, notification_type: hit.notification_type }];
+      }
+      if (/UPDATE fhir_subscriptions/.test(text)) {
+        const [id, orgId, type] = values;
+        const sub = db.subscriptions.find((s) => s.id === id && s.org_id === orgId && s.status === 'error');
+        if (!sub) return [];
+        sub.status = type === 'handshake' ? 'requested' : 'active';
+        return [{ status: sub.status }];
+      }
+      if (/SET replay_status = 'discarded'/.test(text)) {
+        const [id, orgId] = values;
+        const hit = db.deliveries.find((d) => d.id === id && d.org_id === orgId && d.replay_status === 'pending');
+        if (!hit) return [];
+        hit.replay_status = 'discarded';
+        return [{ id }];
+      }
+      return [];
+    });
+    const mod = loadWithStubs('src/routes/subscriptions.js', {
+      'src/db/pool.js': fakePool(client),
+      'src/fhir/subscriptions.js': { dispatchPending: async () => {} },
+    });
+    const app = fakeApp();
+    mod(app);
+    return { app, client };
+  }
+
+  const admin = (orgId) => ({ orgId, userId: 'u-1', role: 'admin', tokenType: 'jwt' });
+
+  it('lists only the caller organisation, filtered by replay status', async () => {
+    const { app, client } = routes(fixture());
+    await app.call('GET /subscriptions/dead-letters', { query: { status: 'pending' }, auth: admin(ORG_A) });
+    expect(client.queries[0].text).toMatch(/d\.org_id = \$1 AND d\.replay_status IS NOT NULL AND d\.replay_status = \$2/);
+    expect(client.queries[0].values).toEqual([ORG_A, 'pending', 100]);
+  });
+
+  it("refuses to replay or discard another organisation's delivery", async () => {
+    const db = fixture();
+    const { app } = routes(db);
+    const params = { id: DELIVERY_ID };
+    expect(await app.call('POST /subscriptions/dead-letters/:id/replay', { params, auth: admin(ORG_A) }))
+      .toEqual({ replayed: false, reason: 'not found or already processed' });
+    expect(await app.call('POST /subscriptions/dead-letters/:id/discard', { params, auth: admin(ORG_A) }))
+      .toEqual({ discarded: false });
+    expect(db.deliveries[0].replay_status).toBe('pending');
+    expect(db.subscriptions[0].status).toBe('error');
+  });
+
+  it('re-queues the delivery and reactivates a subscription in error', async () => {
+    const db = fixture();
+    const { app } = routes(db);
+    const result = await app.call('POST /subscriptions/dead-letters/:id/replay', {
+      params: { id: DELIVERY_ID }, auth: admin(ORG_B),
+    });
+    expect(result).toEqual({ replayed: true, subscriptionStatus: 'active' });
+    expect(db.deliveries[0]).toMatchObject({ status: 'pending', replay_status: 'replayed' });
+  });
+
+  it('is admin only', async () => {
+    const { app } = routes(fixture());
+    await expect(app.call('GET /subscriptions/dead-letters', {
+      query: {}, auth: { ...admin(ORG_B), role: 'coordinator' },
+    })).rejects.toMatchObject({ status: 403 });
+  });
+});
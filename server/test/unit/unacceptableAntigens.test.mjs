@@ -0,0 +1,55 @@
+/**
+ * Unacceptable antigens and HLA antibodies on patients.
+ *
+ * The list is validated by the shared clinical validators and stored in the
+ * canonical form electron/services/hla.cjs produces, as JSON text so pg does
+ * not send it as a Postgres array literal. The parsing rules themselves are
+ * covered by tests/hla.test.cjs.
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { loadWithStubs, restoreModules, fakeClient } from './helpers/routeHarness.mjs';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const PATIENT_ID = '22222222-2222-4222-8222-222222222222';
+const ctx = { orgId: ORG, userId: 'user-1', role: 'coordinator', tokenType: 'jwt' };
+
+afterEach(() => restoreModules());
+
+describe('patientService', () => {
+  const svc = () => loadWithStubs('src/services/patientService.js');
+  const patients = () => fakeClient((text) => (
+    /^(INSERT INTO|UPDATE) patients/.test(text)
+      ? [{ id: PATIENT_ID, first_name: 'Jane', last_name: 'Doe', version: 2 }]
+      : []
+  ));
+
+  it('stores unacceptable antigens normalised, as JSON', async () => {
+    const client = patients();
+    await svc().create(client, ctx, {
+      mrn: 'M1', first_name: 'Jane', last_name: 'Doe',
+      unacceptable_antigens: ['a2', 'A*0201', 'B62', 'a2'],
+    });
+    const insert = client.queries.find((q) => q.text.startsWith('INSERT INTO patients'));
+    expect(insert.text).toContain('unacceptable_antigens');
+    expect(insert.values).toContain('["A2","A*02:01","B62"]');
+  });
+
+  it('accepts the delimited string the patient form sends', async () => {
+    const client = patients();
+    await svc().update(client, ctx, PATIENT_ID, { unacceptable_antigens: 'DR51, DRB1*15:01' });
+    expect(client.queries[0].values[0]).toBe('["DR51","DRB1*15:01"]');
+  });
+
+  it('stores antibody specificities in canonical form, keeping the MFI', async () => {
+    const client = patients();
+    await svc().update(client, ctx, PATIENT_ID, { hla_antibodies: [{ antigen: 'dq8', mfi: 4200 }] });
+    expect(client.queries[0].values[0]).toBe('[{"antigen":"DQ8","mfi":4200}]');
+  });
+
+  it('refuses an antigen that names no locus', async () => {
+    const client = patients();
+    await expect(svc().update(client, ctx, PATIENT_ID, { unacceptable_antigens: ['A2', 'Bw4'] }))
+      .rejects.toMatchObject({ code: 'CLINICAL_VALIDATION_FAILED' });
+    expect(client.queries).toHaveLength(0);
+  });
+});
@@ -32,8 +32,11 @@ const mockClient = {
     get: async () => null,
     list: async () => [],
     transition: async (params) => ({ id: params.id, status: params.to_status }),
-    expireDue: async () => ({ expiredCount: 0, expired: [] }),
+    expireDue: async () => ({ expiredCount: 0, expired: [], promoted: [] }),
     getEvents: async () => [],
+    getChain: async (donorOrganId) => ({
+      donor_organ_id: donorOrganId, offers: [], events: [], final_offer_id: null, next_backup_id: null,
+    }),
   },
   postTx: {
     createEvent: async (data) => ({ id: '1', ...data }),
@@ -64,11 +67,76 @@ const mockClient = {
     markOverdue: async () => ({ overdueCount: 0 }),
     summary: async () => null,
   },
+  matchPolicy: {
+    getDefault: async () => null,
+    list: async () => [],
+    history: async () => [],
+    save: async (data) => ({ id: '1', version: 1, is_active: true, ...data }),
+    activate: async (id) => ({ id, is_active: true }),
+  },
+  matchRuns: {
+    list: async () => [],
+    get: async () => null,
+    replay: async (id) => ({ run_id: id, identical: true, differences: [] }),
+  },
+  scheduler: {
+    listJobs: async () => [],
+    listRuns: async () => [],
+    pause: async (jobKey) => ({ job_key: jobKey, is_paused: true }),
+    resume: async (jobKey) => ({ job_key: jobKey, is_paused: false }),
+    trigger: async (jobKey) => ({ job_key: jobKey, trigger: 'MANUAL', status: 'SUCCESS', result: null }),
+    updateSchedule: async ({ job_key: jobKey, cron }) => ({ job_key: jobKey, cron }),
+  },
+  calendar: {
+    get: async () => ({
+      org_id: 'dev',
+      hours: { 0: [], 1: [['08:00', '17:00']], 2: [['08:00', '17:00']], 3: [['08:00', '17:00']], 4: [['08:00', '17:00']], 5: [['08:00', '17:00']], 6: [] },
+      is_default: true,
+      holidays: [],
+      on_call: [],
+    }),
+    saveHours: async (hours) => ({ org_id: 'dev', hours, is_default: false, holidays: [], on_call: [] }),
+    addHoliday: async (data) => ({ id: `mock_${Date.now()}`, ...data }),
+    removeHoliday: async () => ({ success: true }),
+    addOnCall: async (data) => ({ id: `mock_${Date.now()}`, ...data }),
+    removeOnCall: async () => ({ success: true }),
+  },
+  assignment: {
+    listPolicies: async () => [],
+    savePolicy: async (data) => ({ id: `mock_${Date.now()}`, task_type: '*', ...data }),
+    deletePolicy: async () => ({ success: true }),
+    listAssignees: async () => [],
+    saveProfile: async ({ user_id: userId, ...profile }) => ({ user_id: userId, ...profile }),
+    listOutOfOffice: async () => [],
+    addOutOfOffice: async (data) => ({ id: `mock_${Date.now()}`, ...data }),
+    removeOutOfOffice: async () => ({ success: true }),
+    setPrimaryCoordinator: async ({ patient_id: patientId, user_id: userId }) => ({
+      patient_id: patientId, primary_coordinator_id: userId || null,
+    }),
+    reassign: async () => ({ reassigned: [], unassigned: [] }),
+  },
+  taskTemplates: {
+    list: async () => [],
+    save: async (data) => ({ id: `mock_${Date.now()}`, items: [], ...data }),
+    delete: async () => ({ success: true }),
+    instantiate: async ({ template_id: templateId, patient_id: patientId }) => ({
+      id: `mock_${Date.now()}`, template_id: templateId, patient_id: patientId, status: 'active',
+      items: [], progress: { total: 0, done: 0, blocked: 0, percent: 0 },
+    }),
+    getPatientProtocols: async () => [],
+    cancelProtocol: async (id) => ({ id, status: 'cancelled', items: [], progress: { total: 0, done: 0, blocked: 0, percent: 0 } }),
+  },
   hl7: {
     parse: async () => ({ message_type: null, supported: false, patient: null, observations: [], orders: [], warnings: [] }),
     buildAck: async () => ({ ack: 'MSH|^~\\&|TT|TT|||...||ACK|...|P|2.5\rMSA|AA|...|' }),
+    buildBatchAck: async () => ({ ack: '', tally: { total: 0, accepted: 0, errors: 0, rejected: 0 }, reconciled: true, issues: [] }),
     supportedEvents: async () => ['A01','A03','A04','A08','R01'],
-    ingest: async () => ({ ok: true, patient: null, labs: { inserted: 0, skipped: 0, ids: [] }, warnings: [] }),
+    ingest: async () => ({ ok: true, patient: null, labs: { inserted: 0, skipped: 0, ids: [], unmapped: [] }, warnings: [] }),
+    outboundDestinations: async () => [],
+    outboundMessages: async () => [],
+    resendOutbound: async () => {
+      throw new Error('The HL7 outbound queue requires server (remote) mode.');
+    },
   },
   integrations: {
     epic: {
@@ -101,7 +169,8 @@ const mockClient = {
     las: async () => ({ value: 35, components: {} }),
     kdpi: async () => ({ value: 50, components: {} }),
     epts: async () => ({ value: 40, components: {} }),
-    listFormulas: async () => ['MELD','MELD-Na','MELD-3.0','PELD','LAS','KDPI','EPTS'],
+    cpra: async () => ({ cpra: 0, byGroup: {} }),
+    listFormulas: async () => ['MELD','MELD-Na','MELD-3.0','PELD','LAS','KDPI','EPTS','cPRA'],
   },
   entities: {},
   functions: {
@@ -256,7 +325,8 @@ const mockClient = {
       { code: 'INR', name: 'INR', category: 'Liver' },
       { code: 'BILI', name: 'Bilirubin', category: 'Liver' },
     ],
-    getSources: async () => ({ MANUAL: 'MANUAL', FHIR_IMPORT: 'FHIR_IMPORT' }),
+    getSources: async () => ({ MANUAL: 'MANUAL', FHIR_IMPORT: 'FHIR_IMPORT', HL7_V2: 'HL7_V2' }),
+    getCatalog: async () => ({ available: false, version: null, codes: [] }),
     create: async (data) => ({ id: Date.now().toString(), ...data, source: 'MANUAL' }),
     get: async (id) => null,
     getByPatient: async () => [],
@@ -288,6 +358,9 @@ const mockClient = {
       byTestType: {},
     }),
     getRequiredTypes: async () => [],
+    listCodeMappings: async () => [],
+    saveCodeMapping: async () => { throw new Error('Lab code mappings are only available in the desktop app.'); },
+    deleteCodeMapping: async () => ({ success: true }),
   },
   files: {
     importFile: async () => null,
@@ -422,6 +495,12 @@ const mockClient = {
       nextExpiration: { days: 2, type: 'aHHQ', date: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString() },
       tasks: { open: 12, overdue: 4, barriers: { open: 8, overdue: 2 }, ahhq: { incomplete: 4, expired: 2 } },
       coordinatorLoad: { ratio: 4.0, level: 'moderate', label: 'Moderate', staffCount: 3, taskCount: 12 },
+      sla: {
+        breached: 1,
+        dueSoon: 2,
+        dueSoonHours: 8,
+        next: { type: 'Task', due_at: new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString(), remaining_hours: 3 },
+      },
       pulseRate: 1.3,
       pulsePeriod: 769,
       statusColor: 'green',
@@ -534,6 +613,7 @@ const createElectronClient = () => {
       transition: (params) => api.organOffers.transition(params),
       expireDue: () => api.organOffers.expireDue(),
       getEvents: (offerId) => api.organOffers.getEvents(offerId),
+      getChain: (donorOrganId) => api.organOffers.getChain(donorOrganId),
     },
     postTx: {
       createEvent: (data) => api.postTx.createEvent(data),
@@ -564,11 +644,67 @@ const createElectronClient = () => {
       markOverdue: () => api.livingDonor.markOverdue(),
       summary: (donorId) => api.livingDonor.summary(donorId),
     },
+    matchPolicy: {
+      getDefault: (organType) => api.matchPolicy.getDefault(organType),
+      list: () => api.matchPolicy.list(),
+      history: (organType) => api.matchPolicy.history(organType),
+      save: (data) => api.matchPolicy.save(data),
+      activate: (id) => api.matchPolicy.activate(id),
+    },
+    matchRuns: {
+      list: (filters) => api.matchRuns.list(filters),
+      get: (id) => api.matchRuns.get(id),
+      replay: (id) => api.matchRuns.replay(id),
+    },
+    scheduler: {
+      listJobs: () => api.scheduler.listJobs(),
+      listRuns: (filters) => api.scheduler.listRuns(filters),
+      pause: (jobKey) => api.scheduler.pause(jobKey),
+      resume: (jobKey) => api.scheduler.resume(jobKey),
+      trigger: (jobKey) => api.scheduler.trigger(jobKey),
+      updateSchedule: (data) => api.scheduler.updateSchedule(data),
+    },
+    calendar: {
+      get: () => api.calendar.get(),
+      saveHours: (hours) => api.calendar.saveHours(hours),
+      addHoliday: (data) => api.calendar.addHoliday(data),
+      removeHoliday: (id) => api.calendar.removeHoliday(id),
+      addOnCall: (data) => api.calendar.addOnCall(data),
+      removeOnCall: (id) => api.calendar.removeOnCall(id),
+    },
+    assignment: {
+      listPolicies: () => api.assignment.listPolicies(),
+      savePolicy: (data) => api.assignment.savePolicy(data),
+      deletePolicy: (taskType) => api.assignment.deletePolicy(taskType),
+      listAssignees: () => api.assignment.listAssignees(),
+      saveProfile: (data) => api.assignment.saveProfile(data),
+      listOutOfOffice: () => api.assignment.listOutOfOffice(),
+      addOutOfOffice: (data) => api.assignment.addOutOfOffice(data),
+      removeOutOfOffice: (id) => api.assignment.removeOutOfOffice(id),
+      setPrimaryCoordinator: (data) => api.assignment.setPrimaryCoordinator(data),
+      reassign: (data) => api.assignment.reassign(data),
+    },
+    taskTemplates: {
+      list: (filters) => api.taskTemplates.list(filters),
+      save: (data) => api.taskTemplates.save(data),
+      delete: (id) => api.taskTemplates.delete(id),
+      instantiate: (data) => api.taskTemplates.instantiate(data),
+      getPatientProtocols: (patientId) => api.taskTemplates.getPatientProtocols(patientId),
+      cancelProtocol: (id) => api.taskTemplates.cancelProtocol(id),
+    },
     hl7: {
       parse: (raw) => api.hl7.parse(raw),
       buildAck: (params) => api.hl7.buildAck(params),
+      buildBatchAck: (params) => api.hl7.buildBatchAck(params),
       supportedEvents: () => api.hl7.supportedEvents(),
       ingest: (params) => api.hl7.ingest(params),
+      // Outbound sending to interface engines is done by the server; the
+      // desktop app has no queue of its own.
+      outboundDestinations: async () => [],
+      outboundMessages: async () => [],
+      resendOutbound: async () => {
+        throw new Error('The HL7 outbound queue requires server (remote) mode. Set VITE_TRANSTRACK_API_URL or window.transtrackConfig.apiBaseUrl.');
+      },
     },
     optn: {
       exportTCR: (params) => api.optn.exportTCR(params),
@@ -587,6 +723,7 @@ const createElectronClient = () => {
       las: (inputs) => api.calculators.las(inputs),
       kdpi: (inputs) => api.calculators.kdpi(inputs),
       epts: (inputs) => api.calculators.epts(inputs),
+      cpra: (inputs) => api.calculators.cpra(inputs),
       listFormulas: () => api.calculators.listFormulas(),
     },
     entities: new Proxy({}, {
@@ -615,8 +752,9 @@ const createElectronClient = () => {
         return {
           create: async (data) => await api.entities.create(entityName, data),
           get: async (id) => await api.entities.get(entityName, id),
-          update: async (id, data) => await api.entities.update(entityName, id, data),
-          delete: async (id) => await api.entities.delete(entityName, id),
+          // Trailing `{ ifMatch }` write options are forwarded only when given.
+          update: async (id, data, ...options) => await api.entities.update(entityName, id, data, ...options),
+          delete: async (id, ...options) => await api.entities.delete(entityName, id, ...options),
           list: async (orderBy, limit) => withBulkPhiGrant(entityName, () =>
             api.entities.list(entityName, orderBy, limit)),
           filter: async (filters, orderBy, limit) => withBulkPhiGrant(entityName, () =>
@@ -671,6 +809,10 @@ const createElectronClient = () => {
       getDashboard: async () => await window.electronAPI.labs.getDashboard(),
       getRequiredTypes: async (organType) => 
         await window.electronAPI.labs.getRequiredTypes(organType),
+      getCatalog: async () => await window.electronAPI.labs.getCatalog(),
+      listCodeMappings: async (filters) => await window.electronAPI.labs.listCodeMappings(filters),
+      saveCodeMapping: async (data) => await window.electronAPI.labs.saveCodeMapping(data),
+      deleteCodeMapping: async (id) => await window.electronAPI.labs.deleteCodeMapping(id),
     },
     // Transplant Clock (Operational Activity Rhythm)
     // Real-time operational awareness for transplant coordination teams.
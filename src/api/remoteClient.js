@@ -128,6 +128,16 @@ const LOCAL_CONFIG_ENTITIES = new Set([
   'Match',
 ]);
 
+/**
+ * Request headers for an optimistic-concurrency write. `options.ifMatch` is the
+ * row version the caller edited; the server answers 412 if it has moved on.
+ */
+function ifMatchHeaders(options) {
+  const v = options?.ifMatch;
+  if (v === undefined || v === null || v === '') return undefined;
+  return { 'if-match': String(v).startsWith('W/') ? String(v) : `W/"${v}"` };
+}
+
 class RemoteClient {
   constructor(baseUrl) {
     this.baseUrl = baseUrl.replace(/\/+$/, '');
@@ -222,7 +232,8 @@ class RemoteClient {
     list: async (params = {}) => this._fetch('/patients?' + new URLSearchParams(params)),
     get: async (id) => this._fetch(`/patients/${id}`),
     create: async (data) => this._fetch('/patients', { method: 'POST', body: data }),
-    update: async (id, fields) => this._fetch(`/patients/${id}`, { method: 'PATCH', body: fields }),
+    update: async (id, fields, options) =>
+      this._fetch(`/patients/${id}`, { method: 'PATCH', body: fields, headers: ifMatchHeaders(options) }),
   };
 
   // --- Organ offers ---
@@ -246,6 +257,11 @@ class RemoteClient {
     list: async (params = {}) => this._fetch('/hl7/messages?' + new URLSearchParams(params)),
     get: async (id) => this._fetch(`/hl7/messages/${id}`),
     ingest: async ({ message }) => this._fetch('/hl7/ingest', { method: 'POST', body: { message } }),
+    outboundDestinations: async () => this._fetch('/hl7/outbound/destinations'),
+    outboundMessages: async (params = {}) =>
+      this._fetch('/hl7/outbound/messages?' + new URLSearchParams(params)),
+    resendOutbound: async (id) =>
+      this._fetch(`/hl7/outbound/messages/${id}/resend`, { method: 'POST', body: {} }),
   };
 
   // --- Audit ---
@@ -276,6 +292,7 @@ class RemoteClient {
     las:    (input) => this._fetch('/calculators/las',     { method: 'POST', body: input }),
     kdpi:   (input) => this._fetch('/calculators/kdpi',    { method: 'POST', body: input }),
     epts:   (input) => this._fetch('/calculators/epts',    { method: 'POST', body: input }),
+    cpra:   (input) => this._fetch('/calculators/cpra',    { method: 'POST', body: input }),
   };
 
   /**
@@ -302,8 +319,8 @@ class RemoteClient {
             get: async (id) => self._fetch(`/patients/${id}`),
             create: async (data) =>
               self._fetch('/patients', { method: 'POST', body: data }),
-            update: async (id, data) =>
-              self._fetch(`/patients/${id}`, { method: 'PATCH', body: data }),
+            update: async (id, data, options) =>
+              self._fetch(`/patients/${id}`, { method: 'PATCH', body: data, headers: ifMatchHeaders(options) }),
             filter: async (filters = {}, _orderBy, limit = 50) => {
               const params = { limit: String(limit || 50) };
               if (filters.waitlist_status) params.status = filters.waitlist_status;
@@ -398,6 +415,7 @@ class RemoteClient {
     calculateLas: (client, params) => client.calculators.las(params),
     calculateKdpi: (client, params) => client.calculators.kdpi(params),
     calculateEpts: (client, params) => client.calculators.epts(params),
+    calculateCpra: (client, params) => client.calculators.cpra(params),
   });
 
   functions = {
@@ -501,6 +519,12 @@ export function createRemoteClient() {
   client.tasks = createElectronPassthrough('tasks');
   client.srtr = createElectronPassthrough('srtr');
   client.sso = createElectronPassthrough('sso');
+  client.matchPolicy = createElectronPassthrough('matchPolicy');
+  client.matchRuns = createElectronPassthrough('matchRuns');
+  client.scheduler = createElectronPassthrough('scheduler');
+  client.calendar = createElectronPassthrough('calendar');
+  client.assignment = createElectronPassthrough('assignment');
+  client.taskTemplates = createElectronPassthrough('taskTemplates');
   return client;
 }
 
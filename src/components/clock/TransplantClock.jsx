@@ -9,6 +9,7 @@
  * - Time since last update display
  * - Average task resolution time
  * - Next expiration countdown
+ * - Business-time SLA clock (next deadline, breached count)
  * - Coordinator load indicator
  * - Status color transitions (green → yellow → red)
  * 
@@ -23,6 +24,7 @@ import {
   Activity, 
   AlertCircle, 
   Calendar, 
+  Timer,
   Users,
   TrendingUp,
   Loader2
@@ -332,6 +334,47 @@ export default function TransplantClock({ compact = false }) {
             </Tooltip>
           </div>
           
+          {/* SLA Clock */}
+          <Tooltip>
+            <TooltipTrigger asChild>
+              <div className="mt-2 p-2 rounded-lg bg-slate-50 border border-slate-100">
+                <div className="flex items-center justify-between text-xs text-slate-500 mb-1">
+                  <span className="flex items-center gap-1">
+                    <Timer className="w-3 h-3" />
+                    <span>Next SLA</span>
+                  </span>
+                  {(clockData?.sla?.breached || 0) > 0 && (
+                    <Badge variant="destructive" className="text-xs px-1.5 py-0">
+                      {clockData.sla.breached} breached
+                    </Badge>
+                  )}
+                </div>
+                <div className="font-semibold text-slate-800">
+                  {clockData?.sla?.next
+                    ? `${formatHours(clockData.sla.next.remaining_hours)} business`
+                    : '—'}
+                </div>
+              </div>
+            </TooltipTrigger>
+            <TooltipContent>
+              {clockData?.sla?.next ? (
+                <>
+                  <p>Next deadline: {clockData.sla.next.type}</p>
+                  <p className="text-xs text-slate-400">
+                    Due {new Date(clockData.sla.next.due_at).toLocaleString()}
+                  </p>
+                </>
+              ) : (
+                <p>No open SLA clocks</p>
+              )}
+              {(clockData?.sla?.dueSoon || 0) > 0 && (
+                <p className="text-xs text-slate-400">
+                  {clockData.sla.dueSoon} due within {clockData.sla.dueSoonHours} business hours
+                </p>
+              )}
+            </TooltipContent>
+          </Tooltip>
+          
           {/* Task Summary */}
           <div className="mt-3 flex items-center justify-between text-xs">
             <div className="flex items-center gap-2">
@@ -13,6 +13,7 @@ export default function DonorForm({ donor, onSave, onCancel, onMatch }) {
     donor_id: '',
     organ_type: '',
     blood_type: '',
+    abo_subtype: null,
     hla_typing: '',
     donor_age: null,
     donor_weight_kg: null,
@@ -22,6 +23,7 @@ export default function DonorForm({ donor, onSave, onCancel, onMatch }) {
     cold_ischemia_time_hours: null,
     status: 'available',
     location: '',
+    distance_nm: null,
     notes: '',
     expiration_date: '',
   });
@@ -170,6 +172,23 @@ export default function DonorForm({ donor, onSave, onCancel, onMatch }) {
             </div>
           </div>
 
+          {formData.blood_type?.startsWith('A') && (
+            <div>
+              <Label htmlFor="abo_subtype">A Subgroup</Label>
+              <Select value={formData.abo_subtype || ''} onValueChange={(value) => handleChange('abo_subtype', value)}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Not subtyped" />
+                </SelectTrigger>
+                <SelectContent>
+                  {(formData.blood_type.startsWith('AB') ? ['A1B', 'A2B'] : ['A1', 'A2']).map((subtype) => (
+                    <SelectItem key={subtype} value={subtype}>{subtype}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <p className="text-xs text-slate-500 mt-1">A2 and A2B organs may go to eligible B candidates where the match policy allows</p>
+            </div>
+          )}
+
           <div>
             <Label htmlFor="hla_typing">HLA Typing</Label>
             <Input
@@ -273,14 +292,25 @@ export default function DonorForm({ donor, onSave, onCancel, onMatch }) {
             </div>
           </div>
 
-          <div>
-            <Label htmlFor="location">Location</Label>
-            <Input
-              id="location"
-              value={formData.location}
-              onChange={(e) => handleChange('location', e.target.value)}
-              placeholder="Procurement center"
-            />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="location">Location</Label>
+              <Input
+                id="location"
+                value={formData.location}
+                onChange={(e) => handleChange('location', e.target.value)}
+                placeholder="Procurement center"
+              />
+            </div>
+            <div>
+              <Label htmlFor="distance_nm">Distance from Center (nautical miles)</Label>
+              <Input
+                id="distance_nm"
+                type="number"
+                value={formData.distance_nm ?? ''}
+                onChange={(e) => handleChange('distance_nm', e.target.value === '' ? null : parseFloat(e.target.value))}
+              />
+            </div>
           </div>
 
           <div>
@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from 'react';
+import { api } from '@/api/apiClient';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '@/components/ui/select';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { AlertCircle, History, Plus, Save, X } from 'lucide-react';
+
+const ORGANS = ['kidney', 'liver', 'heart', 'lung', 'pancreas', 'intestine'];
+const HLA_LOCI = ['A', 'B', 'C', 'DR', 'DQ', 'DP'];
+
+const numberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+/**
+ * Match policy editor. Each save is a new version of the organ's policy;
+ * an older version can be made active again from the history below.
+ */
+export default function MatchPolicyCard() {
+  const queryClient = useQueryClient();
+  const [organ, setOrgan] = useState('kidney');
+  const [draft, setDraft] = useState(null);
+  const [name, setName] = useState('');
+  const [changeNote, setChangeNote] = useState('');
+
+  const { data: policies = [] } = useQuery({
+    queryKey: ['matchPolicies'],
+    queryFn: () => api.matchPolicy.list(),
+  });
+
+  const { data: versions = [] } = useQuery({
+    queryKey: ['matchPolicyHistory', organ],
+    queryFn: () => api.matchPolicy.history(organ),
+  });
+
+  const active = policies.find((p) => p.organ_type === organ);
+
+  useEffect(() => {
+    if (active) {
+      setDraft(structuredClone(active.definition));
+      setName(active.name);
+    }
+  }, [active?.id]);
+
+  const invalidate = () => {
+    queryClient.invalidateQueries({ queryKey: ['matchPolicies'] });
+    queryClient.invalidateQueries({ queryKey: ['matchPolicyHistory', organ] });
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => api.matchPolicy.save({ organ_type: organ, name, definition: draft, change_note: changeNote }),
+    onSuccess: () => {
+      setChangeNote('');
+      invalidate();
+    },
+  });
+
+  const activateMutation = useMutation({
+    mutationFn: (id) => api.matchPolicy.activate(id),
+    onSuccess: invalidate,
+  });
+
+  const set = (section, patch) => setDraft((d) => ({ ...d, [section]: { ...d[section], ...patch } }));
+
+  const toggleLocus = (locus) => {
+    const loci = draft.hla.loci.includes(locus)
+      ? draft.hla.loci.filter((l) => l !== locus)
+      : [...draft.hla.loci, locus];
+    set('hla', { loci });
+  };
+
+  const setBand = (i, patch) =>
+    set('age', { bands: draft.age.bands.map((b, j) => (j === i ? { ...b, ...patch } : b)) });
+
+  const error = saveMutation.error || activateMutation.error;
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <div>
+            <CardTitle>Match Policy</CardTitle>
+            <p className="text-sm text-slate-600">
+              Organ-specific eligibility and scoring used by donor matching. Every match run records the version it used.
+            </p>
+          </div>
+          <Select value={organ} onValueChange={setOrgan}>
+            <SelectTrigger className="w-40"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {ORGANS.map((o) => <SelectItem key={o} value={o} className="capitalize">{o}</SelectItem>)}
+            </SelectContent>
+          </Select>
+        </div>
+        {active && (
+          <p className="text-xs text-slate-500 mt-2">
+            Active: {active.name}, version {active.version}
+          </p>
+        )}
+      </CardHeader>
+      {draft && (
+        <CardContent className="space-y-6">
+          {error && (
+            <Alert variant="destructive">
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error.message}</AlertDescription>
+            </Alert>
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>Priority score share (0–1)</Label>
+              <Input type="number" step="0.05" min="0" max="1" value={draft.weights.priority}
+                onChange={(e) => set('weights', { priority: Number(e.target.value) })} />
+            </div>
+            <div>
+              <Label>HLA score share (0–1)</Label>
+              <Input type="number" step="0.05" min="0" max="1" value={draft.weights.hla}
+                onChange={(e) => set('weights', { hla: Number(e.target.value) })} />
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-semibold text-slate-900">ABO</h3>
+            <div className="grid grid-cols-3 gap-4 items-center">
+              <Select value={draft.abo.rule} onValueChange={(rule) => set('abo', { rule })}>
+                <SelectTrigger><SelectValue /></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="compatible">ABO compatible</SelectItem>
+                  <SelectItem value="identical">ABO identical only</SelectItem>
+                </SelectContent>
+              </Select>
+              <div className="flex items-center space-x-2">
+                <Switch checked={draft.abo.matchRh} onCheckedChange={(matchRh) => set('abo', { matchRh })} />
+                <Label>Require Rh compatibility</Label>
+              </div>
+              <div className="flex items-center space-x-2">
+                <Switch checked={draft.abo.a2ToB} onCheckedChange={(a2ToB) => set('abo', { a2ToB })} />
+                <Label>A2/A2B donors to eligible B candidates</Label>
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-semibold text-slate-900">HLA</h3>
+            <div className="flex flex-wrap gap-2">
+              {HLA_LOCI.map((locus) => (
+                <Badge
+                  key={locus}
+                  variant={draft.hla.loci.includes(locus) ? 'default' : 'outline'}
+                  className="cursor-pointer"
+                  onClick={() => toggleLocus(locus)}
+                >
+                  {locus}
+                </Badge>
+              ))}
+              <span className="text-xs text-slate-500 self-center">
+                Scored out of {2 * draft.hla.loci.length} antigens
+              </span>
+            </div>
+            <div className="w-64">
+              <Label>Exclude above this many mismatches</Label>
+              <Input type="number" min="0" placeholder="No limit" value={draft.hla.maxMismatches ?? ''}
+                onChange={(e) => set('hla', { maxMismatches: numberOrNull(e.target.value) })} />
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-semibold text-slate-900">Size</h3>
+            <div className="grid grid-cols-4 gap-4 items-end">
+              <div>
+                <Label>Donor/candidate ratio of</Label>
+                <Select value={draft.size.measure ?? 'none'}
+                  onValueChange={(v) => set('size', { measure: v === 'none' ? null : v })}>
+                  <SelectTrigger><SelectValue /></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="weight">Weight</SelectItem>
+                    <SelectItem value="height">Height</SelectItem>
+                    <SelectItem value="none">No size matching</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Minimum ratio</Label>
+                <Input type="number" step="0.05" value={draft.size.minRatio} disabled={!draft.size.measure}
+                  onChange={(e) => set('size', { minRatio: Number(e.target.value) })} />
+              </div>
+              <div>
+                <Label>Maximum ratio</Label>
+                <Input type="number" step="0.05" value={draft.size.maxRatio} disabled={!draft.size.measure}
+                  onChange={(e) => set('size', { maxRatio: Number(e.target.value) })} />
+              </div>
+              <div className="flex items-center space-x-2 pb-2">
+                <Switch checked={draft.size.exclude} disabled={!draft.size.measure}
+                  onCheckedChange={(exclude) => set('size', { exclude })} />
+                <Label>Exclude outside range</Label>
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-semibold text-slate-900">Age difference bands</h3>
+            {draft.age.bands.map((band, i) => (
+              <div key={i} className="flex items-center space-x-2">
+                <span className="text-sm text-slate-600">Within</span>
+                <Input type="number" className="w-20" value={band.maxDifference}
+                  onChange={(e) => setBand(i, { maxDifference: Number(e.target.value) })} />
+                <span className="text-sm text-slate-600">years:</span>
+                <Input type="number" className="w-20" value={band.points}
+                  onChange={(e) => setBand(i, { points: Number(e.target.value) })} />
+                <span className="text-sm text-slate-600">points</span>
+                <Button variant="ghost" size="sm"
+                  onClick={() => set('age', { bands: draft.age.bands.filter((_, j) => j !== i) })}>
+                  <X className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+            <Button variant="outline" size="sm"
+              onClick={() => set('age', { bands: [...draft.age.bands, { maxDifference: 30, points: 1 }] })}>
+              <Plus className="w-4 h-4 mr-1" /> Add band
+            </Button>
+          </div>
+
+          <div className="space-y-3">
+            <h3 className="font-semibold text-slate-900">Distance</h3>
+            <div className="w-64">
+              <Label>Maximum donor distance (nautical miles)</Label>
+              <Input type="number" min="0" placeholder="No limit" value={draft.distance.maxNm ?? ''}
+                onChange={(e) => set('distance', { maxNm: numberOrNull(e.target.value) })} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 pt-4 border-t border-slate-200">
+            <div>
+              <Label>Policy name</Label>
+              <Input value={name} onChange={(e) => setName(e.target.value)} />
+            </div>
+            <div>
+              <Label>Reason for change (required)</Label>
+              <Input value={changeNote} onChange={(e) => setChangeNote(e.target.value)}
+                placeholder="e.g., Committee decision 2026-10" />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <Button
+              onClick={() => saveMutation.mutate()}
+              disabled={!changeNote.trim() || saveMutation.isPending}
+              className="bg-cyan-600 hover:bg-cyan-700"
+            >
+              <Save className="w-4 h-4 mr-2" />
+              {saveMutation.isPending ? 'Saving...' : 'Save as New Version'}
+            </Button>
+          </div>
+
+          {versions.length > 0 && (
+            <div className="space-y-2">
+              <h3 className="font-semibold text-slate-900 flex items-center">
+                <History className="w-4 h-4 mr-2" /> Version history
+              </h3>
+              {versions.map((v) => (
+                <div key={v.id} className="flex justify-between items-center text-sm border rounded p-2">
+                  <div>
+                    <span className="font-medium">v{v.version}</span> {v.name}
+                    <span className="text-slate-500"> · {v.change_note} · {v.created_by} · {v.created_at}</span>
+                  </div>
+                  {v.is_active ? (
+                    <Badge>Active</Badge>
+                  ) : (
+                    <Button variant="outline" size="sm" disabled={activateMutation.isPending}
+                      onClick={() => activateMutation.mutate(v.id)}>
+                      Activate
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      )}
+    </Card>
+  );
+}
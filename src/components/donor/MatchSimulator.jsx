@@ -21,6 +21,7 @@ export default function MatchSimulator({ onClose }) {
   });
 
   const [matches, setMatches] = useState([]);
+  const [excluded, setExcluded] = useState([]);
   const [simulating, setSimulating] = useState(false);
 
   const handleChange = (field, value) => {
@@ -35,6 +36,7 @@ export default function MatchSimulator({ onClose }) {
         hypothetical_donor: hypotheticalDonor,
       });
       setMatches(response.data.matches);
+      setExcluded(response.data.crossmatch_positive || []);
     } catch (error) {
       console.error('Simulation error:', error);
     } finally {
@@ -181,6 +183,12 @@ export default function MatchSimulator({ onClose }) {
                   <p className="text-sm text-purple-700">
                     Found {matches.length} potential recipient{matches.length !== 1 ? 's' : ''} for this hypothetical donor
                   </p>
+                  {excluded.length > 0 && (
+                    <p className="text-sm text-red-700 mt-1">
+                      Excluded by positive virtual crossmatch:{' '}
+                      {excluded.map((x) => `${x.patient_name} (${x.conflicts.map((c) => c.antigen).join(', ')})`).join('; ')}
+                    </p>
+                  )}
                 </div>
                 <div className="text-right">
                   <div className="text-2xl font-bold text-purple-700">
@@ -0,0 +1,150 @@
+/**
+ * LabCodeMappings Component
+ *
+ * Maps the local lab codes an HL7 interface sends (OBX-3) to LOINC, per
+ * sending application (MSH-3). A mapped result counts toward the required
+ * lab it satisfies whichever interface sent it; saving a mapping also links
+ * results already received under that code. Only catalog LOINC codes can be
+ * chosen. Everyone can see the mappings; only administrators change them.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link2, Trash2, Plus, BookOpen } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { api } from '@/api/apiClient';
+
+const EMPTY_MAPPING = { sending_application: '', local_code: '', local_name: '', loinc_code: '' };
+
+export default function LabCodeMappings({ sendingApplication = '', unmappedCodes = [] }) {
+  const queryClient = useQueryClient();
+  const [draft, setDraft] = useState({ ...EMPTY_MAPPING, sending_application: sendingApplication });
+
+  useEffect(() => {
+    if (sendingApplication) setDraft((d) => ({ ...d, sending_application: sendingApplication }));
+  }, [sendingApplication]);
+
+  const { data: user } = useQuery({
+    queryKey: ['user'],
+    queryFn: () => api.auth.me(),
+  });
+  const isAdmin = user?.role === 'admin';
+
+  const { data: catalog } = useQuery({
+    queryKey: ['labCatalog'],
+    queryFn: () => api.labs.getCatalog(),
+    staleTime: Infinity,
+  });
+
+  const { data: mappings = [] } = useQuery({
+    queryKey: ['labCodeMappings'],
+    queryFn: () => api.labs.listCodeMappings(),
+  });
+
+  const mappingMutation = useMutation({
+    mutationFn: ({ action, payload }) => api.labs[action](payload),
+    onSuccess: (result, { action }) => {
+      queryClient.invalidateQueries({ queryKey: ['labCodeMappings'] });
+      queryClient.invalidateQueries({ queryKey: ['labs'] });
+      queryClient.invalidateQueries({ queryKey: ['labStatus'] });
+      if (action === 'saveCodeMapping') {
+        setDraft({ ...EMPTY_MAPPING, sending_application: draft.sending_application });
+        toast.success(result.relinked
+          ? `Mapping saved; ${result.relinked} stored result(s) linked`
+          : 'Mapping saved');
+      } else {
+        toast.success('Mapping deleted');
+      }
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const codes = catalog?.codes || [];
+  const canSave = draft.sending_application.trim() && draft.local_code.trim() && draft.loinc_code;
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <CardTitle className="text-base flex items-center gap-2">
+          <Link2 className="w-4 h-4" /> Lab code mappings
+        </CardTitle>
+        <CardDescription>
+          Local OBX codes from each sending application, mapped to LOINC so results count toward required labs.
+          Codes sent as LOINC need no mapping.
+          {catalog?.version && (
+            <span className="flex items-center gap-1 mt-1 text-xs">
+              <BookOpen className="w-3 h-3" /> Catalog {catalog.version} · {codes.length} tests
+            </span>
+          )}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {unmappedCodes.length > 0 && isAdmin && (
+          <div className="flex items-center gap-2 flex-wrap text-xs text-slate-600">
+            <span>Unmapped in the last ingest:</span>
+            {unmappedCodes.map((code) => (
+              <Button key={code} size="sm" variant="outline" className="h-6 px-2 font-mono text-xs"
+                onClick={() => setDraft({ ...draft, local_code: code })}>
+                {code}
+              </Button>
+            ))}
+          </div>
+        )}
+
+        {isAdmin && (
+          <div className="grid grid-cols-12 gap-2 items-center">
+            <Input className="col-span-2" aria-label="Sending application" placeholder="Sender (MSH-3)"
+              value={draft.sending_application}
+              onChange={(e) => setDraft({ ...draft, sending_application: e.target.value })} />
+            <Input className="col-span-2 font-mono" aria-label="Local code" placeholder="Local code"
+              value={draft.local_code} onChange={(e) => setDraft({ ...draft, local_code: e.target.value })} />
+            <Input className="col-span-3" aria-label="Local name" placeholder="Local name (optional)"
+              value={draft.local_name} onChange={(e) => setDraft({ ...draft, local_name: e.target.value })} />
+            <select className="col-span-4 px-3 py-1.5 text-sm border rounded-md bg-white" aria-label="LOINC code"
+              value={draft.loinc_code} onChange={(e) => setDraft({ ...draft, loinc_code: e.target.value })}>
+              <option value="">LOINC test…</option>
+              {codes.map((entry) => (
+                <option key={entry.loinc} value={entry.loinc}>{entry.loinc} · {entry.shortName}</option>
+              ))}
+            </select>
+            <Button className="col-span-1" size="sm" disabled={!canSave || mappingMutation.isPending}
+              aria-label="Save mapping"
+              onClick={() => mappingMutation.mutate({ action: 'saveCodeMapping', payload: draft })}>
+              <Plus className="w-3 h-3" />
+            </Button>
+          </div>
+        )}
+
+        {mappings.length === 0 ? (
+          <p className="text-sm text-slate-400">No mappings yet</p>
+        ) : (
+          <ul className="divide-y divide-slate-100 text-sm">
+            {mappings.map((mapping) => (
+              <li key={mapping.id} className="flex items-center justify-between py-2 gap-2">
+                <div className="flex items-center gap-2 min-w-0">
+                  <Badge variant="outline" className="font-mono text-[11px]">{mapping.sending_application}</Badge>
+                  <span className="font-mono">{mapping.local_code}</span>
+                  {mapping.local_name && <span className="text-slate-500 truncate">{mapping.local_name}</span>}
+                  <span className="text-slate-400">→</span>
+                  <span className="font-mono">{mapping.loinc_code}</span>
+                  <span className="text-slate-500 truncate">{mapping.loinc_name}</span>
+                </div>
+                {isAdmin && (
+                  <Button size="sm" variant="ghost" disabled={mappingMutation.isPending}
+                    aria-label={`Delete mapping ${mapping.sending_application} ${mapping.local_code}`}
+                    onClick={() => mappingMutation.mutate({ action: 'deleteCodeMapping', payload: mapping.id })}>
+                    <Trash2 className="w-3 h-3" />
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -180,7 +180,7 @@ export default function LabForm({
                       </div>
                       {codes.map(code => (
                         <SelectItem key={code.code} value={code.code}>
-                          {code.code} - {code.name}
+                          {code.code} - {code.name}{code.loinc && ` (LOINC ${code.loinc})`}
                         </SelectItem>
                       ))}
                     </div>
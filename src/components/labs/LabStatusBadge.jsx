@@ -87,7 +87,7 @@ export function LabRiskBadge({ riskLevel, size = 'md' }) {
 }
 
 /**
- * Badge showing source of lab data (MANUAL or FHIR_IMPORT)
+ * Badge showing source of lab data (MANUAL, FHIR_IMPORT or HL7_V2)
  */
 export function LabSourceBadge({ source, size = 'sm' }) {
   const sizeClasses = {
@@ -104,6 +104,10 @@ export function LabSourceBadge({ source, size = 'sm' }) {
       className: 'bg-blue-100 text-blue-600 border-blue-200',
       label: 'FHIR',
     },
+    HL7_V2: {
+      className: 'bg-violet-100 text-violet-600 border-violet-200',
+      label: 'HL7',
+    },
   };
   
   const config = configs[source] || configs.MANUAL;
@@ -313,7 +313,8 @@ export default function LabsPanel({
                 .filter(([code]) => filterTest === 'all' || code === filterTest)
                 .map(([testCode, lab]) => {
                   const history = historyByTest[testCode] || [];
-                  const statusInfo = labStatus?.labs?.find(l => l.test_code === testCode);
+                  // Required labs defined by LOINC code may be met by a result filed under another test code
+                  const statusInfo = labStatus?.labs?.find(l => l.lab_id === lab.id || l.test_code === testCode);
                   const isExpired = statusInfo?.status === 'EXPIRED';
                   
                   return (
@@ -336,6 +337,11 @@ export default function LabsPanel({
                             <Badge variant="outline" className="text-xs">
                               {lab.test_code}
                             </Badge>
+                            {lab.loinc_code && lab.loinc_code !== lab.test_code && (
+                              <Badge variant="outline" className="text-xs text-slate-500" title="LOINC code">
+                                LOINC {lab.loinc_code}
+                              </Badge>
+                            )}
                             {statusInfo && (
                               <LabDocStatusBadge status={statusInfo.status} size="sm" />
                             )}
@@ -350,6 +356,11 @@ export default function LabsPanel({
                             {lab.units && (
                               <span className="text-sm text-slate-500">{lab.units}</span>
                             )}
+                            {lab.units_ucum && lab.units_ucum !== lab.units && (
+                              <span className="text-xs text-slate-400" title="UCUM unit">
+                                [{lab.units_ucum}]
+                              </span>
+                            )}
                             {lab.reference_range && (
                               <span className="text-xs text-slate-400">
                                 (ref: {lab.reference_range})
@@ -369,6 +380,11 @@ export default function LabsPanel({
                                 <span>Resulted: {formatDate(lab.resulted_at)}</span>
                               </div>
                             )}
+                            {lab.source_message_id && (
+                              <span className="text-xs text-slate-400">
+                                HL7 {lab.source_message_id}{lab.source_application && ` from ${lab.source_application}`}
+                              </span>
+                            )}
                           </div>
                           
                           {/* Expiration Message */}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
@@ -8,8 +8,14 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { X, Save, Upload, AlertCircle } from 'lucide-react';
 import { api } from '@/api/apiClient';
+import PatientMergeDialog from './PatientMergeDialog';
 
-export default function PatientForm({ patient, onSave, onCancel }) {
+/**
+ * `conflict` is set by the host when a save was refused because the record
+ * changed underneath the user (`{ theirs }` is the stored copy). The form then
+ * offers a merge of the user's edits onto it; `onConflictDismiss` clears it.
+ */
+export default function PatientForm({ patient, onSave, onCancel, conflict = null, onConflictDismiss = () => {} }) {
   const [formData, setFormData] = useState(patient || {
     patient_id: '',
     first_name: '',
@@ -36,6 +42,8 @@ export default function PatientForm({ patient, onSave, onCancel }) {
     medications: '',
     notes: '',
     hla_typing: '',
+    unacceptable_antigens: '',
+    a2_to_b_eligible: false,
     donor_preferences: '',
     functional_status: 'independent',
     prognosis_rating: 'good',
@@ -46,6 +54,10 @@ export default function PatientForm({ patient, onSave, onCancel }) {
     support_system_rating: 'good',
   });
 
+  // The copy the current edit started from; a merge moves it to the stored copy
+  // so a second conflict is diffed against what the user last saw.
+  const baseRef = useRef(patient);
+
   const [uploading, setUploading] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
   const [showErrors, setShowErrors] = useState(false);
@@ -113,6 +125,19 @@ export default function PatientForm({ patient, onSave, onCancel }) {
     }
   };
 
+  const handleMergeResolved = (merged) => {
+    baseRef.current = conflict.theirs;
+    setFormData(merged);
+    onConflictDismiss();
+    onSave(merged);
+  };
+
+  const handleMergeDiscarded = () => {
+    baseRef.current = conflict.theirs;
+    setFormData(conflict.theirs);
+    onConflictDismiss();
+  };
+
   const handleFileUpload = async (e) => {
     const files = Array.from(e.target.files);
     setUploading(true);
@@ -134,6 +159,17 @@ export default function PatientForm({ patient, onSave, onCancel }) {
 
   return (
     <div className="space-y-6">
+      {conflict && (
+        <PatientMergeDialog
+          open
+          base={baseRef.current}
+          mine={formData}
+          theirs={conflict.theirs}
+          onResolve={handleMergeResolved}
+          onCancel={handleMergeDiscarded}
+        />
+      )}
+
       {/* Validation Error Summary */}
       {showErrors && Object.keys(validationErrors).length > 0 && (
         <Alert variant="destructive">
@@ -565,10 +601,40 @@ export default function PatientForm({ patient, onSave, onCancel }) {
               id="hla_typing"
               value={formData.hla_typing}
               onChange={(e) => handleChange('hla_typing', e.target.value)}
-              placeholder="HLA typing results"
+              placeholder="e.g. A*02:01 A24 B*44:02 B62 DRB1*15:01 DR4"
             />
           </div>
 
+          <div>
+            <Label htmlFor="unacceptable_antigens">Unacceptable Antigens</Label>
+            <Input
+              id="unacceptable_antigens"
+              value={Array.isArray(formData.unacceptable_antigens)
+                ? formData.unacceptable_antigens.join(', ')
+                : formData.unacceptable_antigens || ''}
+              onChange={(e) => handleChange('unacceptable_antigens', e.target.value)}
+              placeholder="e.g. A2, B62, DRB1*15:01"
+            />
+          </div>
+
+          {formData.blood_type?.startsWith('B') && (
+            <div>
+              <Label htmlFor="a2_to_b_eligible">A2/A2B Organ Eligibility</Label>
+              <Select
+                value={formData.a2_to_b_eligible ? 'yes' : 'no'}
+                onValueChange={(value) => handleChange('a2_to_b_eligible', value === 'yes')}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="no">Not eligible</SelectItem>
+                  <SelectItem value="yes">Eligible (anti-A titre acceptable)</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
           <div>
             <Label htmlFor="notes">Clinical Notes</Label>
             <Textarea
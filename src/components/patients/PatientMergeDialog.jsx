@@ -0,0 +1,104 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { GitMerge } from 'lucide-react';
+import { mergeRecords, resolveMerge } from '@/lib/versionConflict';
+
+const display = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const label = (field) => field.replace(/_/g, ' ');
+
+/**
+ * Shown when saving a patient fails because someone else saved first.
+ * Non-overlapping edits are merged automatically; each field both users
+ * changed is listed with the two values so the user can pick one. Saving sends
+ * the merged record against the version that is stored now.
+ */
+export default function PatientMergeDialog({ open, base, mine, theirs, onResolve, onCancel }) {
+  const result = useMemo(() => mergeRecords(base, mine, theirs), [base, mine, theirs]);
+  const [choices, setChoices] = useState({});
+
+  const choose = (field, side) => setChoices((prev) => ({ ...prev, [field]: side }));
+
+  const handleSave = () => onResolve(resolveMerge(result, choices));
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => { if (!isOpen) onCancel(); }}>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <GitMerge className="w-5 h-5 text-amber-600" />
+            This patient was changed while you were editing
+          </DialogTitle>
+          <DialogDescription>
+            {result.conflicts.length === 0
+              ? 'Your changes do not overlap with theirs and have been combined. Review and save again.'
+              : `You and another user both changed ${result.conflicts.length} field(s). Choose which value to keep.`}
+          </DialogDescription>
+        </DialogHeader>
+
+        {result.conflicts.length > 0 && (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-slate-500">
+                <th className="py-1 pr-2">Field</th>
+                <th className="py-1 pr-2">Your value</th>
+                <th className="py-1">Saved by the other user</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.conflicts.map((c) => {
+                const picked = choices[c.field] || 'theirs';
+                return (
+                  <tr key={c.field} className="border-t border-slate-100">
+                    <td className="py-2 pr-2 font-medium capitalize">{label(c.field)}</td>
+                    <td className="py-2 pr-2">
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          name={`merge-${c.field}`}
+                          checked={picked === 'mine'}
+                          onChange={() => choose(c.field, 'mine')}
+                          aria-label={`Keep your ${label(c.field)}`}
+                        />
+                        {display(c.mine)}
+                      </label>
+                    </td>
+                    <td className="py-2">
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          name={`merge-${c.field}`}
+                          checked={picked === 'theirs'}
+                          onChange={() => choose(c.field, 'theirs')}
+                          aria-label={`Keep their ${label(c.field)}`}
+                        />
+                        {display(c.theirs)}
+                      </label>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onCancel}>Discard my changes</Button>
+          <Button onClick={handleSave} className="bg-cyan-600 hover:bg-cyan-700">Save merged record</Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,157 @@
+/**
+ * ProtocolPanel Component
+ *
+ * A patient's protocol checklists with their progress. Each step shows its
+ * current task: done, blocked on earlier steps, or open with its due date,
+ * and when it repeats. Protocols for the patient's organ program are started
+ * and cancelled here; the steps' tasks are also worked in the Task Center.
+ */
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ClipboardList, CheckCircle, Lock, Repeat, Play, XCircle } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { api } from '@/api/apiClient';
+import { formatDate } from '@/utils';
+
+function StepStatus({ item }) {
+  const { task } = item;
+  if (task.status === 'completed') {
+    return <Badge className="bg-green-100 text-green-700"><CheckCircle className="w-3 h-3 mr-1" /> Done</Badge>;
+  }
+  if (task.status === 'cancelled') return <Badge className="bg-slate-100 text-slate-500">Cancelled</Badge>;
+  if (task.blocked) {
+    return <Badge className="bg-slate-200 text-slate-600"><Lock className="w-3 h-3 mr-1" /> Blocked</Badge>;
+  }
+  return <Badge className="bg-yellow-100 text-yellow-700">{task.status.replace('_', ' ')}</Badge>;
+}
+
+export default function ProtocolPanel({ patientId, organType }) {
+  const queryClient = useQueryClient();
+  const [templateId, setTemplateId] = useState('');
+
+  const { data: protocols = [], isLoading } = useQuery({
+    queryKey: ['patientProtocols', patientId],
+    queryFn: () => api.taskTemplates.getPatientProtocols(patientId),
+    enabled: !!patientId,
+  });
+
+  const { data: templates = [] } = useQuery({
+    queryKey: ['taskTemplates', organType],
+    queryFn: () => api.taskTemplates.list({ organ_type: organType, active_only: true }),
+  });
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['patientProtocols', patientId] });
+    queryClient.invalidateQueries({ queryKey: ['allTasks'] });
+    queryClient.invalidateQueries({ queryKey: ['tasksDashboard'] });
+  };
+
+  const protocolMutation = useMutation({
+    mutationFn: ({ action, payload }) => (action === 'complete'
+      ? api.tasks.update(payload, { status: 'completed' })
+      : api.taskTemplates[action](payload)),
+    onSuccess: (_result, { action }) => {
+      refresh();
+      if (action === 'instantiate') {
+        setTemplateId('');
+        toast.success('Protocol started');
+      }
+      if (action === 'cancelProtocol') toast.success('Protocol cancelled');
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  const busy = protocolMutation.isPending;
+
+  return (
+    <Card className="border-slate-200">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardList className="w-5 h-5 text-cyan-600" /> Protocols
+        </CardTitle>
+        <CardDescription>Workup checklists started from a protocol template.</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {isLoading ? (
+          <p className="text-sm text-slate-400">Loading protocols…</p>
+        ) : protocols.length === 0 ? (
+          <p className="text-sm text-slate-400">No protocols started</p>
+        ) : protocols.map((protocol) => (
+          <div key={protocol.id} className="space-y-2 p-3 bg-slate-50 rounded-lg">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-slate-900">{protocol.template_name}</span>
+                <span className="text-xs text-slate-500">started {formatDate(protocol.started_at)}</span>
+                {protocol.status === 'cancelled' && <Badge className="bg-slate-200 text-slate-600">Cancelled</Badge>}
+              </div>
+              {protocol.status === 'active' && (
+                <Button size="sm" variant="ghost" disabled={busy} aria-label={`Cancel ${protocol.template_name}`}
+                  onClick={() => protocolMutation.mutate({ action: 'cancelProtocol', payload: protocol.id })}>
+                  <XCircle className="w-3 h-3" />
+                </Button>
+              )}
+            </div>
+            <div className="flex items-center gap-3">
+              <Progress value={protocol.progress.percent} className="flex-1" aria-label={`${protocol.template_name} progress`} />
+              <span className="text-sm text-slate-600 whitespace-nowrap">
+                {protocol.progress.done} of {protocol.progress.total} done
+              </span>
+            </div>
+            <ul className="space-y-1">
+              {protocol.items.map((item) => (
+                <li key={item.item_key} className="flex items-center justify-between gap-2 text-sm">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <StepStatus item={item} />
+                    <span className="truncate text-slate-800">{item.title}</span>
+                    {item.recurrence_days && (
+                      <span className="text-xs text-slate-500 flex items-center gap-1">
+                        <Repeat className="w-3 h-3" /> every {item.recurrence_days}d
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center gap-2 text-xs text-slate-500">
+                    {item.task.due_date && !['completed', 'cancelled'].includes(item.task.status) && (
+                      <span>Due {formatDate(item.task.due_date)}</span>
+                    )}
+                    {(item.task.assignee_name || item.task.assignee_email) && (
+                      <span>{item.task.assignee_name || item.task.assignee_email}</span>
+                    )}
+                    {protocol.status === 'active' && !item.task.blocked
+                      && !['completed', 'cancelled'].includes(item.task.status) && (
+                      <Button size="sm" variant="outline" disabled={busy} aria-label={`Complete ${item.title}`}
+                        onClick={() => protocolMutation.mutate({ action: 'complete', payload: item.task.id })}>
+                        <CheckCircle className="w-3 h-3" />
+                      </Button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        {templates.length > 0 && (
+          <div className="flex gap-2">
+            <select aria-label="Protocol template" value={templateId} onChange={(e) => setTemplateId(e.target.value)}
+              className="flex-1 px-3 py-1.5 text-sm border rounded-md bg-white">
+              <option value="">Start a protocol…</option>
+              {templates.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+            <Button size="sm" disabled={!templateId || busy}
+              onClick={() => protocolMutation.mutate({
+                action: 'instantiate',
+                payload: { template_id: templateId, patient_id: patientId },
+              })}>
+              <Play className="w-3 h-3 mr-1" /> Start
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,224 @@
+/**
+ * TaskTemplates Component
+ *
+ * Reusable workup protocols: a checklist of tasks per organ program, each
+ * due a number of days after the protocol starts, optionally after other
+ * steps and optionally repeating. Protocols are started from a patient's
+ * page. Everyone can see the templates; only administrators change them.
+ */
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { Plus, Trash2, Edit2, RefreshCw, Repeat, ClipboardList } from 'lucide-react';
+import { toast } from 'sonner';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { api } from '@/api/apiClient';
+import { TASK_TYPE_LABELS, ORGAN_PROGRAMS } from './taskLabels';
+
+const EMPTY_STEP = { title: '', task_type: 'GENERAL', due_offset_days: '', recurrence_days: '', after: '' };
+
+const selectClass = 'px-3 py-1.5 text-sm border rounded-md bg-white';
+
+/** Steps are keyed by their number, so "after" reads as a list of step numbers. */
+function toDraft(template) {
+  if (!template) return { name: '', organ_type: '', description: '', steps: [{ ...EMPTY_STEP }] };
+  const stepOf = new Map(template.items.map((item, index) => [item.item_key, index + 1]));
+  return {
+    id: template.id,
+    name: template.name,
+    organ_type: template.organ_type || '',
+    description: template.description || '',
+    steps: template.items.map((item) => ({
+      title: item.title,
+      task_type: item.task_type,
+      due_offset_days: item.due_offset_days ?? '',
+      recurrence_days: item.recurrence_days ?? '',
+      after: item.depends_on.map((key) => stepOf.get(key)).join(', '),
+    })),
+  };
+}
+
+function fromDraft(draft) {
+  return {
+    id: draft.id,
+    name: draft.name.trim(),
+    organ_type: draft.organ_type || null,
+    description: draft.description || null,
+    items: draft.steps.map((step, index) => ({
+      key: String(index + 1),
+      title: step.title,
+      task_type: step.task_type,
+      due_offset_days: step.due_offset_days === '' ? null : Number(step.due_offset_days),
+      recurrence_days: step.recurrence_days === '' ? null : Number(step.recurrence_days),
+      depends_on: step.after.split(',').map((s) => s.trim()).filter(Boolean),
+    })),
+  };
+}
+
+function TemplateEditor({ draft, setDraft, onSave, onCancel, busy }) {
+  const setStep = (index, patch) => setDraft({
+    ...draft,
+    steps: draft.steps.map((step, i) => (i === index ? { ...step, ...patch } : step)),
+  });
+
+  return (
+    <div className="space-y-3 p-4 border rounded-lg bg-slate-50">
+      <div className="flex gap-2">
+        <Input aria-label="Template name" placeholder="Name, e.g. Kidney evaluation" value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+        <select aria-label="Organ program" value={draft.organ_type} className={selectClass}
+          onChange={(e) => setDraft({ ...draft, organ_type: e.target.value })}>
+          <option value="">All programs</option>
+          {Object.entries(ORGAN_PROGRAMS).map(([val, label]) => <option key={val} value={val}>{label}</option>)}
+        </select>
+      </div>
+      <Input aria-label="Template description" placeholder="Description (optional)" value={draft.description}
+        onChange={(e) => setDraft({ ...draft, description: e.target.value })} />
+
+      <div className="grid grid-cols-12 gap-2 text-xs text-slate-500 px-1">
+        <span className="col-span-1">Step</span>
+        <span className="col-span-4">Task</span>
+        <span className="col-span-2">Type</span>
+        <span className="col-span-1">Due day</span>
+        <span className="col-span-1">Repeat (days)</span>
+        <span className="col-span-2">After steps</span>
+      </div>
+      {draft.steps.map((step, index) => (
+        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+          <span className="col-span-1 text-sm text-slate-600">{index + 1}</span>
+          <Input className="col-span-4" aria-label={`Step ${index + 1} title`} value={step.title}
+            onChange={(e) => setStep(index, { title: e.target.value })} />
+          <select className={`col-span-2 ${selectClass}`} aria-label={`Step ${index + 1} type`} value={step.task_type}
+            onChange={(e) => setStep(index, { task_type: e.target.value })}>
+            {Object.entries(TASK_TYPE_LABELS).map(([val, label]) => <option key={val} value={val}>{label}</option>)}
+          </select>
+          <Input className="col-span-1" type="number" min="0" aria-label={`Step ${index + 1} due day`}
+            value={step.due_offset_days} onChange={(e) => setStep(index, { due_offset_days: e.target.value })} />
+          <Input className="col-span-1" type="number" min="1" aria-label={`Step ${index + 1} repeat days`}
+            value={step.recurrence_days} onChange={(e) => setStep(index, { recurrence_days: e.target.value })} />
+          <Input className="col-span-2" aria-label={`Step ${index + 1} after`} placeholder="e.g. 1, 2"
+            value={step.after} onChange={(e) => setStep(index, { after: e.target.value })} />
+          <Button size="sm" variant="ghost" className="col-span-1" aria-label={`Remove step ${index + 1}`}
+            disabled={draft.steps.length === 1}
+            onClick={() => setDraft({ ...draft, steps: draft.steps.filter((_, i) => i !== index) })}>
+            <Trash2 className="w-3 h-3" />
+          </Button>
+        </div>
+      ))}
+      <div className="flex justify-between">
+        <Button size="sm" variant="outline"
+          onClick={() => setDraft({ ...draft, steps: [...draft.steps, { ...EMPTY_STEP }] })}>
+          <Plus className="w-3 h-3 mr-1" /> Add step
+        </Button>
+        <div className="flex gap-2">
+          <Button size="sm" variant="ghost" onClick={onCancel}>Cancel</Button>
+          <Button size="sm" disabled={busy || !draft.name.trim() || draft.steps.some((s) => !s.title.trim())}
+            onClick={onSave}>
+            Save template
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function TaskTemplates({ isAdmin }) {
+  const queryClient = useQueryClient();
+  const [draft, setDraft] = useState(null);
+
+  const { data: templates = [], isLoading } = useQuery({
+    queryKey: ['taskTemplates'],
+    queryFn: () => api.taskTemplates.list(),
+  });
+
+  const templateMutation = useMutation({
+    mutationFn: ({ action, payload }) => api.taskTemplates[action](payload),
+    onSuccess: (_result, { action }) => {
+      queryClient.invalidateQueries({ queryKey: ['taskTemplates'] });
+      if (action === 'save') setDraft(null);
+      toast.success(action === 'save' ? 'Template saved' : 'Template deleted');
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <RefreshCw className="w-6 h-6 animate-spin text-cyan-600" />
+      </div>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex justify-between items-center">
+          <div>
+            <CardTitle>Protocol Templates</CardTitle>
+            <CardDescription>
+              Checklists started on a patient from their record. A step due on day N is due N days after the
+              protocol starts; a step with earlier steps listed is blocked until they are done.
+            </CardDescription>
+          </div>
+          {isAdmin && !draft && (
+            <Button size="sm" onClick={() => setDraft(toDraft(null))}>
+              <Plus className="w-4 h-4 mr-1" /> New template
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {draft && (
+          <TemplateEditor draft={draft} setDraft={setDraft} busy={templateMutation.isPending}
+            onCancel={() => setDraft(null)}
+            onSave={() => templateMutation.mutate({ action: 'save', payload: fromDraft(draft) })} />
+        )}
+        {templates.length === 0 ? (
+          <div className="text-center py-8 text-slate-500">
+            <ClipboardList className="w-10 h-10 mx-auto mb-2 text-slate-300" />
+            <p className="text-sm">No protocol templates yet</p>
+          </div>
+        ) : templates.map((template) => (
+          <div key={template.id} className="p-3 bg-slate-50 rounded-lg">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-slate-900">{template.name}</span>
+                <Badge variant="outline">{ORGAN_PROGRAMS[template.organ_type] || 'All programs'}</Badge>
+                {!template.is_active && <Badge className="bg-slate-200 text-slate-600">Inactive</Badge>}
+              </div>
+              {isAdmin && (
+                <div className="flex gap-1">
+                  <Button size="sm" variant="ghost" aria-label={`Edit ${template.name}`}
+                    onClick={() => setDraft(toDraft(template))}>
+                    <Edit2 className="w-3 h-3" />
+                  </Button>
+                  <Button size="sm" variant="ghost" aria-label={`Delete ${template.name}`}
+                    disabled={templateMutation.isPending}
+                    onClick={() => templateMutation.mutate({ action: 'delete', payload: template.id })}>
+                    <Trash2 className="w-3 h-3" />
+                  </Button>
+                </div>
+              )}
+            </div>
+            <ol className="mt-2 space-y-1 text-sm text-slate-600 list-decimal list-inside">
+              {template.items.map((item) => (
+                <li key={item.id || item.item_key}>
+                  {item.title}
+                  {item.due_offset_days !== null && <span className="text-slate-400"> · day {item.due_offset_days}</span>}
+                  {item.recurrence_days && (
+                    <span className="text-slate-400">
+                      {' · '}<Repeat className="w-3 h-3 inline" /> every {item.recurrence_days} days
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ol>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,9 @@
+/**
+ * Task Components
+ *
+ * Protocol templates and the per-patient protocol checklists built from them.
+ */
+
+export { default as TaskTemplates } from './TaskTemplates';
+export { default as ProtocolPanel } from './ProtocolPanel';
+export { TASK_TYPE_LABELS, ORGAN_PROGRAMS } from './taskLabels';
@@ -0,0 +1,21 @@
+/** Display labels for task types, shared by the Task Center and protocol checklists. */
+export const TASK_TYPE_LABELS = {
+  EVALUATION_RENEWAL: 'Evaluation Renewal',
+  BARRIER_RESOLUTION: 'Barrier Resolution',
+  DOCUMENTATION_UPDATE: 'Documentation Update',
+  LAB_FOLLOWUP: 'Lab Follow-up',
+  AHHQ_COMPLETION: 'aHHQ Completion',
+  COORDINATOR_REVIEW: 'Coordinator Review',
+  RISK_MITIGATION: 'Risk Mitigation',
+  GENERAL: 'General',
+};
+
+/** Organ programs a task template can be limited to. */
+export const ORGAN_PROGRAMS = {
+  kidney: 'Kidney',
+  liver: 'Liver',
+  heart: 'Heart',
+  lung: 'Lung',
+  pancreas: 'Pancreas',
+  intestine: 'Intestine',
+};
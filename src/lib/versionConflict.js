@@ -0,0 +1,75 @@
+/**
+ * Optimistic-concurrency conflicts on record edits.
+ *
+ * A save carries the version the user started editing (`ifMatch`). If another
+ * user saved in between, the desktop main process refuses with a "Version
+ * conflict" error and the API server with 412 Precondition Failed. Either way
+ * nothing was written, and the editor has to reconcile three copies: what it
+ * loaded (base), what the user typed (mine), and what is stored now (theirs).
+ */
+
+/** Recognises a version conflict from either backend without matching other errors. */
+export function isVersionConflict(error) {
+  if (!error) return false;
+  if (error.status === 412 || error.code === 'version_conflict' || error.code === 'VERSION_CONFLICT') {
+    return true;
+  }
+  return /^Version conflict\b/i.test(String(error.message || ''));
+}
+
+/** Bookkeeping columns that change on every save and are never merged by the user. */
+const SYSTEM_FIELDS = new Set(['id', 'org_id', 'version', 'created_at', 'created_by', 'updated_at', 'updated_by']);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Three-way merge of a record edit.
+ *
+ * Fields only this user changed keep their edit, fields only the other user
+ * changed take the stored value, and fields both changed to different values
+ * are returned in `conflicts` for the user to decide. `merged` starts from the
+ * stored record (so it carries the current version) and holds theirs for every
+ * conflicting field until a choice is applied.
+ *
+ * @returns {{ merged: object, conflicts: Array<{ field: string, base: any, mine: any, theirs: any }> }}
+ */
+export function mergeRecords(base, mine, theirs) {
+  const merged = { ...theirs };
+  const conflicts = [];
+  const fields = new Set([...Object.keys(mine || {}), ...Object.keys(theirs || {})]);
+  for (const field of fields) {
+    if (SYSTEM_FIELDS.has(field)) continue;
+    const mineChanged = !same(mine?.[field], base?.[field]);
+    if (!mineChanged) continue;
+    const theirsChanged = !same(theirs?.[field], base?.[field]);
+    if (!theirsChanged || same(mine[field], theirs?.[field])) {
+      merged[field] = mine[field];
+    } else {
+      conflicts.push({ field, base: base?.[field], mine: mine[field], theirs: theirs?.[field] });
+    }
+  }
+  return { merged, conflicts };
+}
+
+/**
+ * Apply the user's per-field choices (`{ field: 'mine' | 'theirs' }`) to a
+ * merge result. Unresolved conflicts keep the stored value.
+ */
+export function resolveMerge({ merged, conflicts }, choices = {}) {
+  const out = { ...merged };
+  for (const c of conflicts) {
+    out[c.field] = choices[c.field] === 'mine' ? c.mine : c.theirs;
+  }
+  return out;
+}
+
+/**
+ * The record as stored now. Desktop bulk reads ride the list-scope PHI grant
+ * the roster already holds, so try filter first; the remote client ignores an
+ * id filter, hence the fallback to get.
+ */
+export async function loadCurrentVersion(entityApi, id) {
+  const rows = entityApi.filter ? await entityApi.filter({ id }) : [];
+  const row = Array.isArray(rows) ? rows.find((r) => r.id === id) : null;
+  return row || entityApi.get(id);
+}
@@ -1,6 +1,6 @@
 import React, { useMemo, useState } from 'react';
-import { useMutation, useQuery } from '@tanstack/react-query';
-import { api } from '@/api/apiClient';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { api, getApiMode } from '@/api/apiClient';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Textarea } from '@/components/ui/textarea';
@@ -8,8 +8,10 @@ import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { useToast } from '@/components/ui/use-toast';
+import LabCodeMappings from '@/components/labs/LabCodeMappings';
 import {
-  Inbox, FileCode, Loader2, CheckCircle2, XCircle, Database, Eraser, AlertTriangle, ArrowDownToLine
+  Inbox, FileCode, Loader2, CheckCircle2, XCircle, Database, Eraser, AlertTriangle, ArrowDownToLine,
+  Send, RotateCcw, FileStack
 } from 'lucide-react';
 
 const SAMPLE_ADT = [
@@ -46,6 +48,221 @@ function KV({ k, v }) {
   );
 }
 
+const OUTBOUND_STATUS_STYLES = {
+  acked: 'bg-emerald-50 text-emerald-700 border-emerald-200',
+  pending: 'bg-amber-50 text-amber-700 border-amber-200',
+  in_progress: 'bg-amber-50 text-amber-700 border-amber-200',
+  retrying: 'bg-amber-50 text-amber-700 border-amber-200',
+  rejected: 'bg-red-50 text-red-700 border-red-200',
+  failed: 'bg-red-50 text-red-700 border-red-200',
+};
+
+/**
+ * Messages the server has queued for the hospital interface engines, per
+ * destination. Only the server keeps an outbound queue, so this is shown
+ * when the app talks to one.
+ */
+function OutboundLog() {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const [destinationId, setDestinationId] = useState(null);
+
+  const { data: destinations = [] } = useQuery({
+    queryKey: ['hl7-outbound-destinations'],
+    queryFn: () => api.hl7.outboundDestinations(),
+  });
+
+  const { data: messages = [], isLoading, error } = useQuery({
+    queryKey: ['hl7-outbound-messages', destinationId],
+    queryFn: () => api.hl7.outboundMessages(destinationId ? { destination_id: destinationId } : {}),
+    refetchInterval: 15000,
+  });
+
+  const resendMutation = useMutation({
+    mutationFn: (id) => api.hl7.resendOutbound(id),
+    onSuccess: (r) => {
+      toast({ title: r.resent ? 'Message queued again' : 'Message was not resent', description: r.resent ? undefined : 'Only failed or rejected messages can be resent.' });
+      queryClient.invalidateQueries({ queryKey: ['hl7-outbound-messages'] });
+      queryClient.invalidateQueries({ queryKey: ['hl7-outbound-destinations'] });
+    },
+    onError: (e) => toast({ title: 'Resend failed', description: e.message, variant: 'destructive' }),
+  });
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <CardTitle className="text-base flex items-center gap-2"><Send className="w-4 h-4" /> Outbound messages</CardTitle>
+        <CardDescription>
+          Waitlist status changes (ADT^A08), IOTA notices (MDM^T02) and organ-offer events (ORU^R01) sent to each
+          interface engine, with the ACK that answered them.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <Button size="sm" variant={destinationId ? 'outline' : 'secondary'} onClick={() => setDestinationId(null)}>
+            All destinations
+          </Button>
+          {destinations.map((d) => (
+            <Button key={d.id} size="sm" variant={destinationId === d.id ? 'secondary' : 'outline'} onClick={() => setDestinationId(d.id)}>
+              {d.name}
+              {!d.is_active && <span className="ml-1 text-slate-400">(inactive)</span>}
+              {d.failed_count > 0 && <Badge variant="destructive" className="ml-2">{d.failed_count} failed</Badge>}
+              {d.open_count > 0 && <Badge variant="outline" className="ml-2">{d.open_count} queued</Badge>}
+            </Button>
+          ))}
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error.message}</AlertDescription>
+          </Alert>
+        )}
+
+        {isLoading ? (
+          <div className="text-xs text-slate-500 flex items-center gap-2"><Loader2 className="w-4 h-4 animate-spin" /> Loading…</div>
+        ) : messages.length === 0 ? (
+          <div className="text-xs text-slate-500">No outbound messages.</div>
+        ) : (
+          <div className="border border-slate-200 rounded-md divide-y divide-slate-100">
+            {messages.map((m) => (
+              <div key={m.id} className="grid grid-cols-12 gap-2 px-3 py-2 text-xs items-center">
+                <div className="col-span-2 font-mono">{m.message_type}^{m.trigger_event}</div>
+                <div className="col-span-2 truncate">{m.destination_name}</div>
+                <div className="col-span-2 font-mono truncate">{m.message_control_id}</div>
+                <div className="col-span-1">
+                  <span className={`inline-block px-1.5 py-0.5 rounded border text-[11px] ${OUTBOUND_STATUS_STYLES[m.status] || ''}`}>{m.status}</span>
+                </div>
+                <div className="col-span-3 text-slate-600 truncate">
+                  {m.ack_code ? `${m.ack_code}${m.ack_message ? ` · ${m.ack_message}` : ''}` : (m.error_message || '—')}
+                  {m.attempt_count > 1 ? ` · ${m.attempt_count} attempts` : ''}
+                </div>
+                <div className="col-span-2 text-right">
+                  {(m.status === 'failed' || m.status === 'rejected') && (
+                    <Button size="sm" variant="ghost" onClick={() => resendMutation.mutate(m.id)} disabled={resendMutation.isPending}>
+                      <RotateCcw className="w-3 h-3 mr-1" />Resend
+                    </Button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+/** MSH-10 of a raw message, read with the separator the message declares. */
+function controlIdOf(raw) {
+  const msh = String(raw || '').split(/\r\n|\r|\n/)[0];
+  if (!msh.startsWith('MSH') || msh.length < 4) return null;
+  return msh.split(msh[3])[9] || null;
+}
+
+/**
+ * Nightly batch files (FHS/BHS...BTS/FTS) from reference labs. The file is
+ * read through the desktop file import, each message is ingested like a
+ * pasted one, and the batch acknowledgement is built for the sender.
+ */
+function BatchImport({ options }) {
+  const { toast } = useToast();
+  const [progress, setProgress] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+
+  const importMutation = useMutation({
+    mutationFn: async () => {
+      const file = await api.files.importFile('hl7');
+      if (!file || file.cancelled) return null;
+      if (!file.success || file.type !== 'hl7') throw new Error('The file could not be read as an HL7 batch.');
+      const results = [];
+      setProgress({ done: 0, total: file.data.length });
+      for (const m of file.data) {
+        const entry = { batch: m.batch, sequence: m.sequence, message_control_id: controlIdOf(m.raw) };
+        try {
+          const s = await api.hl7.ingest({ raw: m.raw, options });
+          results.push({ ...entry, code: s.ok ? 'AA' : 'AE', text: s.ok ? 'Accepted' : (s.warnings || []).join('; ') });
+        } catch (e) {
+          results.push({ ...entry, code: 'AR', text: e.message });
+        }
+        setProgress({ done: results.length, total: file.data.length });
+      }
+      const ack = await api.hl7.buildBatchAck({ batch: file.batch, results });
+      return { file, results, ...ack };
+    },
+    onSuccess: (r) => {
+      setProgress(null);
+      if (!r) return;
+      setOutcome(r);
+      toast({
+        title: 'Batch file imported',
+        description: `${r.tally.accepted} of ${r.tally.total} accepted${r.reconciled ? '' : ' · counts do not reconcile'}`,
+        variant: r.reconciled && r.tally.accepted === r.tally.total ? undefined : 'destructive',
+      });
+    },
+    onError: (e) => {
+      setProgress(null);
+      toast({ title: 'Batch import failed', description: e.message, variant: 'destructive' });
+    },
+  });
+
+  const naks = outcome ? outcome.results.filter((r) => r.code !== 'AA') : [];
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <CardTitle className="text-base flex items-center gap-2"><FileStack className="w-4 h-4" /> Batch files</CardTitle>
+        <CardDescription>
+          Import an HL7 batch file (FHS/BHS … BTS/FTS). Message counts are checked against the BTS and FTS trailers,
+          and a batch acknowledgement is produced to return to the sender.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <Button onClick={() => importMutation.mutate()} disabled={importMutation.isPending}>
+          {importMutation.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <ArrowDownToLine className="w-4 h-4 mr-2" />}
+          Import batch file
+        </Button>
+        {progress && (
+          <div className="text-xs text-slate-500">Ingesting message {progress.done} of {progress.total}…</div>
+        )}
+        {outcome && (
+          <div className="space-y-3 text-xs">
+            <KV k="File" v={outcome.file.filename} />
+            <KV k="Batches" v={outcome.file.batch.batches.length} />
+            <div className="flex flex-wrap gap-2">
+              <Badge variant="outline">{outcome.tally.total} messages</Badge>
+              <Badge variant="outline" className="text-emerald-700">{outcome.tally.accepted} accepted</Badge>
+              {outcome.tally.errors > 0 && <Badge variant="destructive">{outcome.tally.errors} errors</Badge>}
+              {outcome.tally.rejected > 0 && <Badge variant="destructive">{outcome.tally.rejected} rejected</Badge>}
+            </div>
+            {outcome.reconciled ? (
+              <div className="flex items-center gap-1 text-emerald-700"><CheckCircle2 className="w-3 h-3" /> Counts reconcile with the trailers</div>
+            ) : (
+              <Alert variant="destructive">
+                <AlertTriangle className="h-4 w-4" />
+                <AlertDescription>{outcome.issues.map((i) => i.message).join('; ')}</AlertDescription>
+              </Alert>
+            )}
+            {naks.length > 0 && (
+              <div className="border border-slate-200 rounded-md divide-y divide-slate-100">
+                {naks.map((r) => (
+                  <div key={r.sequence} className="grid grid-cols-12 gap-2 px-3 py-1.5">
+                    <div className="col-span-1 font-mono">#{r.sequence}</div>
+                    <div className="col-span-3 font-mono truncate">{r.message_control_id || '—'}</div>
+                    <div className="col-span-1 font-mono">{r.code}</div>
+                    <div className="col-span-7 text-slate-600 truncate">{r.text}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+            <Textarea readOnly rows={6} value={outcome.ack.replace(/\r/g, '\n')} className="font-mono text-xs" aria-label="Batch acknowledgement" />
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 export default function Hl7Inbox() {
   const { toast } = useToast();
   const [raw, setRaw] = useState('');
@@ -322,6 +539,9 @@ export default function Hl7Inbox() {
                 )}
                 <KV k="Labs inserted" v={ingestSummary.labs.inserted} />
                 <KV k="Labs skipped" v={ingestSummary.labs.skipped} />
+                {ingestSummary.labs.unmapped?.length > 0 && (
+                  <KV k="Without LOINC" v={ingestSummary.labs.unmapped.join(', ')} />
+                )}
                 {ingestSummary.warnings?.length > 0 && (
                   <Alert>
                     <AlertTriangle className="h-4 w-4" />
@@ -333,6 +553,17 @@ export default function Hl7Inbox() {
           )}
         </CardContent>
       </Card>
+
+      {typeof api.hl7.buildBatchAck === 'function' && typeof api.files?.importFile === 'function' && (
+        <BatchImport options={{ createPatient, updateDemographics, ingestObservations }} />
+      )}
+      {typeof api.labs?.listCodeMappings === 'function' && (
+        <LabCodeMappings
+          sendingApplication={parsed?.sending_app || ''}
+          unmappedCodes={ingestSummary?.labs?.unmapped || []}
+        />
+      )}
+      {getApiMode() === 'remote' && <OutboundLog />}
     </div>
   );
 }
@@ -19,7 +19,7 @@ import {
 import { useToast } from '@/components/ui/use-toast';
 import {
   Heart, Plus, RefreshCw, Loader2, Clock, CheckCircle2, XCircle, Eye,
-  AlertTriangle, ArrowRight, ListChecks
+  AlertTriangle, ArrowRight, ListChecks, History, Link2, ArrowUpCircle
 } from 'lucide-react';
 
 const STATUS_BADGE = {
@@ -44,11 +44,15 @@ function StatusBadge({ status }) {
   return <Badge variant="outline" className={STATUS_BADGE[status] || ''}>{status}</Badge>;
 }
 
+function chainRole(offer) {
+  return offer.is_backup ? `Backup ${offer.backup_chain_position}` : 'Primary';
+}
+
 function CreateOfferDialog({ patients, donors, onCreated }) {
   const { toast } = useToast();
   const [open, setOpen] = useState(false);
   const [form, setForm] = useState({
-    donor_organ_id: '', patient_id: '', rank: '', response_due_at: '',
+    donor_organ_id: '', patient_id: '', rank: '', response_due_at: '', response_window_hours: '',
     backup_chain_position: '', notes: '',
   });
 
@@ -58,13 +62,17 @@ function CreateOfferDialog({ patients, donors, onCreated }) {
       patient_id: form.patient_id,
       rank: form.rank ? Number(form.rank) : undefined,
       response_due_at: form.response_due_at || undefined,
+      response_window_hours: form.response_window_hours ? Number(form.response_window_hours) : undefined,
       backup_chain_position: form.backup_chain_position ? Number(form.backup_chain_position) : undefined,
       notes: form.notes || undefined,
     }),
     onSuccess: (offer) => {
       toast({ title: 'Offer created', description: `Status: ${offer.status}` });
       setOpen(false);
-      setForm({ donor_organ_id: '', patient_id: '', rank: '', response_due_at: '', backup_chain_position: '', notes: '' });
+      setForm({
+        donor_organ_id: '', patient_id: '', rank: '', response_due_at: '', response_window_hours: '',
+        backup_chain_position: '', notes: '',
+      });
       onCreated?.();
     },
     onError: (e) => toast({ title: 'Could not create offer', description: e.message, variant: 'destructive' }),
@@ -114,18 +122,31 @@ function CreateOfferDialog({ patients, donors, onCreated }) {
             </Select>
           </div>
 
-          <div className="grid grid-cols-3 gap-3">
+          <div className="grid grid-cols-2 gap-3">
             <div>
               <Label>Rank</Label>
               <Input type="number" min="1" value={form.rank} onChange={(e) => setForm((f) => ({ ...f, rank: e.target.value }))} />
             </div>
             <div>
-              <Label>Backup position</Label>
-              <Input type="number" min="0" value={form.backup_chain_position} onChange={(e) => setForm((f) => ({ ...f, backup_chain_position: e.target.value }))} />
+              <Label>Backup position (0 = primary)</Label>
+              <Input type="number" min="0" value={form.backup_chain_position}
+                onChange={(e) => setForm((f) => ({
+                  ...f,
+                  backup_chain_position: e.target.value,
+                  // A backup's clock starts at promotion, so it takes only a window.
+                  response_due_at: Number(e.target.value) > 0 ? '' : f.response_due_at,
+                }))} />
             </div>
             <div>
               <Label>Response due</Label>
-              <Input type="datetime-local" value={form.response_due_at} onChange={(e) => setForm((f) => ({ ...f, response_due_at: e.target.value }))} />
+              <Input type="datetime-local" value={form.response_due_at}
+                disabled={!!form.response_window_hours || Number(form.backup_chain_position) > 0}
+                onChange={(e) => setForm((f) => ({ ...f, response_due_at: e.target.value }))} />
+            </div>
+            <div>
+              <Label>or response window (business hours)</Label>
+              <Input type="number" min="0" step="0.5" value={form.response_window_hours} disabled={!!form.response_due_at}
+                onChange={(e) => setForm((f) => ({ ...f, response_window_hours: e.target.value }))} />
             </div>
           </div>
 
@@ -155,7 +176,9 @@ function TransitionDialog({ offer, declineReasons, onTransitioned }) {
   const [text, setText] = useState('');
   const [notes, setNotes] = useState('');
 
-  const allowed = ALLOWED_TRANSITIONS[offer.status] || [];
+  // A backup must be promoted before it can accept finally.
+  const allowed = (ALLOWED_TRANSITIONS[offer.status] || [])
+    .filter((s) => !(offer.is_backup && s === 'ACCEPTED_FINAL'));
 
   const mutation = useMutation({
     mutationFn: () => api.organOffers.transition({
@@ -165,8 +188,12 @@ function TransitionDialog({ offer, declineReasons, onTransitioned }) {
       decline_reason_text: toStatus === 'DECLINED' && (code === '799' || text) ? text : undefined,
       notes: notes || undefined,
     }),
-    onSuccess: () => {
-      toast({ title: 'Offer updated', description: `Now ${toStatus}` });
+    onSuccess: (updated) => {
+      const effects = updated?.chain_effects;
+      const chainNote = effects?.promoted
+        ? ' The next backup has been promoted.'
+        : effects?.rescinded?.length ? ` ${effects.rescinded.length} other open offer(s) rescinded.` : '';
+      toast({ title: 'Offer updated', description: `Now ${toStatus}.${chainNote}` });
       setOpen(false); setToStatus(''); setCode(''); setText(''); setNotes('');
       onTransitioned?.();
     },
@@ -288,6 +315,210 @@ function EventsDialog({ offer }) {
   );
 }
 
+function ChainDialog({ offer }) {
+  const [open, setOpen] = useState(false);
+  const { data: chain, isLoading } = useQuery({
+    queryKey: ['offer-chain', offer.donor_organ_id],
+    queryFn: () => api.organOffers.getChain(offer.donor_organ_id),
+    enabled: open,
+  });
+
+  const labels = useMemo(() => {
+    const byId = new Map();
+    for (const o of chain?.offers || []) byId.set(o.id, `${chainRole(o)} · ${o.patient_id?.slice(0, 8)}`);
+    return byId;
+  }, [chain]);
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="ghost"><Link2 className="w-3 h-3 mr-1" /> Chain</Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Offer chain</DialogTitle>
+          <DialogDescription>
+            Every offer for donor organ {offer.donor_organ_id?.slice(0, 8)}…, primaries then backups in order.
+            A backup is promoted when the last open primary is declined, expires or is rescinded.
+          </DialogDescription>
+        </DialogHeader>
+        {isLoading || !chain ? (
+          <div className="flex items-center gap-2 text-slate-500"><Loader2 className="w-4 h-4 animate-spin" /> Loading…</div>
+        ) : (
+          <div className="space-y-4">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Role</TableHead>
+                  <TableHead>Patient</TableHead>
+                  <TableHead>Status</TableHead>
+                  <TableHead>Promoted</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {chain.offers.map((o) => (
+                  <TableRow key={o.id} className={o.id === offer.id ? 'bg-cyan-50' : ''}>
+                    <TableCell className="text-xs">
+                      {chainRole(o)}
+                      {o.id === chain.next_backup_id && <Badge variant="outline" className="ml-2">Next</Badge>}
+                    </TableCell>
+                    <TableCell className="font-mono text-xs">{o.patient_id?.slice(0, 8)}</TableCell>
+                    <TableCell><StatusBadge status={o.status} /></TableCell>
+                    <TableCell className="text-xs">{o.promoted_at || '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            <div>
+              <h3 className="text-sm font-semibold text-slate-900 mb-2">Timeline</h3>
+              <ol className="border-l border-slate-200 ml-2 space-y-2 max-h-64 overflow-auto">
+                {chain.events.map((ev) => (
+                  <li key={ev.id} className="ml-4 text-xs">
+                    <span className="text-slate-500">{ev.created_at}</span>{' '}
+                    <span className="font-medium">{labels.get(ev.offer_id) || ev.offer_id.slice(0, 8)}</span>{' '}
+                    {ev.event_type === 'PROMOTED' ? (
+                      <span className="text-cyan-700"><ArrowUpCircle className="w-3 h-3 inline mr-1" />promoted to primary</span>
+                    ) : ev.event_type === 'OFFER_CREATED' ? (
+                      'offered'
+                    ) : (
+                      <>{ev.from_status} → {ev.to_status}</>
+                    )}
+                    <span className="text-slate-500"> · {ev.actor || 'system'}</span>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+const OUTCOME_LABEL = {
+  ranked: 'Ranked',
+  abo_ineligible: 'ABO ineligible',
+  crossmatch_positive: 'Positive virtual crossmatch',
+  policy_excluded: 'Excluded by policy',
+};
+
+function outcomeRows(run) {
+  const rows = run.results.ranked.map((r) => ({ ...r, outcome: 'ranked' }));
+  for (const c of run.results.crossmatch_positive) {
+    rows.push({ patient_id: c.patient_id, outcome: 'crossmatch_positive', detail: c.conflicts.map((x) => x.antigen).join(', ') });
+  }
+  for (const p of run.results.policy_excluded) rows.push({ patient_id: p.patient_id, outcome: 'policy_excluded', detail: p.reasons.join(', ') });
+  for (const a of run.results.abo_ineligible) rows.push({ patient_id: a.patient_id, outcome: 'abo_ineligible' });
+  return rows;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+  if (typeof value === 'string') return OUTCOME_LABEL[value] || value;
+  return JSON.stringify(value);
+}
+
+function MatchRunDialog({ offer }) {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const { data: run, isLoading } = useQuery({
+    queryKey: ['match-run', offer.match_run_id],
+    queryFn: () => api.matchRuns.get(offer.match_run_id),
+    enabled: open,
+  });
+
+  const replay = useMutation({
+    mutationFn: () => api.matchRuns.replay(offer.match_run_id),
+    onError: (e) => toast({ title: 'Replay failed', description: e.message, variant: 'destructive' }),
+  });
+
+  const names = useMemo(
+    () => new Map((run?.candidates || []).map((c) => [c.id, `${c.last_name}, ${c.first_name}`])),
+    [run]
+  );
+
+  return (
+    <Dialog open={open} onOpenChange={(v) => { setOpen(v); if (!v) replay.reset(); }}>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="ghost"><History className="w-3 h-3 mr-1" /> Ranking</Button>
+      </DialogTrigger>
+      <DialogContent className="sm:max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Match run</DialogTitle>
+          <DialogDescription>
+            The snapshot of the match run this offer was made from: every candidate considered and how each was ranked.
+          </DialogDescription>
+        </DialogHeader>
+        {isLoading || !run ? (
+          <div className="flex items-center gap-2 text-slate-500"><Loader2 className="w-4 h-4 animate-spin" /> Loading…</div>
+        ) : (
+          <div className="space-y-4">
+            <div className="text-sm text-slate-600">
+              Run {run.run_at} by {run.run_by || 'system'} · {run.organ_type} match policy v{run.policy_version}
+              {run.mfi_threshold != null && <> · MFI threshold {run.mfi_threshold}</>}
+            </div>
+            <div className="max-h-72 overflow-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Rank</TableHead>
+                    <TableHead>Candidate</TableHead>
+                    <TableHead>Score</TableHead>
+                    <TableHead>Outcome</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {outcomeRows(run).map((r) => (
+                    <TableRow key={r.patient_id} className={r.patient_id === offer.patient_id ? 'bg-cyan-50' : ''}>
+                      <TableCell>{r.rank ?? '—'}</TableCell>
+                      <TableCell className="text-xs">{names.get(r.patient_id) || r.patient_id.slice(0, 8)}</TableCell>
+                      <TableCell>{r.score != null ? r.score.toFixed(1) : '—'}</TableCell>
+                      <TableCell className="text-xs">
+                        {OUTCOME_LABEL[r.outcome]}{r.detail ? ` (${r.detail})` : ''}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+
+            {replay.data && (
+              replay.data.identical ? (
+                <Alert>
+                  <CheckCircle2 className="h-4 w-4" />
+                  <AlertDescription>Replay reproduces the stored ranking exactly.</AlertDescription>
+                </Alert>
+              ) : (
+                <Alert variant="destructive">
+                  <AlertTriangle className="h-4 w-4" />
+                  <AlertDescription>
+                    <p className="mb-2">Replay differs from the stored ranking in {replay.data.differences.length} place(s):</p>
+                    <ul className="text-xs space-y-1">
+                      {replay.data.differences.map((d) => (
+                        <li key={`${d.patient_id}-${d.field}`}>
+                          {d.patient_name || d.patient_id.slice(0, 8)}: {d.field} {formatValue(d.stored)} → {formatValue(d.replayed)}
+                        </li>
+                      ))}
+                    </ul>
+                  </AlertDescription>
+                </Alert>
+              )
+            )}
+          </div>
+        )}
+        <DialogFooter>
+          <Button variant="outline" onClick={() => replay.mutate()} disabled={!run || replay.isPending}>
+            {replay.isPending ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <RefreshCw className="w-4 h-4 mr-2" />}
+            Replay
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
+
 export default function OrganOffers() {
   const queryClient = useQueryClient();
   const { toast } = useToast();
@@ -317,7 +548,8 @@ export default function OrganOffers() {
   const expireMutation = useMutation({
     mutationFn: () => api.organOffers.expireDue(),
     onSuccess: (data) => {
-      toast({ title: 'Expiration sweep complete', description: `${data.expiredCount || 0} offer(s) marked EXPIRED.` });
+      const promoted = data.promoted?.length ? ` ${data.promoted.length} backup(s) promoted.` : '';
+      toast({ title: 'Expiration sweep complete', description: `${data.expiredCount || 0} offer(s) marked EXPIRED.${promoted}` });
       queryClient.invalidateQueries({ queryKey: ['organ-offers'] });
     },
     onError: (e) => toast({ title: 'Sweep failed', description: e.message, variant: 'destructive' }),
@@ -400,6 +632,7 @@ export default function OrganOffers() {
                   <TableHead>Status</TableHead>
                   <TableHead>Donor organ</TableHead>
                   <TableHead>Patient</TableHead>
+                  <TableHead>Chain</TableHead>
                   <TableHead>Rank</TableHead>
                   <TableHead>Offered</TableHead>
                   <TableHead>Response due</TableHead>
@@ -412,11 +645,21 @@ export default function OrganOffers() {
                     <TableCell><StatusBadge status={o.status} /></TableCell>
                     <TableCell className="font-mono text-xs">{o.donor_organ_id?.slice(0, 8)}</TableCell>
                     <TableCell className="font-mono text-xs">{o.patient_id?.slice(0, 8)}</TableCell>
+                    <TableCell className="text-xs">{chainRole(o)}</TableCell>
                     <TableCell>{o.rank ?? '—'}</TableCell>
                     <TableCell className="text-xs">{o.offered_at}</TableCell>
-                    <TableCell className="text-xs">{o.response_due_at || '—'}</TableCell>
+                    <TableCell className="text-xs">
+                      {o.response_due_at || '—'}
+                      {o.sla && (
+                        <div className={o.sla.breached ? 'text-red-600' : 'text-slate-500'}>
+                          {o.sla.breached ? 'Window passed' : `${o.sla.remaining_hours}h business left`}
+                        </div>
+                      )}
+                    </TableCell>
                     <TableCell className="text-right space-x-2">
                       <EventsDialog offer={o} />
+                      {o.donor_organ_id && <ChainDialog offer={o} />}
+                      {o.match_run_id && <MatchRunDialog offer={o} />}
                       <TransitionDialog offer={o} declineReasons={declineReasons} onTransitioned={refresh} />
                     </TableCell>
                   </TableRow>
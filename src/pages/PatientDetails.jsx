@@ -15,6 +15,7 @@ import PatientSyncControls from '../components/ehr/PatientSyncControls';
 import { ReadinessBarrierList } from '../components/barriers';
 import { AHHQPanel } from '../components/ahhq';
 import { LabsPanel } from '../components/labs';
+import { ProtocolPanel } from '../components/tasks';
 import { useMutation, useQueryClient } from '@tanstack/react-query';
 import { useJustifiedAccess } from '@/hooks/useJustifiedAccess';
 import JustificationDialog from '@/components/access/JustificationDialog';
@@ -361,6 +362,9 @@ export default function PatientDetails() {
           />
         </div>
 
+        {/* Protocol checklists and their progress */}
+        <ProtocolPanel patientId={patient.id} organType={patient.organ_needed} />
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           <div className="lg:col-span-2">
             <PriorityBreakdown patient={patient} />
@@ -7,6 +7,7 @@ import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Plus, Users, Loader2, AlertCircle, Upload, CheckCircle2 } from 'lucide-react';
 import ErrorState from '@/components/ui/ErrorState';
 import PatientForm from '../components/patients/PatientForm';
+import { isVersionConflict, loadCurrentVersion } from '@/lib/versionConflict';
 import { motion, AnimatePresence } from 'framer-motion';
 
 // Columns accepted from a roster CSV (see assets/sample-imports/
@@ -25,6 +26,7 @@ export default function Patients() {
   const [showForm, setShowForm] = useState(false);
   const [editingPatient, setEditingPatient] = useState(null);
   const [error, setError] = useState(null);
+  const [conflict, setConflict] = useState(null);
   const [isImporting, setIsImporting] = useState(false);
   const [importSummary, setImportSummary] = useState(null);
   const queryClient = useQueryClient();
@@ -66,7 +68,11 @@ export default function Patients() {
 
   const updatePatientMutation = useMutation({
     mutationFn: async ({ id, patientData, oldData }) => {
-      const updated = await api.entities.Patient.update(id, patientData);
+      // Save against the version the form was loaded from (or merged onto) so
+      // a concurrent edit is refused instead of silently overwritten.
+      const updated = await api.entities.Patient.update(id, patientData, {
+        ifMatch: patientData.version ?? oldData.version,
+      });
       
       // Recalculate priority after update
       try {
@@ -90,7 +96,19 @@ export default function Patients() {
       setEditingPatient(null);
       setError(null);
     },
-    onError: (error) => {
+    onError: async (error, { id }) => {
+      if (isVersionConflict(error)) {
+        try {
+          const theirs = await loadCurrentVersion(api.entities.Patient, id);
+          if (theirs) {
+            setError(null);
+            setConflict({ theirs });
+            return;
+          }
+        } catch {
+          // Fall through to the plain error; the user can reload the roster.
+        }
+      }
       setError(error.message || 'Failed to update patient. Please try again.');
     },
   });
@@ -266,9 +284,12 @@ export default function Patients() {
               <PatientForm
                 patient={editingPatient}
                 onSave={handleSave}
+                conflict={conflict}
+                onConflictDismiss={() => setConflict(null)}
                 onCancel={() => {
                   setShowForm(false);
                   setEditingPatient(null);
+                  setConflict(null);
                   setError(null);
                 }}
               />
@@ -10,6 +10,7 @@ import { Switch } from '@/components/ui/switch';
 import { Save, RefreshCw, AlertCircle } from 'lucide-react';
 import ErrorState from '@/components/ui/ErrorState';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import MatchPolicyCard from '@/components/donor/MatchPolicyCard';
 
 export default function PrioritySettings() {
   const queryClient = useQueryClient();
@@ -353,6 +354,8 @@ export default function PrioritySettings() {
           </Button>
         </div>
 
+        <MatchPolicyCard />
+
         <Card className="border-amber-200 bg-amber-50">
           <CardContent className="p-6">
             <div className="flex items-start space-x-3">
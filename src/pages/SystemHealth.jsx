@@ -1,13 +1,14 @@
 import React, { useState } from 'react';
-import { useQuery, useMutation } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription, AlertTitle } from '@/components/ui/alert';
 import { Label } from '@/components/ui/label';
+import { Input } from '@/components/ui/input';
 import {
   Activity, CheckCircle, AlertTriangle, XCircle, RefreshCw,
-  Download, Database, Shield, FileText, Info,
+  Download, Database, Shield, FileText, Info, Clock, Pause, Play,
 } from 'lucide-react';
 import { format } from 'date-fns';
 import ErrorState from '@/components/ui/ErrorState';
@@ -29,6 +30,10 @@ import { api } from '@/api/apiClient';
  *   2. Export a support bundle. The bundle withholds free text by default so it
  *      carries no PHI; including full message bodies is a separate, explicit
  *      choice, and the warning here is deliberately blunt about the consequence.
+ *
+ * Administrators also see the background jobs (escalations, auto-tasks,
+ * follow-up and risk scoring runs): their schedule, last and next run, and
+ * controls to pause, resume, reschedule or run one now.
  */
 
 const STATUS_STYLES = {
@@ -86,6 +91,185 @@ function ComponentRow({ name, detail }) {
   );
 }
 
+const RUN_STATUS_BADGE = {
+  SUCCESS: 'bg-emerald-100 text-emerald-800',
+  FAILED: 'bg-red-100 text-red-800',
+};
+
+const TRIGGER_LABELS = { SCHEDULE: 'Scheduled', CATCH_UP: 'Catch-up', MANUAL: 'Manual' };
+
+function formatWhen(value) {
+  return value ? format(new Date(value), 'PPp') : '—';
+}
+
+function JobRow({ job, onAction, busy }) {
+  const [cron, setCron] = useState(job.cron);
+  const dirty = cron.trim() !== job.cron;
+
+  return (
+    <div className="py-3 border-b border-slate-100 last:border-0 space-y-2">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <p className="font-medium text-slate-900 flex items-center gap-2">
+            {job.label}
+            {job.is_paused && <Badge className="bg-slate-100 text-slate-700">Paused</Badge>}
+          </p>
+          <p className="text-sm text-slate-500">{job.description}</p>
+        </div>
+        <div className="flex gap-2 shrink-0">
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={busy}
+            onClick={() => onAction(job.is_paused ? 'resume' : 'pause', job)}
+          >
+            {job.is_paused
+              ? <><Play className="h-3 w-3 mr-1" />Resume</>
+              : <><Pause className="h-3 w-3 mr-1" />Pause</>}
+          </Button>
+          <Button size="sm" disabled={busy} onClick={() => onAction('trigger', job)}>
+            Run now
+          </Button>
+        </div>
+      </div>
+      <dl className="grid grid-cols-1 sm:grid-cols-3 gap-x-6 gap-y-1 text-sm">
+        <div>
+          <dt className="text-slate-500">Last run</dt>
+          <dd className="flex items-center gap-2">
+            {formatWhen(job.last_run_at)}
+            {job.last_status && (
+              <Badge className={RUN_STATUS_BADGE[job.last_status]}>
+                {job.last_status === 'SUCCESS' ? 'OK' : 'Failed'}
+              </Badge>
+            )}
+            {job.last_duration_ms != null && (
+              <span className="text-slate-500">{job.last_duration_ms} ms</span>
+            )}
+          </dd>
+        </div>
+        <div>
+          <dt className="text-slate-500">Next run</dt>
+          <dd>{job.is_paused ? 'Paused' : formatWhen(job.next_run_at)}</dd>
+        </div>
+        <div>
+          <dt className="text-slate-500">Schedule (cron, local time)</dt>
+          <dd className="flex items-center gap-2">
+            <Input
+              aria-label={`${job.label} schedule`}
+              className="h-8 font-mono text-xs"
+              value={cron}
+              onChange={(e) => setCron(e.target.value)}
+            />
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={busy || !dirty}
+              onClick={() => onAction('updateSchedule', job, cron)}
+            >
+              Save
+            </Button>
+          </dd>
+        </div>
+      </dl>
+      {job.last_status === 'FAILED' && job.last_error && (
+        <p className="text-sm text-red-700">{job.last_error}</p>
+      )}
+    </div>
+  );
+}
+
+function ScheduledJobs() {
+  const queryClient = useQueryClient();
+
+  const { data: jobs = [] } = useQuery({
+    queryKey: ['scheduledJobs'],
+    queryFn: () => api.scheduler.listJobs(),
+    refetchInterval: 60000,
+  });
+
+  const { data: runs = [] } = useQuery({
+    queryKey: ['scheduledJobRuns'],
+    queryFn: () => api.scheduler.listRuns({ limit: 20 }),
+    refetchInterval: 60000,
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: async ({ action, job, cron }) => {
+      if (action === 'updateSchedule') {
+        return await api.scheduler.updateSchedule({ job_key: job.job_key, cron });
+      }
+      return await api.scheduler[action](job.job_key);
+    },
+    onSuccess: (result, { action, job }) => {
+      queryClient.invalidateQueries({ queryKey: ['scheduledJobs'] });
+      queryClient.invalidateQueries({ queryKey: ['scheduledJobRuns'] });
+      if (action === 'trigger') {
+        if (result?.status === 'FAILED') toast.error(`${job.label} failed: ${result.error}`);
+        else toast.success(`${job.label} ran in ${result?.duration_ms ?? 0} ms`);
+      } else if (action === 'pause') {
+        toast.success(`${job.label} paused`);
+      } else if (action === 'resume') {
+        toast.success(`${job.label} resumed`);
+      } else {
+        toast.success(`${job.label} schedule saved`);
+      }
+    },
+    onError: (error) => toast.error(error.message),
+  });
+
+  const labels = Object.fromEntries(jobs.map((j) => [j.job_key, j.label]));
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <CardTitle className="text-base flex items-center gap-2">
+          <Clock className="h-4 w-4 text-slate-600" />
+          Background jobs
+        </CardTitle>
+        <CardDescription>
+          Run on their schedule while the application is open. Slots missed while the
+          workstation was asleep or closed are caught up once when it is back.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {jobs.length === 0 ? (
+          <p className="text-sm text-slate-500">No scheduled jobs reported.</p>
+        ) : (
+          jobs.map((job) => (
+            <JobRow
+              key={`${job.job_key}:${job.cron}`}
+              job={job}
+              busy={actionMutation.isPending}
+              onAction={(action, j, cron) => actionMutation.mutate({ action, job: j, cron })}
+            />
+          ))
+        )}
+        {runs.length > 0 && (
+          <div className="mt-4">
+            <p className="text-sm font-medium text-slate-700 mb-2">Recent runs</p>
+            <ul className="text-sm divide-y divide-slate-100">
+              {runs.map((run) => (
+                <li key={run.id} className="py-1.5 flex items-center gap-3">
+                  <span className="text-slate-500 w-44 shrink-0">{formatWhen(run.started_at)}</span>
+                  <span className="flex-1 min-w-0 truncate">
+                    {labels[run.job_key] || run.job_key}
+                    <span className="text-slate-500"> · {TRIGGER_LABELS[run.trigger] || run.trigger}</span>
+                    {run.error && <span className="text-red-700"> · {run.error}</span>}
+                  </span>
+                  <span className="text-slate-500">{run.duration_ms} ms</span>
+                  <Badge className={RUN_STATUS_BADGE[run.status]}>
+                    {run.status === 'SUCCESS' ? 'OK' : 'Failed'}
+                  </Badge>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
 export default function SystemHealth() {
   const [includeFreeText, setIncludeFreeText] = useState(false);
 
@@ -97,6 +281,11 @@ export default function SystemHealth() {
     refetchInterval: 60000,
   });
 
+  const { data: user } = useQuery({
+    queryKey: ['user'],
+    queryFn: () => api.auth.me(),
+  });
+
   const { data: migrations } = useQuery({
     queryKey: ['migrationStatus'],
     queryFn: () => api.system.getMigrationStatus(),
@@ -254,6 +443,8 @@ export default function SystemHealth() {
         </Card>
       )}
 
+      {user?.role === 'admin' && <ScheduledJobs />}
+
       <Card>
         <CardHeader className="pb-2">
           <CardTitle className="text-base flex items-center gap-2">
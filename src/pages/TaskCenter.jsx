@@ -6,23 +6,15 @@ import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Input } from '@/components/ui/input';
 import {
   ListTodo, RefreshCw, Play, Clock, CheckCircle, AlertTriangle,
-  ExternalLink, ArrowUpCircle, Zap, CircleDot
+  ExternalLink, ArrowUpCircle, Zap, CircleDot, Timer, CalendarDays, Trash2, UserCheck, Users, Lock, ClipboardList
 } from 'lucide-react';
+import { toast } from 'sonner';
 import { createPageUrl, formatDate } from '@/utils';
 import { api } from '@/api/apiClient';
-
-const TASK_TYPE_LABELS = {
-  EVALUATION_RENEWAL: 'Evaluation Renewal',
-  BARRIER_RESOLUTION: 'Barrier Resolution',
-  DOCUMENTATION_UPDATE: 'Documentation Update',
-  LAB_FOLLOWUP: 'Lab Follow-up',
-  AHHQ_COMPLETION: 'aHHQ Completion',
-  COORDINATOR_REVIEW: 'Coordinator Review',
-  RISK_MITIGATION: 'Risk Mitigation',
-  GENERAL: 'General',
-};
+import { TASK_TYPE_LABELS, TaskTemplates } from '@/components/tasks';
 
 const PRIORITY_STYLES = {
   urgent: 'bg-red-100 text-red-700 border-red-200',
@@ -40,11 +32,413 @@ const STATUS_STYLES = {
   cancelled: 'bg-slate-100 text-slate-500',
 };
 
+const ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: 'Round-robin',
+  LEAST_LOADED: 'Least loaded',
+  PRIMARY_COORDINATOR: "Patient's primary coordinator",
+  AFFINITY: 'Skill / organ program',
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Business hours left under which a task's SLA is flagged as due soon
+const SLA_DUE_SOON_HOURS = 8;
+
+function formatBusinessHours(hours) {
+  const abs = Math.abs(hours);
+  if (abs < 1) return `${Math.round(abs * 60)}m`;
+  return `${Math.round(abs * 10) / 10}h`;
+}
+
+/** Business time left on a task's SLA clock, counted on the working calendar. */
+function SlaBadge({ sla }) {
+  if (!sla) return null;
+  if (sla.breached) {
+    return (
+      <Badge className="bg-red-100 text-red-700">
+        <Timer className="w-3 h-3 mr-1" /> SLA breached {formatBusinessHours(sla.remaining_hours)} ago
+      </Badge>
+    );
+  }
+  const soon = sla.remaining_hours <= SLA_DUE_SOON_HOURS;
+  return (
+    <Badge className={soon ? 'bg-amber-100 text-amber-700' : 'bg-slate-100 text-slate-600'}>
+      <Timer className="w-3 h-3 mr-1" /> {formatBusinessHours(sla.remaining_hours)} business left
+    </Badge>
+  );
+}
+
+const periodsToText = (periods = []) => periods.map(([start, end]) => `${start}-${end}`).join(', ');
+
+function textToPeriods(text) {
+  return text.split(',').map((p) => p.trim()).filter(Boolean).map((p) => p.split('-').map((t) => t.trim()));
+}
+
+/**
+ * The organization's working calendar. SLA clocks and escalation rules count
+ * only these hours, so everyone can see it; only administrators can change it.
+ */
+function WorkingCalendar({ isAdmin }) {
+  const queryClient = useQueryClient();
+  const [hoursDraft, setHoursDraft] = useState(null);
+  const [holiday, setHoliday] = useState({ date: '', name: '' });
+  const [onCall, setOnCall] = useState({ starts_at: '', ends_at: '', label: '' });
+
+  const { data: calendar, isLoading } = useQuery({
+    queryKey: ['workCalendar'],
+    queryFn: () => api.calendar.get(),
+  });
+
+  const calendarMutation = useMutation({
+    mutationFn: ({ action, payload }) => api.calendar[action](payload),
+    onSuccess: (_result, { action }) => {
+      queryClient.invalidateQueries({ queryKey: ['workCalendar'] });
+      queryClient.invalidateQueries({ queryKey: ['allTasks'] });
+      queryClient.invalidateQueries({ queryKey: ['tasksDashboard'] });
+      if (action === 'saveHours') setHoursDraft(null);
+      if (action === 'addHoliday') setHoliday({ date: '', name: '' });
+      if (action === 'addOnCall') setOnCall({ starts_at: '', ends_at: '', label: '' });
+      toast.success('Working calendar updated');
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  if (isLoading || !calendar) {
+    return (
+      <div className="flex justify-center py-12">
+        <RefreshCw className="w-6 h-6 animate-spin text-cyan-600" />
+      </div>
+    );
+  }
+
+  const draft = hoursDraft || Object.fromEntries(WEEKDAYS.map((_, day) => [day, periodsToText(calendar.hours[day])]));
+  const busy = calendarMutation.isPending;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <Card className="lg:col-span-2">
+        <CardHeader>
+          <CardTitle>Business Hours</CardTitle>
+          <CardDescription>
+            {calendar.is_default ? 'Default hours — not yet set for this organization. ' : ''}
+            Task SLAs, escalation rules, barrier targets and offer response windows count only these hours.
+            Enter periods as HH:MM-HH:MM, comma-separated; leave a day empty when closed.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {WEEKDAYS.map((name, day) => (
+            <div key={name} className="flex items-center gap-3">
+              <label htmlFor={`hours-${day}`} className="w-28 text-sm text-slate-600">{name}</label>
+              <Input id={`hours-${day}`} value={draft[day]} disabled={!isAdmin} placeholder="Closed"
+                onChange={(e) => setHoursDraft({ ...draft, [day]: e.target.value })} />
+            </div>
+          ))}
+          {isAdmin && (
+            <div className="flex justify-end">
+              <Button size="sm" disabled={!hoursDraft || busy}
+                onClick={() => calendarMutation.mutate({
+                  action: 'saveHours',
+                  payload: Object.fromEntries(Object.entries(draft).map(([day, text]) => [day, textToPeriods(text)])),
+                })}>
+                Save hours
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Holidays</CardTitle>
+          <CardDescription>No business hours run on a holiday unless on-call cover is set.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {calendar.holidays.length === 0 ? (
+            <p className="text-sm text-slate-400">No holidays set</p>
+          ) : calendar.holidays.map((h) => (
+            <div key={h.id} className="flex items-center justify-between p-2 bg-slate-50 rounded-lg text-sm">
+              <span><span className="font-medium">{formatDate(h.date)}</span> — {h.name}</span>
+              {isAdmin && (
+                <Button size="sm" variant="ghost" aria-label={`Remove ${h.name}`} disabled={busy}
+                  onClick={() => calendarMutation.mutate({ action: 'removeHoliday', payload: h.id })}>
+                  <Trash2 className="w-3 h-3" />
+                </Button>
+              )}
+            </div>
+          ))}
+          {isAdmin && (
+            <div className="flex gap-2">
+              <Input type="date" aria-label="Holiday date" value={holiday.date}
+                onChange={(e) => setHoliday({ ...holiday, date: e.target.value })} />
+              <Input aria-label="Holiday name" placeholder="Name" value={holiday.name}
+                onChange={(e) => setHoliday({ ...holiday, name: e.target.value })} />
+              <Button size="sm" disabled={!holiday.date || !holiday.name || busy}
+                onClick={() => calendarMutation.mutate({ action: 'addHoliday', payload: holiday })}>
+                Add
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>On-Call Cover</CardTitle>
+          <CardDescription>Counts as business time, including on weekends and holidays.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {calendar.on_call.length === 0 ? (
+            <p className="text-sm text-slate-400">No on-call cover set</p>
+          ) : calendar.on_call.map((w) => (
+            <div key={w.id} className="flex items-center justify-between p-2 bg-slate-50 rounded-lg text-sm">
+              <span>
+                {new Date(w.starts_at).toLocaleString()} – {new Date(w.ends_at).toLocaleString()}
+                {w.label && <span className="text-slate-500"> · {w.label}</span>}
+              </span>
+              {isAdmin && (
+                <Button size="sm" variant="ghost" aria-label="Remove on-call cover" disabled={busy}
+                  onClick={() => calendarMutation.mutate({ action: 'removeOnCall', payload: w.id })}>
+                  <Trash2 className="w-3 h-3" />
+                </Button>
+              )}
+            </div>
+          ))}
+          {isAdmin && (
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                <Input type="datetime-local" aria-label="On-call starts" value={onCall.starts_at}
+                  onChange={(e) => setOnCall({ ...onCall, starts_at: e.target.value })} />
+                <Input type="datetime-local" aria-label="On-call ends" value={onCall.ends_at}
+                  onChange={(e) => setOnCall({ ...onCall, ends_at: e.target.value })} />
+              </div>
+              <div className="flex gap-2">
+                <Input aria-label="On-call label" placeholder="Label (optional)" value={onCall.label}
+                  onChange={(e) => setOnCall({ ...onCall, label: e.target.value })} />
+                <Button size="sm" disabled={!onCall.starts_at || !onCall.ends_at || busy}
+                  onClick={() => calendarMutation.mutate({
+                    action: 'addOnCall',
+                    payload: {
+                      starts_at: new Date(onCall.starts_at).toISOString(),
+                      ends_at: new Date(onCall.ends_at).toISOString(),
+                      label: onCall.label || null,
+                    },
+                  })}>
+                  Add
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+/**
+ * Who new tasks are routed to. Policies choose a strategy per task type, with
+ * '*' as the default; without one, tasks stay with their role queue. Everyone
+ * can see the assignees and who is away; administrators change the policies,
+ * profiles and move a leaver's open tasks.
+ */
+function TaskAssignment({ currentUser }) {
+  const queryClient = useQueryClient();
+  const isAdmin = currentUser?.role === 'admin';
+  const [away, setAway] = useState({ user_id: '', starts_at: '', ends_at: '', reason: '' });
+  const [reassignTo, setReassignTo] = useState({});
+
+  const { data: policies = [] } = useQuery({
+    queryKey: ['assignmentPolicies'],
+    queryFn: () => api.assignment.listPolicies(),
+  });
+  const { data: assignees = [], isLoading } = useQuery({
+    queryKey: ['assignees'],
+    queryFn: () => api.assignment.listAssignees(),
+  });
+  const { data: outOfOffice = [] } = useQuery({
+    queryKey: ['outOfOffice'],
+    queryFn: () => api.assignment.listOutOfOffice(),
+  });
+
+  const assignmentMutation = useMutation({
+    mutationFn: ({ action, payload }) => api.assignment[action](payload),
+    onSuccess: (result, { action }) => {
+      queryClient.invalidateQueries({ queryKey: ['assignmentPolicies'] });
+      queryClient.invalidateQueries({ queryKey: ['assignees'] });
+      queryClient.invalidateQueries({ queryKey: ['outOfOffice'] });
+      if (action === 'reassign') {
+        queryClient.invalidateQueries({ queryKey: ['allTasks'] });
+        toast.success(`Reassigned ${result.reassigned.length} task(s); ${result.unassigned.length} returned to the role queue`);
+        return;
+      }
+      if (action === 'addOutOfOffice') setAway({ user_id: '', starts_at: '', ends_at: '', reason: '' });
+      toast.success('Task assignment updated');
+    },
+    onError: (err) => toast.error(err.message),
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-12">
+        <RefreshCw className="w-6 h-6 animate-spin text-cyan-600" />
+      </div>
+    );
+  }
+
+  const busy = assignmentMutation.isPending;
+  const strategyFor = (taskType) => policies.find((p) => p.task_type === taskType)?.strategy || '';
+  const setPolicy = (taskType, strategy) => assignmentMutation.mutate(strategy
+    ? { action: 'savePolicy', payload: { task_type: taskType, strategy } }
+    : { action: 'deletePolicy', payload: taskType });
+  const awayUserId = isAdmin ? away.user_id : currentUser?.id;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>Assignment Policies</CardTitle>
+          <CardDescription>
+            New tasks, manual and auto-generated, are routed to a person by these strategies. Staff who are
+            out of office or not accepting tasks are skipped; if nobody fits, the least-loaded available person is used.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {[['*', 'Default (all types)'], ...Object.entries(TASK_TYPE_LABELS)].map(([type, label]) => (
+            <div key={type} className="flex items-center gap-3">
+              <label htmlFor={`policy-${type}`} className="w-44 text-sm text-slate-600">{label}</label>
+              <select id={`policy-${type}`} value={strategyFor(type)} disabled={!isAdmin || busy}
+                onChange={(e) => setPolicy(type, e.target.value)}
+                className="flex-1 px-3 py-1.5 text-sm border rounded-md bg-white">
+                <option value="">{type === '*' ? 'Not routed (role queue)' : 'Use default'}</option>
+                {Object.entries(ASSIGNMENT_STRATEGIES).map(([val, name]) => (
+                  <option key={val} value={val}>{name}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Out of Office</CardTitle>
+          <CardDescription>No new tasks are routed to someone while they are away.</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {outOfOffice.length === 0 ? (
+            <p className="text-sm text-slate-400">Nobody is away</p>
+          ) : outOfOffice.map((o) => (
+            <div key={o.id} className="flex items-center justify-between p-2 bg-slate-50 rounded-lg text-sm">
+              <span>
+                <span className="font-medium">{o.full_name || o.email}</span>{' '}
+                {new Date(o.starts_at).toLocaleString()} – {new Date(o.ends_at).toLocaleString()}
+                {o.reason && <span className="text-slate-500"> · {o.reason}</span>}
+              </span>
+              {(isAdmin || o.user_id === currentUser?.id) && (
+                <Button size="sm" variant="ghost" aria-label={`Remove out-of-office for ${o.full_name || o.email}`}
+                  disabled={busy} onClick={() => assignmentMutation.mutate({ action: 'removeOutOfOffice', payload: o.id })}>
+                  <Trash2 className="w-3 h-3" />
+                </Button>
+              )}
+            </div>
+          ))}
+          <div className="space-y-2">
+            {isAdmin && (
+              <select aria-label="Away user" value={away.user_id}
+                onChange={(e) => setAway({ ...away, user_id: e.target.value })}
+                className="w-full px-3 py-1.5 text-sm border rounded-md bg-white">
+                <option value="">Select a person</option>
+                {assignees.map((a) => <option key={a.user_id} value={a.user_id}>{a.full_name || a.email}</option>)}
+              </select>
+            )}
+            <div className="flex gap-2">
+              <Input type="datetime-local" aria-label="Away from" value={away.starts_at}
+                onChange={(e) => setAway({ ...away, starts_at: e.target.value })} />
+              <Input type="datetime-local" aria-label="Away until" value={away.ends_at}
+                onChange={(e) => setAway({ ...away, ends_at: e.target.value })} />
+            </div>
+            <div className="flex gap-2">
+              <Input aria-label="Away reason" placeholder="Reason (optional)" value={away.reason}
+                onChange={(e) => setAway({ ...away, reason: e.target.value })} />
+              <Button size="sm" disabled={!awayUserId || !away.starts_at || !away.ends_at || busy}
+                onClick={() => assignmentMutation.mutate({
+                  action: 'addOutOfOffice',
+                  payload: {
+                    user_id: awayUserId,
+                    starts_at: new Date(away.starts_at).toISOString(),
+                    ends_at: new Date(away.ends_at).toISOString(),
+                    reason: away.reason || null,
+                  },
+                })}>
+                {isAdmin ? 'Add' : 'Mark me away'}
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      <Card className="lg:col-span-2">
+        <CardHeader>
+          <CardTitle>Assignees</CardTitle>
+          <CardDescription>
+            Open task load, skills (task types) and organ programs used by the affinity strategy.
+            When someone leaves, move their open tasks to a named person or re-route each one.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {assignees.length === 0 ? (
+            <p className="text-sm text-slate-400">No active coordinators, physicians or administrators</p>
+          ) : assignees.map((a) => (
+            <div key={a.user_id} className="flex flex-wrap items-center justify-between gap-2 p-3 bg-slate-50 rounded-lg">
+              <div className="text-sm">
+                <div className="font-medium text-slate-900 flex items-center gap-2">
+                  {a.full_name || a.email}
+                  <span className="text-slate-500 capitalize font-normal">{a.role}</span>
+                  {a.out_of_office && <Badge className="bg-amber-100 text-amber-700">Away</Badge>}
+                  {!a.accepts_assignments && <Badge className="bg-slate-200 text-slate-600">Not accepting</Badge>}
+                </div>
+                <div className="text-slate-500">
+                  {a.open_tasks} open
+                  {a.organ_programs.length > 0 && <> · {a.organ_programs.join(', ')}</>}
+                  {a.skills.length > 0 && <> · {a.skills.map((s) => TASK_TYPE_LABELS[s] || s).join(', ')}</>}
+                </div>
+              </div>
+              {isAdmin && a.open_tasks > 0 && (
+                <div className="flex gap-2">
+                  <select aria-label={`Reassign ${a.full_name || a.email} to`} value={reassignTo[a.user_id] || ''}
+                    onChange={(e) => setReassignTo({ ...reassignTo, [a.user_id]: e.target.value })}
+                    className="px-3 py-1.5 text-sm border rounded-md bg-white">
+                    <option value="">Re-route each task</option>
+                    {assignees.filter((b) => b.user_id !== a.user_id).map((b) => (
+                      <option key={b.user_id} value={b.user_id}>{b.full_name || b.email}</option>
+                    ))}
+                  </select>
+                  <Button size="sm" variant="outline" disabled={busy}
+                    onClick={() => assignmentMutation.mutate({
+                      action: 'reassign',
+                      payload: { from_user_id: a.user_id, to_user_id: reassignTo[a.user_id] || null },
+                    })}>
+                    <Users className="w-3 h-3 mr-1" /> Reassign open tasks
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
 export default function TaskCenter() {
   const queryClient = useQueryClient();
   const [statusFilter, setStatusFilter] = useState('active');
   const [typeFilter, setTypeFilter] = useState('all');
 
+  const { data: user } = useQuery({
+    queryKey: ['user'],
+    queryFn: () => api.auth.me(),
+  });
+
   const { data: dashboard, isLoading, isError, error } = useQuery({
     queryKey: ['tasksDashboard'],
     queryFn: () => api.tasks.getDashboard(),
@@ -194,6 +588,15 @@ export default function TaskCenter() {
           <TabsList>
             <TabsTrigger value="tasks">Task List</TabsTrigger>
             <TabsTrigger value="distribution">Distribution</TabsTrigger>
+            <TabsTrigger value="calendar">
+              <CalendarDays className="w-4 h-4 mr-1" /> Working Calendar
+            </TabsTrigger>
+            <TabsTrigger value="assignment">
+              <UserCheck className="w-4 h-4 mr-1" /> Assignment
+            </TabsTrigger>
+            <TabsTrigger value="protocols">
+              <ClipboardList className="w-4 h-4 mr-1" /> Protocols
+            </TabsTrigger>
           </TabsList>
 
           <TabsContent value="tasks">
@@ -254,6 +657,12 @@ export default function TaskCenter() {
                                   <ArrowUpCircle className="w-3 h-3 mr-1" /> Level {task.escalation_level}
                                 </Badge>
                               )}
+                              {task.blocked ? (
+                                <Badge className="bg-slate-200 text-slate-600">
+                                  <Lock className="w-3 h-3 mr-1" /> Blocked
+                                </Badge>
+                              ) : null}
+                              <SlaBadge sla={task.sla} />
                             </div>
                             <h4 className="font-medium text-slate-900 truncate">{task.title}</h4>
                             <div className="flex items-center gap-3 mt-1 text-sm text-slate-500">
@@ -273,16 +682,21 @@ export default function TaskCenter() {
                               {task.assigned_role && (
                                 <span className="capitalize">{task.assigned_role.replace('_', ' ')}</span>
                               )}
+                              {(task.assignee_name || task.assignee_email) && (
+                                <span className="flex items-center gap-1">
+                                  <UserCheck className="w-3 h-3" /> {task.assignee_name || task.assignee_email}
+                                </span>
+                              )}
                             </div>
                           </div>
                           <div className="flex gap-1 ml-2">
-                            {task.status === 'pending' && (
+                            {task.status === 'pending' && !task.blocked && (
                               <Button size="sm" variant="outline"
                                 onClick={() => updateTaskMutation.mutate({ taskId: task.id, updates: { status: 'in_progress' } })}>
                                 <Play className="w-3 h-3 mr-1" /> Start
                               </Button>
                             )}
-                            {['pending', 'in_progress', 'overdue', 'escalated'].includes(task.status) && (
+                            {['pending', 'in_progress', 'overdue', 'escalated'].includes(task.status) && !task.blocked && (
                               <Button size="sm" variant="outline" className="text-green-600 border-green-200 hover:bg-green-50"
                                 onClick={() => updateTaskMutation.mutate({ taskId: task.id, updates: { status: 'completed' } })}>
                                 <CheckCircle className="w-3 h-3 mr-1" /> Complete
@@ -377,6 +791,18 @@ export default function TaskCenter() {
               </Card>
             </div>
           </TabsContent>
+
+          <TabsContent value="calendar">
+            <WorkingCalendar isAdmin={user?.role === 'admin'} />
+          </TabsContent>
+
+          <TabsContent value="assignment">
+            <TaskAssignment currentUser={user} />
+          </TabsContent>
+
+          <TabsContent value="protocols">
+            <TaskTemplates isAdmin={user?.role === 'admin'} />
+          </TabsContent>
         </Tabs>
       </div>
     </div>
@@ -69,7 +69,8 @@ function setupDB() {
       functional_status TEXT, prognosis_rating TEXT, meld_score REAL, las_score REAL,
       pra_percentage REAL, cpra_percentage REAL, comorbidity_score REAL,
       previous_transplants INTEGER DEFAULT 0, compliance_score REAL,
-      hla_typing TEXT, weight_kg REAL, height_cm REAL,
+      hla_typing TEXT, unacceptable_antigens TEXT, hla_antibodies TEXT, a2_to_b_eligible INTEGER DEFAULT 0,
+      weight_kg REAL, height_cm REAL,
       created_by TEXT, created_at TEXT DEFAULT (datetime('now')),
       updated_at TEXT DEFAULT (datetime('now'))
     );
@@ -81,20 +82,32 @@ function setupDB() {
       description TEXT, created_at TEXT, updated_at TEXT
     );
     CREATE TABLE donor_organs (
-      id TEXT PRIMARY KEY, org_id TEXT, donor_id TEXT, organ_type TEXT, blood_type TEXT,
-      organ_status TEXT, hla_typing TEXT, donor_age INTEGER, donor_weight_kg REAL,
+      id TEXT PRIMARY KEY, org_id TEXT, donor_id TEXT, organ_type TEXT, blood_type TEXT, abo_subtype TEXT,
+      organ_status TEXT, hla_typing TEXT, donor_age INTEGER, donor_weight_kg REAL, donor_height_cm REAL, distance_nm REAL,
       created_at TEXT DEFAULT (datetime('now')), updated_at TEXT
     );
     CREATE TABLE matches (
       id TEXT PRIMARY KEY, org_id TEXT, donor_organ_id TEXT, patient_id TEXT, patient_name TEXT,
       compatibility_score REAL, blood_type_compatible INTEGER, abo_compatible INTEGER,
       hla_match_score REAL, hla_a_match INTEGER, hla_b_match INTEGER,
-      hla_dr_match INTEGER, hla_dq_match INTEGER,
+      hla_dr_match INTEGER, hla_dq_match INTEGER, hla_mismatches TEXT,
       size_compatible INTEGER, match_status TEXT, priority_rank INTEGER,
       virtual_crossmatch_result TEXT, physical_crossmatch_result TEXT,
-      predicted_graft_survival REAL, created_by TEXT,
+      predicted_graft_survival REAL, policy_id TEXT, policy_version INTEGER, match_run_id TEXT, created_by TEXT,
       created_at TEXT DEFAULT (datetime('now'))
     );
+    CREATE TABLE match_policies (
+      id TEXT PRIMARY KEY, org_id TEXT NOT NULL, organ_type TEXT NOT NULL, version INTEGER NOT NULL,
+      name TEXT NOT NULL, definition TEXT NOT NULL, change_note TEXT, is_active INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT, created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE(org_id, organ_type, version)
+    );
+    CREATE TABLE match_runs (
+      id TEXT PRIMARY KEY, org_id TEXT NOT NULL, donor_organ_id TEXT NOT NULL, organ_type TEXT NOT NULL,
+      policy_id TEXT NOT NULL, policy_version INTEGER NOT NULL, mfi_threshold REAL,
+      donor TEXT NOT NULL, candidates TEXT NOT NULL, results TEXT NOT NULL, ranked_count INTEGER NOT NULL DEFAULT 0,
+      run_at TEXT NOT NULL, run_by TEXT, created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
     CREATE TABLE notifications (
       id TEXT PRIMARY KEY, org_id TEXT, recipient_email TEXT, title TEXT, message TEXT,
       notification_type TEXT, is_read INTEGER DEFAULT 0, priority_level TEXT,
@@ -180,6 +193,7 @@ function seedAdmin() {
 // load functions module
 
 const functions = require('../electron/functions/index.cjs');
+const matchRuns = require('../electron/services/matchRuns.cjs');
 const mockContext = () => ({
   db,
   currentUser: { id: 'u1', email: 'admin@test.com', role: 'admin', org_id: 'ORG1' },
@@ -310,6 +324,68 @@ async function runTests() {
     assert(hypoResult.simulation_mode, 'Should be simulation');
   });
 
+  // pCompat2 is sensitised to B8, which the hypothetical donor carries.
+  db.prepare('UPDATE patients SET unacceptable_antigens = ? WHERE id = ?').run('["B8"]', pCompat2.id);
+  const sensitisedResult = await functions.matchDonorAdvanced({
+    simulation_mode: true,
+    hypothetical_donor: { organ_type: 'kidney', blood_type: 'O-', hla_typing: 'A1 A2 B7 B8 DR4 DR17' },
+  }, mockContext());
+
+  await test('2.7: Positive virtual crossmatch excludes the candidate and names the antigen', () => {
+    assert(!sensitisedResult.matches.some(m => m.patient_id === pCompat2.id), 'Sensitised candidate should be excluded');
+    const excluded = sensitisedResult.crossmatch_positive.find(x => x.patient_id === pCompat2.id);
+    assert(excluded, 'Exclusion should be reported');
+    assertEqual(excluded.conflicts[0].antigen, 'B8', 'Offending antigen should be named');
+    const other = sensitisedResult.matches.find(m => m.patient_id === pCompat1.id);
+    assertEqual(other.virtual_crossmatch, 'pending', 'No antibody record is pending, not negative');
+  });
+
+  await test('2.8: A run reports the policy version it used', () => {
+    assertEqual(matchResult.policy.organ_type, 'kidney', 'Policy should be the organ\'s');
+    assertEqual(matchResult.policy.version, 1, 'Built-in policy is version 1');
+    const stored = db.prepare('SELECT id FROM match_policies WHERE org_id = ? AND organ_type = ? AND is_active = 1').get('ORG1', 'kidney');
+    assertEqual(matchResult.policy.id, stored.id, 'Policy should be the stored active version');
+  });
+
+  // A stored run names the policy version on each match row.
+  const storedDonor = seedDonor({ blood_type: 'O-', organ_type: 'kidney' });
+  const storedRun = await functions.matchDonorAdvanced({ donor_organ_id: storedDonor.id }, mockContext());
+
+  await test('2.9: Stored matches record the policy version', () => {
+    const rows = db.prepare('SELECT policy_id, policy_version FROM matches WHERE donor_organ_id = ?').all(storedDonor.id);
+    assert(rows.length > 0, 'Matches should be stored');
+    rows.forEach(r => {
+      assertEqual(r.policy_id, storedRun.policy.id, 'Row should name the policy');
+      assertEqual(r.policy_version, 1, 'Row should name the version');
+    });
+  });
+
+  await test('2.10: A stored run keeps a snapshot that replays to the same ranks', () => {
+    const run = matchRuns.getRun(db, storedRun.match_run_id, 'ORG1');
+    assert(run, 'Snapshot should be stored');
+    assertEqual(run.donor_organ_id, storedDonor.id, 'Snapshot should be the donor organ\'s');
+    assertEqual(run.ranked_count, storedRun.total_matches, 'Snapshot should hold every ranked candidate');
+    const rows = db.prepare('SELECT DISTINCT match_run_id FROM matches WHERE donor_organ_id = ?').all(storedDonor.id);
+    assertEqual(rows.length, 1, 'Every match row should name one run');
+    assertEqual(rows[0].match_run_id, run.id, 'Match rows should name the snapshot');
+    assertEqual(hypoResult.match_run_id, null, 'A simulation keeps no snapshot');
+    const replayed = matchRuns.replay(db, run.id, 'ORG1');
+    assert(replayed.identical, 'Replay should match the stored run');
+    db.prepare('DELETE FROM matches').run();
+  });
+
+  await test('2.11: An MFI threshold that is not a number, 0 or more, is refused', async () => {
+    for (const mfi_threshold of ['2000', -1, NaN, Infinity, {}]) {
+      let message = null;
+      try {
+        await functions.matchDonorAdvanced({ donor_organ_id: storedDonor.id, simulation_mode: true, mfi_threshold }, mockContext());
+      } catch (e) { message = e.message; }
+      assertEqual(message, 'mfi_threshold must be a number, 0 or more', `Should refuse ${String(mfi_threshold)}`);
+    }
+    const zero = await functions.matchDonorAdvanced({ donor_organ_id: storedDonor.id, simulation_mode: true, mfi_threshold: 0 }, mockContext());
+    assert(zero.success, 'A threshold of 0 should be accepted');
+  });
+
   // 3. fhir validation
   console.log('\nSuite 3: FHIR Validation');
   console.log('------------------------');
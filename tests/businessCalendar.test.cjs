@@ -0,0 +1,243 @@
+/**
+ * TransTrack — working calendars and business-time SLA clocks: weekly hours,
+ * holidays, on-call cover, and escalation counted in business hours.
+ *
+ * Run with: node tests/businessCalendar.test.cjs
+ */
+
+'use strict';
+
+// Calendars are evaluated in local time; pin it so hours are stable.
+process.env.TZ = 'UTC';
+
+const assert = require('assert');
+const Database = require('better-sqlite3-multiple-ciphers');
+
+require.cache[require.resolve('electron')] = {
+  id: 'electron', filename: 'electron', loaded: true,
+  exports: {
+    app: { getPath: () => __dirname, isPackaged: false, getVersion: () => '1.2.0-test' },
+    safeStorage: { isEncryptionAvailable: () => false },
+  },
+};
+
+const loggerPath = require.resolve('../electron/services/logger.cjs');
+require.cache[loggerPath] = {
+  id: loggerPath, filename: loggerPath, loaded: true,
+  exports: { logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} } },
+};
+
+const initModule = require('../electron/database/init.cjs');
+const { createSchema, createIndexes } = require('../electron/database/schema.cjs');
+const { MIGRATIONS } = require('../electron/database/migrations.cjs');
+
+let db;
+initModule.getDatabase = () => db;
+const calendar = require('../electron/services/businessCalendar.cjs');
+const taskEngine = require('../electron/services/taskEngine.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+function freshDb() {
+  db = new Database(':memory:');
+  createSchema(db);
+  createIndexes(db);
+  MIGRATIONS.find((m) => m.name === 'add_working_calendars').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_task_assignment').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_task_templates').up(db);
+  db.exec("INSERT INTO organizations (id, name) VALUES ('ORG1', 'One'), ('ORG2', 'Two')");
+  return db;
+}
+
+const at = (iso) => new Date(iso);
+const iso = (d) => d.toISOString();
+const CLOSED = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+
+// 2026-03-06 is a Friday.
+const FRIDAY_EVENING = '2026-03-06T18:00:00Z';
+
+console.log('\n=== Business time ===');
+
+test('the default calendar is Monday to Friday 08:00-17:00', () => {
+  const cal = calendar.compile();
+  assert.strictEqual(calendar.businessHoursBetween(cal, '2026-03-02T00:00:00Z', '2026-03-09T00:00:00Z'), 45);
+  assert.strictEqual(calendar.businessHoursBetween(cal, '2026-03-02T12:00:00Z', '2026-03-02T10:00:00Z'), -2);
+});
+
+test('a task due Friday evening runs no clock until Monday morning', () => {
+  const cal = calendar.compile();
+  assert.strictEqual(calendar.businessHoursBetween(cal, FRIDAY_EVENING, '2026-03-09T07:59:00Z'), 0);
+  assert.strictEqual(calendar.businessHoursBetween(cal, FRIDAY_EVENING, '2026-03-09T10:00:00Z'), 2);
+  assert.strictEqual(iso(calendar.addBusinessHours(cal, FRIDAY_EVENING, 4)), '2026-03-09T12:00:00.000Z');
+});
+
+test('a holiday is closed unless on-call cover is set', () => {
+  const holiday = calendar.compile({ holidays: ['2026-03-09'] });
+  assert.strictEqual(iso(calendar.addBusinessHours(holiday, FRIDAY_EVENING, 4)), '2026-03-10T12:00:00.000Z');
+
+  const covered = calendar.compile({
+    holidays: [{ date: '2026-03-09' }],
+    onCall: [{ starts_at: '2026-03-07T09:00:00Z', ends_at: '2026-03-07T11:00:00Z' }],
+  });
+  assert.strictEqual(calendar.businessHoursBetween(covered, FRIDAY_EVENING, '2026-03-09T23:00:00Z'), 2);
+  assert.strictEqual(iso(calendar.addBusinessHours(covered, FRIDAY_EVENING, 3)), '2026-03-10T09:00:00.000Z');
+});
+
+test('on-call cover overlapping business hours is not counted twice', () => {
+  const cal = calendar.compile({ onCall: [{ starts_at: '2026-03-02T16:00:00Z', ends_at: '2026-03-02T20:00:00Z' }] });
+  assert.strictEqual(calendar.businessHoursBetween(cal, '2026-03-02T00:00:00Z', '2026-03-03T00:00:00Z'), 12);
+});
+
+test('a 24:00 end runs to midnight', () => {
+  const cal = calendar.compile({ hours: { ...CLOSED, 6: [['20:00', '24:00']] } });
+  assert.strictEqual(calendar.businessHoursBetween(cal, '2026-03-07T00:00:00Z', '2026-03-08T12:00:00Z'), 4);
+});
+
+test('SLA clocks count down in business time and go negative once breached', () => {
+  const cal = calendar.compile();
+  assert.deepStrictEqual(calendar.slaFor(cal, '2026-03-09T10:00:00Z', at(FRIDAY_EVENING)),
+    { due_at: '2026-03-09T10:00:00.000Z', remaining_hours: 2, breached: false });
+  const late = calendar.slaFor(cal, FRIDAY_EVENING, at('2026-03-09T11:30:00Z'));
+  assert.strictEqual(late.breached, true);
+  assert.strictEqual(late.remaining_hours, -3.5);
+  assert.strictEqual(calendar.slaFor(cal, null), null);
+});
+
+test('a date-only due falls due at the end of that day; SQLite datetimes are UTC', () => {
+  const cal = calendar.compile();
+  assert.strictEqual(calendar.slaFor(cal, '2026-03-06', at('2026-03-06T16:00:00Z')).due_at, '2026-03-07T00:00:00.000Z');
+  assert.strictEqual(calendar.slaFor(cal, '2026-03-06', at('2026-03-06T16:00:00Z')).remaining_hours, 1);
+  assert.strictEqual(calendar.slaFor(cal, '2026-03-06 12:00:00', at(FRIDAY_EVENING)).due_at, '2026-03-06T12:00:00.000Z');
+});
+
+test('hours are validated', () => {
+  assert.throws(() => calendar.normaliseHours([]), /weekday 0-6/);
+  assert.throws(() => calendar.normaliseHours({ 1: [['8:00', '17:00']] }), /HH:MM/);
+  assert.throws(() => calendar.normaliseHours({ 1: [['17:00', '08:00']] }), /end after/);
+  assert.deepStrictEqual(calendar.normaliseHours({ 1: [{ start: '13:00', end: '17:00' }, ['08:00', '12:00']] })[1],
+    [['08:00', '12:00'], ['13:00', '17:00']]);
+});
+
+test('a calendar with no working time refuses to compute a deadline', () => {
+  assert.throws(() => calendar.addBusinessHours(calendar.compile({ hours: CLOSED }), FRIDAY_EVENING, 1),
+    /no business hours/);
+});
+
+console.log('\n=== Stored calendars ===');
+
+test('an organization without hours gets the default, and saved hours are its own', () => {
+  freshDb();
+  assert.strictEqual(calendar.getCalendar('ORG1').is_default, true);
+  const saved = calendar.saveHours('ORG1', { 6: [['09:00', '12:00']] }, 'admin@x.org');
+  assert.strictEqual(saved.is_default, false);
+  assert.deepStrictEqual(saved.hours[6], [['09:00', '12:00']]);
+  assert.deepStrictEqual(saved.hours[1], []);
+  assert.strictEqual(calendar.getCalendar('ORG2').is_default, true);
+});
+
+test('holidays and on-call cover are per organization and validated', () => {
+  freshDb();
+  const h = calendar.addHoliday('ORG1', { date: '2026-12-25', name: 'Christmas Day' }, 'admin@x.org');
+  assert.throws(() => calendar.addHoliday('ORG1', { date: '2026-12-25', name: 'Again' }), /already a holiday/);
+  assert.throws(() => calendar.addHoliday('ORG1', { date: '25/12/2026', name: 'Bad' }), /YYYY-MM-DD/);
+  assert.throws(() => calendar.removeHoliday('ORG2', h.id), /not found/);
+  assert.throws(() => calendar.addOnCall('ORG1', { starts_at: '2026-03-07T10:00:00Z', ends_at: '2026-03-07T09:00:00Z' }),
+    /end after/);
+  calendar.addOnCall('ORG1', { starts_at: '2026-03-07T09:00:00Z', ends_at: '2026-03-07T11:00:00Z', label: 'Dr A' });
+  assert.strictEqual(calendar.getCalendar('ORG2').on_call.length, 0);
+  const cal = calendar.loadCalendar('ORG1');
+  assert.strictEqual(calendar.businessHoursBetween(cal, '2026-12-25T00:00:00Z', '2026-12-26T00:00:00Z'), 0);
+  assert.strictEqual(calendar.businessHoursBetween(cal, '2026-03-07T00:00:00Z', '2026-03-08T00:00:00Z'), 2);
+  calendar.removeHoliday('ORG1', h.id);
+  assert.strictEqual(calendar.getCalendar('ORG1').holidays.length, 0);
+});
+
+console.log('\n=== Task SLAs and escalation ===');
+
+function seedOverdueTask(hoursAgo) {
+  return taskEngine.createTask('ORG1', {
+    title: 'Follow up', task_type: 'GENERAL',
+    due_date: new Date(Date.now() - hoursAgo * 3600000).toISOString(),
+  }, 'tester');
+}
+
+function seedRule(businessHours) {
+  taskEngine.saveEscalationRule('ORG1', {
+    task_type: 'GENERAL', escalation_level: 1, hours_before_escalation: 1,
+    escalate_to_role: 'medical_director', business_hours: businessHours,
+  }, 'admin');
+}
+
+test('escalation waits for business hours, unless the rule opts out', () => {
+  freshDb();
+  calendar.saveHours('ORG1', CLOSED, 'admin');
+  seedRule(true);
+  const task = seedOverdueTask(3);
+  assert.deepStrictEqual(taskEngine.processEscalations('ORG1'), { overdue: 1, escalated: [] });
+  const marked = db.prepare('SELECT status, updated_at FROM tasks WHERE id = ?').get(task.id);
+  assert.strictEqual(marked.status, 'overdue');
+
+  // A later sweep neither rewrites nor recounts a task already overdue.
+  assert.deepStrictEqual(taskEngine.processEscalations('ORG1'), { overdue: 0, escalated: [] });
+  assert.deepStrictEqual(db.prepare('SELECT status, updated_at FROM tasks WHERE id = ?').get(task.id), marked);
+
+  // Cover since the due date makes that time business time; the task
+  // already marked overdue is still picked up.
+  calendar.addOnCall('ORG1', { starts_at: task.due_date, ends_at: new Date(Date.now() + 3600000).toISOString() });
+  assert.deepStrictEqual(taskEngine.processEscalations('ORG1').escalated.map((e) => e.taskId), [task.id]);
+
+  freshDb();
+  calendar.saveHours('ORG1', CLOSED, 'admin');
+  seedRule(false);
+  const wallClock = seedOverdueTask(3);
+  assert.deepStrictEqual(taskEngine.processEscalations('ORG1').escalated.map((e) => e.taskId), [wallClock.id]);
+});
+
+test('updating a rule without business_hours keeps its clock', () => {
+  freshDb();
+  const rule = taskEngine.saveEscalationRule('ORG1', {
+    task_type: 'GENERAL', escalation_level: 1, hours_before_escalation: 1,
+    escalate_to_role: 'medical_director', business_hours: false,
+  }, 'admin');
+  const updated = taskEngine.saveEscalationRule('ORG1', {
+    id: rule.id, task_type: 'GENERAL', escalation_level: 1, hours_before_escalation: 4,
+    escalate_to_role: 'medical_director',
+  }, 'admin');
+  assert.strictEqual(updated.business_hours, 0);
+  assert.strictEqual(updated.hours_before_escalation, 4);
+  assert.strictEqual(taskEngine.saveEscalationRule('ORG1', { ...updated, business_hours: true }, 'admin').business_hours, 1);
+});
+
+test('an SLA in business hours sets the due date, and open tasks carry their clock', () => {
+  freshDb();
+  calendar.saveHours('ORG1', { 0: [['00:00', '24:00']], 1: [['00:00', '24:00']], 2: [['00:00', '24:00']],
+    3: [['00:00', '24:00']], 4: [['00:00', '24:00']], 5: [['00:00', '24:00']], 6: [['00:00', '24:00']] }, 'admin');
+  const before = Date.now();
+  const task = taskEngine.createTask('ORG1', { title: 'Call back', task_type: 'GENERAL', sla_hours: 4 }, 'tester');
+  const stored = db.prepare('SELECT due_date, sla_hours FROM tasks WHERE id = ?').get(task.id);
+  assert.strictEqual(stored.sla_hours, 4);
+  const dueMs = new Date(stored.due_date).getTime();
+  assert.ok(dueMs >= before + 4 * 3600000 && dueMs <= Date.now() + 4 * 3600000);
+  const listed = taskEngine.getAllTasks('ORG1').find((t) => t.id === task.id);
+  assert.strictEqual(listed.sla.breached, false);
+  assert.ok(listed.sla.remaining_hours > 3.9 && listed.sla.remaining_hours <= 4);
+  assert.throws(() => taskEngine.createTask('ORG1', { title: 'x', task_type: 'GENERAL', sla_hours: -1 }, 't'),
+    /positive/);
+});
+
+console.log(`\nResults: ${PASS} passed, ${FAIL} failed.`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}:\n${f.error.stack || f.error.message}`);
+  process.exit(1);
+}
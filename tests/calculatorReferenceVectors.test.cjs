@@ -17,6 +17,7 @@
  *   SRC-OPTN-P9E  OPTN Policy 9.1.E  PELD / PELD-Cr
  *   SRC-OPTN-P8   OPTN Policy 8.5.A  KDRI / KDPI
  *   SRC-OPTN-P8B  OPTN Policy 8.5.B  EPTS
+ *   SRC-OPTN-CPRA OPTN CPRA calculator  cPRA
  */
 
 'use strict';
@@ -425,6 +426,74 @@ test('EPTS: every result names the reference table revision it used (H-10)', ()
   assert.strictEqual(r.source.approximation, true);
 });
 
+// ---------------------------------------------------------------------------
+// cPRA (OPTN CPRA calculator; Cecka 2010)
+//
+//   cPRA = 100 x sum over ethnic groups e of w(e) x (1 - (1 - F(e))^2)
+//   for one locus, F(e) being the summed frequency of the unacceptable
+//   antigens there; more loci multiply the (1 - F)^2 terms. Frequencies and
+//   weights are the shipped table, read back here and evaluated longhand.
+// ---------------------------------------------------------------------------
+
+const CPRA_TABLE = referenceData.loadTable(referenceData.TABLE_IDS.CPRA).data;
+
+function cpraLonghand(byLocus) {
+  let total = 0;
+  for (const [group, w] of Object.entries(CPRA_TABLE.weights)) {
+    let none = 1;
+    for (const [locus, antigens] of Object.entries(byLocus)) {
+      const f = antigens.reduce((sum, a) => sum + (CPRA_TABLE.frequencies[group][locus][a] || 0), 0);
+      none *= (1 - f) * (1 - f);
+    }
+    total += w * (1 - none);
+  }
+  return Number((100 * total).toFixed(2));
+}
+
+test('cPRA: no unacceptable antigens is 0', () => {
+  assert.strictEqual(calc.calculateCPRA({ unacceptable_antigens: [] }).cpra, 0);
+});
+
+test('cPRA: a single antigen is 1 - (1 - f)^2, weighted across groups', () => {
+  const r = calc.calculateCPRA({ unacceptable_antigens: ['A2'] });
+  assert.strictEqual(r.cpra, cpraLonghand({ A: ['A2'] }));
+  // White: 1 - (1 - 0.27)^2
+  assert.strictEqual(r.byGroup.White, Number((100 * (1 - 0.73 * 0.73)).toFixed(2)));
+});
+
+test('cPRA: an allele counts as its antigen and a broad as all of its splits', () => {
+  assert.strictEqual(
+    calc.calculateCPRA({ unacceptable_antigens: ['A*02:01'] }).cpra,
+    calc.calculateCPRA({ unacceptable_antigens: ['A2'] }).cpra
+  );
+  assert.strictEqual(calc.calculateCPRA({ unacceptable_antigens: ['A9'] }).cpra, cpraLonghand({ A: ['A23', 'A24'] }));
+  // A9 already covers A24; listing both must not count A24 twice.
+  assert.strictEqual(calc.calculateCPRA({ unacceptable_antigens: ['A9', 'A24'] }).cpra, cpraLonghand({ A: ['A23', 'A24'] }));
+});
+
+test('cPRA: loci combine multiplicatively', () => {
+  const r = calc.calculateCPRA({ unacceptable_antigens: ['A2', 'B44', 'DR4', 'DQ8'] });
+  assert.strictEqual(r.cpra, cpraLonghand({ A: ['A2'], B: ['B44'], DR: ['DR4'], DQ: ['DQ8'] }));
+});
+
+test('cPRA: antigens without a frequency are reported, not silently zero', () => {
+  const r = calc.calculateCPRA({ unacceptable_antigens: ['A2', 'DPB1*04:01'] });
+  assert.deepStrictEqual(r.unlisted, ['DPB1*04:01']);
+  assert.ok(r.disclaimer.includes('DPB1*04:01'));
+  assert.strictEqual(r.cpra, cpraLonghand({ A: ['A2'] }));
+});
+
+test('cPRA: refuses unparseable antigens and a missing list', () => {
+  assert.deepStrictEqual(calc.calculateCPRA({ unacceptable_antigens: ['A2', 'X9'] }).invalid, ['X9']);
+  assert.strictEqual(calc.calculateCPRA({}).reason, 'INSUFFICIENT_DATA');
+});
+
+test('cPRA: every result names the reference table revision it used (H-10)', () => {
+  const r = calc.calculateCPRA({ unacceptable_antigens: ['B8'] });
+  assert.strictEqual(r.source.sourceId, 'SRC-OPTN-CPRA');
+  assert.strictEqual(r.source.approximation, true);
+});
+
 // ---------------------------------------------------------------------------
 // TTLI — the former "LAS"
 // ---------------------------------------------------------------------------
@@ -12,19 +12,21 @@
 import React from 'react';
 import { render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 
-const { hl7 } = vi.hoisted(() => ({
+const { hl7, files, mode } = vi.hoisted(() => ({
   hl7: {
     supportedEvents: vi.fn(),
     parse: vi.fn(),
     ingest: vi.fn(),
     buildAck: vi.fn(),
   },
+  files: {},
+  mode: { current: 'local' },
 }));
 
-vi.mock('@/api/apiClient', () => ({ api: { hl7 } }));
+vi.mock('@/api/apiClient', () => ({ api: { hl7, files }, getApiMode: () => mode.current }));
 
 import Hl7Inbox from '@/pages/Hl7Inbox';
 
@@ -379,3 +381,146 @@ describe('lifting a message into the database', () => {
     expect(await screen.findByText(/nothing is written if anything fails/i)).toBeInTheDocument();
   });
 });
+
+describe('outbound message log', () => {
+  const DEST = { id: 'd-1', name: 'Mirth ADT', is_active: true, open_count: 1, failed_count: 1 };
+  const MESSAGES = [
+    {
+      id: 'm-1', destination_id: 'd-1', destination_name: 'Mirth ADT', message_type: 'ADT', trigger_event: 'A08',
+      message_control_id: 'TTA1', status: 'acked', attempt_count: 1, ack_code: 'AA', ack_message: 'Accepted',
+    },
+    {
+      id: 'm-2', destination_id: 'd-1', destination_name: 'Mirth ADT', message_type: 'ORU', trigger_event: 'R01',
+      message_control_id: 'TTA2', status: 'rejected', attempt_count: 1, ack_code: 'AR', ack_message: 'Unknown MRN',
+    },
+  ];
+
+  beforeEach(() => {
+    mode.current = 'remote';
+    hl7.outboundDestinations = vi.fn().mockResolvedValue([DEST]);
+    hl7.outboundMessages = vi.fn().mockResolvedValue(MESSAGES);
+    hl7.resendOutbound = vi.fn().mockResolvedValue({ resent: true });
+  });
+
+  afterEach(() => {
+    mode.current = 'local';
+    delete hl7.outboundDestinations;
+    delete hl7.outboundMessages;
+    delete hl7.resendOutbound;
+  });
+
+  it('is not shown when the app is not talking to a server', async () => {
+    mode.current = 'local';
+    renderPage();
+    await screen.findByText('HL7 v2 Inbox');
+    expect(screen.queryByText('Outbound messages')).not.toBeInTheDocument();
+  });
+
+  it('lists each message with the ACK that answered it', async () => {
+    renderPage();
+    expect(await screen.findByText('ADT^A08')).toBeInTheDocument();
+    expect(screen.getByText('AA · Accepted')).toBeInTheDocument();
+    expect(screen.getByText('AR · Unknown MRN')).toBeInTheDocument();
+    expect(screen.getByText('1 failed')).toBeInTheDocument();
+  });
+
+  it('filters the log by destination', async () => {
+    const user = setupUser();
+    renderPage();
+    await screen.findByText('ADT^A08');
+    await user.click(screen.getByRole('button', { name: /Mirth ADT/ }));
+    await waitFor(() => expect(hl7.outboundMessages).toHaveBeenCalledWith({ destination_id: 'd-1' }));
+  });
+
+  it('offers a resend only for failed or rejected messages', async () => {
+    const user = setupUser();
+    renderPage();
+    await screen.findByText('ORU^R01');
+    const buttons = screen.getAllByRole('button', { name: /Resend/ });
+    expect(buttons).toHaveLength(1);
+    await user.click(buttons[0]);
+    await waitFor(() => expect(hl7.resendOutbound).toHaveBeenCalledWith('m-2'));
+  });
+});
+
+describe('batch file import', () => {
+  const FILE = {
+    success: true,
+    type: 'hl7',
+    filename: 'lab-20261019.hl7',
+    data: [
+      { raw: 'MSH|^~\\&|LAB|REF|TT|TT|20261019||ORU^R01|L1|P|2.5\rPID|1||MRN1', batch: 1, sequence: 1 },
+      { raw: 'MSH|^~\\&|LAB|REF|TT|TT|20261019||ORU^R01|L2|P|2.5', batch: 1, sequence: 2 },
+    ],
+    recordCount: 2,
+    batch: { batches: [{ index: 1, message_count: 2 }], message_count: 2 },
+  };
+
+  beforeEach(() => {
+    files.importFile = vi.fn().mockResolvedValue(FILE);
+    hl7.buildBatchAck = vi.fn().mockResolvedValue({
+      ack: 'FHS|^~\\&|TransTrack\rFTS|1|Batch 1: BTS-1 declares 3 message(s), 2 read',
+      tally: { total: 2, accepted: 1, errors: 1, rejected: 0 },
+      reconciled: false,
+      issues: [{ code: 'batch_count_mismatch', message: 'Batch 1: BTS-1 declares 3 message(s), 2 read' }],
+    });
+    hl7.ingest.mockImplementation(async ({ raw }) => (raw.includes('PID|')
+      ? { ok: true, patient: { action: 'matched' }, labs: { inserted: 0, skipped: 0 }, warnings: [] }
+      : { ok: false, patient: null, labs: { inserted: 0, skipped: 0 }, warnings: ['No PID/MRN in message; nothing to ingest.'] }));
+  });
+
+  afterEach(() => {
+    delete files.importFile;
+    delete hl7.buildBatchAck;
+  });
+
+  it('is not shown without a desktop file import', async () => {
+    delete files.importFile;
+    renderPage();
+    await screen.findByText('HL7 v2 Inbox');
+    expect(screen.queryByText('Import batch file')).not.toBeInTheDocument();
+  });
+
+  it('ingests every message and builds the batch acknowledgement from the results', async () => {
+    const user = setupUser();
+    renderPage();
+    await user.click(await screen.findByText('Import batch file'));
+
+    await waitFor(() => expect(hl7.buildBatchAck).toHaveBeenCalled());
+    expect(files.importFile).toHaveBeenCalledWith('hl7');
+    expect(hl7.ingest).toHaveBeenCalledTimes(2);
+    expect(hl7.ingest.mock.calls[0][0]).toMatchObject({
+      raw: FILE.data[0].raw,
+      options: { createPatient: true, updateDemographics: true, ingestObservations: true },
+    });
+    expect(hl7.buildBatchAck).toHaveBeenCalledWith({
+      batch: FILE.batch,
+      results: [
+        { batch: 1, sequence: 1, message_control_id: 'L1', code: 'AA', text: 'Accepted' },
+        { batch: 1, sequence: 2, message_control_id: 'L2', code: 'AE', text: 'No PID/MRN in message; nothing to ingest.' },
+      ],
+    });
+  });
+
+  it('reports count mismatches and lists the messages that were not accepted', async () => {
+    const user = setupUser();
+    renderPage();
+    await user.click(await screen.findByText('Import batch file'));
+
+    expect(await screen.findByText('Batch 1: BTS-1 declares 3 message(s), 2 read')).toBeInTheDocument();
+    expect(screen.getByText('1 errors')).toBeInTheDocument();
+    expect(screen.getByText('#2')).toBeInTheDocument();
+    expect(screen.getByLabelText('Batch acknowledgement').value).toMatch(/^FHS\|/);
+    expect(screen.queryByText('#1')).not.toBeInTheDocument();
+  });
+
+  it('does nothing when the file dialog is cancelled', async () => {
+    files.importFile.mockResolvedValueOnce({ success: false, cancelled: true });
+    const user = setupUser();
+    renderPage();
+    await user.click(await screen.findByText('Import batch file'));
+    await waitFor(() => expect(files.importFile).toHaveBeenCalled());
+    expect(hl7.ingest).not.toHaveBeenCalled();
+    expect(hl7.buildBatchAck).not.toHaveBeenCalled();
+  });
+});
@@ -20,6 +20,7 @@ const { organOffers, entities } = vi.hoisted(() => ({
     list: vi.fn(),
     getDeclineReasons: vi.fn(),
     getEvents: vi.fn(),
+    getChain: vi.fn(),
     create: vi.fn(),
     transition: vi.fn(),
     expireDue: vi.fn(),
@@ -106,6 +107,15 @@ describe('OrganOffers list', () => {
     expect(within(row).getByText('2026-08-01T11:00:00Z')).toBeInTheDocument();
   });
 
+  it('shows the business time left on a pending offer\'s response window', async () => {
+    organOffers.list.mockResolvedValue([
+      { ...PENDING_OFFER, sla: { due_at: '2026-08-01T11:00:00Z', remaining_hours: 2.5, breached: false } },
+    ]);
+    renderPage();
+    const row = (await screen.findByText('donor-ab')).closest('tr');
+    expect(within(row).getByText('2.5h business left')).toBeInTheDocument();
+  });
+
   it('marks a missing rank and response deadline rather than rendering blanks', async () => {
     organOffers.list.mockResolvedValue([{ ...PENDING_OFFER, rank: null, response_due_at: null }]);
     renderPage();
@@ -252,6 +262,27 @@ describe('recording a new offer', () => {
     );
   });
 
+  it('sends a response window in business hours instead of a deadline', async () => {
+    organOffers.create.mockResolvedValue({ id: 'new-offer', status: 'PENDING' });
+    const user = await openDialog();
+
+    await user.click(screen.getByText('Select donor organ'));
+    await user.click(await screen.findByRole('option', { name: /DON-1/ }));
+    await user.click(screen.getByText('Select patient'));
+    await user.click(await screen.findByRole('option', { name: /Hopper, Grace/ }));
+
+    const dialog = screen.getByRole('dialog');
+    const [, , windowHours] = within(dialog).getAllByRole('spinbutton');
+    await user.type(windowHours, '4');
+    await user.click(within(dialog).getByRole('button', { name: /Create offer/i }));
+
+    await waitFor(() =>
+      expect(organOffers.create).toHaveBeenCalledWith(
+        expect.objectContaining({ response_window_hours: 4, response_due_at: undefined })
+      )
+    );
+  });
+
   it('keeps the dialog open when the store rejects the offer', async () => {
     organOffers.create.mockRejectedValue(new Error('donor organ already allocated'));
     const user = await openDialog();
@@ -313,6 +344,17 @@ describe('transitioning an offer', () => {
     expect(options).toEqual(['ACCEPTED_FINAL', 'DECLINED', 'RESCINDED']);
   });
 
+  it('will not let a backup accept finally before it is promoted', async () => {
+    const user = setupUser();
+    organOffers.list.mockResolvedValue([{ ...PENDING_OFFER, is_backup: 1, backup_chain_position: 1 }]);
+    renderPage();
+    expect(await screen.findByText('Backup 1')).toBeInTheDocument();
+    await user.click(await screen.findByRole('button', { name: /Transition/i }));
+    await user.click(await screen.findByText('Select new status'));
+    const options = (await screen.findAllByRole('option')).map((o) => o.textContent);
+    expect(options).toEqual(['ACCEPTED_PROVISIONAL', 'DECLINED', 'RESCINDED']);
+  });
+
   it('records an acceptance with optional notes', async () => {
     const user = setupUser();
     organOffers.list.mockResolvedValue([PENDING_OFFER]);
@@ -483,3 +525,49 @@ describe('offer history', () => {
     expect(await screen.findByText(/Loading…/)).toBeInTheDocument();
   });
 });
+
+describe('offer chain', () => {
+  const PRIMARY = { ...PENDING_OFFER, status: 'DECLINED', is_backup: 0 };
+  const BACKUP = {
+    ...PENDING_OFFER, id: 'offer-backup-0001', patient_id: 'backup01-patient', is_backup: 0,
+    backup_chain_position: 1, promoted_at: '2026-08-01T10:40:00Z',
+  };
+
+  it('does not read the chain until it is opened', async () => {
+    const user = setupUser();
+    organOffers.list.mockResolvedValue([PENDING_OFFER]);
+    organOffers.getChain.mockResolvedValue({ offers: [], events: [], final_offer_id: null, next_backup_id: null });
+    renderPage();
+    await screen.findByRole('button', { name: /Chain/i });
+    expect(organOffers.getChain).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: /Chain/i }));
+    await waitFor(() => expect(organOffers.getChain).toHaveBeenCalledWith(PENDING_OFFER.donor_organ_id));
+  });
+
+  it('lists the chain in order and shows a promotion on the timeline', async () => {
+    const user = setupUser();
+    organOffers.list.mockResolvedValue([PRIMARY]);
+    organOffers.getChain.mockResolvedValue({
+      donor_organ_id: PENDING_OFFER.donor_organ_id,
+      offers: [PRIMARY, BACKUP],
+      events: [
+        { id: 'e1', offer_id: PRIMARY.id, created_at: '2026-08-01T10:00:00Z', event_type: 'OFFER_CREATED', to_status: 'PENDING', actor: 'coordinator@transtrack.local' },
+        { id: 'e2', offer_id: PRIMARY.id, created_at: '2026-08-01T10:40:00Z', event_type: 'STATUS_CHANGE', from_status: 'PENDING', to_status: 'DECLINED', actor: 'surgeon@transtrack.local' },
+        { id: 'e3', offer_id: BACKUP.id, created_at: '2026-08-01T10:40:00Z', event_type: 'PROMOTED', from_status: 'PENDING', to_status: 'PENDING', actor: 'system' },
+      ],
+      final_offer_id: null,
+      next_backup_id: null,
+    });
+    renderPage();
+
+    await user.click(await screen.findByRole('button', { name: /Chain/i }));
+    const dialog = await screen.findByRole('dialog');
+    await within(dialog).findByText('promoted to primary');
+    const rows = within(dialog).getAllByRole('row').slice(1);
+    expect(rows.map((r) => within(r).getAllByRole('cell')[1].textContent)).toEqual(['patient-', 'backup01']);
+    expect(within(dialog).getByText('2026-08-01T10:40:00Z', { selector: 'td' })).toBeInTheDocument();
+    expect(within(dialog).getByText(/PENDING → DECLINED/)).toBeInTheDocument();
+    expect(within(dialog).getByText(/surgeon@transtrack.local/)).toBeInTheDocument();
+  });
+});
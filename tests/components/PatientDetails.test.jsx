@@ -62,6 +62,10 @@ vi.mock('@/components/labs', () => ({
   LabsPanel: () => <div data-testid="labs">Labs</div>,
 }));
 
+vi.mock('@/components/tasks', () => ({
+  ProtocolPanel: () => <div data-testid="protocols">Protocols</div>,
+}));
+
 vi.mock('@/components/access/JustificationDialog', () => ({
   default: () => null,
 }));
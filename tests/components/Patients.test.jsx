@@ -23,6 +23,8 @@ const { patientApi, filesApi, functionsApi, mockMe } = vi.hoisted(() => ({
     create: vi.fn(),
     update: vi.fn(),
     delete: vi.fn(),
+    filter: vi.fn(),
+    get: vi.fn(),
   },
   filesApi: { importFile: vi.fn() },
   functionsApi: { invoke: vi.fn() },
@@ -174,6 +176,67 @@ describe('Patients Page', () => {
   });
 });
 
+describe('concurrent edits', () => {
+  const conflictError = () => new Error(
+    'Version conflict: Patient was changed by another user (you edited version 2, current version is 3). Reload and merge your changes.'
+  );
+
+  async function editFirstName(user, value) {
+    patientApi.list.mockResolvedValue([{ ...PATIENT, version: 2 }]);
+    renderPatients();
+    await user.click(await screen.findByRole('button', { name: /^Edit$/i }));
+    const input = await screen.findByDisplayValue('Alice');
+    await user.clear(input);
+    await user.type(input, value);
+    await user.click(screen.getByRole('button', { name: /Update Patient/i }));
+  }
+
+  it('saves against the version the form was loaded from', async () => {
+    const user = userEvent.setup();
+    await editFirstName(user, 'Alicia');
+    await waitFor(() => expect(patientApi.update).toHaveBeenCalled());
+    expect(patientApi.update.mock.calls[0][2]).toEqual({ ifMatch: 2 });
+  });
+
+  it('offers a merge when someone else saved first, and saves the merge against their version', async () => {
+    const user = userEvent.setup();
+    patientApi.update.mockRejectedValueOnce(conflictError());
+    patientApi.filter.mockResolvedValue([
+      { ...PATIENT, version: 3, first_name: 'Ally', last_name: 'Smyth' },
+    ]);
+    await editFirstName(user, 'Alicia');
+
+    expect(await screen.findByText(/changed while you were editing/i)).toBeInTheDocument();
+    await user.click(screen.getByRole('radio', { name: /Keep your first name/i }));
+    await user.click(screen.getByRole('button', { name: /Save merged record/i }));
+
+    await waitFor(() => expect(patientApi.update).toHaveBeenCalledTimes(2));
+    const [id, data, options] = patientApi.update.mock.calls[1];
+    expect(id).toBe('p1');
+    expect(data).toMatchObject({ first_name: 'Alicia', last_name: 'Smyth' });
+    expect(options).toEqual({ ifMatch: 3 });
+  });
+
+  it('reloads the stored record when the user discards their changes', async () => {
+    const user = userEvent.setup();
+    patientApi.update.mockRejectedValueOnce(conflictError());
+    patientApi.filter.mockResolvedValue([{ ...PATIENT, version: 3, first_name: 'Ally' }]);
+    await editFirstName(user, 'Alicia');
+
+    await user.click(await screen.findByRole('button', { name: /Discard my changes/i }));
+    expect(await screen.findByDisplayValue('Ally')).toBeInTheDocument();
+    expect(patientApi.update).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows other failures as a plain error', async () => {
+    const user = userEvent.setup();
+    patientApi.update.mockRejectedValueOnce(new Error('Database is read-only'));
+    await editFirstName(user, 'Alicia');
+    await waitFor(() => expect(alertText()).toMatch(/Database is read-only/));
+    expect(patientApi.filter).not.toHaveBeenCalled();
+  });
+});
+
 describe('CSV roster import', () => {
   const ROW = {
     patient_id: 'MRN-100',
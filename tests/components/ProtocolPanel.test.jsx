@@ -0,0 +1,85 @@
+/**
+ * src/components/tasks/ProtocolPanel.jsx — a patient's protocol checklists.
+ *
+ * Progress must read as the service rolled it up, a blocked step must not be
+ * completable from the checklist, and only templates for the patient's organ
+ * program are offered to start.
+ */
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+
+const { tasks, taskTemplates, toast } = vi.hoisted(() => ({
+  tasks: { update: vi.fn() },
+  taskTemplates: {
+    list: vi.fn(),
+    getPatientProtocols: vi.fn(),
+    instantiate: vi.fn(),
+    cancelProtocol: vi.fn(),
+  },
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+vi.mock('@/api/apiClient', () => ({ api: { tasks, taskTemplates } }));
+vi.mock('sonner', () => ({ toast }));
+
+import { ProtocolPanel } from '@/components/tasks';
+
+function step(key, title, task) {
+  return { item_key: key, title, recurrence_days: null, occurrences: 1, completed_occurrences: 0, done: false, task };
+}
+
+const PROTOCOL = {
+  id: 'pr1', template_name: 'Kidney evaluation', status: 'active', started_at: '2026-03-02T09:00:00Z',
+  progress: { total: 3, done: 1, blocked: 1, percent: 33 },
+  items: [
+    { ...step('1', 'Dental clearance', { id: 't1', status: 'completed', blocked: 0 }), done: true, completed_occurrences: 1 },
+    step('2', 'Cardiac stress test', { id: 't2', status: 'pending', blocked: 0, due_date: '2026-03-23T09:00:00Z' }),
+    step('3', 'Social work assessment', { id: 't3', status: 'pending', blocked: 1 }),
+  ],
+};
+
+function renderPanel() {
+  const qc = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+  return render(
+    <QueryClientProvider client={qc}>
+      <ProtocolPanel patientId="p1" organType="kidney" />
+    </QueryClientProvider>
+  );
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  taskTemplates.getPatientProtocols.mockResolvedValue([PROTOCOL]);
+  taskTemplates.list.mockResolvedValue([{ id: 'tpl1', name: 'Kidney evaluation', items: [] }]);
+});
+
+describe('ProtocolPanel', () => {
+  it('shows progress and each step\'s state; only open, unblocked steps can be completed', async () => {
+    const user = userEvent.setup();
+    tasks.update.mockResolvedValue({});
+    renderPanel();
+    expect(await screen.findByText('1 of 3 done')).toBeTruthy();
+    expect(screen.getByText('Done')).toBeTruthy();
+    expect(screen.getByText('Blocked')).toBeTruthy();
+    expect(screen.queryByLabelText('Complete Social work assessment')).toBeNull();
+    expect(screen.queryByLabelText('Complete Dental clearance')).toBeNull();
+
+    await user.click(screen.getByLabelText('Complete Cardiac stress test'));
+    await waitFor(() => expect(tasks.update).toHaveBeenCalledWith('t2', { status: 'completed' }));
+  });
+
+  it('offers the organ program\'s templates and starts one on the patient', async () => {
+    const user = userEvent.setup();
+    taskTemplates.instantiate.mockResolvedValue(PROTOCOL);
+    renderPanel();
+    await waitFor(() => expect(taskTemplates.list).toHaveBeenCalledWith({ organ_type: 'kidney', active_only: true }));
+    await user.selectOptions(await screen.findByLabelText('Protocol template'), 'tpl1');
+    await user.click(screen.getByRole('button', { name: /start/i }));
+    await waitFor(() => expect(taskTemplates.instantiate)
+      .toHaveBeenCalledWith({ template_id: 'tpl1', patient_id: 'p1' }));
+    expect(toast.success).toHaveBeenCalledWith('Protocol started');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * src/pages/SystemHealth.jsx — background jobs card.
+ *
+ * Only administrators may see or control the job schedule, so the card must
+ * not even query it for anyone else. For an administrator, pausing, running
+ * and rescheduling must each go to the job the row belongs to, and a manual
+ * run that fails must say so rather than toasting success.
+ */
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+
+const { system, scheduler, auth, support, toast } = vi.hoisted(() => ({
+  system: { getHealth: vi.fn(), getMigrationStatus: vi.fn() },
+  scheduler: {
+    listJobs: vi.fn(),
+    listRuns: vi.fn(),
+    pause: vi.fn(),
+    resume: vi.fn(),
+    trigger: vi.fn(),
+    updateSchedule: vi.fn(),
+  },
+  auth: { me: vi.fn() },
+  support: { exportBundle: vi.fn() },
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+vi.mock('@/api/apiClient', () => ({ api: { system, scheduler, auth, support } }));
+vi.mock('sonner', () => ({ toast }));
+
+import SystemHealth from '@/pages/SystemHealth';
+
+const ESCALATIONS = {
+  id: 'j1',
+  job_key: 'task_escalations',
+  label: 'Task escalations',
+  description: 'Marks overdue tasks and escalates them.',
+  cron: '*/15 * * * *',
+  is_paused: false,
+  last_run_at: '2026-08-01T10:00:00Z',
+  last_status: 'SUCCESS',
+  last_duration_ms: 12,
+  next_run_at: '2026-08-01T10:15:00Z',
+};
+
+function renderPage() {
+  const qc = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+  return render(
+    <QueryClientProvider client={qc}>
+      <SystemHealth />
+    </QueryClientProvider>
+  );
+}
+
+async function escalationsRow() {
+  const title = await screen.findByText('Task escalations', { selector: 'p' });
+  return title.closest('div.py-3');
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  system.getHealth.mockResolvedValue({ status: 'ok', checkedAt: '2026-08-01T10:00:00Z', components: {} });
+  system.getMigrationStatus.mockResolvedValue({ currentVersion: 26, pending: [] });
+  auth.me.mockResolvedValue({ email: 'admin@x.org', role: 'admin' });
+  scheduler.listJobs.mockResolvedValue([ESCALATIONS]);
+  scheduler.listRuns.mockResolvedValue([]);
+});
+
+describe('SystemHealth background jobs', () => {
+  it('does not query the schedule for a non-administrator', async () => {
+    auth.me.mockResolvedValue({ email: 'c@x.org', role: 'coordinator' });
+    renderPage();
+    await screen.findByText('Overall status');
+    await waitFor(() => expect(auth.me).toHaveBeenCalled());
+    expect(screen.queryByText('Background jobs')).toBeNull();
+    expect(scheduler.listJobs).not.toHaveBeenCalled();
+  });
+
+  it('pauses and runs the job the row belongs to', async () => {
+    const user = userEvent.setup();
+    scheduler.pause.mockResolvedValue({ ...ESCALATIONS, is_paused: true });
+    scheduler.trigger.mockResolvedValue({ status: 'SUCCESS', duration_ms: 8 });
+    renderPage();
+    const row = await escalationsRow();
+
+    await user.click(within(row).getByRole('button', { name: /pause/i }));
+    await waitFor(() => expect(scheduler.pause).toHaveBeenCalledWith('task_escalations'));
+
+    await user.click(within(row).getByRole('button', { name: /run now/i }));
+    await waitFor(() => expect(scheduler.trigger).toHaveBeenCalledWith('task_escalations'));
+    await waitFor(() => expect(toast.success).toHaveBeenCalledWith('Task escalations ran in 8 ms'));
+  });
+
+  it('reports a manual run that failed as a failure', async () => {
+    const user = userEvent.setup();
+    scheduler.trigger.mockResolvedValue({ status: 'FAILED', error: 'no such table', duration_ms: 1 });
+    renderPage();
+    const row = await escalationsRow();
+
+    await user.click(within(row).getByRole('button', { name: /run now/i }));
+    await waitFor(() => expect(toast.error).toHaveBeenCalledWith('Task escalations failed: no such table'));
+    expect(toast.success).not.toHaveBeenCalled();
+  });
+
+  it('saves an edited schedule for that job only once it has changed', async () => {
+    const user = userEvent.setup();
+    scheduler.updateSchedule.mockResolvedValue({ ...ESCALATIONS, cron: '0 * * * *' });
+    renderPage();
+    const row = await escalationsRow();
+    const save = within(row).getByRole('button', { name: 'Save' });
+    expect(save).toBeDisabled();
+
+    const input = within(row).getByLabelText('Task escalations schedule');
+    await user.clear(input);
+    await user.type(input, '0 * * * *');
+    await user.click(save);
+    await waitFor(() => expect(scheduler.updateSchedule)
+      .toHaveBeenCalledWith({ job_key: 'task_escalations', cron: '0 * * * *' }));
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * src/pages/TaskCenter.jsx — SLA clocks, the working calendar and task
+ * assignment.
+ *
+ * A task's SLA badge must show the business time left as the service counted
+ * it, and say when the SLA is breached. The working calendar is visible to
+ * everyone whose clocks it drives, but only an administrator may change it.
+ * Likewise assignment policies and bulk reassignment are administrator only,
+ * while anyone may mark themselves away. A task blocked on prerequisites
+ * cannot be started or completed, and protocol templates are edited as
+ * numbered steps.
+ */
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+
+const { tasks, calendar, assignment, taskTemplates, auth, toast } = vi.hoisted(() => ({
+  tasks: {
+    getDashboard: vi.fn(),
+    getAll: vi.fn(),
+    generateAuto: vi.fn(),
+    processEscalations: vi.fn(),
+    update: vi.fn(),
+  },
+  calendar: {
+    get: vi.fn(),
+    saveHours: vi.fn(),
+    addHoliday: vi.fn(),
+    removeHoliday: vi.fn(),
+    addOnCall: vi.fn(),
+    removeOnCall: vi.fn(),
+  },
+  assignment: {
+    listPolicies: vi.fn(),
+    savePolicy: vi.fn(),
+    deletePolicy: vi.fn(),
+    listAssignees: vi.fn(),
+    listOutOfOffice: vi.fn(),
+    addOutOfOffice: vi.fn(),
+    removeOutOfOffice: vi.fn(),
+    reassign: vi.fn(),
+  },
+  taskTemplates: {
+    list: vi.fn(),
+    save: vi.fn(),
+    delete: vi.fn(),
+  },
+  auth: { me: vi.fn() },
+  toast: { success: vi.fn(), error: vi.fn() },
+}));
+
+vi.mock('@/api/apiClient', () => ({ api: { tasks, calendar, assignment, taskTemplates, auth } }));
+vi.mock('sonner', () => ({ toast }));
+
+import TaskCenter from '@/pages/TaskCenter';
+
+const WEEKDAY = [['08:00', '17:00']];
+const CALENDAR = {
+  org_id: 'ORG1',
+  hours: { 0: [], 1: WEEKDAY, 2: WEEKDAY, 3: WEEKDAY, 4: WEEKDAY, 5: WEEKDAY, 6: [] },
+  is_default: false,
+  holidays: [{ id: 'h1', date: '2026-12-25', name: 'Christmas Day' }],
+  on_call: [],
+};
+
+function task(id, title, sla) {
+  return {
+    id, title, sla, task_type: 'GENERAL', priority: 'normal', status: 'pending', source: 'MANUAL',
+    escalation_level: 0, due_date: '2026-10-20T12:00:00Z',
+  };
+}
+
+const ASSIGNEES = [
+  { user_id: 'ana', email: 'ana@x.org', full_name: 'Ana Ortiz', role: 'coordinator', open_tasks: 3,
+    organ_programs: ['kidney'], skills: ['LAB_FOLLOWUP'], accepts_assignments: 1, out_of_office: null },
+  { user_id: 'ben', email: 'ben@x.org', full_name: null, role: 'coordinator', open_tasks: 0,
+    organ_programs: [], skills: [], accepts_assignments: 1, out_of_office: { id: 'o1' } },
+];
+
+function renderPage() {
+  const qc = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+  return render(
+    <QueryClientProvider client={qc}>
+      <MemoryRouter>
+        <TaskCenter />
+      </MemoryRouter>
+    </QueryClientProvider>
+  );
+}
+
+async function openCalendar(user) {
+  await user.click(await screen.findByRole('tab', { name: /working calendar/i }));
+  return screen.findByLabelText('Monday');
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  tasks.getDashboard.mockResolvedValue({ stats: {}, byType: {}, byAssignedRole: {}, upcomingTasks: [] });
+  tasks.getAll.mockResolvedValue([]);
+  calendar.get.mockResolvedValue(CALENDAR);
+  assignment.listPolicies.mockResolvedValue([{ id: 'p1', task_type: '*', strategy: 'LEAST_LOADED' }]);
+  assignment.listAssignees.mockResolvedValue(ASSIGNEES);
+  assignment.listOutOfOffice.mockResolvedValue([]);
+  taskTemplates.list.mockResolvedValue([]);
+  auth.me.mockResolvedValue({ id: 'admin', email: 'admin@x.org', role: 'admin' });
+});
+
+describe('TaskCenter SLA clocks', () => {
+  it('shows business time left, and a breached SLA as breached', async () => {
+    tasks.getAll.mockResolvedValue([
+      task('t1', 'Call the lab', { due_at: '2026-10-20T12:00:00Z', remaining_hours: 12.5, breached: false }),
+      task('t2', 'Chase the referral', { due_at: '2026-10-16T12:00:00Z', remaining_hours: -3, breached: true }),
+      task('t3', 'No deadline', null),
+    ]);
+    renderPage();
+    await screen.findByText('Call the lab');
+    expect(screen.getByText(/12\.5h business left/)).toBeTruthy();
+    expect(screen.getByText(/SLA breached 3h ago/)).toBeTruthy();
+    expect(screen.getAllByText(/business left|SLA breached/)).toHaveLength(2);
+  });
+});
+
+describe('TaskCenter working calendar', () => {
+  it('is read-only for a non-administrator', async () => {
+    const user = userEvent.setup();
+    auth.me.mockResolvedValue({ email: 'c@x.org', role: 'coordinator' });
+    renderPage();
+    const monday = await openCalendar(user);
+    expect(monday).toHaveValue('08:00-17:00');
+    await waitFor(() => expect(auth.me).toHaveBeenCalled());
+    expect(monday).toBeDisabled();
+    expect(screen.getByText('Christmas Day', { exact: false })).toBeTruthy();
+    expect(screen.queryByRole('button', { name: 'Save hours' })).toBeNull();
+    expect(screen.queryByLabelText('Remove Christmas Day')).toBeNull();
+  });
+
+  it('lets an administrator change the hours and add a holiday', async () => {
+    const user = userEvent.setup();
+    calendar.saveHours.mockResolvedValue(CALENDAR);
+    calendar.addHoliday.mockResolvedValue({ id: 'h2', date: '2026-12-26', name: 'Boxing Day' });
+    renderPage();
+    await openCalendar(user);
+    const saturday = await screen.findByLabelText('Saturday');
+    await waitFor(() => expect(saturday).not.toBeDisabled());
+
+    await user.type(saturday, '09:00-12:00');
+    await user.click(screen.getByRole('button', { name: 'Save hours' }));
+    await waitFor(() => expect(calendar.saveHours).toHaveBeenCalled());
+    const saved = calendar.saveHours.mock.calls[0][0];
+    expect(saved[6]).toEqual([['09:00', '12:00']]);
+    expect(saved[1]).toEqual(WEEKDAY);
+    expect(saved[0]).toEqual([]);
+
+    await user.type(screen.getByLabelText('Holiday date'), '2026-12-26');
+    await user.type(screen.getByLabelText('Holiday name'), 'Boxing Day');
+    await user.click(screen.getAllByRole('button', { name: 'Add' })[0]);
+    await waitFor(() => expect(calendar.addHoliday)
+      .toHaveBeenCalledWith({ date: '2026-12-26', name: 'Boxing Day' }));
+  });
+});
+
+describe('TaskCenter task assignment', () => {
+  it('shows who each task is assigned to', async () => {
+    tasks.getAll.mockResolvedValue([{ ...task('t1', 'Call the lab', null), assignee_name: 'Ana Ortiz' }]);
+    renderPage();
+    await screen.findByText('Call the lab');
+    expect(screen.getByText('Ana Ortiz')).toBeTruthy();
+  });
+
+  it('lets an administrator set a policy and move a leaver\'s open tasks', async () => {
+    const user = userEvent.setup();
+    assignment.savePolicy.mockResolvedValue({});
+    assignment.reassign.mockResolvedValue({ reassigned: [{ task_id: 't1' }], unassigned: [] });
+    renderPage();
+    await user.click(await screen.findByRole('tab', { name: /assignment/i }));
+    const lab = await screen.findByLabelText('Lab Follow-up');
+    await waitFor(() => expect(lab).not.toBeDisabled());
+    expect(screen.getByLabelText('Default (all types)')).toHaveValue('LEAST_LOADED');
+    expect(screen.getByText('Away')).toBeTruthy();
+
+    await user.selectOptions(lab, 'AFFINITY');
+    await waitFor(() => expect(assignment.savePolicy)
+      .toHaveBeenCalledWith({ task_type: 'LAB_FOLLOWUP', strategy: 'AFFINITY' }));
+
+    await user.selectOptions(screen.getByLabelText('Reassign Ana Ortiz to'), 'ben');
+    await user.click(screen.getByRole('button', { name: /reassign open tasks/i }));
+    await waitFor(() => expect(assignment.reassign)
+      .toHaveBeenCalledWith({ from_user_id: 'ana', to_user_id: 'ben' }));
+    expect(toast.success).toHaveBeenCalledWith(expect.stringMatching(/Reassigned 1 task/));
+  });
+
+  it('lets anyone mark themselves away but not change policies', async () => {
+    const user = userEvent.setup();
+    auth.me.mockResolvedValue({ id: 'ben', email: 'ben@x.org', role: 'coordinator' });
+    assignment.addOutOfOffice.mockResolvedValue({ id: 'o2' });
+    renderPage();
+    await user.click(await screen.findByRole('tab', { name: /assignment/i }));
+    const button = await screen.findByRole('button', { name: 'Mark me away' });
+    expect(screen.getByLabelText('Lab Follow-up')).toBeDisabled();
+    expect(screen.queryByRole('button', { name: /reassign open tasks/i })).toBeNull();
+
+    await user.type(screen.getByLabelText('Away from'), '2026-12-24T09:00');
+    await user.type(screen.getByLabelText('Away until'), '2026-12-27T17:00');
+    await user.click(button);
+    await waitFor(() => expect(assignment.addOutOfOffice).toHaveBeenCalled());
+    expect(assignment.addOutOfOffice.mock.calls[0][0]).toMatchObject({ user_id: 'ben', reason: null });
+  });
+});
+
+describe('TaskCenter protocols', () => {
+  it('marks a blocked task and offers no way to start or complete it', async () => {
+    tasks.getAll.mockResolvedValue([
+      { ...task('t1', 'Social work assessment', null), blocked: 1 },
+      { ...task('t2', 'Dental clearance', null), blocked: 0 },
+    ]);
+    renderPage();
+    await screen.findByText('Social work assessment');
+    expect(screen.getAllByText('Blocked')).toHaveLength(1);
+    expect(screen.getAllByRole('button', { name: /start/i })).toHaveLength(1);
+    expect(screen.getAllByRole('button', { name: /complete/i })).toHaveLength(1);
+  });
+
+  it('saves a new template with steps keyed by number and dependencies by step', async () => {
+    const user = userEvent.setup();
+    taskTemplates.save.mockResolvedValue({ id: 'tpl1' });
+    renderPage();
+    await user.click(await screen.findByRole('tab', { name: /protocols/i }));
+    await user.click(await screen.findByRole('button', { name: /new template/i }));
+
+    await user.type(screen.getByLabelText('Template name'), 'Kidney evaluation');
+    await user.selectOptions(screen.getByLabelText('Organ program'), 'kidney');
+    await user.type(screen.getByLabelText('Step 1 title'), 'Dental clearance');
+    await user.type(screen.getByLabelText('Step 1 due day'), '14');
+    await user.click(screen.getByRole('button', { name: /add step/i }));
+    await user.type(screen.getByLabelText('Step 2 title'), 'Repeat PRA');
+    await user.selectOptions(screen.getByLabelText('Step 2 type'), 'LAB_FOLLOWUP');
+    await user.type(screen.getByLabelText('Step 2 repeat days'), '90');
+    await user.type(screen.getByLabelText('Step 2 after'), '1');
+    await user.click(screen.getByRole('button', { name: 'Save template' }));
+
+    await waitFor(() => expect(taskTemplates.save).toHaveBeenCalled());
+    expect(taskTemplates.save.mock.calls[0][0]).toMatchObject({
+      name: 'Kidney evaluation',
+      organ_type: 'kidney',
+      items: [
+        { key: '1', title: 'Dental clearance', task_type: 'GENERAL', due_offset_days: 14, recurrence_days: null, depends_on: [] },
+        { key: '2', title: 'Repeat PRA', task_type: 'LAB_FOLLOWUP', due_offset_days: null, recurrence_days: 90, depends_on: ['1'] },
+      ],
+    });
+  });
+
+  it('shows templates read-only to a non-administrator', async () => {
+    const user = userEvent.setup();
+    auth.me.mockResolvedValue({ id: 'c1', email: 'c@x.org', role: 'coordinator' });
+    taskTemplates.list.mockResolvedValue([{
+      id: 'tpl1', name: 'Kidney evaluation', organ_type: 'kidney', is_active: 1,
+      items: [{ id: 'i1', item_key: '1', title: 'Dental clearance', due_offset_days: 14, recurrence_days: null, depends_on: [] }],
+    }]);
+    renderPage();
+    await user.click(await screen.findByRole('tab', { name: /protocols/i }));
+    expect(await screen.findByText('Dental clearance')).toBeTruthy();
+    await waitFor(() => expect(auth.me).toHaveBeenCalled());
+    expect(screen.queryByRole('button', { name: /new template/i })).toBeNull();
+    expect(screen.queryByLabelText('Edit Kidney evaluation')).toBeNull();
+  });
+});
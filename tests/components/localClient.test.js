@@ -49,6 +49,7 @@ describe('localClient without an Electron bridge (browser dev mock)', () => {
     ['iota', 'markDelivered'],
     ['iota', 'markSecondaryNotified'],
     ['iota', 'fileToChart'],
+    ['labs', 'saveCodeMapping'],
   ];
 
   it.each(MUST_REJECT)('%s.%s refuses instead of reporting success', async (ns, method) => {
@@ -105,6 +106,16 @@ describe('localClient without an Electron bridge (browser dev mock)', () => {
       localClient.livingDonor.list(),
       localClient.livingDonor.listEvals('d1'),
       localClient.livingDonor.listFollowups('d1'),
+      localClient.matchPolicy.list(),
+      localClient.matchPolicy.history('kidney'),
+      localClient.matchRuns.list(),
+      localClient.scheduler.listJobs(),
+      localClient.scheduler.listRuns(),
+      localClient.assignment.listPolicies(),
+      localClient.assignment.listAssignees(),
+      localClient.assignment.listOutOfOffice(),
+      localClient.taskTemplates.list(),
+      localClient.taskTemplates.getPatientProtocols('p1'),
       localClient.labs.getByPatient('p1'),
       localClient.barriers.getByPatient('p1'),
       localClient.barriers.getAllOpen(),
@@ -117,6 +128,7 @@ describe('localClient without an Electron bridge (browser dev mock)', () => {
       localClient.ahhq.getAuditHistory('p1'),
       localClient.compliance.getAuditTrail({}),
       localClient.labs.getRequiredTypes('kidney'),
+      localClient.labs.listCodeMappings(),
       localClient.actionQueue.getInterventionsForPatient({ patientId: 'p1' }),
       localClient.recovery.listBackups(),
     ]);
@@ -180,6 +192,7 @@ describe('localClient without an Electron bridge (browser dev mock)', () => {
       () => localClient.organOffers.create({ organ: 'kidney' }),
       () => localClient.organOffers.transition({ id: '1', to_status: 'ACCEPTED' }),
       () => localClient.organOffers.expireDue(),
+      () => localClient.organOffers.getChain('d1'),
       () => localClient.postTx.createEvent({}),
       () => localClient.postTx.updateEvent({ id: '1', fields: {} }),
       () => localClient.postTx.createImmuno({}),
@@ -194,6 +207,32 @@ describe('localClient without an Electron bridge (browser dev mock)', () => {
       () => localClient.livingDonor.updateEvalStep({ id: '1' }),
       () => localClient.livingDonor.updateFollowup({ id: '1' }),
       () => localClient.livingDonor.markOverdue(),
+      () => localClient.matchPolicy.getDefault('kidney'),
+      () => localClient.matchPolicy.save({ organ_type: 'kidney', definition: {} }),
+      () => localClient.matchPolicy.activate('1'),
+      () => localClient.matchRuns.get('1'),
+      () => localClient.matchRuns.replay('1'),
+      () => localClient.scheduler.pause('task_escalations'),
+      () => localClient.scheduler.resume('task_escalations'),
+      () => localClient.scheduler.trigger('task_escalations'),
+      () => localClient.scheduler.updateSchedule({ job_key: 'task_escalations', cron: '0 * * * *' }),
+      () => localClient.calendar.get(),
+      () => localClient.calendar.saveHours({ 1: [['08:00', '17:00']] }),
+      () => localClient.calendar.addHoliday({ date: '2026-12-25', name: 'Christmas Day' }),
+      () => localClient.calendar.removeHoliday('1'),
+      () => localClient.calendar.addOnCall({ starts_at: '2026-12-25T08:00:00Z', ends_at: '2026-12-25T20:00:00Z' }),
+      () => localClient.calendar.removeOnCall('1'),
+      () => localClient.assignment.savePolicy({ task_type: '*', strategy: 'LEAST_LOADED' }),
+      () => localClient.assignment.deletePolicy('*'),
+      () => localClient.assignment.saveProfile({ user_id: 'u1', skills: ['GENERAL'] }),
+      () => localClient.assignment.addOutOfOffice({ user_id: 'u1', starts_at: '2026-12-24T00:00:00Z', ends_at: '2026-12-27T00:00:00Z' }),
+      () => localClient.assignment.removeOutOfOffice('1'),
+      () => localClient.assignment.setPrimaryCoordinator({ patient_id: 'p1', user_id: 'u1' }),
+      () => localClient.assignment.reassign({ from_user_id: 'u1' }),
+      () => localClient.taskTemplates.save({ name: 'Kidney evaluation', items: [{ title: 'Dental clearance' }] }),
+      () => localClient.taskTemplates.delete('1'),
+      () => localClient.taskTemplates.instantiate({ template_id: '1', patient_id: 'p1' }),
+      () => localClient.taskTemplates.cancelProtocol('1'),
       () => localClient.hl7.parse('MSH|'),
       () => localClient.hl7.buildAck({}),
       () => localClient.hl7.ingest({ message: 'MSH|' }),
@@ -233,6 +272,8 @@ describe('localClient without an Electron bridge (browser dev mock)', () => {
       () => localClient.labs.getLatestByPatient('p1'),
       () => localClient.labs.getPatientStatus('p1'),
       () => localClient.labs.getDashboard(),
+      () => localClient.labs.getCatalog(),
+      () => localClient.labs.deleteCodeMapping('m1'),
       () => localClient.risk.getDashboard(),
       () => localClient.risk.getFullReport(),
       () => localClient.risk.assessPatient('p1'),
@@ -342,12 +383,18 @@ function makeBridge(overrides = {}) {
 
 /** Namespaces whose methods are 1:1 pass-throughs to the same channel name. */
 const PASSTHROUGH_NAMESPACES = [
-  'mfa', 'organOffers', 'postTx', 'livingDonor', 'hl7', 'optn', 'adminSecurity',
+  'mfa', 'organOffers', 'postTx', 'livingDonor', 'matchPolicy', 'matchRuns', 'scheduler', 'calendar', 'assignment', 'taskTemplates', 'hl7', 'optn', 'adminSecurity',
   'calculators', 'barriers', 'labs', 'clock', 'encryption', 'files', 'risk',
   'actionQueue', 'iota', 'outcomes', 'compliance', 'predictions', 'tasks',
   'srtr', 'recovery', 'system', 'support',
 ];
 
+/**
+ * Methods the desktop client answers itself because the feature lives on the
+ * server: HL7 outbound sending has no desktop queue.
+ */
+const SERVER_ONLY = new Set(['hl7.outboundDestinations', 'hl7.outboundMessages', 'hl7.resendOutbound']);
+
 describe('localClient over the Electron bridge', () => {
   let bridge;
 
@@ -377,6 +424,7 @@ describe('localClient over the Electron bridge', () => {
       const namespace = localClient[ns];
       expect(namespace, ns).toBeTruthy();
       for (const method of Object.keys(namespace)) {
+        if (SERVER_ONLY.has(`${ns}.${method}`)) continue;
         const result = await namespace[method]({ probe: `${ns}.${method}` }, 'second');
         expect(result, `${ns}.${method}`).toMatchObject({ channel: `${ns}.${method}` });
         expect(bridge[ns][method], `${ns}.${method}`).toHaveBeenCalled();
@@ -388,6 +436,13 @@ describe('localClient over the Electron bridge', () => {
     expect(checked).toBeGreaterThan(100);
   });
 
+  it('answers the server-only HL7 outbound methods without reaching preload', async () => {
+    await expect(localClient.hl7.outboundDestinations()).resolves.toEqual([]);
+    await expect(localClient.hl7.outboundMessages()).resolves.toEqual([]);
+    await expect(localClient.hl7.resendOutbound('m1')).rejects.toThrow(/server|remote/i);
+    expect(bridge.hl7.outboundDestinations).not.toHaveBeenCalled();
+  });
+
   it('forwards call arguments unchanged', async () => {
     await localClient.labs.getByPatient('p1', { limit: 10 });
     expect(bridge.labs.getByPatient).toHaveBeenCalledWith('p1', { limit: 10 });
@@ -482,6 +537,8 @@ describe('localClient over the Electron bridge', () => {
       expect(bridge.entities.update).toHaveBeenCalledWith('Patient', 'p1', { blood_type: 'O+' });
       await patients.delete('p1');
       expect(bridge.entities.delete).toHaveBeenCalledWith('Patient', 'p1');
+      await patients.update('p1', { blood_type: 'O+' }, { ifMatch: 4 });
+      expect(bridge.entities.update).toHaveBeenLastCalledWith('Patient', 'p1', { blood_type: 'O+' }, { ifMatch: 4 });
       await patients.list('-created_at', 25);
       expect(bridge.entities.list).toHaveBeenCalledWith('Patient', '-created_at', 25);
       await patients.filter({ waitlist_status: 'active' }, '-priority_score', 10);
@@ -412,6 +412,19 @@ describe('entity facade', () => {
     await expect(client.entities.Patient.delete('p1')).rejects.toThrow(/not available/i);
   });
 
+  it('sends the edited version as If-Match and surfaces 412 as a version conflict', async () => {
+    const client = createRemoteClient();
+    await client.entities.Patient.update('p1', { blood_type: 'B+' });
+    expect(lastInit().headers['if-match']).toBeUndefined();
+    await client.entities.Patient.update('p1', { blood_type: 'B+' }, { ifMatch: 3 });
+    expect(lastInit().headers['if-match']).toBe('W/"3"');
+
+    fetchMock.mockResolvedValueOnce(reply({ error: { message: 'Patient was changed by someone else', code: 'version_conflict' } }, { status: 412 }));
+    await expect(client.patients.update('p1', { notes: 'x' }, { ifMatch: 'W/"3"' }))
+      .rejects.toMatchObject({ status: 412, code: 'version_conflict' });
+    expect(lastInit().headers['if-match']).toBe('W/"3"');
+  });
+
   it('reads the audit log from /audit and tolerates both body shapes', async () => {
     const client = createRemoteClient();
     fetchMock.mockResolvedValueOnce(reply([{ id: 'a1' }]));
@@ -0,0 +1,173 @@
+/**
+ * TransTrack — optimistic concurrency on desktop entity writes.
+ *
+ * Two coordinators editing the same candidate used to race: whichever saved
+ * last silently replaced the other's changes. Patients now carry a row
+ * version; `entity:update` and `entity:delete` accept `{ ifMatch }` and refuse
+ * a write against a version that is no longer current, so the renderer can
+ * offer a merge instead.
+ *
+ * These tests exercise the real ipcMain handlers registered by
+ * electron/ipc/handlers/entities.cjs against an in-memory database.
+ *
+ * Run standalone: node tests/entityVersionConflict.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const Database = require('better-sqlite3-multiple-ciphers');
+
+const registeredHandlers = {};
+const mockApp = { getPath: () => __dirname, isPackaged: false };
+require.cache[require.resolve('electron')] = {
+  id: 'electron', filename: 'electron', loaded: true,
+  exports: {
+    app: mockApp,
+    ipcMain: { handle: (channel, fn) => { registeredHandlers[channel] = fn; } },
+    dialog: {},
+    safeStorage: { isEncryptionAvailable: () => false },
+  },
+};
+
+const db = new Database(':memory:');
+db.exec(`
+  CREATE TABLE organizations (id TEXT PRIMARY KEY, name TEXT, status TEXT);
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY, org_id TEXT NOT NULL, email TEXT, role TEXT,
+    is_active INTEGER DEFAULT 1
+  );
+  CREATE TABLE sessions (id TEXT PRIMARY KEY, user_id TEXT NOT NULL);
+  CREATE TABLE patients (
+    id TEXT PRIMARY KEY, org_id TEXT NOT NULL, patient_id TEXT,
+    first_name TEXT, last_name TEXT, blood_type TEXT, organ_needed TEXT,
+    waitlist_status TEXT, notes TEXT, phone TEXT,
+    created_at TEXT DEFAULT (datetime('now')), updated_at TEXT, updated_by TEXT,
+    version INTEGER NOT NULL DEFAULT 1
+  );
+  CREATE TABLE donor_organs (
+    id TEXT PRIMARY KEY, org_id TEXT NOT NULL, donor_id TEXT, organ_type TEXT,
+    blood_type TEXT, organ_status TEXT, status TEXT, notes TEXT,
+    created_at TEXT DEFAULT (datetime('now')), updated_at TEXT, updated_by TEXT
+  );
+  CREATE TABLE audit_logs (
+    id TEXT PRIMARY KEY, org_id TEXT NOT NULL, action TEXT NOT NULL,
+    entity_type TEXT, entity_id TEXT, patient_name TEXT, details TEXT,
+    user_id TEXT, user_email TEXT, user_role TEXT, request_id TEXT,
+    prev_hash TEXT, record_hash TEXT, record_hmac TEXT, seq INTEGER,
+    created_at TEXT DEFAULT (datetime('now'))
+  );
+`);
+
+const initPath = require.resolve('../electron/database/init.cjs');
+require.cache[initPath] = {
+  id: initPath, filename: initPath, loaded: true,
+  exports: { getDatabase: () => db, getDatabasePath: () => ':memory:' },
+};
+
+const siemPath = require.resolve('../electron/services/siemForwarder.cjs');
+require.cache[siemPath] = {
+  id: siemPath, filename: siemPath, loaded: true,
+  exports: { forwardAuditRow: () => {} },
+};
+
+const gatePath = require.resolve('../electron/license/featureGate.cjs');
+require.cache[gatePath] = {
+  id: gatePath, filename: gatePath, loaded: true,
+  exports: { requireWriteAccess: () => {}, requireWithinLimit: () => {} },
+};
+
+const shared = require('../electron/ipc/shared.cjs');
+const entities = require(path.join('..', 'electron', 'ipc', 'handlers', 'entities.cjs'));
+
+entities.register();
+
+let PASS = 0, FAIL = 0;
+const failures = [];
+const cases = [];
+function test(name, fn) {
+  cases.push({ name, fn });
+}
+
+const ORG = 'ORG_VERSIONS';
+db.prepare('INSERT INTO organizations (id, name, status) VALUES (?, ?, ?)').run(ORG, 'Test Org', 'ACTIVE');
+const ADMIN = { id: 'u-admin', org_id: ORG, email: 'admin@test.local', role: 'admin' };
+db.prepare('INSERT INTO users (id, org_id, email, role) VALUES (?, ?, ?, ?)').run(ADMIN.id, ORG, ADMIN.email, ADMIN.role);
+db.prepare('INSERT INTO sessions (id, user_id) VALUES (?, ?)').run(`s-${ADMIN.id}`, ADMIN.id);
+shared.setSessionState(`s-${ADMIN.id}`, { ...ADMIN }, Date.now() + 3600000, null);
+
+db.prepare(
+  'INSERT INTO patients (id, org_id, patient_id, first_name, last_name, waitlist_status) VALUES (?, ?, ?, ?, ?, ?)'
+).run('p1', ORG, 'PT-1', 'Ana', 'Lima', 'active');
+db.prepare('INSERT INTO donor_organs (id, org_id, donor_id, organ_type, status) VALUES (?, ?, ?, ?, ?)')
+  .run('d1', ORG, 'DN-1', 'Kidney', 'available');
+
+const update = (...args) => registeredHandlers['entity:update']({}, ...args);
+const remove = (...args) => registeredHandlers['entity:delete']({}, ...args);
+const versionOf = (id) => db.prepare('SELECT version FROM patients WHERE id = ?').get(id).version;
+
+async function rejects(promise, pattern, message) {
+  try {
+    await promise;
+  } catch (e) {
+    assert.match(e.message, pattern, message);
+    return e;
+  }
+  throw new Error(`${message}: expected a rejection`);
+}
+
+test('every patient update bumps the version, with or without ifMatch', async () => {
+  await update('Patient', 'p1', { notes: 'first' });
+  assert.strictEqual(versionOf('p1'), 2);
+  const row = await update('Patient', 'p1', { notes: 'second' }, { ifMatch: 2 });
+  assert.strictEqual(row.version, 3, 'the returned row carries the new version');
+});
+
+test('an ETag-style ifMatch is accepted', async () => {
+  await update('Patient', 'p1', { phone: '555-0100' }, { ifMatch: 'W/"3"' });
+  assert.strictEqual(versionOf('p1'), 4);
+});
+
+test('a stale ifMatch is refused and nothing is written', async () => {
+  const err = await rejects(
+    update('Patient', 'p1', { notes: 'overwrite' }, { ifMatch: 2 }),
+    /^Version conflict: Patient was changed by another user \(you edited version 2, current version is 4\)/,
+    'stale update'
+  );
+  assert.strictEqual(err.code, 'VERSION_CONFLICT');
+  const row = db.prepare('SELECT notes, version FROM patients WHERE id = ?').get('p1');
+  assert.deepStrictEqual({ ...row }, { notes: 'second', version: 4 });
+});
+
+test('a caller cannot set the version through the data payload', async () => {
+  await update('Patient', 'p1', { notes: 'third', version: 99 });
+  assert.strictEqual(versionOf('p1'), 5);
+});
+
+test('a malformed ifMatch is rejected', async () => {
+  await rejects(update('Patient', 'p1', { notes: 'x' }, { ifMatch: '*' }), /Invalid ifMatch/, 'wildcard');
+});
+
+test('a stale ifMatch also blocks delete', async () => {
+  await rejects(remove('Patient', 'p1', { ifMatch: 1 }), /^Version conflict/, 'stale delete');
+  assert.ok(db.prepare('SELECT id FROM patients WHERE id = ?').get('p1'), 'patient must survive');
+});
+
+test('unversioned entities ignore ifMatch', async () => {
+  const row = await update('DonorOrgan', 'd1', { notes: 'checked' }, { ifMatch: 7 });
+  assert.strictEqual(row.notes, 'checked');
+});
+
+(async () => {
+  console.log('entityVersionConflict — ifMatch on desktop entity writes\n');
+  for (const { name, fn } of cases) {
+    try { await fn(); PASS++; console.log(`  ok  ${name}`); }
+    catch (e) { FAIL++; failures.push({ name, error: e }); console.log(`  FAIL ${name}: ${e.message}`); }
+  }
+  console.log(`\n${PASS} passed, ${FAIL} failed`);
+  if (FAIL > 0) {
+    for (const f of failures) console.error(`\n${f.name}:\n${f.error.stack || f.error.message}`);
+    process.exit(1);
+  }
+})();
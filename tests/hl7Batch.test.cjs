@@ -0,0 +1,157 @@
+/**
+ * TransTrack — HL7 v2 batch file (FHS/BHS/BTS/FTS) reader unit tests.
+ * Run with: node tests/hl7Batch.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const hl7Batch = require('../electron/services/hl7Batch.cjs');
+const hl7 = require('../electron/services/hl7v2.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+function file(...lines) { return lines.join('\r\n') + '\r\n'; }
+
+const MSG = (id, ...rest) => [`MSH|^~\\&|LIS|REF|TT|TT|20261019020000||ORU^R01|${id}|P|2.5`, `PID|1||MRN-${id}`, ...rest];
+
+const NIGHTLY = file(
+  'FHS|^~\\&|LIS|REF|TT|TT|20261019020000||lab-20261019.hl7|nightly|F-100',
+  'BHS|^~\\&|LIS|REF|TT|TT|20261019020000||||B-1',
+  ...MSG('L1', 'OBX|1|NM|2160-0^Creatinine||1.1|mg/dL'),
+  ...MSG('L2'),
+  'BTS|2|chemistry',
+  'BHS|^~\\&|LIS|REF|TT|TT|20261019020000||||B-2',
+  ...MSG('L3'),
+  'BTS|1',
+  'FTS|2'
+);
+
+/** Feed `text` to a reader in chunks of `size` bytes. */
+function readAll(text, size = 13, opts) {
+  const reader = new hl7Batch.BatchReader(opts);
+  const buf = Buffer.isBuffer(text) ? text : Buffer.from(text, 'utf8');
+  const out = [];
+  for (let i = 0; i < buf.length; i += size) out.push(...reader.push(buf.subarray(i, i + size)));
+  out.push(...reader.end());
+  return { reader, messages: out, envelope: reader.envelope() };
+}
+
+console.log('\n=== Reading ===');
+
+test('splits a nightly file into messages whatever the chunk size', () => {
+  for (const size of [1, 7, 64, 100000]) {
+    const { messages } = readAll(NIGHTLY, size);
+    assert.deepStrictEqual(messages.map(m => [m.batch, m.sequence]), [[1, 1], [1, 2], [2, 3]]);
+    assert.strictEqual(messages[0].raw.split('\r').length, 3);
+    assert.strictEqual(hl7.parseMessage(messages[2].raw).message_control_id, 'L3');
+  }
+});
+
+test('reads the file and batch headers and trailers', () => {
+  const { envelope } = readAll(NIGHTLY);
+  assert.strictEqual(envelope.file_header.control_id, 'F-100');
+  assert.strictEqual(envelope.file_header.name, 'lab-20261019.hl7');
+  assert.strictEqual(envelope.file_header.sending_app, 'LIS');
+  assert.strictEqual(envelope.batches[0].header.control_id, 'B-1');
+  assert.strictEqual(envelope.batches[0].trailer.declared_count, 2);
+  assert.strictEqual(envelope.batches[0].trailer.comment, 'chemistry');
+  assert.strictEqual(envelope.file_trailer.declared_count, 2);
+  assert.strictEqual(envelope.message_count, 3);
+});
+
+test('treats a file of bare messages as one implicit batch', () => {
+  const { messages, envelope } = readAll(file(...MSG('A'), ...MSG('B')));
+  assert.strictEqual(messages.length, 2);
+  assert.strictEqual(envelope.batches.length, 1);
+  assert.strictEqual(envelope.batches[0].header, null);
+  assert.deepStrictEqual(hl7Batch.reconcile(envelope), { reconciled: true, issues: [] });
+});
+
+test('decodes each message in its own MSH-18 character set', () => {
+  const latin = Buffer.concat([
+    Buffer.from('MSH|^~\\&|LIS|REF|TT|TT|20261019||ADT^A08|X1|P|2.5||||||8859/1\rPID|1||M1||M', 'latin1'),
+    Buffer.from([0xFC]), // ü in ISO 8859-1
+    Buffer.from('ller^Jo\r', 'latin1'),
+  ]);
+  const { messages } = readAll(latin, 5);
+  assert.strictEqual(hl7.parseMessage(messages[0].raw).patient.last_name, 'Müller');
+});
+
+test('tolerates MLLP block characters left in a capture', () => {
+  const { messages } = readAll('\x0B' + MSG('V1').join('\r') + '\x1C\r');
+  assert.strictEqual(messages.length, 1);
+  assert.ok(!messages[0].raw.includes('\x1C'));
+});
+
+test('refuses a message larger than the cap', () => {
+  const big = file(...MSG('BIG', 'NTE|1||' + 'x'.repeat(5000)));
+  assert.throws(() => readAll(big, 512, { maxMessageBytes: 2048 }), (e) => e.code === 'message_too_large');
+});
+
+console.log('\n=== Reconciliation ===');
+
+test('a file whose counts match reconciles', () => {
+  assert.deepStrictEqual(hl7Batch.reconcile(readAll(NIGHTLY).envelope), { reconciled: true, issues: [] });
+});
+
+test('reports BTS-1 and FTS-1 counts that do not match', () => {
+  const short = NIGHTLY.replace('BTS|2|chemistry', 'BTS|3|chemistry').replace('FTS|2', 'FTS|3');
+  const { issues } = hl7Batch.reconcile(readAll(short).envelope);
+  assert.deepStrictEqual(issues.map(i => i.code), ['batch_count_mismatch', 'file_count_mismatch']);
+  assert.strictEqual(issues[0].declared, 3);
+  assert.strictEqual(issues[0].counted, 2);
+});
+
+test('reports a truncated file', () => {
+  const cut = NIGHTLY.slice(0, NIGHTLY.indexOf('BTS|1'));
+  const { issues } = hl7Batch.reconcile(readAll(cut).envelope);
+  assert.deepStrictEqual(issues.map(i => i.code), ['batch_trailer_missing', 'file_trailer_missing']);
+});
+
+console.log('\n=== Batch acknowledgement ===');
+
+test('answers every message inside BHS/BTS and references the sender control IDs', () => {
+  const { envelope, messages } = readAll(NIGHTLY);
+  const results = messages.map((m, i) => ({
+    batch: m.batch, message_control_id: hl7.parseMessage(m.raw).message_control_id,
+    code: i === 1 ? 'AE' : 'AA', text: i === 1 ? 'Patient not found' : 'Accepted',
+  }));
+  const lines = hl7Batch.buildBatchAck(envelope, results, { controlId: 'ACK1' }).split('\r');
+  assert.deepStrictEqual(lines.map(l => l.slice(0, 3)),
+    ['FHS', 'BHS', 'MSH', 'MSA', 'MSH', 'MSA', 'BTS', 'BHS', 'MSH', 'MSA', 'BTS', 'FTS']);
+  assert.strictEqual(lines[0].split('|')[10], 'ACK1');
+  assert.strictEqual(lines[0].split('|')[11], 'F-100');
+  assert.strictEqual(lines[1].split('|')[11], 'B-1');
+  assert.strictEqual(lines[5], 'MSA|AE|L2|Patient not found');
+  assert.strictEqual(lines[6], 'BTS|2|1 accepted, 1 error(s), 0 rejected');
+  assert.strictEqual(lines[11], 'FTS|2|Counts reconciled');
+});
+
+test('carries the reconciliation issues in FTS-2', () => {
+  const { envelope } = readAll(NIGHTLY.replace('BTS|1', 'BTS|4'));
+  const ack = hl7Batch.buildBatchAck(envelope, []);
+  assert.ok(ack.endsWith('FTS|2|Batch 2: BTS-1 declares 4 message(s), 1 read'));
+});
+
+test('tallies ACK codes', () => {
+  assert.deepStrictEqual(hl7Batch.tally([{ code: 'AA' }, { code: 'CA' }, { code: 'AE' }, { code: 'AR' }]),
+    { total: 4, accepted: 2, errors: 1, rejected: 1 });
+});
+
+console.log(`\n${PASS} passed, ${FAIL} failed`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}\n${f.error.stack}`);
+  process.exit(1);
+}
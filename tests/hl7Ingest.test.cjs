@@ -36,17 +36,34 @@ function buildDb() {
       patient_id TEXT NOT NULL,
       test_code TEXT NOT NULL,
       test_name TEXT NOT NULL,
+      loinc_code TEXT,
       value TEXT NOT NULL,
       units TEXT,
+      units_ucum TEXT,
       reference_range TEXT,
       collected_at TEXT NOT NULL,
       resulted_at TEXT,
-      source TEXT NOT NULL DEFAULT 'MANUAL' CHECK(source IN ('MANUAL', 'FHIR_IMPORT')),
+      source TEXT NOT NULL DEFAULT 'MANUAL' CHECK(source IN ('MANUAL', 'FHIR_IMPORT', 'HL7_V2')),
+      source_application TEXT,
+      source_message_id TEXT,
       ordering_service TEXT,
       entered_by TEXT NOT NULL,
       created_at TEXT,
       updated_at TEXT
     );
+    CREATE TABLE lab_code_mappings (
+      id TEXT PRIMARY KEY,
+      org_id TEXT NOT NULL,
+      sending_application TEXT NOT NULL,
+      local_code TEXT NOT NULL,
+      local_name TEXT,
+      loinc_code TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT,
+      updated_by TEXT,
+      updated_at TEXT,
+      UNIQUE(org_id, sending_application, local_code)
+    );
     INSERT INTO organizations (id) VALUES ('ORG1');
     INSERT INTO users (id, org_id, email, role) VALUES ('U1','ORG1','admin@local','admin');
   `);
@@ -124,14 +141,48 @@ test('ORU^R01 inserts lab_results rows for known patient', () => {
   assert.strictEqual(summary.labs.inserted, 2);
   const labs = db.prepare('SELECT * FROM lab_results WHERE patient_id = ? ORDER BY test_code').all(summary.patient.id);
   assert.strictEqual(labs.length, 2);
-  assert.strictEqual(labs[0].source, 'FHIR_IMPORT');
-  assert.ok(labs[0].ordering_service.startsWith('HL7_v2/'));
+  assert.strictEqual(labs[0].source, 'HL7_V2');
+  assert.strictEqual(labs[0].source_application, 'LIS');
+  assert.strictEqual(labs[0].source_message_id, 'MSGID0002');
+  assert.strictEqual(labs[0].ordering_service, null);
   assert.strictEqual(labs[0].entered_by, 'U1');
   // value preserved as string (no clinical interpretation)
   const creat = labs.find(l => l.test_name.includes('Creatinine'));
   assert.ok(creat);
   assert.strictEqual(creat.value, '1.4');
   assert.strictEqual(creat.units, 'mg/dL');
+  // LOINC-coded OBX resolves through the catalog; the unit keeps its raw form
+  assert.strictEqual(creat.loinc_code, '2160-0');
+  const wbc = labs.find(l => l.test_code === '6690-2');
+  assert.strictEqual(wbc.units, '10*3/uL');
+  assert.strictEqual(wbc.units_ucum, '10*3/uL');
+  assert.deepStrictEqual(summary.labs.unmapped, []);
+});
+
+test('Local OBX codes resolve through the sender\'s mapping; unmapped ones are reported', () => {
+  const localOru = [
+    'MSH|^~\\&|MEDITECH|HOSP|TT|TT|20260424090000||ORU^R01|MSGID0003|P|2.5',
+    'PID|1||MRN12345^^^HOSP^MR||DOE^JOHN^Q||19700115|M',
+    'OBX|1|NM|CRE^Creat^L||1.3|MG/DL|0.6-1.3||||F|||20260424085000',
+    'OBX|2|NM|2160-0^Creat^99LOC||1.3|mg/dl|0.6-1.3||||F|||20260424085000',
+    'OBX|3|NM|HGBX^Hgb^L||13.1|g/dl|12-16||||F|||20260424085000',
+  ].join('\r');
+  db.prepare(`INSERT INTO lab_code_mappings (id, org_id, sending_application, local_code, loinc_code)
+              VALUES ('M1', 'ORG1', 'meditech', 'cre', '2160-0')`).run();
+  const summary = ingest.ingest({
+    orgId: 'ORG1', parsed: hl7.parseMessage(localOru), userEmail: 'admin@local', userId: 'U1',
+  });
+  assert.strictEqual(summary.ok, true);
+  const rows = db.prepare('SELECT * FROM lab_results WHERE source_message_id = ? ORDER BY id').all('MSGID0003');
+  const byCode = Object.fromEntries(rows.map(r => [r.test_code, r]));
+  assert.strictEqual(byCode.CRE.loinc_code, '2160-0');
+  assert.strictEqual(byCode.CRE.units, 'MG/DL');
+  assert.strictEqual(byCode.CRE.units_ucum, 'mg/dL');
+  // a LOINC-shaped code under a local coding system is not taken as LOINC
+  assert.strictEqual(byCode['2160-0'].loinc_code, null);
+  assert.strictEqual(byCode.HGBX.loinc_code, null);
+  assert.deepStrictEqual(summary.labs.unmapped, ['2160-0', 'HGBX']);
+  assert.ok(summary.warnings.some(w => /No LOINC code for 2160-0, HGBX from MEDITECH/.test(w)));
 });
 
 test('createPatient=false leaves DB unchanged when no MRN match', () => {
@@ -112,6 +112,62 @@ test('handles \\r\\n line endings', () => {
   assert.strictEqual(r.patient.last_name, 'DOE');
 });
 
+console.log('\n=== Encoding characters and escapes ===');
+
+test('decodes standard escapes in names and observation text', () => {
+  const r = hl7.parseMessage(msg(
+    'MSH|^~\\&|LIS|LAB|TT|TT|20260102083015||ORU^R01|LAB100|P|2.5',
+    'PID|1||MRN1^^^HOSP^MR||O\\T\\BRIEN^MARY\\S\\JO',
+    'OBX|1|FT|NOTE^Comment^L||Line one\\.br\\Line two \\F\\ A\\R\\B \\E\\ \\Zvendor\\||||||F'
+  ));
+  assert.strictEqual(r.patient.last_name, "O&BRIEN");
+  assert.strictEqual(r.patient.first_name, 'MARY^JO');
+  assert.strictEqual(r.observations[0].value, 'Line one\nLine two | A~B \\ \\Zvendor\\');
+});
+
+test('honours the separators declared in MSH-1 and MSH-2', () => {
+  const r = hl7.parseMessage(msg(
+    'MSH#*@!%#EPIC#HOSP#TT#TT#20260101120000##ADT*A04#MSG2#P#2.5',
+    'PID#1##MRN9***HOSP*MR##SMITH*ANNE!S!MARIE'
+  ));
+  assert.strictEqual(r.trigger_event, 'A04');
+  assert.strictEqual(r.patient.mrn, 'MRN9');
+  assert.strictEqual(r.patient.first_name, 'ANNE*MARIE');
+  assert.deepStrictEqual(r.encoding, {
+    field: '#', component: '*', repetition: '@', escape: '!', subcomponent: '%', truncation: null,
+  });
+});
+
+test('rejects duplicated encoding characters', () => {
+  assert.throws(() => hl7.parseMessage('MSH|^^\\&|A|B|C|D|||ADT^A04|1|P|2.5'), /encoding characters/);
+});
+
+test('decodes bytes and \\X..\\ hex data in the MSH-18 character set', () => {
+  const header = 'MSH|^~\\&|LIS|LAB|TT|TT|20260102083015||ORU^R01|LAB101|P|2.5||||||8859/1';
+  const bytes = Buffer.concat([
+    Buffer.from(`${header}\rPID|1||MRN1^^^HOSP^MR||M`, 'latin1'),
+    Buffer.from([0xdc]),
+    Buffer.from('LLER^J\\XE9\\R\\XD4\\ME', 'latin1'),
+  ]);
+  const r = hl7.parseMessage(hl7.decodeMessage(bytes));
+  assert.strictEqual(r.character_set, '8859/1');
+  assert.strictEqual(r.patient.last_name, 'M\u00dcLLER');
+  assert.strictEqual(r.patient.first_name, 'J\u00e9R\u00d4ME');
+});
+
+test('escapes ACK text with the inbound separators and echoes MSH-18', () => {
+  const parsed = hl7.parseMessage(msg(
+    'MSH#*@!%#EPIC#HOSP#TT#TT#20260101120000##ADT*A04#MSG!F!3#P#2.5######UNICODE UTF-8',
+    'PID#1##MRN9'
+  ));
+  const ack = hl7.buildAck(parsed, 'AE', 'PID-5 missing # see\nlog');
+  const [mshLine, msaLine] = ack.split('\r');
+  assert.ok(mshLine.startsWith('MSH#*@!%#TransTrack#'));
+  assert.ok(mshLine.endsWith('#ACK#MSG!F!3#P#2.5######UNICODE UTF-8'));
+  assert.strictEqual(msaLine, 'MSA#AE#MSG!F!3#PID-5 missing !F! see!.br!log');
+  assert.strictEqual(hl7.unescapeText('PID-5 missing !F! see!.br!log', parsed.encoding), 'PID-5 missing # see\nlog');
+});
+
 console.log(`\nResults: ${PASS} passed, ${FAIL} failed.`);
 if (FAIL > 0) {
   for (const f of failures) console.error(`\n${f.name}:\n${f.error.stack || f.error.message}`);
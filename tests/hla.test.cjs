@@ -0,0 +1,167 @@
+/**
+ * TransTrack — HLA typing: nomenclature parsing, serological equivalents and
+ * per-locus mismatch counts.
+ * Run with: node tests/hla.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const hla = require('../electron/services/hla.cjs');
+const referenceData = require('../electron/services/calculators/referenceData.cjs');
+const { validateHLATyping, validateUnacceptableAntigens, validateEntity } = require('../electron/functions/validators.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+const pick = (entry, ...keys) => Object.fromEntries(keys.map((k) => [k, entry[k]]));
+
+test('parses allele names at every resolution', () => {
+  assert.deepStrictEqual(pick(hla.parseAntigen('A*02'), 'locus', 'gene', 'fields', 'resolution'),
+    { locus: 'A', gene: 'A', fields: ['02'], resolution: 'allele-group' });
+  assert.deepStrictEqual(pick(hla.parseAntigen('DRB1*15:01'), 'locus', 'fields', 'resolution', 'name'),
+    { locus: 'DR', fields: ['15', '01'], resolution: 'protein', name: 'DRB1*15:01' });
+  assert.deepStrictEqual(pick(hla.parseAntigen('A*02:01:01:02L'), 'fields', 'resolution', 'expression', 'expressed'),
+    { fields: ['02', '01', '01', '02'], resolution: 'non-coding', expression: 'L', expressed: true });
+  assert.strictEqual(hla.parseAntigen('DQB1*06:02:01').resolution, 'synonymous');
+});
+
+test('parses G and P groups, null alleles and NMDP codes', () => {
+  assert.deepStrictEqual(pick(hla.parseAntigen('A*02:01:01G'), 'group', 'expression'), { group: 'G', expression: null });
+  assert.strictEqual(hla.parseAntigen('B*44:02P').group, 'P');
+  assert.strictEqual(hla.parseAntigen('A*24:09N').expressed, false);
+  assert.deepStrictEqual(pick(hla.parseAntigen('B*44:AB'), 'fields', 'ambiguity', 'resolution'),
+    { fields: ['44'], ambiguity: 'AB', resolution: 'allele-group' });
+  assert.strictEqual(hla.parseAntigen('A*02:XX').ambiguity, null);
+});
+
+test('accepts legacy, prefixed and lower-case forms', () => {
+  assert.strictEqual(hla.parseAntigen('A*0201').name, 'A*02:01');
+  assert.strictEqual(hla.parseAntigen('HLA-B*44:02').name, 'B*44:02');
+  assert.strictEqual(hla.parseAntigen('drb1*04:01').name, 'DRB1*04:01');
+});
+
+test('parses serological antigens onto their locus', () => {
+  assert.deepStrictEqual(pick(hla.parseAntigen('Cw7'), 'locus', 'name'), { locus: 'C', name: 'Cw7' });
+  assert.deepStrictEqual(pick(hla.parseAntigen('DR52'), 'locus', 'name'), { locus: 'DRB345', name: 'DR52' });
+  assert.deepStrictEqual(pick(hla.parseAntigen('dq7'), 'locus', 'name'), { locus: 'DQ', name: 'DQ7' });
+  assert.strictEqual(hla.parseAntigen('Bw4').type, 'epitope');
+});
+
+test('rejects what is not HLA nomenclature', () => {
+  for (const bad of ['', 'X*01', 'A*', 'A*02:01:01:01:01', 'DRB9*01:01', 'hello', 'A*02:01Z']) {
+    assert.strictEqual(hla.parseAntigen(bad), null, bad);
+  }
+  assert.strictEqual(hla.parseAntigen(42), null);
+});
+
+test('sorts a typing by locus from a string, an array or server JSONB', () => {
+  const fromString = hla.parseTyping('A*02:01 A24, B7;B*44:02 DR15 DR52 Bw4 junk');
+  assert.deepStrictEqual(fromString.loci.A.map((e) => e.name), ['A*02:01', 'A24']);
+  assert.deepStrictEqual(fromString.loci.DRB345.map((e) => e.name), ['DR52']);
+  assert.deepStrictEqual(fromString.unrecognized, ['junk']);
+
+  const fromObject = hla.parseTyping({ A: ['A1', 'A2'], B: 'B8 B44', DR: ['DRB1*03:01/DRB1*03:04'] });
+  assert.deepStrictEqual(fromObject.loci.B.map((e) => e.name), ['B8', 'B44']);
+  assert.deepStrictEqual(fromObject.loci.DR.map((e) => e.name), ['DRB1*03:01']);
+});
+
+test('an allele matches its serological equivalent', () => {
+  const mm = hla.mismatches('A*02:01 A*01:01 B*07:02 B*08:01 DRB1*04:01 DRB1*07:01', 'A2 A1 B7 B8 DR4 DR7');
+  assert.deepStrictEqual(pick(mm, 'A', 'B', 'DR', 'abdr'), { A: 0, B: 0, DR: 0, abdr: 0 });
+});
+
+test('a split matches its broad, but not another split', () => {
+  const donor = 'A1 A2 B*15:01 B8 DR1 DR4';
+  assert.strictEqual(hla.mismatches(donor, 'A1 A2 B62 B8 DR1 DR4').B, 0);
+  assert.strictEqual(hla.mismatches(donor, 'A1 A2 B15 B8 DR1 DR4').B, 0);
+  assert.strictEqual(hla.mismatches(donor, 'A1 A2 B63 B8 DR1 DR4').B, 1);
+  assert.strictEqual(hla.mismatches('A1 A2 B7 B8 DRB1*03:01 DR4', 'A1 A2 B7 B8 DR3 DR4').DR, 0);
+  assert.strictEqual(hla.mismatches('A1 A2 B7 B8 DRB1*03:01 DR4', 'A1 A2 B7 B8 DR18 DR4').DR, 1);
+});
+
+test('an associated antigen matches its parent', () => {
+  assert.strictEqual(hla.mismatches('A*24:03 A1', 'A24 A1').A, 0);
+  assert.strictEqual(hla.mismatches('A*24:03 A1', 'A9 A1').A, 0);
+});
+
+test('counts a homozygous donor once and ignores null alleles', () => {
+  assert.strictEqual(hla.mismatches('A2 A2 B7 B8 DR4 DR7', 'A1 A3 B7 B8 DR4 DR7').A, 1);
+  assert.strictEqual(hla.mismatches('A2 A*24:09N B7 B8 DR4 DR7', 'A2 A3 B7 B8 DR4 DR7').A, 0);
+});
+
+test('compares DP on allele fields', () => {
+  assert.strictEqual(hla.mismatches('DPB1*04:01 DPB1*02:01', 'DPB1*04:01 DPB1*02').DP, 0);
+  assert.strictEqual(hla.mismatches('DPB1*04:01 DPB1*02:01', 'DPB1*04:02 DPB1*02:01').DP, 1);
+});
+
+test('a locus either side has not typed is null, not a mismatch', () => {
+  const mm = hla.mismatches('A1 A2 B7 B8 DR4 DR7 DQ2', 'A1 A2 B7 B8');
+  assert.deepStrictEqual(pick(mm, 'A', 'B', 'C', 'DR', 'DQ', 'abdr'), { A: 0, B: 0, C: null, DR: null, DQ: null, abdr: null });
+  assert.deepStrictEqual(mm.typed, ['A', 'B']);
+  assert.strictEqual(mm.reference.sourceId, 'SRC-OPTN-P4-HLA');
+});
+
+test('flags the equivalences as stale past their review date, without refusing', () => {
+  const mm = hla.mismatches('A1 A2', 'A1 A3', { now: new Date('2031-01-01') });
+  assert.strictEqual(mm.A, 1);
+  assert.strictEqual(mm.reference.stale, true);
+});
+
+test('reports serological equivalents for display', () => {
+  const shown = hla.antigens('A*02:01 B*15:01 C*03:04 DQB1*03:02 DPB1*04:01');
+  assert.deepStrictEqual(
+    pick(shown, 'A', 'B', 'C', 'DQ', 'DP'),
+    { A: ['A2'], B: ['B62'], C: ['Cw10'], DQ: ['DQ8'], DP: ['DPB1*04:01'] }
+  );
+});
+
+test('normalises an unacceptable-antigen list', () => {
+  assert.deepStrictEqual(hla.normalizeAntigenList(['a2', 'A*0201', 'A*02:01', 'cw7', 'Bw4', '??']),
+    { antigens: ['A2', 'A*02:01', 'Cw7'], invalid: ['Bw4', '??'] });
+  assert.deepStrictEqual(hla.normalizeAntigenList('B62, DR51'), { antigens: ['B62', 'DR51'], invalid: [] });
+  // Every alternative of an ambiguous entry is unacceptable, not just the first.
+  assert.deepStrictEqual(hla.normalizeAntigenList('A2/A68 B62'), { antigens: ['A2', 'A68', 'B62'], invalid: [] });
+  assert.deepStrictEqual(hla.normalizeAntigenList(['A2/A?']), { antigens: ['A2'], invalid: ['A?'] });
+});
+
+test('the equivalence table is provenanced and current', () => {
+  const table = referenceData.loadTable(referenceData.TABLE_IDS.HLA);
+  assert.strictEqual(table.available, true);
+  assert.strictEqual(table.meta.sourceId, 'SRC-OPTN-P4-HLA');
+  assert.strictEqual(table.stale, false);
+  for (const [broad, splits] of Object.entries(table.data.broads)) {
+    assert.ok(splits.length > 1, `${broad} lists its splits`);
+  }
+});
+
+test('the validator accepts WHO nomenclature it used to reject', () => {
+  for (const ok of ['DRB1*15:01 DQB1*06:02', 'Cw7 DR52', 'A*02:01:01G', 'A*0201', 'B*44:AB', 'DRB1*03:01/DRB1*03:04']) {
+    assert.strictEqual(validateHLATyping(ok).valid, true, ok);
+  }
+  const bad = validateHLATyping('A2 Q9');
+  assert.strictEqual(bad.valid, false);
+  assert.match(bad.error, /Invalid HLA antigen format: "Q9"/);
+});
+
+test('validates unacceptable antigens on a patient', () => {
+  assert.deepStrictEqual(validateUnacceptableAntigens(['A2', 'B*44:02']), { valid: true, value: ['A2', 'B*44:02'] });
+  assert.strictEqual(validateEntity('Patient', { unacceptable_antigens: ['A2', 'Bw6'] }).valid, false);
+  assert.strictEqual(validateEntity('Patient', { unacceptable_antigens: 'A2 B62' }).valid, true);
+});
+
+console.log(`\n${PASS} passed, ${FAIL} failed`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}\n${f.error.stack}`);
+  process.exit(1);
+}
@@ -168,6 +168,15 @@ test('entity:update requires name, id, and object data', () => {
   assertRejected('entity:update', ['Patient', 'p-1', null], /data must be an object/);
 });
 
+test('entity:update and entity:delete accept optional ifMatch write options', () => {
+  assertAccepted('entity:update', ['Patient', 'p-1', { notes: 'x' }, { ifMatch: 3 }]);
+  assertAccepted('entity:update', ['Patient', 'p-1', { notes: 'x' }, { ifMatch: 'W/"3"' }]);
+  assertAccepted('entity:delete', ['Patient', 'p-1', { ifMatch: 3 }]);
+  assertAccepted('entity:delete', ['Patient', 'p-1', undefined]);
+  assertRejected('entity:update', ['Patient', 'p-1', {}, 'W/"3"'], /options must be an object/);
+  assertRejected('entity:delete', ['Patient', 'p-1', { ifMatch: { v: 3 } }], /options\.ifMatch/);
+});
+
 test('entity:list and entity:filter accept optional ordering and limit', () => {
   assertAccepted('entity:list', ['Patient']);
   assertAccepted('entity:list', ['Patient', '-created_at', 100]);
@@ -218,6 +227,7 @@ test('Epic / FHIR / HL7 channels have NO per-channel schema', () => {
     'hl7:parse',
     'hl7:ingest',
     'hl7:buildAck',
+    'hl7:buildBatchAck',
     'hl7:supportedEvents',
   ];
   for (const channel of protectedChannels) {
@@ -0,0 +1,288 @@
+/**
+ * TransTrack — background job scheduler: cron schedules, per-organization
+ * job state, catch-up after sleep, run history and audit.
+ *
+ * Run with: node tests/jobScheduler.test.cjs
+ */
+
+'use strict';
+
+// Cron expressions are evaluated in local time; pin it so slots are stable.
+process.env.TZ = 'UTC';
+
+const assert = require('assert');
+const Database = require('better-sqlite3-multiple-ciphers');
+
+const powerMonitorHandlers = new Map();
+function emitOsEvent(event) {
+  for (const handler of powerMonitorHandlers.get(event) || []) handler();
+}
+
+require.cache[require.resolve('electron')] = {
+  id: 'electron', filename: 'electron', loaded: true,
+  exports: {
+    app: { getPath: () => __dirname, isPackaged: false, getVersion: () => '1.2.0-test' },
+    safeStorage: { isEncryptionAvailable: () => false },
+    powerMonitor: {
+      on: (event, handler) => {
+        if (!powerMonitorHandlers.has(event)) powerMonitorHandlers.set(event, []);
+        powerMonitorHandlers.get(event).push(handler);
+      },
+    },
+  },
+};
+
+const loggerPath = require.resolve('../electron/services/logger.cjs');
+require.cache[loggerPath] = {
+  id: loggerPath, filename: loggerPath, loaded: true,
+  exports: { logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} } },
+};
+
+const initModule = require('../electron/database/init.cjs');
+const { createSchema, createIndexes } = require('../electron/database/schema.cjs');
+const { MIGRATIONS } = require('../electron/database/migrations.cjs');
+
+let db;
+initModule.getDatabase = () => db;
+const scheduler = require('../electron/services/jobScheduler.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+function freshDb() {
+  db = new Database(':memory:');
+  createSchema(db);
+  createIndexes(db);
+  MIGRATIONS.find((m) => m.name === 'add_living_donor_workflow').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_scheduled_jobs').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_working_calendars').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_task_assignment').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_task_templates').up(db);
+  db.exec(`
+    INSERT INTO organizations (id, name) VALUES ('ORG1', 'One'), ('ORG2', 'Two');
+    INSERT INTO organizations (id, name, status) VALUES ('ORG3', 'Closed', 'SUSPENDED');
+  `);
+  return db;
+}
+
+const T0 = new Date('2026-03-02T10:07:00Z'); // a Monday
+const at = (iso) => new Date(iso);
+const iso = (d) => d.toISOString();
+
+function job(orgId, key) {
+  return scheduler.getJob(orgId, key);
+}
+
+function auditRows(orgId) {
+  return db.prepare(
+    "SELECT * FROM audit_logs WHERE org_id = ? AND entity_type = 'ScheduledJob' ORDER BY seq",
+  ).all(orgId);
+}
+
+// cron
+
+test('next run honours minute steps, fixed times and weekday ranges', () => {
+  assert.strictEqual(iso(scheduler.nextRun('*/15 * * * *', T0)), '2026-03-02T10:15:00.000Z');
+  assert.strictEqual(iso(scheduler.nextRun('*/15 * * * *', at('2026-03-02T10:15:00Z'))), '2026-03-02T10:30:00.000Z');
+  assert.strictEqual(iso(scheduler.nextRun('0 6 * * *', T0)), '2026-03-03T06:00:00.000Z');
+  assert.strictEqual(iso(scheduler.nextRun('30 2 * * 1-5', at('2026-03-06T03:00:00Z'))), '2026-03-09T02:30:00.000Z');
+  assert.strictEqual(iso(scheduler.nextRun('0 0 1 */3 *', T0)), '2026-04-01T00:00:00.000Z');
+  assert.strictEqual(iso(scheduler.nextRun('0 9 * * 7', T0)), '2026-03-08T09:00:00.000Z');
+});
+
+test('day of month and day of week together match either, as in cron', () => {
+  // The 15th, or any Friday — whichever comes first.
+  assert.strictEqual(iso(scheduler.nextRun('0 8 15 * 5', T0)), '2026-03-06T08:00:00.000Z');
+  assert.strictEqual(iso(scheduler.nextRun('0 8 15 * 5', at('2026-03-13T09:00:00Z'))), '2026-03-15T08:00:00.000Z');
+});
+
+test('malformed or impossible expressions are refused', () => {
+  assert.throws(() => scheduler.parseCron('* * * *'), /five fields/);
+  assert.throws(() => scheduler.parseCron('60 * * * *'), /minute/);
+  assert.throws(() => scheduler.parseCron('*/0 * * * *'), /minute/);
+  assert.throws(() => scheduler.parseCron('0 5-2 * * *'), /hour/);
+  assert.throws(() => scheduler.parseCron('0 0 * * mon'), /day of week/);
+  assert.throws(() => scheduler.nextRun('0 0 31 2 *', T0), /never matches/);
+});
+
+// job state
+
+test('each active organization gets every job on its default schedule', () => {
+  freshDb();
+  scheduler.tick(T0);
+  const jobs = scheduler.listJobs('ORG1');
+  assert.deepStrictEqual(jobs.map((j) => j.job_key).sort(), Object.keys(scheduler.JOBS).sort());
+  const escalations = jobs.find((j) => j.job_key === 'task_escalations');
+  assert.strictEqual(escalations.cron, scheduler.JOBS.task_escalations.defaultCron);
+  assert.strictEqual(escalations.next_run_at, '2026-03-02T10:15:00.000Z');
+  assert.strictEqual(escalations.is_paused, false);
+  assert.ok(escalations.label);
+  assert.strictEqual(db.prepare("SELECT COUNT(*) AS n FROM scheduled_jobs WHERE org_id = 'ORG3'").get().n, 0);
+});
+
+test('a tick runs only the jobs that are due, and schedules their next slot', () => {
+  freshDb();
+  assert.deepStrictEqual(scheduler.tick(T0), []);
+  const runs = scheduler.tick(at('2026-03-02T10:15:20Z'));
+  assert.deepStrictEqual(runs.map((r) => [r.org_id, r.job_key, r.trigger]).sort(), [
+    ['ORG1', 'task_escalations', 'SCHEDULE'],
+    ['ORG2', 'task_escalations', 'SCHEDULE'],
+  ]);
+  const after = job('ORG1', 'task_escalations');
+  assert.strictEqual(after.next_run_at, '2026-03-02T10:30:00.000Z');
+  assert.strictEqual(after.last_status, 'SUCCESS');
+  assert.strictEqual(runs[0].scheduled_for, '2026-03-02T10:15:00.000Z');
+});
+
+test('escalations now happen without anyone pressing the button', () => {
+  freshDb();
+  const due = new Date(Date.now() - 14 * 24 * 3600 * 1000).toISOString();
+  db.exec(`
+    INSERT INTO tasks (id, org_id, title, task_type, due_date) VALUES ('T1', 'ORG1', 'Renew', 'GENERAL', '${due}');
+    INSERT INTO task_escalation_rules (id, org_id, task_type, escalation_level, hours_before_escalation, escalate_to_role)
+      VALUES ('R1', 'ORG1', 'GENERAL', 1, 24, 'supervisor');
+  `);
+  scheduler.tick(T0);
+  const [run] = scheduler.tick(at('2026-03-02T10:15:00Z')).filter((r) => r.org_id === 'ORG1');
+  assert.deepStrictEqual(run.result, { overdue: 1, escalated: 1 });
+  const task = db.prepare("SELECT status, escalated_to FROM tasks WHERE id = 'T1'").get();
+  assert.deepStrictEqual({ ...task }, { status: 'escalated', escalated_to: 'supervisor' });
+});
+
+test('after sleeping through several slots each job catches up once', () => {
+  freshDb();
+  scheduler.tick(T0);
+  const woke = at('2026-03-05T09:00:00Z');
+  const runs = scheduler.tick(woke).filter((r) => r.org_id === 'ORG1');
+  assert.deepStrictEqual(runs.map((r) => r.job_key).sort(), Object.keys(scheduler.JOBS).sort());
+  assert.ok(runs.every((r) => r.trigger === 'CATCH_UP'));
+  for (const j of scheduler.listJobs('ORG1')) {
+    assert.ok(new Date(j.next_run_at) > woke, `${j.job_key} next run is in the future`);
+  }
+  assert.strictEqual(job('ORG1', 'task_escalations').next_run_at, '2026-03-05T09:15:00.000Z');
+  assert.deepStrictEqual(scheduler.tick(woke), []);
+});
+
+test('a run that is late but missed no further slot is an ordinary scheduled run', () => {
+  freshDb();
+  scheduler.tick(T0);
+  const [run] = scheduler.tick(at('2026-03-03T06:20:00Z'))
+    .filter((r) => r.org_id === 'ORG1' && r.job_key === 'auto_tasks');
+  assert.strictEqual(run.trigger, 'SCHEDULE');
+});
+
+test('a paused job is skipped, and resuming does not owe the skipped runs', () => {
+  freshDb();
+  scheduler.tick(T0);
+  const paused = scheduler.pauseJob('ORG1', 'task_escalations', 'admin@x.org', T0);
+  assert.strictEqual(paused.is_paused, true);
+  assert.strictEqual(paused.paused_by, 'admin@x.org');
+  const later = at('2026-03-02T14:00:00Z');
+  assert.ok(!scheduler.tick(later).some((r) => r.org_id === 'ORG1' && r.job_key === 'task_escalations'));
+  const resumed = scheduler.resumeJob('ORG1', 'task_escalations', 'admin@x.org', later);
+  assert.strictEqual(resumed.is_paused, false);
+  assert.strictEqual(resumed.paused_by, null);
+  assert.strictEqual(resumed.next_run_at, '2026-03-02T14:15:00.000Z');
+  assert.deepStrictEqual(scheduler.tick(later), []);
+});
+
+test('a failing job is recorded with its error and does not stop the others', () => {
+  freshDb();
+  scheduler.tick(T0);
+  const original = scheduler.JOBS.inactivation_predictions.run;
+  scheduler.JOBS.inactivation_predictions.run = () => { throw new Error('scoring exploded'); };
+  try {
+    const runs = scheduler.tick(at('2026-03-03T07:00:00Z')).filter((r) => r.org_id === 'ORG1');
+    const failed = runs.find((r) => r.job_key === 'inactivation_predictions');
+    assert.strictEqual(failed.status, 'FAILED');
+    assert.strictEqual(failed.error, 'scoring exploded');
+    assert.ok(runs.some((r) => r.job_key === 'auto_tasks' && r.status === 'SUCCESS'));
+    const j = job('ORG1', 'inactivation_predictions');
+    assert.strictEqual(j.last_status, 'FAILED');
+    assert.strictEqual(j.last_error, 'scoring exploded');
+    assert.strictEqual(j.next_run_at, '2026-03-04T04:00:00.000Z');
+  } finally {
+    scheduler.JOBS.inactivation_predictions.run = original;
+  }
+});
+
+test('every run is kept with its duration and audited to its organization', () => {
+  freshDb();
+  scheduler.tick(T0);
+  scheduler.tick(at('2026-03-02T10:15:00Z'));
+  scheduler.tick(at('2026-03-02T10:30:00Z'));
+  const history = scheduler.listRuns('ORG1', { jobKey: 'task_escalations' });
+  assert.strictEqual(history.length, 2);
+  assert.ok(history.every((r) => Number.isInteger(r.duration_ms) && r.duration_ms >= 0));
+  assert.ok(history[0].started_at >= history[1].started_at);
+  assert.strictEqual(scheduler.listRuns('ORG2').length, 2);
+  const audits = auditRows('ORG1');
+  assert.strictEqual(audits.length, 2);
+  assert.strictEqual(audits[0].action, 'execute');
+  assert.strictEqual(audits[0].user_email, scheduler.SYSTEM_ACTOR);
+  assert.deepStrictEqual(
+    Object.keys(JSON.parse(audits[0].details)),
+    ['job', 'trigger', 'status', 'duration_ms'],
+  );
+  assert.ok(audits[0].record_hash, 'audit row is chained');
+});
+
+test('a manual run is attributed to the admin and leaves the schedule alone', () => {
+  freshDb();
+  scheduler.tick(T0);
+  const before = job('ORG1', 'living_donor_followups');
+  const run = scheduler.runJob('ORG1', 'living_donor_followups', { triggeredBy: 'admin@x.org' });
+  assert.strictEqual(run.trigger, 'MANUAL');
+  assert.strictEqual(run.scheduled_for, null);
+  assert.deepStrictEqual(run.result, { overdueCount: 0 });
+  const after = job('ORG1', 'living_donor_followups');
+  assert.strictEqual(after.next_run_at, before.next_run_at);
+  assert.strictEqual(after.last_status, 'SUCCESS');
+  const [audit] = auditRows('ORG1');
+  assert.strictEqual(audit.user_email, 'admin@x.org');
+  assert.strictEqual(audit.user_role, 'admin');
+  assert.throws(() => scheduler.runJob('ORG1', 'nope'), /Unknown job/);
+});
+
+test('changing a schedule validates it and moves the next run', () => {
+  freshDb();
+  scheduler.tick(T0);
+  const changed = scheduler.updateSchedule('ORG1', 'auto_tasks', ' 30  7 * * 1-5 ', 'admin@x.org', T0);
+  assert.strictEqual(changed.cron, '30 7 * * 1-5');
+  assert.strictEqual(changed.next_run_at, '2026-03-03T07:30:00.000Z');
+  assert.strictEqual(job('ORG2', 'auto_tasks').cron, scheduler.JOBS.auto_tasks.defaultCron);
+  assert.throws(() => scheduler.updateSchedule('ORG1', 'auto_tasks', '0 25 * * *', 'admin@x.org', T0), /hour/);
+  assert.throws(() => scheduler.updateSchedule('ORG1', 'auto_tasks', '', 'admin@x.org', T0), /cron is required/);
+});
+
+// lifecycle
+
+test('waking the workstation runs a tick straight away, until the scheduler stops', () => {
+  freshDb();
+  scheduler.startScheduler({ intervalMs: 60 * 60 * 1000 });
+  try {
+    emitOsEvent('resume');
+    assert.strictEqual(scheduler.listJobs('ORG1').length, Object.keys(scheduler.JOBS).length);
+  } finally {
+    scheduler.stopScheduler();
+  }
+  db.exec("INSERT INTO organizations (id, name) VALUES ('ORG4', 'Four')");
+  emitOsEvent('resume');
+  assert.strictEqual(db.prepare("SELECT COUNT(*) AS n FROM scheduled_jobs WHERE org_id = 'ORG4'").get().n, 0);
+});
+
+console.log(`\n${PASS} passed, ${FAIL} failed`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}\n${f.error.stack}`);
+  process.exit(1);
+}
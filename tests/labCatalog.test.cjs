@@ -0,0 +1,260 @@
+/**
+ * TransTrack — LOINC lab catalog: catalog integrity, UCUM unit spelling,
+ * per-sender code mappings, the lab_results rebuild in migration 30, and
+ * required-lab currency matched on LOINC whichever interface sent the result.
+ *
+ * Run with: node tests/labCatalog.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Database = require('better-sqlite3-multiple-ciphers');
+
+require.cache[require.resolve('electron')] = {
+  id: 'electron', filename: 'electron', loaded: true,
+  exports: {
+    app: { getPath: () => __dirname, isPackaged: false, getVersion: () => '1.2.0-test' },
+    safeStorage: { isEncryptionAvailable: () => false },
+  },
+};
+
+const loggerPath = require.resolve('../electron/services/logger.cjs');
+require.cache[loggerPath] = {
+  id: loggerPath, filename: loggerPath, loaded: true,
+  exports: { logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} } },
+};
+
+const initModule = require('../electron/database/init.cjs');
+const { createSchema, createIndexes } = require('../electron/database/schema.cjs');
+const { MIGRATIONS } = require('../electron/database/migrations.cjs');
+
+let db;
+initModule.getDatabase = () => db;
+const loinc = require('../electron/services/loinc.cjs');
+const labCodeMappings = require('../electron/services/labCodeMappings.cjs');
+const labsService = require('../electron/services/labsService.cjs');
+const hl7 = require('../electron/services/hl7v2.cjs');
+const hl7Ingest = require('../electron/services/hl7Ingest.cjs');
+
+const migration = MIGRATIONS.find((m) => m.name === 'add_loinc_lab_catalog');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+function freshDb() {
+  db = new Database(':memory:');
+  createSchema(db);
+  createIndexes(db);
+  migration.up(db);
+  db.exec(`
+    INSERT INTO organizations (id, name) VALUES ('ORG1', 'One'), ('ORG2', 'Two');
+    INSERT INTO users (id, org_id, email, password_hash, role) VALUES ('U1', 'ORG1', 'admin@local', 'x', 'admin');
+    INSERT INTO patients (id, org_id, patient_id, first_name, last_name, organ_needed, waitlist_status) VALUES
+      ('P1', 'ORG1', 'MRN1', 'Ada', 'Lovelace', 'kidney', 'active');
+  `);
+  return db;
+}
+
+const daysAgo = (n) => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString();
+
+function oru(controlId, obx) {
+  return [
+    `MSH|^~\\&|MEDITECH|HOSP|TT|TT|20260424090000||ORU^R01|${controlId}|P|2.5`,
+    'PID|1||MRN1^^^HOSP^MR||LOVELACE^ADA',
+    ...obx,
+  ].join('\r');
+}
+
+console.log('\n=== LOINC lab catalog ===');
+
+test('every catalog code has a valid LOINC check digit and shorthand aliases are unique', () => {
+  const { available, version, codes } = loinc.catalog();
+  assert.strictEqual(available, true);
+  assert.ok(version.includes('LOINC'));
+  const aliases = new Set();
+  for (const entry of codes) {
+    assert.ok(loinc.isValidCode(entry.loinc), `${entry.loinc} fails its check digit`);
+    for (const alias of entry.aliases) {
+      assert.ok(!aliases.has(alias), `alias ${alias} is used twice`);
+      aliases.add(alias);
+    }
+  }
+  assert.strictEqual(loinc.isValidCode('2160-1'), false);
+  assert.strictEqual(loinc.isValidCode('CREAT'), false);
+  // Every default requirement with a LOINC code points into the catalog
+  for (const [code, info] of Object.entries(labsService.DEFAULT_REQUIRED_LABS)) {
+    if (info.loinc) assert.ok(loinc.lookup(info.loinc), `${code} requires ${info.loinc}, not in the catalog`);
+  }
+});
+
+test('units are respelled in UCUM without touching the value; unknown spellings stay unnormalised', () => {
+  assert.strictEqual(loinc.normalizeUnit('mg/dl'), 'mg/dL');
+  assert.strictEqual(loinc.normalizeUnit('K/uL'), '10*3/uL');
+  assert.strictEqual(loinc.normalizeUnit('x10^3/µL'), '10*3/uL');
+  assert.strictEqual(loinc.normalizeUnit('10E3/uL'), '10*3/uL');
+  assert.strictEqual(loinc.normalizeUnit('mEq/L'), 'meq/L');
+  assert.strictEqual(loinc.normalizeUnit('mL/min/1.73 m²'), 'mL/min/{1.73_m2}');
+  assert.strictEqual(loinc.normalizeUnit('mL/min/{1.73_m2}'), 'mL/min/{1.73_m2}');
+  assert.strictEqual(loinc.normalizeUnit('sec'), 's');
+  assert.strictEqual(loinc.normalizeUnit('furlongs'), null);
+  assert.strictEqual(loinc.normalizeUnit(''), null);
+  assert.strictEqual(loinc.normalizeUnit(null), null);
+});
+
+test('a code is taken as LOINC only when labelled LOINC or unlabelled', () => {
+  assert.strictEqual(loinc.fromCoded('2160-0', 'LN').loinc, '2160-0');
+  assert.strictEqual(loinc.fromCoded('2160-0', 'http://loinc.org').loinc, '2160-0');
+  assert.strictEqual(loinc.fromCoded('2160-0', null).loinc, '2160-0');
+  assert.strictEqual(loinc.fromCoded('2160-0', 'L'), null);
+  assert.strictEqual(loinc.fromCoded('CREAT', 'LN'), null);
+  assert.strictEqual(loinc.fromAlias('creat').loinc, '2160-0');
+});
+
+test('manual results get their LOINC code from the form shorthand, and keep it across value edits', () => {
+  freshDb();
+  const lab = labsService.createLabResult({
+    patient_id: 'P1', test_code: 'creat', test_name: 'Creatinine', value: '1.2', units: 'mg/dl',
+    collected_at: daysAgo(2),
+  }, 'ORG1', 'U1', 'admin@local');
+  assert.strictEqual(lab.loinc_code, '2160-0');
+  assert.strictEqual(lab.units, 'mg/dl');
+  assert.strictEqual(lab.units_ucum, 'mg/dL');
+  assert.strictEqual(lab.source, 'MANUAL');
+
+  const custom = labsService.createLabResult({
+    patient_id: 'P1', test_code: 'PRA', test_name: 'PRA', value: '12', collected_at: daysAgo(2),
+  }, 'ORG1', 'U1', 'admin@local');
+  assert.strictEqual(custom.loinc_code, null);
+
+  assert.throws(() => labsService.createLabResult({
+    patient_id: 'P1', test_code: 'X', test_name: 'X', value: '1', collected_at: daysAgo(1), loinc_code: '99999-9',
+  }, 'ORG1', 'U1', 'admin@local'), /not in the lab catalog/);
+
+  const edited = labsService.updateLabResult(lab.id, {
+    test_code: 'CREAT', value: '1.3', units: 'MG/DL',
+  }, 'ORG1', 'U1', 'admin@local');
+  assert.strictEqual(edited.loinc_code, '2160-0');
+  assert.strictEqual(edited.units_ucum, 'mg/dL');
+
+  const recoded = labsService.updateLabResult(lab.id, { test_code: 'BUN' }, 'ORG1', 'U1', 'admin@local');
+  assert.strictEqual(recoded.loinc_code, '3094-0');
+});
+
+test('a LOINC-defined requirement is met by a result any interface sent, under any test code', () => {
+  freshDb();
+  const missing = labsService.getPatientLabStatus('P1', 'ORG1');
+  const creatBefore = missing.missingLabs.find((l) => l.test_code === 'CREAT');
+  assert.strictEqual(creatBefore.loinc_code, '2160-0');
+
+  hl7Ingest.ingest({
+    orgId: 'ORG1', userId: 'U1', userEmail: 'admin@local',
+    parsed: hl7.parseMessage(oru('MSG-A', [`OBX|1|NM|2160-0^Creatinine^LN||1.4|mg/dL|||||F|||${daysAgo(3).slice(0, 10).replace(/-/g, '')}`])),
+  });
+  const status = labsService.getPatientLabStatus('P1', 'ORG1');
+  const creat = status.labs.find((l) => l.test_code === 'CREAT');
+  assert.ok(creat, 'CREAT is documented by the HL7 2160-0 result');
+  assert.strictEqual(creat.status, 'CURRENT');
+  assert.strictEqual(creat.source, 'HL7_V2');
+  assert.ok(!status.missingLabs.some((l) => l.test_code === 'CREAT'));
+});
+
+test('saving a mapping links results already received and only accepts catalog codes', () => {
+  freshDb();
+  const summary = hl7Ingest.ingest({
+    orgId: 'ORG1', userId: 'U1', userEmail: 'admin@local',
+    parsed: hl7.parseMessage(oru('MSG-B', ['OBX|1|NM|BUNX^Urea N^L||18|mg/dL|||||F'])),
+  });
+  assert.deepStrictEqual(summary.labs.unmapped, ['BUNX']);
+  assert.ok(labsService.getPatientLabStatus('P1', 'ORG1').missingLabs.some((l) => l.test_code === 'BUN'));
+
+  assert.throws(() => labCodeMappings.saveMapping('ORG1', {
+    sending_application: 'MEDITECH', local_code: 'BUNX', loinc_code: '12345-6',
+  }, 'admin@local'), /not in the lab catalog/);
+  assert.throws(() => labCodeMappings.saveMapping('ORG1', { local_code: 'BUNX', loinc_code: '3094-0' }), /sending_application is required/);
+
+  const mapping = labCodeMappings.saveMapping('ORG1', {
+    sending_application: 'MEDITECH', local_code: 'bunx', local_name: 'Urea N', loinc_code: '3094-0',
+  }, 'admin@local');
+  assert.strictEqual(mapping.relinked, 1);
+  assert.strictEqual(mapping.loinc_name, 'Urea nitrogen [Mass/volume] in Serum or Plasma');
+  assert.ok(labsService.getPatientLabStatus('P1', 'ORG1').labs.some((l) => l.test_code === 'BUN'));
+
+  // Re-pointing the mapping moves the results linked through it
+  const repointed = labCodeMappings.saveMapping('ORG1', {
+    sending_application: 'meditech', local_code: 'BUNX', loinc_code: '2160-0',
+  }, 'admin@local');
+  assert.strictEqual(repointed.id, mapping.id);
+  assert.strictEqual(repointed.relinked, 1);
+  assert.strictEqual(labCodeMappings.listMappings('ORG1').length, 1);
+
+  // Mappings are per organisation
+  assert.strictEqual(labCodeMappings.resolve('ORG2', { sendingApplication: 'MEDITECH', code: 'BUNX' }).loinc_code, null);
+  assert.strictEqual(labCodeMappings.resolve('ORG1', { sendingApplication: 'MEDITECH', code: 'BUNX' }).via, 'mapping');
+
+  labCodeMappings.deleteMapping('ORG1', mapping.id);
+  assert.strictEqual(labCodeMappings.listMappings('ORG1').length, 0);
+  assert.throws(() => labCodeMappings.deleteMapping('ORG1', mapping.id), /not found/);
+});
+
+test('migration 30 rebuilds a legacy lab_results table, moving HL7 rows to the HL7_V2 source', () => {
+  db = new Database(':memory:');
+  createSchema(db);
+  createIndexes(db);
+  db.exec(`
+    DROP TABLE lab_results;
+    CREATE TABLE lab_results (
+      id TEXT PRIMARY KEY, org_id TEXT NOT NULL, patient_id TEXT NOT NULL,
+      test_code TEXT NOT NULL, test_name TEXT NOT NULL, value TEXT NOT NULL, units TEXT,
+      reference_range TEXT, collected_at TEXT NOT NULL, resulted_at TEXT,
+      source TEXT NOT NULL DEFAULT 'MANUAL' CHECK(source IN ('MANUAL', 'FHIR_IMPORT')),
+      ordering_service TEXT, entered_by TEXT NOT NULL,
+      created_at TEXT, updated_at TEXT, updated_by TEXT
+    );
+    ALTER TABLE required_lab_types DROP COLUMN loinc_code;
+    INSERT INTO organizations (id, name) VALUES ('ORG1', 'One');
+    INSERT INTO users (id, org_id, email, password_hash) VALUES ('U1', 'ORG1', 'a@b', 'x');
+    INSERT INTO patients (id, org_id, first_name, last_name) VALUES ('P1', 'ORG1', 'Ada', 'Lovelace');
+    INSERT INTO lab_results (id, org_id, patient_id, test_code, test_name, value, units, collected_at, source, ordering_service, entered_by) VALUES
+      ('L1', 'ORG1', 'P1', 'CREAT', 'Creatinine', '1.2', 'mg/dl', '2026-01-01', 'MANUAL', 'Nephrology', 'U1'),
+      ('L2', 'ORG1', 'P1', '718-7', 'Hgb', '13', 'g/dl', '2026-01-01', 'FHIR_IMPORT', 'HL7_v2/LIS', 'U1'),
+      ('L3', 'ORG1', 'P1', 'HGB', 'Hgb', '13', 'g/dL', '2026-01-01', 'FHIR_IMPORT', 'HL7_v2/LIS', 'U1');
+    INSERT INTO required_lab_types (id, org_id, test_code, test_name, created_by) VALUES ('R1', 'ORG1', 'INR', 'INR', 'U1');
+  `);
+  migration.up(db);
+  migration.up(db); // idempotent
+
+  const rows = Object.fromEntries(db.prepare('SELECT * FROM lab_results').all().map((r) => [r.id, r]));
+  assert.strictEqual(rows.L1.source, 'MANUAL');
+  assert.strictEqual(rows.L1.ordering_service, 'Nephrology');
+  assert.strictEqual(rows.L1.loinc_code, '2160-0');
+  assert.strictEqual(rows.L1.units_ucum, 'mg/dL');
+  assert.strictEqual(rows.L2.source, 'HL7_V2');
+  assert.strictEqual(rows.L2.source_application, 'LIS');
+  assert.strictEqual(rows.L2.ordering_service, null);
+  assert.strictEqual(rows.L2.loinc_code, '718-7');
+  // A sender's local code is not read as the lab form's shorthand
+  assert.strictEqual(rows.L3.loinc_code, null);
+  assert.strictEqual(db.prepare('SELECT loinc_code FROM required_lab_types WHERE id = ?').get('R1').loinc_code, '6301-6');
+
+  const indexes = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'lab_results'").all().map((i) => i.name);
+  for (const name of ['idx_lab_results_patient_test', 'idx_lab_results_loinc']) assert.ok(indexes.includes(name), name);
+  db.prepare(`INSERT INTO lab_results (id, org_id, patient_id, test_code, test_name, value, collected_at, source, entered_by)
+              VALUES ('L4', 'ORG1', 'P1', 'K', 'K', '4', '2026-01-02', 'HL7_V2', 'U1')`).run();
+});
+
+console.log(`\nResults: ${PASS} passed, ${FAIL} failed.`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}:\n${f.error.stack || f.error.message}`);
+  process.exit(1);
+}
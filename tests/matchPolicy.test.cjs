@@ -0,0 +1,240 @@
+/**
+ * TransTrack — organ-specific match policies: validation, ABO rules,
+ * scoring, and versioned storage.
+ * Run with: node tests/matchPolicy.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Database = require('better-sqlite3-multiple-ciphers');
+const { MIGRATIONS } = require('../electron/database/migrations.cjs');
+const policy = require('../electron/services/matchPolicy.cjs');
+const hla = require('../electron/services/hla.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+function buildTestDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE organizations (id TEXT PRIMARY KEY);
+    CREATE TABLE patients (id TEXT PRIMARY KEY, org_id TEXT);
+    CREATE TABLE donor_organs (id TEXT PRIMARY KEY, org_id TEXT);
+    CREATE TABLE matches (id TEXT PRIMARY KEY, org_id TEXT);
+    INSERT INTO organizations VALUES ('ORG1'), ('ORG2');
+  `);
+  MIGRATIONS.find((m) => m.name === 'add_match_policies').up(db);
+  return db;
+}
+
+const NOW = new Date('2026-10-01T00:00:00Z');
+const kidney = () => policy.defaultDefinition('kidney');
+
+function score(def, donor, patient) {
+  const abo = policy.aboEligibility(donor, patient, def.abo);
+  const hlaMismatches = hla.mismatches(donor.hla_typing, patient.hla_typing);
+  return policy.evaluate(def, { donor, patient, hlaMismatches, abo, now: NOW });
+}
+
+// validation
+
+test('every built-in definition is valid', () => {
+  for (const organ of policy.ORGAN_TYPES) {
+    assert.deepStrictEqual(policy.validateDefinition(policy.defaultDefinition(organ)), { valid: true, errors: [] });
+  }
+  assert.throws(() => policy.defaultDefinition('spleen'), /Unknown organ type/);
+});
+
+test('validation lists every problem, not just the first', () => {
+  const def = kidney();
+  def.weights.hla = 1.5;
+  def.abo.rule = 'any';
+  def.hla.loci = ['A', 'A', 'X'];
+  def.size.minRatio = 2;
+  const { valid, errors } = policy.validateDefinition(def);
+  assert.strictEqual(valid, false);
+  assert.strictEqual(errors.length, 4);
+  assert.ok(errors.some((e) => e.startsWith('weights.hla')));
+  assert.ok(errors.some((e) => e.startsWith('abo.rule')));
+  assert.ok(errors.some((e) => e.startsWith('hla.loci')));
+  assert.ok(errors.some((e) => e.startsWith('size.minRatio')));
+  assert.deepStrictEqual(policy.validateDefinition({ weights: {} }).valid, false);
+});
+
+// ABO
+
+test('ABO compatible rule, with Rh as the built-in policy requires it', () => {
+  const abo = kidney().abo;
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'O-' }, { blood_type: 'AB+' }, abo).eligible, true);
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'O+' }, { blood_type: 'O-' }, abo).eligible, false);
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'AB+' }, { blood_type: 'O+' }, abo).eligible, false);
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'A+' }, { blood_type: 'A+' }, abo).identical, true);
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'A-' }, { blood_type: 'A+' }, abo).identical, false);
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'O+' }, { blood_type: 'O-' }, { ...abo, matchRh: false }).eligible, true);
+});
+
+test('the identical rule refuses a compatible but different group', () => {
+  const abo = { ...kidney().abo, rule: policy.ABO_RULES.IDENTICAL };
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'O+' }, { blood_type: 'A+' }, abo).eligible, false);
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'O+' }, { blood_type: 'O+' }, abo).eligible, true);
+});
+
+test('A2/A2B to B only when the policy allows it and the candidate is eligible', () => {
+  const abo = { ...kidney().abo, a2ToB: true };
+  const donor = { blood_type: 'A+', abo_subtype: 'A2' };
+  const eligibleB = { blood_type: 'B+', a2_to_b_eligible: 1 };
+  assert.deepStrictEqual(policy.aboEligibility(donor, eligibleB, abo), { eligible: true, identical: false, via: 'a2_to_b' });
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'AB+', abo_subtype: 'A2B' }, eligibleB, abo).eligible, true);
+  assert.strictEqual(policy.aboEligibility(donor, { blood_type: 'B+', a2_to_b_eligible: 0 }, abo).eligible, false);
+  assert.strictEqual(policy.aboEligibility({ blood_type: 'A+', abo_subtype: 'A1' }, eligibleB, abo).eligible, false);
+  assert.strictEqual(policy.aboEligibility(donor, eligibleB, kidney().abo).eligible, false);
+});
+
+// scoring
+
+const DONOR = { blood_type: 'O+', hla_typing: 'A2 A11 B7 B35 DR4 DR15 DQ3', donor_age: 40, donor_weight_kg: 75, donor_height_cm: 180 };
+const PATIENT = {
+  blood_type: 'O+', hla_typing: 'A2 A11 B7 B35 DR4 DR15 DQ3', priority_score: 80,
+  weight_kg: 70, height_cm: 150, date_of_birth: '1981-01-01', date_added_to_waitlist: '2025-10-01',
+};
+
+test('the built-in policy scores as matching did before policies', () => {
+  const r = score(kidney(), DONOR, PATIENT);
+  // 80 × 0.35 + 100 × 0.30 + 10 identical ABO + 10 in size + 10 for a year + 5 within 10 years
+  assert.strictEqual(r.score, 93);
+  assert.strictEqual(r.hlaScore, 100);
+  assert.strictEqual(r.hlaMaximum, 6);
+  assert.strictEqual(r.totalHlaMatches, 6);
+  assert.deepStrictEqual(r.hlaMatches, { A: 2, B: 2, DR: 2, DQ: 2 });
+  assert.deepStrictEqual(r.excluded, []);
+  assert.strictEqual(r.components.abo, 10);
+});
+
+test('the HLA maximum follows the policy loci', () => {
+  const def = kidney();
+  def.hla.loci = ['A', 'B', 'DR', 'DQ'];
+  def.hla.bonusPerMatch = {};
+  const r = score(def, DONOR, { ...PATIENT, hla_typing: 'A2 A11 B7 B35 DR4 DR15 DQ5' });
+  assert.strictEqual(r.hlaMaximum, 8);
+  assert.strictEqual(r.totalHlaMatches, 7);
+  assert.strictEqual(r.hlaScore, 87.5);
+});
+
+test('a mismatch limit excludes the candidate', () => {
+  const def = kidney();
+  def.hla.maxMismatches = 2;
+  const r = score(def, DONOR, { ...PATIENT, hla_typing: 'A1 A3 B8 B51 DR17 DR7' });
+  assert.deepStrictEqual(r.excluded, [policy.EXCLUSIONS.HLA_MISMATCH_LIMIT]);
+});
+
+test('heart matches on a donor/candidate weight ratio of 0.8 to 1.5', () => {
+  const def = policy.defaultDefinition('heart');
+  assert.deepStrictEqual([def.size.measure, def.size.minRatio, def.size.maxRatio], [policy.SIZE_MEASURES.WEIGHT, 0.8, 1.5]);
+  assert.strictEqual(score(def, { ...DONOR, donor_weight_kg: 60 }, { ...PATIENT, weight_kg: 80 }).sizeCompatible, false);
+  assert.strictEqual(score(def, { ...DONOR, donor_weight_kg: 68 }, { ...PATIENT, weight_kg: 80 }).sizeCompatible, true);
+});
+
+test('lung matches on height, within a tenth either way', () => {
+  const def = policy.defaultDefinition('lung');
+  assert.deepStrictEqual([def.size.measure, def.size.minRatio, def.size.maxRatio], [policy.SIZE_MEASURES.HEIGHT, 0.9, 1.1]);
+  const r = score(def, DONOR, PATIENT);
+  assert.strictEqual(r.sizeRatio, 1.2);
+  assert.strictEqual(r.sizeCompatible, false);
+  assert.strictEqual(score(def, DONOR, { ...PATIENT, height_cm: 170 }).sizeCompatible, true);
+});
+
+test('liver matches on a donor/candidate weight ratio of 0.6 to 1.6', () => {
+  const def = policy.defaultDefinition('liver');
+  assert.deepStrictEqual([def.size.measure, def.size.minRatio, def.size.maxRatio], [policy.SIZE_MEASURES.WEIGHT, 0.6, 1.6]);
+  assert.strictEqual(score(def, { ...DONOR, donor_weight_kg: 50 }, { ...PATIENT, weight_kg: 80 }).sizeCompatible, true);
+  assert.strictEqual(score(def, { ...DONOR, donor_weight_kg: 130 }, { ...PATIENT, weight_kg: 80 }).sizeCompatible, false);
+  assert.deepStrictEqual(policy.defaultDefinition('kidney').size, policy.defaultDefinition('pancreas').size);
+});
+
+test('size exclusion outside the range, and no size matching', () => {
+  const def = policy.defaultDefinition('lung');
+  def.size.exclude = true;
+  const r = score(def, DONOR, PATIENT);
+  assert.strictEqual(r.sizeCompatible, false);
+  assert.strictEqual(r.sizeRatio, 1.2);
+  assert.deepStrictEqual(r.excluded, [policy.EXCLUSIONS.SIZE]);
+
+  def.size.measure = null;
+  const none = score(def, DONOR, PATIENT);
+  assert.strictEqual(none.sizeCompatible, null);
+  assert.strictEqual(none.components.size, undefined);
+});
+
+test('age bands and distance', () => {
+  const def = kidney();
+  def.age.bands = [{ maxDifference: 5, points: 8 }];
+  def.distance = { maxNm: 500, bands: [{ maxNm: 250, points: 4 }] };
+  const near = score(def, { ...DONOR, distance_nm: 100 }, PATIENT);
+  assert.strictEqual(near.components.age, 8);
+  assert.strictEqual(near.components.distance, 4);
+  const far = score(def, { ...DONOR, distance_nm: 600 }, PATIENT);
+  assert.deepStrictEqual(far.excluded, [policy.EXCLUSIONS.DISTANCE]);
+  assert.strictEqual(score(def, DONOR, PATIENT).components.distance, 0);
+});
+
+// storage
+
+test('an organisation without a policy gets the built-in one stored as version 1', () => {
+  const db = buildTestDb();
+  const p = policy.activePolicy(db, 'ORG1', 'Kidney');
+  assert.strictEqual(p.organ_type, 'kidney');
+  assert.strictEqual(p.version, 1);
+  assert.strictEqual(p.is_active, true);
+  assert.deepStrictEqual(p.definition, kidney());
+  assert.strictEqual(policy.activePolicy(db, 'ORG1', 'kidney').id, p.id);
+  assert.strictEqual(policy.listActive(db, 'ORG1').length, policy.ORGAN_TYPES.length);
+});
+
+test('saving creates the next active version; activating an older one rolls back', () => {
+  const db = buildTestDb();
+  const def = kidney();
+  def.abo.a2ToB = true;
+  const v2 = policy.savePolicy(db, { orgId: 'ORG1', organType: 'kidney', name: 'A2 to B', definition: def, changeNote: 'Committee', createdBy: 'a@b.c' });
+  assert.strictEqual(v2.version, 2);
+  assert.strictEqual(policy.activePolicy(db, 'ORG1', 'kidney').id, v2.id);
+
+  const versions = policy.history(db, 'ORG1', 'kidney');
+  assert.deepStrictEqual(versions.map((v) => [v.version, v.is_active]), [[2, true], [1, false]]);
+
+  policy.activatePolicy(db, { id: versions[1].id, orgId: 'ORG1' });
+  assert.strictEqual(policy.activePolicy(db, 'ORG1', 'kidney').version, 1);
+  assert.strictEqual(policy.getPolicy(db, v2.id, 'ORG1').definition.abo.a2ToB, true);
+});
+
+test('an invalid definition or a missing change note is refused', () => {
+  const db = buildTestDb();
+  assert.throws(() => policy.savePolicy(db, { orgId: 'ORG1', organType: 'kidney', definition: { weights: {} }, changeNote: 'x' }), /Invalid match policy/);
+  assert.throws(() => policy.savePolicy(db, { orgId: 'ORG1', organType: 'kidney', definition: kidney() }), /change_note is required/);
+  assert.throws(() => policy.savePolicy(db, { orgId: 'ORG1', organType: 'spleen', definition: kidney(), changeNote: 'x' }), /Unknown organ type/);
+});
+
+test('stored versions cannot be edited or deleted, and stay within their organisation', () => {
+  const db = buildTestDb();
+  const p = policy.activePolicy(db, 'ORG1', 'heart');
+  assert.throws(() => db.prepare('UPDATE match_policies SET definition = ? WHERE id = ?').run('{}', p.id), /immutable/);
+  assert.throws(() => db.prepare('DELETE FROM match_policies WHERE id = ?').run(p.id), /cannot be deleted/);
+  assert.strictEqual(policy.getPolicy(db, p.id, 'ORG2'), null);
+  assert.throws(() => policy.activatePolicy(db, { id: p.id, orgId: 'ORG2' }), /not found/);
+});
+
+console.log(`\n${PASS} passed, ${FAIL} failed`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}\n${f.error.stack}`);
+  process.exit(1);
+}
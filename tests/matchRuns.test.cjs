@@ -0,0 +1,172 @@
+/**
+ * TransTrack — match run snapshots: ranking, immutable storage, and replay
+ * against the stored result.
+ * Run with: node tests/matchRuns.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Database = require('better-sqlite3-multiple-ciphers');
+const { MIGRATIONS } = require('../electron/database/migrations.cjs');
+const policy = require('../electron/services/matchPolicy.cjs');
+const runs = require('../electron/services/matchRuns.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+function buildTestDb() {
+  const db = new Database(':memory:');
+  db.exec(`
+    CREATE TABLE organizations (id TEXT PRIMARY KEY);
+    CREATE TABLE patients (id TEXT PRIMARY KEY, org_id TEXT);
+    CREATE TABLE donor_organs (id TEXT PRIMARY KEY, org_id TEXT);
+    CREATE TABLE matches (id TEXT PRIMARY KEY, org_id TEXT);
+    INSERT INTO organizations VALUES ('ORG1'), ('ORG2');
+    INSERT INTO donor_organs VALUES ('D1', 'ORG1');
+  `);
+  MIGRATIONS.find((m) => m.name === 'add_match_policies').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_match_runs').up(db);
+  return db;
+}
+
+const RUN_AT = new Date('2026-01-15T12:00:00Z');
+
+const DONOR = {
+  id: 'D1', donor_id: 'DN-1', organ_type: 'kidney', blood_type: 'A+', hla_typing: 'A2 A11 B7 B35 DR4 DR15',
+  donor_age: 40, donor_weight_kg: 75, donor_height_cm: 180, organ_status: 'available', notes: 'not an input',
+};
+
+function candidate(id, overrides = {}) {
+  return {
+    id, patient_id: `MRN-${id}`, first_name: 'Pat', last_name: id, blood_type: 'A+',
+    hla_typing: 'A2 A11 B7 B35 DR4 DR15', priority_score: 50, weight_kg: 70, height_cm: 170,
+    date_of_birth: '1980-01-01', date_added_to_waitlist: '2025-07-15', ssn: '000-00-0000',
+    ...overrides,
+  };
+}
+
+const CANDIDATES = [
+  candidate('P1', { priority_score: 40 }),
+  candidate('P2', { priority_score: 90 }),
+  candidate('P3', { blood_type: 'O+' }),
+  candidate('P4', { unacceptable_antigens: '["B7"]' }),
+  candidate('P5', { priority_score: 70, hla_typing: 'A1 A3 B8 B51 DR17 DR7' }),
+];
+
+function run(db, { definition, now = RUN_AT } = {}) {
+  const active = policy.activePolicy(db, 'ORG1', 'kidney');
+  const def = definition || active.definition;
+  const ranking = runs.rankCandidates({ donor: DONOR, candidates: CANDIDATES, definition: def, now });
+  const id = runs.recordRun(db, {
+    orgId: 'ORG1', donor: DONOR, candidates: CANDIDATES, policy: active, now, ranking, runBy: 'a@b.c',
+  });
+  return { id, ranking };
+}
+
+// ranking
+
+test('every candidate is ranked or accounted for', () => {
+  const def = policy.defaultDefinition('kidney');
+  def.hla.maxMismatches = 3;
+  const r = runs.rankCandidates({ donor: DONOR, candidates: CANDIDATES, definition: def, now: RUN_AT });
+  assert.deepStrictEqual(r.matches.map((m) => [m.patient.id, m.priority_rank]), [['P2', 1], ['P1', 2]]);
+  assert.deepStrictEqual(r.aboIneligible.map((a) => a.patient_id), ['P3']);
+  assert.deepStrictEqual(r.crossmatchPositive.map((c) => c.patient_id), ['P4']);
+  assert.deepStrictEqual(r.policyExcluded.map((p) => [p.patient_id, p.reasons]), [['P5', [policy.EXCLUSIONS.HLA_MISMATCH_LIMIT]]]);
+});
+
+// storage
+
+test('a snapshot keeps the ranking inputs, the policy version and every outcome', () => {
+  const db = buildTestDb();
+  const { id, ranking } = run(db);
+  const stored = runs.getRun(db, id, 'ORG1');
+  assert.strictEqual(stored.policy_version, 1);
+  assert.strictEqual(stored.organ_type, 'kidney');
+  assert.strictEqual(stored.run_at, RUN_AT.toISOString());
+  assert.strictEqual(stored.ranked_count, ranking.matches.length);
+  assert.deepStrictEqual(Object.keys(stored.donor), [...runs.DONOR_INPUTS]);
+  assert.strictEqual(stored.candidates.length, CANDIDATES.length);
+  assert.strictEqual(stored.candidates[0].ssn, undefined);
+  assert.deepStrictEqual(stored.results.ranked.map((r) => [r.patient_id, r.rank]), [['P2', 1], ['P1', 2], ['P5', 3]]);
+  assert.deepStrictEqual(stored.results.abo_ineligible, [{ patient_id: 'P3' }]);
+  assert.strictEqual(stored.results.crossmatch_positive[0].conflicts[0].antigen, 'B7');
+  assert.deepStrictEqual(stored.results.ranked[0].components, ranking.matches[0].score_components);
+});
+
+test('snapshots cannot be edited or deleted, and stay within their organisation', () => {
+  const db = buildTestDb();
+  const { id } = run(db);
+  assert.throws(() => db.prepare('UPDATE match_runs SET results = ? WHERE id = ?').run('{}', id), /immutable/);
+  assert.throws(() => db.prepare('DELETE FROM match_runs WHERE id = ?').run(id), /cannot be deleted/);
+  assert.strictEqual(runs.getRun(db, id, 'ORG2'), null);
+  assert.throws(() => runs.replay(db, id, 'ORG2'), /not found/);
+});
+
+test('runs are listed newest first, without their snapshot bodies', () => {
+  const db = buildTestDb();
+  const older = run(db, { now: new Date('2026-01-01T00:00:00Z') }).id;
+  const newer = run(db).id;
+  const listed = runs.listRuns(db, 'ORG1', { donorOrganId: 'D1' });
+  assert.deepStrictEqual(listed.map((r) => r.id), [newer, older]);
+  assert.strictEqual(listed[0].results, undefined);
+  assert.strictEqual(runs.latestRunId(db, 'ORG1', 'D1'), newer);
+  assert.strictEqual(runs.latestRunId(db, 'ORG1', 'D9'), null);
+});
+
+// replay
+
+test('a replay months later reproduces the run as of its own time', () => {
+  const db = buildTestDb();
+  const { id } = run(db);
+  const result = runs.replay(db, id, 'ORG1');
+  assert.strictEqual(result.identical, true);
+  assert.deepStrictEqual(result.differences, []);
+  assert.deepStrictEqual(result.policy, { id: runs.getRun(db, id, 'ORG1').policy_id, version: 1 });
+  // Waiting time and age are measured at the run, not at the replay.
+  const today = runs.rankCandidates({ donor: DONOR, candidates: CANDIDATES, definition: policy.defaultDefinition('kidney') });
+  assert.notStrictEqual(today.matches[0].score_components.waitingTime, result.replayed.ranked[0].components.waitingTime);
+});
+
+test('a replay uses the policy version the run recorded, not the active one', () => {
+  const db = buildTestDb();
+  const { id } = run(db);
+  const def = policy.defaultDefinition('kidney');
+  def.weights.priority = 0;
+  policy.savePolicy(db, { orgId: 'ORG1', organType: 'kidney', name: 'HLA only', definition: def, changeNote: 'Test', createdBy: 'a@b.c' });
+  const result = runs.replay(db, id, 'ORG1');
+  assert.strictEqual(result.identical, true);
+  assert.strictEqual(result.policy.version, 1);
+});
+
+test('differences name the candidate, the field, and both values', () => {
+  const db = buildTestDb();
+  const stored = runs.getRun(db, run(db).id, 'ORG1').results;
+  const def = policy.defaultDefinition('kidney');
+  def.hla.maxMismatches = 3;
+  const changed = runs.resultsOf(runs.rankCandidates({ donor: DONOR, candidates: CANDIDATES, definition: def, now: RUN_AT }));
+  const differences = runs.diffResults(stored, changed);
+  assert.ok(differences.every((d) => d.patient_id === 'P5'));
+  assert.deepStrictEqual(differences.map((d) => d.field), ['outcome', 'rank', 'score', 'components', 'reasons']);
+  assert.deepStrictEqual(differences[0],
+    { patient_id: 'P5', field: 'outcome', stored: runs.OUTCOMES.RANKED, replayed: runs.OUTCOMES.POLICY_EXCLUDED });
+  assert.deepStrictEqual(differences[1], { patient_id: 'P5', field: 'rank', stored: 3, replayed: null });
+  assert.deepStrictEqual(runs.diffResults(stored, stored), []);
+});
+
+console.log(`\n${PASS} passed, ${FAIL} failed`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}\n${f.error.stack}`);
+  process.exit(1);
+}
@@ -14,6 +14,7 @@ const assert = require('assert');
 const path = require('path');
 const Database = require('better-sqlite3-multiple-ciphers');
 const initModule = require('../electron/database/init.cjs');
+const { MIGRATIONS } = require('../electron/database/migrations.cjs');
 
 // Build an in-memory db with just enough schema for organ_offers + events
 function buildTestDb() {
@@ -57,7 +58,14 @@ function buildTestDb() {
     INSERT INTO organizations (id, name, status) VALUES ('ORG1', 'Test', 'ACTIVE');
     INSERT INTO patients (id, org_id) VALUES ('P1', 'ORG1');
     INSERT INTO donor_organs (id, org_id) VALUES ('D1', 'ORG1');
+    INSERT INTO donor_organs (id, org_id) VALUES ('D2', 'ORG1');
   `);
+  MIGRATIONS.find((m) => m.name === 'add_match_policies').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_match_runs').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_offer_chains').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_working_calendars').up(db);
+  db.prepare(`INSERT INTO match_policies (id, org_id, organ_type, version, name, definition)
+              VALUES ('POL1', 'ORG1', 'kidney', 1, 'Default', '{}')`).run();
   return db;
 }
 
@@ -76,6 +84,15 @@ const db = buildTestDb();
 initModule.getDatabase = () => db;
 
 const offers = require('../electron/services/organOffers.cjs');
+const matchRuns = require('../electron/services/matchRuns.cjs');
+
+const NO_RANKING = { matches: [], crossmatchPositive: [], policyExcluded: [], aboIneligible: [] };
+function recordRun(donorId, now) {
+  return matchRuns.recordRun(db, {
+    orgId: 'ORG1', donor: { id: donorId }, candidates: [],
+    policy: { id: 'POL1', organ_type: 'kidney', version: 1 }, now, ranking: NO_RANKING,
+  });
+}
 
 console.log('\n=== Organ Offer state machine ===');
 
@@ -169,6 +186,180 @@ test('listOffers filters by status, donor and patient', () => {
   assert.ok(byDonor.every(o => o.donor_organ_id === 'D1'));
 });
 
+test('an offer links the donor organ\'s latest match run', () => {
+  const before = offers.createOffer({ orgId: 'ORG1', donorOrganId: 'D2', patientId: 'P1' });
+  assert.strictEqual(before.match_run_id, null);
+  recordRun('D2', new Date('2026-01-01T00:00:00Z'));
+  const latest = recordRun('D2', new Date('2026-01-02T00:00:00Z'));
+  const o = offers.createOffer({ orgId: 'ORG1', donorOrganId: 'D2', patientId: 'P1' });
+  assert.strictEqual(o.match_run_id, latest);
+  const created = offers.getEvents(o.id, 'ORG1')[0];
+  assert.strictEqual(JSON.parse(created.payload).match_run_id, latest);
+});
+
+test('a named match run must be the same donor organ\'s', () => {
+  const first = matchRuns.listRuns(db, 'ORG1', { donorOrganId: 'D2' }).pop().id;
+  const o = offers.createOffer({ orgId: 'ORG1', donorOrganId: 'D2', patientId: 'P1', matchRunId: first });
+  assert.strictEqual(o.match_run_id, first);
+  assert.throws(() => offers.createOffer({ orgId: 'ORG1', donorOrganId: 'D1', patientId: 'P1', matchRunId: first }),
+    /different donor organ/);
+  assert.throws(() => offers.createOffer({ orgId: 'ORG1', donorOrganId: 'D2', patientId: 'P1', matchRunId: 'nope' }),
+    /not found/);
+});
+
+console.log('\n=== Offer backup chain ===');
+
+let organSeq = 0;
+function newOrgan() {
+  const id = `CHAIN${++organSeq}`;
+  db.prepare('INSERT INTO donor_organs (id, org_id) VALUES (?, ?)').run(id, 'ORG1');
+  return id;
+}
+function offer(donorOrganId, backupChainPosition, extra = {}) {
+  return offers.createOffer({ orgId: 'ORG1', donorOrganId, patientId: 'P1', backupChainPosition, ...extra });
+}
+const decline = (o) => offers.transition({ id: o.id, orgId: 'ORG1', toStatus: 'DECLINED', actor: 'tester', declineReasonCode: '700' });
+const status = (o) => offers.getOffer(o.id, 'ORG1');
+
+test('a position above 0 makes a backup; a taken position is refused', () => {
+  const organ = newOrgan();
+  assert.strictEqual(offer(organ).is_backup, 0);
+  assert.strictEqual(offer(organ, 1).is_backup, 1);
+  assert.throws(() => offer(organ, 1), /already held/);
+});
+
+test('declining the primary promotes the lowest open backup', () => {
+  const organ = newOrgan();
+  const primary = offer(organ, 0);
+  const second = offer(organ, 2);
+  const first = offer(organ, 1);
+  const result = decline(primary);
+  assert.deepStrictEqual(result.chain_effects, { promoted: first.id, rescinded: [] });
+  assert.strictEqual(status(first).is_backup, 0);
+  assert.ok(status(first).promoted_at);
+  assert.strictEqual(status(second).is_backup, 1);
+  const promotedEvent = offers.getEvents(first.id, 'ORG1').find((e) => e.event_type === 'PROMOTED');
+  assert.deepStrictEqual(JSON.parse(promotedEvent.payload),
+    { backup_chain_position: 1, replaces_offer_id: primary.id, reason: 'DECLINED' });
+});
+
+test('rescinding or expiring the primary also promotes, skipping closed backups', () => {
+  const organ = newOrgan();
+  const primary = offer(organ, 0, { responseDueAt: '2000-01-01 00:00:00' });
+  const closed = offer(organ, 1);
+  const next = offer(organ, 2, { responseWindowHours: 4 });
+  decline(closed);
+  const swept = offers.expireDue({ orgId: 'ORG1' });
+  assert.ok(swept.expired.includes(primary.id));
+  assert.ok(!swept.expired.includes(next.id), 'a backup\'s deadline runs only once it is promoted');
+  assert.ok(swept.promoted.includes(next.id));
+  const last = offer(organ, 3);
+  assert.strictEqual(offers.transition({ id: next.id, orgId: 'ORG1', toStatus: 'RESCINDED', actor: 'tester' })
+    .chain_effects.promoted, last.id);
+});
+
+test('no promotion while another primary is open in parallel, or when a backup drops out', () => {
+  const organ = newOrgan();
+  const a = offer(organ, 0);
+  const b = offer(organ, 0);
+  const backup = offer(organ, 1);
+  assert.strictEqual(offers.transition({ id: backup.id, orgId: 'ORG1', toStatus: 'ACCEPTED_PROVISIONAL', actor: 'tester' })
+    .chain_effects.promoted, null);
+  assert.strictEqual(decline(a).chain_effects.promoted, null);
+  assert.strictEqual(status(backup).is_backup, 1);
+  assert.strictEqual(decline(b).chain_effects.promoted, backup.id);
+});
+
+test('a backup must be promoted before final acceptance', () => {
+  const organ = newOrgan();
+  offer(organ, 0);
+  const backup = offer(organ, 1);
+  assert.throws(() => offers.transition({ id: backup.id, orgId: 'ORG1', toStatus: 'ACCEPTED_FINAL', actor: 'tester' }),
+    /must be promoted/);
+});
+
+test('only one offer per organ reaches ACCEPTED_FINAL, and it closes the chain', () => {
+  const organ = newOrgan();
+  const a = offer(organ, 0);
+  const b = offer(organ, 0);
+  const backup = offer(organ, 1);
+  const result = offers.transition({ id: a.id, orgId: 'ORG1', toStatus: 'ACCEPTED_FINAL', actor: 'tester' });
+  assert.deepStrictEqual(result.chain_effects.rescinded.sort(), [b.id, backup.id].sort());
+  assert.strictEqual(status(b).status, 'RESCINDED');
+  const rescind = offers.getEvents(b.id, 'ORG1').find((e) => e.to_status === 'RESCINDED');
+  assert.deepStrictEqual(JSON.parse(rescind.payload), { reason: 'ORGAN_PLACED', final_offer_id: a.id });
+
+  const late = offer(organ, 0);
+  assert.throws(() => offers.transition({ id: late.id, orgId: 'ORG1', toStatus: 'ACCEPTED_FINAL', actor: 'tester' }),
+    /already has a final acceptance/);
+  // The trigger holds even for a write that bypasses the service.
+  assert.throws(() => db.prepare("UPDATE organ_offers SET status = 'ACCEPTED_FINAL' WHERE id = ?").run(late.id),
+    /already has a final acceptance/);
+});
+
+test('getChain orders primaries then backups, with one timeline', () => {
+  const organ = newOrgan();
+  const backup2 = offer(organ, 2);
+  const primary = offer(organ, 0);
+  const backup1 = offer(organ, 1);
+  decline(primary);
+  const chain = offers.getChain(organ, 'ORG1');
+  assert.deepStrictEqual(chain.offers.map((o) => o.id), [primary.id, backup1.id, backup2.id]);
+  assert.strictEqual(chain.next_backup_id, backup2.id);
+  assert.strictEqual(chain.final_offer_id, null);
+  assert.deepStrictEqual(chain.events.map((e) => e.event_type),
+    ['OFFER_CREATED', 'OFFER_CREATED', 'OFFER_CREATED', 'STATUS_CHANGE', 'PROMOTED']);
+  assert.deepStrictEqual(offers.getChain(organ, 'ORG_OTHER').offers, []);
+});
+
+console.log('\n=== Offer response windows ===');
+
+const businessCalendar = require('../electron/services/businessCalendar.cjs');
+const hoursLeft = (o) => businessCalendar.businessHoursBetween(
+  businessCalendar.loadCalendar('ORG1'), new Date(), status(o).response_due_at);
+
+test('a response window sets a primary\'s deadline in business hours', () => {
+  const organ = newOrgan();
+  const o = offer(organ, 0, { responseWindowHours: 4 });
+  assert.strictEqual(status(o).response_window_hours, 4);
+  assert.match(status(o).response_due_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+  assert.ok(Math.abs(hoursLeft(o) - 4) < 0.01, `expected 4 business hours, got ${hoursLeft(o)}`);
+  const listed = offers.listOffers({ orgId: 'ORG1', donorOrganId: organ }).find((x) => x.id === o.id);
+  assert.strictEqual(listed.sla.breached, false);
+  assert.throws(() => offer(organ, 0, { responseWindowHours: 0 }), /positive/);
+  assert.throws(() => offer(organ, 0, { responseWindowHours: 2, responseDueAt: '2000-01-01 00:00:00' }),
+    /not both/);
+});
+
+test('a backup\'s response window starts when it is promoted', () => {
+  const organ = newOrgan();
+  const primary = offer(organ, 0);
+  const backup = offer(organ, 1, { responseWindowHours: 2 });
+  assert.strictEqual(status(backup).response_due_at, null);
+  decline(primary);
+  assert.ok(Math.abs(hoursLeft(backup) - 2) < 0.01, `expected 2 business hours, got ${hoursLeft(backup)}`);
+  const promoted = offers.getEvents(backup.id, 'ORG1').find((e) => e.event_type === 'PROMOTED');
+  assert.strictEqual(JSON.parse(promoted.payload).response_due_at, status(backup).response_due_at);
+});
+
+test('a backup cannot be given a fixed deadline', () => {
+  const organ = newOrgan();
+  assert.throws(() => offer(organ, 1, { responseDueAt: '2999-01-01 00:00:00' }), /takes a response window/);
+});
+
+test('a backup promoted after a stale stored deadline stays PENDING through the next sweep', () => {
+  const organ = newOrgan();
+  const primary = offer(organ, 0);
+  const backup = offer(organ, 1);
+  // A deadline stored on a backup by an earlier version, long since passed.
+  db.prepare("UPDATE organ_offers SET response_due_at = '2000-01-01 00:00:00' WHERE id = ?").run(backup.id);
+  decline(primary);
+  assert.strictEqual(status(backup).is_backup, 0);
+  assert.strictEqual(status(backup).response_due_at, null);
+  assert.ok(!offers.expireDue({ orgId: 'ORG1' }).expired.includes(backup.id));
+  assert.strictEqual(status(backup).status, 'PENDING');
+});
+
 console.log(`\nResults: ${PASS} passed, ${FAIL} failed.`);
 if (FAIL > 0) {
   for (const f of failures) console.error(`\n${f.name}:\n${f.error.stack || f.error.message}`);
@@ -79,7 +79,7 @@ function setupDB() {
       due_date TEXT, trigger_entity_type TEXT, trigger_entity_id TEXT,
       escalation_level INTEGER DEFAULT 0, escalated_at TEXT,
       escalated_to TEXT, completed_date TEXT, completed_by TEXT,
-      resolution_notes TEXT, created_by TEXT,
+      parent_task_id TEXT, resolution_notes TEXT, created_by TEXT,
       created_at TEXT DEFAULT (datetime('now')),
       updated_at TEXT, updated_by TEXT
     );
@@ -138,6 +138,13 @@ function setupDB() {
       created_at TEXT DEFAULT (datetime('now')), updated_at TEXT
     );
   `);
+  // Working calendar tables and the SLA columns on tasks and escalation rules;
+  // task assignment tables and patients.primary_coordinator_id; protocol,
+  // dependency and recurrence columns on tasks.
+  const { MIGRATIONS } = require('../electron/database/migrations.cjs');
+  MIGRATIONS.find((m) => m.name === 'add_working_calendars').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_task_assignment').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_task_templates').up(db);
 }
 
 // mock db/init and logger before requiring services
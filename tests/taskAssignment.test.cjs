@@ -0,0 +1,251 @@
+/**
+ * TransTrack — task assignment: strategies, out-of-office, fallbacks, bulk
+ * reassignment and the audited reasoning of each decision.
+ *
+ * Run with: node tests/taskAssignment.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Database = require('better-sqlite3-multiple-ciphers');
+
+require.cache[require.resolve('electron')] = {
+  id: 'electron', filename: 'electron', loaded: true,
+  exports: {
+    app: { getPath: () => __dirname, isPackaged: false, getVersion: () => '1.2.0-test' },
+    safeStorage: { isEncryptionAvailable: () => false },
+  },
+};
+
+const loggerPath = require.resolve('../electron/services/logger.cjs');
+require.cache[loggerPath] = {
+  id: loggerPath, filename: loggerPath, loaded: true,
+  exports: { logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} } },
+};
+
+const initModule = require('../electron/database/init.cjs');
+const { createSchema, createIndexes } = require('../electron/database/schema.cjs');
+const { MIGRATIONS } = require('../electron/database/migrations.cjs');
+
+let db;
+initModule.getDatabase = () => db;
+const assignment = require('../electron/services/taskAssignment.cjs');
+const taskEngine = require('../electron/services/taskEngine.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+function freshDb() {
+  db = new Database(':memory:');
+  createSchema(db);
+  createIndexes(db);
+  MIGRATIONS.find((m) => m.name === 'add_working_calendars').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_task_assignment').up(db);
+  MIGRATIONS.find((m) => m.name === 'add_task_templates').up(db);
+  db.exec(`
+    INSERT INTO organizations (id, name) VALUES ('ORG1', 'One'), ('ORG2', 'Two');
+    INSERT INTO users (id, org_id, email, password_hash, role) VALUES
+      ('ana', 'ORG1', 'ana@x.org', 'x', 'coordinator'),
+      ('ben', 'ORG1', 'ben@x.org', 'x', 'coordinator'),
+      ('cal', 'ORG1', 'cal@x.org', 'x', 'physician'),
+      ('vic', 'ORG1', 'vic@x.org', 'x', 'viewer'),
+      ('old', 'ORG1', 'old@x.org', 'x', 'coordinator'),
+      ('zed', 'ORG2', 'zed@x.org', 'x', 'coordinator');
+    UPDATE users SET is_active = 0 WHERE id = 'old';
+    INSERT INTO patients (id, org_id, first_name, last_name, organ_needed) VALUES
+      ('P1', 'ORG1', 'Ada', 'Lovelace', 'kidney'),
+      ('P2', 'ORG1', 'Grace', 'Hopper', 'liver');
+  `);
+  return db;
+}
+
+function newTask(extra = {}) {
+  return taskEngine.createTask('ORG1', { title: 'Call back', task_type: 'GENERAL', ...extra }, 'tester@x.org');
+}
+const assignee = (task) => db.prepare('SELECT assigned_to FROM tasks WHERE id = ?').get(task.id).assigned_to;
+const lastAudit = (taskId) => {
+  const row = db.prepare(`SELECT * FROM audit_logs WHERE entity_type = 'Task' AND entity_id = ? AND action = 'assign'
+                          ORDER BY rowid DESC LIMIT 1`).get(taskId);
+  return row && { ...row, details: JSON.parse(row.details) };
+};
+
+console.log('\n=== Policies ===');
+
+test('without a policy tasks keep only their role', () => {
+  freshDb();
+  const task = newTask({ assigned_role: 'coordinator' });
+  assert.strictEqual(assignee(task), null);
+  assert.strictEqual(lastAudit(task.id), undefined);
+});
+
+test('a task type\'s own policy wins over the default; strategies are validated', () => {
+  freshDb();
+  assignment.savePolicy('ORG1', { strategy: 'LEAST_LOADED' }, 'admin');
+  assignment.savePolicy('ORG1', { task_type: 'LAB_FOLLOWUP', strategy: 'ROUND_ROBIN' }, 'admin');
+  assert.strictEqual(assignment.policyFor('ORG1', 'LAB_FOLLOWUP').strategy, 'ROUND_ROBIN');
+  assert.strictEqual(assignment.policyFor('ORG1', 'GENERAL').strategy, 'LEAST_LOADED');
+  assert.strictEqual(assignment.policyFor('ORG2', 'GENERAL'), null);
+  assert.throws(() => assignment.savePolicy('ORG1', { strategy: 'RANDOM' }), /Unknown assignment strategy/);
+  assignment.deletePolicy('ORG1', 'LAB_FOLLOWUP');
+  assert.strictEqual(assignment.policyFor('ORG1', 'LAB_FOLLOWUP').strategy, 'LEAST_LOADED');
+});
+
+console.log('\n=== Strategies ===');
+
+test('least-loaded picks the fewest open tasks among active staff of the task\'s role', () => {
+  freshDb();
+  assignment.savePolicy('ORG1', { strategy: 'LEAST_LOADED' }, 'admin');
+  const first = newTask({ assigned_role: 'coordinator' });
+  const second = newTask({ assigned_role: 'coordinator' });
+  assert.deepStrictEqual([assignee(first), assignee(second)], ['ana', 'ben']);
+  // A completed task no longer counts as load.
+  taskEngine.updateTask('ORG1', first.id, { status: 'completed' }, 'ana@x.org');
+  assert.strictEqual(assignee(newTask({ assigned_role: 'coordinator' })), 'ana');
+  // Viewers, inactive users and other organizations never receive tasks.
+  const audit = lastAudit(second.id).details;
+  assert.deepStrictEqual(audit.candidates.map((c) => c.user_id).sort(), ['ana', 'ben']);
+  assert.strictEqual(audit.role_matched, true);
+});
+
+test('round-robin rotates through the candidates by email', () => {
+  freshDb();
+  assignment.savePolicy('ORG1', { strategy: 'ROUND_ROBIN' }, 'admin');
+  const picks = [1, 2, 3, 4].map(() => assignee(newTask()));
+  assert.deepStrictEqual(picks, ['ana', 'ben', 'cal', 'ana']);
+  assert.strictEqual(lastAudit(db.prepare("SELECT id FROM tasks ORDER BY rowid DESC").get().id).details.reason,
+    'Next in rotation');
+});
+
+test('primary coordinator, falling back to least loaded when they are away', () => {
+  freshDb();
+  assignment.savePolicy('ORG1', { strategy: 'PRIMARY_COORDINATOR' }, 'admin');
+  assignment.setPrimaryCoordinator('ORG1', 'P1', 'ben');
+  assert.strictEqual(assignee(newTask({ patient_id: 'P1' })), 'ben');
+
+  assignment.addOutOfOffice('ORG1', 'ben', {
+    starts_at: new Date(Date.now() - 3600000).toISOString(),
+    ends_at: new Date(Date.now() + 86400000).toISOString(),
+    reason: 'Leave',
+  }, 'ben@x.org');
+  const away = newTask({ patient_id: 'P1' });
+  assert.strictEqual(assignee(away), 'ana');
+  const audit = lastAudit(away.id).details;
+  assert.strictEqual(audit.strategy, 'PRIMARY_COORDINATOR');
+  assert.strictEqual(audit.fallback, 'LEAST_LOADED');
+  assert.match(audit.reason, /Primary coordinator unavailable \(out_of_office\)/);
+  assert.deepStrictEqual(audit.skipped.map((s) => [s.user_id, s.reason]), [['ben', 'out_of_office']]);
+
+  const noPatient = lastAudit(newTask().id).details;
+  assert.match(noPatient.reason, /Task has no patient/);
+  assert.throws(() => assignment.setPrimaryCoordinator('ORG1', 'P1', 'zed'), /User not found/);
+});
+
+test('affinity matches skills and organ programs, least loaded among the best', () => {
+  freshDb();
+  assignment.savePolicy('ORG1', { strategy: 'AFFINITY' }, 'admin');
+  assignment.saveProfile('ORG1', 'ana', { organ_programs: ['liver'], skills: ['LAB_FOLLOWUP'] }, 'admin');
+  assignment.saveProfile('ORG1', 'ben', { organ_programs: ['kidney'] }, 'admin');
+  assignment.saveProfile('ORG1', 'cal', { organ_programs: ['kidney'], skills: ['LAB_FOLLOWUP'] }, 'admin');
+
+  assert.strictEqual(assignee(newTask({ patient_id: 'P1', task_type: 'LAB_FOLLOWUP' })), 'cal');
+  assert.strictEqual(assignee(newTask({ patient_id: 'P1' })), 'ben');
+  assert.strictEqual(assignee(newTask({ patient_id: 'P2' })), 'ana');
+  const audit = lastAudit(newTask({ patient_id: 'P1', task_type: 'LAB_FOLLOWUP' }).id).details;
+  assert.deepStrictEqual(audit.candidates.map((c) => [c.user_id, c.affinity]),
+    [['ana', 1], ['ben', 1], ['cal', 2]]);
+
+  const none = lastAudit(newTask({ task_type: 'COORDINATOR_REVIEW' }).id).details;
+  assert.strictEqual(none.fallback, 'LEAST_LOADED');
+});
+
+test('users who do not accept assignments are skipped, and no candidate leaves the task unassigned', () => {
+  freshDb();
+  assignment.savePolicy('ORG1', { strategy: 'LEAST_LOADED' }, 'admin');
+  for (const id of ['ana', 'ben', 'cal']) {
+    assignment.saveProfile('ORG1', id, { accepts_assignments: false }, 'admin');
+  }
+  const task = newTask();
+  assert.strictEqual(assignee(task), null);
+  const audit = lastAudit(task.id).details;
+  assert.strictEqual(audit.reason, 'No available assignee');
+  assert.strictEqual(audit.skipped.length, 3);
+});
+
+test('an explicit assignee is kept and no decision is recorded', () => {
+  freshDb();
+  assignment.savePolicy('ORG1', { strategy: 'LEAST_LOADED' }, 'admin');
+  const task = newTask({ assigned_to: 'cal' });
+  assert.strictEqual(assignee(task), 'cal');
+  assert.strictEqual(lastAudit(task.id), undefined);
+});
+
+console.log('\n=== Reassignment ===');
+
+test('bulk reassignment re-routes each open task without the leaver', () => {
+  freshDb();
+  assignment.savePolicy('ORG1', { strategy: 'LEAST_LOADED' }, 'admin');
+  const a = newTask({ assigned_to: 'ana' });
+  const b = newTask({ assigned_to: 'ana' });
+  const done = newTask({ assigned_to: 'ana' });
+  taskEngine.updateTask('ORG1', done.id, { status: 'completed' }, 'ana@x.org');
+
+  const result = assignment.reassignOpenTasks('ORG1', 'ana', { actor: { email: 'admin@x.org', role: 'admin' } });
+  assert.deepStrictEqual(result.reassigned.map((r) => r.task_id).sort(), [a.id, b.id].sort());
+  assert.ok(result.reassigned.every((r) => r.user_id !== 'ana'));
+  assert.strictEqual(assignee(done), 'ana');
+  const audit = lastAudit(a.id);
+  assert.strictEqual(audit.user_email, 'admin@x.org');
+  assert.strictEqual(audit.details.trigger, 'REASSIGN');
+  assert.strictEqual(audit.details.from_user_id, 'ana');
+  assert.ok(audit.details.skipped.some((s) => s.user_id === 'ana' && s.reason === 'excluded'));
+});
+
+test('bulk reassignment to a named user, or back to the role queue without a policy', () => {
+  freshDb();
+  const a = newTask({ assigned_to: 'ana' });
+  assert.deepStrictEqual(assignment.reassignOpenTasks('ORG1', 'ana').unassigned, [a.id]);
+  assert.strictEqual(assignee(a), null);
+
+  const b = newTask({ assigned_to: 'ben' });
+  assignment.reassignOpenTasks('ORG1', 'ben', { toUserId: 'cal' });
+  assert.strictEqual(assignee(b), 'cal');
+  assert.throws(() => assignment.reassignOpenTasks('ORG1', 'cal', { toUserId: 'vic' }), /active coordinator/);
+  assert.throws(() => assignment.reassignOpenTasks('ORG1', 'cal', { toUserId: 'cal' }), /different user/);
+});
+
+test('out-of-office periods are validated and listed until they end', () => {
+  freshDb();
+  assert.throws(() => assignment.addOutOfOffice('ORG1', 'ana', {
+    starts_at: '2026-12-27T00:00:00Z', ends_at: '2026-12-24T00:00:00Z',
+  }), /end after/);
+  assert.throws(() => assignment.addOutOfOffice('ORG1', 'zed', {
+    starts_at: '2026-12-24T00:00:00Z', ends_at: '2026-12-27T00:00:00Z',
+  }), /User not found/);
+  const row = assignment.addOutOfOffice('ORG1', 'ana', {
+    starts_at: '2026-12-24T00:00:00Z', ends_at: '2026-12-27T00:00:00Z',
+  });
+  assert.deepStrictEqual(assignment.listOutOfOffice('ORG1', { from: new Date('2026-12-01T00:00:00Z') })
+    .map((o) => o.id), [row.id]);
+  assert.deepStrictEqual(assignment.listOutOfOffice('ORG1', { from: new Date('2027-01-01T00:00:00Z') }), []);
+  assert.strictEqual(assignment.listAssignees('ORG1', new Date('2026-12-25T00:00:00Z'))
+    .find((a) => a.user_id === 'ana').out_of_office.id, row.id);
+  assignment.removeOutOfOffice('ORG1', row.id);
+  assert.throws(() => assignment.removeOutOfOffice('ORG1', row.id), /not found/);
+});
+
+console.log(`\nResults: ${PASS} passed, ${FAIL} failed.`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}:\n${f.error.stack || f.error.message}`);
+  process.exit(1);
+}
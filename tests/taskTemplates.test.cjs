@@ -0,0 +1,292 @@
+/**
+ * TransTrack — task templates and protocol checklists: template validation,
+ * instantiation onto a patient, blocked/unblocked dependencies, recurrence
+ * while the patient is active, and progress roll-up.
+ *
+ * Run with: node tests/taskTemplates.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const Database = require('better-sqlite3-multiple-ciphers');
+
+require.cache[require.resolve('electron')] = {
+  id: 'electron', filename: 'electron', loaded: true,
+  exports: {
+    app: { getPath: () => __dirname, isPackaged: false, getVersion: () => '1.2.0-test' },
+    safeStorage: { isEncryptionAvailable: () => false },
+  },
+};
+
+const loggerPath = require.resolve('../electron/services/logger.cjs');
+require.cache[loggerPath] = {
+  id: loggerPath, filename: loggerPath, loaded: true,
+  exports: { logger: { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} } },
+};
+
+const initModule = require('../electron/database/init.cjs');
+const { createSchema, createIndexes } = require('../electron/database/schema.cjs');
+const { MIGRATIONS } = require('../electron/database/migrations.cjs');
+
+let db;
+initModule.getDatabase = () => db;
+const templates = require('../electron/services/taskTemplates.cjs');
+const taskEngine = require('../electron/services/taskEngine.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+function freshDb() {
+  db = new Database(':memory:');
+  createSchema(db);
+  createIndexes(db);
+  for (const name of ['add_working_calendars', 'add_task_assignment', 'add_task_templates']) {
+    MIGRATIONS.find((m) => m.name === name).up(db);
+  }
+  db.exec(`
+    INSERT INTO organizations (id, name) VALUES ('ORG1', 'One'), ('ORG2', 'Two');
+    INSERT INTO patients (id, org_id, first_name, last_name, organ_needed, waitlist_status) VALUES
+      ('P1', 'ORG1', 'Ada', 'Lovelace', 'kidney', 'active'),
+      ('P2', 'ORG1', 'Grace', 'Hopper', 'liver', 'active');
+  `);
+  return db;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = '2026-03-02T09:00:00.000Z';
+
+// Dental and cardiac first; social work after both; financial any time;
+// labs repeat every 90 days.
+const KIDNEY_EVAL = {
+  name: 'Kidney evaluation',
+  organ_type: 'kidney',
+  items: [
+    { key: 'social', title: 'Social work assessment', depends_on: ['dental', 'cardiac'], due_offset_days: 30 },
+    { key: 'dental', title: 'Dental clearance', due_offset_days: 14 },
+    { key: 'cardiac', title: 'Cardiac stress test', task_type: 'COORDINATOR_REVIEW', priority: 'high', due_offset_days: 21 },
+    { key: 'financial', title: 'Financial clearance', assigned_role: 'financial' },
+    { key: 'labs', title: 'Repeat PRA', task_type: 'LAB_FOLLOWUP', due_offset_days: 0, recurrence_days: 90 },
+  ],
+};
+
+const task = (id) => db.prepare('SELECT * FROM tasks WHERE id = ?').get(id);
+const itemTask = (protocol, key) => protocol.items.find((i) => i.item_key === key).task;
+const complete = (id) => taskEngine.updateTask('ORG1', id, { status: 'completed' }, 'c@x.org');
+
+console.log('\n=== Templates ===');
+
+test('a template is saved with its items and listed for its organ program', () => {
+  freshDb();
+  const saved = templates.saveTemplate('ORG1', KIDNEY_EVAL, 'admin@x.org');
+  assert.deepStrictEqual(saved.items.map((i) => i.item_key), ['social', 'dental', 'cardiac', 'financial', 'labs']);
+  assert.deepStrictEqual(saved.items[0].depends_on, ['dental', 'cardiac']);
+  assert.strictEqual(saved.items[4].recurrence_days, 90);
+  templates.saveTemplate('ORG1', { name: 'Annual review', items: [{ title: 'Review chart' }] }, 'admin@x.org');
+  assert.deepStrictEqual(templates.listTemplates('ORG1', { organType: 'liver' }).map((t) => t.name), ['Annual review']);
+  assert.strictEqual(templates.listTemplates('ORG1', { organType: 'kidney' }).length, 2);
+  assert.strictEqual(templates.listTemplates('ORG2').length, 0);
+});
+
+test('templates are validated', () => {
+  freshDb();
+  const items = (list) => ({ name: 'T', items: list });
+  assert.throws(() => templates.saveTemplate('ORG1', items([])), /at least one item/);
+  assert.throws(() => templates.saveTemplate('ORG1', items([{ key: 'a', title: 'A' }, { key: 'a', title: 'B' }])),
+    /Duplicate item key/);
+  assert.throws(() => templates.saveTemplate('ORG1', items([{ key: 'a', title: 'A', depends_on: ['z'] }])),
+    /unknown item z/);
+  assert.throws(() => templates.saveTemplate('ORG1', items([
+    { key: 'a', title: 'A', depends_on: ['b'] }, { key: 'b', title: 'B', depends_on: ['a'] },
+  ])), /cycle/);
+  assert.throws(() => templates.saveTemplate('ORG1', items([{ title: 'A', recurrence_days: 0 }])), /at least 1/);
+  assert.throws(() => templates.saveTemplate('ORG1', items([{ title: 'A', task_type: 'CHORES' }])), /unknown task type/);
+  assert.throws(() => templates.saveTemplate('ORG1', { ...items([{ title: 'A' }]), organ_type: 'spleen' }),
+    /Unknown organ type/);
+  templates.saveTemplate('ORG1', items([{ title: 'A' }]));
+  assert.throws(() => templates.saveTemplate('ORG1', items([{ title: 'A' }])), /already exists/);
+});
+
+test('editing a template replaces its items; started protocols keep their tasks', () => {
+  freshDb();
+  const saved = templates.saveTemplate('ORG1', KIDNEY_EVAL, 'admin@x.org');
+  const protocol = templates.instantiate('ORG1', saved.id, 'P1', { startDate: START });
+  templates.saveTemplate('ORG1', { ...KIDNEY_EVAL, id: saved.id, items: [{ key: 'dental', title: 'Dental' }] });
+  assert.strictEqual(templates.getTemplate('ORG1', saved.id).items.length, 1);
+  templates.deleteTemplate('ORG1', saved.id);
+  const kept = templates.getProtocol('ORG1', protocol.id);
+  assert.strictEqual(kept.template_name, 'Kidney evaluation');
+  assert.strictEqual(kept.items.length, 5);
+  assert.throws(() => templates.deleteTemplate('ORG1', saved.id), /not found/);
+});
+
+console.log('\n=== Protocols ===');
+
+test('starting a protocol creates a task per item, due relative to the start', () => {
+  freshDb();
+  const { id } = templates.saveTemplate('ORG1', KIDNEY_EVAL);
+  const protocol = templates.instantiate('ORG1', id, 'P1', { startDate: START, createdBy: 'c@x.org' });
+  assert.strictEqual(protocol.status, 'active');
+  const dental = itemTask(protocol, 'dental');
+  assert.strictEqual(dental.due_date, new Date(Date.parse(START) + 14 * DAY).toISOString());
+  assert.strictEqual(dental.patient_id, 'P1');
+  assert.strictEqual(dental.trigger_entity_type, 'TaskProtocol');
+  assert.strictEqual(itemTask(protocol, 'financial').due_date, null);
+  assert.strictEqual(itemTask(protocol, 'financial').assigned_role, 'financial');
+  assert.strictEqual(itemTask(protocol, 'cardiac').priority, 'high');
+  assert.deepStrictEqual(protocol.progress, { total: 5, done: 0, blocked: 1, percent: 0 });
+});
+
+test('a template for another organ program cannot be started on the patient', () => {
+  freshDb();
+  const { id } = templates.saveTemplate('ORG1', KIDNEY_EVAL);
+  assert.throws(() => templates.instantiate('ORG1', id, 'P2'), /for kidney patients/);
+  assert.throws(() => templates.instantiate('ORG2', id, 'P1'), /Template not found/);
+  templates.saveTemplate('ORG1', { ...KIDNEY_EVAL, id, is_active: false });
+  assert.throws(() => templates.instantiate('ORG1', id, 'P1'), /inactive/);
+});
+
+test('a dependent task is blocked until every prerequisite is finished', () => {
+  freshDb();
+  const { id } = templates.saveTemplate('ORG1', KIDNEY_EVAL);
+  const protocol = templates.instantiate('ORG1', id, 'P1', { startDate: START });
+  const social = itemTask(protocol, 'social');
+  assert.strictEqual(social.blocked, 1);
+  assert.throws(() => taskEngine.updateTask('ORG1', social.id, { status: 'in_progress' }, 'c@x.org'),
+    /waiting on 2 unfinished prerequisite tasks/);
+
+  complete(itemTask(protocol, 'dental').id);
+  assert.strictEqual(task(social.id).blocked, 1);
+  // A cancelled prerequisite is no longer required.
+  taskEngine.updateTask('ORG1', itemTask(protocol, 'cardiac').id, { status: 'cancelled' }, 'c@x.org');
+  assert.strictEqual(task(social.id).blocked, 0);
+
+  // Reopening a prerequisite blocks its dependents again.
+  taskEngine.updateTask('ORG1', itemTask(protocol, 'dental').id, { status: 'pending' }, 'c@x.org');
+  assert.strictEqual(task(social.id).blocked, 1);
+  taskEngine.deleteTask('ORG1', itemTask(protocol, 'dental').id);
+  assert.strictEqual(task(social.id).blocked, 0);
+  taskEngine.updateTask('ORG1', social.id, { status: 'in_progress' }, 'c@x.org');
+});
+
+test('blocked tasks are not escalated', () => {
+  freshDb();
+  const { id } = templates.saveTemplate('ORG1', {
+    name: 'Chain', items: [{ key: 'a', title: 'A' }, { key: 'b', title: 'B', depends_on: ['a'], due_offset_days: 0 }],
+  });
+  const protocol = templates.instantiate('ORG1', id, 'P1', { startDate: new Date(Date.now() - 10 * DAY).toISOString() });
+  assert.strictEqual(taskEngine.processEscalations('ORG1').overdue, 0);
+  complete(itemTask(protocol, 'a').id);
+  assert.strictEqual(taskEngine.processEscalations('ORG1').overdue, 1);
+});
+
+test('a task can depend on other tasks of its own organization', () => {
+  freshDb();
+  const first = taskEngine.createTask('ORG1', { title: 'First' }, 't');
+  const second = taskEngine.createTask('ORG1', { title: 'Second', depends_on: [first.id] }, 't');
+  assert.strictEqual(second.blocked, 1);
+  assert.throws(() => taskEngine.createTask('ORG2', { title: 'Other', depends_on: [first.id] }, 't'),
+    /Prerequisite task not found/);
+});
+
+console.log('\n=== Recurrence ===');
+
+test('completing a recurring task schedules the next occurrence while the patient is active', () => {
+  freshDb();
+  const { id } = templates.saveTemplate('ORG1', KIDNEY_EVAL);
+  const protocol = templates.instantiate('ORG1', id, 'P1', { startDate: START });
+  const labs = itemTask(protocol, 'labs');
+  const done = complete(labs.id);
+  const next = db.prepare('SELECT * FROM tasks WHERE parent_task_id = ?').get(labs.id);
+  assert.ok(next);
+  assert.strictEqual(next.due_date, new Date(Date.parse(done.completed_date) + 90 * DAY).toISOString());
+  assert.strictEqual(next.protocol_item_key, 'labs');
+  assert.strictEqual(next.recurrence_days, 90);
+  assert.strictEqual(next.status, 'pending');
+
+  // Completing again does not create a second successor.
+  taskEngine.updateTask('ORG1', labs.id, { status: 'pending' }, 'c@x.org');
+  complete(labs.id);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM tasks WHERE parent_task_id = ?').get(labs.id).n, 1);
+
+  const rolled = templates.getProtocol('ORG1', protocol.id).items.find((i) => i.item_key === 'labs');
+  assert.strictEqual(rolled.task.id, next.id);
+  assert.strictEqual(rolled.done, true);
+  assert.strictEqual(rolled.occurrences, 2);
+});
+
+test('recurrence pauses while the patient is inactive and resumes on the scheduled sweep', () => {
+  freshDb();
+  const first = taskEngine.createTask('ORG1', { title: 'Repeat PRA', patient_id: 'P1', recurrence_days: 30 }, 't');
+  db.prepare("UPDATE patients SET waitlist_status = 'temporarily_inactive' WHERE id = 'P1'").run();
+  complete(first.id);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM tasks WHERE parent_task_id = ?').get(first.id).n, 0);
+  assert.strictEqual(taskEngine.processRecurrences('ORG1', 'system').scheduled, 0);
+
+  db.prepare("UPDATE patients SET waitlist_status = 'active' WHERE id = 'P1'").run();
+  assert.strictEqual(taskEngine.processRecurrences('ORG1', 'system').scheduled, 1);
+  assert.strictEqual(taskEngine.processRecurrences('ORG1', 'system').scheduled, 0);
+  assert.throws(() => taskEngine.createTask('ORG1', { title: 'x', recurrence_days: 1.5 }, 't'), /positive whole number/);
+});
+
+test('an occurrence caught up after its due date has passed is due a full interval from now', () => {
+  freshDb();
+  const first = taskEngine.createTask('ORG1', { title: 'Repeat PRA', patient_id: 'P1', recurrence_days: 30 }, 't');
+  db.prepare("UPDATE patients SET waitlist_status = 'temporarily_inactive' WHERE id = 'P1'").run();
+  complete(first.id);
+  // Completed 45 days ago, reactivated only now: completion + 30 days is already past.
+  db.prepare('UPDATE tasks SET completed_date = ? WHERE id = ?').run(new Date(Date.now() - 45 * DAY).toISOString(), first.id);
+  db.prepare("UPDATE patients SET waitlist_status = 'active' WHERE id = 'P1'").run();
+  const before = Date.now();
+  const [next] = taskEngine.processRecurrences('ORG1', 'system').tasks;
+  const due = Date.parse(next.due_date);
+  assert.ok(due >= before + 30 * DAY && due <= Date.now() + 30 * DAY, `due ${next.due_date}`);
+
+  // One caught up while still within its interval keeps the completion-based date.
+  const second = taskEngine.createTask('ORG1', { title: 'Repeat HLA', patient_id: 'P1', recurrence_days: 30 }, 't');
+  db.prepare("UPDATE patients SET waitlist_status = 'temporarily_inactive' WHERE id = 'P1'").run();
+  complete(second.id);
+  const completedAt = new Date(Date.now() - 10 * DAY).toISOString();
+  db.prepare('UPDATE tasks SET completed_date = ? WHERE id = ?').run(completedAt, second.id);
+  db.prepare("UPDATE patients SET waitlist_status = 'active' WHERE id = 'P1'").run();
+  const [kept] = taskEngine.processRecurrences('ORG1', 'system').tasks;
+  assert.strictEqual(kept.due_date, new Date(Date.parse(completedAt) + 30 * DAY).toISOString());
+});
+
+console.log('\n=== Progress ===');
+
+test('progress rolls up per item, cancelled items drop out, and cancelling stops the protocol', () => {
+  freshDb();
+  const { id } = templates.saveTemplate('ORG1', KIDNEY_EVAL);
+  const protocol = templates.instantiate('ORG1', id, 'P1', { startDate: START });
+  complete(itemTask(protocol, 'dental').id);
+  complete(itemTask(protocol, 'cardiac').id);
+  complete(itemTask(protocol, 'labs').id);
+  taskEngine.updateTask('ORG1', itemTask(protocol, 'financial').id, { status: 'cancelled' }, 'c@x.org');
+  const rolled = templates.listPatientProtocols('ORG1', 'P1')[0];
+  assert.deepStrictEqual(rolled.progress, { total: 4, done: 3, blocked: 0, percent: 75 });
+
+  const cancelled = templates.cancelProtocol('ORG1', protocol.id, 'c@x.org');
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.strictEqual(itemTask(cancelled, 'social').status, 'cancelled');
+  assert.strictEqual(itemTask(cancelled, 'labs').status, 'cancelled');
+  assert.strictEqual(taskEngine.processRecurrences('ORG1').scheduled, 0);
+  assert.throws(() => templates.cancelProtocol('ORG1', protocol.id), /already cancelled/);
+  assert.deepStrictEqual(templates.listPatientProtocols('ORG1', 'P2'), []);
+});
+
+console.log(`\nResults: ${PASS} passed, ${FAIL} failed.`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}:\n${f.error.stack || f.error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,97 @@
+/**
+ * TransTrack — virtual crossmatch of a candidate's unacceptable antigens and
+ * antibodies against a donor typing.
+ * Run with: node tests/virtualCrossmatch.test.cjs
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { virtualCrossmatch, RESULTS, DEFAULT_MFI_THRESHOLD } = require('../electron/services/virtualCrossmatch.cjs');
+const hla = require('../electron/services/hla.cjs');
+
+let PASS = 0;
+let FAIL = 0;
+const failures = [];
+
+function test(name, fn) {
+  try { fn(); PASS++; console.log(`  PASS  ${name}`); }
+  catch (e) {
+    FAIL++;
+    failures.push({ name, error: e });
+    console.log(`  FAIL  ${name}\n        ${e.message}`);
+  }
+}
+
+const DONOR = 'A*02:01 A*24:02 B*15:01 B*08:01 C*07:01 DRB1*03:01 DRB1*04:01 DRB3*01:01 DQB1*02:01 DQB1*03:02';
+
+test('an unacceptable antigen the donor carries is positive, naming both sides', () => {
+  const r = virtualCrossmatch(DONOR, { unacceptable_antigens: ['A2', 'B44'] });
+  assert.strictEqual(r.result, RESULTS.POSITIVE);
+  assert.deepStrictEqual(r.conflicts, [{ antigen: 'A2', carried: 'A*02:01', source: 'unacceptable' }]);
+});
+
+test('splits and broads: an unacceptable broad covers the donor split, and a split the donor broad', () => {
+  assert.strictEqual(virtualCrossmatch(DONOR, { unacceptable_antigens: ['B15'] }).result, RESULTS.POSITIVE);
+  assert.strictEqual(virtualCrossmatch(DONOR, { unacceptable_antigens: ['DR3'] }).result, RESULTS.POSITIVE);
+  assert.strictEqual(virtualCrossmatch(DONOR, { unacceptable_antigens: ['B63'] }).result, RESULTS.NEGATIVE);
+  assert.strictEqual(virtualCrossmatch('A1 A9 B7 B8 DR4 DR7', { unacceptable_antigens: ['A24'] }).result, RESULTS.POSITIVE);
+});
+
+test('an allele-level unacceptable antigen is compared on alleles when the donor is typed to them', () => {
+  assert.strictEqual(virtualCrossmatch(DONOR, { unacceptable_antigens: ['A*02:06'] }).result, RESULTS.NEGATIVE);
+  assert.strictEqual(virtualCrossmatch('A2 A24 B7 B8 DR4 DR7', { unacceptable_antigens: ['A*02:06'] }).result, RESULTS.POSITIVE);
+});
+
+test('antibodies count at or above the MFI threshold', () => {
+  const candidate = { unacceptable_antigens: [], hla_antibodies: [{ antigen: 'DQ8', mfi: 1500 }, { antigen: 'Cw7', mfi: 6200 }] };
+  const r = virtualCrossmatch(DONOR, candidate);
+  assert.strictEqual(r.result, RESULTS.POSITIVE);
+  assert.deepStrictEqual(r.conflicts, [{ antigen: 'Cw7', carried: 'C*07:01', source: 'antibody', mfi: 6200 }]);
+  assert.strictEqual(r.mfiThreshold, DEFAULT_MFI_THRESHOLD);
+
+  const lower = virtualCrossmatch(DONOR, candidate, { mfiThreshold: 1000 });
+  assert.deepStrictEqual(lower.conflicts.map((c) => c.antigen).sort(), ['Cw7', 'DQ8']);
+});
+
+test('an ambiguous unacceptable antigen or antibody is positive for a donor carrying its second alternative', () => {
+  const donor = 'A1 A68 B7 B8 DR4 DR7';
+  const stored = hla.normalizeAntigenList('A2/A68').antigens;
+  const r = virtualCrossmatch(donor, { unacceptable_antigens: stored });
+  assert.strictEqual(r.result, RESULTS.POSITIVE);
+  assert.deepStrictEqual(r.conflicts, [{ antigen: 'A68', carried: 'A68', source: 'unacceptable' }]);
+  assert.strictEqual(virtualCrossmatch(donor, { unacceptable_antigens: 'A2/A68' }).result, RESULTS.POSITIVE);
+
+  const ab = virtualCrossmatch(donor, { unacceptable_antigens: [], hla_antibodies: [{ antigen: 'A2/A68', mfi: 5000 }] });
+  assert.strictEqual(ab.result, RESULTS.POSITIVE);
+  assert.deepStrictEqual(ab.conflicts, [{ antigen: 'A68', carried: 'A68', source: 'antibody', mfi: 5000 }]);
+});
+
+test('reads the JSON text SQLite stores', () => {
+  const r = virtualCrossmatch(DONOR, {
+    unacceptable_antigens: '["B62"]',
+    hla_antibodies: '[{"antigen":"DR52","mfi":9000}]',
+  });
+  assert.deepStrictEqual(r.conflicts.map((c) => [c.antigen, c.source]), [['B62', 'unacceptable'], ['DR52', 'antibody']]);
+});
+
+test('negative only when the donor is typed at every locus the record covers', () => {
+  assert.strictEqual(virtualCrossmatch(DONOR, { unacceptable_antigens: ['A1', 'DQ7'] }).result, RESULTS.NEGATIVE);
+  const r = virtualCrossmatch(DONOR, { unacceptable_antigens: ['A1', 'DPB1*04:01'] });
+  assert.strictEqual(r.result, RESULTS.PENDING);
+  assert.strictEqual(r.reason, 'DONOR_LOCUS_UNTYPED');
+  assert.deepStrictEqual(r.untypedLoci, ['DP']);
+});
+
+test('pending, not negative, without an antibody record or a donor typing', () => {
+  assert.strictEqual(virtualCrossmatch(DONOR, {}).reason, 'NO_ANTIBODY_RECORD');
+  assert.strictEqual(virtualCrossmatch(DONOR, { unacceptable_antigens: null }).result, RESULTS.PENDING);
+  assert.strictEqual(virtualCrossmatch('', { unacceptable_antigens: ['A2'] }).reason, 'DONOR_NOT_TYPED');
+  assert.strictEqual(virtualCrossmatch(DONOR, { unacceptable_antigens: [] }).result, RESULTS.NEGATIVE);
+});
+
+console.log(`\n${PASS} passed, ${FAIL} failed`);
+if (FAIL > 0) {
+  for (const f of failures) console.error(`\n${f.name}\n${f.error.stack}`);
+  process.exit(1);
+}